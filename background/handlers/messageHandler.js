@@ -19,10 +19,13 @@ import {
     SubtitleProcessingError,
     AIContextError,
 } from '../services/serviceInterfaces.js';
-import { MessageActions } from '../../content_scripts/shared/constants/messageActions.js';
+import {
+    MessageActions,
+    PortNames,
+} from '../../content_scripts/shared/constants/messageActions.js';
 
 /**
- * @typedef {'translate'|'translateBatch'|'checkBatchSupport'|'fetchVTT'|'changeProvider'|'analyzeContext'|'changeContextProvider'|'getContextStatus'|'getAvailableModels'|'getDefaultModel'|'reloadContextProviderConfig'|'ping'|'checkBackgroundReady'} MessageAction
+ * @typedef {'translate'|'translateBatch'|'checkBatchSupport'|'fetchVTT'|'changeProvider'|'analyzeContext'|'contextFollowUp'|'changeContextProvider'|'getContextStatus'|'getAvailableModels'|'getDefaultModel'|'reloadContextProviderConfig'|'ping'|'checkBackgroundReady'|'warmupTranslationMemory'|'getTranslationMemoryStats'|'clearTranslationMemory'|'getRateLimitStatus'|'getTranslationUsage'|'resetTranslationUsage'|'parseSubtitleFile'|'saveVocabularyEntry'|'getVocabularyEntries'|'reviewVocabularyEntry'|'deleteVocabularyEntry'|'openVocabularyEntry'|'lookupDictionary'|'importDictionary'|'getDictionaries'|'updateDictionary'|'deleteDictionary'|'getDictionaryHeadwords'} MessageAction
  */
 
 /**
@@ -34,10 +37,22 @@ import { MessageActions } from '../../content_scripts/shared/constants/messageAc
  * @property {string} [delimiter]
  * @property {string} [batchId]
  * @property {Object} [cueMetadata]
+ * @property {{title: string|null, episode: string|null}} [showInfo]
  * @property {string} [url]
  * @property {string} [videoId]
  * @property {Object} [data]
  * @property {string} [source]
+ * @property {string} [content]
+ * @property {string} [fileName]
+ * @property {Object} [entry]
+ * @property {string} [id]
+ * @property {number} [quality]
+ * @property {string} [videoTitle]
+ * @property {boolean} [dueOnly]
+ * @property {string} [language]
+ * @property {string} [title]
+ * @property {string} [dictionaryId]
+ * @property {Object} [changes]
  */
 
 class MessageHandler {
@@ -89,6 +104,73 @@ class MessageHandler {
                     };
                 }
                 break;
+            case MessageActions.CONTEXT_FOLLOW_UP:
+                if (!Array.isArray(message.conversation?.turns)) {
+                    return {
+                        valid: false,
+                        error: 'contextFollowUp requires conversation.turns[]',
+                    };
+                }
+                break;
+            case MessageActions.TEST_CONTEXT_TEMPLATE:
+                if (!message.template || typeof message.text !== 'string') {
+                    return {
+                        valid: false,
+                        error: 'testContextTemplate requires template and text',
+                    };
+                }
+                break;
+            case MessageActions.PARSE_SUBTITLE_FILE:
+                if (typeof message.content !== 'string') {
+                    return {
+                        valid: false,
+                        error: 'parseSubtitleFile requires content',
+                    };
+                }
+                break;
+            case MessageActions.SAVE_VOCABULARY_ENTRY:
+                if (!message.entry || typeof message.entry.text !== 'string') {
+                    return {
+                        valid: false,
+                        error: 'saveVocabularyEntry requires entry.text',
+                    };
+                }
+                break;
+            case MessageActions.REVIEW_VOCABULARY_ENTRY:
+            case MessageActions.DELETE_VOCABULARY_ENTRY:
+            case MessageActions.OPEN_VOCABULARY_ENTRY:
+                if (typeof message.id !== 'string') {
+                    return {
+                        valid: false,
+                        error: `${action} requires id`,
+                    };
+                }
+                break;
+            case MessageActions.LOOKUP_DICTIONARY:
+                if (typeof message.text !== 'string') {
+                    return {
+                        valid: false,
+                        error: 'lookupDictionary requires text',
+                    };
+                }
+                break;
+            case MessageActions.IMPORT_DICTIONARY:
+                if (typeof message.content !== 'string') {
+                    return {
+                        valid: false,
+                        error: 'importDictionary requires content',
+                    };
+                }
+                break;
+            case MessageActions.UPDATE_DICTIONARY:
+            case MessageActions.DELETE_DICTIONARY:
+                if (typeof message.id !== 'string') {
+                    return {
+                        valid: false,
+                        error: `${action} requires id`,
+                    };
+                }
+                break;
             default:
                 // For other actions, do minimal validation
                 break;
@@ -100,6 +182,8 @@ class MessageHandler {
         this.translationService = null;
         this.subtitleService = null;
         this.aiContextService = null;
+        this.vocabularyNotebook = null;
+        this.dictionaryService = null;
         this.isInitialized = false;
     }
 
@@ -114,6 +198,11 @@ class MessageHandler {
         this.logger = loggingManager.createLogger('MessageHandler');
 
         chrome.runtime.onMessage.addListener(this.handleMessage.bind(this));
+        chrome.runtime.onConnect?.addListener((port) => {
+            if (port.name === PortNames.AI_CONTEXT_STREAM) {
+                this.handleContextStreamPort(port);
+            }
+        });
 
         this.logger.info('Message handler initialized');
         this.isInitialized = true;
@@ -122,14 +211,24 @@ class MessageHandler {
     /**
      * Set service dependencies (will be injected after services are created)
      */
-    setServices(translationService, subtitleService, aiContextService = null) {
+    setServices(
+        translationService,
+        subtitleService,
+        aiContextService = null,
+        vocabularyNotebook = null,
+        dictionaryService = null
+    ) {
         this.translationService = translationService;
         this.subtitleService = subtitleService;
         this.aiContextService = aiContextService;
+        this.vocabularyNotebook = vocabularyNotebook;
+        this.dictionaryService = dictionaryService;
         this.logger.debug('Services injected into message handler', {
             hasTranslation: !!translationService,
             hasSubtitle: !!subtitleService,
             hasAIContext: !!aiContextService,
+            hasVocabulary: !!vocabularyNotebook,
+            hasDictionary: !!dictionaryService,
         });
     }
 
@@ -180,6 +279,14 @@ class MessageHandler {
             case MessageActions.ANALYZE_CONTEXT:
                 return this.handleAnalyzeContextMessage(message, sendResponse);
 
+            case MessageActions.CONTEXT_FOLLOW_UP:
+                return this.handleContextFollowUpMessage(message, sendResponse);
+            case MessageActions.TEST_CONTEXT_TEMPLATE:
+                return this.handleTestContextTemplateMessage(
+                    message,
+                    sendResponse
+                );
+
             case MessageActions.CHANGE_CONTEXT_PROVIDER:
                 return this.handleChangeContextProviderMessage(
                     message,
@@ -216,6 +323,63 @@ class MessageHandler {
                     sendResponse
                 );
 
+            case MessageActions.WARMUP_TRANSLATION_MEMORY:
+                return this.handleWarmupTranslationMemoryMessage(
+                    message,
+                    sendResponse
+                );
+
+            case MessageActions.GET_TRANSLATION_MEMORY_STATS:
+                return this.handleGetTranslationMemoryStatsMessage(
+                    message,
+                    sendResponse
+                );
+
+            case MessageActions.CLEAR_TRANSLATION_MEMORY:
+                return this.handleClearTranslationMemoryMessage(
+                    message,
+                    sendResponse
+                );
+
+            case MessageActions.GET_RATE_LIMIT_STATUS:
+                return this.handleGetRateLimitStatusMessage(
+                    message,
+                    sendResponse
+                );
+
+            case MessageActions.GET_TRANSLATION_USAGE:
+                return this.handleGetTranslationUsageMessage(
+                    message,
+                    sendResponse
+                );
+
+            case MessageActions.RESET_TRANSLATION_USAGE:
+                return this.handleResetTranslationUsageMessage(
+                    message,
+                    sendResponse
+                );
+
+            case MessageActions.PARSE_SUBTITLE_FILE:
+                return this.handleParseSubtitleFileMessage(
+                    message,
+                    sendResponse
+                );
+
+            case MessageActions.SAVE_VOCABULARY_ENTRY:
+            case MessageActions.GET_VOCABULARY_ENTRIES:
+            case MessageActions.REVIEW_VOCABULARY_ENTRY:
+            case MessageActions.DELETE_VOCABULARY_ENTRY:
+            case MessageActions.OPEN_VOCABULARY_ENTRY:
+                return this.handleVocabularyMessage(message, sendResponse);
+
+            case MessageActions.LOOKUP_DICTIONARY:
+            case MessageActions.IMPORT_DICTIONARY:
+            case MessageActions.GET_DICTIONARIES:
+            case MessageActions.UPDATE_DICTIONARY:
+            case MessageActions.DELETE_DICTIONARY:
+            case MessageActions.GET_DICTIONARY_HEADWORDS:
+                return this.handleDictionaryMessage(message, sendResponse);
+
             default:
                 this.logger.warn('Unknown message action', {
                     action: message.action,
@@ -260,13 +424,18 @@ class MessageHandler {
             return true;
         }
 
-        const { text, targetLang, cueStart, cueVideoId } = message;
+        const { text, targetLang, cueStart, cueVideoId, provider } = message;
 
         this.translationService
-            .translate(text, 'auto', targetLang)
-            .then((translatedText) => {
+            .translateWithFailover(text, 'auto', targetLang, {
+                videoId: cueVideoId,
+                cueStart,
+                provider,
+            })
+            .then(({ translatedText, provider }) => {
                 const response = ServiceProtocol.createResponse(request, {
                     translatedText,
+                    provider,
                     originalText: text,
                     sourceLanguage: 'auto',
                     targetLanguage: targetLang,
@@ -328,6 +497,7 @@ class MessageHandler {
                 options: {
                     batchId: message.batchId,
                     cueMetadata: message.cueMetadata,
+                    showInfo: message.showInfo,
                 },
             }
         );
@@ -349,13 +519,23 @@ class MessageHandler {
         }
 
         this.translationService
-            .translateBatch(message.texts, 'auto', message.targetLang, {
-                delimiter: message.delimiter,
-                batchId: message.batchId,
-            })
-            .then((translations) => {
+            .translateBatchWithFailover(
+                message.texts,
+                'auto',
+                message.targetLang,
+                {
+                    delimiter: message.delimiter,
+                    batchId: message.batchId,
+                    videoId: message.cueMetadata?.[0]?.videoId,
+                    cueMetadata: message.cueMetadata,
+                    showInfo: message.showInfo,
+                    provider: message.provider,
+                }
+            )
+            .then(({ translations, providers }) => {
                 const response = ServiceProtocol.createResponse(request, {
                     translations,
+                    providers,
                     batchId: message.batchId,
                     originalTexts: message.texts,
                     processingTime: Date.now() - request.metadata.timestamp,
@@ -364,6 +544,7 @@ class MessageHandler {
                 sendResponse({
                     success: true,
                     translations,
+                    providers,
                     batchId: message.batchId,
                     processingTime: response.metadata.processingTime,
                 });
@@ -409,14 +590,18 @@ class MessageHandler {
             return true;
         }
 
+        // Answer for the platform or title override provider when one is sent
+        const [providerId] = this.translationService.getProviderChain(
+            message.provider
+        );
         const supportsBatch =
-            this.translationService.currentProviderSupportsBatch();
-        const provider = this.translationService.getCurrentProvider();
+            this.translationService.currentProviderSupportsBatch(providerId);
+        const provider = this.translationService.providers[providerId];
 
         sendResponse({
             supportsBatch,
             provider: provider?.name || 'Unknown',
-            providerId: this.translationService.currentProviderId,
+            providerId,
         });
 
         return true;
@@ -519,10 +704,16 @@ class MessageHandler {
      * Handle generic VTT requests
      */
     handleGenericVTTRequest(message, sendResponse) {
-        const { url, videoId, targetLanguage, originalLanguage } = message;
+        const { url, videoId, targetLanguage, originalLanguage, source } =
+            message;
 
         this.subtitleService
-            .fetchAndProcessSubtitles(url, targetLanguage, originalLanguage)
+            .fetchAndProcessSubtitles(
+                url,
+                targetLanguage,
+                originalLanguage,
+                source
+            )
             .then((result) => {
                 sendResponse({
                     success: true,
@@ -589,6 +780,71 @@ class MessageHandler {
      * Handle AI context analysis requests
      */
     handleAnalyzeContextMessage(message, sendResponse) {
+        this._runContextAnalysis(message).then(sendResponse);
+        return true; // Async response
+    }
+
+    /**
+     * Handle streamed AI context analysis over a port. The content script
+     * posts one analyzeContext request and receives `partial` messages with
+     * the analysis generated so far, then one `result` message with the
+     * response a one-shot request would get. Disconnecting cancels it.
+     * @param {chrome.runtime.Port} port - Port opened by the content script
+     */
+    handleContextStreamPort(port) {
+        const controller = new AbortController();
+        let finished = false;
+        const post = (message) => {
+            try {
+                port.postMessage(message);
+            } catch (_) {
+                // The content script went away; onDisconnect cancels
+            }
+        };
+
+        port.onDisconnect.addListener(() => {
+            if (!finished) {
+                this.logger.debug('Context analysis stream cancelled');
+                controller.abort();
+            }
+        });
+
+        port.onMessage.addListener((message) => {
+            if (message?.action !== MessageActions.ANALYZE_CONTEXT) {
+                return;
+            }
+            const { requestId, contextType = 'all' } = message;
+            this._runContextAnalysis(message, {
+                signal: controller.signal,
+                onPartial: (analysis) => {
+                    if (finished) return;
+                    post({
+                        type: 'partial',
+                        requestId,
+                        result: {
+                            contextType,
+                            analysis,
+                            isStructured: true,
+                            partial: true,
+                        },
+                    });
+                },
+            }).then((response) => {
+                finished = true;
+                post({ type: 'result', requestId, response });
+            });
+        });
+    }
+
+    /**
+     * Run a context analysis request and build the response for the
+     * content script
+     * @param {Object} message - analyzeContext request
+     * @param {Object} [options] - `onPartial` and `signal` for streaming
+     * @returns {Promise<Object>} Response, never rejects
+     * @private
+     */
+    _runContextAnalysis(message, options = {}) {
         const {
             text,
             contextType = 'all',
@@ -605,6 +861,7 @@ class MessageHandler {
             hasMetadata: Object.keys(metadata).length > 0,
             hasAiContextService: !!this.aiContextService,
             requestId,
+            streaming: typeof options.onPartial === 'function',
         });
 
         if (!this.aiContextService) {
@@ -619,8 +876,7 @@ class MessageHandler {
                 'AI Context service not available',
                 errorResponse
             );
-            sendResponse(errorResponse);
-            return true;
+            return Promise.resolve(errorResponse);
         }
 
         // Include target language in metadata for AI providers
@@ -638,8 +894,8 @@ class MessageHandler {
             targetLanguage: enhancedMetadata.targetLanguage,
         });
 
-        this.aiContextService
-            .analyzeContext(text, contextType, enhancedMetadata)
+        return this.aiContextService
+            .analyzeContext(text, contextType, enhancedMetadata, options)
             .then((result) => {
                 this.logger.debug('AI Context service returned result', {
                     success: result.success,
@@ -666,7 +922,7 @@ class MessageHandler {
                     responseKeys: Object.keys(response),
                 });
 
-                sendResponse(response);
+                return response;
             })
             .catch((error) => {
                 this.logger.error('Context analysis failed', error, {
@@ -687,7 +943,100 @@ class MessageHandler {
                     'Sending error response to content script',
                     errorResponse
                 );
-                sendResponse(errorResponse);
+                return errorResponse;
+            });
+    }
+
+    /**
+     * Handle follow-up questions about a context analysis
+     */
+    handleContextFollowUpMessage(message, sendResponse) {
+        const {
+            conversation,
+            targetLanguage,
+            language: sourceLanguage,
+            requestId,
+        } = message;
+
+        if (!this.aiContextService) {
+            sendResponse({
+                success: false,
+                error: 'AI Context service not available',
+                requestId,
+            });
+            return true;
+        }
+
+        this.aiContextService
+            .askFollowUp(conversation, {
+                targetLanguage: targetLanguage || 'en',
+                sourceLanguage: sourceLanguage || 'auto',
+            })
+            .then((result) => {
+                sendResponse({
+                    success: result.success,
+                    result,
+                    error: result.error,
+                    requestId,
+                });
+            })
+            .catch((error) => {
+                this.logger.error('Follow-up question failed', error, {
+                    turns: conversation.turns.length,
+                });
+                sendResponse({
+                    success: false,
+                    error: error.message || 'Follow-up question failed',
+                    requestId,
+                });
+            });
+
+        return true; // Async response
+    }
+
+    /**
+     * Handle custom context template tests from the options page
+     */
+    handleTestContextTemplateMessage(message, sendResponse) {
+        const {
+            template,
+            text,
+            targetLanguage,
+            language: sourceLanguage,
+            surroundingContext,
+            showTitle,
+        } = message;
+
+        if (!this.aiContextService) {
+            sendResponse({
+                success: false,
+                error: 'AI Context service not available',
+            });
+            return true;
+        }
+
+        this.aiContextService
+            .testContextTemplate(template, text, {
+                targetLanguage: targetLanguage || 'en',
+                sourceLanguage: sourceLanguage || 'auto',
+                surroundingContext,
+                showTitle,
+            })
+            .then((result) => {
+                sendResponse({
+                    success: result.success,
+                    result,
+                    error: result.error,
+                });
+            })
+            .catch((error) => {
+                this.logger.error('Context template test failed', error, {
+                    contextType: template?.id,
+                });
+                sendResponse({
+                    success: false,
+                    error: error.message || 'Context template test failed',
+                });
             });
 
         return true; // Async response
@@ -967,6 +1316,299 @@ class MessageHandler {
 
         return true;
     }
+
+    /**
+     * Handle translation memory warmup requests (sent when a video's
+     * subtitles have loaded)
+     */
+    handleWarmupTranslationMemoryMessage(message, sendResponse) {
+        if (!this.translationService) {
+            sendResponse({
+                success: false,
+                error: 'Translation service not initialized',
+            });
+            return true;
+        }
+
+        this.translationService
+            .warmupTranslationMemory(message.videoId)
+            .then((warmed) => {
+                sendResponse({ success: true, warmed });
+            })
+            .catch((error) => {
+                this.logger.warn('Translation memory warmup failed', error, {
+                    videoId: message.videoId,
+                });
+                sendResponse({ success: false, error: error.message });
+            });
+
+        return true; // Async response
+    }
+
+    /**
+     * Handle translation memory statistics requests
+     */
+    handleGetTranslationMemoryStatsMessage(message, sendResponse) {
+        if (!this.translationService) {
+            sendResponse({
+                success: false,
+                error: 'Translation service not initialized',
+            });
+            return true;
+        }
+
+        sendResponse({
+            success: true,
+            stats: this.translationService.getTranslationMemoryStats(),
+        });
+        return true;
+    }
+
+    /**
+     * Handle translation memory clear requests
+     */
+    handleClearTranslationMemoryMessage(message, sendResponse) {
+        if (!this.translationService) {
+            sendResponse({
+                success: false,
+                error: 'Translation service not initialized',
+            });
+            return true;
+        }
+
+        this.translationService
+            .clearTranslationMemory()
+            .then(() => {
+                sendResponse({
+                    success: true,
+                    stats: this.translationService.getTranslationMemoryStats(),
+                });
+            })
+            .catch((error) => {
+                this.logger.error('Failed to clear translation memory', error);
+                sendResponse({ success: false, error: error.message });
+            });
+
+        return true; // Async response
+    }
+
+    /**
+     * Handle translation usage report requests (options page dashboard)
+     */
+    handleGetTranslationUsageMessage(message, sendResponse) {
+        if (!this.translationService) {
+            sendResponse({
+                success: false,
+                error: 'Translation service not initialized',
+            });
+            return true;
+        }
+
+        this.translationService
+            .getUsageReport()
+            .then((usage) => sendResponse({ success: true, usage }))
+            .catch((error) => {
+                this.logger.error('Failed to get translation usage', error);
+                sendResponse({ success: false, error: error.message });
+            });
+
+        return true; // Async response
+    }
+
+    /**
+     * Handle translation usage reset requests
+     */
+    handleResetTranslationUsageMessage(message, sendResponse) {
+        if (!this.translationService) {
+            sendResponse({
+                success: false,
+                error: 'Translation service not initialized',
+            });
+            return true;
+        }
+
+        this.translationService
+            .resetUsage()
+            .then(() => this.translationService.getUsageReport())
+            .then((usage) => sendResponse({ success: true, usage }))
+            .catch((error) => {
+                this.logger.error('Failed to reset translation usage', error);
+                sendResponse({ success: false, error: error.message });
+            });
+
+        return true; // Async response
+    }
+
+    /**
+     * Handle rate limit status requests for the provider that would serve
+     * the next translation (first usable provider of the failover chain)
+     */
+    handleGetRateLimitStatusMessage(message, sendResponse) {
+        if (!this.translationService) {
+            sendResponse({
+                success: false,
+                error: 'Translation service not initialized',
+            });
+            return true;
+        }
+
+        const [providerId] = this.translationService.getFailoverCandidates();
+        sendResponse({
+            success: true,
+            providerId,
+            status: this.translationService.getRateLimitStatus(providerId),
+        });
+        return true;
+    }
+
+    /**
+     * Parse a user-supplied subtitle file into VTT
+     */
+    handleParseSubtitleFileMessage(message, sendResponse) {
+        if (!this.subtitleService) {
+            sendResponse({
+                success: false,
+                error: 'Subtitle service not initialized',
+            });
+            return true;
+        }
+
+        try {
+            const result = this.subtitleService.parseSubtitleFile(
+                message.content,
+                message.fileName
+            );
+            sendResponse({ success: true, ...result });
+        } catch (error) {
+            this.logger.warn('Subtitle file parsing failed', {
+                fileName: message.fileName,
+                error: error.message,
+            });
+            sendResponse({
+                success: false,
+                error: error.message,
+                errorType: error.type,
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Handle vocabulary notebook requests from the AI context modal and the
+     * options page review section
+     */
+    handleVocabularyMessage(message, sendResponse) {
+        const notebook = this.vocabularyNotebook;
+        if (!notebook) {
+            sendResponse({
+                success: false,
+                error: 'Vocabulary notebook not initialized',
+            });
+            return true;
+        }
+
+        let pending;
+        switch (message.action) {
+            case MessageActions.SAVE_VOCABULARY_ENTRY:
+                pending = notebook
+                    .addEntry(message.entry)
+                    .then((entry) => ({ entry }));
+                break;
+            case MessageActions.GET_VOCABULARY_ENTRIES:
+                pending = Promise.all([
+                    notebook.listEntries({
+                        videoTitle: message.videoTitle,
+                        dueOnly: !!message.dueOnly,
+                    }),
+                    notebook.getStats(),
+                ]).then(([entries, stats]) => ({ entries, stats }));
+                break;
+            case MessageActions.REVIEW_VOCABULARY_ENTRY:
+                pending = notebook
+                    .reviewEntry(message.id, message.quality)
+                    .then((entry) => ({ entry }));
+                break;
+            case MessageActions.DELETE_VOCABULARY_ENTRY:
+                pending = notebook.deleteEntry(message.id).then(() => ({}));
+                break;
+            case MessageActions.OPEN_VOCABULARY_ENTRY:
+                pending = notebook.openEntry(message.id);
+                break;
+        }
+
+        pending
+            .then((result) => sendResponse({ success: true, ...result }))
+            .catch((error) => {
+                this.logger.error('Vocabulary notebook request failed', error, {
+                    action: message.action,
+                });
+                sendResponse({ success: false, error: error.message });
+            });
+
+        return true; // Async response
+    }
+
+    /**
+     * Handle offline dictionary lookups from the subtitle word popover,
+     * headwords for dictionary-based word segmentation and dictionary
+     * management from the options page
+     */
+    handleDictionaryMessage(message, sendResponse) {
+        const dictionaries = this.dictionaryService;
+        if (!dictionaries) {
+            sendResponse({
+                success: false,
+                error: 'Dictionary service not initialized',
+            });
+            return true;
+        }
+
+        let pending;
+        switch (message.action) {
+            case MessageActions.LOOKUP_DICTIONARY:
+                pending = dictionaries.lookup(message.text, message.language);
+                break;
+            case MessageActions.IMPORT_DICTIONARY:
+                pending = dictionaries.importDictionary({
+                    content: message.content,
+                    fileName: message.fileName,
+                    title: message.title,
+                    dictionaryId: message.dictionaryId,
+                });
+                break;
+            case MessageActions.GET_DICTIONARIES:
+                pending = dictionaries
+                    .listDictionaries()
+                    .then((list) => ({ dictionaries: list }));
+                break;
+            case MessageActions.UPDATE_DICTIONARY:
+                pending = dictionaries
+                    .updateDictionary(message.id, message.changes)
+                    .then((dictionary) => ({ dictionary }));
+                break;
+            case MessageActions.DELETE_DICTIONARY:
+                pending = dictionaries
+                    .deleteDictionary(message.id)
+                    .then(() => ({}));
+                break;
+            case MessageActions.GET_DICTIONARY_HEADWORDS:
+                pending = dictionaries
+                    .getHeadwords(message.language)
+                    .then((words) => ({ words }));
+                break;
+        }
+
+        pending
+            .then((result) => sendResponse({ success: true, ...result }))
+            .catch((error) => {
+                this.logger.error('Dictionary request failed', error, {
+                    action: message.action,
+                });
+                sendResponse({ success: false, error: error.message });
+            });
+
+        return true; // Async response
+    }
 }
 
 // Export singleton instance
@@ -10,11 +10,15 @@
 
 import { translationProviders } from './services/translationService.js';
 import { subtitleService } from './services/subtitleService.js';
-import { batchTranslationQueue } from './services/batchTranslationQueue.js';
 import { aiContextService } from './services/aiContextService.js';
+import { genericSiteService } from './services/genericSiteService.js';
+import { vocabularyNotebook } from './services/vocabularyNotebook.js';
+import { dictionaryService } from './services/dictionaryService.js';
+import { hotkeyCommandService } from './services/hotkeyCommandService.js';
 import { loggingManager } from './utils/loggingManager.js';
 import { messageHandler } from './handlers/messageHandler.js';
 import { configService } from '../services/configService.js';
+import { apiKeyVault } from '../services/apiKeyVault.js';
 import { serviceRegistry } from './services/serviceInterfaces.js';
 import { performanceMonitor } from './utils/performanceMonitor.js';
 import Logger from '../utils/logger.js';
@@ -45,14 +49,30 @@ async function initializeServices() {
         await subtitleService.initialize();
         backgroundLogger.info('Subtitle service initialized');
 
-        // Initialize batch translation queue
-        await batchTranslationQueue.initialize();
-        backgroundLogger.info('Batch translation queue initialized');
-
         // Initialize AI context service
         await aiContextService.initialize();
         backgroundLogger.info('AI context service initialized');
 
+        // Register the generic video content script for allowlisted sites
+        await genericSiteService.initialize();
+        backgroundLogger.info('Generic site service initialized');
+
+        // Watch tab loads for jumps back to saved vocabulary moments
+        vocabularyNotebook.initialize();
+        backgroundLogger.info('Vocabulary notebook initialized');
+
+        // Offline dictionaries for the subtitle word popover
+        await dictionaryService.initialize();
+        backgroundLogger.info('Dictionary service initialized');
+
+        // Forward browser keyboard shortcuts to the active tab
+        hotkeyCommandService.initialize();
+        backgroundLogger.info('Hotkey command service initialized');
+
+        // Move plaintext API keys into the encrypted vault
+        await apiKeyVault.initialize();
+        backgroundLogger.info('API key vault initialized');
+
         // Initialize message handler
         messageHandler.initialize();
         backgroundLogger.info('Message handler initialized');
@@ -66,14 +86,16 @@ async function initializeServices() {
             'translation',
             'logging',
         ]);
-        serviceRegistry.register('batchQueue', batchTranslationQueue, [
-            'translation',
-            'config',
-        ]);
         serviceRegistry.register('aiContext', aiContextService, [
             'config',
             'logging',
         ]);
+        serviceRegistry.register('genericSites', genericSiteService, [
+            'config',
+        ]);
+        serviceRegistry.register('vocabulary', vocabularyNotebook, []);
+        serviceRegistry.register('dictionaries', dictionaryService, ['config']);
+        serviceRegistry.register('hotkeyCommands', hotkeyCommandService, []);
         serviceRegistry.register('logging', loggingManager, ['config']);
         serviceRegistry.register('config', configService, []);
         serviceRegistry.register('messageHandler', messageHandler, [
@@ -87,7 +109,9 @@ async function initializeServices() {
         messageHandler.setServices(
             translationProviders,
             subtitleService,
-            aiContextService
+            aiContextService,
+            vocabularyNotebook,
+            dictionaryService
         );
         backgroundLogger.info('Services injected into message handler');
 
@@ -0,0 +1,348 @@
+/**
+ * Dictionary File Parser
+ *
+ * Parses user-imported dictionaries into the entry format stored by the
+ * dictionary service: Yomichan / Yomitan term and kanji banks (the JSON
+ * files inside the dictionary zip, plus its index.json for the title),
+ * CC-CEDICT text files, and plain JSON glossaries (StarDict-style
+ * `{ "word": "definition" }` maps or arrays of entry objects).
+ *
+ * Runs in the service worker, so it only relies on string processing
+ * (no DOMParser).
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { loggingManager } from '../utils/loggingManager.js';
+import { toneNumbersToMarks } from '../../utils/pronunciation.js';
+
+export const DictionaryFileFormats = {
+    YOMICHAN: 'yomichan',
+    CC_CEDICT: 'cc-cedict',
+    JSON: 'json',
+};
+
+/**
+ * @typedef {Object} DictionaryFileEntry
+ * @property {string} term - Headword
+ * @property {string[]} variants - Other spellings (traditional characters)
+ * @property {string} reading - Reading (kana, pinyin with tone marks)
+ * @property {string[]} partOfSpeech - Part of speech tags
+ * @property {string[]} rules - Deinflection word classes (Yomichan `rules`)
+ * @property {string[]} senses - Definitions
+ * @property {number} score - Ranking among entries of the same term
+ */
+
+// "傳統 传统 [chuan2 tong3] /tradition/traditional/"
+const CEDICT_LINE = /^(\S+)\s+(\S+)\s+\[([^\]]*)\]\s+\/(.+)\/\s*$/;
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+};
+
+export class DictionaryFileParser {
+    constructor() {
+        this.logger = loggingManager.createLogger('DictionaryFileParser');
+    }
+
+    /**
+     * Parse a dictionary file
+     * @param {string} content - File content
+     * @param {string} [fileName] - File name, used to detect the format
+     * @returns {{format: string, title: string|null, language: string|null, entries: DictionaryFileEntry[]}}
+     */
+    parse(content, fileName = '') {
+        const text = String(content || '').replace(/^\uFEFF/, '');
+        const format = this.detectFormat(text, fileName);
+        if (!format) {
+            throw new Error('Unsupported dictionary file format');
+        }
+
+        let result;
+        switch (format) {
+            case DictionaryFileFormats.CC_CEDICT:
+                result = this.parseCedict(text);
+                break;
+            case DictionaryFileFormats.YOMICHAN:
+                result = this.parseYomichan(JSON.parse(text));
+                break;
+            default:
+                result = this.parseJson(JSON.parse(text));
+                break;
+        }
+
+        const entries = result.entries.filter(
+            (entry) => entry.term && entry.senses.length > 0
+        );
+        // index.json only carries the title
+        if (entries.length === 0 && !result.title) {
+            throw new Error(`No dictionary entries found in ${format} file`);
+        }
+
+        this.logger.info('Dictionary file parsed', {
+            fileName,
+            format,
+            entryCount: entries.length,
+        });
+
+        return {
+            format,
+            title: result.title || null,
+            language: result.language || this.detectLanguage(entries),
+            entries,
+        };
+    }
+
+    /**
+     * Detect the dictionary format from the content
+     * @param {string} content - File content
+     * @param {string} [fileName] - File name
+     * @returns {string|null} One of DictionaryFileFormats, or null if unknown
+     */
+    detectFormat(content, fileName = '') {
+        const head = content.trimStart().slice(0, 2000);
+        if (head.startsWith('[')) {
+            // Yomichan banks are arrays of arrays
+            return /^\[\s*\[/.test(head)
+                ? DictionaryFileFormats.YOMICHAN
+                : DictionaryFileFormats.JSON;
+        }
+        if (head.startsWith('{')) {
+            return /index\.json$/i.test(fileName) ||
+                /"(?:format|version)"\s*:\s*3/.test(head)
+                ? DictionaryFileFormats.YOMICHAN
+                : DictionaryFileFormats.JSON;
+        }
+        const lines = head.split(/\r?\n/).filter((line) => line.trim());
+        if (
+            lines.some(
+                (line) => !line.startsWith('#') && CEDICT_LINE.test(line)
+            )
+        ) {
+            return DictionaryFileFormats.CC_CEDICT;
+        }
+        return null;
+    }
+
+    /**
+     * Parse CC-CEDICT lines. The simplified form is the headword and the
+     * traditional one a variant, so lookups work with either script.
+     * @param {string} text - File content
+     * @returns {{title: string, language: string, entries: DictionaryFileEntry[]}}
+     */
+    parseCedict(text) {
+        const entries = [];
+        for (const line of text.split(/\r?\n/)) {
+            const match = !line.startsWith('#') && CEDICT_LINE.exec(line);
+            if (!match) {
+                continue;
+            }
+            const [, traditional, simplified, pinyin, definitions] = match;
+            entries.push({
+                term: simplified,
+                variants: traditional === simplified ? [] : [traditional],
+                reading: toneNumbersToMarks(pinyin),
+                partOfSpeech: [],
+                rules: [],
+                senses: definitions
+                    .split('/')
+                    .map((sense) => sense.trim())
+                    .filter(Boolean),
+                score: 0,
+            });
+        }
+        return { title: 'CC-CEDICT', language: 'zh', entries };
+    }
+
+    /**
+     * Parse a Yomichan term bank, kanji bank or index.json
+     * @param {Array|Object} data - Parsed JSON
+     * @returns {{title: string|null, language: string|null, entries: DictionaryFileEntry[]}}
+     */
+    parseYomichan(data) {
+        if (!Array.isArray(data)) {
+            return {
+                title: data?.title || null,
+                language: data?.sourceLanguage || null,
+                entries: [],
+            };
+        }
+
+        const entries = [];
+        for (const row of data) {
+            if (!Array.isArray(row) || typeof row[0] !== 'string') {
+                continue;
+            }
+            // Kanji bank: [character, onyomi, kunyomi, tags, meanings, stats]
+            if (Array.isArray(row[4])) {
+                entries.push({
+                    term: row[0],
+                    variants: [],
+                    reading: [row[1], row[2]].filter(Boolean).join(' / '),
+                    partOfSpeech: this.splitTags(row[3]),
+                    rules: [],
+                    senses: row[4].map((meaning) => this.cleanText(meaning)),
+                    score: 0,
+                });
+                continue;
+            }
+            // Term bank v3: [term, reading, tags, rules, score, glossary,
+            // sequence, termTags]; v1 lists the glossary from index 5 on
+            const glossary = Array.isArray(row[5]) ? row[5] : row.slice(5);
+            entries.push({
+                term: row[0],
+                variants: [],
+                reading: row[1] && row[1] !== row[0] ? row[1] : '',
+                partOfSpeech: this.splitTags(row[2]),
+                rules: this.splitTags(row[3]),
+                senses: glossary
+                    .map((item) => this.glossaryText(item))
+                    .filter(Boolean),
+                score: Number(row[4]) || 0,
+            });
+        }
+        return { title: null, language: null, entries };
+    }
+
+    /**
+     * Parse a plain JSON glossary: an object mapping words to definitions,
+     * or an array of objects with term/word/headword and
+     * senses/definitions/definition/meanings fields
+     * @param {Array|Object} data - Parsed JSON
+     * @returns {{title: string|null, language: string|null, entries: DictionaryFileEntry[]}}
+     */
+    parseJson(data) {
+        const items = Array.isArray(data)
+            ? data
+            : Object.entries(data || {}).map(([term, definition]) => ({
+                  term,
+                  definition,
+              }));
+
+        const entries = items
+            .filter((item) => item && typeof item === 'object')
+            .map((item) => {
+                const definitions =
+                    item.senses ??
+                    item.definitions ??
+                    item.meanings ??
+                    item.definition ??
+                    item.meaning ??
+                    [];
+                const partOfSpeech = item.partOfSpeech ?? item.pos ?? [];
+                return {
+                    term: this.cleanText(
+                        item.term ?? item.word ?? item.headword ?? ''
+                    ),
+                    variants: [],
+                    reading: this.cleanText(item.reading ?? ''),
+                    partOfSpeech: Array.isArray(partOfSpeech)
+                        ? partOfSpeech.map(String)
+                        : this.splitTags(partOfSpeech),
+                    rules: [],
+                    senses: (Array.isArray(definitions)
+                        ? definitions
+                        : [definitions]
+                    )
+                        .map((sense) => this.glossaryText(sense))
+                        .filter(Boolean),
+                    score: 0,
+                };
+            });
+        return { title: null, language: null, entries };
+    }
+
+    /**
+     * Text of a glossary item: a string, a Yomichan text or
+     * structured-content object, or an object with a definition
+     * @param {*} item - Glossary item
+     * @returns {string}
+     */
+    glossaryText(item) {
+        if (typeof item === 'string') {
+            return this.cleanText(item);
+        }
+        if (Array.isArray(item)) {
+            return item
+                .map((child) => this.glossaryText(child))
+                .filter(Boolean)
+                .join(' ');
+        }
+        if (!item || typeof item !== 'object') {
+            return '';
+        }
+        if (item.type === 'text' || typeof item.text === 'string') {
+            return this.cleanText(item.text);
+        }
+        if (item.type === 'image') {
+            return '';
+        }
+        if ('content' in item) {
+            return this.glossaryText(item.content);
+        }
+        return this.glossaryText(item.definition ?? item.meaning ?? '');
+    }
+
+    /**
+     * Strip HTML tags and entities from dictionary text
+     * @param {*} value - Text
+     * @returns {string}
+     */
+    cleanText(value) {
+        return String(value ?? '')
+            .replace(/<br\s*\/?>/gi, '; ')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&(#x?[\da-f]+|[a-z]+);/gi, (entity, name) => {
+                if (name[0] === '#') {
+                    const code =
+                        name[1].toLowerCase() === 'x'
+                            ? parseInt(name.slice(2), 16)
+                            : parseInt(name.slice(1), 10);
+                    return Number.isFinite(code)
+                        ? String.fromCodePoint(code)
+                        : entity;
+                }
+                return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+            })
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * @param {*} tags - Space separated tags
+     * @returns {string[]}
+     */
+    splitTags(tags) {
+        return typeof tags === 'string'
+            ? tags.split(/\s+/).filter(Boolean)
+            : [];
+    }
+
+    /**
+     * Guess the language of a dictionary from the script of its headwords
+     * @param {DictionaryFileEntry[]} entries - Entries
+     * @returns {string|null} 'ja', 'zh', 'ko', or null for any language
+     */
+    detectLanguage(entries) {
+        const sample = entries
+            .slice(0, 500)
+            .map((entry) => entry.term + entry.reading)
+            .join('');
+        if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(sample)) {
+            return 'ja';
+        }
+        if (/\p{Script=Hangul}/u.test(sample)) {
+            return 'ko';
+        }
+        return /\p{Script=Han}/u.test(sample) ? 'zh' : null;
+    }
+}
+
+// Export singleton instance
+export const dictionaryFileParser = new DictionaryFileParser();
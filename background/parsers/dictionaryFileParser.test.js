@@ -0,0 +1,116 @@
+import {
+    dictionaryFileParser,
+    DictionaryFileFormats,
+} from './dictionaryFileParser.js';
+
+describe('DictionaryFileParser', () => {
+    test('parses CC-CEDICT lines with tone marks and traditional variants', () => {
+        const cedict = [
+            '# CC-CEDICT',
+            '#! version=1',
+            '傳統 传统 [chuan2 tong3] /tradition/traditional/',
+            '你好 你好 [ni3 hao3] /hello/hi/',
+        ].join('\r\n');
+
+        const result = dictionaryFileParser.parse(cedict, 'cedict_ts.u8');
+
+        expect(result).toMatchObject({
+            format: DictionaryFileFormats.CC_CEDICT,
+            title: 'CC-CEDICT',
+            language: 'zh',
+        });
+        expect(result.entries).toEqual([
+            {
+                term: '传统',
+                variants: ['傳統'],
+                reading: 'chuán tǒng',
+                partOfSpeech: [],
+                rules: [],
+                senses: ['tradition', 'traditional'],
+                score: 0,
+            },
+            expect.objectContaining({ term: '你好', variants: [] }),
+        ]);
+    });
+
+    test('parses Yomichan term banks with structured content', () => {
+        const bank = JSON.stringify([
+            [
+                '食べる',
+                'たべる',
+                'v1 vt',
+                'v1',
+                10,
+                [
+                    'to eat',
+                    {
+                        type: 'structured-content',
+                        content: [
+                            { tag: 'span', content: 'to live on' },
+                            { tag: 'img', path: 'x.png' },
+                        ],
+                    },
+                ],
+                1358280,
+                'P',
+            ],
+            ['猫', 'ねこ', 'n', '', 5, ['cat'], 1467640, ''],
+        ]);
+
+        const result = dictionaryFileParser.parse(bank, 'term_bank_1.json');
+
+        expect(result.format).toBe(DictionaryFileFormats.YOMICHAN);
+        expect(result.language).toBe('ja');
+        expect(result.entries[0]).toEqual({
+            term: '食べる',
+            variants: [],
+            reading: 'たべる',
+            partOfSpeech: ['v1', 'vt'],
+            rules: ['v1'],
+            senses: ['to eat', 'to live on'],
+            score: 10,
+        });
+        expect(
+            dictionaryFileParser.parse(
+                JSON.stringify({ title: 'JMdict', format: 3 }),
+                'index.json'
+            )
+        ).toMatchObject({ title: 'JMdict', entries: [] });
+    });
+
+    test('parses JSON glossaries as maps or entry arrays', () => {
+        const map = dictionaryFileParser.parse(
+            JSON.stringify({ casa: 'house; <b>home</b>' }),
+            'es.json'
+        );
+        expect(map.format).toBe(DictionaryFileFormats.JSON);
+        expect(map.language).toBeNull();
+        expect(map.entries[0]).toMatchObject({
+            term: 'casa',
+            senses: ['house; home'],
+        });
+
+        const list = dictionaryFileParser.parse(
+            JSON.stringify([
+                { word: 'run', pos: 'verb', definitions: ['to move fast'] },
+                { word: 'empty' },
+            ])
+        );
+        expect(list.entries).toEqual([
+            expect.objectContaining({
+                term: 'run',
+                partOfSpeech: ['verb'],
+                senses: ['to move fast'],
+            }),
+        ]);
+    });
+
+    test('rejects unknown formats and files without entries', () => {
+        expect(() =>
+            dictionaryFileParser.parse('just some text', 'notes.txt')
+        ).toThrow('Unsupported dictionary file format');
+        expect(() => dictionaryFileParser.parse('[]', 'empty.json')).toThrow(
+            'No dictionary entries'
+        );
+    });
+});
@@ -0,0 +1,448 @@
+/**
+ * Subtitle File Parser
+ *
+ * Parses user-supplied subtitle files (SRT, ASS/SSA, TTML/DFXP, SBV and
+ * WebVTT) into the shared cue format ({ start, end, text }) and converts
+ * them back to VTT so they can replace a platform track.
+ *
+ * Runs in the service worker, so it only relies on string processing
+ * (no DOMParser).
+ *
+ * @author DualSub Extension
+ * @version 2.0.0
+ */
+
+import { loggingManager } from '../utils/loggingManager.js';
+import { cuesToVtt } from '../../content_scripts/shared/vttCues.js';
+
+export const SubtitleFileFormats = {
+    SRT: 'srt',
+    ASS: 'ass',
+    TTML: 'ttml',
+    SBV: 'sbv',
+    VTT: 'vtt',
+};
+
+const EXTENSION_FORMATS = {
+    srt: SubtitleFileFormats.SRT,
+    ass: SubtitleFileFormats.ASS,
+    ssa: SubtitleFileFormats.ASS,
+    ttml: SubtitleFileFormats.TTML,
+    dfxp: SubtitleFileFormats.TTML,
+    xml: SubtitleFileFormats.TTML,
+    sbv: SubtitleFileFormats.SBV,
+    vtt: SubtitleFileFormats.VTT,
+    webvtt: SubtitleFileFormats.VTT,
+};
+
+// Field order used by ASS/SSA files that omit the [Events] Format line
+const DEFAULT_ASS_EVENT_FORMAT = [
+    'layer',
+    'start',
+    'end',
+    'style',
+    'name',
+    'marginl',
+    'marginr',
+    'marginv',
+    'effect',
+    'text',
+];
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+};
+
+export class SubtitleFileParser {
+    constructor() {
+        this.logger = loggingManager.createLogger('SubtitleFileParser');
+    }
+
+    /**
+     * Parse a subtitle file into cues
+     * @param {string} content - File content
+     * @param {string} [fileName] - File name, used to detect the format
+     * @returns {{format: string, cues: Array<{start: number, end: number, text: string}>}}
+     */
+    parse(content, fileName = '') {
+        const text = String(content || '')
+            .replace(/^\uFEFF/, '')
+            .replace(/\r\n?/g, '\n');
+        const format = this.detectFormat(text, fileName);
+        if (!format) {
+            throw new Error('Unsupported subtitle file format');
+        }
+
+        let cues;
+        switch (format) {
+            case SubtitleFileFormats.ASS:
+                cues = this.parseASS(text);
+                break;
+            case SubtitleFileFormats.TTML:
+                cues = this.parseTTML(text);
+                break;
+            case SubtitleFileFormats.SBV:
+                cues = this.parseSBV(text);
+                break;
+            default:
+                // SRT and VTT share the "start --> end" cue block layout
+                cues = this.parseSRT(text);
+                break;
+        }
+
+        cues = this.normalizeCues(cues);
+        if (cues.length === 0) {
+            throw new Error(`No subtitle cues found in ${format} file`);
+        }
+
+        this.logger.info('Subtitle file parsed', {
+            fileName,
+            format,
+            cueCount: cues.length,
+        });
+
+        return { format, cues };
+    }
+
+    /**
+     * Detect the subtitle format from the file name, falling back to content sniffing
+     * @param {string} content - File content
+     * @param {string} [fileName] - File name
+     * @returns {string|null} One of SubtitleFileFormats, or null if unknown
+     */
+    detectFormat(content, fileName = '') {
+        const extension = fileName.split('.').pop().toLowerCase();
+        if (fileName.includes('.') && EXTENSION_FORMATS[extension]) {
+            return EXTENSION_FORMATS[extension];
+        }
+
+        const head = content.trimStart().slice(0, 2000);
+        if (/^WEBVTT/.test(head)) return SubtitleFileFormats.VTT;
+        if (/^\[Script Info\]/im.test(head) || /^Dialogue:/m.test(content)) {
+            return SubtitleFileFormats.ASS;
+        }
+        if (/<tt[\s>]/.test(head)) return SubtitleFileFormats.TTML;
+        if (/-->/.test(head)) return SubtitleFileFormats.SRT;
+        if (/^\d+:\d{2}:\d{2}\.\d+,\d+:\d{2}:\d{2}\.\d+/m.test(head)) {
+            return SubtitleFileFormats.SBV;
+        }
+        return null;
+    }
+
+    /**
+     * Parse SubRip (and WebVTT) cue blocks
+     * @param {string} content - Normalized file content
+     * @returns {Array<Object>} Cues
+     */
+    parseSRT(content) {
+        const cues = [];
+        for (const block of content.split(/\n\s*\n/)) {
+            const lines = block.split('\n');
+            const timingIndex = lines.findIndex((line) => line.includes('-->'));
+            // Skips WEBVTT headers, NOTE and STYLE blocks
+            if (timingIndex === -1 || timingIndex > 1) continue;
+
+            const [startPart, endPart] = lines[timingIndex].split('-->');
+            const start = this.parseClockTime(startPart.trim());
+            // Drop VTT cue settings and SRT coordinates after the end time
+            const end = this.parseClockTime(endPart.trim().split(/\s+/)[0]);
+
+            cues.push({
+                start,
+                end,
+                text: this.cleanMarkupText(
+                    lines.slice(timingIndex + 1).join('\n')
+                ),
+            });
+        }
+        return cues;
+    }
+
+    /**
+     * Parse ASS/SSA [Events] dialogue lines, stripping styles and override tags
+     * @param {string} content - Normalized file content
+     * @returns {Array<Object>} Cues
+     */
+    parseASS(content) {
+        const cues = [];
+        let inEvents = false;
+        let format = DEFAULT_ASS_EVENT_FORMAT;
+
+        for (const rawLine of content.split('\n')) {
+            const line = rawLine.trim();
+            if (/^\[.+\]$/.test(line)) {
+                inEvents = line.toLowerCase() === '[events]';
+                continue;
+            }
+            if (!inEvents) continue;
+
+            const separator = line.indexOf(':');
+            if (separator === -1) continue;
+            const type = line.slice(0, separator).trim().toLowerCase();
+            const value = line.slice(separator + 1).trim();
+
+            if (type === 'format') {
+                format = value
+                    .split(',')
+                    .map((field) => field.trim().toLowerCase());
+                continue;
+            }
+            if (type !== 'dialogue') continue;
+
+            // Text is always the last field and may itself contain commas
+            const fields = value.split(',');
+            const textIndex = format.indexOf('text');
+            const head = fields.slice(0, textIndex);
+            const field = (name) => head[format.indexOf(name)]?.trim() || '';
+
+            cues.push({
+                start: this.parseClockTime(field('start')),
+                end: this.parseClockTime(field('end')),
+                text: this.cleanAssText(fields.slice(textIndex).join(',')),
+            });
+        }
+        return cues;
+    }
+
+    /**
+     * Parse TTML/DFXP <p> elements (clock, frame, tick and offset times)
+     * @param {string} content - Normalized file content
+     * @returns {Array<Object>} Cues
+     */
+    parseTTML(content) {
+        const rootTag = content.match(/<tt[\s>][^>]*>/i)?.[0] || '';
+        const rootAttribute = (name) =>
+            rootTag.match(new RegExp(`${name}="([^"]+)"`, 'i'))?.[1];
+        const timing = {
+            frameRate: parseFloat(rootAttribute('ttp:frameRate')) || 30,
+            tickRate: parseFloat(rootAttribute('ttp:tickRate')) || 0,
+        };
+        if (!timing.tickRate) {
+            timing.tickRate = rootAttribute('ttp:frameRate')
+                ? timing.frameRate
+                : 1;
+        }
+
+        const cues = [];
+        const paragraphRegex = /<p\b([^>]*)>([\s\S]*?)<\/p>/gi;
+        let match;
+        while ((match = paragraphRegex.exec(content)) !== null) {
+            const attributes = match[1];
+            const attribute = (name) =>
+                attributes.match(new RegExp(`\\s${name}="([^"]+)"`, 'i'))?.[1];
+            const begin = attribute('begin');
+            if (!begin) continue;
+
+            const start = this.parseTtmlTime(begin, timing);
+            const endValue = attribute('end');
+            const duration = attribute('dur');
+            const end = endValue
+                ? this.parseTtmlTime(endValue, timing)
+                : start + this.parseTtmlTime(duration || '0s', timing);
+
+            cues.push({
+                start,
+                end,
+                text: this.cleanMarkupText(match[2]),
+            });
+        }
+        return cues;
+    }
+
+    /**
+     * Parse YouTube SBV cue blocks ("0:00:01.000,0:00:03.000")
+     * @param {string} content - Normalized file content
+     * @returns {Array<Object>} Cues
+     */
+    parseSBV(content) {
+        const cues = [];
+        for (const block of content.split(/\n\s*\n/)) {
+            const [timingLine, ...textLines] = block.trim().split('\n');
+            const [startPart, endPart] = (timingLine || '').split(',');
+            if (!endPart) continue;
+
+            cues.push({
+                start: this.parseClockTime(startPart.trim()),
+                end: this.parseClockTime(endPart.trim()),
+                text: this.cleanMarkupText(textLines.join('\n')),
+            });
+        }
+        return cues;
+    }
+
+    /**
+     * Parse "[HH:]MM:SS[.,]fff" style timestamps (ASS centiseconds included)
+     * @param {string} value - Timestamp
+     * @returns {number} Seconds, or NaN if invalid
+     */
+    parseClockTime(value) {
+        const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d+))?$/.exec(
+            value || ''
+        );
+        if (!match) return NaN;
+
+        const [, hours = '0', minutes, seconds, fraction = '0'] = match;
+        return (
+            parseInt(hours, 10) * 3600 +
+            parseInt(minutes, 10) * 60 +
+            parseInt(seconds, 10) +
+            parseFloat(`0.${fraction}`)
+        );
+    }
+
+    /**
+     * Parse a TTML time expression
+     * @param {string} value - Clock time ("00:00:01.5", "00:00:01:12") or offset ("1.5s", "90f", "107607500t")
+     * @param {{frameRate: number, tickRate: number}} timing - Document timing parameters
+     * @returns {number} Seconds, or NaN if invalid
+     */
+    parseTtmlTime(value, timing) {
+        const trimmed = value.trim();
+
+        const frames = /^(\d+):(\d{2}):(\d{2}):(\d+(?:\.\d+)?)$/.exec(trimmed);
+        if (frames) {
+            return (
+                parseInt(frames[1], 10) * 3600 +
+                parseInt(frames[2], 10) * 60 +
+                parseInt(frames[3], 10) +
+                parseFloat(frames[4]) / timing.frameRate
+            );
+        }
+
+        const offset = /^(\d+(?:\.\d+)?)(h|m|s|ms|f|t)$/.exec(trimmed);
+        if (offset) {
+            const amount = parseFloat(offset[1]);
+            switch (offset[2]) {
+                case 'h':
+                    return amount * 3600;
+                case 'm':
+                    return amount * 60;
+                case 'ms':
+                    return amount / 1000;
+                case 'f':
+                    return amount / timing.frameRate;
+                case 't':
+                    return amount / timing.tickRate;
+                default:
+                    return amount;
+            }
+        }
+
+        return this.parseClockTime(trimmed);
+    }
+
+    /**
+     * Strip ASS override blocks ({\b1}, {\pos(..)}), vector drawings and
+     * line-break escapes from dialogue text
+     * @param {string} text - Raw dialogue text
+     * @returns {string} Plain text
+     */
+    cleanAssText(text) {
+        let drawing = false;
+        let plain = '';
+        const segmentRegex = /\{([^}]*)\}|([^{]+)/g;
+        let match;
+        while ((match = segmentRegex.exec(text)) !== null) {
+            if (match[1] !== undefined) {
+                const mode = /\\p(\d+)/.exec(match[1]);
+                if (mode) drawing = mode[1] !== '0';
+            } else if (!drawing) {
+                plain += match[2];
+            }
+        }
+
+        return plain
+            .replace(/\\[Nnh]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Strip HTML/XML tags and decode entities, collapsing lines into one
+     * @param {string} text - Raw cue text
+     * @returns {string} Plain text
+     */
+    cleanMarkupText(text) {
+        return this.decodeEntities(
+            text
+                .replace(/<br\s*\/?>/gi, ' ')
+                .replace(/<[^>]*>/g, '')
+                // SRT files exported from ASS often keep position tags
+                .replace(/\{\\[^}]*\}/g, '')
+        )
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Decode named and numeric character references
+     * @param {string} text - Text with entities
+     * @returns {string} Decoded text
+     */
+    decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const value =
+                    code[1].toLowerCase() === 'x'
+                        ? parseInt(code.slice(2), 16)
+                        : parseInt(code.slice(1), 10);
+                return Number.isNaN(value)
+                    ? entity
+                    : String.fromCodePoint(value);
+            }
+            return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+        });
+    }
+
+    /**
+     * Drop invalid cues, sort by time and merge cues that share the same
+     * timing (ASS layers and TTML regions often split one line)
+     * @param {Array<Object>} cues - Parsed cues
+     * @returns {Array<Object>} Normalized cues
+     */
+    normalizeCues(cues) {
+        const valid = cues
+            .filter(
+                (cue) =>
+                    cue.text &&
+                    Number.isFinite(cue.start) &&
+                    Number.isFinite(cue.end) &&
+                    cue.end > cue.start
+            )
+            .sort((a, b) => a.start - b.start || a.end - b.end);
+
+        const merged = [];
+        for (const cue of valid) {
+            const previous = merged[merged.length - 1];
+            if (
+                previous &&
+                previous.start === cue.start &&
+                previous.end === cue.end
+            ) {
+                if (previous.text !== cue.text) {
+                    previous.text = `${previous.text} ${cue.text}`;
+                }
+                continue;
+            }
+            merged.push({ start: cue.start, end: cue.end, text: cue.text });
+        }
+        return merged;
+    }
+
+    /**
+     * Build a WebVTT document from cues
+     * @param {Array<{start: number, end: number, text: string}>} cues - Cues
+     * @returns {string} VTT content
+     */
+    cuesToVtt(cues) {
+        return cuesToVtt(cues);
+    }
+}
+
+// Export singleton instance
+export const subtitleFileParser = new SubtitleFileParser();
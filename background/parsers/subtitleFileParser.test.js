@@ -0,0 +1,110 @@
+import { subtitleFileParser } from './subtitleFileParser.js';
+
+describe('SubtitleFileParser', () => {
+    test('parses SRT with tags, CRLF line endings and a BOM', () => {
+        const srt =
+            '\uFEFF1\r\n00:00:01,000 --> 00:00:03,500\r\n<i>Hello</i>\r\nthere\r\n\r\n' +
+            '2\r\n00:00:04,000 --> 00:00:05,000 X1:10 X2:20\r\n{\\an8}Tom &amp; Jerry\r\n';
+
+        const { format, cues } = subtitleFileParser.parse(srt, 'movie.srt');
+
+        expect(format).toBe('srt');
+        expect(cues).toEqual([
+            { start: 1, end: 3.5, text: 'Hello there' },
+            { start: 4, end: 5, text: 'Tom & Jerry' },
+        ]);
+    });
+
+    test('parses ASS dialogue and strips styles, drawings and escapes', () => {
+        const ass = [
+            '[Script Info]',
+            'ScriptType: v4.00+',
+            '',
+            '[V4+ Styles]',
+            'Format: Name, Fontname, Fontsize',
+            'Style: Default,Arial,20',
+            '',
+            '[Events]',
+            'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+            'Dialogue: 0,0:00:01.50,0:00:03.00,Default,,0,0,0,,{\\b1}Wait,{\\b0} what?\\NReally',
+            'Comment: 0,0:00:02.00,0:00:03.00,Default,,0,0,0,,ignored',
+            'Dialogue: 0,0:00:04.00,0:00:05.00,Sign,,0,0,0,,{\\p1}m 0 0 l 100 0{\\p0}Sign text',
+        ].join('\n');
+
+        const { format, cues } = subtitleFileParser.parse(ass, 'episode.ass');
+
+        expect(format).toBe('ass');
+        expect(cues).toEqual([
+            { start: 1.5, end: 3, text: 'Wait, what? Really' },
+            { start: 4, end: 5, text: 'Sign text' },
+        ]);
+    });
+
+    test('parses TTML with tick, offset and clock times', () => {
+        const ttml = `<?xml version="1.0"?>
+            <tt xmlns="http://www.w3.org/ns/ttml" ttp:tickRate="10000000">
+              <body><div>
+                <p begin="10000000t" end="25000000t">First<br/>line</p>
+                <p begin="3s" dur="1.5s"><span>Second</span></p>
+                <p begin="00:00:05.000" end="00:00:06.000">&#x4F60;&#22909;</p>
+              </div></body>
+            </tt>`;
+
+        const { format, cues } = subtitleFileParser.parse(ttml, 'track.dfxp');
+
+        expect(format).toBe('ttml');
+        expect(cues).toEqual([
+            { start: 1, end: 2.5, text: 'First line' },
+            { start: 3, end: 4.5, text: 'Second' },
+            { start: 5, end: 6, text: '你好' },
+        ]);
+    });
+
+    test('parses SBV and sniffs the format without an extension', () => {
+        const sbv =
+            '0:00:01.000,0:00:02.000\nOne\n\n0:00:02.500,0:00:04.000\nTwo\nlines\n';
+
+        const { format, cues } = subtitleFileParser.parse(sbv, 'captions');
+
+        expect(format).toBe('sbv');
+        expect(cues).toEqual([
+            { start: 1, end: 2, text: 'One' },
+            { start: 2.5, end: 4, text: 'Two lines' },
+        ]);
+    });
+
+    test('merges cues that share timing and drops invalid ones', () => {
+        const cues = subtitleFileParser.normalizeCues([
+            { start: 2, end: 3, text: 'bottom' },
+            { start: 1, end: 2, text: 'top' },
+            { start: 2, end: 3, text: 'line' },
+            { start: 5, end: 4, text: 'backwards' },
+            { start: 6, end: 7, text: '' },
+        ]);
+
+        expect(cues).toEqual([
+            { start: 1, end: 2, text: 'top' },
+            { start: 2, end: 3, text: 'bottom line' },
+        ]);
+    });
+
+    test('converts cues to VTT that round-trips', () => {
+        const vtt = subtitleFileParser.cuesToVtt([
+            { start: 0.5, end: 3661.25, text: 'Hello' },
+        ]);
+
+        expect(vtt).toBe('WEBVTT\n\n00:00:00.500 --> 01:01:01.250\nHello\n');
+        expect(subtitleFileParser.parse(vtt).cues).toEqual([
+            { start: 0.5, end: 3661.25, text: 'Hello' },
+        ]);
+    });
+
+    test('rejects unknown formats and files without cues', () => {
+        expect(() => subtitleFileParser.parse('just text', 'notes')).toThrow(
+            'Unsupported subtitle file format'
+        );
+        expect(() => subtitleFileParser.parse('', 'empty.srt')).toThrow(
+            'No subtitle cues found'
+        );
+    });
+});
@@ -8,57 +8,31 @@
  * @version 1.0.0
  */
 
+import { getContextProviders } from '../../context_providers/contextProviderRegistry.js';
 import {
-    analyzeContext as openaiAnalyzeContext,
-    getAvailableModels as getOpenAIModels,
-    getDefaultModel as getOpenAIDefaultModel,
-} from '../../context_providers/openaiContextProvider.js';
+    boundConversation,
+    getConversationKey,
+} from '../../context_providers/contextConversation.js';
 import {
-    analyzeContext as geminiAnalyzeContext,
-    getAvailableModels as getGeminiModels,
-    getDefaultModel as getGeminiDefaultModel,
-} from '../../context_providers/geminiContextProvider.js';
+    findContextTemplate,
+    getTemplateFingerprint,
+    isCustomContextType,
+    validateContextTemplate,
+} from '../../context_providers/contextTemplates.js';
 import { configService } from '../../services/configService.js';
 import { loggingManager } from '../utils/loggingManager.js';
 import { ContextCache } from '../utils/contextCache.js';
 import { ContextRateLimiterManager } from '../utils/contextRateLimiter.js';
+import { BudgetExceededError } from './serviceInterfaces.js';
+import { usageTracker } from './usageTracker.js';
+import { AI_CONTEXT_USAGE_PREFIX } from '../../utils/usage.js';
 
 class AIContextService {
     constructor() {
         this.logger = null;
         this.currentProviderId = 'openai';
-        this.providers = {
-            openai: {
-                name: 'OpenAI GPT (API Key Required)',
-                analyzeContext: openaiAnalyzeContext,
-                getAvailableModels: getOpenAIModels,
-                getDefaultModel: getOpenAIDefaultModel,
-                supportsBatch: false,
-                rateLimit: {
-                    type: 'requests_per_minute',
-                    requests: 60,
-                    window: 60000, // 1 minute
-                    mandatoryDelay: 1000, // 1 second between requests
-                },
-                category: 'api_key',
-                contextTypes: ['cultural', 'historical', 'linguistic', 'all'],
-            },
-            gemini: {
-                name: 'Google Gemini (API Key Required)',
-                analyzeContext: geminiAnalyzeContext,
-                getAvailableModels: getGeminiModels,
-                getDefaultModel: getGeminiDefaultModel,
-                supportsBatch: false,
-                rateLimit: {
-                    type: 'requests_per_minute',
-                    requests: 60,
-                    window: 60000, // 1 minute
-                    mandatoryDelay: 1000, // 1 second between requests
-                },
-                category: 'api_key',
-                contextTypes: ['cultural', 'historical', 'linguistic', 'all'],
-            },
-        };
+        // Registered context providers by id, see contextProviderRegistry.js
+        this.providers = getContextProviders();
 
         this.cache = new ContextCache({
             maxSize: 200,
@@ -116,6 +90,8 @@ class AIContextService {
             // Set up configuration change listener
             this._setupConfigurationListener();
 
+            await usageTracker.initialize();
+
             this.isInitialized = true;
             this.logger.info('AI Context Service initialized successfully', {
                 currentProvider: this.currentProviderId,
@@ -141,6 +117,7 @@ class AIContextService {
             name: provider.name,
             category: provider.category,
             contextTypes: provider.contextTypes,
+            schemaSupport: provider.schemaSupport,
             supportsBatch: provider.supportsBatch,
         }));
     }
@@ -267,11 +244,22 @@ class AIContextService {
     /**
      * Analyze text for cultural, historical, and linguistic context
      * @param {string} text - Text to analyze
-     * @param {string} contextType - Type of context ('cultural', 'historical', 'linguistic', 'all')
+     * @param {string} contextType - Type of context ('cultural', 'historical',
+     *   'linguistic', 'all' or the id of a custom context template)
      * @param {Object} metadata - Additional context metadata
+     * @param {Object} [options] - Request options
+     * @param {function(Object): void} [options.onPartial] - Streams the
+     *   response and receives the analysis generated so far. Cached results
+     *   are returned without partial analyses.
+     * @param {AbortSignal} [options.signal] - Cancels the request
      * @returns {Promise<Object>} Context analysis result
      */
-    async analyzeContext(text, contextType = 'all', metadata = {}) {
+    async analyzeContext(
+        text,
+        contextType = 'all',
+        metadata = {},
+        options = {}
+    ) {
         if (!this.isInitialized) {
             throw new Error('AI Context Service not initialized');
         }
@@ -303,7 +291,35 @@ class AIContextService {
             targetLanguage: metadata.targetLanguage,
         });
 
-        const cacheKey = this.generateCacheKey(text, contextType, metadata);
+        let template = null;
+        if (isCustomContextType(contextType)) {
+            template = findContextTemplate(
+                await configService.get('aiContextTemplates'),
+                contextType
+            );
+            if (!template || validateContextTemplate(template).length > 0) {
+                this.logger.warn('Unknown or invalid custom context type', {
+                    contextType,
+                    found: !!template,
+                });
+                return {
+                    success: false,
+                    error: 'Unknown context type',
+                    contextType,
+                    originalText: text,
+                    metadata,
+                };
+            }
+        }
+
+        // Edited templates must not return results of their old prompt
+        const cacheKey = this.generateCacheKey(
+            text,
+            contextType,
+            template
+                ? { ...metadata, templateKey: getTemplateFingerprint(template) }
+                : metadata
+        );
         const cachedResult = this.cache.get(cacheKey);
         if (cachedResult) {
             this.logger.debug('Returning cached context analysis', {
@@ -319,6 +335,13 @@ class AIContextService {
 
         try {
             const provider = this.providers[this.currentProviderId];
+            const usageKey = AI_CONTEXT_USAGE_PREFIX + this.currentProviderId;
+            if (usageTracker.isBudgetBlocked(usageKey)) {
+                throw new BudgetExceededError(
+                    'Usage budget reached. AI context analysis is paused until the budget resets.',
+                    { provider: this.currentProviderId }
+                );
+            }
 
             this.logger.info('Starting context analysis', {
                 provider: this.currentProviderId,
@@ -326,13 +349,16 @@ class AIContextService {
                 contextType,
                 textLength: text.length,
                 hasMetadata: Object.keys(metadata).length > 0,
+                streaming: typeof options.onPartial === 'function',
             });
 
             const result = await provider.analyzeContext(
                 text,
                 contextType,
-                metadata
+                metadata,
+                template ? { ...options, template } : options
             );
+            usageTracker.recordRequest(usageKey, text.length);
 
             this.logger.debug('Provider returned result', {
                 provider: this.currentProviderId,
@@ -392,6 +418,155 @@ class AIContextService {
         }
     }
 
+    /**
+     * Answer a follow-up question about a finished context analysis. The
+     * history is bounded to the newest turns, and answers are cached by the
+     * conversation they continue.
+     * @param {Object} conversation - Selection, subtitle lines, analysis and
+     *   question and answer turns ending with the question to answer
+     * @param {Object} metadata - Source and target language codes
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {Promise<Object>} Result with the `answer` text
+     */
+    async askFollowUp(conversation, metadata = {}, options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('AI Context Service not initialized');
+        }
+
+        const bounded = boundConversation(conversation);
+        if (!bounded) {
+            this.logger.warn('Invalid follow-up conversation', {
+                turns: conversation?.turns?.length,
+            });
+            return {
+                success: false,
+                error: 'Invalid follow-up conversation',
+            };
+        }
+
+        const provider = this.providers[this.currentProviderId];
+        if (typeof provider.followUp !== 'function') {
+            return {
+                success: false,
+                error: `${provider.name} does not support follow-up questions`,
+            };
+        }
+
+        const cacheKey = this.cache.generateKey(
+            bounded.selection,
+            'followup',
+            this.currentProviderId,
+            { ...metadata, conversationKey: getConversationKey(bounded) }
+        );
+        const cachedResult = this.cache.get(cacheKey);
+        if (cachedResult) {
+            this.logger.debug('Returning cached follow-up answer', {
+                cacheKey,
+            });
+            return { ...cachedResult, cached: true };
+        }
+
+        await this.checkRateLimit(this.currentProviderId, 'followup');
+
+        try {
+            const usageKey = AI_CONTEXT_USAGE_PREFIX + this.currentProviderId;
+            if (usageTracker.isBudgetBlocked(usageKey)) {
+                throw new BudgetExceededError(
+                    'Usage budget reached. AI context analysis is paused until the budget resets.',
+                    { provider: this.currentProviderId }
+                );
+            }
+
+            this.logger.info('Asking follow-up question', {
+                provider: this.currentProviderId,
+                turns: bounded.turns.length,
+                trimmedTurns: conversation.turns.length - bounded.turns.length,
+            });
+
+            const question = bounded.turns[bounded.turns.length - 1].content;
+            const result = await provider.followUp(bounded, metadata, options);
+            usageTracker.recordRequest(usageKey, question.length);
+
+            if (result.success && result.shouldCache !== false) {
+                this.cache.set(cacheKey, result);
+            }
+            return result;
+        } catch (error) {
+            this.logger.error('Follow-up question failed', error, {
+                provider: this.currentProviderId,
+            });
+            return {
+                success: false,
+                error: error.message,
+            };
+        }
+    }
+
+    /**
+     * Run a custom context template that may not be saved yet, for testing
+     * it in the options page. Results are not cached.
+     * @param {Object} template - Context template
+     * @param {string} text - Sample text to analyze
+     * @param {Object} metadata - Languages, surrounding context and show title
+     * @returns {Promise<Object>} Context analysis result
+     */
+    async testContextTemplate(template, text, metadata = {}) {
+        if (!this.isInitialized) {
+            throw new Error('AI Context Service not initialized');
+        }
+
+        const errors = validateContextTemplate(template);
+        if (errors.length > 0) {
+            return {
+                success: false,
+                error: errors.join('. '),
+                contextType: template?.id,
+            };
+        }
+        if (!text || typeof text !== 'string' || text.trim() === '') {
+            return {
+                success: false,
+                error: 'Invalid or empty text provided for analysis',
+                contextType: template.id,
+            };
+        }
+
+        await this.checkRateLimit(this.currentProviderId, template.id);
+
+        try {
+            const usageKey = AI_CONTEXT_USAGE_PREFIX + this.currentProviderId;
+            if (usageTracker.isBudgetBlocked(usageKey)) {
+                throw new BudgetExceededError(
+                    'Usage budget reached. AI context analysis is paused until the budget resets.',
+                    { provider: this.currentProviderId }
+                );
+            }
+
+            this.logger.info('Testing custom context template', {
+                provider: this.currentProviderId,
+                contextType: template.id,
+                textLength: text.length,
+            });
+
+            const result = await this.providers[
+                this.currentProviderId
+            ].analyzeContext(text.trim(), template.id, metadata, { template });
+            usageTracker.recordRequest(usageKey, text.length);
+            return result;
+        } catch (error) {
+            this.logger.error('Context template test failed', error, {
+                provider: this.currentProviderId,
+                contextType: template.id,
+            });
+            return {
+                success: false,
+                error: error.message,
+                contextType: template.id,
+            };
+        }
+    }
+
     /**
      * Clear the context cache
      */
@@ -0,0 +1,564 @@
+/**
+ * Dictionary Service
+ *
+ * Offline dictionaries imported on the options page (Yomichan / Yomitan
+ * banks, CC-CEDICT, JSON glossaries), stored in IndexedDB and looked up
+ * when a subtitle word is hovered. Inflected words are matched through the
+ * lemma candidates of utils/deinflection.js; Japanese and Chinese lines,
+ * which have no spaces, are matched on the longest prefix that has an
+ * entry.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { loggingManager } from '../utils/loggingManager.js';
+import { configService } from '../../services/configService.js';
+import {
+    openDatabase,
+    promisifyRequest,
+    transactionDone,
+    isIndexedDBAvailable,
+} from '../../utils/indexedDb.js';
+import {
+    WORD_CLASSES,
+    getLemmaCandidates,
+    matchesWordClass,
+} from '../../utils/deinflection.js';
+import {
+    getPronunciationLanguage,
+    katakanaToHiragana,
+} from '../../utils/pronunciation.js';
+import { dictionaryFileParser } from '../parsers/dictionaryFileParser.js';
+
+const DB_NAME = 'DualSubDictionaries';
+const DB_VERSION = 1;
+const DICTIONARIES_STORE = 'dictionaries';
+const ENTRIES_STORE = 'entries';
+
+/** Entries written per transaction while importing */
+const IMPORT_CHUNK_SIZE = 5000;
+/** Longest prefix tried on lines without spaces */
+const MAX_SCAN_LENGTH = 12;
+/** Entries returned by one lookup */
+const MAX_RESULTS = 6;
+
+/**
+ * @typedef {Object} DictionaryInfo
+ * @property {string} id - Dictionary ID
+ * @property {string} title - Display title
+ * @property {string} format - One of DictionaryFileFormats
+ * @property {string|null} language - Base language code, null for any
+ * @property {number} entryCount - Number of stored entries
+ * @property {boolean} enabled - Whether lookups use the dictionary
+ * @property {number} importedAt - Import timestamp
+ */
+
+/**
+ * @typedef {Object} DictionaryLookupEntry
+ * @property {string} term - Headword
+ * @property {string} reading - Reading
+ * @property {string[]} partOfSpeech - Part of speech tags
+ * @property {string[]} senses - Definitions
+ * @property {string} dictionary - Title of the dictionary
+ * @property {string[]} inflection - Inflections undone to reach the headword
+ */
+
+/**
+ * Key a term is indexed and looked up by
+ * @param {string} text - Term or reading
+ * @returns {string}
+ */
+function normalizeTerm(text) {
+    return String(text || '')
+        .normalize('NFC')
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * Base language code of a subtitle, detected from the script when unknown
+ * @param {string} text - Looked up text
+ * @param {string} [language] - Subtitle language code
+ * @returns {string|null}
+ */
+function getLookupLanguage(text, language) {
+    const base = String(language || '')
+        .toLowerCase()
+        .split(/[-_]/)[0];
+    if (base && base !== 'unknown' && base !== 'auto') {
+        return base;
+    }
+    return getPronunciationLanguage(text, language);
+}
+
+class DictionaryService {
+    constructor() {
+        this.logger = loggingManager.createLogger('DictionaryService');
+        this.db = null;
+        this.dbPromise = null;
+        this.enabled = true;
+        /** @type {DictionaryInfo[]|null} */
+        this.dictionaries = null;
+        /** Last headword list, keyed by language and dictionary contents */
+        this.headwordCache = { key: null, words: [] };
+        this.importChunkSize = IMPORT_CHUNK_SIZE;
+        this.isInitialized = false;
+    }
+
+    /**
+     * Load the lookup setting
+     */
+    async initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        try {
+            const settings = await configService.getMultiple([
+                'dictionaryLookupEnabled',
+            ]);
+            this.enabled = settings.dictionaryLookupEnabled !== false;
+        } catch (error) {
+            this.logger.warn(
+                'Failed to load dictionary settings, using defaults',
+                error
+            );
+        }
+
+        configService.onChanged((changes) => {
+            if ('dictionaryLookupEnabled' in changes) {
+                this.enabled = changes.dictionaryLookupEnabled !== false;
+            }
+        });
+
+        this.isInitialized = true;
+        this.logger.info('Dictionary service initialized', {
+            enabled: this.enabled,
+        });
+    }
+
+    /**
+     * Open the database lazily
+     * @returns {Promise<IDBDatabase>}
+     */
+    async getDatabase() {
+        if (this.db) {
+            return this.db;
+        }
+        if (!isIndexedDBAvailable()) {
+            throw new Error('IndexedDB is not available');
+        }
+        if (!this.dbPromise) {
+            this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+                if (!db.objectStoreNames.contains(DICTIONARIES_STORE)) {
+                    db.createObjectStore(DICTIONARIES_STORE, {
+                        keyPath: 'id',
+                    });
+                }
+                if (!db.objectStoreNames.contains(ENTRIES_STORE)) {
+                    const store = db.createObjectStore(ENTRIES_STORE, {
+                        keyPath: 'id',
+                        autoIncrement: true,
+                    });
+                    store.createIndex('terms', 'terms', { multiEntry: true });
+                    store.createIndex('readingKey', 'readingKey');
+                    store.createIndex('dictionaryId', 'dictionaryId');
+                }
+            })
+                .then((db) => {
+                    this.db = db;
+                    return db;
+                })
+                .catch((error) => {
+                    this.dbPromise = null;
+                    throw error;
+                });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Import a dictionary file. Yomichan dictionaries come as several
+     * files (index.json and term banks); pass the ID returned for the
+     * first one to add the others to the same dictionary.
+     * @param {Object} options
+     * @param {string} options.content - File content
+     * @param {string} [options.fileName] - File name
+     * @param {string} [options.title] - Title, defaults to the file's own
+     * @param {string} [options.dictionaryId] - Dictionary to add entries to
+     * @returns {Promise<{dictionary: DictionaryInfo, imported: number}>}
+     */
+    async importDictionary({ content, fileName = '', title, dictionaryId }) {
+        const parsed = dictionaryFileParser.parse(content, fileName);
+        const db = await this.getDatabase();
+
+        const existing = dictionaryId
+            ? (await this.listDictionaries()).find(
+                  (dictionary) => dictionary.id === dictionaryId
+              )
+            : null;
+        if (dictionaryId && !existing) {
+            throw new Error('Dictionary not found');
+        }
+
+        const dictionary = existing
+            ? {
+                  ...existing,
+                  title: title || parsed.title || existing.title,
+                  language: existing.language || parsed.language,
+              }
+            : {
+                  id: `dict-${Date.now().toString(36)}-${Math.random()
+                      .toString(36)
+                      .slice(2, 8)}`,
+                  title:
+                      title ||
+                      parsed.title ||
+                      fileName.replace(/\.[^.]+$/, '') ||
+                      parsed.format,
+                  format: parsed.format,
+                  language: parsed.language,
+                  entryCount: 0,
+                  enabled: true,
+                  importedAt: Date.now(),
+              };
+
+        // Keys of the chunks already committed, removed again if a later
+        // chunk or the dictionary record fails so no orphan entries remain
+        const addedKeys = [];
+        try {
+            const chunkSize = this.importChunkSize;
+            for (let i = 0; i < parsed.entries.length; i += chunkSize) {
+                const records = parsed.entries
+                    .slice(i, i + chunkSize)
+                    .map((entry) => this.toRecord(entry, dictionary.id));
+                const transaction = db.transaction(ENTRIES_STORE, 'readwrite');
+                const store = transaction.objectStore(ENTRIES_STORE);
+                const requests = records.map((record) => store.add(record));
+                await transactionDone(transaction);
+                addedKeys.push(...requests.map((request) => request.result));
+            }
+
+            dictionary.entryCount += parsed.entries.length;
+            const transaction = db.transaction(DICTIONARIES_STORE, 'readwrite');
+            transaction.objectStore(DICTIONARIES_STORE).put(dictionary);
+            await transactionDone(transaction);
+        } catch (error) {
+            this.logger.error('Dictionary import failed', error, {
+                id: dictionary.id,
+                rolledBack: addedKeys.length,
+            });
+            await this.deleteEntries(addedKeys);
+            throw error;
+        }
+        this.dictionaries = null;
+
+        this.logger.info('Dictionary imported', {
+            id: dictionary.id,
+            format: parsed.format,
+            imported: parsed.entries.length,
+            entryCount: dictionary.entryCount,
+        });
+        return { dictionary, imported: parsed.entries.length };
+    }
+
+    /**
+     * Delete entries by key
+     * @param {IDBValidKey[]} keys - Entry keys
+     * @returns {Promise<void>}
+     */
+    async deleteEntries(keys) {
+        if (keys.length === 0) {
+            return;
+        }
+        const db = await this.getDatabase();
+        const transaction = db.transaction(ENTRIES_STORE, 'readwrite');
+        const store = transaction.objectStore(ENTRIES_STORE);
+        for (const key of keys) {
+            store.delete(key);
+        }
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Stored form of a parsed entry, with its lookup keys
+     * @param {import('../parsers/dictionaryFileParser.js').DictionaryFileEntry} entry - Parsed entry
+     * @param {string} dictionaryId - Dictionary ID
+     * @returns {Object}
+     */
+    toRecord(entry, dictionaryId) {
+        const record = {
+            ...entry,
+            dictionaryId,
+            terms: [
+                ...new Set([entry.term, ...entry.variants].map(normalizeTerm)),
+            ],
+        };
+        if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(entry.reading)) {
+            record.readingKey = katakanaToHiragana(
+                normalizeTerm(entry.reading)
+            );
+        }
+        return record;
+    }
+
+    /**
+     * List imported dictionaries, oldest first
+     * @returns {Promise<DictionaryInfo[]>}
+     */
+    async listDictionaries() {
+        if (!this.dictionaries) {
+            const db = await this.getDatabase();
+            const dictionaries = await promisifyRequest(
+                db
+                    .transaction(DICTIONARIES_STORE, 'readonly')
+                    .objectStore(DICTIONARIES_STORE)
+                    .getAll()
+            );
+            this.dictionaries = dictionaries.sort(
+                (a, b) => a.importedAt - b.importedAt
+            );
+        }
+        return this.dictionaries;
+    }
+
+    /**
+     * Rename or enable/disable a dictionary
+     * @param {string} id - Dictionary ID
+     * @param {{title?: string, enabled?: boolean}} changes - Changed fields
+     * @returns {Promise<DictionaryInfo>} Updated dictionary
+     */
+    async updateDictionary(id, changes = {}) {
+        const dictionary = (await this.listDictionaries()).find(
+            (item) => item.id === id
+        );
+        if (!dictionary) {
+            throw new Error('Dictionary not found');
+        }
+
+        const updated = { ...dictionary };
+        if (typeof changes.title === 'string' && changes.title.trim()) {
+            updated.title = changes.title.trim();
+        }
+        if (typeof changes.enabled === 'boolean') {
+            updated.enabled = changes.enabled;
+        }
+
+        const db = await this.getDatabase();
+        const transaction = db.transaction(DICTIONARIES_STORE, 'readwrite');
+        transaction.objectStore(DICTIONARIES_STORE).put(updated);
+        await transactionDone(transaction);
+        this.dictionaries = null;
+        return updated;
+    }
+
+    /**
+     * Delete a dictionary and its entries
+     * @param {string} id - Dictionary ID
+     * @returns {Promise<void>}
+     */
+    async deleteDictionary(id) {
+        const db = await this.getDatabase();
+        const transaction = db.transaction(
+            [DICTIONARIES_STORE, ENTRIES_STORE],
+            'readwrite'
+        );
+        const entries = transaction.objectStore(ENTRIES_STORE);
+        const keys = await promisifyRequest(
+            entries.index('dictionaryId').getAllKeys(IDBKeyRange.only(id))
+        );
+        for (const key of keys) {
+            entries.delete(key);
+        }
+        transaction.objectStore(DICTIONARIES_STORE).delete(id);
+        await transactionDone(transaction);
+        this.dictionaries = null;
+
+        this.logger.info('Dictionary deleted', { id, entries: keys.length });
+    }
+
+    /**
+     * Look up a hovered word. For Japanese and Chinese, `text` is the word
+     * and the rest of the line after it, and the longest prefix with an
+     * entry is matched.
+     * @param {string} text - Word, or word and following text
+     * @param {string} [language] - Subtitle language code
+     * @returns {Promise<{matched: string|null, entries: DictionaryLookupEntry[]}>}
+     */
+    async lookup(text, language) {
+        const empty = { matched: null, entries: [] };
+        const input = String(text || '')
+            .normalize('NFC')
+            .trim();
+        if (!this.enabled || !input) {
+            return empty;
+        }
+
+        const lookupLanguage = getLookupLanguage(input, language);
+        const dictionaries = new Map(
+            (await this.listDictionaries())
+                .filter(
+                    (dictionary) =>
+                        dictionary.enabled &&
+                        (!dictionary.language ||
+                            !lookupLanguage ||
+                            dictionary.language === lookupLanguage)
+                )
+                .map((dictionary) => [dictionary.id, dictionary])
+        );
+        if (dictionaries.size === 0) {
+            return empty;
+        }
+
+        // Lines without spaces: the longest prefix with an entry wins
+        const scanLength = Math.min(input.length, MAX_SCAN_LENGTH);
+        const forms =
+            lookupLanguage === 'ja' || lookupLanguage === 'zh'
+                ? Array.from({ length: scanLength }, (_, i) =>
+                      input.slice(0, scanLength - i)
+                  )
+                : [input];
+
+        const db = await this.getDatabase();
+        const store = db
+            .transaction(ENTRIES_STORE, 'readonly')
+            .objectStore(ENTRIES_STORE);
+        for (const form of forms) {
+            const entries = await this.findEntries(
+                store,
+                getLemmaCandidates(form, lookupLanguage),
+                dictionaries,
+                lookupLanguage === 'ja'
+            );
+            if (entries.length > 0) {
+                return { matched: form, entries };
+            }
+        }
+        return empty;
+    }
+
+    /**
+     * Headwords of the enabled dictionaries of a language, for the
+     * dictionary-based word segmentation of subtitle lines. Only words the
+     * segmenter can use (two to MAX_SCAN_LENGTH characters) are returned.
+     * @param {string} language - Subtitle language code
+     * @returns {Promise<string[]>}
+     */
+    async getHeadwords(language) {
+        const lookupLanguage = getLookupLanguage('', language);
+        const dictionaries = (await this.listDictionaries()).filter(
+            (dictionary) =>
+                dictionary.enabled && dictionary.language === lookupLanguage
+        );
+        const cacheKey = [
+            lookupLanguage,
+            ...dictionaries.map(
+                (dictionary) => `${dictionary.id}:${dictionary.entryCount}`
+            ),
+        ].join('|');
+        if (this.headwordCache.key === cacheKey) {
+            return this.headwordCache.words;
+        }
+
+        const words = new Set();
+        const db = await this.getDatabase();
+        for (const dictionary of dictionaries) {
+            const transaction = db.transaction(ENTRIES_STORE, 'readonly');
+            const request = transaction
+                .objectStore(ENTRIES_STORE)
+                .index('dictionaryId')
+                .openCursor(IDBKeyRange.only(dictionary.id));
+            await new Promise((resolve, reject) => {
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        resolve();
+                        return;
+                    }
+                    for (const term of cursor.value.terms) {
+                        if (term.length > 1 && term.length <= MAX_SCAN_LENGTH) {
+                            words.add(term);
+                        }
+                    }
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        this.headwordCache = { key: cacheKey, words: [...words] };
+        return this.headwordCache.words;
+    }
+
+    /**
+     * Entries matching lemma candidates, in candidate order and by score
+     * @param {IDBObjectStore} store - Entries store
+     * @param {import('../../utils/deinflection.js').LemmaCandidate[]} candidates - Lemma candidates
+     * @param {Map<string, DictionaryInfo>} dictionaries - Dictionaries to use
+     * @param {boolean} byReading - Also match kana readings
+     * @returns {Promise<DictionaryLookupEntry[]>}
+     */
+    async findEntries(store, candidates, dictionaries, byReading) {
+        const results = [];
+        const seen = new Set();
+        for (const candidate of candidates) {
+            const key = normalizeTerm(candidate.term);
+            const requests = [store.index('terms').getAll(key)];
+            if (byReading) {
+                requests.push(
+                    store.index('readingKey').getAll(katakanaToHiragana(key))
+                );
+            }
+            const records = (
+                await Promise.all(requests.map(promisifyRequest))
+            ).flat();
+
+            const matches = records.filter((record) => {
+                const classes = record.rules.length
+                    ? record.rules
+                    : record.partOfSpeech.filter((tag) =>
+                          WORD_CLASSES.some((type) => tag.startsWith(type))
+                      );
+                return (
+                    dictionaries.has(record.dictionaryId) &&
+                    !seen.has(record.id) &&
+                    matchesWordClass(candidate, classes)
+                );
+            });
+            matches.sort((a, b) => b.score - a.score);
+
+            for (const record of matches) {
+                seen.add(record.id);
+                results.push({
+                    term: record.term,
+                    reading: record.reading,
+                    partOfSpeech: record.partOfSpeech,
+                    senses: record.senses,
+                    dictionary: dictionaries.get(record.dictionaryId).title,
+                    inflection: candidate.reasons,
+                });
+            }
+            if (results.length >= MAX_RESULTS) {
+                break;
+            }
+        }
+        return results.slice(0, MAX_RESULTS);
+    }
+
+    /**
+     * Close the database (used by tests)
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+        }
+        this.db = null;
+        this.dbPromise = null;
+        this.dictionaries = null;
+    }
+}
+
+// Export singleton instance
+export const dictionaryService = new DictionaryService();
+export { DictionaryService };
@@ -0,0 +1,195 @@
+import { jest } from '@jest/globals';
+import 'fake-indexeddb/auto';
+import { DictionaryService } from './dictionaryService.js';
+import { deleteDatabase } from '../../utils/indexedDb.js';
+
+const CEDICT = [
+    '傳統 传统 [chuan2 tong3] /tradition/traditional/',
+    '中國 中国 [Zhong1 guo2] /China/',
+    '中 中 [zhong1] /middle/',
+].join('\n');
+
+const TERM_BANK = JSON.stringify([
+    ['食べる', 'たべる', 'v1', 'v1', 10, ['to eat'], 1, ''],
+    ['書く', 'かく', 'v5', 'v5', 10, ['to write'], 2, ''],
+    ['高い', 'たかい', 'adj-i', 'adj-i', 10, ['high', 'expensive'], 3, ''],
+    ['東京', 'とうきょう', 'n', '', 10, ['Tokyo'], 4, ''],
+]);
+
+const ENGLISH = JSON.stringify({ go: 'to move', city: 'a large town' });
+
+describe('DictionaryService', () => {
+    let service;
+
+    beforeEach(async () => {
+        await deleteDatabase('DualSubDictionaries');
+        service = new DictionaryService();
+    });
+
+    afterEach(() => {
+        service.close();
+    });
+
+    test('imports Yomichan banks into one dictionary and deinflects lookups', async () => {
+        const { dictionary } = await service.importDictionary({
+            content: JSON.stringify({ title: 'JMdict', format: 3 }),
+            fileName: 'index.json',
+        });
+        const { imported } = await service.importDictionary({
+            content: TERM_BANK,
+            fileName: 'term_bank_1.json',
+            dictionaryId: dictionary.id,
+        });
+
+        expect(imported).toBe(4);
+        expect(await service.listDictionaries()).toEqual([
+            expect.objectContaining({
+                id: dictionary.id,
+                title: 'JMdict',
+                language: 'ja',
+                entryCount: 4,
+                enabled: true,
+            }),
+        ]);
+
+        const result = await service.lookup('食べましたか', 'ja');
+        expect(result.matched).toBe('食べました');
+        expect(result.entries).toEqual([
+            {
+                term: '食べる',
+                reading: 'たべる',
+                partOfSpeech: ['v1'],
+                senses: ['to eat'],
+                dictionary: 'JMdict',
+                inflection: ['polite', 'past'],
+            },
+        ]);
+        expect((await service.lookup('書いて', 'ja')).entries[0].term).toBe(
+            '書く'
+        );
+        expect((await service.lookup('たかくない', 'ja')).entries[0].term).toBe(
+            '高い'
+        );
+        // 高い is an adjective, so it is no match for the past of a verb
+        expect((await service.lookup('高った', 'ja')).matched).not.toBe(
+            '高った'
+        );
+    });
+
+    test('matches the longest Chinese prefix in either script', async () => {
+        await service.importDictionary({
+            content: CEDICT,
+            fileName: 'cedict_ts.u8',
+        });
+
+        const simplified = await service.lookup('中国人', 'zh-CN');
+        expect(simplified.matched).toBe('中国');
+        expect(simplified.entries[0]).toMatchObject({
+            term: '中国',
+            reading: 'zhōng guó',
+            senses: ['China'],
+        });
+        expect((await service.lookup('傳統的', 'zh-TW')).matched).toBe('傳統');
+    });
+
+    test('only uses enabled dictionaries of the subtitle language', async () => {
+        const { dictionary } = await service.importDictionary({
+            content: ENGLISH,
+            fileName: 'english.json',
+        });
+        await service.importDictionary({ content: CEDICT });
+
+        expect((await service.lookup('went', 'en')).entries[0]).toMatchObject({
+            term: 'go',
+            inflection: ['irregular'],
+            dictionary: 'english',
+        });
+        expect((await service.lookup('Cities', 'en')).entries[0].term).toBe(
+            'city'
+        );
+        expect((await service.lookup('中国', 'en')).entries).toEqual([]);
+
+        await service.updateDictionary(dictionary.id, { enabled: false });
+        expect((await service.lookup('went', 'en')).entries).toEqual([]);
+
+        service.enabled = false;
+        expect(await service.lookup('中国', 'zh')).toEqual({
+            matched: null,
+            entries: [],
+        });
+    });
+
+    test('lists headwords of enabled dictionaries for segmentation', async () => {
+        const { dictionary } = await service.importDictionary({
+            content: TERM_BANK,
+            fileName: 'term_bank_1.json',
+        });
+        await service.importDictionary({ content: CEDICT });
+
+        expect((await service.getHeadwords('ja-JP')).sort()).toEqual(
+            ['東京', '食べる', '書く', '高い'].sort()
+        );
+
+        await service.updateDictionary(dictionary.id, { enabled: false });
+        expect(await service.getHeadwords('ja')).toEqual([]);
+    });
+
+    test('removes the committed chunks when a later chunk fails', async () => {
+        const { dictionary } = await service.importDictionary({
+            content: TERM_BANK,
+            fileName: 'term_bank_1.json',
+        });
+        // Chunks of two entries; the second chunk fails halfway through
+        service.importChunkSize = 2;
+        const bank = JSON.stringify([
+            ['日本', 'にほん', 'n', '', 10, ['Japan'], 5, ''],
+            ['言葉', 'ことば', 'n', '', 10, ['word'], 6, ''],
+            ['学校', 'がっこう', 'n', '', 10, ['school'], 7, ''],
+            ['先生', 'せんせい', 'n', '', 10, ['teacher'], 8, ''],
+        ]);
+        const toRecord = service.toRecord.bind(service);
+        let calls = 0;
+        jest.spyOn(service, 'toRecord').mockImplementation((...args) => {
+            calls += 1;
+            if (calls === 4) {
+                throw new Error('Invalid entry');
+            }
+            return toRecord(...args);
+        });
+
+        await expect(
+            service.importDictionary({
+                content: bank,
+                fileName: 'term_bank_2.json',
+                dictionaryId: dictionary.id,
+            })
+        ).rejects.toThrow('Invalid entry');
+
+        expect(await service.listDictionaries()).toEqual([
+            expect.objectContaining({ id: dictionary.id, entryCount: 4 }),
+        ]);
+        expect((await service.lookup('日本', 'ja')).entries).toEqual([]);
+        expect((await service.lookup('東京', 'ja')).entries).toHaveLength(1);
+        expect((await service.getHeadwords('ja')).sort()).toEqual(
+            ['東京', '食べる', '書く', '高い'].sort()
+        );
+    });
+
+    test('deletes a dictionary with its entries', async () => {
+        const { dictionary } = await service.importDictionary({
+            content: CEDICT,
+        });
+        await service.deleteDictionary(dictionary.id);
+
+        expect(await service.listDictionaries()).toEqual([]);
+        const db = await service.getDatabase();
+        const count = await new Promise((resolve) => {
+            const request = db
+                .transaction('entries', 'readonly')
+                .objectStore('entries')
+                .count();
+            request.onsuccess = () => resolve(request.result);
+        });
+        expect(count).toBe(0);
+    });
+});
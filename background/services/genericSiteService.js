@@ -0,0 +1,168 @@
+/**
+ * Generic Site Service
+ *
+ * Keeps the dynamically registered content script of the generic HTML5
+ * video adapter in sync with the `genericSiteAllowlist` setting. A site is
+ * only included once the user has granted its optional host permission, so
+ * the registration is refreshed whenever the allowlist or the granted
+ * permissions change.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { loggingManager } from '../utils/loggingManager.js';
+import { configService } from '../../services/configService.js';
+import {
+    normalizeSiteAllowlist,
+    getSiteOriginPattern,
+} from '../../utils/siteAllowlist.js';
+
+const CONTENT_SCRIPT_ID = 'dualsub-generic-html5';
+
+class GenericSiteService {
+    constructor() {
+        this.logger = loggingManager.createLogger('GenericSiteService');
+        this.registeredHosts = [];
+        this.syncPromise = null;
+        this.syncQueued = false;
+        this.isInitialized = false;
+    }
+
+    /**
+     * Register the content script for allowlisted sites and watch for changes
+     */
+    async initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        if (!chrome.scripting?.registerContentScripts) {
+            this.logger.warn(
+                'chrome.scripting is not available, generic sites disabled'
+            );
+            return;
+        }
+
+        configService.onChanged((changes) => {
+            if ('genericSiteAllowlist' in changes) {
+                this.syncRegistration();
+            }
+        });
+        if (chrome.permissions?.onAdded) {
+            chrome.permissions.onAdded.addListener(() =>
+                this.syncRegistration()
+            );
+            chrome.permissions.onRemoved.addListener(() =>
+                this.syncRegistration()
+            );
+        }
+
+        this.isInitialized = true;
+        await this.syncRegistration();
+    }
+
+    /**
+     * Re-register the content script for the allowlisted sites that have a
+     * granted host permission. Calls made while a sync runs are coalesced.
+     * @returns {Promise<string[]>} Hosts the content script is registered for
+     */
+    async syncRegistration() {
+        if (this.syncPromise) {
+            this.syncQueued = true;
+            return this.syncPromise;
+        }
+
+        this.syncPromise = (async () => {
+            try {
+                do {
+                    this.syncQueued = false;
+                    await this._applyRegistration();
+                } while (this.syncQueued);
+            } finally {
+                this.syncPromise = null;
+            }
+            return this.registeredHosts;
+        })();
+        return this.syncPromise;
+    }
+
+    async _applyRegistration() {
+        try {
+            const allowlist = normalizeSiteAllowlist(
+                await configService.get('genericSiteAllowlist')
+            );
+            const grantedHosts = await this.getGrantedHosts(allowlist);
+
+            const existing = await chrome.scripting.getRegisteredContentScripts(
+                { ids: [CONTENT_SCRIPT_ID] }
+            );
+            if (existing.length > 0) {
+                await chrome.scripting.unregisterContentScripts({
+                    ids: [CONTENT_SCRIPT_ID],
+                });
+            }
+
+            if (grantedHosts.length > 0) {
+                await chrome.scripting.registerContentScripts([
+                    {
+                        id: CONTENT_SCRIPT_ID,
+                        matches: grantedHosts.map(getSiteOriginPattern),
+                        js: ['content_scripts/platforms/genericContent.js'],
+                        css: ['content_scripts/shared/content.css'],
+                        runAt: 'document_start',
+                    },
+                ]);
+            }
+
+            this.registeredHosts = grantedHosts;
+            this.logger.info('Generic site content script synced', {
+                allowlisted: allowlist.length,
+                registered: grantedHosts,
+            });
+        } catch (error) {
+            this.logger.error(
+                'Failed to sync generic site content script',
+                error
+            );
+        }
+    }
+
+    /**
+     * Filter hosts down to those whose optional host permission is granted
+     * @param {string[]} hosts - Normalized host names
+     * @returns {Promise<string[]>}
+     */
+    async getGrantedHosts(hosts) {
+        const granted = [];
+        for (const host of hosts) {
+            try {
+                if (
+                    await chrome.permissions.contains({
+                        origins: [getSiteOriginPattern(host)],
+                    })
+                ) {
+                    granted.push(host);
+                }
+            } catch (error) {
+                this.logger.warn('Failed to check site permission', {
+                    host,
+                    error: error.message,
+                });
+            }
+        }
+        return granted;
+    }
+
+    /**
+     * Hosts the content script is currently registered for
+     * @returns {string[]}
+     */
+    getRegisteredHosts() {
+        return [...this.registeredHosts];
+    }
+}
+
+// Export singleton instance
+export const genericSiteService = new GenericSiteService();
+export { GenericSiteService };
@@ -0,0 +1,108 @@
+import { jest } from '@jest/globals';
+import { GenericSiteService } from './genericSiteService.js';
+import { configService } from '../../services/configService.js';
+
+describe('GenericSiteService', () => {
+    let service;
+    let allowlist;
+    let grantedOrigins;
+    let registered;
+
+    beforeEach(() => {
+        allowlist = [];
+        grantedOrigins = new Set();
+        registered = [];
+
+        jest.spyOn(configService, 'get').mockImplementation(
+            async () => allowlist
+        );
+        jest.spyOn(configService, 'onChanged').mockReturnValue(() => {});
+
+        chrome.permissions = {
+            contains: jest.fn(async ({ origins }) =>
+                origins.every((origin) => grantedOrigins.has(origin))
+            ),
+            onAdded: { addListener: jest.fn() },
+            onRemoved: { addListener: jest.fn() },
+        };
+        chrome.scripting = {
+            getRegisteredContentScripts: jest.fn(async ({ ids }) =>
+                registered.filter((script) => ids.includes(script.id))
+            ),
+            unregisterContentScripts: jest.fn(async ({ ids }) => {
+                registered = registered.filter(
+                    (script) => !ids.includes(script.id)
+                );
+            }),
+            registerContentScripts: jest.fn(async (scripts) => {
+                registered.push(...scripts);
+            }),
+        };
+
+        service = new GenericSiteService();
+    });
+
+    afterEach(() => {
+        delete chrome.permissions;
+        delete chrome.scripting;
+        jest.restoreAllMocks();
+    });
+
+    test('registers the content script only for granted allowlisted sites', async () => {
+        allowlist = [
+            'https://Videos.example.com/watch?v=1',
+            'granted.org',
+            'not-granted.net',
+            'www.netflix.com',
+        ];
+        grantedOrigins = new Set([
+            '*://videos.example.com/*',
+            '*://granted.org/*',
+            '*://www.netflix.com/*',
+        ]);
+
+        await service.initialize();
+
+        expect(service.getRegisteredHosts()).toEqual([
+            'videos.example.com',
+            'granted.org',
+        ]);
+        expect(registered).toEqual([
+            expect.objectContaining({
+                id: 'dualsub-generic-html5',
+                matches: ['*://videos.example.com/*', '*://granted.org/*'],
+                js: ['content_scripts/platforms/genericContent.js'],
+                runAt: 'document_start',
+            }),
+        ]);
+    });
+
+    test('re-syncs when the allowlist or permissions change', async () => {
+        await service.initialize();
+        expect(registered).toEqual([]);
+
+        const [settingsListener] = configService.onChanged.mock.calls[0];
+        allowlist = ['example.com'];
+        grantedOrigins.add('*://example.com/*');
+        settingsListener({ genericSiteAllowlist: allowlist });
+        await service.syncRegistration();
+        expect(registered[0].matches).toEqual(['*://example.com/*']);
+
+        const [permissionListener] =
+            chrome.permissions.onRemoved.addListener.mock.calls[0];
+        grantedOrigins.clear();
+        permissionListener();
+        await service.syncRegistration();
+        expect(registered).toEqual([]);
+        expect(chrome.scripting.unregisterContentScripts).toHaveBeenCalled();
+    });
+
+    test('does nothing without the scripting API', async () => {
+        delete chrome.scripting;
+
+        await service.initialize();
+
+        expect(service.isInitialized).toBe(false);
+        expect(configService.onChanged).not.toHaveBeenCalled();
+    });
+});
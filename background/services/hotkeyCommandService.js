@@ -0,0 +1,85 @@
+/**
+ * Hotkey Command Service
+ *
+ * Forwards browser keyboard shortcuts (the manifest `commands`, bound on
+ * chrome://extensions/shortcuts) to the content script of the active tab,
+ * which runs the same actions as its in-player hotkeys.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { loggingManager } from '../utils/loggingManager.js';
+import { MessageActions } from '../../content_scripts/shared/constants/messageActions.js';
+
+class HotkeyCommandService {
+    constructor() {
+        this.logger = loggingManager.createLogger('HotkeyCommandService');
+        this.isInitialized = false;
+    }
+
+    /**
+     * Listen for browser keyboard shortcuts
+     */
+    initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+        if (!chrome.commands?.onCommand) {
+            this.logger.warn(
+                'chrome.commands is not available, browser shortcuts disabled'
+            );
+            return;
+        }
+        chrome.commands.onCommand.addListener((command, tab) => {
+            this.forwardCommand(command, tab);
+        });
+        this.isInitialized = true;
+    }
+
+    /**
+     * Send a command to the content script of a tab
+     * @param {string} command - Command name (a hotkey action ID)
+     * @param {chrome.tabs.Tab} [tab] - Tab the shortcut was pressed in
+     * @returns {Promise<Object|null>} Content script response, or null if
+     *   no content script received it
+     */
+    async forwardCommand(command, tab) {
+        let tabId = tab?.id;
+        if (tabId == null) {
+            const [activeTab] = await chrome.tabs.query({
+                active: true,
+                currentWindow: true,
+            });
+            tabId = activeTab?.id;
+        }
+        if (tabId == null) {
+            return null;
+        }
+
+        try {
+            const response = await chrome.tabs.sendMessage(tabId, {
+                action: MessageActions.HOTKEY_COMMAND,
+                command,
+            });
+            this.logger.debug('Hotkey command forwarded', {
+                command,
+                tabId,
+                response,
+            });
+            return response;
+        } catch (error) {
+            // Tabs without a DualSub content script
+            this.logger.debug('Hotkey command not delivered', {
+                command,
+                tabId,
+                error: error.message,
+            });
+            return null;
+        }
+    }
+}
+
+// Export singleton instance
+export const hotkeyCommandService = new HotkeyCommandService();
+export { HotkeyCommandService };
@@ -100,9 +100,15 @@ export class ISubtitleService {
      * @param {string} url - Subtitle URL
      * @param {string} targetLanguage - Target language code
      * @param {string} originalLanguage - Original language code
+     * @param {string} [platform] - Platform whose subtitle blacklist applies
      * @returns {Promise<Object>} Processed subtitle result
      */
-    async fetchAndProcessSubtitles(url, targetLanguage, originalLanguage) {
+    async fetchAndProcessSubtitles(
+        url,
+        targetLanguage,
+        originalLanguage,
+        platform
+    ) {
         throw new Error('Method must be implemented');
     }
 
@@ -241,6 +247,13 @@ export class RateLimitError extends ServiceError {
     }
 }
 
+export class BudgetExceededError extends ServiceError {
+    constructor(message, details = {}) {
+        super(message, 'BUDGET_EXCEEDED_ERROR', details);
+        this.name = 'BudgetExceededError';
+    }
+}
+
 /**
  * Service Data Flow Contracts
  *
@@ -376,9 +389,39 @@ export class IAIContextService {
      * @param {string} text - Text to analyze
      * @param {string} contextType - Type of context ('cultural', 'historical', 'linguistic', 'all')
      * @param {Object} metadata - Additional context metadata
+     * @param {Object} [options] - `onPartial` streams the analysis generated
+     *   so far, `signal` cancels the request
+     * @returns {Promise<Object>} Context analysis result
+     */
+    async analyzeContext(
+        text,
+        contextType = 'all',
+        metadata = {},
+        options = {}
+    ) {
+        throw new Error('Method must be implemented');
+    }
+
+    /**
+     * Answer a follow-up question about a finished context analysis
+     * @param {Object} conversation - Selection, subtitle lines, analysis and
+     *   question and answer turns ending with the question to answer
+     * @param {Object} metadata - Source and target language codes
+     * @param {Object} [options] - `signal` cancels the request
+     * @returns {Promise<Object>} Result with the `answer` text
+     */
+    async askFollowUp(conversation, metadata = {}, options = {}) {
+        throw new Error('Method must be implemented');
+    }
+
+    /**
+     * Run a custom context template without saving or caching it
+     * @param {Object} template - Context template
+     * @param {string} text - Sample text to analyze
+     * @param {Object} metadata - Additional metadata
      * @returns {Promise<Object>} Context analysis result
      */
-    async analyzeContext(text, contextType = 'all', metadata = {}) {
+    async testContextTemplate(template, text, metadata = {}) {
         throw new Error('Method must be implemented');
     }
 
@@ -13,6 +13,7 @@
 import { loggingManager } from '../utils/loggingManager.js';
 import { vttParser } from '../parsers/vttParser.js';
 import { netflixParser } from '../parsers/netflixParser.js';
+import { subtitleFileParser } from '../parsers/subtitleFileParser.js';
 import { normalizeLanguageCode } from '../../utils/languageNormalization.js';
 import {
     errorHandler,
@@ -145,9 +146,15 @@ class SubtitleService {
      * @param {string} url - Subtitle URL
      * @param {string} targetLanguage - Target language code
      * @param {string} originalLanguage - Original language code
+     * @param {string} [platform='disneyplus'] - Platform whose subtitle blacklist applies
      * @returns {Promise<Object>} Processed subtitle result
      */
-    async fetchAndProcessSubtitles(url, targetLanguage, originalLanguage) {
+    async fetchAndProcessSubtitles(
+        url,
+        targetLanguage,
+        originalLanguage,
+        platform = 'disneyplus'
+    ) {
         this.logger.info('Fetching and processing subtitles', {
             url: url.substring(0, 100),
             targetLanguage,
@@ -159,7 +166,8 @@ class SubtitleService {
             return await this.processDisneyPlusSubtitles(
                 url,
                 targetLanguage,
-                originalLanguage
+                originalLanguage,
+                platform
             );
         } catch (error) {
             this.logger.error('Disney+ subtitle processing failed', error, {
@@ -176,7 +184,8 @@ class SubtitleService {
     async processDisneyPlusSubtitles(
         masterPlaylistUrl,
         targetLanguage,
-        originalLanguage
+        originalLanguage,
+        platform = 'disneyplus'
     ) {
         this.logger.info('Processing Disney+ subtitles with complete logic', {
             masterPlaylistUrl: masterPlaylistUrl.substring(0, 100),
@@ -230,7 +239,7 @@ class SubtitleService {
         // Step 2: Parse available languages from master playlist
         const availableLanguages = await this.parseAvailableSubtitleLanguages(
             masterPlaylistText,
-            'disneyplus'
+            platform
         );
         this.logger.debug('Available subtitle languages', {
             languages: availableLanguages.map(
@@ -239,14 +248,8 @@ class SubtitleService {
         });
 
         // Step 3: Get user settings for smart subtitle logic
-        const settings = await configService.getMultiple([
-            'useNativeSubtitles',
-            'useOfficialTranslations',
-        ]);
-        const useOfficialTranslations =
-            settings.useOfficialTranslations !== undefined
-                ? settings.useOfficialTranslations
-                : settings.useNativeSubtitles !== false;
+        const { useOfficialTranslations = true } =
+            await configService.getMultiple(['useOfficialTranslations']);
 
         this.logger.debug('Smart subtitle settings', {
             useOfficialTranslations,
@@ -385,7 +388,8 @@ class SubtitleService {
                     result = await this.fetchAndProcessSubtitles(
                         data.url || data,
                         options.targetLanguage,
-                        options.originalLanguage
+                        options.originalLanguage,
+                        platform
                     );
                     break;
 
@@ -415,6 +419,39 @@ class SubtitleService {
         }
     }
 
+    /**
+     * Parse a user-supplied subtitle file (SRT, ASS/SSA, TTML/DFXP, SBV or
+     * VTT) into VTT so it can stand in for a platform track
+     * @param {string} content - File content
+     * @param {string} [fileName] - File name, used to detect the format
+     * @returns {{vttText: string, format: string, cueCount: number}} Parsed file
+     */
+    parseSubtitleFile(content, fileName = '') {
+        try {
+            const { format, cues } = subtitleFileParser.parse(
+                content,
+                fileName
+            );
+            return {
+                vttText: subtitleFileParser.cuesToVtt(cues),
+                format,
+                cueCount: cues.length,
+            };
+        } catch (error) {
+            const errorInfo = errorHandler.handleError(error, {
+                operation: 'parseSubtitleFile',
+                fileName,
+                hasUserImpact: true,
+            });
+
+            throw new SubtitleProcessingError(error.message, {
+                originalError: error.message,
+                fileName,
+                errorCode: errorInfo.errorCode,
+            });
+        }
+    }
+
     /**
      * Get available subtitle languages for platform data
      * @param {string} platform - Platform identifier
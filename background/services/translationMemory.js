@@ -0,0 +1,624 @@
+/**
+ * Translation Memory
+ *
+ * Persistent, IndexedDB-backed store of completed translations keyed by
+ * provider, language pair and normalized cue text. Survives service worker
+ * suspension, so rewatching an episode (or a show that repeats lines) does
+ * not spend provider quota on cues that were already translated.
+ *
+ * Entries remember which videos they were seen in, which lets the service
+ * warm a small in-memory layer with a video's cues as soon as its subtitles
+ * load. Size is bounded by `translationMemoryMaxEntries` with least recently
+ * used eviction.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { loggingManager } from '../utils/loggingManager.js';
+import { configService } from '../../services/configService.js';
+import TTLCache from '../../utils/cache/TTLCache.js';
+import {
+    openDatabase,
+    promisifyRequest,
+    transactionDone,
+    isIndexedDBAvailable,
+} from '../../utils/indexedDb.js';
+
+const DB_NAME = 'DualSubTranslationMemory';
+const DB_VERSION = 1;
+const STORE_NAME = 'translations';
+
+/** Evict down to this fraction of the quota so we do not evict on every write */
+const EVICTION_TARGET_RATIO = 0.9;
+/** Maximum number of video IDs remembered per entry */
+const MAX_VIDEO_IDS_PER_ENTRY = 20;
+/** Debounce for persisting access timestamps of hot-cache hits */
+const TOUCH_FLUSH_DELAY = 2000;
+
+/**
+ * @typedef {Object} TranslationMemoryEntry
+ * @property {string} key - Composite key (provider:source:target:text)
+ * @property {string} provider - Provider that produced the translation
+ * @property {string} sourceLang - Source language code
+ * @property {string} targetLang - Target language code
+ * @property {string} text - Normalized source text
+ * @property {string} translation - Translated text
+ * @property {string[]} videoIds - Videos the cue was seen in
+ * @property {number} createdAt - Creation timestamp
+ * @property {number} lastAccessed - Last read/write timestamp (LRU order)
+ * @property {number} hits - Number of times the entry was served
+ */
+
+class TranslationMemory {
+    constructor() {
+        this.logger = loggingManager.createLogger('TranslationMemory');
+        this.db = null;
+        this.dbPromise = null;
+        this.enabled = true;
+        this.maxEntries = 20000;
+        this.entryCount = 0;
+        this.hotCache = new TTLCache(2000);
+        this.pendingTouches = new Map();
+        this.touchTimer = null;
+        this.evicting = null;
+        this.isInitialized = false;
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            writes: 0,
+            evictions: 0,
+            warmups: 0,
+        };
+    }
+
+    /**
+     * Initialize translation memory: load settings and open the database
+     */
+    async initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        try {
+            const settings = await configService.getMultiple([
+                'translationMemoryEnabled',
+                'translationMemoryMaxEntries',
+            ]);
+            this.enabled = settings.translationMemoryEnabled !== false;
+            this.maxEntries = Math.max(
+                100,
+                settings.translationMemoryMaxEntries || this.maxEntries
+            );
+        } catch (error) {
+            this.logger.warn(
+                'Failed to load translation memory settings, using defaults',
+                error
+            );
+        }
+
+        configService.onChanged((changes) => {
+            if ('translationMemoryEnabled' in changes) {
+                this.enabled = changes.translationMemoryEnabled !== false;
+                if (!this.enabled) {
+                    this.hotCache.clear();
+                }
+            }
+            if ('translationMemoryMaxEntries' in changes) {
+                this.maxEntries = Math.max(
+                    100,
+                    changes.translationMemoryMaxEntries || this.maxEntries
+                );
+                this.enforceQuota();
+            }
+        });
+
+        if (this.enabled) {
+            await this.getDatabase();
+        }
+
+        this.isInitialized = true;
+        this.logger.info('Translation memory initialized', {
+            enabled: this.enabled,
+            available: !!this.db,
+            maxEntries: this.maxEntries,
+            entryCount: this.entryCount,
+        });
+    }
+
+    /**
+     * Open the database lazily. Resolves to null when IndexedDB is unusable so
+     * callers can treat the memory as a plain miss.
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    async getDatabase() {
+        if (this.db) {
+            return this.db;
+        }
+        if (!isIndexedDBAvailable()) {
+            return null;
+        }
+        if (!this.dbPromise) {
+            this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    const store = db.createObjectStore(STORE_NAME, {
+                        keyPath: 'key',
+                    });
+                    store.createIndex('lastAccessed', 'lastAccessed');
+                    store.createIndex('videoIds', 'videoIds', {
+                        multiEntry: true,
+                    });
+                }
+            })
+                .then(async (db) => {
+                    this.db = db;
+                    this.entryCount = await promisifyRequest(
+                        db
+                            .transaction(STORE_NAME, 'readonly')
+                            .objectStore(STORE_NAME)
+                            .count()
+                    );
+                    return db;
+                })
+                .catch((error) => {
+                    this.logger.error(
+                        'Failed to open translation memory database',
+                        error
+                    );
+                    this.dbPromise = null;
+                    return null;
+                });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Normalize cue text so trivially different renderings share an entry
+     * @param {string} text - Raw cue text
+     * @returns {string} Normalized text
+     */
+    normalizeText(text) {
+        if (typeof text !== 'string') {
+            return '';
+        }
+        return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Build the composite key for an entry
+     * @param {string} provider - Provider ID
+     * @param {string} sourceLang - Source language
+     * @param {string} targetLang - Target language
+     * @param {string} text - Source text (normalized here)
+     * @returns {string} Entry key
+     */
+    buildKey(provider, sourceLang, targetLang, text) {
+        return `${provider}:${sourceLang}:${targetLang}:${this.normalizeText(text)}`;
+    }
+
+    /**
+     * Look up a single translation
+     * @param {string} provider - Provider ID
+     * @param {string} sourceLang - Source language
+     * @param {string} targetLang - Target language
+     * @param {string} text - Source text
+     * @returns {Promise<string|undefined>} Remembered translation, if any
+     */
+    async get(provider, sourceLang, targetLang, text) {
+        const [result] = await this.getMany(provider, sourceLang, targetLang, [
+            text,
+        ]);
+        return result;
+    }
+
+    /**
+     * Look up several translations in one transaction
+     * @param {string} provider - Provider ID
+     * @param {string} sourceLang - Source language
+     * @param {string} targetLang - Target language
+     * @param {string[]} texts - Source texts
+     * @returns {Promise<Array<string|undefined>>} Translations aligned with texts
+     */
+    async getMany(provider, sourceLang, targetLang, texts) {
+        const results = new Array(texts.length).fill(undefined);
+        if (!this.enabled || texts.length === 0) {
+            return results;
+        }
+
+        const keys = texts.map((text) =>
+            this.buildKey(provider, sourceLang, targetLang, text)
+        );
+        const coldIndices = [];
+
+        keys.forEach((key, index) => {
+            const hot = this.hotCache.get(key);
+            if (hot !== undefined) {
+                results[index] = hot;
+                this.scheduleTouch(key);
+            } else {
+                coldIndices.push(index);
+            }
+        });
+
+        if (coldIndices.length > 0) {
+            const db = await this.getDatabase();
+            if (db) {
+                try {
+                    const transaction = db.transaction(STORE_NAME, 'readwrite');
+                    const store = transaction.objectStore(STORE_NAME);
+                    const now = Date.now();
+                    const entries = await Promise.all(
+                        coldIndices.map((index) =>
+                            promisifyRequest(store.get(keys[index]))
+                        )
+                    );
+                    entries.forEach((entry, i) => {
+                        if (!entry) return;
+                        const index = coldIndices[i];
+                        results[index] = entry.translation;
+                        this.hotCache.set(entry.key, entry.translation);
+                        entry.lastAccessed = now;
+                        entry.hits = (entry.hits || 0) + 1;
+                        store.put(entry);
+                    });
+                    await transactionDone(transaction);
+                } catch (error) {
+                    this.logger.warn('Translation memory lookup failed', error, {
+                        provider,
+                        count: coldIndices.length,
+                    });
+                }
+            }
+        }
+
+        const hitCount = results.filter((r) => r !== undefined).length;
+        this.stats.hits += hitCount;
+        this.stats.misses += texts.length - hitCount;
+
+        return results;
+    }
+
+    /**
+     * Remember a single translation
+     * @param {string} provider - Provider ID
+     * @param {string} sourceLang - Source language
+     * @param {string} targetLang - Target language
+     * @param {string} text - Source text
+     * @param {string} translation - Translated text
+     * @param {Object} [options]
+     * @param {string} [options.videoId] - Video the cue belongs to
+     * @returns {Promise<void>}
+     */
+    async set(provider, sourceLang, targetLang, text, translation, options = {}) {
+        return this.setMany(
+            provider,
+            sourceLang,
+            targetLang,
+            [text],
+            [translation],
+            options
+        );
+    }
+
+    /**
+     * Remember several translations in one transaction. Never throws: a
+     * failed write only costs a future cache miss.
+     * @param {string} provider - Provider ID
+     * @param {string} sourceLang - Source language
+     * @param {string} targetLang - Target language
+     * @param {string[]} texts - Source texts
+     * @param {string[]} translations - Translations aligned with texts
+     * @param {Object} [options]
+     * @param {string} [options.videoId] - Video the cues belong to
+     * @returns {Promise<void>}
+     */
+    async setMany(
+        provider,
+        sourceLang,
+        targetLang,
+        texts,
+        translations,
+        options = {}
+    ) {
+        if (!this.enabled) {
+            return;
+        }
+
+        const pairs = [];
+        texts.forEach((text, index) => {
+            const translation = translations[index];
+            const normalized = this.normalizeText(text);
+            if (
+                normalized &&
+                typeof translation === 'string' &&
+                translation.trim() !== ''
+            ) {
+                pairs.push({ text: normalized, translation });
+            }
+        });
+        if (pairs.length === 0) {
+            return;
+        }
+
+        const db = await this.getDatabase();
+        for (const { text, translation } of pairs) {
+            this.hotCache.set(
+                this.buildKey(provider, sourceLang, targetLang, text),
+                translation
+            );
+        }
+        if (!db) {
+            return;
+        }
+
+        try {
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            const now = Date.now();
+            let added = 0;
+
+            await Promise.all(
+                pairs.map(async ({ text, translation }) => {
+                    const key = this.buildKey(
+                        provider,
+                        sourceLang,
+                        targetLang,
+                        text
+                    );
+                    const existing = await promisifyRequest(store.get(key));
+                    const videoIds = existing?.videoIds || [];
+                    if (options.videoId && !videoIds.includes(options.videoId)) {
+                        videoIds.push(options.videoId);
+                        if (videoIds.length > MAX_VIDEO_IDS_PER_ENTRY) {
+                            videoIds.shift();
+                        }
+                    }
+                    if (!existing) {
+                        added++;
+                    }
+                    store.put({
+                        key,
+                        provider,
+                        sourceLang,
+                        targetLang,
+                        text,
+                        translation,
+                        videoIds,
+                        createdAt: existing?.createdAt || now,
+                        lastAccessed: now,
+                        hits: existing?.hits || 0,
+                    });
+                })
+            );
+            await transactionDone(transaction);
+
+            this.entryCount += added;
+            this.stats.writes += pairs.length;
+
+            if (this.entryCount > this.maxEntries) {
+                await this.enforceQuota();
+            }
+        } catch (error) {
+            this.logger.warn('Failed to write translation memory', error, {
+                provider,
+                count: pairs.length,
+            });
+        }
+    }
+
+    /**
+     * Load every remembered cue of a video into the in-memory layer so
+     * playback lookups skip IndexedDB entirely
+     * @param {string} videoId - Video identifier
+     * @returns {Promise<number>} Number of entries warmed
+     */
+    async warmup(videoId) {
+        if (!this.enabled || !videoId) {
+            return 0;
+        }
+        const db = await this.getDatabase();
+        if (!db) {
+            return 0;
+        }
+
+        try {
+            const entries = await promisifyRequest(
+                db
+                    .transaction(STORE_NAME, 'readonly')
+                    .objectStore(STORE_NAME)
+                    .index('videoIds')
+                    .getAll(videoId)
+            );
+            if (entries.length > this.hotCache.maxSize) {
+                this.hotCache.maxSize = entries.length;
+            }
+            entries.forEach((entry) =>
+                this.hotCache.set(entry.key, entry.translation)
+            );
+            this.stats.warmups++;
+
+            this.logger.debug('Translation memory warmed up', {
+                videoId,
+                entries: entries.length,
+            });
+            return entries.length;
+        } catch (error) {
+            this.logger.warn('Translation memory warmup failed', error, {
+                videoId,
+            });
+            return 0;
+        }
+    }
+
+    /**
+     * Record an access for a hot-cache hit; flushed to IndexedDB in the
+     * background so LRU order stays meaningful without a write per cue
+     * @param {string} key - Entry key
+     */
+    scheduleTouch(key) {
+        this.pendingTouches.set(key, Date.now());
+        if (this.touchTimer) {
+            return;
+        }
+        this.touchTimer = setTimeout(() => {
+            this.touchTimer = null;
+            this.flushTouches();
+        }, TOUCH_FLUSH_DELAY);
+    }
+
+    /**
+     * Persist pending access timestamps
+     * @returns {Promise<void>}
+     */
+    async flushTouches() {
+        if (this.pendingTouches.size === 0) {
+            return;
+        }
+        const touches = new Map(this.pendingTouches);
+        this.pendingTouches.clear();
+
+        const db = await this.getDatabase();
+        if (!db) {
+            return;
+        }
+
+        try {
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            await Promise.all(
+                [...touches].map(async ([key, timestamp]) => {
+                    const entry = await promisifyRequest(store.get(key));
+                    if (entry) {
+                        entry.lastAccessed = Math.max(
+                            entry.lastAccessed || 0,
+                            timestamp
+                        );
+                        entry.hits = (entry.hits || 0) + 1;
+                        store.put(entry);
+                    }
+                })
+            );
+            await transactionDone(transaction);
+        } catch (error) {
+            this.logger.debug('Failed to flush translation memory touches', {
+                error: error.message,
+                count: touches.size,
+            });
+        }
+    }
+
+    /**
+     * Evict least recently used entries until the store is back under quota
+     * @returns {Promise<number>} Number of evicted entries
+     */
+    async enforceQuota() {
+        if (this.evicting) {
+            return this.evicting;
+        }
+
+        this.evicting = (async () => {
+            const db = await this.getDatabase();
+            if (!db || this.entryCount <= this.maxEntries) {
+                return 0;
+            }
+
+            const target = Math.floor(this.maxEntries * EVICTION_TARGET_RATIO);
+            let toEvict = this.entryCount - target;
+            let evicted = 0;
+
+            try {
+                const transaction = db.transaction(STORE_NAME, 'readwrite');
+                const request = transaction
+                    .objectStore(STORE_NAME)
+                    .index('lastAccessed')
+                    .openCursor();
+
+                await new Promise((resolve, reject) => {
+                    request.onsuccess = () => {
+                        const cursor = request.result;
+                        if (!cursor || toEvict <= 0) {
+                            resolve();
+                            return;
+                        }
+                        this.hotCache.map.delete(cursor.value.key);
+                        cursor.delete();
+                        evicted++;
+                        toEvict--;
+                        cursor.continue();
+                    };
+                    request.onerror = () => reject(request.error);
+                });
+                await transactionDone(transaction);
+
+                this.entryCount -= evicted;
+                this.stats.evictions += evicted;
+                this.logger.info('Translation memory evicted LRU entries', {
+                    evicted,
+                    remaining: this.entryCount,
+                    maxEntries: this.maxEntries,
+                });
+            } catch (error) {
+                this.logger.warn('Translation memory eviction failed', error);
+            }
+            return evicted;
+        })().finally(() => {
+            this.evicting = null;
+        });
+
+        return this.evicting;
+    }
+
+    /**
+     * Remove every remembered translation
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.hotCache.clear();
+        this.pendingTouches.clear();
+        const db = await this.getDatabase();
+        if (!db) {
+            return;
+        }
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        transaction.objectStore(STORE_NAME).clear();
+        await transactionDone(transaction);
+        this.entryCount = 0;
+        this.logger.info('Translation memory cleared');
+    }
+
+    /**
+     * Get translation memory statistics
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            enabled: this.enabled,
+            available: !!this.db,
+            entryCount: this.entryCount,
+            maxEntries: this.maxEntries,
+            hotEntries: this.hotCache.map.size,
+            hitRate: lookups > 0 ? (this.stats.hits / lookups) * 100 : 0,
+        };
+    }
+
+    /**
+     * Close the database (used by tests and on shutdown)
+     */
+    close() {
+        if (this.touchTimer) {
+            clearTimeout(this.touchTimer);
+            this.touchTimer = null;
+        }
+        if (this.db) {
+            this.db.close();
+        }
+        this.db = null;
+        this.dbPromise = null;
+    }
+}
+
+// Export singleton instance
+export const translationMemory = new TranslationMemory();
+export { TranslationMemory };
@@ -0,0 +1,119 @@
+import 'fake-indexeddb/auto';
+import { TranslationMemory } from './translationMemory.js';
+import { deleteDatabase } from '../../utils/indexedDb.js';
+
+describe('TranslationMemory', () => {
+    let memory;
+
+    beforeEach(async () => {
+        await deleteDatabase('DualSubTranslationMemory');
+        memory = new TranslationMemory();
+        await memory.initialize();
+    });
+
+    afterEach(() => {
+        memory.close();
+    });
+
+    test('remembers translations per provider and language pair', async () => {
+        await memory.set('google', 'en', 'es', 'Hello', 'Hola');
+
+        expect(await memory.get('google', 'en', 'es', 'Hello')).toBe('Hola');
+        expect(await memory.get('deepl', 'en', 'es', 'Hello')).toBeUndefined();
+        expect(await memory.get('google', 'en', 'fr', 'Hello')).toBeUndefined();
+    });
+
+    test('normalizes whitespace so re-rendered cues share an entry', async () => {
+        await memory.set(
+            'google',
+            'en',
+            'es',
+            '  Hello\n  world ',
+            'Hola mundo'
+        );
+
+        expect(await memory.get('google', 'en', 'es', 'Hello world')).toBe(
+            'Hola mundo'
+        );
+    });
+
+    test('survives a fresh instance (service worker restart)', async () => {
+        await memory.setMany(
+            'google',
+            'en',
+            'es',
+            ['One', 'Two'],
+            ['Uno', 'Dos']
+        );
+        memory.close();
+
+        const restarted = new TranslationMemory();
+        try {
+            await restarted.initialize();
+            expect(restarted.getStats().entryCount).toBe(2);
+            expect(
+                await restarted.getMany('google', 'en', 'es', [
+                    'Two',
+                    'Three',
+                    'One',
+                ])
+            ).toEqual(['Dos', undefined, 'Uno']);
+        } finally {
+            restarted.close();
+        }
+    });
+
+    test('warms the in-memory layer for a video', async () => {
+        await memory.setMany('google', 'en', 'es', ['A', 'B'], ['a', 'b'], {
+            videoId: 'video-1',
+        });
+        await memory.set('google', 'en', 'es', 'C', 'c', {
+            videoId: 'video-2',
+        });
+        memory.hotCache.clear();
+
+        expect(await memory.warmup('video-1')).toBe(2);
+        expect(memory.getStats().hotEntries).toBe(2);
+    });
+
+    test('evicts least recently used entries beyond the quota', async () => {
+        memory.maxEntries = 100;
+        const texts = Array.from({ length: 100 }, (_, i) => `line ${i}`);
+        await memory.setMany('google', 'en', 'es', texts, texts);
+        // Make the first line the most recently used
+        memory.hotCache.clear();
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        await memory.get('google', 'en', 'es', 'line 0');
+
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        await memory.set('google', 'en', 'es', 'line 100', 'line 100');
+
+        expect(memory.getStats().entryCount).toBe(90);
+        memory.hotCache.clear();
+        expect(await memory.get('google', 'en', 'es', 'line 0')).toBe('line 0');
+        expect(await memory.get('google', 'en', 'es', 'line 100')).toBe(
+            'line 100'
+        );
+        expect(
+            await memory.get('google', 'en', 'es', 'line 1')
+        ).toBeUndefined();
+    });
+
+    test('ignores empty translations and honours the enabled flag', async () => {
+        await memory.set('google', 'en', 'es', 'Hello', '   ');
+        expect(await memory.get('google', 'en', 'es', 'Hello')).toBeUndefined();
+
+        memory.enabled = false;
+        await memory.set('google', 'en', 'es', 'Bye', 'Adiós');
+        memory.enabled = true;
+        expect(await memory.get('google', 'en', 'es', 'Bye')).toBeUndefined();
+    });
+
+    test('clear removes every entry', async () => {
+        await memory.set('google', 'en', 'es', 'Hello', 'Hola');
+        await memory.clear();
+
+        expect(memory.getStats().entryCount).toBe(0);
+        expect(await memory.get('google', 'en', 'es', 'Hello')).toBeUndefined();
+    });
+});
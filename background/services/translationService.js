@@ -22,8 +22,10 @@ import { configService } from '../../services/configService.js';
 import { loggingManager } from '../utils/loggingManager.js';
 import {
     errorHandler,
+    ErrorCategory,
     TranslationError,
     RateLimitError,
+    BudgetExceededError,
 } from '../utils/errorHandler.js';
 import { performanceMonitor } from '../utils/performanceMonitor.js';
 import { universalBatchProcessor } from './universalBatchProcessor.js';
@@ -33,7 +35,43 @@ import {
     ProviderBatchConfigs,
 } from '../../content_scripts/shared/constants/providers.js';
 import { translate as vertexGeminiTranslate, translateBatch as vertexGeminiTranslateBatch } from '../../translation_providers/geminiVertexTranslate.js';
+import {
+    translate as localLlmTranslate,
+    translateBatch as localLlmTranslateBatch,
+} from '../../translation_providers/localLlmTranslate.js';
 import TTLCache from '../../utils/cache/TTLCache.js';
+import { translationMemory } from './translationMemory.js';
+import { usageTracker } from './usageTracker.js';
+import { isReadingTarget } from '../../utils/pronunciation.js';
+
+/**
+ * Error categories that make the next provider in the fallback chain worth
+ * trying. Validation errors are about the request itself, so another
+ * provider would fail the same way.
+ */
+const FAILOVER_CATEGORIES = new Set([
+    ErrorCategory.RATE_LIMIT,
+    ErrorCategory.CONFIGURATION,
+    ErrorCategory.NETWORK,
+    ErrorCategory.TRANSLATION,
+    ErrorCategory.SYSTEM,
+]);
+
+/**
+ * Error categories that skip same-provider retries when a fallback exists
+ */
+const IMMEDIATE_FAILOVER_CATEGORIES = new Set([
+    ErrorCategory.RATE_LIMIT,
+    ErrorCategory.CONFIGURATION,
+]);
+
+/**
+ * How long a failed provider is skipped by the failover chain (ms)
+ */
+const PROVIDER_COOLDOWNS = {
+    [ErrorCategory.RATE_LIMIT]: 60000, // 1 minute
+    [ErrorCategory.CONFIGURATION]: 300000, // 5 minutes, or until settings change
+};
 
 /**
  * @typedef {Object} TranslationResult
@@ -49,6 +87,8 @@ class TranslationService {
     constructor() {
         this.logger = null;
         this.currentProviderId = Providers.DEEPL_FREE;
+        this.fallbackProviderIds = [];
+        this.providerCooldowns = new Map(); // providerId -> skip until timestamp
         this.providers = {
             [Providers.GOOGLE]: {
                 name: ProviderNames[Providers.GOOGLE],
@@ -142,6 +182,22 @@ class TranslationService {
                     delimiter: ProviderBatchConfigs[Providers.VERTEX_GEMINI].delimiter,
                 },
             },
+            [Providers.LOCAL_LLM]: {
+                name: ProviderNames[Providers.LOCAL_LLM],
+                translate: localLlmTranslate,
+                translateBatch: localLlmTranslateBatch,
+                supportsBatch: true,
+                // Runs on the user's own hardware: no quotas and no delays
+                rateLimit: null,
+                category: 'local',
+                batchOptimizations: {
+                    maxBatchSize:
+                        ProviderBatchConfigs[Providers.LOCAL_LLM].maxBatchSize,
+                    contextPreservation: true,
+                    exponentialBackoff: false,
+                    delimiter: ProviderBatchConfigs[Providers.LOCAL_LLM].delimiter,
+                },
+            },
         };
         this.isInitialized = false;
         this.cacheMaxSize = 1000; // Maximum cache entries
@@ -155,6 +211,8 @@ class TranslationService {
             averageResponseTime: 0,
             errors: 0,
             rateLimitHits: 0,
+            memoryHits: 0,
+            failovers: 0,
         };
     }
 
@@ -187,6 +245,14 @@ class TranslationService {
             );
         }
 
+        try {
+            this.setFallbackProviders(
+                await configService.get('translationFallbackProviders')
+            );
+        } catch (error) {
+            this.logger.warn('Error loading fallback provider setting', error);
+        }
+
         // Listen for provider changes
         configService.onChanged((changes) => {
             if (
@@ -198,11 +264,33 @@ class TranslationService {
                     selectedProvider: changes.selectedProvider,
                 });
             }
+            if ('translationFallbackProviders' in changes) {
+                this.setFallbackProviders(
+                    changes.translationFallbackProviders
+                );
+            }
+            // Any settings change may have fixed a provider's API key or
+            // endpoint, so give providers on cooldown another chance
+            this.providerCooldowns.clear();
         });
 
         // Validate all providers
         await this.validateProviders();
 
+        // Open the persistent translation memory (non-fatal if unavailable)
+        try {
+            await translationMemory.initialize();
+        } catch (error) {
+            this.logger.warn('Translation memory unavailable', error);
+        }
+
+        // Load usage counters and budget caps before the first request
+        try {
+            await usageTracker.initialize();
+        } catch (error) {
+            this.logger.warn('Usage tracking unavailable', error);
+        }
+
         // Initialize universal batch processor
         await universalBatchProcessor.initialize();
 
@@ -217,6 +305,19 @@ class TranslationService {
         });
     }
 
+    /**
+     * Set the ordered fallback providers, ignoring unknown IDs
+     * @param {string[]} providerIds - Fallback provider IDs
+     */
+    setFallbackProviders(providerIds) {
+        this.fallbackProviderIds = Array.isArray(providerIds)
+            ? providerIds.filter((providerId) => this.providers[providerId])
+            : [];
+        this.logger?.info('Fallback providers updated', {
+            chain: this.getProviderChain(),
+        });
+    }
+
     /**
      * Validate all translation providers
      */
@@ -260,9 +361,93 @@ class TranslationService {
      * @returns {Promise<string>} Translated text
      */
     async translate(text, sourceLang, targetLang, options = {}) {
+        const { translatedText } = await this.translateWithFailover(
+            text,
+            sourceLang,
+            targetLang,
+            options
+        );
+        return translatedText;
+    }
+
+    /**
+     * Translate text, moving down the fallback chain when a provider is
+     * rate limited, misconfigured or failing
+     * @param {string} text - Text to translate
+     * @param {string} sourceLang - Source language code
+     * @param {string} targetLang - Target language code
+     * @param {Object} options - Translation options
+     * @param {string} [options.provider] - Provider to start with instead of the selected one
+     * @returns {Promise<{translatedText: string, provider: string}>} Translation and the provider that produced it
+     */
+    async translateWithFailover(text, sourceLang, targetLang, options = {}) {
+        const candidates = this.getFailoverCandidates(
+            text,
+            options.provider,
+            targetLang
+        );
+        let lastError;
+
+        for (let i = 0; i < candidates.length; i++) {
+            const providerId = candidates[i];
+            const hasFallback = i < candidates.length - 1;
+
+            try {
+                const translatedText = await this.translateWithProvider(
+                    text,
+                    sourceLang,
+                    targetLang,
+                    providerId,
+                    { ...options, hasFallback }
+                );
+                if (i > 0) {
+                    this.performanceMetrics.failovers++;
+                }
+                // Readings are no translations for the cue history
+                if (!isReadingTarget(targetLang)) {
+                    universalBatchProcessor.recordTranslatedCues(
+                        options.videoId,
+                        [{ start: options.cueStart }],
+                        [text],
+                        [translatedText]
+                    );
+                }
+                return { translatedText, provider: providerId };
+            } catch (error) {
+                lastError = error;
+                if (!hasFallback || !this.shouldFailover(error, providerId)) {
+                    throw error;
+                }
+                this.logger.warn('Translation provider failed, failing over', {
+                    failedProvider: providerId,
+                    nextProvider: candidates[i + 1],
+                    reason: error.message,
+                });
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Translate text with a specific provider with caching and rate limiting
+     * @param {string} text - Text to translate
+     * @param {string} sourceLang - Source language code
+     * @param {string} targetLang - Target language code
+     * @param {string} providerId - Provider to use
+     * @param {Object} options - Translation options
+     * @returns {Promise<string>} Translated text
+     */
+    async translateWithProvider(
+        text,
+        sourceLang,
+        targetLang,
+        providerId,
+        options = {}
+    ) {
         const startTime = Date.now();
         const timerId = performanceMonitor.startTiming('translation', {
-            provider: this.currentProviderId,
+            provider: providerId,
             textLength: text.length,
             sourceLang,
             targetLang,
@@ -273,7 +458,8 @@ class TranslationService {
             const cacheKey = this.generateCacheKey(
                 text,
                 sourceLang,
-                targetLang
+                targetLang,
+                providerId
             );
             if (!options.skipCache) {
                 const cachedResult = this.getCacheItem(cacheKey);
@@ -282,32 +468,55 @@ class TranslationService {
                     this.logger.debug('Translation cache hit', { cacheKey });
                     return cachedResult;
                 }
+
+                if (!options.skipMemory) {
+                    const remembered = await translationMemory.get(
+                        providerId,
+                        sourceLang,
+                        targetLang,
+                        text
+                    );
+                    if (remembered !== undefined) {
+                        this.performanceMetrics.cacheHits++;
+                        this.performanceMetrics.memoryHits++;
+                        this.setCacheItem(cacheKey, remembered);
+                        this.logger.debug('Translation memory hit', {
+                            cacheKey,
+                        });
+                        return remembered;
+                    }
+                }
+            }
+
+            if (usageTracker.isBudgetBlocked(providerId)) {
+                throw this.createBudgetExceededError(providerId);
             }
 
             // Check rate limits
-            if (!options.skipRateLimit && !this.checkRateLimit(text)) {
+            if (
+                !options.skipRateLimit &&
+                !this.checkRateLimit(text, providerId)
+            ) {
                 this.performanceMetrics.rateLimitHits++;
                 const rateLimitError = new RateLimitError(
                     'Rate limit exceeded for current provider',
                     {
-                        provider: this.currentProviderId,
-                        rateLimitStatus: this.getRateLimitStatus(),
+                        provider: providerId,
+                        rateLimitStatus: this.getRateLimitStatus(providerId),
                     }
                 );
                 throw rateLimitError;
             }
 
             // Apply mandatory delay before translation
-            await this.applyMandatoryDelay();
+            await this.applyMandatoryDelay(providerId);
 
-            const selectedProvider = this.providers[this.currentProviderId];
+            const selectedProvider = this.providers[providerId];
             if (!selectedProvider?.translate) {
                 this.logger.error('Invalid translation provider', null, {
-                    providerId: this.currentProviderId,
+                    providerId,
                 });
-                throw new Error(
-                    `Provider "${this.currentProviderId}" is not configured.`
-                );
+                throw new Error(`Provider "${providerId}" is not configured.`);
             }
 
             // Perform translation
@@ -319,9 +528,18 @@ class TranslationService {
 
             // Cache the result
             this.setCacheItem(cacheKey, translatedText);
+            translationMemory.set(
+                providerId,
+                sourceLang,
+                targetLang,
+                text,
+                translatedText,
+                { videoId: options.videoId }
+            );
 
             // Update rate limit tracker
-            this.updateRateLimitTracker(text);
+            this.updateRateLimitTracker(text, providerId);
+            usageTracker.recordRequest(providerId, text.length);
 
             // Update performance metrics
             const responseTime = Date.now() - startTime;
@@ -331,7 +549,7 @@ class TranslationService {
             performanceMonitor.endTiming(timerId);
 
             this.logger.debug('Translation completed', {
-                provider: this.currentProviderId,
+                provider: providerId,
                 textLength: text.length,
                 translatedLength: translatedText.length,
                 responseTime,
@@ -348,7 +566,7 @@ class TranslationService {
             // Handle error with comprehensive error handler
             const errorInfo = errorHandler.handleError(error, {
                 operation: 'translate',
-                provider: this.currentProviderId,
+                provider: providerId,
                 textLength: text.length,
                 sourceLang,
                 targetLang,
@@ -358,21 +576,32 @@ class TranslationService {
 
             // Create appropriate error type
             let translationError;
-            if (error instanceof RateLimitError) {
+            if (
+                error instanceof RateLimitError ||
+                error instanceof BudgetExceededError
+            ) {
                 translationError = error;
             } else {
                 translationError = new TranslationError(errorInfo.userMessage, {
                     originalError: error.message,
-                    provider: this.currentProviderId,
+                    provider: providerId,
                     errorCode: errorInfo.errorCode,
+                    category: errorInfo.category,
                     isRecoverable: errorInfo.isRecoverable,
                 });
             }
 
+            // Waiting out a rate limit or retrying bad credentials is
+            // pointless when the next provider in the chain can take over
+            const failoverNow =
+                options.hasFallback &&
+                IMMEDIATE_FAILOVER_CATEGORIES.has(errorInfo.category);
+
             // Attempt recovery if possible
             if (
                 errorInfo.recovery.shouldRetry &&
-                options.allowRetry !== false
+                options.allowRetry !== false &&
+                !failoverNow
             ) {
                 this.logger.info('Attempting translation retry', {
                     retryCount: (options.retryCount || 0) + 1,
@@ -385,27 +614,164 @@ class TranslationService {
                 );
 
                 // Retry with incremented count
-                return await this.translate(text, sourceLang, targetLang, {
-                    ...options,
-                    retryCount: (options.retryCount || 0) + 1,
-                    allowRetry: (options.retryCount || 0) < 2, // Max 3 total attempts
-                });
+                return await this.translateWithProvider(
+                    text,
+                    sourceLang,
+                    targetLang,
+                    providerId,
+                    {
+                        ...options,
+                        retryCount: (options.retryCount || 0) + 1,
+                        allowRetry: (options.retryCount || 0) < 2, // Max 3 total attempts
+                    }
+                );
             }
 
             throw translationError;
         }
     }
 
+    /**
+     * Get the ordered provider chain: the selected provider followed by the
+     * configured fallback providers
+     * @param {string} [primaryId] - Provider to start with instead of the selected one (a platform or show override)
+     * @returns {string[]} Provider IDs in failover order
+     */
+    getProviderChain(primaryId) {
+        const chain = [
+            this.providers[primaryId] ? primaryId : this.currentProviderId,
+        ];
+        for (const providerId of this.fallbackProviderIds) {
+            if (this.providers[providerId] && !chain.includes(providerId)) {
+                chain.push(providerId);
+            }
+        }
+        return chain;
+    }
+
+    /**
+     * Get the providers worth trying for a request, skipping providers that
+     * are cooling down after a failure or are out of rate limit budget.
+     * Falls back to the selected provider alone so its error still surfaces
+     * when nothing else is usable.
+     * @param {string} text - Text to be translated (for rate limit checks)
+     * @param {string} [primaryId] - Provider to start with instead of the selected one
+     * @param {string} [targetLang] - Target language; reading targets (utils/pronunciation.js) only go to providers that support them
+     * @returns {string[]} Provider IDs in failover order
+     */
+    getFailoverCandidates(text = '', primaryId, targetLang) {
+        let chain = this.applyUsageBudget(this.getProviderChain(primaryId));
+        if (isReadingTarget(targetLang)) {
+            chain = chain.filter(
+                (providerId) =>
+                    ProviderBatchConfigs[providerId]?.supportsReadings
+            );
+            if (chain.length === 0) {
+                throw new TranslationError(
+                    'Readings need an LLM translation provider',
+                    { targetLang, provider: primaryId }
+                );
+            }
+        }
+        if (chain.length === 1) {
+            return chain;
+        }
+
+        const now = Date.now();
+        const candidates = chain.filter((providerId) => {
+            const cooldownUntil = this.providerCooldowns.get(providerId);
+            if (cooldownUntil && cooldownUntil > now) {
+                return false;
+            }
+            return this.checkRateLimit(text, providerId);
+        });
+
+        return candidates.length > 0 ? candidates : [chain[0]];
+    }
+
+    /**
+     * Take paid providers out of a provider chain once a usage budget cap
+     * is reached. The 'switch' budget action adds the configured free
+     * provider at the end. Keeps the selected provider alone when nothing
+     * is left, so cached translations are still served and the budget
+     * error surfaces.
+     * @param {string[]} chain - Provider IDs in failover order
+     * @returns {string[]} Provider IDs within budget
+     */
+    applyUsageBudget(chain) {
+        if (!usageTracker.isOverBudget()) {
+            return chain;
+        }
+
+        const allowed = chain.filter(
+            (providerId) => !usageTracker.isPaidProvider(providerId)
+        );
+        const { action, switchProvider } = usageTracker.budget;
+        if (
+            action === 'switch' &&
+            this.providers[switchProvider] &&
+            !usageTracker.isPaidProvider(switchProvider) &&
+            !allowed.includes(switchProvider)
+        ) {
+            allowed.push(switchProvider);
+        }
+
+        return allowed.length > 0 ? allowed : [chain[0]];
+    }
+
+    /**
+     * Create the error thrown when the budget caps stop a paid provider
+     * @param {string} providerId - Provider that was stopped
+     * @returns {BudgetExceededError}
+     */
+    createBudgetExceededError(providerId) {
+        return new BudgetExceededError(
+            'Usage budget reached. Paid translation providers are paused until the budget resets.',
+            {
+                provider: providerId,
+                budgetStatus: usageTracker.getBudgetStatus(),
+            }
+        );
+    }
+
+    /**
+     * Decide whether a provider error should move the request to the next
+     * provider, and put providers with quota or credential problems on
+     * cooldown so following cues skip them straight away
+     * @param {Error} error - Error thrown by the provider
+     * @param {string} providerId - Provider that failed
+     * @returns {boolean} True if the next provider should be tried
+     */
+    shouldFailover(error, providerId) {
+        const category =
+            error?.details?.category ||
+            errorHandler.classifyError(error, { provider: providerId })
+                .category;
+
+        const cooldown = PROVIDER_COOLDOWNS[category];
+        if (cooldown) {
+            this.providerCooldowns.set(providerId, Date.now() + cooldown);
+        }
+
+        return FAILOVER_CATEGORIES.has(category);
+    }
+
     /**
      * Generate cache key for translation
      * @param {string} text - Text to translate
      * @param {string} sourceLang - Source language
      * @param {string} targetLang - Target language
+     * @param {string} [providerId] - Provider ID (defaults to the current provider)
      * @returns {string} Cache key
      */
-    generateCacheKey(text, sourceLang, targetLang) {
+    generateCacheKey(
+        text,
+        sourceLang,
+        targetLang,
+        providerId = this.currentProviderId
+    ) {
         const textHash = this.simpleHash(text);
-        return `${this.currentProviderId}:${sourceLang}:${targetLang}:${textHash}`;
+        return `${providerId}:${sourceLang}:${targetLang}:${textHash}`;
     }
 
     /**
@@ -444,10 +810,11 @@ class TranslationService {
     /**
      * Check if current provider is within rate limits
      * @param {string} text - Text to be translated (for character/byte counting)
+     * @param {string} [providerId] - Provider ID (defaults to the current provider)
      * @returns {boolean} True if within limits
      */
-    checkRateLimit(text = '') {
-        const provider = this.providers[this.currentProviderId];
+    checkRateLimit(text = '', providerId = this.currentProviderId) {
+        const provider = this.providers[providerId];
         if (!provider.rateLimit) return true;
 
         const rateLimit = provider.rateLimit;
@@ -455,18 +822,33 @@ class TranslationService {
 
         switch (rateLimit.type) {
             case 'bytes_per_window':
-                return this.checkBytesPerWindow(text, rateLimit, now);
+                return this.checkBytesPerWindow(
+                    text,
+                    rateLimit,
+                    now,
+                    providerId
+                );
 
             case 'characters_sliding_window':
-                return this.checkCharactersSlidingWindow(text, rateLimit, now);
+                return this.checkCharactersSlidingWindow(
+                    text,
+                    rateLimit,
+                    now,
+                    providerId
+                );
 
             case 'characters_per_month':
-                return this.checkCharactersPerMonth(text, rateLimit, now);
+                return this.checkCharactersPerMonth(
+                    text,
+                    rateLimit,
+                    now,
+                    providerId
+                );
 
             case 'requests_per_hour':
             case 'requests_per_minute':
             default:
-                return this.checkRequestsPerWindow(rateLimit, now);
+                return this.checkRequestsPerWindow(rateLimit, now, providerId);
         }
     }
 
@@ -475,22 +857,23 @@ class TranslationService {
      * @param {string} text - Text to translate
      * @param {Object} rateLimit - Rate limit configuration
      * @param {number} now - Current timestamp
+     * @param {string} providerId - Provider ID
      * @returns {boolean} True if within limits
      */
-    checkBytesPerWindow(text, rateLimit, now) {
+    checkBytesPerWindow(text, rateLimit, now, providerId) {
         const windowStart = now - rateLimit.window;
 
-        if (!this.characterTracker.has(this.currentProviderId)) {
-            this.characterTracker.set(this.currentProviderId, []);
+        if (!this.characterTracker.has(providerId)) {
+            this.characterTracker.set(providerId, []);
         }
 
-        const requests = this.characterTracker.get(this.currentProviderId);
+        const requests = this.characterTracker.get(providerId);
 
         // Remove old requests outside the window
         const recentRequests = requests.filter(
             (req) => req.timestamp > windowStart
         );
-        this.characterTracker.set(this.currentProviderId, recentRequests);
+        this.characterTracker.set(providerId, recentRequests);
 
         // Calculate total bytes in current window
         const totalBytes = recentRequests.reduce(
@@ -507,23 +890,24 @@ class TranslationService {
      * @param {string} text - Text to translate
      * @param {Object} rateLimit - Rate limit configuration
      * @param {number} now - Current timestamp
+     * @param {string} providerId - Provider ID
      * @returns {boolean} True if within limits
      */
-    checkCharactersSlidingWindow(text, rateLimit, now) {
+    checkCharactersSlidingWindow(text, rateLimit, now, providerId) {
         const shortWindowStart = now - rateLimit.window;
         const longWindowStart = now - rateLimit.maxWindow;
 
-        if (!this.characterTracker.has(this.currentProviderId)) {
-            this.characterTracker.set(this.currentProviderId, []);
+        if (!this.characterTracker.has(providerId)) {
+            this.characterTracker.set(providerId, []);
         }
 
-        const requests = this.characterTracker.get(this.currentProviderId);
+        const requests = this.characterTracker.get(providerId);
 
         // Remove old requests outside the long window
         const recentRequests = requests.filter(
             (req) => req.timestamp > longWindowStart
         );
-        this.characterTracker.set(this.currentProviderId, recentRequests);
+        this.characterTracker.set(providerId, recentRequests);
 
         // Check short window (1 minute)
         const shortWindowRequests = recentRequests.filter(
@@ -553,22 +937,23 @@ class TranslationService {
      * @param {string} text - Text to translate
      * @param {Object} rateLimit - Rate limit configuration
      * @param {number} now - Current timestamp
+     * @param {string} providerId - Provider ID
      * @returns {boolean} True if within limits
      */
-    checkCharactersPerMonth(text, rateLimit, now) {
+    checkCharactersPerMonth(text, rateLimit, now, providerId) {
         const windowStart = now - rateLimit.window;
 
-        if (!this.characterTracker.has(this.currentProviderId)) {
-            this.characterTracker.set(this.currentProviderId, []);
+        if (!this.characterTracker.has(providerId)) {
+            this.characterTracker.set(providerId, []);
         }
 
-        const requests = this.characterTracker.get(this.currentProviderId);
+        const requests = this.characterTracker.get(providerId);
 
         // Remove old requests outside the window
         const recentRequests = requests.filter(
             (req) => req.timestamp > windowStart
         );
-        this.characterTracker.set(this.currentProviderId, recentRequests);
+        this.characterTracker.set(providerId, recentRequests);
 
         // Calculate total characters in current window
         const totalChars = recentRequests.reduce(
@@ -584,44 +969,45 @@ class TranslationService {
      * Check requests per window rate limit (OpenAI, DeepL Free)
      * @param {Object} rateLimit - Rate limit configuration
      * @param {number} now - Current timestamp
+     * @param {string} providerId - Provider ID
      * @returns {boolean} True if within limits
      */
-    checkRequestsPerWindow(rateLimit, now) {
+    checkRequestsPerWindow(rateLimit, now, providerId) {
         const windowStart = now - rateLimit.window;
 
-        if (!this.rateLimitTracker.has(this.currentProviderId)) {
-            this.rateLimitTracker.set(this.currentProviderId, []);
+        if (!this.rateLimitTracker.has(providerId)) {
+            this.rateLimitTracker.set(providerId, []);
         }
 
-        const requests = this.rateLimitTracker.get(this.currentProviderId);
+        const requests = this.rateLimitTracker.get(providerId);
 
         // Remove old requests outside the window
         const recentRequests = requests.filter(
             (timestamp) => timestamp > windowStart
         );
-        this.rateLimitTracker.set(this.currentProviderId, recentRequests);
+        this.rateLimitTracker.set(providerId, recentRequests);
 
         return recentRequests.length < rateLimit.requests;
     }
 
     /**
      * Apply mandatory delay before translation
+     * @param {string} [providerId] - Provider ID (defaults to the current provider)
      * @returns {Promise<void>}
      */
-    async applyMandatoryDelay() {
-        const provider = this.providers[this.currentProviderId];
+    async applyMandatoryDelay(providerId = this.currentProviderId) {
+        const provider = this.providers[providerId];
         if (!provider.rateLimit?.mandatoryDelay) return;
 
         const now = Date.now();
-        const lastRequest =
-            this.lastRequestTime.get(this.currentProviderId) || 0;
+        const lastRequest = this.lastRequestTime.get(providerId) || 0;
         const timeSinceLastRequest = now - lastRequest;
         const requiredDelay = provider.rateLimit.mandatoryDelay;
 
         if (timeSinceLastRequest < requiredDelay) {
             const delayNeeded = requiredDelay - timeSinceLastRequest;
             this.logger.debug('Applying mandatory delay', {
-                provider: this.currentProviderId,
+                provider: providerId,
                 delayNeeded,
                 requiredDelay,
                 timeSinceLastRequest,
@@ -629,16 +1015,17 @@ class TranslationService {
             await new Promise((resolve) => setTimeout(resolve, delayNeeded));
         }
 
-        this.lastRequestTime.set(this.currentProviderId, Date.now());
+        this.lastRequestTime.set(providerId, Date.now());
     }
 
     /**
      * Update rate limit tracker
      * @param {string} text - Text that was translated
+     * @param {string} [providerId] - Provider ID (defaults to the current provider)
      */
-    updateRateLimitTracker(text = '') {
+    updateRateLimitTracker(text = '', providerId = this.currentProviderId) {
         const now = Date.now();
-        const provider = this.providers[this.currentProviderId];
+        const provider = this.providers[providerId];
 
         if (!provider.rateLimit) return;
 
@@ -646,10 +1033,10 @@ class TranslationService {
         if (!this.rateLimitTracker) this.rateLimitTracker = new Map();
 
         // Always update request tracker
-        if (!this.rateLimitTracker.has(this.currentProviderId)) {
-            this.rateLimitTracker.set(this.currentProviderId, []);
+        if (!this.rateLimitTracker.has(providerId)) {
+            this.rateLimitTracker.set(providerId, []);
         }
-        this.rateLimitTracker.get(this.currentProviderId).push(now);
+        this.rateLimitTracker.get(providerId).push(now);
 
         // Update character/byte tracker for relevant providers
         const rateLimit = provider.rateLimit;
@@ -658,8 +1045,8 @@ class TranslationService {
             rateLimit.type === 'characters_sliding_window' ||
             rateLimit.type === 'characters_per_month'
         ) {
-            if (!this.characterTracker.has(this.currentProviderId)) {
-                this.characterTracker.set(this.currentProviderId, []);
+            if (!this.characterTracker.has(providerId)) {
+                this.characterTracker.set(providerId, []);
             }
 
             const entry = {
@@ -668,7 +1055,7 @@ class TranslationService {
                 bytes: new TextEncoder().encode(text).length,
             };
 
-            this.characterTracker.get(this.currentProviderId).push(entry);
+            this.characterTracker.get(providerId).push(entry);
         }
     }
 
@@ -770,9 +1157,51 @@ class TranslationService {
         this.logger.debug('Translation cache cleared');
     }
 
+    /**
+     * Preload a video's remembered translations into memory
+     * @param {string} videoId - Video identifier
+     * @returns {Promise<number>} Number of entries warmed
+     */
+    async warmupTranslationMemory(videoId) {
+        return await translationMemory.warmup(videoId);
+    }
+
+    /**
+     * Get persistent translation memory statistics
+     * @returns {Object} Translation memory statistics
+     */
+    getTranslationMemoryStats() {
+        return translationMemory.getStats();
+    }
+
+    /**
+     * Clear both the in-memory cache and the persistent translation memory
+     * @returns {Promise<void>}
+     */
+    async clearTranslationMemory() {
+        this.clearCache();
+        await translationMemory.clear();
+    }
+
+    /**
+     * Get recorded usage, prices, budget status and DeepL quota
+     * @returns {Promise<Object>} Usage report (see UsageTracker.getReport)
+     */
+    async getUsageReport() {
+        return await usageTracker.getReport();
+    }
+
+    /**
+     * Forget all recorded usage
+     * @returns {Promise<void>}
+     */
+    async resetUsage() {
+        await usageTracker.reset();
+    }
+
     /**
      * Get providers by category
-     * @param {string} category - Provider category ('free', 'api_key')
+     * @param {string} category - Provider category ('free', 'api_key', 'local')
      * @returns {Object} Filtered providers
      */
     getProvidersByCategory(category) {
@@ -801,18 +1230,20 @@ class TranslationService {
 
     /**
      * Check if current provider supports batch processing
+     * @param {string} [providerId] - Provider ID (defaults to the current provider)
      * @returns {boolean} True if supports batch
      */
-    currentProviderSupportsBatch() {
-        return this.providers[this.currentProviderId]?.supportsBatch || false;
+    currentProviderSupportsBatch(providerId = this.currentProviderId) {
+        return this.providers[providerId]?.supportsBatch || false;
     }
 
     /**
      * Get rate limit status for current provider
+     * @param {string} [providerId] - Provider ID (defaults to the current provider)
      * @returns {Object} Rate limit status
      */
-    getRateLimitStatus() {
-        const provider = this.providers[this.currentProviderId];
+    getRateLimitStatus(providerId = this.currentProviderId) {
+        const provider = this.providers[providerId];
         if (!provider.rateLimit) {
             return { hasLimit: false };
         }
@@ -822,28 +1253,36 @@ class TranslationService {
 
         switch (rateLimit.type) {
             case 'bytes_per_window':
-                return this.getBytesRateLimitStatus(rateLimit, now);
+                return this.getBytesRateLimitStatus(rateLimit, now, providerId);
 
             case 'characters_sliding_window':
-                return this.getCharactersSlidingWindowStatus(rateLimit, now);
+                return this.getCharactersSlidingWindowStatus(
+                    rateLimit,
+                    now,
+                    providerId
+                );
 
             case 'characters_per_month':
-                return this.getCharactersPerMonthStatus(rateLimit, now);
+                return this.getCharactersPerMonthStatus(
+                    rateLimit,
+                    now,
+                    providerId
+                );
 
             case 'requests_per_hour':
             case 'requests_per_minute':
             default:
-                return this.getRequestsRateLimitStatus(rateLimit, now);
+                return this.getRequestsRateLimitStatus(rateLimit, now, providerId);
         }
     }
 
     /**
      * Get bytes rate limit status
      */
-    getBytesRateLimitStatus(rateLimit, now) {
+    getBytesRateLimitStatus(rateLimit, now, providerId) {
         const windowStart = now - rateLimit.window;
         const requests =
-            this.characterTracker.get(this.currentProviderId) || [];
+            this.characterTracker.get(providerId) || [];
         const recentRequests = requests.filter(
             (req) => req.timestamp > windowStart
         );
@@ -866,11 +1305,11 @@ class TranslationService {
     /**
      * Get characters sliding window status
      */
-    getCharactersSlidingWindowStatus(rateLimit, now) {
+    getCharactersSlidingWindowStatus(rateLimit, now, providerId) {
         const shortWindowStart = now - rateLimit.window;
         const longWindowStart = now - rateLimit.maxWindow;
         const requests =
-            this.characterTracker.get(this.currentProviderId) || [];
+            this.characterTracker.get(providerId) || [];
 
         const shortWindowRequests = requests.filter(
             (req) => req.timestamp > shortWindowStart
@@ -910,10 +1349,10 @@ class TranslationService {
     /**
      * Get characters per month status
      */
-    getCharactersPerMonthStatus(rateLimit, now) {
+    getCharactersPerMonthStatus(rateLimit, now, providerId) {
         const windowStart = now - rateLimit.window;
         const requests =
-            this.characterTracker.get(this.currentProviderId) || [];
+            this.characterTracker.get(providerId) || [];
         const recentRequests = requests.filter(
             (req) => req.timestamp > windowStart
         );
@@ -936,10 +1375,10 @@ class TranslationService {
     /**
      * Get requests rate limit status
      */
-    getRequestsRateLimitStatus(rateLimit, now) {
+    getRequestsRateLimitStatus(rateLimit, now, providerId) {
         const windowStart = now - rateLimit.window;
         const requests =
-            this.rateLimitTracker.get(this.currentProviderId) || [];
+            this.rateLimitTracker.get(providerId) || [];
         const recentRequests = requests.filter(
             (timestamp) => timestamp > windowStart
         );
@@ -964,9 +1403,103 @@ class TranslationService {
      * @returns {Promise<Array<string>>} Array of translated texts
      */
     async translateBatch(texts, sourceLang, targetLang, options = {}) {
+        const { translations } = await this.translateBatchWithFailover(
+            texts,
+            sourceLang,
+            targetLang,
+            options
+        );
+        return translations;
+    }
+
+    /**
+     * Translate multiple texts in a batch, moving down the fallback chain
+     * when a provider fails
+     * @param {Array<string>} texts - Array of texts to translate
+     * @param {string} sourceLang - Source language code
+     * @param {string} targetLang - Target language code
+     * @param {Object} options - Batch translation options
+     * @param {string} [options.provider] - Provider to start with instead of the selected one
+     * @returns {Promise<{translations: Array<string>, providers: Array<string|null>}>} Translations and the provider of each one (null when the original text was kept)
+     */
+    async translateBatchWithFailover(
+        texts,
+        sourceLang,
+        targetLang,
+        options = {}
+    ) {
+        const candidates = this.getFailoverCandidates(
+            Array.isArray(texts) ? texts.join(' ') : '',
+            options.provider,
+            targetLang
+        );
+        let lastError;
+
+        for (let i = 0; i < candidates.length; i++) {
+            const providerId = candidates[i];
+            const hasFallback = i < candidates.length - 1;
+
+            try {
+                const result = await this.translateBatchWithProvider(
+                    texts,
+                    sourceLang,
+                    targetLang,
+                    providerId,
+                    { ...options, hasFallback }
+                );
+                if (i > 0) {
+                    this.performanceMetrics.failovers++;
+                }
+                return result;
+            } catch (error) {
+                lastError = error;
+                if (!hasFallback || !this.shouldFailover(error, providerId)) {
+                    break;
+                }
+                this.logger.warn(
+                    'Batch translation provider failed, failing over',
+                    {
+                        failedProvider: providerId,
+                        nextProvider: candidates[i + 1],
+                        reason: error.message,
+                    }
+                );
+            }
+        }
+
+        // Fallback to individual translations
+        if (options.allowFallback !== false && Array.isArray(texts)) {
+            this.logger.info('Falling back to individual translations');
+            return await this.translateEachWithFailover(
+                texts,
+                sourceLang,
+                targetLang,
+                options
+            );
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Translate multiple texts in a batch with a specific provider
+     * @param {Array<string>} texts - Array of texts to translate
+     * @param {string} sourceLang - Source language code
+     * @param {string} targetLang - Target language code
+     * @param {string} providerId - Provider to use
+     * @param {Object} options - Batch translation options
+     * @returns {Promise<{translations: Array<string>, providers: Array<string|null>}>} Translations and their providers
+     */
+    async translateBatchWithProvider(
+        texts,
+        sourceLang,
+        targetLang,
+        providerId,
+        options = {}
+    ) {
         const startTime = Date.now();
         const timerId = performanceMonitor.startTiming('batch_processing', {
-            provider: this.currentProviderId,
+            provider: providerId,
             textCount: texts.length,
             totalLength: texts.reduce((sum, text) => sum + text.length, 0),
             sourceLang,
@@ -986,18 +1519,83 @@ class TranslationService {
             }
 
             this.logger.info('Batch translation request', {
-                provider: this.currentProviderId,
+                provider: providerId,
                 textCount: texts.length,
                 sourceLang,
                 targetLang,
                 options,
             });
 
-            const selectedProvider = this.providers[this.currentProviderId];
-            if (!selectedProvider) {
-                throw new Error(
-                    `Provider "${this.currentProviderId}" is not configured.`
+            // Serve what we can from the translation memory and only send
+            // the remaining texts to the provider
+            if (!options.skipCache && !options.skipMemory) {
+                const remembered = await translationMemory.getMany(
+                    providerId,
+                    sourceLang,
+                    targetLang,
+                    texts
                 );
+                const missingIndices = [];
+                let hits = 0;
+                remembered.forEach((translation, index) => {
+                    const text = texts[index];
+                    if (translation !== undefined) {
+                        hits++;
+                    } else if (typeof text !== 'string' || !text.trim()) {
+                        // Empty cues are never remembered and need no provider
+                        remembered[index] = '';
+                    } else {
+                        missingIndices.push(index);
+                    }
+                });
+
+                if (hits > 0) {
+                    this.performanceMetrics.memoryHits += hits;
+                    performanceMonitor.endTiming(timerId);
+                    this.logger.debug('Translation memory batch hits', {
+                        hits,
+                        misses: missingIndices.length,
+                    });
+
+                    const providers = texts.map(() => providerId);
+                    if (!isReadingTarget(targetLang)) {
+                        universalBatchProcessor.recordTranslatedCues(
+                            options.videoId,
+                            options.cueMetadata,
+                            texts,
+                            remembered
+                        );
+                    }
+                    if (missingIndices.length === 0) {
+                        return { translations: remembered, providers };
+                    }
+
+                    const fresh = await this.translateBatchWithProvider(
+                        missingIndices.map((index) => texts[index]),
+                        sourceLang,
+                        targetLang,
+                        providerId,
+                        {
+                            ...options,
+                            skipMemory: true,
+                            cueMetadata: options.cueMetadata
+                                ? missingIndices.map(
+                                      (index) => options.cueMetadata[index]
+                                  )
+                                : undefined,
+                        }
+                    );
+                    missingIndices.forEach((index, i) => {
+                        remembered[index] = fresh.translations[i];
+                        providers[index] = fresh.providers[i];
+                    });
+                    return { translations: remembered, providers };
+                }
+            }
+
+            const selectedProvider = this.providers[providerId];
+            if (!selectedProvider) {
+                throw new Error(`Provider "${providerId}" is not configured.`);
             }
 
             // Check if provider supports batch processing
@@ -1008,24 +1606,44 @@ class TranslationService {
                 this.logger.debug(
                     'Provider does not support batch, falling back to individual translations'
                 );
-                return await this.translateIndividually(
+                // Start each cue at this provider, not at a primary that failed
+                return await this.translateEachWithFailover(
                     texts,
                     sourceLang,
                     targetLang,
-                    options
+                    { ...options, provider: providerId }
                 );
             }
 
+            if (usageTracker.isBudgetBlocked(providerId)) {
+                throw this.createBudgetExceededError(providerId);
+            }
+
             // Check rate limits for batch request
             const combinedText = texts.join(' '); // Approximate text for rate limiting
-            if (!options.skipRateLimit && !this.checkRateLimit(combinedText)) {
+            if (
+                !options.skipRateLimit &&
+                !this.checkRateLimit(combinedText, providerId)
+            ) {
                 this.performanceMetrics.rateLimitHits++;
 
+                // Hand over to the next provider instead of backing off
+                if (options.hasFallback) {
+                    throw new RateLimitError(
+                        'Rate limit exceeded for current provider',
+                        {
+                            provider: providerId,
+                            rateLimitStatus:
+                                this.getRateLimitStatus(providerId),
+                        }
+                    );
+                }
+
                 // Implement exponential backoff if supported
                 if (selectedProvider.batchOptimizations?.exponentialBackoff) {
-                    await this.exponentialBackoff();
+                    await this.exponentialBackoff(1, providerId);
                     // Retry after backoff
-                    if (!this.checkRateLimit(combinedText)) {
+                    if (!this.checkRateLimit(combinedText, providerId)) {
                         throw new Error(
                             'Rate limit exceeded after exponential backoff'
                         );
@@ -1034,7 +1652,7 @@ class TranslationService {
             }
 
             // Apply mandatory delay before batch translation
-            await this.applyMandatoryDelay();
+            await this.applyMandatoryDelay(providerId);
 
             // Apply provider-specific optimizations
             const optimizedTexts = this.applyBatchOptimizations(
@@ -1042,17 +1660,48 @@ class TranslationService {
                 selectedProvider
             );
 
-            // Perform batch translation
+            // Perform batch translation, with the show, preceding cues and
+            // glossary for providers that can use them (not for readings)
             const translatedTexts = await selectedProvider.translateBatch(
                 optimizedTexts,
                 sourceLang,
                 targetLang,
                 selectedProvider.batchOptimizations?.delimiter ||
-                    '|SUBTITLE_BREAK|'
+                    '|SUBTITLE_BREAK|',
+                isReadingTarget(targetLang)
+                    ? null
+                    : universalBatchProcessor.getBatchContext(
+                          providerId,
+                          optimizedTexts,
+                          options
+                      )
             );
 
             // Update rate limit tracker
-            this.updateRateLimitTracker(combinedText);
+            this.updateRateLimitTracker(combinedText, providerId);
+            usageTracker.recordRequest(
+                providerId,
+                optimizedTexts.reduce((sum, text) => sum + text.length, 0)
+            );
+
+            // Readings are no translations for the cue history
+            if (!isReadingTarget(targetLang)) {
+                universalBatchProcessor.recordTranslatedCues(
+                    options.videoId,
+                    options.cueMetadata,
+                    optimizedTexts,
+                    translatedTexts
+                );
+            }
+
+            translationMemory.setMany(
+                providerId,
+                sourceLang,
+                targetLang,
+                optimizedTexts,
+                translatedTexts,
+                { videoId: options.videoId }
+            );
 
             // Update performance metrics
             const responseTime = Date.now() - startTime;
@@ -1066,14 +1715,17 @@ class TranslationService {
             performanceMonitor.endTiming(timerId);
 
             this.logger.info('Batch translation completed', {
-                provider: this.currentProviderId,
+                provider: providerId,
                 originalCount: texts.length,
                 translatedCount: translatedTexts.length,
                 responseTime,
                 apiCallReduction: texts.length - 1, // N texts in 1 call vs N calls
             });
 
-            return translatedTexts;
+            return {
+                translations: translatedTexts,
+                providers: translatedTexts.map(() => providerId),
+            };
         } catch (error) {
             const responseTime = Date.now() - startTime;
             this.updateBatchPerformanceMetrics(
@@ -1086,21 +1738,10 @@ class TranslationService {
             performanceMonitor.endTiming(timerId);
 
             this.logger.error('Batch translation failed', error, {
-                provider: this.currentProviderId,
+                provider: providerId,
                 textCount: texts.length,
             });
 
-            // Fallback to individual translations
-            if (options.allowFallback !== false) {
-                this.logger.info('Falling back to individual translations');
-                return await this.translateIndividually(
-                    texts,
-                    sourceLang,
-                    targetLang,
-                    options
-                );
-            }
-
             throw error;
         }
     }
@@ -1114,16 +1755,47 @@ class TranslationService {
      * @returns {Promise<Array<string>>} Array of translated texts
      */
     async translateIndividually(texts, sourceLang, targetLang, options = {}) {
-        const results = [];
-        const provider = this.providers[this.currentProviderId];
+        const { translations } = await this.translateEachWithFailover(
+            texts,
+            sourceLang,
+            targetLang,
+            options
+        );
+        return translations;
+    }
 
-        // Use provider-specific mandatory delay or fallback to configured delay
+    /**
+     * Translate texts one by one, each with its own failover, keeping the
+     * original text for cues no provider could translate
+     * @param {Array<string>} texts - Array of texts to translate
+     * @param {string} sourceLang - Source language code
+     * @param {string} targetLang - Target language code
+     * @param {Object} options - Translation options
+     * @param {string} [options.provider] - Provider each cue starts with instead of the selected one
+     * @returns {Promise<{translations: Array<string>, providers: Array<string|null>}>} Translations and their providers
+     */
+    async translateEachWithFailover(
+        texts,
+        sourceLang,
+        targetLang,
+        options = {}
+    ) {
+        const translations = [];
+        const providers = [];
+        const providerId = this.providers[options.provider]
+            ? options.provider
+            : this.currentProviderId;
+        const provider = this.providers[providerId];
+
+        // Use provider-specific mandatory delay or fallback to configured delay.
+        // Providers without a rate limit only wait when asked to.
         const mandatoryDelay = provider.rateLimit?.mandatoryDelay || 0;
-        const configuredDelay = options.individualDelay || 100;
+        const configuredDelay =
+            options.individualDelay || (provider.rateLimit ? 100 : 0);
         const delay = Math.max(mandatoryDelay, configuredDelay);
 
         this.logger.debug('Starting individual translations with delays', {
-            provider: this.currentProviderId,
+            provider: providerId,
             textCount: texts.length,
             mandatoryDelay,
             configuredDelay,
@@ -1132,7 +1804,7 @@ class TranslationService {
 
         for (let i = 0; i < texts.length; i++) {
             try {
-                const translated = await this.translate(
+                const result = await this.translateWithFailover(
                     texts[i],
                     sourceLang,
                     targetLang,
@@ -1141,7 +1813,8 @@ class TranslationService {
                         skipCache: false, // Allow caching for individual translations
                     }
                 );
-                results.push(translated);
+                translations.push(result.translatedText);
+                providers.push(result.provider);
 
                 // Add delay between requests to avoid rate limiting and account lockouts
                 // Note: translate() method already applies mandatory delay, but we add extra delay for safety
@@ -1157,11 +1830,12 @@ class TranslationService {
                         text: texts[i].substring(0, 50),
                     }
                 );
-                results.push(texts[i]); // Use original text as fallback
+                translations.push(texts[i]); // Use original text as fallback
+                providers.push(null);
             }
         }
 
-        return results;
+        return { translations, providers };
     }
 
     /**
@@ -1205,9 +1879,10 @@ class TranslationService {
     /**
      * Implement exponential backoff for rate limiting
      * @param {number} attempt - Current attempt number (default: 1)
+     * @param {string} [providerId] - Provider ID (defaults to the current provider)
      * @returns {Promise<void>}
      */
-    async exponentialBackoff(attempt = 1) {
+    async exponentialBackoff(attempt = 1, providerId = this.currentProviderId) {
         const baseDelay = 1000; // 1 second base delay
         const maxDelay = 30000; // 30 seconds max delay
         const delay = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
@@ -1215,7 +1890,7 @@ class TranslationService {
         this.logger.info('Applying exponential backoff', {
             attempt,
             delay,
-            provider: this.currentProviderId,
+            provider: providerId,
         });
 
         await new Promise((resolve) => setTimeout(resolve, delay));
@@ -0,0 +1,440 @@
+import { jest } from '@jest/globals';
+import { translationProviders } from './translationService.js';
+import { Providers } from '../../content_scripts/shared/constants/providers.js';
+import { universalBatchProcessor } from './universalBatchProcessor.js';
+import { usageTracker } from './usageTracker.js';
+import { translationMemory } from './translationMemory.js';
+import { BudgetExceededError } from '../utils/errorHandler.js';
+import { getUsageDayKey } from '../../utils/usage.js';
+
+describe('TranslationService provider failover', () => {
+    const primary = Providers.OPENAI_COMPATIBLE;
+    const fallback = Providers.VERTEX_GEMINI;
+    let textCounter = 0;
+    // Unique texts keep the translation cache from answering for providers
+    const nextText = () => `failover cue ${++textCounter}`;
+
+    beforeAll(async () => {
+        await translationProviders.initialize();
+    });
+
+    beforeEach(() => {
+        translationProviders.currentProviderId = primary;
+        translationProviders.setFallbackProviders([fallback]);
+        translationProviders.providerCooldowns.clear();
+        translationProviders.lastRequestTime.clear();
+    });
+
+    afterAll(() => {
+        translationProviders.setFallbackProviders([]);
+    });
+
+    test('builds the chain from the selected provider and fallbacks', () => {
+        translationProviders.setFallbackProviders([
+            fallback,
+            primary,
+            'unknown_provider',
+        ]);
+        expect(translationProviders.getProviderChain()).toEqual([
+            primary,
+            fallback,
+        ]);
+    });
+
+    test('starts the chain with a platform or show override provider', async () => {
+        expect(translationProviders.getProviderChain(fallback)).toEqual([
+            fallback,
+        ]);
+        expect(
+            translationProviders.getProviderChain('unknown_provider')
+        ).toEqual([primary, fallback]);
+
+        const primaryTranslate = jest.spyOn(
+            translationProviders.providers[primary],
+            'translate'
+        );
+        jest.spyOn(
+            translationProviders.providers[fallback],
+            'translate'
+        ).mockResolvedValue('hola');
+
+        const result = await translationProviders.translateWithFailover(
+            nextText(),
+            'en',
+            'es',
+            { provider: fallback }
+        );
+
+        expect(result.provider).toBe(fallback);
+        expect(primaryTranslate).not.toHaveBeenCalled();
+    });
+
+    test('fails over on rate limit errors and reports the provider', async () => {
+        const primaryTranslate = jest
+            .spyOn(translationProviders.providers[primary], 'translate')
+            .mockRejectedValue(new Error('Quota exceeded (429)'));
+        jest.spyOn(
+            translationProviders.providers[fallback],
+            'translate'
+        ).mockResolvedValue('hola');
+
+        const result = await translationProviders.translateWithFailover(
+            nextText(),
+            'en',
+            'es'
+        );
+
+        expect(result).toEqual({ translatedText: 'hola', provider: fallback });
+        // Rate limits skip same-provider retries when a fallback exists
+        expect(primaryTranslate).toHaveBeenCalledTimes(1);
+    });
+
+    test('puts providers with bad credentials on cooldown', async () => {
+        const primaryTranslate = jest
+            .spyOn(translationProviders.providers[primary], 'translate')
+            .mockRejectedValue(new Error('Invalid API key'));
+        jest.spyOn(
+            translationProviders.providers[fallback],
+            'translate'
+        ).mockResolvedValue('hola');
+
+        await translationProviders.translate(nextText(), 'en', 'es');
+        const second = await translationProviders.translateWithFailover(
+            nextText(),
+            'en',
+            'es'
+        );
+
+        expect(second.provider).toBe(fallback);
+        expect(primaryTranslate).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not fail over on validation errors', async () => {
+        jest.spyOn(
+            translationProviders.providers[primary],
+            'translate'
+        ).mockRejectedValue(new Error('Invalid target language'));
+        const fallbackTranslate = jest.spyOn(
+            translationProviders.providers[fallback],
+            'translate'
+        );
+
+        await expect(
+            translationProviders.translate(nextText(), 'en', 'xx', {
+                allowRetry: false,
+            })
+        ).rejects.toThrow();
+        expect(fallbackTranslate).not.toHaveBeenCalled();
+    });
+
+    test('surfaces the error when no fallback is configured', async () => {
+        translationProviders.setFallbackProviders([]);
+        jest.spyOn(
+            translationProviders.providers[primary],
+            'translate'
+        ).mockRejectedValue(new Error('Rate limit exceeded'));
+
+        await expect(
+            translationProviders.translate(nextText(), 'en', 'es', {
+                allowRetry: false,
+            })
+        ).rejects.toThrow();
+    });
+
+    test('fails over whole batches and reports a provider per cue', async () => {
+        jest.spyOn(
+            translationProviders.providers[primary],
+            'translateBatch'
+        ).mockRejectedValue(new Error('Rate limit exceeded'));
+        jest.spyOn(
+            translationProviders.providers[fallback],
+            'translateBatch'
+        ).mockResolvedValue(['uno', 'dos']);
+
+        const result = await translationProviders.translateBatchWithFailover(
+            [nextText(), nextText()],
+            'en',
+            'es'
+        );
+
+        expect(result).toEqual({
+            translations: ['uno', 'dos'],
+            providers: [fallback, fallback],
+        });
+    });
+
+    test('starts per-cue fallbacks at the provider without batch support', async () => {
+        translationProviders.setFallbackProviders([Providers.GOOGLE]);
+        jest.spyOn(
+            translationProviders.providers[primary],
+            'translateBatch'
+        ).mockRejectedValue(new Error('fetch failed'));
+        const primaryTranslate = jest.spyOn(
+            translationProviders.providers[primary],
+            'translate'
+        );
+        jest.spyOn(
+            translationProviders.providers[Providers.GOOGLE],
+            'translate'
+        ).mockResolvedValue('uno');
+
+        const result = await translationProviders.translateBatchWithFailover(
+            [nextText()],
+            'en',
+            'es'
+        );
+
+        expect(result).toEqual({
+            translations: ['uno'],
+            providers: [Providers.GOOGLE],
+        });
+        expect(primaryTranslate).not.toHaveBeenCalled();
+    });
+
+    test('sends reading targets only to providers that support them', () => {
+        translationProviders.currentProviderId = Providers.DEEPL_FREE;
+        translationProviders.setFallbackProviders([fallback]);
+
+        expect(
+            translationProviders.getFailoverCandidates(
+                '東京',
+                undefined,
+                'ja-Hira'
+            )
+        ).toEqual([fallback]);
+        expect(translationProviders.getFailoverCandidates('東京')).toEqual([
+            Providers.DEEPL_FREE,
+            fallback,
+        ]);
+
+        translationProviders.setFallbackProviders([Providers.GOOGLE]);
+        expect(() =>
+            translationProviders.getFailoverCandidates(
+                '你好',
+                undefined,
+                'zh-Latn-pinyin'
+            )
+        ).toThrow('Readings need an LLM translation provider');
+    });
+});
+
+describe('TranslationService usage budget', () => {
+    const paid = Providers.OPENAI_COMPATIBLE;
+    const paidFallback = Providers.VERTEX_GEMINI;
+    let textCounter = 0;
+    const nextText = () => `budget cue ${++textCounter}`;
+
+    beforeAll(async () => {
+        await translationProviders.initialize();
+    });
+
+    beforeEach(() => {
+        translationProviders.currentProviderId = paid;
+        translationProviders.setFallbackProviders([paidFallback]);
+        translationProviders.providerCooldowns.clear();
+        translationProviders.lastRequestTime.clear();
+        // $2 of output tokens today against a $1 daily cap
+        usageTracker.days = {
+            [getUsageDayKey()]: {
+                [paid]: { outputTokens: 1_250_000 },
+            },
+        };
+    });
+
+    afterAll(() => {
+        usageTracker.days = {};
+        usageTracker.budget = { daily: 0, monthly: 0 };
+        translationProviders.setFallbackProviders([]);
+    });
+
+    test('hands translations to the free switch provider', () => {
+        usageTracker.budget = {
+            daily: 1,
+            action: 'switch',
+            switchProvider: Providers.GOOGLE,
+        };
+
+        expect(translationProviders.getFailoverCandidates()).toEqual([
+            Providers.GOOGLE,
+        ]);
+
+        usageTracker.budget = { daily: 5, action: 'switch' };
+        expect(translationProviders.getFailoverCandidates()).toEqual([
+            paid,
+            paidFallback,
+        ]);
+    });
+
+    test('stops paid providers when the action is block', async () => {
+        usageTracker.budget = { daily: 1, action: 'block' };
+        const translate = jest.spyOn(
+            translationProviders.providers[paid],
+            'translate'
+        );
+
+        await expect(
+            translationProviders.translate(nextText(), 'en', 'es')
+        ).rejects.toBeInstanceOf(BudgetExceededError);
+        expect(translate).not.toHaveBeenCalled();
+    });
+});
+
+describe('TranslationService local LLM provider', () => {
+    beforeAll(async () => {
+        await translationProviders.initialize();
+    });
+
+    test('registers without rate limits or delays', async () => {
+        const provider = translationProviders.providers[Providers.LOCAL_LLM];
+        expect(provider).toMatchObject({ category: 'local', rateLimit: null });
+
+        const longText = 'x'.repeat(100000);
+        for (let i = 0; i < 50; i++) {
+            expect(
+                translationProviders.checkRateLimit(
+                    longText,
+                    Providers.LOCAL_LLM
+                )
+            ).toBe(true);
+        }
+
+        const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+        await translationProviders.applyMandatoryDelay(Providers.LOCAL_LLM);
+        expect(setTimeoutSpy).not.toHaveBeenCalled();
+        setTimeoutSpy.mockRestore();
+    });
+});
+
+describe('TranslationService batch context', () => {
+    beforeAll(async () => {
+        await translationProviders.initialize();
+    });
+
+    test('sends the show and earlier batches to LLM providers', async () => {
+        universalBatchProcessor.cueHistory.clear();
+        const translateBatch = jest
+            .spyOn(
+                translationProviders.providers[Providers.OPENAI_COMPATIBLE],
+                'translateBatch'
+            )
+            .mockResolvedValueOnce(['uno', 'dos'])
+            .mockResolvedValueOnce(['tres', 'cuatro']);
+        const options = {
+            videoId: 'context-video',
+            showInfo: { title: 'Dark', episode: null },
+            skipMemory: true,
+            skipRateLimit: true,
+        };
+
+        await translationProviders.translateBatchWithProvider(
+            ['ctx one', 'ctx two'],
+            'en',
+            'es',
+            Providers.OPENAI_COMPATIBLE,
+            { ...options, cueMetadata: [{ start: 1 }, { start: 2 }] }
+        );
+        await translationProviders.translateBatchWithProvider(
+            ['ctx three', 'ctx four'],
+            'en',
+            'es',
+            Providers.OPENAI_COMPATIBLE,
+            { ...options, cueMetadata: [{ start: 3 }, { start: 4 }] }
+        );
+
+        expect(translateBatch.mock.calls[0][4]).toMatchObject({
+            title: 'Dark',
+            previousCues: [],
+        });
+        expect(translateBatch.mock.calls[1][4].previousCues).toEqual([
+            { original: 'ctx one', translated: 'uno' },
+            { original: 'ctx two', translated: 'dos' },
+        ]);
+        translateBatch.mockRestore();
+    });
+
+    test('keeps readings out of the cue history', async () => {
+        universalBatchProcessor.cueHistory.clear();
+        const translateBatch = jest
+            .spyOn(
+                translationProviders.providers[Providers.OPENAI_COMPATIBLE],
+                'translateBatch'
+            )
+            .mockResolvedValue(['東京[とうきょう]']);
+
+        await translationProviders.translateBatchWithProvider(
+            ['東京'],
+            'ja',
+            'ja-Hira',
+            Providers.OPENAI_COMPATIBLE,
+            {
+                videoId: 'reading-video',
+                cueMetadata: [{ start: 1 }],
+                skipMemory: true,
+                skipRateLimit: true,
+            }
+        );
+
+        expect(universalBatchProcessor.cueHistory.has('reading-video')).toBe(
+            false
+        );
+        translateBatch.mockRestore();
+    });
+});
+
+describe('TranslationService translation memory', () => {
+    const provider = Providers.OPENAI_COMPATIBLE;
+    const options = { skipRateLimit: true };
+
+    beforeAll(async () => {
+        await translationProviders.initialize();
+    });
+
+    beforeEach(async () => {
+        translationProviders.currentProviderId = provider;
+        translationProviders.setFallbackProviders([]);
+        translationProviders.providerCooldowns.clear();
+        await translationMemory.setMany(
+            provider,
+            'en',
+            'es',
+            ['memory hit one', 'memory hit two'],
+            ['uno', 'dos']
+        );
+    });
+
+    test('answers fully remembered batches without the provider', async () => {
+        const translateBatch = jest.spyOn(
+            translationProviders.providers[provider],
+            'translateBatch'
+        );
+
+        const translations = await translationProviders.translateBatch(
+            ['memory hit one', '', 'memory hit two'],
+            'en',
+            'es',
+            options
+        );
+
+        expect(translations).toEqual(['uno', '', 'dos']);
+        expect(translateBatch).not.toHaveBeenCalled();
+        translateBatch.mockRestore();
+    });
+
+    test('sends only the non-empty misses of a partial hit', async () => {
+        const translateBatch = jest
+            .spyOn(translationProviders.providers[provider], 'translateBatch')
+            .mockResolvedValue(['tres']);
+
+        const translations = await translationProviders.translateBatch(
+            ['memory hit one', ' ', 'memory miss three'],
+            'en',
+            'es',
+            options
+        );
+
+        expect(translations).toEqual(['uno', '', 'tres']);
+        expect(translateBatch).toHaveBeenCalledTimes(1);
+        expect(translateBatch.mock.calls[0][0]).toEqual(['memory miss three']);
+        translateBatch.mockRestore();
+    });
+});
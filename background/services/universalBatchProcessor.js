@@ -23,6 +23,47 @@ import {
  */
 const PROVIDER_BATCH_CONFIGS = ProviderBatchConfigs;
 
+/** Translated cues remembered per video as context for later batches */
+const MAX_HISTORY_CUES_PER_VIDEO = 500;
+/** Videos with remembered cues (least recently used are dropped) */
+const MAX_HISTORY_VIDEOS = 5;
+/** Glossary entries sent with one batch */
+const MAX_GLOSSARY_ENTRIES = 40;
+
+/**
+ * Normalize a show title for glossary matching
+ * @param {string|null|undefined} title - Show title
+ * @returns {string} Lower-cased title with collapsed whitespace
+ */
+function normalizeShowTitle(title) {
+    return typeof title === 'string'
+        ? title.trim().replace(/\s+/g, ' ').toLowerCase()
+        : '';
+}
+
+/**
+ * Parse glossary text with one "term = translation" pair per line
+ * @param {string} text - Glossary text
+ * @returns {Array<{term: string, translation: string}>} Glossary entries
+ */
+function parseGlossary(text) {
+    if (typeof text !== 'string') {
+        return [];
+    }
+    return text
+        .split('\n')
+        .map((line) => {
+            const separator = line.indexOf('=');
+            return separator === -1
+                ? null
+                : {
+                      term: line.slice(0, separator).trim(),
+                      translation: line.slice(separator + 1).trim(),
+                  };
+        })
+        .filter((entry) => entry && entry.term && entry.translation);
+}
+
 /**
  * Universal Batch Processor
  */
@@ -33,7 +74,12 @@ class UniversalBatchProcessor {
             globalBatchSize: 5,
             batchingEnabled: true,
             useProviderDefaults: true,
+            batchContextEnabled: true,
+            batchContextCueCount: 3,
+            translationGlossaries: [],
         };
+        // videoId -> Map of "start|original" -> {start, original, translated}
+        this.cueHistory = new Map();
         this.performanceMetrics = {
             totalBatches: 0,
             totalTexts: 0,
@@ -79,6 +125,12 @@ class UniversalBatchProcessor {
                 (await configService.get('batchingEnabled')) !== false;
             this.config.useProviderDefaults =
                 (await configService.get('useProviderDefaults')) !== false;
+            this.config.batchContextEnabled =
+                (await configService.get('batchContextEnabled')) !== false;
+            this.config.batchContextCueCount =
+                (await configService.get('batchContextCueCount')) ?? 3;
+            this.config.translationGlossaries =
+                (await configService.get('translationGlossaries')) || [];
 
             this.logger.debug('Configuration loaded', { config: this.config });
         } catch (error) {
@@ -107,6 +159,19 @@ class UniversalBatchProcessor {
             this.config.useProviderDefaults = changes.useProviderDefaults;
             configChanged = true;
         }
+        if ('batchContextEnabled' in changes) {
+            this.config.batchContextEnabled = changes.batchContextEnabled;
+            configChanged = true;
+        }
+        if ('batchContextCueCount' in changes) {
+            this.config.batchContextCueCount = changes.batchContextCueCount;
+            configChanged = true;
+        }
+        if ('translationGlossaries' in changes) {
+            this.config.translationGlossaries =
+                changes.translationGlossaries || [];
+            configChanged = true;
+        }
 
         if (configChanged) {
             this.logger.info('Configuration updated', {
@@ -154,13 +219,156 @@ class UniversalBatchProcessor {
         return providerConfig ? providerConfig.supportsBatch : false;
     }
 
+    /**
+     * Remember translated cues so later batches of the same video can be
+     * sent with the lines that come before them
+     * @param {string} videoId - Video identifier
+     * @param {Array<Object>} cueMetadata - Per-text metadata with `start` (seconds)
+     * @param {Array<string>} originals - Source texts
+     * @param {Array<string>} translations - Translated texts
+     */
+    recordTranslatedCues(videoId, cueMetadata, originals, translations) {
+        if (!videoId || !Array.isArray(cueMetadata)) {
+            return;
+        }
+
+        let history = this.cueHistory.get(videoId);
+        if (history) {
+            // Re-insert to mark the video as recently used
+            this.cueHistory.delete(videoId);
+        } else {
+            history = new Map();
+        }
+        this.cueHistory.set(videoId, history);
+        if (this.cueHistory.size > MAX_HISTORY_VIDEOS) {
+            this.cueHistory.delete(this.cueHistory.keys().next().value);
+        }
+
+        originals.forEach((original, index) => {
+            const start = cueMetadata[index]?.start;
+            const translated = translations?.[index];
+            if (
+                !Number.isFinite(start) ||
+                !original ||
+                typeof translated !== 'string' ||
+                !translated.trim()
+            ) {
+                return;
+            }
+            const key = `${start}|${original}`;
+            history.delete(key);
+            history.set(key, { start, original, translated });
+        });
+
+        while (history.size > MAX_HISTORY_CUES_PER_VIDEO) {
+            history.delete(history.keys().next().value);
+        }
+    }
+
+    /**
+     * Get the translated cues right before a playback position
+     * @param {string} videoId - Video identifier
+     * @param {number|null} beforeStart - Start time of the batch's first cue
+     * @param {Array<string>} excludeTexts - Texts of the batch itself
+     * @returns {Array<{original: string, translated: string}>} Cues in playback order
+     */
+    getPreviousCues(videoId, beforeStart, excludeTexts = []) {
+        const count = this.config.batchContextCueCount;
+        const history = videoId ? this.cueHistory.get(videoId) : null;
+        if (!history || !(count > 0) || !Number.isFinite(beforeStart)) {
+            return [];
+        }
+
+        const excluded = new Set(excludeTexts);
+        return Array.from(history.values())
+            .filter(
+                (cue) => cue.start < beforeStart && !excluded.has(cue.original)
+            )
+            .sort((a, b) => a.start - b.start)
+            .slice(-count)
+            .map(({ original, translated }) => ({ original, translated }));
+    }
+
+    /**
+     * Get the glossary entries of a show that occur in the given texts
+     * @param {string|null} showTitle - Show title reported by the platform
+     * @param {Array<string>} texts - Texts the entries must occur in
+     * @returns {Array<{term: string, translation: string}>} Matching entries
+     */
+    getGlossaryEntries(showTitle, texts) {
+        const title = normalizeShowTitle(showTitle);
+        if (!title) {
+            return [];
+        }
+
+        const entries = [];
+        for (const glossary of this.config.translationGlossaries || []) {
+            const show = normalizeShowTitle(glossary?.show);
+            // Platforms without separate episode names report "Show - Episode"
+            if (!show || (title !== show && !title.startsWith(`${show} `))) {
+                continue;
+            }
+            entries.push(...parseGlossary(glossary.entries));
+        }
+        if (entries.length === 0) {
+            return [];
+        }
+
+        const haystack = texts.join('\n').toLowerCase();
+        return entries
+            .filter(({ term }) => haystack.includes(term.toLowerCase()))
+            .slice(0, MAX_GLOSSARY_ENTRIES);
+    }
+
+    /**
+     * Build the context sent along with a batch to providers that can use it
+     * (LLM providers): the show, the preceding translated cues and glossary
+     * entries relevant to the batch
+     * @param {string} providerId - Provider identifier
+     * @param {Array<string>} texts - Texts of the batch
+     * @param {Object} [options] - Batch options
+     * @param {string} [options.videoId] - Video identifier
+     * @param {Array<Object>} [options.cueMetadata] - Per-text metadata with `start`
+     * @param {{title: string|null, episode: string|null}} [options.showInfo] - Show reported by the platform
+     * @returns {Object|null} Batch context, or null if there is none
+     */
+    getBatchContext(providerId, texts, options = {}) {
+        if (
+            !this.config.batchContextEnabled ||
+            !PROVIDER_BATCH_CONFIGS[providerId]?.supportsContext
+        ) {
+            return null;
+        }
+
+        const starts = (options.cueMetadata || [])
+            .map((cue) => cue?.start)
+            .filter(Number.isFinite);
+        const previousCues = this.getPreviousCues(
+            options.videoId,
+            starts.length > 0 ? Math.min(...starts) : null,
+            texts
+        );
+        const title = options.showInfo?.title || null;
+        const episode = options.showInfo?.episode || null;
+        const glossary = this.getGlossaryEntries(title, [
+            ...texts,
+            ...previousCues.map((cue) => cue.original),
+        ]);
+
+        if (!title && previousCues.length === 0 && glossary.length === 0) {
+            return null;
+        }
+        return { title, episode, previousCues, glossary };
+    }
+
     /**
      * Preprocess texts for batch translation
      * @param {Array<string>} texts - Individual texts to batch
      * @param {string} providerId - Provider identifier
+     * @param {Object} [options] - Batch options used to build the context of native batches (see `getBatchContext`)
      * @returns {Object} Batch processing result
      */
-    preprocessForBatch(texts, providerId) {
+    preprocessForBatch(texts, providerId, options = {}) {
         const timerId = performanceMonitor.startTiming('batch_preprocessing', {
             provider: providerId,
             textCount: texts.length,
@@ -195,6 +403,13 @@ class UniversalBatchProcessor {
                         combined,
                         delimiter: providerConfig.delimiter,
                         method: 'native',
+                        context: this.getBatchContext(providerId, batchTexts, {
+                            ...options,
+                            cueMetadata: options.cueMetadata?.slice(
+                                i,
+                                i + batchSize
+                            ),
+                        }),
                     });
                 } else {
                     // Simulated batch (rapid individual requests)
@@ -444,7 +659,11 @@ class UniversalBatchProcessor {
             });
 
             // Preprocess texts into batches
-            const preprocessResult = this.preprocessForBatch(texts, providerId);
+            const preprocessResult = this.preprocessForBatch(
+                texts,
+                providerId,
+                options
+            );
 
             // Process each batch
             const batchResults = [];
@@ -457,7 +676,8 @@ class UniversalBatchProcessor {
                             batch.texts,
                             sourceLang,
                             targetLang,
-                            batch.delimiter
+                            batch.delimiter,
+                            batch.context
                         );
                         batchResults.push(result);
                     } else {
@@ -0,0 +1,143 @@
+import { universalBatchProcessor } from './universalBatchProcessor.js';
+import { formatBatchContext } from '../../translation_providers/batchContext.js';
+import { Providers } from '../../content_scripts/shared/constants/providers.js';
+
+describe('UniversalBatchProcessor batch context', () => {
+    const videoId = 'video-1';
+    const showInfo = { title: 'The Office', episode: 'S2:E1 The Dundies' };
+
+    beforeEach(() => {
+        universalBatchProcessor.cueHistory.clear();
+        Object.assign(universalBatchProcessor.config, {
+            batchingEnabled: true,
+            useProviderDefaults: true,
+            batchContextEnabled: true,
+            batchContextCueCount: 2,
+            translationGlossaries: [
+                {
+                    show: 'the office',
+                    entries:
+                        'Dunder Mifflin = 邓德米夫林\nbroken line\nMichael = 迈克尔',
+                },
+                { show: 'Other Show', entries: 'Michael = 米高' },
+            ],
+        });
+        universalBatchProcessor.recordTranslatedCues(
+            videoId,
+            [{ start: 1 }, { start: 2 }, { start: 3 }, { start: 20 }],
+            ['Hi.', 'I am Michael.', 'Welcome.', 'Later line.'],
+            ['嗨。', '我是迈克尔。', '欢迎。', '后面的台词。']
+        );
+    });
+
+    test('sends the cues right before the batch in playback order', () => {
+        const context = universalBatchProcessor.getBatchContext(
+            Providers.OPENAI_COMPATIBLE,
+            ['Where is Dwight?'],
+            { videoId, cueMetadata: [{ start: 10 }], showInfo }
+        );
+
+        expect(context).toEqual({
+            title: 'The Office',
+            episode: 'S2:E1 The Dundies',
+            previousCues: [
+                { original: 'I am Michael.', translated: '我是迈克尔。' },
+                { original: 'Welcome.', translated: '欢迎。' },
+            ],
+            // Only terms that occur in the batch or its previous cues
+            glossary: [{ term: 'Michael', translation: '迈克尔' }],
+        });
+    });
+
+    test('matches glossaries of combined "Show - Episode" titles', () => {
+        const context = universalBatchProcessor.getBatchContext(
+            Providers.LOCAL_LLM,
+            ['Dunder Mifflin, this is Pam.'],
+            { showInfo: { title: 'The Office - The Dundies', episode: null } }
+        );
+
+        expect(context.glossary).toEqual([
+            { term: 'Dunder Mifflin', translation: '邓德米夫林' },
+        ]);
+        expect(context.previousCues).toEqual([]);
+    });
+
+    test('skips providers without context support and disabled context', () => {
+        const options = { videoId, cueMetadata: [{ start: 10 }], showInfo };
+
+        expect(
+            universalBatchProcessor.getBatchContext(
+                Providers.GOOGLE,
+                ['Hello'],
+                options
+            )
+        ).toBeNull();
+
+        universalBatchProcessor.config.batchContextEnabled = false;
+        expect(
+            universalBatchProcessor.getBatchContext(
+                Providers.VERTEX_GEMINI,
+                ['Hello'],
+                options
+            )
+        ).toBeNull();
+    });
+
+    test('attaches per-batch context in preprocessForBatch', () => {
+        const texts = Array.from({ length: 10 }, (_, i) => `line ${i}`);
+        const result = universalBatchProcessor.preprocessForBatch(
+            texts,
+            Providers.OPENAI_COMPATIBLE,
+            {
+                videoId,
+                showInfo,
+                cueMetadata: texts.map((_, i) => ({ start: 2.5 + i * 10 })),
+            }
+        );
+
+        expect(result.batches).toHaveLength(2);
+        expect(result.batches[0].context.previousCues).toEqual([
+            { original: 'Hi.', translated: '嗨。' },
+            { original: 'I am Michael.', translated: '我是迈克尔。' },
+        ]);
+        // The second batch starts after the cue at 20s
+        expect(result.batches[1].context.previousCues).toEqual([
+            { original: 'Welcome.', translated: '欢迎。' },
+            { original: 'Later line.', translated: '后面的台词。' },
+        ]);
+    });
+
+    test('ignores cues without a start time or translation', () => {
+        universalBatchProcessor.cueHistory.clear();
+        universalBatchProcessor.recordTranslatedCues(
+            videoId,
+            [{}, { start: 1 }],
+            ['No time', 'Empty'],
+            ['没有时间', '  ']
+        );
+
+        expect(universalBatchProcessor.getPreviousCues(videoId, 5)).toEqual([]);
+    });
+});
+
+describe('formatBatchContext', () => {
+    test('formats show, glossary and previous cues for the prompt', () => {
+        const prompt = formatBatchContext({
+            title: 'The Office',
+            episode: 'The Dundies',
+            glossary: [{ term: 'Michael', translation: '迈克尔' }],
+            previousCues: [{ original: 'Hi "all"', translated: '大家好' }],
+        });
+
+        expect(prompt).toContain('Show: The Office - The Dundies');
+        expect(prompt).toContain('- Michael = 迈克尔');
+        expect(prompt).toContain('- "Hi \\"all\\"" -> "大家好"');
+    });
+
+    test('returns an empty string without context', () => {
+        expect(formatBatchContext(null)).toBe('');
+        expect(
+            formatBatchContext({ title: null, previousCues: [], glossary: [] })
+        ).toBe('');
+    });
+});
@@ -0,0 +1,282 @@
+/**
+ * Usage Tracker
+ *
+ * Counts what each translation and AI context provider is asked to do:
+ * characters and requests per provider per day, plus the token counts LLM
+ * providers report in their responses. Estimated costs come from the
+ * `usagePricing` setting (see utils/usage.js) and back the optional daily
+ * and monthly budget caps of `usageBudget`, which take paid providers out
+ * of the failover chain once reached.
+ *
+ * Usage is kept in chrome.storage.local (it is per device, not synced) and
+ * written with a short debounce, since every translated cue is counted.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { loggingManager } from '../utils/loggingManager.js';
+import { configService } from '../../services/configService.js';
+import { getUsage as getDeepLUsage } from '../../translation_providers/deeplTranslate.js';
+import {
+    USAGE_COUNTER_FIELDS,
+    getUsageDayKey,
+    getUsagePricing,
+    isPaidUsage,
+    getBudgetStatus,
+    setTokenUsageListener,
+} from '../../utils/usage.js';
+
+const STORAGE_KEY = 'translationUsage';
+/** Debounce for persisting counters */
+const SAVE_DELAY = 1500;
+/** Days of history kept for the dashboard */
+const RETENTION_DAYS = 90;
+/** How long a fetched DeepL quota is reused (ms) */
+const DEEPL_QUOTA_MAX_AGE = 10 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_BUDGET = {
+    daily: 0,
+    monthly: 0,
+    action: 'switch',
+    switchProvider: 'google',
+};
+
+/**
+ * @typedef {Object} UsageReport
+ * @property {Object<string, Object<string, Object>>} days - Counters per day and usage key
+ * @property {Object} pricing - Effective prices (defaults merged with overrides)
+ * @property {Object} budget - Budget caps
+ * @property {Object} budgetStatus - Spending against the caps
+ * @property {{characterCount: number, characterLimit: number, updatedAt: number}|null} deeplQuota - DeepL billing period usage
+ * @property {number} retentionDays - Days of history kept
+ */
+
+class UsageTracker {
+    constructor() {
+        this.logger = loggingManager.createLogger('UsageTracker');
+        this.days = {};
+        this.deeplQuota = null;
+        this.pricing = getUsagePricing();
+        this.budget = { ...DEFAULT_BUDGET };
+        this.saveTimer = null;
+        this.initPromise = null;
+    }
+
+    /**
+     * Load stored usage and settings. Safe to call from every service that
+     * records usage; the work is only done once.
+     * @returns {Promise<void>}
+     */
+    initialize() {
+        this.initPromise ??= this._initialize();
+        return this.initPromise;
+    }
+
+    async _initialize() {
+        try {
+            const settings = await configService.getMultiple([
+                'usagePricing',
+                'usageBudget',
+            ]);
+            this.pricing = getUsagePricing(settings.usagePricing);
+            this.budget = { ...DEFAULT_BUDGET, ...settings.usageBudget };
+        } catch (error) {
+            this.logger.warn(
+                'Failed to load usage settings, using defaults',
+                error
+            );
+        }
+
+        configService.onChanged((changes) => {
+            if ('usagePricing' in changes) {
+                this.pricing = getUsagePricing(changes.usagePricing);
+            }
+            if ('usageBudget' in changes) {
+                this.budget = { ...DEFAULT_BUDGET, ...changes.usageBudget };
+            }
+        });
+
+        try {
+            const result = await chrome.storage.local.get(STORAGE_KEY);
+            const stored = result[STORAGE_KEY];
+            this.days = stored?.days || {};
+            this.deeplQuota = stored?.deeplQuota || null;
+        } catch (error) {
+            this.logger.warn('Failed to load stored usage', error);
+        }
+
+        setTokenUsageListener((key, tokens) => this.recordTokens(key, tokens));
+    }
+
+    /**
+     * Count a request sent to a provider
+     * @param {string} key - Provider ID or AI context usage key
+     * @param {number} characters - Characters sent
+     */
+    recordRequest(key, characters) {
+        const counters = this._getCounters(key);
+        counters.requests++;
+        counters.characters += characters;
+        this._scheduleSave();
+    }
+
+    /**
+     * Count the tokens of an LLM response
+     * @param {string} key - Provider ID or AI context usage key
+     * @param {{inputTokens: number, outputTokens: number}} tokens
+     */
+    recordTokens(key, { inputTokens, outputTokens }) {
+        const counters = this._getCounters(key);
+        counters.inputTokens += inputTokens;
+        counters.outputTokens += outputTokens;
+        this._scheduleSave();
+    }
+
+    /**
+     * Whether a provider costs money at the configured prices
+     * @param {string} key - Provider ID or AI context usage key
+     * @returns {boolean}
+     */
+    isPaidProvider(key) {
+        return isPaidUsage(this.pricing, key);
+    }
+
+    /**
+     * Spending against the budget caps
+     * @returns {Object} See getBudgetStatus in utils/usage.js
+     */
+    getBudgetStatus() {
+        return getBudgetStatus(this.days, this.pricing, this.budget);
+    }
+
+    /**
+     * Whether a daily or monthly cap is reached
+     * @returns {boolean}
+     */
+    isOverBudget() {
+        if (!(this.budget.daily > 0) && !(this.budget.monthly > 0)) {
+            return false;
+        }
+        return this.getBudgetStatus().exceeded;
+    }
+
+    /**
+     * Whether a provider may not be used because of the budget caps
+     * @param {string} key - Provider ID or AI context usage key
+     * @returns {boolean}
+     */
+    isBudgetBlocked(key) {
+        return this.isPaidProvider(key) && this.isOverBudget();
+    }
+
+    /**
+     * Usage history, prices, budget and DeepL quota for the options page
+     * @returns {Promise<UsageReport>}
+     */
+    async getReport() {
+        await this.initialize();
+        await this.refreshDeepLQuota();
+        return {
+            days: this.days,
+            pricing: this.pricing,
+            budget: this.budget,
+            budgetStatus: this.getBudgetStatus(),
+            deeplQuota: this.deeplQuota,
+            retentionDays: RETENTION_DAYS,
+        };
+    }
+
+    /**
+     * Fetch the DeepL billing period usage unless a recent one is known
+     * @param {boolean} [force=false] - Ignore the cached quota
+     * @returns {Promise<void>}
+     */
+    async refreshDeepLQuota(force = false) {
+        if (
+            !force &&
+            this.deeplQuota &&
+            Date.now() - this.deeplQuota.updatedAt < DEEPL_QUOTA_MAX_AGE
+        ) {
+            return;
+        }
+        try {
+            const quota = await getDeepLUsage();
+            this.deeplQuota = quota
+                ? { ...quota, updatedAt: Date.now() }
+                : null;
+            this._scheduleSave();
+        } catch (error) {
+            this.logger.warn('Failed to fetch DeepL usage', error);
+        }
+    }
+
+    /**
+     * Forget all recorded usage
+     * @returns {Promise<void>}
+     */
+    async reset() {
+        await this.initialize();
+        this.days = {};
+        await this.flush();
+        this.logger.info('Usage history cleared');
+    }
+
+    /**
+     * Write pending changes to storage now
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this._pruneOldDays();
+        try {
+            await chrome.storage.local.set({
+                [STORAGE_KEY]: {
+                    days: this.days,
+                    deeplQuota: this.deeplQuota,
+                },
+            });
+        } catch (error) {
+            this.logger.warn('Failed to save usage', error);
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} key - Provider ID or AI context usage key
+     * @returns {Object} Today's counters for the key
+     */
+    _getCounters(key) {
+        const day = (this.days[getUsageDayKey()] ??= {});
+        return (day[key] ??= Object.fromEntries(
+            USAGE_COUNTER_FIELDS.map((field) => [field, 0])
+        ));
+    }
+
+    /**
+     * @private
+     */
+    _scheduleSave() {
+        if (this.saveTimer) {
+            return;
+        }
+        this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY);
+    }
+
+    /**
+     * @private
+     */
+    _pruneOldDays() {
+        const oldest = getUsageDayKey(Date.now() - RETENTION_DAYS * DAY_MS);
+        for (const day of Object.keys(this.days)) {
+            if (day < oldest) {
+                delete this.days[day];
+            }
+        }
+    }
+}
+
+export const usageTracker = new UsageTracker();
+export { UsageTracker };
@@ -0,0 +1,180 @@
+import { jest } from '@jest/globals';
+import { UsageTracker } from './usageTracker.js';
+import {
+    getUsageDayKey,
+    getUsagePricing,
+    summarizeUsage,
+    getBudgetStatus,
+    reportTokenUsage,
+    setTokenUsageListener,
+} from '../../utils/usage.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('usage accounting', () => {
+    const pricing = getUsagePricing({ deepl: { characters: 20 } });
+
+    test('merges price overrides over the defaults', () => {
+        expect(pricing.deepl).toEqual({ characters: 20 });
+        expect(pricing.openai_compatible).toEqual({
+            inputTokens: 0.4,
+            outputTokens: 1.6,
+        });
+        expect(pricing.google).toBeUndefined();
+    });
+
+    test('sums counters and costs per provider over a range', () => {
+        const days = {
+            '2026-03-01': {
+                deepl: { characters: 500_000, requests: 10 },
+                google: { characters: 1000, requests: 2 },
+            },
+            '2026-03-02': {
+                deepl: { characters: 500_000, requests: 5 },
+                openai_compatible: {
+                    requests: 1,
+                    inputTokens: 1_000_000,
+                    outputTokens: 500_000,
+                },
+            },
+            '2026-02-28': { deepl: { characters: 1_000_000, requests: 1 } },
+        };
+
+        const { providers, total } = summarizeUsage(
+            days,
+            pricing,
+            '2026-03-01',
+            '2026-03-02'
+        );
+
+        expect(providers.deepl).toMatchObject({
+            characters: 1_000_000,
+            requests: 15,
+            cost: 20,
+        });
+        expect(providers.google.cost).toBe(0);
+        expect(providers.openai_compatible.cost).toBeCloseTo(1.2);
+        expect(total.requests).toBe(18);
+        expect(total.cost).toBeCloseTo(21.2);
+    });
+
+    test('checks daily and monthly caps', () => {
+        const now = new Date(2026, 2, 15, 12).getTime();
+        const days = {
+            [getUsageDayKey(now)]: { deepl: { characters: 100_000 } },
+            [getUsageDayKey(now - 3 * DAY_MS)]: {
+                deepl: { characters: 400_000 },
+            },
+        };
+
+        expect(getBudgetStatus(days, pricing, { daily: 5 }, now)).toMatchObject(
+            { dailyCost: 2, exceeded: false }
+        );
+        expect(
+            getBudgetStatus(days, pricing, { daily: 5, monthly: 10 }, now)
+        ).toMatchObject({
+            monthlyCost: 10,
+            monthlyExceeded: true,
+            exceeded: true,
+        });
+        // 0 means no cap
+        expect(getBudgetStatus(days, pricing, {}, now).exceeded).toBe(false);
+    });
+
+    test('reads token counts from OpenAI and Gemini responses', () => {
+        const listener = jest.fn();
+        setTokenUsageListener(listener);
+        try {
+            reportTokenUsage('openai_compatible', {
+                usage: { prompt_tokens: 12, completion_tokens: 3 },
+            });
+            reportTokenUsage('vertex_gemini', {
+                usageMetadata: {
+                    promptTokenCount: 20,
+                    candidatesTokenCount: 5,
+                    thoughtsTokenCount: 7,
+                },
+            });
+            reportTokenUsage('openai_compatible', { choices: [] });
+        } finally {
+            setTokenUsageListener(null);
+        }
+
+        expect(listener.mock.calls).toEqual([
+            ['openai_compatible', { inputTokens: 12, outputTokens: 3 }],
+            ['vertex_gemini', { inputTokens: 20, outputTokens: 12 }],
+        ]);
+    });
+});
+
+describe('UsageTracker', () => {
+    let tracker;
+
+    beforeEach(async () => {
+        tracker = new UsageTracker();
+        await tracker.initialize();
+    });
+
+    afterEach(() => {
+        clearTimeout(tracker.saveTimer);
+        setTokenUsageListener(null);
+    });
+
+    test('counts requests and reported tokens per provider per day', () => {
+        tracker.recordRequest('deepl', 120);
+        tracker.recordRequest('deepl', 30);
+        reportTokenUsage('context:openai', {
+            usage: { prompt_tokens: 100, completion_tokens: 40 },
+        });
+
+        expect(tracker.days[getUsageDayKey()]).toEqual({
+            deepl: {
+                characters: 150,
+                requests: 2,
+                inputTokens: 0,
+                outputTokens: 0,
+            },
+            'context:openai': {
+                characters: 0,
+                requests: 0,
+                inputTokens: 100,
+                outputTokens: 40,
+            },
+        });
+    });
+
+    test('persists usage across service worker restarts', async () => {
+        tracker.recordRequest('google', 42);
+        await tracker.flush();
+
+        const restarted = new UsageTracker();
+        await restarted.initialize();
+
+        expect(restarted.days[getUsageDayKey()].google).toMatchObject({
+            characters: 42,
+            requests: 1,
+        });
+    });
+
+    test('drops days older than the retention period', async () => {
+        const old = getUsageDayKey(Date.now() - 120 * DAY_MS);
+        tracker.days[old] = { google: { characters: 1, requests: 1 } };
+        tracker.recordRequest('google', 1);
+        await tracker.flush();
+
+        expect(Object.keys(tracker.days)).toEqual([getUsageDayKey()]);
+    });
+
+    test('blocks only paid providers once over budget', () => {
+        tracker.budget = { daily: 1, monthly: 0 };
+        tracker.recordRequest('deepl', 10_000);
+
+        expect(tracker.isBudgetBlocked('deepl')).toBe(false);
+
+        tracker.recordRequest('deepl', 40_000);
+
+        expect(tracker.isOverBudget()).toBe(true);
+        expect(tracker.isBudgetBlocked('deepl')).toBe(true);
+        expect(tracker.isBudgetBlocked('google')).toBe(false);
+    });
+});
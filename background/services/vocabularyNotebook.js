@@ -0,0 +1,462 @@
+/**
+ * Vocabulary Notebook
+ *
+ * IndexedDB-backed notebook of words and phrases saved from the AI context
+ * modal. Each entry keeps the subtitle line it came from, the translation,
+ * the context analysis and where in which video it was seen, and carries
+ * SM-2 spaced-repetition state for the review section of the options page.
+ *
+ * Also opens saved moments again: the entry's video is focused (or opened)
+ * and the content script is asked to seek to the saved timestamp.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { loggingManager } from '../utils/loggingManager.js';
+import {
+    openDatabase,
+    promisifyRequest,
+    transactionDone,
+    isIndexedDBAvailable,
+} from '../../utils/indexedDb.js';
+import { MessageActions } from '../../content_scripts/shared/constants/messageActions.js';
+
+const DB_NAME = 'DualSubVocabulary';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** SM-2 starting ease factor and lower bound */
+const INITIAL_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+/** Seconds of lead-in before the saved moment when jumping back */
+const SEEK_LEAD_IN = 2;
+/** Retries while a freshly opened tab loads its player */
+const SEEK_RETRY_ATTEMPTS = 10;
+const SEEK_RETRY_DELAY = 1500;
+
+/**
+ * @typedef {Object} VocabularyEntry
+ * @property {string} id - Video, timestamp and text based key
+ * @property {string} text - Selected word or phrase
+ * @property {string} subtitleLine - Full original subtitle line
+ * @property {string} translation - Translated subtitle line
+ * @property {Object|null} context - AI context result
+ * @property {string|null} videoId - Platform video ID
+ * @property {string|null} videoTitle - Show or video title
+ * @property {string|null} episode - Episode name, when the platform has one
+ * @property {string|null} platform - Platform name
+ * @property {string|null} url - Page URL the entry was saved on
+ * @property {number|null} timestamp - Playback position in seconds
+ * @property {string|null} sourceLanguage - Language of the subtitle line
+ * @property {string|null} targetLanguage - Language of the translation
+ * @property {number} createdAt - Save timestamp
+ * @property {number} repetitions - Successful reviews in a row
+ * @property {number} interval - Current review interval in days
+ * @property {number} easeFactor - SM-2 ease factor
+ * @property {number} dueAt - Next review timestamp
+ * @property {number|null} lastReviewedAt - Last review timestamp
+ */
+
+/**
+ * Apply one SM-2 review to an entry's scheduling state
+ * @param {Object} state - { repetitions, interval, easeFactor }
+ * @param {number} quality - Recall quality from 0 (blackout) to 5 (perfect)
+ * @param {number} [now=Date.now()] - Review time
+ * @returns {{repetitions: number, interval: number, easeFactor: number, dueAt: number, lastReviewedAt: number}}
+ */
+export function scheduleReview(state, quality, now = Date.now()) {
+    const q = Math.min(5, Math.max(0, Math.round(Number(quality) || 0)));
+    let repetitions = state.repetitions || 0;
+    let interval = state.interval || 0;
+    let easeFactor = state.easeFactor || INITIAL_EASE_FACTOR;
+
+    if (q < 3) {
+        // Forgotten: start over, but keep the ease factor penalty below
+        repetitions = 0;
+        interval = 1;
+    } else {
+        if (repetitions === 0) {
+            interval = 1;
+        } else if (repetitions === 1) {
+            interval = 6;
+        } else {
+            interval = Math.round(interval * easeFactor);
+        }
+        repetitions++;
+    }
+
+    easeFactor = Math.max(
+        MIN_EASE_FACTOR,
+        easeFactor + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))
+    );
+
+    return {
+        repetitions,
+        interval,
+        easeFactor: Math.round(easeFactor * 100) / 100,
+        dueAt: now + interval * DAY_MS,
+        lastReviewedAt: now,
+    };
+}
+
+/**
+ * Build the URL that resumes a video at a position, for platforms that
+ * support a start time parameter
+ * @param {string} url - Saved page URL
+ * @param {string|null} platform - Platform name
+ * @param {number} seconds - Start position
+ * @returns {string|null} Resume URL, or null when the platform has none
+ */
+export function buildResumeUrl(url, platform, seconds) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+    const start = String(Math.max(0, Math.floor(seconds)));
+    if (platform === 'netflix') {
+        // Netflix ignores seeks on the <video> element; its own t= parameter works
+        parsed.search = '';
+        parsed.searchParams.set('t', start);
+        return parsed.toString();
+    }
+    if (platform === 'youtube') {
+        parsed.searchParams.set('t', `${start}s`);
+        return parsed.toString();
+    }
+    return null;
+}
+
+class VocabularyNotebook {
+    constructor() {
+        this.logger = loggingManager.createLogger('VocabularyNotebook');
+        this.db = null;
+        this.dbPromise = null;
+        this.pendingSeeks = new Map();
+        this.isInitialized = false;
+    }
+
+    /**
+     * Watch tab loads so moments opened in a new tab can be sought to
+     */
+    initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+        if (chrome.tabs?.onUpdated) {
+            chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+                if (
+                    changeInfo.status === 'complete' &&
+                    this.pendingSeeks.has(tabId)
+                ) {
+                    const time = this.pendingSeeks.get(tabId);
+                    this.pendingSeeks.delete(tabId);
+                    this.seekTab(tabId, time);
+                }
+            });
+            chrome.tabs.onRemoved?.addListener((tabId) =>
+                this.pendingSeeks.delete(tabId)
+            );
+        }
+        this.isInitialized = true;
+    }
+
+    /**
+     * Open the database lazily
+     * @returns {Promise<IDBDatabase>}
+     */
+    async getDatabase() {
+        if (this.db) {
+            return this.db;
+        }
+        if (!isIndexedDBAvailable()) {
+            throw new Error('IndexedDB is not available');
+        }
+        if (!this.dbPromise) {
+            this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    const store = db.createObjectStore(STORE_NAME, {
+                        keyPath: 'id',
+                    });
+                    store.createIndex('dueAt', 'dueAt');
+                    store.createIndex('videoId', 'videoId');
+                    store.createIndex('createdAt', 'createdAt');
+                }
+            })
+                .then((db) => {
+                    this.db = db;
+                    return db;
+                })
+                .catch((error) => {
+                    this.dbPromise = null;
+                    throw error;
+                });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Build the key of an entry. Saving the same text at the same moment
+     * again updates the entry instead of duplicating it.
+     * @param {Object} data - Entry data
+     * @returns {string} Entry ID
+     */
+    buildId(data) {
+        const text = String(data.text || '')
+            .normalize('NFC')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toLowerCase();
+        const time = Number.isFinite(data.timestamp)
+            ? Math.round(data.timestamp)
+            : 'na';
+        return `${data.videoId || data.url || 'unknown'}:${time}:${text}`;
+    }
+
+    /**
+     * Save a word or phrase. Review progress of an existing entry is kept.
+     * @param {Object} data - Entry fields (see VocabularyEntry)
+     * @returns {Promise<VocabularyEntry>} Stored entry
+     */
+    async addEntry(data) {
+        const text = typeof data?.text === 'string' ? data.text.trim() : '';
+        if (!text) {
+            throw new Error('A vocabulary entry needs the selected text');
+        }
+
+        const db = await this.getDatabase();
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        const id = this.buildId({ ...data, text });
+        const existing = await promisifyRequest(store.get(id));
+        const now = Date.now();
+
+        const entry = {
+            id,
+            text,
+            subtitleLine: data.subtitleLine || '',
+            translation: data.translation || '',
+            context: data.context ?? existing?.context ?? null,
+            videoId: data.videoId || null,
+            videoTitle: data.videoTitle || null,
+            episode: data.episode || null,
+            platform: data.platform || null,
+            url: data.url || null,
+            timestamp: Number.isFinite(data.timestamp) ? data.timestamp : null,
+            sourceLanguage: data.sourceLanguage || null,
+            targetLanguage: data.targetLanguage || null,
+            createdAt: existing?.createdAt || now,
+            repetitions: existing?.repetitions || 0,
+            interval: existing?.interval || 0,
+            easeFactor: existing?.easeFactor || INITIAL_EASE_FACTOR,
+            dueAt: existing?.dueAt || now,
+            lastReviewedAt: existing?.lastReviewedAt || null,
+        };
+        store.put(entry);
+        await transactionDone(transaction);
+
+        this.logger.info('Vocabulary entry saved', {
+            id,
+            videoId: entry.videoId,
+            updated: !!existing,
+        });
+        return entry;
+    }
+
+    /**
+     * List entries, newest first
+     * @param {Object} [options]
+     * @param {string} [options.videoTitle] - Only entries of this title
+     * @param {boolean} [options.dueOnly] - Only entries due for review, oldest due first
+     * @param {number} [options.now] - Reference time for dueOnly
+     * @returns {Promise<VocabularyEntry[]>}
+     */
+    async listEntries({ videoTitle, dueOnly = false, now = Date.now() } = {}) {
+        const db = await this.getDatabase();
+        const store = db
+            .transaction(STORE_NAME, 'readonly')
+            .objectStore(STORE_NAME);
+
+        let entries;
+        if (dueOnly) {
+            entries = await promisifyRequest(
+                store.index('dueAt').getAll(IDBKeyRange.upperBound(now))
+            );
+        } else {
+            entries = await promisifyRequest(store.index('createdAt').getAll());
+            entries.reverse();
+        }
+
+        return videoTitle
+            ? entries.filter((entry) => entry.videoTitle === videoTitle)
+            : entries;
+    }
+
+    /**
+     * Record a review and schedule the next one
+     * @param {string} id - Entry ID
+     * @param {number} quality - Recall quality from 0 to 5
+     * @returns {Promise<VocabularyEntry>} Updated entry
+     */
+    async reviewEntry(id, quality) {
+        const db = await this.getDatabase();
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        const entry = await promisifyRequest(store.get(id));
+        if (!entry) {
+            transaction.abort();
+            throw new Error('Vocabulary entry not found');
+        }
+
+        const updated = { ...entry, ...scheduleReview(entry, quality) };
+        store.put(updated);
+        await transactionDone(transaction);
+        return updated;
+    }
+
+    /**
+     * Delete an entry
+     * @param {string} id - Entry ID
+     * @returns {Promise<void>}
+     */
+    async deleteEntry(id) {
+        const db = await this.getDatabase();
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        transaction.objectStore(STORE_NAME).delete(id);
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Count all and due entries
+     * @param {number} [now=Date.now()] - Reference time
+     * @returns {Promise<{total: number, due: number}>}
+     */
+    async getStats(now = Date.now()) {
+        const db = await this.getDatabase();
+        const store = db
+            .transaction(STORE_NAME, 'readonly')
+            .objectStore(STORE_NAME);
+        const [total, due] = await Promise.all([
+            promisifyRequest(store.count()),
+            promisifyRequest(
+                store.index('dueAt').count(IDBKeyRange.upperBound(now))
+            ),
+        ]);
+        return { total, due };
+    }
+
+    /**
+     * Jump back to the moment an entry was saved: focus a tab already
+     * playing the video, or open the saved page
+     * @param {string} id - Entry ID
+     * @returns {Promise<{tabId: number, reused: boolean}>}
+     */
+    async openEntry(id) {
+        const db = await this.getDatabase();
+        const entry = await promisifyRequest(
+            db
+                .transaction(STORE_NAME, 'readonly')
+                .objectStore(STORE_NAME)
+                .get(id)
+        );
+        if (!entry) {
+            throw new Error('Vocabulary entry not found');
+        }
+        if (!entry.url) {
+            throw new Error('This entry has no video page to return to');
+        }
+
+        const time = Math.max(0, (entry.timestamp || 0) - SEEK_LEAD_IN);
+        const tabs = await chrome.tabs.query({});
+        const tab = tabs.find(
+            (candidate) =>
+                candidate.url &&
+                (candidate.url === entry.url ||
+                    (entry.videoId && candidate.url.includes(entry.videoId)))
+        );
+
+        const resumeUrl = buildResumeUrl(entry.url, entry.platform, time);
+
+        if (tab) {
+            if (chrome.windows?.update) {
+                await chrome.windows.update(tab.windowId, { focused: true });
+            }
+            // Netflix only honours its start time parameter, so reload with it
+            if (entry.platform !== 'netflix') {
+                await chrome.tabs.update(tab.id, { active: true });
+                if (await this.seekTab(tab.id, time, 1)) {
+                    return { tabId: tab.id, reused: true };
+                }
+            }
+            // The player is not reachable in place: reload the saved page
+            if (!resumeUrl) {
+                this.pendingSeeks.set(tab.id, time);
+            }
+            await chrome.tabs.update(tab.id, {
+                active: true,
+                url: resumeUrl || entry.url,
+            });
+            return { tabId: tab.id, reused: true };
+        }
+
+        const created = await chrome.tabs.create({
+            url: resumeUrl || entry.url,
+        });
+        if (!resumeUrl) {
+            this.pendingSeeks.set(created.id, time);
+        }
+        return { tabId: created.id, reused: false };
+    }
+
+    /**
+     * Ask a tab's content script to seek, retrying while its player loads
+     * @param {number} tabId - Tab ID
+     * @param {number} time - Position in seconds
+     * @param {number} [attempts] - Number of tries
+     * @returns {Promise<boolean>} Whether the content script seeked
+     */
+    async seekTab(tabId, time, attempts = SEEK_RETRY_ATTEMPTS) {
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            try {
+                const response = await chrome.tabs.sendMessage(tabId, {
+                    action: MessageActions.SEEK_VIDEO,
+                    time,
+                });
+                if (response?.success) {
+                    return true;
+                }
+            } catch (error) {
+                this.logger.debug('Seek message not delivered yet', {
+                    tabId,
+                    attempt,
+                    error: error.message,
+                });
+            }
+            if (attempt < attempts) {
+                await new Promise((resolve) =>
+                    setTimeout(resolve, SEEK_RETRY_DELAY)
+                );
+            }
+        }
+        this.logger.warn('Could not seek to vocabulary entry', { tabId, time });
+        return false;
+    }
+
+    /**
+     * Close the database (used by tests)
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+        }
+        this.db = null;
+        this.dbPromise = null;
+    }
+}
+
+// Export singleton instance
+export const vocabularyNotebook = new VocabularyNotebook();
+export { VocabularyNotebook };
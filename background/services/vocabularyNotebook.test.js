@@ -0,0 +1,226 @@
+import 'fake-indexeddb/auto';
+import { jest } from '@jest/globals';
+import {
+    VocabularyNotebook,
+    scheduleReview,
+    buildResumeUrl,
+} from './vocabularyNotebook.js';
+import { deleteDatabase } from '../../utils/indexedDb.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('scheduleReview (SM-2)', () => {
+    const now = 1_000_000;
+
+    test('grows the interval 1, 6, then by the ease factor', () => {
+        let state = { repetitions: 0, interval: 0, easeFactor: 2.5 };
+        const intervals = [];
+        for (let i = 0; i < 4; i++) {
+            state = scheduleReview(state, 4, now);
+            intervals.push(state.interval);
+        }
+
+        expect(intervals).toEqual([1, 6, 15, 38]);
+        expect(state.repetitions).toBe(4);
+        expect(state.easeFactor).toBe(2.5);
+        expect(state.dueAt).toBe(now + 38 * DAY_MS);
+        expect(state.lastReviewedAt).toBe(now);
+    });
+
+    test('restarts forgotten entries and lowers the ease factor', () => {
+        const state = scheduleReview(
+            { repetitions: 3, interval: 15, easeFactor: 2.5 },
+            1,
+            now
+        );
+
+        expect(state).toMatchObject({
+            repetitions: 0,
+            interval: 1,
+            easeFactor: 1.96,
+            dueAt: now + DAY_MS,
+        });
+        // The ease factor never drops below 1.3
+        expect(
+            scheduleReview({ repetitions: 0, easeFactor: 1.3 }, 0, now)
+                .easeFactor
+        ).toBe(1.3);
+    });
+});
+
+describe('buildResumeUrl', () => {
+    test('uses the platform start time parameter', () => {
+        expect(
+            buildResumeUrl(
+                'https://www.netflix.com/watch/81234?trackId=1',
+                'netflix',
+                83.7
+            )
+        ).toBe('https://www.netflix.com/watch/81234?t=83');
+        expect(
+            buildResumeUrl(
+                'https://www.youtube.com/watch?v=abc123',
+                'youtube',
+                12
+            )
+        ).toBe('https://www.youtube.com/watch?v=abc123&t=12s');
+    });
+
+    test('returns null for other platforms and invalid URLs', () => {
+        expect(
+            buildResumeUrl(
+                'https://www.disneyplus.com/video/x',
+                'disneyplus',
+                5
+            )
+        ).toBeNull();
+        expect(buildResumeUrl('not a url', 'youtube', 5)).toBeNull();
+    });
+});
+
+describe('VocabularyNotebook', () => {
+    let notebook;
+    const baseEntry = {
+        text: 'bueno',
+        subtitleLine: 'Muy bueno.',
+        translation: 'Very good.',
+        context: { analysis: { definition: 'good' }, isStructured: true },
+        videoId: '81234',
+        videoTitle: 'La Casa de Papel',
+        platform: 'netflix',
+        url: 'https://www.netflix.com/watch/81234',
+        timestamp: 42.4,
+    };
+
+    beforeEach(async () => {
+        await deleteDatabase('DualSubVocabulary');
+        notebook = new VocabularyNotebook();
+    });
+
+    afterEach(() => {
+        notebook.close();
+    });
+
+    test('saves entries that are due right away', async () => {
+        const entry = await notebook.addEntry(baseEntry);
+
+        expect(entry).toMatchObject({
+            text: 'bueno',
+            subtitleLine: 'Muy bueno.',
+            translation: 'Very good.',
+            videoTitle: 'La Casa de Papel',
+            timestamp: 42.4,
+            repetitions: 0,
+            easeFactor: 2.5,
+        });
+        expect(await notebook.getStats()).toEqual({ total: 1, due: 1 });
+    });
+
+    test('saving the same moment again keeps the review progress', async () => {
+        const { id } = await notebook.addEntry(baseEntry);
+        const reviewed = await notebook.reviewEntry(id, 5);
+
+        const saved = await notebook.addEntry({
+            ...baseEntry,
+            text: ' Bueno ',
+            translation: 'Really good.',
+        });
+
+        expect(saved.id).toBe(id);
+        expect(saved.translation).toBe('Really good.');
+        expect(saved.repetitions).toBe(1);
+        expect(saved.dueAt).toBe(reviewed.dueAt);
+        expect(await notebook.getStats()).toEqual({ total: 1, due: 0 });
+    });
+
+    test('lists due entries and filters by title', async () => {
+        const first = await notebook.addEntry(baseEntry);
+        await notebook.addEntry({
+            ...baseEntry,
+            text: 'hello',
+            videoId: 'yt1',
+            videoTitle: 'Other Show',
+        });
+        await notebook.reviewEntry(first.id, 4);
+
+        const due = await notebook.listEntries({ dueOnly: true });
+        expect(due.map((entry) => entry.text)).toEqual(['hello']);
+
+        const byTitle = await notebook.listEntries({
+            videoTitle: 'La Casa de Papel',
+        });
+        expect(byTitle.map((entry) => entry.text)).toEqual(['bueno']);
+
+        await notebook.deleteEntry(first.id);
+        expect(await notebook.listEntries()).toHaveLength(1);
+    });
+
+    test('rejects entries without text and unknown reviews', async () => {
+        await expect(notebook.addEntry({ text: '  ' })).rejects.toThrow();
+        await expect(notebook.reviewEntry('missing', 4)).rejects.toThrow(
+            'Vocabulary entry not found'
+        );
+    });
+
+    describe('openEntry', () => {
+        let originalTabs;
+        let originalWindows;
+
+        beforeEach(() => {
+            originalTabs = chrome.tabs;
+            originalWindows = chrome.windows;
+            chrome.windows = { update: jest.fn().mockResolvedValue({}) };
+        });
+
+        afterEach(() => {
+            chrome.tabs = originalTabs;
+            chrome.windows = originalWindows;
+        });
+
+        test('seeks in an open tab that plays the video', async () => {
+            const entry = await notebook.addEntry({
+                ...baseEntry,
+                platform: 'disneyplus',
+                url: 'https://www.disneyplus.com/video/abc',
+                videoId: 'abc',
+            });
+            chrome.tabs = {
+                query: jest.fn().mockResolvedValue([
+                    {
+                        id: 7,
+                        windowId: 1,
+                        url: 'https://www.disneyplus.com/video/abc',
+                    },
+                ]),
+                update: jest.fn().mockResolvedValue({}),
+                sendMessage: jest.fn().mockResolvedValue({ success: true }),
+                create: jest.fn(),
+            };
+
+            const result = await notebook.openEntry(entry.id);
+
+            expect(result).toEqual({ tabId: 7, reused: true });
+            expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, {
+                action: 'seekVideo',
+                time: 40.4,
+            });
+            expect(chrome.tabs.create).not.toHaveBeenCalled();
+        });
+
+        test('opens Netflix moments with the start time parameter', async () => {
+            const entry = await notebook.addEntry(baseEntry);
+            chrome.tabs = {
+                query: jest.fn().mockResolvedValue([]),
+                create: jest.fn().mockResolvedValue({ id: 9 }),
+            };
+
+            const result = await notebook.openEntry(entry.id);
+
+            expect(result).toEqual({ tabId: 9, reused: false });
+            expect(chrome.tabs.create).toHaveBeenCalledWith({
+                url: 'https://www.netflix.com/watch/81234?t=40',
+            });
+            expect(notebook.pendingSeeks.size).toBe(0);
+        });
+    });
+});
@@ -6,7 +6,7 @@
  */
 
 import { translationProviders } from './services/translationService.js';
-import { batchTranslationQueue } from './services/batchTranslationQueue.js';
+import { batchTranslationQueue } from '../content_scripts/shared/batchTranslationQueue.js';
 import { messageHandler } from './handlers/messageHandler.js';
 
 // Sample subtitle texts for testing
@@ -13,7 +13,7 @@
 
 import { translationProviders } from './services/translationService.js';
 import { subtitleService } from './services/subtitleService.js';
-import { batchTranslationQueue } from './services/batchTranslationQueue.js';
+import { batchTranslationQueue } from '../content_scripts/shared/batchTranslationQueue.js';
 import { messageHandler } from './handlers/messageHandler.js';
 import { performanceMonitor } from './utils/performanceMonitor.js';
 import { errorHandler } from './utils/errorHandler.js';
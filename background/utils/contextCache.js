@@ -83,15 +83,26 @@ export class ContextCache {
      * @param {string} text - Text to analyze
      * @param {string} contextType - Type of context
      * @param {string} provider - Provider ID
-     * @param {Object} metadata - Additional metadata
+     * @param {Object} metadata - Additional metadata; `templateKey` keys
+     *   custom context types by their template, `conversationKey` keys
+     *   follow-up answers by the conversation they continue
      * @returns {string} Cache key
      */
     generateKey(text, contextType, provider, metadata = {}) {
-        const { sourceLanguage = '', targetLanguage = '' } = metadata;
+        const {
+            sourceLanguage = '',
+            targetLanguage = '',
+            conversationKey,
+            templateKey,
+        } = metadata;
 
         // Create a normalized key that's consistent but not too long
         const textHash = this.hashString(text);
-        return `${provider}:${contextType}:${sourceLanguage}:${targetLanguage}:${textHash}`;
+        let key = `${provider}:${contextType}:${sourceLanguage}:${targetLanguage}:${textHash}`;
+        for (const extra of [templateKey, conversationKey]) {
+            if (extra) key += `:${this.hashString(extra)}`;
+        }
+        return key;
     }
 
     /**
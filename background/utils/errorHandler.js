@@ -14,6 +14,7 @@ import {
     TranslationError,
     SubtitleProcessingError,
     RateLimitError,
+    BudgetExceededError,
 } from '../services/serviceInterfaces.js';
 import { Providers } from '../../content_scripts/shared/constants/providers.js';
 
@@ -150,6 +151,12 @@ class ErrorHandler {
             classification.category = ErrorCategory.RATE_LIMIT;
             classification.severity = ErrorSeverity.HIGH;
             classification.errorCode = 'RATE_LIMIT_EXCEEDED';
+        } else if (error instanceof BudgetExceededError) {
+            // Retrying cannot help until the budget resets or is raised
+            classification.category = ErrorCategory.CONFIGURATION;
+            classification.severity = ErrorSeverity.MEDIUM;
+            classification.isRecoverable = false;
+            classification.errorCode = 'BUDGET_EXCEEDED';
         } else if (error instanceof ServiceError) {
             classification.category = ErrorCategory.SYSTEM;
             classification.severity = ErrorSeverity.HIGH;
@@ -442,4 +449,5 @@ export {
     TranslationError,
     SubtitleProcessingError,
     RateLimitError,
+    BudgetExceededError,
 };
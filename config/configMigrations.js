@@ -0,0 +1,148 @@
+/**
+ * Ordered migrations of stored settings between schema versions.
+ * - version: The schema version the migration brings the settings to.
+ * - description: What the migration does, for logs and dry runs.
+ * - operations: Applied in order, each one of
+ *   - { type: 'rename', from, to, overwrite? } moves a value to a new key.
+ *     A value already stored under `to` is kept unless `overwrite` is set.
+ *   - { type: 'transform', key, transform(value) } replaces a stored value.
+ *   - { type: 'delete', key } removes a key.
+ *   Keys are read from their schema scope; keys no longer in the schema
+ *   take the scope of the rename target, or `area`, or 'sync'.
+ */
+
+import { getStorageScope } from './configSchema.js';
+
+/** Storage key (sync area) of the schema version of the stored settings */
+export const CONFIG_VERSION_KEY = 'configSchemaVersion';
+
+/** Storage key (local area) of the snapshots taken before each migration */
+export const MIGRATION_BACKUPS_KEY = 'configMigrationBackups';
+
+export const configMigrations = [
+    {
+        version: 1,
+        description: 'Fold legacy and misspelled setting keys',
+        operations: [
+            {
+                type: 'rename',
+                from: 'useNativeSubtitles',
+                to: 'useOfficialTranslations',
+            },
+            { type: 'rename', from: 'openaieBatchSize', to: 'openaiBatchSize' },
+            { type: 'rename', from: 'openaieDelay', to: 'openaiDelay' },
+        ],
+    },
+];
+
+/** The schema version written after all migrations have run */
+export const CONFIG_SCHEMA_VERSION = Math.max(
+    0,
+    ...configMigrations.map((migration) => migration.version)
+);
+
+/**
+ * Get the migrations still to run on settings stored at a schema version
+ * @param {number} fromVersion - Schema version of the stored settings
+ * @param {Array<object>} [migrations] - Migration registry
+ * @returns {Array<object>} Pending migrations, oldest first
+ */
+export function getPendingMigrations(
+    fromVersion,
+    migrations = configMigrations
+) {
+    return migrations
+        .filter((migration) => migration.version > fromVersion)
+        .sort((a, b) => a.version - b.version);
+}
+
+function resolveArea(key, operation, fallbackKey) {
+    return (
+        getStorageScope(key) ||
+        (fallbackKey && getStorageScope(fallbackKey)) ||
+        operation.area ||
+        'sync'
+    );
+}
+
+/**
+ * Get the storage keys migrations read and write, by storage area
+ * @param {Array<object>} migrations - Migrations to run
+ * @returns {{sync: string[], local: string[]}} Touched keys
+ */
+export function getMigrationKeys(migrations) {
+    const keys = { sync: new Set(), local: new Set() };
+    migrations.forEach((migration) => {
+        migration.operations.forEach((operation) => {
+            if (operation.type === 'rename') {
+                keys[resolveArea(operation.from, operation, operation.to)].add(
+                    operation.from
+                );
+                keys[resolveArea(operation.to, operation)].add(operation.to);
+            } else {
+                keys[resolveArea(operation.key, operation)].add(operation.key);
+            }
+        });
+    });
+    return { sync: [...keys.sync], local: [...keys.local] };
+}
+
+/**
+ * Apply a migration to stored settings without writing them
+ * @param {object} migration - Migration from the registry
+ * @param {{sync: object, local: object}} items - Stored values by area
+ * @returns {{items: {sync: object, local: object}, changes: Array<object>}}
+ *   Migrated values and the changes made, in order
+ */
+export function applyMigration(migration, items) {
+    const next = { sync: { ...items.sync }, local: { ...items.local } };
+    const changes = [];
+    const has = (area, key) =>
+        Object.prototype.hasOwnProperty.call(next[area], key);
+
+    migration.operations.forEach((operation) => {
+        if (operation.type === 'rename') {
+            const fromArea = resolveArea(
+                operation.from,
+                operation,
+                operation.to
+            );
+            const toArea = resolveArea(operation.to, operation);
+            if (!has(fromArea, operation.from)) return;
+
+            const value = next[fromArea][operation.from];
+            const kept = has(toArea, operation.to) && !operation.overwrite;
+            if (!kept) {
+                next[toArea][operation.to] = value;
+            }
+            delete next[fromArea][operation.from];
+            changes.push({
+                type: 'rename',
+                from: operation.from,
+                to: operation.to,
+                value,
+                kept,
+            });
+        } else if (operation.type === 'transform') {
+            const area = resolveArea(operation.key, operation);
+            if (!has(area, operation.key)) return;
+
+            const value = operation.transform(next[area][operation.key]);
+            if (value === next[area][operation.key]) return;
+            next[area][operation.key] = value;
+            changes.push({ type: 'transform', key: operation.key, value });
+        } else if (operation.type === 'delete') {
+            const area = resolveArea(operation.key, operation);
+            if (!has(area, operation.key)) return;
+
+            delete next[area][operation.key];
+            changes.push({ type: 'delete', key: operation.key });
+        } else {
+            throw new Error(
+                `Unknown operation "${operation.type}" in config migration ${migration.version}`
+            );
+        }
+    });
+
+    return { items: next, changes };
+}
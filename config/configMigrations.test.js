@@ -0,0 +1,91 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+    configMigrations,
+    CONFIG_SCHEMA_VERSION,
+    getPendingMigrations,
+    getMigrationKeys,
+    applyMigration,
+} from './configMigrations.js';
+import { configSchema } from './configSchema.js';
+
+describe('configMigrations', () => {
+    it('should be ordered and end at the schema version', () => {
+        const versions = configMigrations.map((m) => m.version);
+        expect(versions).toEqual([...versions].sort((a, b) => a - b));
+        expect(versions[versions.length - 1]).toBe(CONFIG_SCHEMA_VERSION);
+        expect(getPendingMigrations(CONFIG_SCHEMA_VERSION)).toEqual([]);
+        expect(getPendingMigrations(0)).toHaveLength(configMigrations.length);
+    });
+
+    it('should only rename legacy keys into schema keys', () => {
+        configMigrations.forEach((migration) => {
+            migration.operations
+                .filter((op) => op.type === 'rename')
+                .forEach((op) => {
+                    expect(configSchema[op.from]).toBeUndefined();
+                    expect(configSchema[op.to]).toBeDefined();
+                });
+        });
+    });
+
+    it('should fold the legacy keys', () => {
+        const { items, changes } = applyMigration(configMigrations[0], {
+            sync: {
+                useNativeSubtitles: false,
+                useOfficialTranslations: true,
+                openaieBatchSize: 12,
+                openaieDelay: 250,
+            },
+            local: {},
+        });
+
+        expect(items.sync).toEqual({
+            useOfficialTranslations: true,
+            openaiBatchSize: 12,
+            openaiDelay: 250,
+        });
+        expect(changes.map((c) => [c.from, c.kept])).toEqual([
+            ['useNativeSubtitles', true],
+            ['openaieBatchSize', false],
+            ['openaieDelay', false],
+        ]);
+        expect(getMigrationKeys(configMigrations).local).toEqual([]);
+    });
+
+    it('should transform and delete keys, skipping missing ones', () => {
+        const migration = {
+            version: 99,
+            operations: [
+                {
+                    type: 'transform',
+                    key: 'subtitleFontSize',
+                    transform: (value) => value / 16,
+                },
+                { type: 'delete', key: 'oldLocalCache', area: 'local' },
+                { type: 'delete', key: 'neverStored' },
+            ],
+        };
+        const items = {
+            sync: { subtitleFontSize: 24 },
+            local: { oldLocalCache: {} },
+        };
+
+        const result = applyMigration(migration, items);
+        expect(result.items).toEqual({
+            sync: { subtitleFontSize: 1.5 },
+            local: {},
+        });
+        expect(result.changes).toEqual([
+            { type: 'transform', key: 'subtitleFontSize', value: 1.5 },
+            { type: 'delete', key: 'oldLocalCache' },
+        ]);
+        // The stored values are left alone
+        expect(items.sync.subtitleFontSize).toBe(24);
+        expect(() =>
+            applyMigration(
+                { version: 100, operations: [{ type: 'copy' }] },
+                items
+            )
+        ).toThrow('Unknown operation "copy" in config migration 100');
+    });
+});
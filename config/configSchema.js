@@ -52,26 +52,57 @@ export const configSchema = {
     globalBatchSize: { defaultValue: 5, type: Number, scope: 'sync' },
     batchingEnabled: { defaultValue: true, type: Boolean, scope: 'sync' },
     useProviderDefaults: { defaultValue: true, type: Boolean, scope: 'sync' },
+    // Opt-in: translate the whole subtitle track in the background, nearest
+    // cues first. Off by default, processSubtitleQueue handles the track.
+    translationPrefetchEnabled: {
+        defaultValue: false,
+        type: Boolean,
+        scope: 'sync',
+    },
+    // Send the show title and the preceding translated cues with LLM batches
+    batchContextEnabled: { defaultValue: true, type: Boolean, scope: 'sync' },
+    batchContextCueCount: { defaultValue: 3, type: Number, scope: 'sync' },
+    // Per-show glossaries: [{ show, entries: 'term = translation' lines }].
+    // Local, as long glossaries can exceed the sync per-item quota
+    translationGlossaries: { defaultValue: [], type: Array, scope: 'local' },
+    // Ordered providers to try when the selected provider is rate limited,
+    // misconfigured or failing (empty = no failover)
+    translationFallbackProviders: {
+        defaultValue: [],
+        type: Array,
+        scope: 'sync',
+    },
 
     // Provider-specific batch sizes
-    openaieBatchSize: { defaultValue: 8, type: Number, scope: 'sync' },
+    openaiBatchSize: { defaultValue: 8, type: Number, scope: 'sync' },
     googleBatchSize: { defaultValue: 4, type: Number, scope: 'sync' },
     deeplBatchSize: { defaultValue: 3, type: Number, scope: 'sync' },
     microsoftBatchSize: { defaultValue: 4, type: Number, scope: 'sync' },
 
     // Provider-specific delay settings (in milliseconds)
-    openaieDelay: { defaultValue: 100, type: Number, scope: 'sync' },
+    openaiDelay: { defaultValue: 100, type: Number, scope: 'sync' },
     googleDelay: { defaultValue: 1500, type: Number, scope: 'sync' },
     deeplDelay: { defaultValue: 500, type: Number, scope: 'sync' },
     deeplFreeDelay: { defaultValue: 2000, type: Number, scope: 'sync' },
     microsoftDelay: { defaultValue: 800, type: Number, scope: 'sync' },
+    localLlmDelay: { defaultValue: 0, type: Number, scope: 'sync' },
 
     // DeepL API Settings
-    deeplApiKey: { defaultValue: '', type: String, scope: 'sync' },
+    deeplApiKey: {
+        defaultValue: '',
+        type: String,
+        scope: 'sync',
+        secret: true,
+    },
     deeplApiPlan: { defaultValue: 'free', type: String, scope: 'sync' },
 
     // OpenAI-compatible API Settings (for Gemini and other compatible endpoints)
-    openaiCompatibleApiKey: { defaultValue: '', type: String, scope: 'sync' },
+    openaiCompatibleApiKey: {
+        defaultValue: '',
+        type: String,
+        scope: 'sync',
+        secret: true,
+    },
     openaiCompatibleBaseUrl: {
         defaultValue: 'https://generativelanguage.googleapis.com/v1beta/openai',
         type: String,
@@ -84,14 +115,40 @@ export const configSchema = {
     },
 
     // Vertex AI Gemini Translation Settings
-    vertexAccessToken: { defaultValue: '', type: String, scope: 'sync' },
+    vertexAccessToken: {
+        defaultValue: '',
+        type: String,
+        scope: 'sync',
+        secret: true,
+    },
     vertexProjectId: { defaultValue: '', type: String, scope: 'sync' },
     vertexLocation: { defaultValue: 'us-central1', type: String, scope: 'sync' },
     vertexModel: { defaultValue: 'gemini-2.5-flash', type: String, scope: 'sync' },
 
+    // Local LLM server settings (Ollama or OpenAI-style servers such as LM Studio)
+    localLlmApiType: { defaultValue: 'ollama', type: String, scope: 'sync' },
+    localLlmBaseUrl: {
+        defaultValue: 'http://localhost:11434',
+        type: String,
+        scope: 'sync',
+    },
+    // Empty = use the first model the server reports
+    localLlmModel: { defaultValue: '', type: String, scope: 'sync' },
+
+    // Persistent translation memory (IndexedDB, survives service worker restarts)
+    translationMemoryEnabled: {
+        defaultValue: true,
+        type: Boolean,
+        scope: 'sync',
+    },
+    translationMemoryMaxEntries: {
+        defaultValue: 20000,
+        type: Number,
+        scope: 'sync',
+    },
+
     // --- Subtitle Settings (from popup.js & background.js defaults) ---
     subtitlesEnabled: { defaultValue: true, type: Boolean, scope: 'sync' },
-    useNativeSubtitles: { defaultValue: true, type: Boolean, scope: 'sync' },
     useOfficialTranslations: {
         defaultValue: true,
         type: Boolean,
@@ -100,6 +157,9 @@ export const configSchema = {
     targetLanguage: { defaultValue: 'zh-CN', type: String, scope: 'sync' },
     originalLanguage: { defaultValue: 'en', type: String, scope: 'sync' },
     subtitleTimeOffset: { defaultValue: 0.3, type: Number, scope: 'sync' },
+    // Per-video track offsets in seconds, on top of subtitleTimeOffset:
+    // { [videoId]: { original, translated, updatedAt } }
+    subtitleSyncOffsets: { defaultValue: {}, type: Object, scope: 'local' },
     subtitleLayoutOrder: {
         defaultValue: 'original_top',
         type: String,
@@ -118,6 +178,128 @@ export const configSchema = {
         scope: 'sync',
     },
 
+    // Per-track typography (see utils/subtitleStyle.js for allowed values).
+    // Font size ratios scale subtitleFontSize for that track.
+    originalSubtitleFontFamily: {
+        defaultValue: 'default',
+        type: String,
+        scope: 'sync',
+    },
+    originalSubtitleFontWeight: {
+        defaultValue: 400,
+        type: Number,
+        scope: 'sync',
+    },
+    originalSubtitleColor: {
+        defaultValue: '#FFFFFF',
+        type: String,
+        scope: 'sync',
+    },
+    originalSubtitleTextEdge: {
+        defaultValue: 'shadow',
+        type: String,
+        scope: 'sync',
+    }, // shadow, outline, none
+    originalSubtitleBackgroundOpacity: {
+        defaultValue: 0.6,
+        type: Number,
+        scope: 'sync',
+    },
+    originalSubtitleSizeRatio: {
+        defaultValue: 1,
+        type: Number,
+        scope: 'sync',
+    },
+    translatedSubtitleFontFamily: {
+        defaultValue: 'default',
+        type: String,
+        scope: 'sync',
+    },
+    translatedSubtitleFontWeight: {
+        defaultValue: 400,
+        type: Number,
+        scope: 'sync',
+    },
+    translatedSubtitleColor: {
+        defaultValue: '#00FFFF',
+        type: String,
+        scope: 'sync',
+    },
+    translatedSubtitleTextEdge: {
+        defaultValue: 'shadow',
+        type: String,
+        scope: 'sync',
+    }, // shadow, outline, none
+    translatedSubtitleBackgroundOpacity: {
+        defaultValue: 0.6,
+        type: Number,
+        scope: 'sync',
+    },
+    translatedSubtitleSizeRatio: {
+        defaultValue: 1,
+        type: Number,
+        scope: 'sync',
+    },
+
+    // In-player hotkeys changed from DEFAULT_HOTKEYS in utils/hotkeys.js:
+    // { [action]: 'Alt+Shift+KeyS' }, '' disables an action
+    keyboardShortcuts: { defaultValue: {}, type: Object, scope: 'sync' },
+
+    // Study playback modes (content_scripts/core/StudyModeController.js):
+    // 'off' | 'autoPause' | 'loop' | 'shadowing'
+    studyPlaybackMode: { defaultValue: 'off', type: String, scope: 'sync' },
+    studyLoopCount: { defaultValue: 2, type: Number, scope: 'sync' },
+    studyBlurTranslation: {
+        defaultValue: false,
+        type: Boolean,
+        scope: 'sync',
+    },
+
+    // Pronunciation aids over the original line (utils/pronunciation.js):
+    // 'off' | 'ruby' | 'row'. Kana and hangul are read offline; kanji and
+    // hanzi readings come from pronunciationProvider ('' = the LLM providers
+    // of the translation failover chain).
+    pronunciationMode: { defaultValue: 'off', type: String, scope: 'sync' },
+    // 'furigana' | 'romaji'
+    pronunciationJapaneseStyle: {
+        defaultValue: 'furigana',
+        type: String,
+        scope: 'sync',
+    },
+    pronunciationProvider: { defaultValue: '', type: String, scope: 'sync' },
+
+    // Popover with entries of the imported offline dictionaries
+    // (background/services/dictionaryService.js) on subtitle word hover
+    dictionaryLookupEnabled: {
+        defaultValue: true,
+        type: Boolean,
+        scope: 'sync',
+    },
+    // Split Japanese subtitle lines on the headwords of the imported
+    // dictionaries instead of the Intl.Segmenter word rules
+    dictionarySegmentationEnabled: {
+        defaultValue: false,
+        type: Boolean,
+        scope: 'sync',
+    },
+
+    // Translation usage dashboard (utils/usage.js): price overrides in USD
+    // per 1M characters or tokens, { [providerId]: { characters,
+    // inputTokens, outputTokens } }, and budget caps in USD (0 = no cap).
+    // Once a cap is reached paid providers are skipped; 'switch' also hands
+    // translations to switchProvider.
+    usagePricing: { defaultValue: {}, type: Object, scope: 'sync' },
+    usageBudget: {
+        defaultValue: {
+            daily: 0,
+            monthly: 0,
+            action: 'switch',
+            switchProvider: 'google',
+        },
+        type: Object,
+        scope: 'sync',
+    },
+
     // Platform-specific subtitle blacklist
     subtitleBlacklist: {
         defaultValue: {
@@ -129,6 +311,25 @@ export const configSchema = {
         scope: 'sync',
     },
 
+    // Sites (host names) where the generic HTML5 video adapter runs; each
+    // needs an optional host permission granted from the popup
+    genericSiteAllowlist: { defaultValue: [], type: Array, scope: 'sync' },
+
+    // Settings profiles (utils/settingsProfiles.js): named snapshots of the
+    // settings, { [profileId]: { name, settings, updatedAt } }. Local, as a
+    // full snapshot exceeds the sync per-item quota.
+    settingsProfiles: { defaultValue: {}, type: Object, scope: 'local' },
+    activeSettingsProfile: { defaultValue: '', type: String, scope: 'local' },
+    // Settings replacing the global ones on a platform or for a show,
+    // resolved by ConfigService.getMultiple/getAll when given a context:
+    // { platforms: { [platform]: settings },
+    //   titles: { [normalizedTitle]: { title, settings } } }
+    settingsOverrides: {
+        defaultValue: { platforms: {}, titles: {} },
+        type: Object,
+        scope: 'sync',
+    },
+
     // --- UI State Settings (local storage for better performance) ---
     appearanceAccordionOpen: {
         defaultValue: false,
@@ -143,15 +344,24 @@ export const configSchema = {
     // Provider selection
     aiContextProvider: { defaultValue: 'openai', type: String, scope: 'sync' },
 
-    // Context types to enable
+    // Context types to enable: built-in types and custom template ids
     aiContextTypes: {
         defaultValue: ['cultural', 'historical', 'linguistic'],
         type: Array,
         scope: 'sync',
     },
+    // Custom context types (context_providers/contextTemplates.js):
+    // [{ id, name, prompt, schema }]. Local, as prompts and schemas can
+    // exceed the sync per-item quota.
+    aiContextTemplates: { defaultValue: [], type: Array, scope: 'local' },
 
     // OpenAI Context API Settings
-    openaiApiKey: { defaultValue: '', type: String, scope: 'sync' },
+    openaiApiKey: {
+        defaultValue: '',
+        type: String,
+        scope: 'sync',
+        secret: true,
+    },
     openaiBaseUrl: {
         defaultValue: 'https://api.openai.com',
         type: String,
@@ -160,13 +370,45 @@ export const configSchema = {
     openaiModel: { defaultValue: 'gpt-4.1-mini', type: String, scope: 'sync' },
 
     // Google Gemini Context API Settings
-    geminiApiKey: { defaultValue: '', type: String, scope: 'sync' },
+    geminiApiKey: {
+        defaultValue: '',
+        type: String,
+        scope: 'sync',
+        secret: true,
+    },
     geminiModel: {
         defaultValue: 'gemini-2.5-flash',
         type: String,
         scope: 'sync',
     },
 
+    // Anthropic Context API Settings (Messages API)
+    anthropicApiKey: {
+        defaultValue: '',
+        type: String,
+        scope: 'sync',
+        secret: true,
+    },
+    anthropicBaseUrl: {
+        defaultValue: 'https://api.anthropic.com',
+        type: String,
+        scope: 'sync',
+    },
+    anthropicModel: {
+        defaultValue: 'claude-haiku-4-5',
+        type: String,
+        scope: 'sync',
+    },
+
+    // OpenAI-compatible context provider: uses the endpoint and API key of
+    // the OpenAI-compatible translation settings. Empty uses the
+    // translation model.
+    openaiCompatibleContextModel: {
+        defaultValue: '',
+        type: String,
+        scope: 'sync',
+    },
+
     // Context analysis settings
     aiContextTimeout: { defaultValue: 30000, type: Number, scope: 'sync' }, // 30 seconds
     aiContextCacheEnabled: { defaultValue: true, type: Boolean, scope: 'sync' },
@@ -213,6 +455,15 @@ export function getKeysByScope(scope) {
     );
 }
 
+/**
+ * Keys holding API keys or access tokens (`secret: true`), left out of
+ * exported profiles unless asked for
+ * @returns {string[]} Array of secret keys
+ */
+export function getSecretKeys() {
+    return Object.keys(configSchema).filter((key) => configSchema[key].secret);
+}
+
 /**
  * Helper function to validate a setting value against its schema
  * @param {string} key - The setting key
@@ -241,6 +492,12 @@ export function validateSetting(key, value) {
         return true;
     } else if (schemaEntry.type === Boolean) {
         return typeof value === 'boolean';
+    } else if (schemaEntry.type === Array) {
+        return Array.isArray(value);
+    } else if (schemaEntry.type === Object) {
+        return (
+            typeof value === 'object' && value !== null && !Array.isArray(value)
+        );
     }
 
     return false;
@@ -274,6 +531,7 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         configSchema,
         getKeysByScope,
+        getSecretKeys,
         validateSetting,
         getDefaultValue,
         getStorageScope,
@@ -146,12 +146,12 @@ describe('configSchema', () => {
                 'batchingEnabled',
                 'useProviderDefaults',
                 // Provider-specific batch sizes
-                'openaieBatchSize',
+                'openaiBatchSize',
                 'googleBatchSize',
                 'deeplBatchSize',
                 'microsoftBatchSize',
                 // Provider-specific delay settings
-                'openaieDelay',
+                'openaiDelay',
                 'googleDelay',
                 'deeplDelay',
                 'deeplFreeDelay',
@@ -161,27 +161,66 @@ describe('configSchema', () => {
                 'openaiCompatibleApiKey',
                 'openaiCompatibleBaseUrl',
                 'openaiCompatibleModel',
+                'localLlmDelay',
+                'localLlmApiType',
+                'localLlmBaseUrl',
+                'localLlmModel',
                 'subtitlesEnabled',
-                'useNativeSubtitles',
                 'useOfficialTranslations',
                 'targetLanguage',
                 'originalLanguage',
                 'subtitleTimeOffset',
+                'subtitleSyncOffsets',
                 'subtitleLayoutOrder',
                 'subtitleLayoutOrientation',
                 'subtitleFontSize',
                 'subtitleGap',
                 'subtitleVerticalPosition',
+                'originalSubtitleFontFamily',
+                'originalSubtitleFontWeight',
+                'originalSubtitleColor',
+                'originalSubtitleTextEdge',
+                'originalSubtitleBackgroundOpacity',
+                'originalSubtitleSizeRatio',
+                'translatedSubtitleFontFamily',
+                'translatedSubtitleFontWeight',
+                'translatedSubtitleColor',
+                'translatedSubtitleTextEdge',
+                'translatedSubtitleBackgroundOpacity',
+                'translatedSubtitleSizeRatio',
+                'genericSiteAllowlist',
+                'batchContextEnabled',
+                'batchContextCueCount',
+                'translationGlossaries',
                 'appearanceAccordionOpen',
                 'debugMode',
                 'loggingLevel',
+                'keyboardShortcuts',
+                'studyPlaybackMode',
+                'studyLoopCount',
+                'studyBlurTranslation',
+                'pronunciationMode',
+                'pronunciationJapaneseStyle',
+                'pronunciationProvider',
+                'dictionaryLookupEnabled',
+                'dictionarySegmentationEnabled',
+                'usagePricing',
+                'usageBudget',
+                'settingsProfiles',
+                'activeSettingsProfile',
+                'settingsOverrides',
+                'aiContextTemplates',
+                'anthropicApiKey',
+                'anthropicBaseUrl',
+                'anthropicModel',
+                'openaiCompatibleContextModel',
             ];
 
             const actualSettings = Object.keys(configSchema);
             expect(actualSettings).toEqual(
                 expect.arrayContaining(expectedSettings)
             );
-            expect(actualSettings.length).toBe(66);
+            expect(actualSettings.length).toBe(109);
         });
 
         it('should have correct scope distribution', () => {
@@ -194,9 +233,14 @@ describe('configSchema', () => {
                     'appearanceAccordionOpen',
                     'debugMode',
                     'aiContextDebugMode',
+                    'subtitleSyncOffsets',
+                    'translationGlossaries',
+                    'settingsProfiles',
+                    'activeSettingsProfile',
+                    'aiContextTemplates',
                 ])
             );
-            expect(localKeys.length).toBe(3);
+            expect(localKeys.length).toBe(8);
 
             // Sync scope should contain all other settings including loggingLevel and OpenAI settings
             expect(syncKeys.length).toBeGreaterThan(10);
@@ -225,6 +269,34 @@ describe('configSchema', () => {
             expect(validateSetting('subtitlesEnabled', 'true')).toBe(false);
             expect(validateSetting('debugMode', false)).toBe(true);
             expect(validateSetting('debugMode', 0)).toBe(false);
+
+            // Array validation
+            expect(
+                validateSetting('translationFallbackProviders', ['google'])
+            ).toBe(true);
+            expect(validateSetting('translationFallbackProviders', [])).toBe(
+                true
+            );
+            expect(
+                validateSetting('translationFallbackProviders', 'google')
+            ).toBe(false);
+            expect(validateSetting('translationFallbackProviders', {})).toBe(
+                false
+            );
+
+            // Object validation
+            expect(validateSetting('subtitleBlacklist', { netflix: [] })).toBe(
+                true
+            );
+            expect(validateSetting('subtitleBlacklist', [])).toBe(false);
+            expect(validateSetting('subtitleBlacklist', null)).toBe(false);
+        });
+    });
+
+    describe('translationPrefetchEnabled setting', () => {
+        it('should be opt-in and synced', () => {
+            expect(getDefaultValue('translationPrefetchEnabled')).toBe(false);
+            expect(getStorageScope('translationPrefetchEnabled')).toBe('sync');
         });
     });
 });
@@ -13,6 +13,7 @@ import { AI_CONTEXT_CONFIG, MODAL_STATES, EVENT_TYPES } from './constants.js';
 import { AIContextModal } from '../ui/modal.js';
 import { AIContextProvider } from '../providers/AIContextProvider.js';
 import { TextSelectionHandler } from '../handlers/textSelection.js';
+import { MessageActions } from '../../shared/constants/messageActions.js';
 
 /**
  * AIContextManager - Core system controller
@@ -54,6 +55,9 @@ export class AIContextManager {
         this._handleAnalysisRequest = this._handleAnalysisRequest.bind(this);
         this._handleModalStateChange = this._handleModalStateChange.bind(this);
 
+        // Where the last analysis was requested, for the vocabulary notebook
+        this.lastAnalysisSnapshot = null;
+
         // Early word-selection buffering for SPA navigation timing
         this.earlySelectionQueue = [];
         this._earlyWordSelectionListener = null;
@@ -402,6 +406,32 @@ export class AIContextManager {
                 pauseAnalysisListener
             );
 
+            // Listen for vocabulary notebook save requests (from modal)
+            const vocabularySaveListener = (event) => {
+                this._handleVocabularySaveRequest(event.detail);
+            };
+            document.addEventListener(
+                EVENT_TYPES.VOCABULARY_SAVE_REQUESTED,
+                vocabularySaveListener
+            );
+            this.eventListeners.set(
+                EVENT_TYPES.VOCABULARY_SAVE_REQUESTED,
+                vocabularySaveListener
+            );
+
+            // Listen for follow-up questions (from modal)
+            const followUpListener = (event) => {
+                this._handleFollowUpRequest(event.detail);
+            };
+            document.addEventListener(
+                EVENT_TYPES.FOLLOW_UP_REQUESTED,
+                followUpListener
+            );
+            this.eventListeners.set(
+                EVENT_TYPES.FOLLOW_UP_REQUESTED,
+                followUpListener
+            );
+
             // Listen for configuration updates
             const configUpdateListener = (event) => {
                 this._handleConfigurationUpdate(event.detail);
@@ -511,6 +541,14 @@ export class AIContextManager {
             this.metrics.analysisCount++;
             this.metrics.lastActivity = Date.now();
 
+            // Remember the subtitle line and playback position now; the
+            // video may have moved on by the time the user saves the result
+            this.lastAnalysisSnapshot = {
+                requestId,
+                location: this._captureVocabularySnapshot(),
+                surroundingCues: this._captureSurroundingCues(),
+            };
+
             // Route request via provider abstraction
             // De-duplicate in-flight ids to avoid parallel duplicates
             if (!this._inflightIds) this._inflightIds = new Set();
@@ -531,10 +569,18 @@ export class AIContextManager {
                         'historical',
                         'linguistic',
                     ],
+                    contextType: detail.contextType,
+                    metadata: this._getAnalysisMetadata(),
                     language: detail.language,
                     targetLanguage: detail.targetLanguage,
                     platform: this.platform,
                     requestId: requestId,
+                    // Let the modal render sections as they are generated
+                    onPartial: (partial) =>
+                        this._dispatchEvent(EVENT_TYPES.ANALYSIS_PROGRESS, {
+                            requestId,
+                            result: partial,
+                        }),
                 });
             } catch (e) {
                 // When provider throws (e.g., messaging rejects), convert to error-shaped response
@@ -551,6 +597,11 @@ export class AIContextManager {
                 requestId: requestId,
             });
 
+            // A paused request already told the UI it was cancelled
+            if (response?.cancelled) {
+                return;
+            }
+
             // Dispatch result event (both new and legacy formats)
             document.dispatchEvent(
                 new CustomEvent('dualsub-context-result', {
@@ -559,6 +610,13 @@ export class AIContextManager {
                         result: response.result,
                         success: response.success,
                         error: response.error,
+                        // Where the selection was, for follow-up questions
+                        context: {
+                            subtitleLine:
+                                this.lastAnalysisSnapshot.location.subtitleLine,
+                            surroundingCues:
+                                this.lastAnalysisSnapshot.surroundingCues,
+                        },
                         shouldRetry:
                             response.shouldRetry ??
                             /timeout|rate limit|temporar/i.test(
@@ -611,6 +669,171 @@ export class AIContextManager {
         }
     }
 
+    /**
+     * Capture where in which video the user is, for vocabulary entries
+     * @returns {Object} Subtitle lines, video and playback position
+     * @private
+     */
+    _captureVocabularySnapshot() {
+        const platform = this.contentScript?.activePlatform;
+        const config = this.contentScript?.currentConfig || {};
+        const call = (fn) => {
+            try {
+                return fn() ?? null;
+            } catch (_) {
+                return null;
+            }
+        };
+        const readLine = (id) =>
+            (document.getElementById(id)?.textContent || '')
+                .replace(/\s+/g, ' ')
+                .trim();
+
+        const video =
+            call(() => platform?.getVideoElement()) ||
+            document.querySelector('video');
+        const showInfo = call(() => platform?.getShowInfo());
+
+        return {
+            subtitleLine: readLine('dualsub-original-subtitle'),
+            translation: readLine('dualsub-translated-subtitle'),
+            videoId: call(() => platform?.getCurrentVideoId()),
+            videoTitle: showInfo?.title || null,
+            episode: showInfo?.episode || null,
+            platform: this.platform || null,
+            url: window.location.href,
+            timestamp: Number.isFinite(video?.currentTime)
+                ? video.currentTime
+                : null,
+            sourceLanguage: config.originalLanguage || null,
+            targetLanguage: config.targetLanguage || null,
+        };
+    }
+
+    /**
+     * Original lines around the one being shown
+     * @returns {{before: string[], after: string[]}} Plain cue lines
+     * @private
+     */
+    _captureSurroundingCues() {
+        try {
+            return (
+                this.contentScript?.getSurroundingCues?.() || {
+                    before: [],
+                    after: [],
+                }
+            );
+        } catch (_) {
+            return { before: [], after: [] };
+        }
+    }
+
+    /**
+     * Surrounding subtitle lines and show title of the analysis in progress,
+     * for context prompts
+     * @returns {{surroundingContext: string, showTitle: string}}
+     * @private
+     */
+    _getAnalysisMetadata() {
+        const snapshot = this.lastAnalysisSnapshot || {};
+        const { before = [], after = [] } = snapshot.surroundingCues || {};
+        return {
+            surroundingContext: [
+                ...before,
+                snapshot.location?.subtitleLine,
+                ...after,
+            ]
+                .filter(Boolean)
+                .join('\n'),
+            showTitle: snapshot.location?.videoTitle || '',
+        };
+    }
+
+    /**
+     * Ask a follow-up question about an analysis and report the answer
+     * @param {{requestId: string, conversation: Object, language: string, targetLanguage: string}} detail
+     * @private
+     */
+    async _handleFollowUpRequest(detail = {}) {
+        const { requestId, conversation } = detail;
+        let response;
+        try {
+            response = await this.provider.askFollowUp(conversation, {
+                language: detail.language,
+                targetLanguage: detail.targetLanguage,
+                requestId,
+            });
+        } catch (error) {
+            response = { success: false, error: error.message };
+        }
+
+        if (response?.success && response.result?.answer) {
+            this._dispatchEvent(EVENT_TYPES.FOLLOW_UP_COMPLETE, {
+                requestId,
+                answer: response.result.answer,
+            });
+            return;
+        }
+        this.metrics.errorCount++;
+        this._log('warn', 'Follow-up question failed', {
+            requestId,
+            error: response?.error,
+        });
+        this._dispatchEvent(EVENT_TYPES.FOLLOW_UP_ERROR, {
+            requestId,
+            error: response?.error || 'Unknown error',
+        });
+    }
+
+    /**
+     * Save an analyzed selection to the vocabulary notebook
+     * @param {{requestId: string, text: string, result: Object}} detail - Save request
+     * @private
+     */
+    async _handleVocabularySaveRequest(detail = {}) {
+        const { requestId, text, result } = detail;
+        const location =
+            this.lastAnalysisSnapshot?.requestId === requestId
+                ? this.lastAnalysisSnapshot.location
+                : this._captureVocabularySnapshot();
+        const message = {
+            action: MessageActions.SAVE_VOCABULARY_ENTRY,
+            entry: { ...location, text, context: result || null },
+        };
+
+        let response;
+        try {
+            let send = (msg) => chrome.runtime.sendMessage(msg);
+            try {
+                const { sendRuntimeMessageWithRetry } = await import(
+                    chrome.runtime.getURL('content_scripts/shared/messaging.js')
+                );
+                send = (msg) =>
+                    sendRuntimeMessageWithRetry(msg, {
+                        retries: 2,
+                        baseDelayMs: 120,
+                    });
+            } catch (_) {
+                // Messaging util not available, send directly
+            }
+            response = await send(message);
+        } catch (error) {
+            response = { success: false, error: error.message };
+        }
+
+        if (!response?.success) {
+            this._log('warn', 'Failed to save vocabulary entry', {
+                error: response?.error,
+            });
+        }
+        this._dispatchEvent(EVENT_TYPES.VOCABULARY_SAVED, {
+            requestId,
+            success: !!response?.success,
+            error: response?.error,
+            entry: response?.entry,
+        });
+    }
+
     _handleModalStateChange(event) {
         // Support both legacy (currentState/previousState) and new (newState/oldState) payload shapes
         const detail = event.detail || {};
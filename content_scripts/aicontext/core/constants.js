@@ -18,6 +18,10 @@ export const AI_CONTEXT_CONFIG = {
     MIN_TEXT_LENGTH: 2,
     CACHE_TTL: 300000, // 5 minutes
 
+    // Follow-up chat, kept below the background's own bound
+    MAX_FOLLOW_UP_TURNS: 12,
+    MAX_FOLLOW_UP_LENGTH: 500,
+
     // Analysis types
     CONTEXT_TYPES: {
         CULTURAL: 'cultural',
@@ -52,6 +56,30 @@ export const AI_CONTEXT_CONFIG = {
                 textSelection: true,
             },
         },
+        YOUTUBE: {
+            name: 'youtube',
+            selectors: {
+                subtitleContainer: '.ytp-caption-window-container',
+                videoPlayer: '#movie_player',
+            },
+            features: {
+                interactiveSubtitles: true,
+                contextModal: true,
+                textSelection: true,
+            },
+        },
+        GENERIC: {
+            name: 'generic',
+            selectors: {
+                subtitleContainer: '#dualsub-subtitle-container',
+                videoPlayer: 'video',
+            },
+            features: {
+                interactiveSubtitles: true,
+                contextModal: true,
+                textSelection: true,
+            },
+        },
     },
 
     // Feature flags
@@ -90,6 +118,7 @@ export const EVENT_TYPES = {
 
     // Analysis events
     ANALYSIS_START: 'aicontext:analysis:start',
+    ANALYSIS_PROGRESS: 'aicontext:analysis:progress',
     ANALYSIS_COMPLETE: 'aicontext:analysis:complete',
     ANALYSIS_ERROR: 'aicontext:analysis:error',
     ANALYSIS_PAUSE: 'aicontext:analysis:pause',
@@ -102,6 +131,15 @@ export const EVENT_TYPES = {
     MODAL_CLOSE_REQUESTED: 'aicontext:modal:closeRequested',
     NEW_ANALYSIS_REQUESTED: 'aicontext:analysis:newRequested',
 
+    // Follow-up chat events
+    FOLLOW_UP_REQUESTED: 'aicontext:followUp:requested',
+    FOLLOW_UP_COMPLETE: 'aicontext:followUp:complete',
+    FOLLOW_UP_ERROR: 'aicontext:followUp:error',
+
+    // Vocabulary notebook events
+    VOCABULARY_SAVE_REQUESTED: 'aicontext:vocabulary:saveRequested',
+    VOCABULARY_SAVED: 'aicontext:vocabulary:saved',
+
     // Word selection events
     WORD_ADDED: 'aicontext:word:added',
     WORD_REMOVED: 'aicontext:word:removed',
@@ -1,9 +1,10 @@
-import { MODAL_STATES } from '../constants.js';
+import { AI_CONTEXT_CONFIG, MODAL_STATES } from '../constants.js';
 
 /**
  * ModalStore - Observable store for modal UI state
  *
- * Holds visibility, modal state, mode, analyzing flag, requestId and analysisResult.
+ * Holds visibility, modal state, mode, analyzing flag, requestId, analysisResult
+ * and the follow-up conversation about the result.
  * Notifies subscribers on changes. Pure data container (no DOM access).
  */
 export class ModalStore {
@@ -15,6 +16,7 @@ export class ModalStore {
             analyzing: false,
             requestId: null,
             analysisResult: null,
+            conversation: null,
             ...initial,
         };
         this._subscribers = new Set();
@@ -70,6 +72,37 @@ export class ModalStore {
         this.set({ analysisResult });
     }
 
+    /**
+     * Start a follow-up conversation about an analysis result
+     * @param {{selection: string, subtitleLine: string, surroundingCues: Object, analysis: Object}} context
+     */
+    startConversation(context) {
+        this.set({ conversation: { ...context, turns: [] } });
+    }
+
+    /**
+     * Append a question or an answer to the conversation. Only the newest
+     * turns are kept, starting with a question.
+     * @param {'user'|'assistant'} role - Who wrote the turn
+     * @param {string} content - Turn text
+     */
+    addConversationTurn(role, content) {
+        const conversation = this._state.conversation;
+        if (!conversation) return;
+
+        let turns = [...conversation.turns, { role, content }].slice(
+            -AI_CONTEXT_CONFIG.MAX_FOLLOW_UP_TURNS
+        );
+        while (turns.length > 0 && turns[0].role !== 'user') {
+            turns = turns.slice(1);
+        }
+        this.set({ conversation: { ...conversation, turns } });
+    }
+
+    clearConversation() {
+        this.set({ conversation: null });
+    }
+
     _notify() {
         const snapshot = this.getState();
         for (const subscriber of this._subscribers) {
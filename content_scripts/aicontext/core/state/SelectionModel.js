@@ -6,6 +6,8 @@
  * and deduplication rules. Consumers must provide deterministic position keys.
  */
 
+import { joinWords } from '../../../shared/wordSegmentation.js';
+
 export class SelectionModel {
     constructor() {
         // Map of positionKey -> { word, position }
@@ -222,7 +224,8 @@ export class SelectionModel {
         const words = sortedKeys
             .map((k) => this.positionKeyToEntry.get(k)?.word || '')
             .filter(Boolean);
-        this.selectedText = words.join(' ');
+        // No spaces between words of Chinese, Japanese, Thai, ...
+        this.selectedText = joinWords(words);
     }
 
     /**
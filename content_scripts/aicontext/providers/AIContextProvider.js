@@ -10,6 +10,10 @@
  */
 
 import { PROVIDER_CONFIG } from '../core/constants.js';
+import {
+    MessageActions,
+    PortNames,
+} from '../../shared/constants/messageActions.js';
 
 /**
  * AIContextProvider - Unified AI communication interface
@@ -79,7 +83,10 @@ export class AIContextProvider {
     /**
      * Analyze text context
      * @param {string} text - Text to analyze
-     * @param {Object} options - Analysis options
+     * @param {Object} options - Analysis options; `onPartial` receives the
+     *   analysis generated so far while the response streams in,
+     *   `contextType` selects a built-in or custom context type and
+     *   `metadata` carries the surrounding subtitle lines and show title
      * @returns {Promise<Object>} Analysis result
      */
     async analyzeContext(text, options = {}) {
@@ -98,7 +105,8 @@ export class AIContextProvider {
         });
 
         // Track request start time
-        this.requestStartTimes.set(requestId, Date.now());
+        const startTime = Date.now();
+        this.requestStartTimes.set(requestId, startTime);
         this.metrics.requestCount++;
 
         try {
@@ -120,6 +128,8 @@ export class AIContextProvider {
                     'historical',
                     'linguistic',
                 ],
+                contextType: options.contextType || 'all',
+                metadata: options.metadata || {},
                 language: options.language || 'auto',
                 targetLanguage: options.targetLanguage || 'en',
                 platform: options.platform || 'unknown',
@@ -133,32 +143,22 @@ export class AIContextProvider {
                 options,
             });
 
-            // Send request to background script with retry to handle service worker wake-ups
+            // Stream over a port when the caller renders partial results
             let response;
-            try {
-                const { sendRuntimeMessageWithRetry } = await import(
-                    chrome.runtime.getURL('content_scripts/shared/messaging.js')
+            if (
+                typeof options.onPartial === 'function' &&
+                chrome?.runtime?.connect
+            ) {
+                response = await this._analyzeViaPort(
+                    requestData,
+                    options.onPartial
                 );
-                response = await sendRuntimeMessageWithRetry(requestData, {
-                    retries: 2,
-                    baseDelayMs: 120,
-                });
-            } catch (_) {
-                // Fallback to direct timeout wrapper if messaging util not available
-                try {
-                    response = await this._sendRequestWithTimeout(
-                        requestData,
-                        this.config.timeout
-                    );
-                } catch (err) {
-                    // Ensure consistent error shape when messaging rejects so callers can track errors
-                    throw new Error(err?.message || 'Analysis failed');
-                }
+            } else {
+                response = await this._sendAnalysisRequest(requestData);
             }
 
             // Calculate response time
-            const responseTime =
-                Date.now() - this.requestStartTimes.get(requestId);
+            const responseTime = Date.now() - startTime;
             const wasSuccessful = !!(response && response.success === true);
             this._updateMetrics(responseTime, wasSuccessful);
 
@@ -175,8 +175,7 @@ export class AIContextProvider {
             return response;
         } catch (error) {
             // Calculate response time even for errors
-            const responseTime =
-                Date.now() - this.requestStartTimes.get(requestId);
+            const responseTime = Date.now() - startTime;
             this._updateMetrics(responseTime, false);
 
             // Clean up tracking
@@ -201,6 +200,51 @@ export class AIContextProvider {
         }
     }
 
+    /**
+     * Ask a follow-up question about a finished analysis
+     * @param {Object} conversation - Selection, subtitle lines, analysis and
+     *   question and answer turns ending with the question to answer
+     * @param {Object} options - `language`, `targetLanguage` and `requestId`
+     * @returns {Promise<Object>} Response whose result holds the `answer`
+     */
+    async askFollowUp(conversation, options = {}) {
+        if (!this.initialized) {
+            throw new Error('Provider not initialized');
+        }
+        if (!this._checkRateLimit()) {
+            return {
+                success: false,
+                error: 'Rate limit exceeded',
+                requestId: options.requestId,
+            };
+        }
+
+        const startTime = Date.now();
+        this.metrics.requestCount++;
+        try {
+            const response = await this._sendAnalysisRequest({
+                action: MessageActions.CONTEXT_FOLLOW_UP,
+                conversation,
+                language: options.language || 'auto',
+                targetLanguage: options.targetLanguage || 'en',
+                requestId: options.requestId,
+            });
+            this._updateMetrics(Date.now() - startTime, !!response?.success);
+            return response;
+        } catch (error) {
+            this._updateMetrics(Date.now() - startTime, false);
+            this._log('error', 'Follow-up question failed', {
+                requestId: options.requestId,
+                error: error.message,
+            });
+            return {
+                success: false,
+                error: error.message,
+                requestId: options.requestId,
+            };
+        }
+    }
+
     /**
      * Cancel an active request
      * @param {string} requestId - Request ID to cancel
@@ -221,8 +265,9 @@ export class AIContextProvider {
         this.activeRequests.delete(requestId);
         this.requestStartTimes.delete(requestId);
 
-        // Note: Chrome extension messaging doesn't support request cancellation
-        // The background script request will complete but we'll ignore the result
+        // Streamed requests are cancelled in the background by closing their
+        // port; one-shot messages complete there and their result is ignored
+        request.cancel?.();
 
         this._log('info', 'Request canceled', { requestId });
         return true;
@@ -369,6 +414,97 @@ export class AIContextProvider {
         }
     }
 
+    async _sendAnalysisRequest(requestData) {
+        // Send request to background script with retry to handle service worker wake-ups
+        try {
+            const { sendRuntimeMessageWithRetry } = await import(
+                chrome.runtime.getURL('content_scripts/shared/messaging.js')
+            );
+            return await sendRuntimeMessageWithRetry(requestData, {
+                retries: 2,
+                baseDelayMs: 120,
+            });
+        } catch (_) {
+            // Fallback to direct timeout wrapper if messaging util not available
+            try {
+                return await this._sendRequestWithTimeout(
+                    requestData,
+                    this.config.timeout
+                );
+            } catch (err) {
+                // Ensure consistent error shape when messaging rejects so callers can track errors
+                throw new Error(err?.message || 'Analysis failed');
+            }
+        }
+    }
+
+    /**
+     * Send an analysis request over a port, passing partial results on as
+     * they arrive. The background stops the analysis when the port closes,
+     * so cancelling the request disconnects it.
+     * @param {Object} requestData - analyzeContext message
+     * @param {function(Object): void} onPartial - Receives partial results
+     * @returns {Promise<Object>} Final response
+     * @private
+     */
+    _analyzeViaPort(requestData, onPartial) {
+        const { requestId } = requestData;
+        return new Promise((resolve) => {
+            const port = chrome.runtime.connect({
+                name: PortNames.AI_CONTEXT_STREAM,
+            });
+            let settled = false;
+            const settle = (response) => {
+                if (settled) return;
+                settled = true;
+                try {
+                    port.disconnect();
+                } catch (_) {
+                    // Already disconnected
+                }
+                resolve(response);
+            };
+
+            const request = this.activeRequests.get(requestId);
+            if (request) {
+                request.cancel = () =>
+                    settle({
+                        success: false,
+                        error: 'Analysis cancelled',
+                        cancelled: true,
+                        requestId,
+                    });
+            }
+
+            port.onMessage.addListener((message) => {
+                if (settled) return;
+                if (message?.type === 'partial') {
+                    try {
+                        onPartial(message.result);
+                    } catch (error) {
+                        this._log('warn', 'Partial result handler failed', {
+                            requestId,
+                            error: error.message,
+                        });
+                    }
+                } else if (message?.type === 'result') {
+                    settle(message.response);
+                }
+            });
+            port.onDisconnect.addListener(() =>
+                settle({
+                    success: false,
+                    error:
+                        chrome.runtime.lastError?.message ||
+                        'Connection to background lost',
+                    requestId,
+                    shouldRetry: true,
+                })
+            );
+            port.postMessage(requestData);
+        });
+    }
+
     async _sendRequestWithTimeout(requestData, timeout) {
         return new Promise((resolve, reject) => {
             const timeoutId = setTimeout(() => {
@@ -763,6 +763,88 @@ describe('Phase 4: Handlers & Providers Tests', () => {
             expect(result).toBe(true);
             expect(provider.activeRequests.has('test-123')).toBe(false);
         });
+
+        describe('streamed analysis', () => {
+            let port;
+
+            beforeEach(() => {
+                const listeners = { message: [], disconnect: [] };
+                port = {
+                    posted: [],
+                    postMessage: jest.fn((message) =>
+                        port.posted.push(message)
+                    ),
+                    disconnect: jest.fn(),
+                    onMessage: {
+                        addListener: (fn) => listeners.message.push(fn),
+                    },
+                    onDisconnect: {
+                        addListener: (fn) => listeners.disconnect.push(fn),
+                    },
+                    emit: (message) =>
+                        listeners.message.forEach((fn) => fn(message)),
+                };
+                chrome.runtime.connect = jest.fn(() => port);
+            });
+
+            afterEach(() => {
+                delete chrome.runtime.connect;
+            });
+
+            test('should pass partial results on over a port', async () => {
+                const provider = manager.getProvider();
+                const partials = [];
+
+                const pending = provider.analyzeContext('test text', {
+                    requestId: 'stream-1',
+                    onPartial: (partial) => partials.push(partial),
+                });
+                await new Promise((resolve) => setTimeout(resolve, 0));
+
+                expect(chrome.runtime.connect).toHaveBeenCalledWith({
+                    name: 'aiContextStream',
+                });
+                expect(port.posted[0]).toMatchObject({
+                    action: 'analyzeContext',
+                    requestId: 'stream-1',
+                });
+
+                port.emit({
+                    type: 'partial',
+                    result: { analysis: { definition: 'Hi' }, partial: true },
+                });
+                port.emit({
+                    type: 'result',
+                    response: { success: true, result: { analysis: 'Done' } },
+                });
+
+                expect(await pending).toEqual({
+                    success: true,
+                    result: { analysis: 'Done' },
+                });
+                expect(partials).toEqual([
+                    { analysis: { definition: 'Hi' }, partial: true },
+                ]);
+                expect(port.disconnect).toHaveBeenCalled();
+            });
+
+            test('should disconnect the port when cancelled', async () => {
+                const provider = manager.getProvider();
+
+                const pending = provider.analyzeContext('test text', {
+                    requestId: 'stream-2',
+                    onPartial: () => {},
+                });
+                await new Promise((resolve) => setTimeout(resolve, 0));
+
+                expect(provider.cancelRequest('stream-2')).toBe(true);
+                expect(port.disconnect).toHaveBeenCalled();
+                expect(await pending).toMatchObject({
+                    success: false,
+                    cancelled: true,
+                });
+            });
+        });
     });
 
     describe('Integration Tests', () => {
@@ -4,7 +4,11 @@
  * No direct DOM class toggles; relies on UI/Animations modules.
  */
 
-import { MODAL_STATES } from '../../core/constants.js';
+import {
+    AI_CONTEXT_CONFIG,
+    MODAL_STATES,
+    EVENT_TYPES,
+} from '../../core/constants.js';
 
 export class ModalController {
     constructor(core, ui, animations) {
@@ -22,6 +26,8 @@ export class ModalController {
         }
 
         this.core.currentMode = 'analysis';
+        this.ui.updateVocabularySaveButton?.('hidden');
+        this._resetConversation();
         // Mark analyzing first to ensure downstream logic (sync/highlight, event guards) sees locked state
         this.core.setAnalyzing(true);
         this.core.setState(MODAL_STATES.PROCESSING);
@@ -131,13 +137,20 @@ export class ModalController {
         // Dispatch analysis request
         const requestId = `analysis-${Date.now()}`;
         this.core.currentRequest = requestId;
+        // Follow-up questions are answered in the same languages
+        this.analysisLanguages = { language: sourceLanguage, targetLanguage };
 
         document.dispatchEvent(
             new CustomEvent('dualsub-analyze-selection', {
                 detail: {
                     requestId,
                     text: this.core.selectedText,
-                    contextTypes: ['cultural', 'historical', 'linguistic'],
+                    contextTypes: this.enabledContextTypes || [
+                        'cultural',
+                        'historical',
+                        'linguistic',
+                    ],
+                    contextType: this._getSelectedContextType(),
                     language: sourceLanguage,
                     targetLanguage: targetLanguage,
                     selection: {
@@ -155,6 +168,43 @@ export class ModalController {
         });
     }
 
+    /**
+     * Load the enabled context types and offer them in the modal. The
+     * enabled built-in types are analyzed together; each enabled custom
+     * template is a type of its own.
+     */
+    async loadContextTypes() {
+        let enabled = ['cultural', 'historical', 'linguistic'];
+        let templates = [];
+        try {
+            const cfg =
+                this.core.contentScript?.configService || window.configService;
+            let prefs = null;
+            if (cfg && typeof cfg.getMultiple === 'function') {
+                prefs = await cfg.getMultiple([
+                    'aiContextTypes',
+                    'aiContextTemplates',
+                ]);
+            } else if (chrome?.storage?.sync) {
+                prefs = {
+                    ...(await chrome.storage.sync.get(['aiContextTypes'])),
+                    ...(await chrome.storage.local.get(['aiContextTemplates'])),
+                };
+            }
+            if (Array.isArray(prefs?.aiContextTypes))
+                enabled = prefs.aiContextTypes;
+            if (Array.isArray(prefs?.aiContextTemplates))
+                templates = prefs.aiContextTemplates;
+        } catch (_) {}
+
+        this.enabledContextTypes = enabled;
+        this.contextTypeOptions = this._getContextTypeOptions(
+            enabled,
+            templates
+        );
+        this.ui.renderContextTypeOptions?.(this.contextTypeOptions);
+    }
+
     pauseAnalysis() {
         // Emit pause intent so the manager can cancel the in-flight provider request
         try {
@@ -229,6 +279,8 @@ export class ModalController {
         this.core.setState(MODAL_STATES.SELECTION);
         this.ui.showInitialState();
         this.ui.updateSelectionDisplay();
+        this.ui.updateVocabularySaveButton?.('hidden');
+        this._resetConversation();
     }
 
     closeModal() {
@@ -236,6 +288,8 @@ export class ModalController {
         if (this.core.isAnalyzing) {
             this.pauseAnalysis();
         }
+        this.ui.updateVocabularySaveButton?.('hidden');
+        this._resetConversation();
         // Clear selection and reset
         this.core.clearSelection();
         this.core.originalSentenceWords = [];
@@ -271,8 +325,36 @@ export class ModalController {
         }
     }
 
+    /**
+     * Render the sections of an analysis that is still being generated
+     * @param {{requestId: string, result: Object}} detail - Partial result
+     */
+    onAnalysisProgress(detail) {
+        const { requestId, result } = detail || {};
+        if (
+            !this.core.isAnalyzing ||
+            !result?.analysis ||
+            !this.core.currentRequest ||
+            (requestId && requestId !== this.core.currentRequest)
+        ) {
+            return;
+        }
+
+        const html = this._buildResultsHtml(result);
+        if (!html) return;
+
+        const contentElement = this.core.contentElement;
+        const firstPartial =
+            !contentElement?.classList.contains('is-streaming');
+        this.ui.showAnalysisResults(html, { partial: true });
+        if (firstPartial) {
+            this.animations?._applyDynamicModalHeight?.();
+        }
+    }
+
     onAnalysisResult(detail) {
-        const { requestId, result, success, error, shouldRetry } = detail || {};
+        const { requestId, result, success, error, shouldRetry, context } =
+            detail || {};
 
         this.core._log('debug', 'Controller received analysis result', {
             requestId,
@@ -301,10 +383,25 @@ export class ModalController {
         }
 
         if (success && result) {
-            // Store raw result for observability
+            // Store raw result for observability and the vocabulary notebook
             try {
                 this.core.setAnalysisResult(result);
             } catch (_) {}
+            this.savedRequestId = requestId || this.core.currentRequest;
+            this.savedSelectionText = this.core.selectedText;
+            this.ui.updateVocabularySaveButton?.('ready');
+            this.core.store?.startConversation({
+                selection: this.core.selectedText,
+                subtitleLine: context?.subtitleLine || '',
+                surroundingCues: context?.surroundingCues || {
+                    before: [],
+                    after: [],
+                },
+                analysis: result.analysis ?? result,
+            });
+            this.ui.renderConversation?.(
+                this.core.store?.getState().conversation
+            );
 
             const html = this._buildResultsHtml(result);
             if (
@@ -378,6 +475,97 @@ export class ModalController {
         }
     }
 
+    /**
+     * Ask a follow-up question about the displayed analysis
+     * @param {string} question - Question typed by the user
+     */
+    askFollowUp(question) {
+        const text = (question || '')
+            .trim()
+            .slice(0, AI_CONTEXT_CONFIG.MAX_FOLLOW_UP_LENGTH);
+        const store = this.core.store;
+        if (!text || !store?.getState().conversation || this.followUpRequest) {
+            return;
+        }
+
+        store.addConversationTurn('user', text);
+        const { conversation } = store.getState();
+        const requestId = `follow-up-${Date.now()}`;
+        this.followUpRequest = requestId;
+        this.ui.renderConversation(conversation, { pending: true });
+
+        document.dispatchEvent(
+            new CustomEvent(EVENT_TYPES.FOLLOW_UP_REQUESTED, {
+                detail: {
+                    requestId,
+                    conversation,
+                    ...this.analysisLanguages,
+                },
+            })
+        );
+    }
+
+    /**
+     * Show the answer to a follow-up question, or why there is none
+     * @param {{requestId: string, answer?: string, error?: string}} detail
+     */
+    onFollowUpResult(detail) {
+        if (!detail || detail.requestId !== this.followUpRequest) return;
+        this.followUpRequest = null;
+
+        const store = this.core.store;
+        if (detail.answer) {
+            store.addConversationTurn('assistant', detail.answer);
+        }
+        this.ui.renderConversation(store.getState().conversation, {
+            error: detail.answer ? null : detail.error || 'Unknown error',
+        });
+    }
+
+    /**
+     * Drop the follow-up conversation of the previous analysis
+     * @private
+     */
+    _resetConversation() {
+        this.followUpRequest = null;
+        this.core.store?.clearConversation();
+        this.ui.renderConversation?.(null);
+    }
+
+    /**
+     * Ask the manager to save the analyzed selection to the vocabulary notebook
+     */
+    saveToNotebook() {
+        if (!this.core.analysisResult || !this.savedSelectionText) return;
+
+        this.ui.updateVocabularySaveButton?.('saving');
+        document.dispatchEvent(
+            new CustomEvent(EVENT_TYPES.VOCABULARY_SAVE_REQUESTED, {
+                detail: {
+                    requestId: this.savedRequestId,
+                    text: this.savedSelectionText,
+                    result: this.core.analysisResult,
+                },
+            })
+        );
+    }
+
+    /**
+     * Reflect the outcome of a notebook save on the save button
+     * @param {{requestId: string, success: boolean, error?: string}} detail
+     */
+    onVocabularySaved(detail) {
+        if (!detail || detail.requestId !== this.savedRequestId) return;
+        this.ui.updateVocabularySaveButton?.(
+            detail.success ? 'saved' : 'error'
+        );
+        if (!detail.success) {
+            this.core._log('warn', 'Saving to vocabulary notebook failed', {
+                error: detail.error,
+            });
+        }
+    }
+
     resetAnalysisButton() {
         const scope = this.core.contentElement || document;
         const analysisButton =
@@ -459,6 +647,13 @@ export class ModalController {
                 </div>
             </div>`;
         }
+        // Custom context types have their own fields
+        if (
+            !['cultural', 'historical', 'linguistic', 'all'].includes(
+                contextType
+            )
+        )
+            return html + this._formatCustomSections(analysis);
         if (contextType === 'cultural' || contextType === 'all')
             html += this._formatCulturalSection(analysis);
         if (contextType === 'historical' || contextType === 'all')
@@ -508,6 +703,33 @@ export class ModalController {
         return '';
     }
 
+    _formatCustomSections(analysis) {
+        let html = '';
+        for (const [key, value] of Object.entries(analysis)) {
+            if (key === 'definition') continue;
+            let content = '';
+            if (Array.isArray(value)) {
+                const items = value
+                    .map((item) =>
+                        typeof item === 'string' ? item : JSON.stringify(item)
+                    )
+                    .filter(Boolean);
+                if (items.length)
+                    content = `<ul>${items.map((item) => `<li>${item}</li>`).join('')}</ul>`;
+            } else if (value !== null && value !== undefined) {
+                content = this._formatObjectContent(
+                    typeof value === 'object' ? value : String(value)
+                );
+            }
+            if (!content) continue;
+            html += `<div class="dualsub-analysis-section">
+                <h4>${this._getLocalizedFieldName(key).replace(/[:：]\s*$/, '')}</h4>
+                <div class="dualsub-analysis-text">${content}</div>
+            </div>`;
+        }
+        return html;
+    }
+
     _formatCulturalSection(analysis) {
         let html = '';
         const cultural =
@@ -605,6 +827,38 @@ export class ModalController {
         }
     }
 
+    /**
+     * @param {Array<string>} enabled - `aiContextTypes` setting
+     * @param {Array<Object>} templates - `aiContextTemplates` setting
+     * @returns {Array<{id: string, label: string}>} Context types to offer
+     * @private
+     */
+    _getContextTypeOptions(enabled, templates) {
+        const builtIns = ['cultural', 'historical', 'linguistic'].filter(
+            (type) => enabled.includes(type)
+        );
+        const custom = templates
+            .filter((template) => template?.id && enabled.includes(template.id))
+            .map((template) => ({ id: template.id, label: template.name }));
+
+        const options = [];
+        if (builtIns.length > 0 || custom.length === 0) {
+            const id = builtIns.length === 1 ? builtIns[0] : 'all';
+            options.push({ id, label: this._getContextTypeTitle(id) });
+        }
+        return options.concat(custom);
+    }
+
+    /**
+     * @returns {string} Context type chosen in the modal
+     * @private
+     */
+    _getSelectedContextType() {
+        const scope = this.core.contentElement || document;
+        const select = scope.querySelector('#dualsub-context-type');
+        return select?.value || this.contextTypeOptions?.[0]?.id || 'all';
+    }
+
     _getLocalizedContextType(type) {
         try {
             const keyMap = {
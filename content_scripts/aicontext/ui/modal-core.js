@@ -226,6 +226,10 @@ export class AIContextModalCore {
                 'is-display',
                 'is-error'
             );
+            // Partial results only show while the analysis runs
+            if (this.state !== MODAL_STATES.PROCESSING) {
+                content.classList.remove('is-streaming');
+            }
 
             switch (this.state) {
                 case MODAL_STATES.HIDDEN:
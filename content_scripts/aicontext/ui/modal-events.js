@@ -225,6 +225,74 @@ export class AIContextModalEvents {
                 handler: newHandler,
             });
         }
+
+        // Save to vocabulary notebook button
+        const saveBtn =
+            this.core.contentElement?.querySelector(
+                '#dualsub-save-vocabulary'
+            ) || document.getElementById('dualsub-save-vocabulary');
+        const existingSave = this.boundHandlers.get('save-vocabulary-click');
+        if (saveBtn && existingSave?.element !== saveBtn) {
+            const saveHandler = (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                this.modalController?.saveToNotebook();
+            };
+            saveBtn.addEventListener('click', saveHandler);
+            this.boundHandlers.set('save-vocabulary-click', {
+                element: saveBtn,
+                handler: saveHandler,
+            });
+        }
+
+        // Follow-up question form
+        const followUpForm =
+            this.core.contentElement?.querySelector(
+                '#dualsub-follow-up-form'
+            ) || document.getElementById('dualsub-follow-up-form');
+        const existingFollowUp = this.boundHandlers.get('follow-up-submit');
+        if (followUpForm && existingFollowUp?.element !== followUpForm) {
+            const submitHandler = (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                const input = followUpForm.querySelector(
+                    '#dualsub-follow-up-input'
+                );
+                this.modalController?.askFollowUp(input?.value);
+                if (input) input.value = '';
+            };
+            followUpForm.addEventListener('submit', submitHandler);
+            this.boundHandlers.set('follow-up-submit', {
+                element: followUpForm,
+                handler: submitHandler,
+                event: 'submit',
+            });
+
+            // Keep typing away from the player's and the modal's shortcuts
+            const keyGuard = (event) => {
+                if (event.key !== 'Escape') event.stopPropagation();
+            };
+            ['keydown', 'keyup', 'keypress'].forEach((type) =>
+                followUpForm.addEventListener(type, keyGuard)
+            );
+        }
+
+        // Arrow keys pick a context type instead of seeking the video
+        const typeSelect =
+            this.core.contentElement?.querySelector('#dualsub-context-type') ||
+            document.getElementById('dualsub-context-type');
+        const existingTypeGuard = this.boundHandlers.get('context-type-keys');
+        if (typeSelect && existingTypeGuard?.element !== typeSelect) {
+            const typeKeyGuard = (event) => {
+                if (event.key !== 'Escape') event.stopPropagation();
+            };
+            typeSelect.addEventListener('keydown', typeKeyGuard);
+            this.boundHandlers.set('context-type-keys', {
+                element: typeSelect,
+                handler: typeKeyGuard,
+                event: 'keydown',
+            });
+        }
     }
 
     /**
@@ -272,6 +340,45 @@ export class AIContextModalEvents {
             element: document,
             handler: analysisResultHandler,
         });
+
+        // Render sections of a streamed analysis as they arrive
+        const analysisProgressHandler = (event) =>
+            this.modalController?.onAnalysisProgress(event.detail);
+        document.addEventListener(
+            EVENT_TYPES.ANALYSIS_PROGRESS,
+            analysisProgressHandler
+        );
+        this.boundHandlers.set('analysis-progress', {
+            element: document,
+            handler: analysisProgressHandler,
+            event: EVENT_TYPES.ANALYSIS_PROGRESS,
+        });
+
+        // Listen for follow-up answers
+        const followUpResultHandler = (event) =>
+            this.modalController?.onFollowUpResult(event.detail);
+        [EVENT_TYPES.FOLLOW_UP_COMPLETE, EVENT_TYPES.FOLLOW_UP_ERROR].forEach(
+            (type) => {
+                document.addEventListener(type, followUpResultHandler);
+                this.boundHandlers.set(type, {
+                    element: document,
+                    handler: followUpResultHandler,
+                    event: type,
+                });
+            }
+        );
+
+        // Listen for vocabulary notebook save results
+        const vocabularySavedHandler = (event) =>
+            this.modalController?.onVocabularySaved(event.detail);
+        document.addEventListener(
+            EVENT_TYPES.VOCABULARY_SAVED,
+            vocabularySavedHandler
+        );
+        this.boundHandlers.set('vocabulary-saved', {
+            element: document,
+            handler: vocabularySavedHandler,
+        });
     }
 
     /**
@@ -1922,11 +2029,13 @@ Result: ${result ? JSON.stringify(result, null, 2) : 'null'}</pre>
     removeEventListeners() {
         this.core._log('debug', 'Removing event listeners');
 
-        for (const [key, { element, handler }] of this.boundHandlers) {
+        for (const [key, { element, handler, event }] of this.boundHandlers) {
             try {
                 if (element && handler) {
                     // Handle different event types and capture phases
-                    if (key === 'global-click') {
+                    if (event) {
+                        element.removeEventListener(event, handler);
+                    } else if (key === 'global-click') {
                         element.removeEventListener('click', handler, true); // Capture phase
                     } else if (key.includes('click')) {
                         element.removeEventListener('click', handler);
@@ -1934,6 +2043,11 @@ Result: ${result ? JSON.stringify(result, null, 2) : 'null'}</pre>
                         element.removeEventListener('keydown', handler);
                     } else if (key.includes('mousedown')) {
                         element.removeEventListener('mousedown', handler);
+                    } else if (key === 'vocabulary-saved') {
+                        element.removeEventListener(
+                            EVENT_TYPES.VOCABULARY_SAVED,
+                            handler
+                        );
                     } else {
                         // Fallback for other event types
                         const eventType = key.replace('-', '');
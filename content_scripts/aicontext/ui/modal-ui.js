@@ -8,7 +8,7 @@
  * @version 2.0.0
  */
 
-import { MODAL_STATES } from '../core/constants.js';
+import { AI_CONTEXT_CONFIG, MODAL_STATES } from '../core/constants.js';
 import { getOrCreateUiRoot } from '../../shared/subtitleUtilities.js';
 
 /**
@@ -250,6 +250,18 @@ export class AIContextModalUI {
         const controlsContainer = document.createElement('div');
         controlsContainer.className = 'dualsub-controls-container';
 
+        // Context type picker, shown when more than one type is enabled
+        const contextTypeSelect = document.createElement('select');
+        contextTypeSelect.id = 'dualsub-context-type';
+        contextTypeSelect.className = 'dualsub-context-type-select';
+        contextTypeSelect.hidden = true;
+        contextTypeSelect.setAttribute(
+            'aria-label',
+            this._getLocalizedMessage('aiContextTypeSelectLabel')
+        );
+
+        controlsContainer.appendChild(contextTypeSelect);
+
         // Analysis button
         const analysisButton = document.createElement('button');
         analysisButton.id = 'dualsub-start-analysis';
@@ -263,6 +275,17 @@ export class AIContextModalUI {
         );
 
         controlsContainer.appendChild(analysisButton);
+
+        // Save to vocabulary notebook, shown once a result is displayed
+        const saveButton = document.createElement('button');
+        saveButton.id = 'dualsub-save-vocabulary';
+        saveButton.className = 'dualsub-save-vocabulary-button';
+        saveButton.hidden = true;
+        saveButton.textContent = this._getLocalizedMessage(
+            'aiContextSaveToNotebook'
+        );
+
+        controlsContainer.appendChild(saveButton);
         leftPane.appendChild(controlsContainer);
 
         return leftPane;
@@ -296,9 +319,55 @@ export class AIContextModalUI {
         analysisContent.appendChild(resultsState);
 
         rightPane.appendChild(analysisContent);
+
+        // Follow-up chat about the results (display mode)
+        rightPane.appendChild(this._createFollowUpPane());
         return rightPane;
     }
 
+    /**
+     * Create follow-up chat pane
+     * @returns {HTMLElement} Follow-up pane element
+     * @private
+     */
+    _createFollowUpPane() {
+        const container = document.createElement('div');
+        container.id = 'dualsub-follow-up';
+        container.className = 'dualsub-follow-up';
+
+        const turns = document.createElement('div');
+        turns.id = 'dualsub-follow-up-turns';
+        turns.className = 'dualsub-follow-up-turns';
+        turns.setAttribute('aria-live', 'polite');
+        container.appendChild(turns);
+
+        const form = document.createElement('form');
+        form.id = 'dualsub-follow-up-form';
+        form.className = 'dualsub-follow-up-form';
+
+        const input = document.createElement('input');
+        input.id = 'dualsub-follow-up-input';
+        input.type = 'text';
+        input.autocomplete = 'off';
+        input.maxLength = AI_CONTEXT_CONFIG.MAX_FOLLOW_UP_LENGTH;
+        input.placeholder = this._getLocalizedMessage(
+            'aiContextFollowUpPlaceholder'
+        );
+        form.appendChild(input);
+
+        const sendButton = document.createElement('button');
+        sendButton.id = 'dualsub-follow-up-send';
+        sendButton.type = 'submit';
+        sendButton.className = 'dualsub-follow-up-send';
+        sendButton.textContent = this._getLocalizedMessage(
+            'aiContextFollowUpSend'
+        );
+        form.appendChild(sendButton);
+
+        container.appendChild(form);
+        return container;
+    }
+
     /**
      * Create initial state content
      * @returns {HTMLElement} Initial state element
@@ -468,6 +537,76 @@ export class AIContextModalUI {
         }
     }
 
+    /**
+     * Update the save-to-notebook button
+     * @param {'hidden'|'ready'|'saving'|'saved'|'error'} status - Save status
+     */
+    updateVocabularySaveButton(status) {
+        const button =
+            this.core.contentElement?.querySelector(
+                '#dualsub-save-vocabulary'
+            ) || document.getElementById('dualsub-save-vocabulary');
+        if (!button) return;
+
+        const labels = {
+            ready: 'aiContextSaveToNotebook',
+            saving: 'aiContextSavingToNotebook',
+            saved: 'aiContextSavedToNotebook',
+            error: 'aiContextSaveToNotebookFailed',
+        };
+        button.hidden = status === 'hidden';
+        button.disabled = status === 'saving' || status === 'saved';
+        button.setAttribute('data-status', status);
+        button.textContent = this._getLocalizedMessage(
+            labels[status] || labels.ready
+        );
+    }
+
+    /**
+     * Render the follow-up conversation
+     * @param {Object|null} conversation - Conversation from the ModalStore
+     * @param {Object} [status] - Request status
+     * @param {boolean} [status.pending] - An answer is on its way
+     * @param {string} [status.error] - Why the last question failed
+     */
+    renderConversation(conversation, { pending = false, error = null } = {}) {
+        const scope = this.core.contentElement || document;
+        const turnsElement = scope.querySelector('#dualsub-follow-up-turns');
+        if (!turnsElement) return;
+
+        const addTurn = (className, text) => {
+            const turn = document.createElement('div');
+            turn.className = `dualsub-follow-up-turn ${className}`;
+            turn.textContent = text;
+            turnsElement.appendChild(turn);
+        };
+
+        turnsElement.replaceChildren();
+        (conversation?.turns || []).forEach((turn) =>
+            addTurn(
+                turn.role === 'user' ? 'is-question' : 'is-answer',
+                turn.content
+            )
+        );
+        if (pending) {
+            addTurn(
+                'is-answer is-pending',
+                this._getLocalizedMessage('aiContextFollowUpThinking')
+            );
+        } else if (error) {
+            addTurn(
+                'is-error',
+                this._getLocalizedMessage('aiContextFollowUpFailed')
+            );
+        }
+        turnsElement.scrollTop = turnsElement.scrollHeight;
+
+        const input = scope.querySelector('#dualsub-follow-up-input');
+        const sendButton = scope.querySelector('#dualsub-follow-up-send');
+        if (input) input.disabled = pending;
+        if (sendButton) sendButton.disabled = pending;
+    }
+
     /**
      * Show initial state
      */
@@ -510,7 +649,7 @@ export class AIContextModalUI {
      * Show analysis results
      * @param {string} results - HTML results content
      */
-    showAnalysisResults(results) {
+    showAnalysisResults(results, { partial = false } = {}) {
         const scope = this.core.contentElement || document;
         const analysisResults = scope.querySelector(
             '#dualsub-analysis-results'
@@ -522,11 +661,42 @@ export class AIContextModalUI {
                 .replace(/\son\w+="[^"]*"/gi, '')
                 .replace(/\sjavascript:/gi, '');
             analysisResults.innerHTML = sanitized;
+            if (partial) {
+                // Keep the scroll position and the analyzing state while
+                // sections stream in
+                this.core.contentElement?.classList.add('is-streaming');
+                return;
+            }
             analysisResults.scrollTop = 0;
         }
+        if (partial) return;
         this.core.setState(MODAL_STATES.DISPLAY);
     }
 
+    /**
+     * Fill the context type picker
+     * @param {Array<{id: string, label: string}>} options - Context types
+     */
+    renderContextTypeOptions(options) {
+        const scope = this.core.contentElement || document;
+        const select = scope.querySelector('#dualsub-context-type');
+        if (!select) return;
+
+        const previous = select.value;
+        select.replaceChildren(
+            ...options.map(({ id, label }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = label;
+                return option;
+            })
+        );
+        if (options.some(({ id }) => id === previous)) {
+            select.value = previous;
+        }
+        select.hidden = options.length < 2;
+    }
+
     /**
      * Show error state
      * @param {string} error - Error message
@@ -613,6 +783,15 @@ export class AIContextModalUI {
             aiContextNoContent: 'No Analysis Content',
             aiContextNoContentMessage:
                 'Analysis completed but no content was returned.',
+            aiContextSaveToNotebook: 'Save to Notebook',
+            aiContextSavingToNotebook: 'Saving...',
+            aiContextSavedToNotebook: 'Saved to Notebook',
+            aiContextSaveToNotebookFailed: 'Saving failed, try again',
+            aiContextFollowUpPlaceholder: 'Ask a follow-up question…',
+            aiContextFollowUpSend: 'Ask',
+            aiContextFollowUpThinking: 'Thinking…',
+            aiContextFollowUpFailed: 'No answer this time, try again.',
+            aiContextTypeSelectLabel: 'Context type',
         };
 
         const fallbackMessage = fallbackMessages[key] || key;
@@ -827,6 +1006,42 @@ export class AIContextModalUI {
                 }
             }
 
+            // Update save-to-notebook button label
+            const saveBtn = document.getElementById('dualsub-save-vocabulary');
+            if (saveBtn) {
+                this.updateVocabularySaveButton(
+                    saveBtn.getAttribute('data-status') || 'hidden'
+                );
+            }
+
+            // Update follow-up chat labels
+            const followUpInput = document.getElementById(
+                'dualsub-follow-up-input'
+            );
+            if (followUpInput) {
+                followUpInput.placeholder = this._getLocalizedMessage(
+                    'aiContextFollowUpPlaceholder'
+                );
+            }
+            const followUpSend = document.getElementById(
+                'dualsub-follow-up-send'
+            );
+            if (followUpSend) {
+                followUpSend.textContent = this._getLocalizedMessage(
+                    'aiContextFollowUpSend'
+                );
+            }
+
+            const contextTypeSelect = document.getElementById(
+                'dualsub-context-type'
+            );
+            if (contextTypeSelect) {
+                contextTypeSelect.setAttribute(
+                    'aria-label',
+                    this._getLocalizedMessage('aiContextTypeSelectLabel')
+                );
+            }
+
             // Update selection display
             this.updateSelectionDisplay();
 
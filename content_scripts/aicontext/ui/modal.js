@@ -208,6 +208,8 @@ export class AIContextModal {
                     this.controller.resetAnalysisButton();
                 }
             } catch (_) {}
+            // Offer the context types enabled in the options
+            this.controller?.loadContextTypes?.()?.catch(() => {});
         }
 
         return success;
@@ -128,6 +128,19 @@ import { COMMON_CONSTANTS } from './constants.js';
 import { getOrCreateUiRoot } from '../shared/subtitleUtilities.js';
 import { MessageActions } from '../shared/constants/messageActions.js';
 import { NavigationDetectionManager } from '../shared/navigationUtils.js';
+import {
+    HOTKEY_ACTIONS,
+    getHotkeyAction,
+    getHotkeyBindings,
+} from '../../utils/hotkeys.js';
+import {
+    normalizeTitle,
+    getOverrideSettings,
+} from '../../utils/settingsProfiles.js';
+import {
+    StudyModeController,
+    STUDY_PLAYBACK_MODES,
+} from './StudyModeController.js';
 
 export class BaseContentScript {
     /**
@@ -160,6 +173,8 @@ export class BaseContentScript {
         this.contentLogger = null;
         this.activePlatform = null;
         this.currentConfig = {};
+        // Platform and show the settings overrides were resolved for
+        this.configContext = null;
     }
 
     /**
@@ -196,6 +211,7 @@ export class BaseContentScript {
         this.platformReady = false;
         this.eventListenerCleanupFunctions = [];
         this.domObserverCleanupFunctions = [];
+        this.studyModeController = null;
     }
 
     /**
@@ -315,6 +331,48 @@ export class BaseContentScript {
                 description:
                     'Handle and apply configuration changes immediately.',
             },
+            {
+                action: MessageActions.LOAD_LOCAL_SUBTITLES,
+                handler: this.handleLoadLocalSubtitles.bind(this),
+                requiresUtilities: true,
+                description:
+                    'Replace the original or target track with a user-supplied subtitle file.',
+            },
+            {
+                action: MessageActions.CLEAR_LOCAL_SUBTITLES,
+                handler: this.handleClearLocalSubtitles.bind(this),
+                requiresUtilities: true,
+                description:
+                    'Drop user-supplied subtitle files and restore the platform tracks.',
+            },
+            {
+                action: MessageActions.EXPORT_SUBTITLES,
+                handler: this.handleExportSubtitles.bind(this),
+                requiresUtilities: true,
+                description:
+                    'Download the dual subtitle track of the current video.',
+            },
+            {
+                action: MessageActions.ADJUST_SUBTITLE_SYNC,
+                handler: this.handleAdjustSubtitleSync.bind(this),
+                requiresUtilities: true,
+                description:
+                    'Nudge, auto-align or reset the subtitle track offsets of the current video.',
+            },
+            {
+                action: MessageActions.HOTKEY_COMMAND,
+                handler: this.handleHotkeyCommand.bind(this),
+                requiresUtilities: true,
+                description:
+                    'Run a hotkey action for a browser keyboard shortcut (chrome.commands).',
+            },
+            {
+                action: MessageActions.SEEK_VIDEO,
+                handler: this.handleSeekVideo.bind(this),
+                requiresUtilities: false,
+                description:
+                    'Seek the video to a saved moment, e.g. from the vocabulary notebook.',
+            },
             {
                 action: MessageActions.LOGGING_LEVEL_CHANGED,
                 handler: this.handleLoggingLevelChanged.bind(this),
@@ -671,7 +729,10 @@ export class BaseContentScript {
             );
 
             try {
-                this.currentConfig = await this.configService.getAll();
+                this.configContext = this._getConfigContext();
+                this.currentConfig = await this.configService.getAll(
+                    this.configContext
+                );
             } catch (configError) {
                 this.logWithFallback(
                     'warn',
@@ -750,6 +811,8 @@ export class BaseContentScript {
                 'debug',
                 'Early event handling set up successfully.'
             );
+            this.setupHotkeys();
+            this.setupStudyMode();
 
             if (this.currentConfig.subtitlesEnabled) {
                 this.logWithFallback(
@@ -1512,6 +1575,8 @@ export class BaseContentScript {
     _getPlatformFileName(platformName) {
         if (platformName === 'disneyplus') return 'disneyPlusPlatform.js';
         if (platformName === 'netflix') return 'netflixPlatform.js';
+        if (platformName === 'youtube') return 'youtubePlatform.js';
+        if (platformName === 'generic') return 'genericHtml5Platform.js';
         return `${platformName.charAt(0).toUpperCase()}${platformName.slice(1)}Platform.js`;
     }
 
@@ -2043,22 +2108,6 @@ export class BaseContentScript {
      * @private
      */
     _normalizeConfiguration() {
-        // Handle transition from useNativeSubtitles to useOfficialTranslations
-        if (
-            this.currentConfig.useOfficialTranslations === undefined &&
-            this.currentConfig.useNativeSubtitles !== undefined
-        ) {
-            this.currentConfig.useOfficialTranslations =
-                this.currentConfig.useNativeSubtitles;
-            this.logWithFallback(
-                'debug',
-                'Normalized useOfficialTranslations from useNativeSubtitles',
-                {
-                    value: this.currentConfig.useOfficialTranslations,
-                }
-            );
-        }
-
         // Ensure useOfficialTranslations has a default value
         if (this.currentConfig.useOfficialTranslations === undefined) {
             this.currentConfig.useOfficialTranslations = true; // Default to true
@@ -2072,6 +2121,296 @@ export class BaseContentScript {
         }
     }
 
+    /**
+     * Setup the in-player hotkeys. Bindings come from the `keyboardShortcuts`
+     * setting on top of DEFAULT_HOTKEYS and are read on every key press, so
+     * rebinding in the options page applies without a reload.
+     */
+    setupHotkeys() {
+        const handleHotkeyDown = (event) => {
+            if (!this.subtitleUtils) {
+                return;
+            }
+            const target = event.target;
+            if (
+                target?.isContentEditable ||
+                ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)
+            ) {
+                return;
+            }
+
+            const action = getHotkeyAction(
+                getHotkeyBindings(this.currentConfig.keyboardShortcuts),
+                event
+            );
+            // Only the toggle works while subtitles are off
+            if (
+                !action ||
+                (action !== 'toggleSubtitles' &&
+                    !this.subtitleUtils.subtitlesActive)
+            ) {
+                return;
+            }
+            event.preventDefault();
+            event.stopPropagation();
+            // Holding a key down repeats the timing nudges only
+            if (event.repeat && !action.startsWith('nudge')) {
+                return;
+            }
+            this.executeHotkeyAction(action).catch((error) => {
+                this.logWithFallback('warn', 'Hotkey action failed', {
+                    action,
+                    error: error.message,
+                });
+            });
+        };
+
+        document.addEventListener('keydown', handleHotkeyDown, true);
+        this.eventListenerCleanupFunctions.push(() => {
+            document.removeEventListener('keydown', handleHotkeyDown, true);
+        });
+    }
+
+    /**
+     * Setup the study playback modes. The controller follows the
+     * `studyPlaybackMode` setting on every configuration change.
+     */
+    setupStudyMode() {
+        this.studyModeController = new StudyModeController(this);
+        this.studyModeController.update();
+        this.eventListenerCleanupFunctions.push(() => {
+            this.studyModeController?.stop();
+            this.studyModeController = null;
+        });
+    }
+
+    /**
+     * Run a hotkey action, from an in-player hotkey or a browser command
+     * @param {string} action - One of HOTKEY_ACTIONS
+     * @returns {Promise<Object>} Response of the action
+     */
+    async executeHotkeyAction(action) {
+        const step = COMMON_CONSTANTS.SYNC_NUDGE_STEP;
+        this.logWithFallback('debug', 'Running hotkey action', { action });
+        switch (action) {
+            case 'toggleSubtitles':
+                return this._toggleSubtitlesFromHotkey();
+            case 'swapLayoutOrder':
+                return this._swapSubtitleLayoutOrder();
+            case 'toggleTranslation':
+                return this._toggleTranslationHidden();
+            case 'replayCue':
+                return this.seekToCue('replay');
+            case 'previousCue':
+                return this.seekToCue('previous');
+            case 'nextCue':
+                return this.seekToCue('next');
+            case 'openAIContext':
+                return this.openAIContextForCurrentLine();
+            case 'nudgeOriginalEarlier':
+                return this.nudgeSubtitleSync('original', -step);
+            case 'nudgeOriginalLater':
+                return this.nudgeSubtitleSync('original', step);
+            case 'nudgeTranslatedEarlier':
+                return this.nudgeSubtitleSync('translated', -step);
+            case 'nudgeTranslatedLater':
+                return this.nudgeSubtitleSync('translated', step);
+            case 'autoAlignSync':
+                return this.autoAlignSubtitleSync();
+            case 'cycleStudyMode':
+                return this._cycleStudyMode();
+            case 'revealTranslation':
+                return this._revealTranslation();
+            default:
+                throw new Error(`Unknown hotkey action: ${action}`);
+        }
+    }
+
+    /**
+     * Seek to the start of the current, previous or next original cue
+     * @param {'replay'|'previous'|'next'} direction - Cue to seek to
+     * @returns {Promise<Object>} Response with the video time sought to
+     */
+    async seekToCue(direction) {
+        const videoElement = this.activePlatform?.getVideoElement();
+        if (!videoElement) {
+            throw new Error('No video is playing');
+        }
+        const videoId = this._getSyncVideoId();
+        // Cue times are on the original track's clock, see updateSubtitles
+        const offset =
+            (this.currentConfig.subtitleTimeOffset || 0) +
+            this.subtitleUtils.getSubtitleSyncOffsets(
+                this.currentConfig,
+                videoId
+            ).original;
+        const cueStart = this.subtitleUtils.findCueStart(
+            videoId,
+            videoElement.currentTime + offset,
+            direction
+        );
+        if (cueStart === null) {
+            return { success: false, error: 'No subtitle cue to seek to' };
+        }
+
+        const time = Math.max(0, cueStart - offset);
+        return { success: this.activePlatform.seekTo(time), time };
+    }
+
+    /**
+     * Original lines before and after the one being shown, for AI context
+     * follow-up questions
+     * @param {number} [count=2] - Lines to take on each side
+     * @returns {{before: string[], after: string[]}} Plain cue lines
+     */
+    getSurroundingCues(count = 2) {
+        const videoElement = this.activePlatform?.getVideoElement();
+        if (!videoElement || !this.subtitleUtils) {
+            return { before: [], after: [] };
+        }
+        const videoId = this._getSyncVideoId();
+        // Cue times are on the original track's clock, see updateSubtitles
+        const offset =
+            (this.currentConfig.subtitleTimeOffset || 0) +
+            this.subtitleUtils.getSubtitleSyncOffsets(
+                this.currentConfig,
+                videoId
+            ).original;
+        return this.subtitleUtils.findSurroundingCues(
+            videoId,
+            videoElement.currentTime + offset,
+            count
+        );
+    }
+
+    /**
+     * Pause and open the AI context modal with every word of the current
+     * original line selected
+     * @returns {Promise<Object>} Response with the number of words selected
+     */
+    async openAIContextForCurrentLine() {
+        const wordElements = Array.from(
+            document.querySelectorAll(
+                '#dualsub-original-subtitle .dualsub-interactive-word'
+            )
+        );
+        if (!this.aiContextManager || wordElements.length === 0) {
+            this.subtitleUtils.showSubtitleIndicator(
+                this.subtitleUtils.getLocalizedText(
+                    'hotkeyNoAIContextLine',
+                    'AI context: no subtitle line to analyze'
+                )
+            );
+            return { success: false, error: 'No interactive subtitle line' };
+        }
+
+        this.activePlatform?.getVideoElement()?.pause();
+        // The same event a click on a word sends; 'add' keeps words that
+        // appear twice in the line
+        wordElements.forEach((element) => {
+            document.dispatchEvent(
+                new CustomEvent('dualsub-word-selected', {
+                    detail: {
+                        word: element.dataset.word,
+                        element,
+                        action: 'add',
+                        subtitleType: 'original',
+                        sourceLanguage: element.dataset.sourceLang,
+                        targetLanguage: element.dataset.targetLang,
+                        context: decodeURIComponent(
+                            element.dataset.context || ''
+                        ),
+                    },
+                })
+            );
+        });
+        return { success: true, wordCount: wordElements.length };
+    }
+
+    /**
+     * @private
+     * @returns {Promise<Object>} Response with the new subtitlesEnabled value
+     */
+    async _toggleSubtitlesFromHotkey() {
+        const enabled = !this.currentConfig.subtitlesEnabled;
+        this.currentConfig.subtitlesEnabled = enabled;
+        const response = await new Promise((resolve) =>
+            this.handleToggleSubtitles({ enabled }, resolve)
+        );
+        // Saved so the popup and newly opened tabs follow the hotkey
+        await this.configService.set('subtitlesEnabled', enabled);
+        return response;
+    }
+
+    /**
+     * @private
+     * @returns {Promise<Object>} Response with the new subtitleLayoutOrder
+     */
+    async _swapSubtitleLayoutOrder() {
+        const order =
+            this.currentConfig.subtitleLayoutOrder === 'translation_top'
+                ? 'original_top'
+                : 'translation_top';
+        this.currentConfig.subtitleLayoutOrder = order;
+        this.applyConfigurationChanges({ subtitleLayoutOrder: order });
+        await this.configService.set('subtitleLayoutOrder', order);
+        return { success: true, subtitleLayoutOrder: order };
+    }
+
+    /**
+     * Hide or show the translated line for this page only
+     * @private
+     * @returns {Promise<Object>} Response with the new hidden state
+     */
+    async _toggleTranslationHidden() {
+        const hidden = !this.subtitleUtils.translationHidden;
+        this.subtitleUtils.setTranslationHidden(hidden);
+        this.subtitleUtils.showSubtitleIndicator(
+            hidden
+                ? this.subtitleUtils.getLocalizedText(
+                      'hotkeyTranslationHidden',
+                      'Translation hidden'
+                  )
+                : this.subtitleUtils.getLocalizedText(
+                      'hotkeyTranslationShown',
+                      'Translation shown'
+                  )
+        );
+        return { success: true, translationHidden: hidden };
+    }
+
+    /**
+     * Switch to the next study playback mode and save it
+     * @private
+     * @returns {Promise<Object>} Response with the new studyPlaybackMode
+     */
+    async _cycleStudyMode() {
+        const current = STUDY_PLAYBACK_MODES.indexOf(
+            this.currentConfig.studyPlaybackMode
+        );
+        const mode =
+            STUDY_PLAYBACK_MODES[(current + 1) % STUDY_PLAYBACK_MODES.length];
+        this.currentConfig.studyPlaybackMode = mode;
+        this.studyModeController?.update();
+        this.subtitleUtils.showSubtitleIndicator(
+            this.subtitleUtils.getLocalizedText(
+                `studyModeIndicator${mode[0].toUpperCase()}${mode.slice(1)}`,
+                `Study mode: ${mode}`
+            )
+        );
+        await this.configService.set('studyPlaybackMode', mode);
+        return { success: true, studyPlaybackMode: mode };
+    }
+
+    /**
+     * Unblur the translated line when study mode blurs it
+     * @private
+     * @returns {Promise<Object>} Response with whether a line was revealed
+     */
+    async _revealTranslation() {
+        return { success: this.subtitleUtils.revealTranslation() };
+    }
+
     /**
      * Setup configuration change listeners
      */
@@ -2080,7 +2419,9 @@ export class BaseContentScript {
             this.logWithFallback('info', 'Config changed, updating', {
                 changes,
             });
-            const newConfig = await this.configService.getAll();
+            const newConfig = await this.configService.getAll(
+                this.configContext
+            );
 
             Object.assign(this.currentConfig, newConfig);
 
@@ -2103,11 +2444,84 @@ export class BaseContentScript {
         });
     }
 
+    /**
+     * Platform and show the settings are resolved for, selecting the
+     * matching per-platform and per-title overrides
+     * @private
+     * @returns {{platform: string|null, title: string|null}}
+     */
+    _getConfigContext() {
+        let platform = null;
+        try {
+            platform = this.getPlatformName();
+        } catch (_) {
+            // Not a platform content script
+        }
+        return {
+            platform,
+            title: this.activePlatform?.getShowInfo?.()?.title || null,
+        };
+    }
+
+    /**
+     * Re-resolve the configuration when the show changed and the new one
+     * is covered by different overrides
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _updateConfigContext() {
+        const context = this._getConfigContext();
+        if (
+            !this.configService ||
+            (context.platform === this.configContext?.platform &&
+                normalizeTitle(context.title) ===
+                    normalizeTitle(this.configContext?.title))
+        ) {
+            return;
+        }
+
+        const overrides = this.currentConfig.settingsOverrides;
+        const previous = getOverrideSettings(overrides, this.configContext);
+        const next = getOverrideSettings(overrides, context);
+        this.configContext = context;
+        if (JSON.stringify(previous) === JSON.stringify(next)) {
+            return;
+        }
+
+        try {
+            const newConfig = await this.configService.getAll(context);
+            Object.assign(this.currentConfig, newConfig);
+            this._normalizeConfiguration();
+            const changedKeys = new Set([
+                ...Object.keys(previous),
+                ...Object.keys(next),
+            ]);
+            this.logWithFallback('info', 'Applied settings overrides', {
+                platform: context.platform,
+                overriddenKeys: Object.keys(next),
+            });
+            this.applyConfigurationChanges(
+                Object.fromEntries(
+                    [...changedKeys].map((key) => [
+                        key,
+                        this.currentConfig[key],
+                    ])
+                )
+            );
+        } catch (error) {
+            this.logWithFallback('warn', 'Failed to apply settings overrides', {
+                error: error.message,
+            });
+        }
+    }
+
     /**
      * Apply configuration changes with immediate visual feedback
      * @param {Object} changes - Configuration changes
      */
     applyConfigurationChanges(changes) {
+        this.studyModeController?.update();
+
         // Check if any changes affect subtitle functionality (exclude UI-only settings)
         const uiOnlySettings = ['appearanceAccordionOpen'];
         const functionalChanges = Object.keys(changes).filter(
@@ -2449,8 +2863,9 @@ export class BaseContentScript {
     /**
      * Handle subtitle data found callback
      * @param {Object} subtitleData - Subtitle data from platform
+     * @returns {Promise<void>}
      */
-    handleSubtitleDataFound(subtitleData) {
+    async handleSubtitleDataFound(subtitleData) {
         this.logWithFallback('info', 'Subtitle data found callback triggered', {
             hasSubtitleData: !!subtitleData,
             videoId: subtitleData?.videoId,
@@ -2464,6 +2879,9 @@ export class BaseContentScript {
             subtitlesActive: this.subtitleUtils?.subtitlesActive,
         });
 
+        // A new video may be another show with its own settings overrides
+        await this._updateConfigContext();
+
         if (this.subtitleUtils && this.subtitleUtils.handleSubtitleDataFound) {
             this.subtitleUtils.handleSubtitleDataFound(
                 subtitleData,
@@ -2881,16 +3299,19 @@ export class BaseContentScript {
                 this.activePlatform &&
                 this.subtitleUtils.subtitlesActive
             ) {
-                Object.assign(this.currentConfig, request.changes);
-
-                if (
-                    request.changes.useNativeSubtitles !== undefined &&
-                    request.changes.useOfficialTranslations === undefined
-                ) {
-                    this.currentConfig.useOfficialTranslations =
-                        request.changes.useNativeSubtitles;
-                }
+                // Global changes do not replace settings overridden for
+                // this platform or show
+                const overridden = getOverrideSettings(
+                    this.currentConfig.settingsOverrides,
+                    this.configContext
+                );
+                Object.keys(request.changes)
+                    .filter((key) => !(key in overridden))
+                    .forEach((key) => {
+                        this.currentConfig[key] = request.changes[key];
+                    });
 
+                this.studyModeController?.update();
                 this.subtitleUtils.applySubtitleStyling(this.currentConfig);
                 const videoElement = this.activePlatform.getVideoElement();
                 if (videoElement) {
@@ -2920,6 +3341,374 @@ export class BaseContentScript {
         }
     }
 
+    /**
+     * Handle load local subtitles message
+     * @param {Object} request - Message request ({ track, vttText, fileName })
+     * @param {Function} sendResponse - Response callback
+     * @returns {boolean} Whether response is handled asynchronously
+     */
+    handleLoadLocalSubtitles(request, sendResponse) {
+        try {
+            this.logWithFallback('info', 'Loading local subtitle file', {
+                track: request.track,
+                fileName: request.fileName,
+            });
+
+            this.subtitleUtils.setLocalSubtitleTrack(
+                request.track,
+                request.vttText,
+                request.fileName
+            );
+            const applied = this.subtitleUtils.subtitlesActive
+                ? this.subtitleUtils.reloadSubtitlesWithLocalTracks(
+                      this.activePlatform,
+                      this.currentConfig,
+                      this.logPrefix
+                  )
+                : false;
+
+            sendResponse({
+                success: true,
+                applied,
+                tracks: this.subtitleUtils.getLocalSubtitleTracks(),
+            });
+            return false;
+        } catch (error) {
+            this.logWithFallback('error', 'Error in handleLoadLocalSubtitles', {
+                error: error.message,
+            });
+            sendResponse({ success: false, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Handle clear local subtitles message
+     * @param {Object} request - Message request
+     * @param {Function} sendResponse - Response callback
+     * @returns {boolean} Whether response is handled asynchronously
+     */
+    handleClearLocalSubtitles(request, sendResponse) {
+        try {
+            this.subtitleUtils.clearLocalSubtitleTracks();
+            if (this.subtitleUtils.subtitlesActive) {
+                this.subtitleUtils.reloadSubtitlesWithLocalTracks(
+                    this.activePlatform,
+                    this.currentConfig,
+                    this.logPrefix
+                );
+            }
+            sendResponse({ success: true });
+            return false;
+        } catch (error) {
+            this.logWithFallback(
+                'error',
+                'Error in handleClearLocalSubtitles',
+                { error: error.message }
+            );
+            sendResponse({ success: false, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Handle export subtitles message
+     * @param {Object} request - Message request ({ format })
+     * @param {Function} sendResponse - Response callback
+     * @returns {boolean} Whether response is handled asynchronously
+     */
+    handleExportSubtitles(request, sendResponse) {
+        const { currentVideoId, subtitleQueue } = this.subtitleUtils;
+        const queueCues = subtitleQueue.filter(
+            (cue) => cue.videoId === currentVideoId
+        );
+        if (queueCues.length === 0) {
+            sendResponse({
+                success: false,
+                error: 'No subtitles loaded for the current video',
+            });
+            return false;
+        }
+
+        this._exportSubtitles(queueCues, request.format)
+            .then(sendResponse)
+            .catch((error) => {
+                this.logWithFallback(
+                    'error',
+                    'Error in handleExportSubtitles',
+                    { error: error.message }
+                );
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    /**
+     * Serialize the dual track in the requested format and download it
+     * @private
+     * @param {Array<Object>} queueCues - Subtitle queue entries of the current video
+     * @param {string} format - Export format (see ExportFormats)
+     * @returns {Promise<Object>} Response with file name and cue count
+     */
+    async _exportSubtitles(queueCues, format) {
+        const { buildDualTrack, serializeDualTrack, downloadTextFile } =
+            await import(
+                chrome.runtime.getURL(
+                    'content_scripts/shared/subtitleExport.js'
+                )
+            );
+
+        const cues = buildDualTrack(queueCues);
+        const { content, mimeType, fileName } = serializeDualTrack(
+            cues,
+            format,
+            {
+                title: this.activePlatform?.getVideoTitle?.() || null,
+                videoId: this.subtitleUtils.currentVideoId,
+                platform: this.getPlatformName(),
+                sourceLanguage: this.currentConfig.originalLanguage,
+                targetLanguage: this.currentConfig.targetLanguage,
+                layoutOrder: this.currentConfig.subtitleLayoutOrder,
+            }
+        );
+        downloadTextFile(content, fileName, mimeType);
+
+        this.logWithFallback('info', 'Exported subtitles', {
+            format,
+            fileName,
+            cueCount: cues.length,
+        });
+        return { success: true, fileName, cueCount: cues.length };
+    }
+
+    /**
+     * Handle adjust subtitle sync message
+     * @param {Object} request - Message request ({ mode: 'nudge'|'autoAlign'|'reset', track, delta })
+     * @param {Function} sendResponse - Response callback
+     * @returns {boolean} Whether response is handled asynchronously
+     */
+    handleAdjustSubtitleSync(request, sendResponse) {
+        let pending;
+        switch (request.mode) {
+            case 'nudge':
+                pending = this.nudgeSubtitleSync(
+                    request.track,
+                    Number(request.delta)
+                );
+                break;
+            case 'autoAlign':
+                pending = this.autoAlignSubtitleSync();
+                break;
+            case 'reset':
+                pending = this.resetSubtitleSync();
+                break;
+            default:
+                sendResponse({
+                    success: false,
+                    error: `Unknown sync mode: ${request.mode}`,
+                });
+                return false;
+        }
+
+        pending.then(sendResponse).catch((error) => {
+            this.logWithFallback('error', 'Error in handleAdjustSubtitleSync', {
+                mode: request.mode,
+                error: error.message,
+            });
+            sendResponse({ success: false, error: error.message });
+        });
+        return true;
+    }
+
+    /**
+     * Handle seek video message
+     * @param {Object} request - Message request ({ time })
+     * @param {Function} sendResponse - Response callback
+     * @returns {boolean} Whether response is handled asynchronously
+     */
+    handleSeekVideo(request, sendResponse) {
+        const time = Number(request.time);
+        const video =
+            this.activePlatform?.getVideoElement?.() ||
+            document.querySelector('video');
+
+        // Not ready yet: the background retries while the player loads
+        if (!Number.isFinite(time) || !video || video.readyState < 1) {
+            sendResponse({ success: false, error: 'Video not ready' });
+            return false;
+        }
+
+        if (this.activePlatform) {
+            this.activePlatform.seekTo(time);
+        } else {
+            video.currentTime = Math.max(0, time);
+        }
+        this.logWithFallback('info', 'Seeked video to saved moment', { time });
+        sendResponse({ success: true });
+        return false;
+    }
+
+    /**
+     * Handle a browser keyboard shortcut forwarded by the background
+     * @param {Object} request - Message request ({ command })
+     * @param {Function} sendResponse - Response callback
+     * @returns {boolean} Whether response is handled asynchronously
+     */
+    handleHotkeyCommand(request, sendResponse) {
+        const { command } = request;
+        if (!HOTKEY_ACTIONS.includes(command)) {
+            sendResponse({
+                success: false,
+                error: `Unknown hotkey command: ${command}`,
+            });
+            return false;
+        }
+        if (
+            command !== 'toggleSubtitles' &&
+            !this.subtitleUtils.subtitlesActive
+        ) {
+            sendResponse({ success: false, error: 'Subtitles are off' });
+            return false;
+        }
+
+        this.executeHotkeyAction(command)
+            .then((response) => sendResponse(response))
+            .catch((error) => {
+                this.logWithFallback('warn', 'Hotkey command failed', {
+                    command,
+                    error: error.message,
+                });
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    /**
+     * Shift one track of the current video by a number of seconds
+     * @param {'original'|'translated'} track - Track to shift
+     * @param {number} delta - Seconds to add to the track offset
+     * @returns {Promise<Object>} Response with the new offsets
+     */
+    async nudgeSubtitleSync(track, delta) {
+        if (track !== 'original' && track !== 'translated') {
+            throw new Error(`Unknown subtitle track: ${track}`);
+        }
+        if (!Number.isFinite(delta)) {
+            throw new Error('Sync nudge needs a numeric delta');
+        }
+
+        const videoId = this._getSyncVideoId();
+        const offsets = this.subtitleUtils.getSubtitleSyncOffsets(
+            this.currentConfig,
+            videoId
+        );
+        offsets[track] += delta;
+        return this._saveSubtitleSyncOffsets(videoId, offsets);
+    }
+
+    /**
+     * Align the official (or local) translated track with the original track
+     * by estimating their drift from cue overlap
+     * @returns {Promise<Object>} Response with the new offsets and the drift
+     */
+    async autoAlignSubtitleSync() {
+        const videoId = this._getSyncVideoId();
+        const offsets = this.subtitleUtils.getSubtitleSyncOffsets(
+            this.currentConfig,
+            videoId
+        );
+        const estimate = await this.subtitleUtils.estimateNativeTrackDrift(
+            this.logPrefix
+        );
+        if (!estimate) {
+            this.subtitleUtils.showSubtitleSyncIndicator(
+                offsets,
+                this.subtitleUtils.getLocalizedText(
+                    'syncIndicatorAutoAlignFailed',
+                    'Auto-align: tracks do not line up'
+                )
+            );
+            return {
+                success: false,
+                offsets,
+                error: 'Could not estimate the drift between the tracks',
+            };
+        }
+
+        offsets.translated = offsets.original + estimate.drift;
+        const response = await this._saveSubtitleSyncOffsets(
+            videoId,
+            offsets,
+            `${this.subtitleUtils.getLocalizedText('syncIndicatorAutoAligned', 'Auto-aligned')} (${Math.round(estimate.matchRatio * 100)}%)`
+        );
+        return { ...response, drift: estimate.drift };
+    }
+
+    /**
+     * Remove the track offsets of the current video
+     * @returns {Promise<Object>} Response with the (zero) offsets
+     */
+    async resetSubtitleSync() {
+        return this._saveSubtitleSyncOffsets(this._getSyncVideoId(), {
+            original: 0,
+            translated: 0,
+        });
+    }
+
+    /**
+     * Apply and persist track offsets for a video, showing the indicator
+     * @private
+     * @param {string} videoId - Platform video ID
+     * @param {{original: number, translated: number}} offsets - New offsets
+     * @param {string} [note] - Extra indicator line
+     * @returns {Promise<Object>} Response with the stored offsets
+     */
+    async _saveSubtitleSyncOffsets(videoId, offsets, note = '') {
+        const syncOffsets = this.subtitleUtils.updateSubtitleSyncOffsets(
+            this.currentConfig.subtitleSyncOffsets,
+            videoId,
+            offsets
+        );
+        // Apply locally first so playback reflects the nudge immediately
+        this.currentConfig.subtitleSyncOffsets = syncOffsets;
+        const applied = this.subtitleUtils.getSubtitleSyncOffsets(
+            this.currentConfig,
+            videoId
+        );
+        this.subtitleUtils.showSubtitleSyncIndicator(applied, note);
+
+        const videoElement = this.activePlatform?.getVideoElement();
+        if (videoElement) {
+            this.subtitleUtils.updateSubtitles(
+                videoElement.currentTime,
+                this.activePlatform,
+                this.currentConfig,
+                this.logPrefix
+            );
+        }
+
+        await this.configService.set('subtitleSyncOffsets', syncOffsets);
+        this.logWithFallback('info', 'Subtitle sync offsets updated', {
+            videoId,
+            offsets: applied,
+        });
+        return { success: true, offsets: applied };
+    }
+
+    /**
+     * @private
+     * @returns {string} ID of the video whose offsets are adjusted
+     */
+    _getSyncVideoId() {
+        const videoId =
+            this.activePlatform?.getCurrentVideoId() ||
+            this.subtitleUtils.currentVideoId;
+        if (!videoId) {
+            throw new Error('No video is playing');
+        }
+        return videoId;
+    }
+
     /**
      * Handle logging level changed message
      * @param {Object} request - Message request
@@ -3480,6 +4269,7 @@ export class BaseContentScript {
             // UI settings
             hideOfficialSubtitles: false,
             subtitleTimeOffset: 0.3,
+            subtitleSyncOffsets: {},
             subtitleLayoutOrder: 'original_top',
             subtitleLayoutOrientation: 'column',
 
@@ -0,0 +1,223 @@
+/**
+ * StudyModeController - Language-learning playback modes
+ *
+ * Watches the playback position of the platform's video element and acts at
+ * the end of each original subtitle cue:
+ * - `autoPause`: pause after every line
+ * - `loop`: replay every line `studyLoopCount` times before moving on
+ * - `shadowing`: replay every line once at a slower speed
+ *
+ * Seeks go through `VideoPlatform.seekTo`, so platforms whose player does not
+ * accept `currentTime` writes (Netflix) keep working.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { COMMON_CONSTANTS } from './constants.js';
+
+export const STUDY_PLAYBACK_MODES = ['off', 'autoPause', 'loop', 'shadowing'];
+
+// Seconds before the end of a cue at which it counts as finished; the
+// position is only sampled every STUDY_POLL_INTERVAL
+const CUE_END_MARGIN = 0.05;
+// Seconds around a cue that still belong to it, so a late sample or a
+// replay seek landing slightly early does not lose track of the cue
+const CUE_GRACE = 0.3;
+// How long to wait for a replay seek to land back in the first half of the
+// cue before giving up on it
+const SEEK_TIMEOUT_MS = 1500;
+
+export class StudyModeController {
+    /**
+     * @param {Object} contentScript - Content script providing
+     *     `activePlatform`, `currentConfig` and `subtitleUtils`
+     */
+    constructor(contentScript) {
+        this.contentScript = contentScript;
+        this.intervalId = null;
+        this.mode = 'off';
+        this.savedPlaybackRate = null;
+        this._resetCue();
+    }
+
+    /**
+     * The study mode from the configuration, 'off' when unknown
+     * @returns {string} One of STUDY_PLAYBACK_MODES
+     */
+    getMode() {
+        const mode = this.contentScript.currentConfig?.studyPlaybackMode;
+        return STUDY_PLAYBACK_MODES.includes(mode) ? mode : 'off';
+    }
+
+    /**
+     * Start or stop watching playback after a configuration change
+     */
+    update() {
+        const mode = this.getMode();
+        if (mode === 'off') {
+            this.stop();
+            return;
+        }
+        if (mode !== this.mode) {
+            // The old mode may have been half way through a replay
+            this._restorePlaybackRate();
+            this._resetCue();
+            this.mode = mode;
+        }
+        if (this.intervalId === null) {
+            this.intervalId = setInterval(
+                () => this.tick(),
+                COMMON_CONSTANTS.STUDY_POLL_INTERVAL
+            );
+        }
+    }
+
+    /**
+     * Stop watching playback and restore the playback speed
+     */
+    stop() {
+        if (this.intervalId !== null) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        this._restorePlaybackRate();
+        this._resetCue();
+        this.mode = 'off';
+    }
+
+    /**
+     * Check the playback position once
+     */
+    tick() {
+        const { activePlatform, currentConfig, subtitleUtils } =
+            this.contentScript;
+        const video = activePlatform?.getVideoElement();
+        if (
+            !video ||
+            !subtitleUtils?.subtitlesActive ||
+            video.paused ||
+            video.seeking
+        ) {
+            return;
+        }
+        const videoId =
+            activePlatform.getCurrentVideoId() || subtitleUtils.currentVideoId;
+        if (!videoId) {
+            return;
+        }
+
+        // Cue times are on the original track's clock, see updateSubtitles
+        const offset =
+            (currentConfig.subtitleTimeOffset || 0) +
+            subtitleUtils.getSubtitleSyncOffsets(currentConfig, videoId)
+                .original;
+        const cueTime = video.currentTime + offset;
+
+        if (this.seekRequestedAt !== null) {
+            const landed = cueTime < (this.cue.start + this.cue.end) / 2;
+            if (
+                !landed &&
+                Date.now() - this.seekRequestedAt < SEEK_TIMEOUT_MS
+            ) {
+                return;
+            }
+            this.seekRequestedAt = null;
+        }
+
+        if (
+            this.cue &&
+            cueTime >= this.cue.start - CUE_GRACE &&
+            cueTime <= this.cue.end + CUE_GRACE
+        ) {
+            if (!this.cueDone && cueTime >= this.cue.end - CUE_END_MARGIN) {
+                this._handleCueEnd(video, offset);
+            }
+            return;
+        }
+
+        // Left the cue: seeked away or moved on to the next line
+        this._restorePlaybackRate();
+        this._resetCue();
+        this.cue = subtitleUtils.findActiveCue(videoId, cueTime);
+    }
+
+    /**
+     * @private
+     * @param {HTMLVideoElement} video - Video element
+     * @param {number} offset - Seconds added to video time to get cue time
+     */
+    _handleCueEnd(video, offset) {
+        const { currentConfig } = this.contentScript;
+        switch (this.mode) {
+            case 'autoPause':
+                video.pause();
+                this.cueDone = true;
+                break;
+            case 'loop': {
+                const loopCount = Math.min(
+                    Math.max(Math.round(currentConfig.studyLoopCount) || 1, 1),
+                    COMMON_CONSTANTS.STUDY_MAX_LOOP_COUNT
+                );
+                if (this.repeats < loopCount) {
+                    this._replayCue(offset);
+                } else {
+                    this.cueDone = true;
+                }
+                break;
+            }
+            case 'shadowing':
+                if (this.repeats === 0) {
+                    this.savedPlaybackRate = video.playbackRate;
+                    video.playbackRate = COMMON_CONSTANTS.STUDY_SHADOWING_RATE;
+                    this._replayCue(offset);
+                } else {
+                    this._restorePlaybackRate();
+                    this.cueDone = true;
+                }
+                break;
+            default:
+                this.cueDone = true;
+        }
+    }
+
+    /**
+     * @private
+     * @param {number} offset - Seconds added to video time to get cue time
+     */
+    _replayCue(offset) {
+        this.repeats++;
+        const seeked = this.contentScript.activePlatform.seekTo(
+            Math.max(0, this.cue.start - offset)
+        );
+        if (seeked) {
+            this.seekRequestedAt = Date.now();
+        } else {
+            this.cueDone = true;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _restorePlaybackRate() {
+        if (this.savedPlaybackRate === null) {
+            return;
+        }
+        const video = this.contentScript.activePlatform?.getVideoElement();
+        if (video) {
+            video.playbackRate = this.savedPlaybackRate;
+        }
+        this.savedPlaybackRate = null;
+    }
+
+    /**
+     * @private
+     */
+    _resetCue() {
+        this.cue = null;
+        this.repeats = 0;
+        this.cueDone = false;
+        this.seekRequestedAt = null;
+    }
+}
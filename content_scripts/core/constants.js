@@ -32,6 +32,14 @@ export const COMMON_CONSTANTS = {
     PLATFORM_INIT_TIMEOUT: 10000,
     CLEANUP_TIMEOUT: 5000,
 
+    // Subtitle sync keyboard nudges
+    SYNC_NUDGE_STEP: 0.1, // seconds per key press
+
+    // Study playback modes (StudyModeController)
+    STUDY_POLL_INTERVAL: 50, // ms between playback position checks
+    STUDY_SHADOWING_RATE: 0.75, // playback rate of the shadowing replay
+    STUDY_MAX_LOOP_COUNT: 10,
+
     // Logging and Configuration
     TIME_UPDATE_LOG_INTERVAL: 30,
     UI_ONLY_SETTINGS: ['appearanceAccordionOpen'],
@@ -57,6 +65,23 @@ export const PLATFORM_CONSTANTS = {
         PLAYER_URL_PATTERN: '/video/',
         LOG_PREFIX: 'DisneyPlusContent',
     },
+    youtube: {
+        INJECT_SCRIPT_FILENAME: 'injected_scripts/youtubeInject.js',
+        INJECT_SCRIPT_TAG_ID: 'youtube-dualsub-injector-script-tag',
+        INJECT_EVENT_ID: 'youtube-dualsub-injector-event',
+        URL_PATTERNS: ['youtube.com'],
+        PLAYER_URL_PATTERN: '/watch',
+        LOG_PREFIX: 'YouTubeContent',
+    },
+    generic: {
+        INJECT_SCRIPT_FILENAME: 'injected_scripts/genericInject.js',
+        INJECT_SCRIPT_TAG_ID: 'generic-dualsub-injector-script-tag',
+        INJECT_EVENT_ID: 'generic-dualsub-injector-event',
+        // Generic sites are enabled through the allowlist, not by URL
+        URL_PATTERNS: [],
+        PLAYER_URL_PATTERN: '',
+        LOG_PREFIX: 'GenericContent',
+    },
 };
 
 /**
@@ -101,4 +126,42 @@ export const DEFAULT_PLATFORM_CONFIGS = {
         },
         logPrefix: PLATFORM_CONSTANTS.disneyplus.LOG_PREFIX,
     },
+    youtube: {
+        name: 'youtube',
+        injectScript: {
+            filename: PLATFORM_CONSTANTS.youtube.INJECT_SCRIPT_FILENAME,
+            tagId: PLATFORM_CONSTANTS.youtube.INJECT_SCRIPT_TAG_ID,
+            eventId: PLATFORM_CONSTANTS.youtube.INJECT_EVENT_ID,
+        },
+        navigation: {
+            urlPatterns: PLATFORM_CONSTANTS.youtube.URL_PATTERNS,
+            spaHandling: true,
+            checkInterval: COMMON_CONSTANTS.URL_CHECK_INTERVAL,
+            playerUrlPattern: PLATFORM_CONSTANTS.youtube.PLAYER_URL_PATTERN,
+        },
+        videoDetection: {
+            maxRetries: COMMON_CONSTANTS.MAX_VIDEO_DETECTION_RETRIES,
+            retryInterval: COMMON_CONSTANTS.VIDEO_DETECTION_INTERVAL,
+        },
+        logPrefix: PLATFORM_CONSTANTS.youtube.LOG_PREFIX,
+    },
+    generic: {
+        name: 'generic',
+        injectScript: {
+            filename: PLATFORM_CONSTANTS.generic.INJECT_SCRIPT_FILENAME,
+            tagId: PLATFORM_CONSTANTS.generic.INJECT_SCRIPT_TAG_ID,
+            eventId: PLATFORM_CONSTANTS.generic.INJECT_EVENT_ID,
+        },
+        navigation: {
+            urlPatterns: PLATFORM_CONSTANTS.generic.URL_PATTERNS,
+            spaHandling: true,
+            checkInterval: COMMON_CONSTANTS.URL_CHECK_INTERVAL,
+            playerUrlPattern: PLATFORM_CONSTANTS.generic.PLAYER_URL_PATTERN,
+        },
+        videoDetection: {
+            maxRetries: COMMON_CONSTANTS.MAX_VIDEO_DETECTION_RETRIES,
+            retryInterval: COMMON_CONSTANTS.VIDEO_DETECTION_INTERVAL,
+        },
+        logPrefix: PLATFORM_CONSTANTS.generic.LOG_PREFIX,
+    },
 };
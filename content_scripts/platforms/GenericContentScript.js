@@ -0,0 +1,122 @@
+/**
+ * Runs DualSub on allowlisted sites with a plain HTML5 `<video>` player.
+ * Video changes are tracked by `GenericHtml5Platform`, so navigation
+ * detection only needs to notice URL changes in single-page sites.
+ *
+ * @extends BaseContentScript
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+import { BaseContentScript } from '../core/BaseContentScript.js';
+import { PlatformConfigFactory } from '../core/PlatformConfigFactory.js';
+
+export class GenericContentScript extends BaseContentScript {
+    /**
+     * Creates a new instance of `GenericContentScript`.
+     */
+    constructor() {
+        super('GenericContent');
+        this._initializeGenericSpecificState();
+        this.setupEarlyEventHandling();
+    }
+
+    /**
+     * Initializes generic site state from the platform configuration.
+     * @private
+     */
+    _initializeGenericSpecificState() {
+        this.platformConfig = PlatformConfigFactory.create('generic');
+        this.injectConfig = { ...this.platformConfig.injectScript };
+        this.urlPatterns = [window.location.hostname];
+    }
+
+    /**
+     * Gets the platform name.
+     * @returns {string} The platform name, 'generic'.
+     */
+    getPlatformName() {
+        return 'generic';
+    }
+
+    /**
+     * Gets the platform class constructor name.
+     * @returns {string} The platform class name, 'GenericHtml5Platform'.
+     */
+    getPlatformClass() {
+        return 'GenericHtml5Platform';
+    }
+
+    /**
+     * Gets the inject script configuration.
+     * @returns {Object} The inject script configuration.
+     */
+    getInjectScriptConfig() {
+        return this.injectConfig;
+    }
+
+    /**
+     * Sets up interval-based navigation detection.
+     */
+    setupNavigationDetection() {
+        this.logWithFallback(
+            'info',
+            'Setting up generic site navigation detection.'
+        );
+        this.intervalManager.set(
+            'urlChangeCheck',
+            () => this.checkForUrlChange(),
+            this.platformConfig.navigation.checkInterval
+        );
+    }
+
+    /**
+     * Checks for URL changes. Every page of an allowlisted site may contain a
+     * video, so the platform is only asked to look for a new one.
+     */
+    checkForUrlChange() {
+        try {
+            const newUrl = window.location.href;
+            if (newUrl === this.currentUrl) {
+                return;
+            }
+
+            this.logWithFallback('info', 'URL change detected.', {
+                from: this.currentUrl,
+                to: newUrl,
+            });
+            this.currentUrl = newUrl;
+            this.lastKnownPathname = window.location.pathname;
+            this.activePlatform?.checkForVideo?.();
+        } catch (error) {
+            this.logWithFallback('error', 'Error in URL change detection.', {
+                error,
+            });
+            if (error.message?.includes('Extension context invalidated')) {
+                this.intervalManager.clear('urlChangeCheck');
+            }
+        }
+    }
+
+    /**
+     * Handles platform-specific Chrome messages. Generic sites have none.
+     * @param {Object} request - The Chrome message request.
+     * @param {Function} sendResponse - The callback to send a response.
+     * @returns {boolean} `false`, the response is sent synchronously.
+     */
+    handlePlatformSpecificMessage(request, sendResponse) {
+        const action = request?.action || request?.type;
+        this.logWithFallback(
+            'debug',
+            'No generic site specific handling required.',
+            { action }
+        );
+
+        sendResponse({
+            success: true,
+            handled: false,
+            platform: 'generic',
+            message: 'No platform-specific handling required.',
+        });
+        return false;
+    }
+}
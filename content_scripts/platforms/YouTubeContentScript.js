@@ -0,0 +1,197 @@
+/**
+ * Implements YouTube specific functionalities by extending the `BaseContentScript`.
+ * YouTube is a single-page app, so navigation between videos and to and from
+ * watch pages is tracked with the shared `NavigationDetectionManager` and the
+ * `yt-navigate-finish` event YouTube fires after each navigation.
+ *
+ * @extends BaseContentScript
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+import { BaseContentScript } from '../core/BaseContentScript.js';
+import { PlatformConfigFactory } from '../core/PlatformConfigFactory.js';
+
+export class YouTubeContentScript extends BaseContentScript {
+    /**
+     * Creates a new instance of `YouTubeContentScript`.
+     */
+    constructor() {
+        super('YouTubeContent');
+        this._initializeYouTubeSpecificState();
+        this.setupEarlyEventHandling();
+    }
+
+    /**
+     * Initializes YouTube specific state from the platform configuration.
+     * @private
+     */
+    _initializeYouTubeSpecificState() {
+        this.platformConfig = PlatformConfigFactory.create('youtube');
+        this.injectConfig = { ...this.platformConfig.injectScript };
+        this.urlPatterns = ['*.youtube.com'];
+    }
+
+    /**
+     * Gets the platform name.
+     * @returns {string} The platform name, 'youtube'.
+     */
+    getPlatformName() {
+        return 'youtube';
+    }
+
+    /**
+     * Gets the platform class constructor name.
+     * @returns {string} The platform class name, 'YouTubePlatform'.
+     */
+    getPlatformClass() {
+        return 'YouTubePlatform';
+    }
+
+    /**
+     * Gets the inject script configuration.
+     * @returns {Object} The inject script configuration.
+     */
+    getInjectScriptConfig() {
+        return this.injectConfig;
+    }
+
+    /**
+     * Sets up YouTube navigation detection.
+     */
+    setupNavigationDetection() {
+        this.logWithFallback(
+            'info',
+            'Setting up YouTube navigation detection.'
+        );
+        this._setupNavigationManager({
+            intervalMs: this.platformConfig.navigation.checkInterval,
+        });
+
+        const options = this.abortController
+            ? { signal: this.abortController.signal }
+            : {};
+        document.addEventListener(
+            'yt-navigate-finish',
+            () => this.checkForUrlChange(),
+            options
+        );
+    }
+
+    /**
+     * Checks whether navigation switched to another video. Entering and
+     * leaving watch pages is handled by `_handlePageTransition`.
+     */
+    checkForUrlChange() {
+        try {
+            const newUrl = window.location.href;
+            if (newUrl !== this.currentUrl) {
+                this.logWithFallback('info', 'URL change detected.', {
+                    from: this.currentUrl,
+                    to: newUrl,
+                });
+                this.currentUrl = newUrl;
+                this.lastKnownPathname = window.location.pathname;
+            }
+            this.activePlatform?.checkForVideoChange?.();
+        } catch (error) {
+            this.logWithFallback('error', 'Error in URL change detection.', {
+                error,
+            });
+        }
+    }
+
+    /**
+     * Checks if a given path corresponds to a player page.
+     * @param {string} pathname - The URL pathname to check.
+     * @returns {boolean} `true` if it's a player page, otherwise `false`.
+     * @private
+     */
+    _isPlayerPath(pathname) {
+        return pathname.startsWith('/watch') || pathname.startsWith('/embed/');
+    }
+
+    /**
+     * Handles page transitions between player and non-player pages.
+     * @private
+     * @param {boolean} wasOnPlayerPage - Whether the previous page was a player page.
+     * @param {boolean} isOnPlayerPage - Whether the current page is a player page.
+     */
+    _handlePageTransition(wasOnPlayerPage, isOnPlayerPage) {
+        if (wasOnPlayerPage && !isOnPlayerPage) {
+            this.logWithFallback(
+                'info',
+                'Leaving watch page, cleaning up platform.'
+            );
+            this.stopVideoElementDetection();
+            this.activePlatform?.cleanup?.();
+            this.activePlatform = null;
+            this.platformReady = false;
+            this.eventBuffer.clear();
+        } else if (!wasOnPlayerPage && isOnPlayerPage) {
+            this.logWithFallback(
+                'info',
+                'Entering watch page, initializing platform.'
+            );
+            this._initializeOnPageEnter();
+        }
+    }
+
+    /**
+     * Initializes the platform after navigating to a watch page. The inject
+     * script stays loaded across SPA navigation, so it is not re-injected.
+     * @private
+     */
+    async _initializeOnPageEnter() {
+        try {
+            const config = await this.configService.getAll();
+            if (!config?.subtitlesEnabled) {
+                return;
+            }
+            await this.initializePlatform();
+            if (config.aiContextEnabled) {
+                await this._restartAIContextFeatures();
+            }
+        } catch (error) {
+            this.logWithFallback(
+                'error',
+                'Error during watch page initialization.',
+                { error }
+            );
+        }
+    }
+
+    /**
+     * Handles platform-specific Chrome messages. YouTube has none.
+     * @param {Object} request - The Chrome message request.
+     * @param {Function} sendResponse - The callback to send a response.
+     * @returns {boolean} `false`, the response is sent synchronously.
+     */
+    handlePlatformSpecificMessage(request, sendResponse) {
+        const action = request?.action || request?.type;
+        this.logWithFallback(
+            'debug',
+            'No YouTube specific handling required.',
+            {
+                action,
+            }
+        );
+
+        sendResponse({
+            success: true,
+            handled: false,
+            platform: 'youtube',
+            message: 'No platform-specific handling required.',
+        });
+        return false;
+    }
+
+    /**
+     * Cleans up YouTube specific resources.
+     * @override
+     */
+    async cleanup() {
+        this.navigationDetectionManager?.cleanup();
+        this.navigationDetectionManager = null;
+        await super.cleanup();
+    }
+}
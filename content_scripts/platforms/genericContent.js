@@ -0,0 +1,33 @@
+/**
+ * Entry point for the generic HTML5 video content script.
+ *
+ * This script is registered at runtime by the background service for the
+ * sites in the genericSiteAllowlist setting that have a granted host permission.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+(async () => {
+    console.log('[GenericContent] Script loading and initializing.');
+    try {
+        const { GenericContentScript } = await import(
+            './GenericContentScript.js'
+        );
+        const genericContentScript = new GenericContentScript();
+        if (await genericContentScript.initialize()) {
+            console.log(
+                '[GenericContent] Content script initialized successfully.'
+            );
+        } else {
+            console.error(
+                '[GenericContent] Content script initialization failed.'
+            );
+        }
+    } catch (error) {
+        console.error(
+            '[GenericContent] An error occurred during initialization:',
+            error
+        );
+    }
+})();
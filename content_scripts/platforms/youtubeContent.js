@@ -0,0 +1,33 @@
+/**
+ * Entry point for the YouTube content script.
+ *
+ * This script initializes and runs the YouTube specific content script,
+ * which is responsible for all platform-specific interactions.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+(async () => {
+    console.log('[YouTubeContent] Script loading and initializing.');
+    try {
+        const { YouTubeContentScript } = await import(
+            './YouTubeContentScript.js'
+        );
+        const youtubeContentScript = new YouTubeContentScript();
+        if (await youtubeContentScript.initialize()) {
+            console.log(
+                '[YouTubeContent] Content script initialized successfully.'
+            );
+        } else {
+            console.error(
+                '[YouTubeContent] Content script initialization failed.'
+            );
+        }
+    } catch (error) {
+        console.error(
+            '[YouTubeContent] An error occurred during initialization:',
+            error
+        );
+    }
+})();
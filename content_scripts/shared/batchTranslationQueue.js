@@ -3,17 +3,28 @@
  *
  * Extends existing subtitle queue processing with batch translation capabilities.
  * Integrates with existing processSubtitleQueue() from shared utilities.
+ * Runs in the content script and reaches the translation service through
+ * chrome.runtime messages.
  *
  * @author DualSub Extension
  * @version 2.0.0
  */
 
-import { loggingManager } from '../utils/loggingManager.js';
+import Logger from '../../utils/logger.js';
 import { configService } from '../../services/configService.js';
 
-class BatchTranslationQueue {
+/** Cues behind the playhead count this many times their distance, so prefetch works forward first */
+const BEHIND_PLAYHEAD_WEIGHT = 3;
+/** Keep this share of the provider's rate limit budget for cues near the playhead */
+const PREFETCH_RESERVE_RATIO = 0.2;
+/** Cues starting within this many seconds of the playhead ignore the reserve */
+const PREFETCH_PLAYHEAD_WINDOW = 30;
+/** How long prefetch waits before re-checking an exhausted budget (ms) */
+const PREFETCH_BUDGET_WAIT = 15000;
+
+export class BatchTranslationQueue {
     constructor() {
-        this.logger = loggingManager.createLogger('BatchTranslationQueue');
+        this.logger = Logger.create('BatchTranslationQueue', configService);
         this.activeBatches = new Map();
         this.pendingCues = [];
         this.processingBatch = false;
@@ -38,6 +49,8 @@ class BatchTranslationQueue {
      */
     async initialize() {
         try {
+            await this.logger.updateLevel();
+
             // Load configuration from configService
             await this.loadConfiguration();
 
@@ -122,6 +135,14 @@ class BatchTranslationQueue {
      * Add cues to batch processing queue
      * @param {Array} cues - Array of cues to process
      * @param {Object} context - Processing context
+     * @param {number} [context.currentTime] - Playback position used for prioritization
+     * @param {string} [context.targetLanguage] - Target language code
+     * @param {boolean} [context.prefetch] - Background prefetch work (throttled by rate limit budget)
+     * @param {{title: string|null, episode: string|null}} [context.showInfo] - Show being watched, sent as translation context
+     * @param {string} [context.provider] - Translation provider to start with (the platform or show override)
+     * @param {function(Object): boolean} [context.shouldTranslate] - Return false to drop a pending cue
+     * @param {function(Object): void} [context.onCueTranslated] - Called with each translated cue
+     * @param {function(Object, Error): void} [context.onCueFailed] - Called when a cue could not be translated
      */
     async addCuesToBatch(cues, context = {}) {
         if (!Array.isArray(cues) || cues.length === 0) {
@@ -139,6 +160,10 @@ class BatchTranslationQueue {
             addedAt: Date.now(),
             context,
             priority: this.calculateCuePriority(cue, context),
+            distance: this.calculatePlayheadDistance(
+                cue,
+                context.currentTime || 0
+            ),
         }));
 
         this.pendingCues.push(...enrichedCues);
@@ -184,6 +209,36 @@ class BatchTranslationQueue {
         return priority;
     }
 
+    /**
+     * Distance of a cue from the playhead in seconds. Cues behind the
+     * playhead are weighted so upcoming lines are translated first.
+     * @param {Object} cue - Subtitle cue
+     * @param {number} currentTime - Playback position in seconds
+     * @returns {number} Weighted distance (0 = currently visible)
+     */
+    calculatePlayheadDistance(cue, currentTime) {
+        if (cue.end < currentTime) {
+            return (currentTime - cue.end) * BEHIND_PLAYHEAD_WEIGHT;
+        }
+        return Math.max(0, cue.start - currentTime);
+    }
+
+    /**
+     * Re-rank pending cues around a new playback position (e.g. after a seek)
+     * @param {number} currentTime - Playback position in seconds
+     */
+    reprioritize(currentTime) {
+        for (const cue of this.pendingCues) {
+            cue.priority = this.calculateCuePriority(cue, { currentTime });
+            cue.distance = this.calculatePlayheadDistance(cue, currentTime);
+        }
+
+        this.logger.debug('Pending cues reprioritized', {
+            currentTime,
+            pendingCues: this.pendingCues.length,
+        });
+    }
+
     /**
      * Process batches from pending queue
      */
@@ -199,6 +254,10 @@ class BatchTranslationQueue {
                 this.pendingCues.length > 0 &&
                 this.activeBatches.size < this.config.maxConcurrentBatches
             ) {
+                if (!(await this.waitForPrefetchBudget())) {
+                    break;
+                }
+
                 const batch = this.createBatch();
                 if (batch.length > 0) {
                     await this.processBatch(batch);
@@ -230,9 +289,19 @@ class BatchTranslationQueue {
             return [];
         }
 
-        // Sort by priority if smart batching is enabled
+        // Drop cues that no longer need translating (translated elsewhere,
+        // video changed, ...)
+        this.pendingCues = this.pendingCues.filter(
+            (cue) => cue.context?.shouldTranslate?.(cue) !== false
+        );
+
+        // Sort by priority if smart batching is enabled, nearest cues first
         if (this.config.smartBatching) {
-            this.pendingCues.sort((a, b) => b.priority - a.priority);
+            this.pendingCues.sort(
+                (a, b) =>
+                    b.priority - a.priority ||
+                    (a.distance || 0) - (b.distance || 0)
+            );
         }
 
         // Take up to batchSize cues
@@ -251,6 +320,94 @@ class BatchTranslationQueue {
         return batch;
     }
 
+    /**
+     * Hold back prefetch work while the provider's rate limit budget is
+     * nearly spent, so cues near the playhead can still be translated.
+     * Returns immediately for non-prefetch cues.
+     * @returns {Promise<boolean>} False if the queue was cleared while waiting
+     */
+    async waitForPrefetchBudget() {
+        for (;;) {
+            const nextCue = this.pendingCues.reduce(
+                (nearest, cue) =>
+                    !nearest || (cue.distance || 0) < (nearest.distance || 0)
+                        ? cue
+                        : nearest,
+                null
+            );
+            if (!nextCue) {
+                return false;
+            }
+            if (
+                !nextCue.context?.prefetch ||
+                (nextCue.distance || 0) <= PREFETCH_PLAYHEAD_WINDOW
+            ) {
+                return true;
+            }
+
+            const status = await this.getRateLimitStatus();
+            const remainingRatio = this.getRemainingBudgetRatio(status);
+            if (remainingRatio >= PREFETCH_RESERVE_RATIO) {
+                return true;
+            }
+
+            this.logger.info('Prefetch paused to preserve rate limit budget', {
+                remainingRatio,
+                pendingCues: this.pendingCues.length,
+                retryIn: PREFETCH_BUDGET_WAIT,
+            });
+            await new Promise((resolve) =>
+                setTimeout(resolve, PREFETCH_BUDGET_WAIT)
+            );
+        }
+    }
+
+    /**
+     * Ask the background for the rate limit status of the provider that
+     * will serve the next request
+     * @returns {Promise<Object|null>} Rate limit status
+     */
+    async getRateLimitStatus() {
+        try {
+            return await new Promise((resolve) => {
+                chrome.runtime.sendMessage(
+                    { action: 'getRateLimitStatus' },
+                    (response) => {
+                        if (chrome.runtime.lastError) {
+                            resolve(null);
+                            return;
+                        }
+                        resolve(response?.status || null);
+                    }
+                );
+            });
+        } catch (error) {
+            this.logger.warn('Failed to get rate limit status', error);
+            return null;
+        }
+    }
+
+    /**
+     * Share of the rate limit budget that is still available
+     * @param {Object|null} status - Rate limit status from TranslationService
+     * @returns {number} Ratio between 0 and 1 (1 when unknown or unlimited)
+     */
+    getRemainingBudgetRatio(status) {
+        if (!status?.hasLimit) {
+            return 1;
+        }
+        const ratio = (window) =>
+            window.limit > 0 ? Math.max(0, window.remaining) / window.limit : 1;
+
+        if (status.shortWindow && status.longWindow) {
+            return Math.min(
+                ratio(status.shortWindow),
+                ratio(status.longWindow)
+            );
+        }
+        return ratio(status);
+    }
+
     /**
      * Process a single batch
      * @param {Array} batch - Batch of cues to process
@@ -272,8 +429,10 @@ class BatchTranslationQueue {
                 activeBatches: this.activeBatches.size,
             });
 
-            // Check if provider supports batch processing
-            const supportsBatch = await this.checkBatchSupport();
+            // Check if the provider of this batch supports batch processing
+            const supportsBatch = await this.checkBatchSupport(
+                batch[0].context.provider
+            );
 
             if (supportsBatch && batch.length > 1) {
                 await this.processBatchTranslation(batchId, batch);
@@ -311,15 +470,16 @@ class BatchTranslationQueue {
     }
 
     /**
-     * Check if current provider supports batch processing
+     * Check if a provider supports batch processing
+     * @param {string} [provider] - Platform or title override provider (defaults to the selected one)
      * @returns {Promise<boolean>} True if batch processing is supported
      */
-    async checkBatchSupport() {
+    async checkBatchSupport(provider) {
         try {
             // Send message to background to check batch support
             return new Promise((resolve) => {
                 chrome.runtime.sendMessage(
-                    { action: 'checkBatchSupport' },
+                    { action: 'checkBatchSupport', provider },
                     (response) => {
                         resolve(response?.supportsBatch || false);
                     }
@@ -359,6 +519,8 @@ class BatchTranslationQueue {
                         start: cue.start,
                         videoId: cue.videoId,
                     })),
+                    showInfo: batch[0].context.showInfo || null,
+                    provider: batch[0].context.provider,
                 },
                 (response) => {
                     if (chrome.runtime.lastError) {
@@ -368,7 +530,8 @@ class BatchTranslationQueue {
                     } else if (response?.translations) {
                         this.handleBatchTranslationResponse(
                             batch,
-                            response.translations
+                            response.translations,
+                            response.providers
                         );
                         resolve(response);
                     } else {
@@ -400,6 +563,7 @@ class BatchTranslationQueue {
                             targetLang: cue.context.targetLanguage || 'zh-CN',
                             cueStart: cue.start,
                             cueVideoId: cue.videoId,
+                            provider: cue.context.provider,
                         },
                         (response) => {
                             if (chrome.runtime.lastError) {
@@ -410,6 +574,8 @@ class BatchTranslationQueue {
                                 reject(new Error(response.error));
                             } else if (response?.translatedText) {
                                 cue.translated = response.translatedText;
+                                cue.provider = response.provider || null;
+                                cue.context?.onCueTranslated?.(cue);
                                 resolve(response);
                             } else {
                                 reject(
@@ -431,6 +597,7 @@ class BatchTranslationQueue {
                     cueStart: cue.start,
                     text: cue.original.substring(0, 50),
                 });
+                cue.context?.onCueFailed?.(cue, error);
             }
         }
     }
@@ -439,8 +606,17 @@ class BatchTranslationQueue {
      * Handle batch translation response
      * @param {Array} batch - Original batch of cues
      * @param {Array} translations - Translated texts
+     * @param {Array<string|null>} [providers] - Provider that produced each translation
      */
-    handleBatchTranslationResponse(batch, translations) {
+    handleBatchTranslationResponse(batch, translations, providers = []) {
+        // The background keeps the original text of cues no provider could
+        // translate and reports no provider for them
+        const isFailed = (index) =>
+            translations[index] == null ||
+            (providers.length > 0
+                ? !providers[index]
+                : translations[index] === batch[index].original);
+
         if (translations.length !== batch.length) {
             this.logger.warn('Batch translation count mismatch', {
                 expectedCount: batch.length,
@@ -449,7 +625,16 @@ class BatchTranslationQueue {
         }
 
         for (let i = 0; i < Math.min(batch.length, translations.length); i++) {
+            if (isFailed(i)) {
+                batch[i].context?.onCueFailed?.(
+                    batch[i],
+                    new Error('Translation failed for cue')
+                );
+                continue;
+            }
             batch[i].translated = translations[i];
+            batch[i].provider = providers[i] || null;
+            batch[i].context?.onCueTranslated?.(batch[i]);
         }
     }
 
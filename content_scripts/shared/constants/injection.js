@@ -5,10 +5,21 @@ export const Injection = {
         SCRIPT_FILENAME: 'injected_scripts/netflixInject.js',
         SCRIPT_TAG_ID: 'netflix-dualsub-injector-script-tag',
         EVENT_ID: 'netflix-dualsub-injector-event',
+        COMMAND_EVENT_ID: 'netflix-dualsub-command-event',
     },
     disneyplus: {
         SCRIPT_FILENAME: 'injected_scripts/disneyPlusInject.js',
         SCRIPT_TAG_ID: 'disneyplus-dualsub-injector-script-tag',
         EVENT_ID: 'disneyplus-dualsub-injector-event',
     },
+    youtube: {
+        SCRIPT_FILENAME: 'injected_scripts/youtubeInject.js',
+        SCRIPT_TAG_ID: 'youtube-dualsub-injector-script-tag',
+        EVENT_ID: 'youtube-dualsub-injector-event',
+    },
+    generic: {
+        SCRIPT_FILENAME: 'injected_scripts/genericInject.js',
+        SCRIPT_TAG_ID: 'generic-dualsub-injector-script-tag',
+        EVENT_ID: 'generic-dualsub-injector-event',
+    },
 };
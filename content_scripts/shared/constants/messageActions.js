@@ -8,6 +8,8 @@ export const MessageActions = {
     FETCH_VTT: 'fetchVTT',
     CHANGE_PROVIDER: 'changeProvider',
     ANALYZE_CONTEXT: 'analyzeContext',
+    CONTEXT_FOLLOW_UP: 'contextFollowUp',
+    TEST_CONTEXT_TEMPLATE: 'testContextTemplate',
     CHANGE_CONTEXT_PROVIDER: 'changeContextProvider',
     GET_CONTEXT_STATUS: 'getContextStatus',
     GET_AVAILABLE_MODELS: 'getAvailableModels',
@@ -15,8 +17,38 @@ export const MessageActions = {
     RELOAD_CONTEXT_PROVIDER_CONFIG: 'reloadContextProviderConfig',
     PING: 'ping',
     CHECK_BACKGROUND_READY: 'checkBackgroundReady',
+    WARMUP_TRANSLATION_MEMORY: 'warmupTranslationMemory',
+    GET_TRANSLATION_MEMORY_STATS: 'getTranslationMemoryStats',
+    CLEAR_TRANSLATION_MEMORY: 'clearTranslationMemory',
+    GET_RATE_LIMIT_STATUS: 'getRateLimitStatus',
+    GET_TRANSLATION_USAGE: 'getTranslationUsage',
+    RESET_TRANSLATION_USAGE: 'resetTranslationUsage',
+    PARSE_SUBTITLE_FILE: 'parseSubtitleFile',
+    SAVE_VOCABULARY_ENTRY: 'saveVocabularyEntry',
+    GET_VOCABULARY_ENTRIES: 'getVocabularyEntries',
+    REVIEW_VOCABULARY_ENTRY: 'reviewVocabularyEntry',
+    DELETE_VOCABULARY_ENTRY: 'deleteVocabularyEntry',
+    OPEN_VOCABULARY_ENTRY: 'openVocabularyEntry',
+    LOOKUP_DICTIONARY: 'lookupDictionary',
+    IMPORT_DICTIONARY: 'importDictionary',
+    GET_DICTIONARIES: 'getDictionaries',
+    UPDATE_DICTIONARY: 'updateDictionary',
+    DELETE_DICTIONARY: 'deleteDictionary',
+    GET_DICTIONARY_HEADWORDS: 'getDictionaryHeadwords',
     // Content-side actions
     TOGGLE_SUBTITLES: 'toggleSubtitles',
+    LOAD_LOCAL_SUBTITLES: 'loadLocalSubtitles',
+    CLEAR_LOCAL_SUBTITLES: 'clearLocalSubtitles',
+    EXPORT_SUBTITLES: 'exportSubtitles',
+    ADJUST_SUBTITLE_SYNC: 'adjustSubtitleSync',
+    SEEK_VIDEO: 'seekVideo',
+    HOTKEY_COMMAND: 'hotkeyCommand',
     CONFIG_CHANGED: 'configChanged',
     LOGGING_LEVEL_CHANGED: 'LOGGING_LEVEL_CHANGED',
 };
+
+// Long-lived chrome.runtime ports, by connection name
+export const PortNames = {
+    // Streamed AI context analysis: partial results, then the response
+    AI_CONTEXT_STREAM: 'aiContextStream',
+};
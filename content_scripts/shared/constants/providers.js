@@ -7,6 +7,7 @@ export const Providers = {
     DEEPL_FREE: 'deepl_free',
     OPENAI_COMPATIBLE: 'openai_compatible',
     VERTEX_GEMINI: 'vertex_gemini',
+    LOCAL_LLM: 'local_llm',
 };
 
 export const ProviderNames = {
@@ -16,6 +17,7 @@ export const ProviderNames = {
     [Providers.DEEPL_FREE]: 'DeepL Translate (Free)',
     [Providers.OPENAI_COMPATIBLE]: 'OpenAI Compatible (API Key Required)',
     [Providers.VERTEX_GEMINI]: 'Vertex AI Gemini (API Key Required)',
+    [Providers.LOCAL_LLM]: 'Local LLM (Ollama / LM Studio)',
 };
 
 // Centralized provider-specific batch configuration
@@ -26,7 +28,11 @@ export const ProviderBatchConfigs = {
         delimiter: '|SUBTITLE_BREAK|',
         supportsBatch: true,
         batchMethod: 'delimiter',
-        delayConfigKey: 'openaieDelay',
+        delayConfigKey: 'openaiDelay',
+        // Accepts show, previous cue and glossary context in the prompt
+        supportsContext: true,
+        // Answers reading targets (furigana, pinyin), see utils/pronunciation.js
+        supportsReadings: true,
     },
     [Providers.VERTEX_GEMINI]: {
         defaultBatchSize: 8,
@@ -35,7 +41,19 @@ export const ProviderBatchConfigs = {
         supportsBatch: true,
         batchMethod: 'delimiter',
         // Reuse the OpenAI-compatible delay setting for simplicity
-        delayConfigKey: 'openaieDelay',
+        delayConfigKey: 'openaiDelay',
+        supportsContext: true,
+        supportsReadings: true,
+    },
+    [Providers.LOCAL_LLM]: {
+        defaultBatchSize: 8,
+        maxBatchSize: 15,
+        delimiter: '|SUBTITLE_BREAK|',
+        supportsBatch: true,
+        batchMethod: 'delimiter',
+        delayConfigKey: 'localLlmDelay',
+        supportsContext: true,
+        supportsReadings: true,
     },
     [Providers.GOOGLE]: {
         defaultBatchSize: 4,
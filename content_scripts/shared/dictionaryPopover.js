@@ -0,0 +1,298 @@
+/**
+ * Dictionary Popover
+ *
+ * Shows entries of the imported offline dictionaries above a hovered
+ * subtitle word: headword, reading, part of speech, the inflection that
+ * was undone and the first senses. The popover lives in the subtitle
+ * container, so it follows the subtitles and goes away when they are
+ * redrawn. Lookups run in the background (dictionaryService) and are
+ * cached, so hovering the same word again is instant.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { MessageActions } from './constants/messageActions.js';
+import { sendRuntimeMessageWithRetry } from './messaging.js';
+
+const POPOVER_ID = 'dualsub-dictionary-popover';
+const CONTAINER_SELECTOR = '#dualsub-subtitle-container';
+/** Delay before a hovered word is looked up, so sweeping over words is quiet */
+const HOVER_DELAY = 150;
+/** Grace period to move the pointer from the word into the popover */
+const HIDE_DELAY = 250;
+/** Characters after a word sent along for languages without spaces */
+const SCAN_LENGTH = 12;
+const MAX_SENSES = 4;
+const LOOKUP_CACHE_LIMIT = 200;
+const SCRIPTS_WITHOUT_SPACES = /^(ja|zh|th|lo|km|my)/i;
+
+const lookupCache = new Map();
+const popoverState = {
+    element: null,
+    target: null,
+    pendingTarget: null,
+    showTimer: null,
+    hideTimer: null,
+    watchTimer: null,
+};
+
+/**
+ * Localized UI text with an English fallback
+ * @param {string} key - Message key
+ * @param {string} fallback - English text
+ * @returns {string}
+ */
+function getLocalizedText(key, fallback) {
+    try {
+        return chrome?.i18n?.getMessage(key) || fallback;
+    } catch (_) {
+        return fallback;
+    }
+}
+
+/**
+ * Language of the line a word belongs to
+ * @param {HTMLElement} target - Interactive word span
+ * @returns {string}
+ */
+function getWordLanguage(target) {
+    const language =
+        target.getAttribute('data-subtitle-type') === 'translated'
+            ? target.getAttribute('data-target-lang')
+            : target.getAttribute('data-source-lang');
+    return language && language !== 'undefined' ? language : 'unknown';
+}
+
+/**
+ * Text to look up: the word, plus the rest of the line after it for
+ * languages without spaces, where the longest match may span several
+ * segmented words (行きました, 中国人)
+ * @param {HTMLElement} target - Interactive word span
+ * @param {string} language - Line language
+ * @returns {string}
+ */
+function getLookupText(target, language) {
+    let text = target.getAttribute('data-word') || target.textContent || '';
+    const hasSpaces =
+        !SCRIPTS_WITHOUT_SPACES.test(language) &&
+        !/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(text);
+    if (hasSpaces) {
+        return text.trim();
+    }
+
+    let node = target.nextSibling;
+    while (node && text.length < SCAN_LENGTH) {
+        if (node.nodeName === 'BR') {
+            break;
+        }
+        text +=
+            node.nodeType === Node.ELEMENT_NODE
+                ? node.getAttribute('data-word') || node.textContent
+                : node.textContent;
+        node = node.nextSibling;
+    }
+    return text.slice(0, SCAN_LENGTH).trim();
+}
+
+/**
+ * Look up text in the background, cached
+ * @param {string} text - Lookup text
+ * @param {string} language - Line language
+ * @returns {Promise<{matched: string|null, entries: Object[]}>}
+ */
+async function lookup(text, language) {
+    const key = `${language}:${text}`;
+    if (lookupCache.has(key)) {
+        return lookupCache.get(key);
+    }
+
+    const response = await sendRuntimeMessageWithRetry(
+        { action: MessageActions.LOOKUP_DICTIONARY, text, language },
+        { retries: 1 }
+    );
+    if (!response?.success) {
+        throw new Error(response?.error || 'Dictionary lookup failed');
+    }
+
+    const result = { matched: response.matched, entries: response.entries };
+    if (lookupCache.size >= LOOKUP_CACHE_LIMIT) {
+        lookupCache.delete(lookupCache.keys().next().value);
+    }
+    lookupCache.set(key, result);
+    return result;
+}
+
+/**
+ * @param {string} tagName - Element tag
+ * @param {string} className - Class name
+ * @param {string} [text] - Text content
+ * @returns {HTMLElement}
+ */
+function createElement(tagName, className, text) {
+    const element = document.createElement(tagName);
+    element.className = className;
+    if (text) {
+        element.textContent = text;
+    }
+    return element;
+}
+
+/**
+ * Build the popover content for lookup results
+ * @param {Object[]} entries - Lookup entries
+ * @param {Function} [onOpenContext] - Opens the AI context modal for the word
+ * @returns {HTMLElement}
+ */
+function buildPopover(entries, onOpenContext) {
+    const popover = createElement('div', 'dualsub-dictionary-popover');
+    popover.id = POPOVER_ID;
+    popover.setAttribute('role', 'tooltip');
+
+    for (const entry of entries) {
+        const item = createElement('div', 'dualsub-dictionary-entry');
+        const header = createElement('div', 'dualsub-dictionary-header');
+        header.appendChild(
+            createElement('span', 'dualsub-dictionary-term', entry.term)
+        );
+        if (entry.reading) {
+            header.appendChild(
+                createElement(
+                    'span',
+                    'dualsub-dictionary-reading',
+                    entry.reading
+                )
+            );
+        }
+        for (const tag of [...entry.partOfSpeech, ...entry.inflection]) {
+            header.appendChild(
+                createElement('span', 'dualsub-dictionary-tag', tag)
+            );
+        }
+        item.appendChild(header);
+
+        const senses = createElement('ol', 'dualsub-dictionary-senses');
+        for (const sense of entry.senses.slice(0, MAX_SENSES)) {
+            senses.appendChild(createElement('li', '', sense));
+        }
+        item.appendChild(senses);
+        item.appendChild(
+            createElement('div', 'dualsub-dictionary-source', entry.dictionary)
+        );
+        popover.appendChild(item);
+    }
+
+    if (onOpenContext) {
+        const button = createElement(
+            'button',
+            'dualsub-dictionary-context-button',
+            getLocalizedText('dictionaryPopoverAiContext', 'AI context')
+        );
+        button.type = 'button';
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            const target = popoverState.target;
+            hideDictionaryPopover();
+            if (target?.isConnected) {
+                onOpenContext(target);
+            }
+        });
+        popover.appendChild(button);
+    }
+
+    popover.addEventListener('mouseenter', () => {
+        clearTimeout(popoverState.hideTimer);
+    });
+    popover.addEventListener('mouseleave', scheduleDictionaryPopoverHide);
+    return popover;
+}
+
+/**
+ * Show lookup results above a word
+ * @param {HTMLElement} target - Interactive word span
+ * @param {Object[]} entries - Lookup entries
+ * @param {Function} [onOpenContext] - Opens the AI context modal for the word
+ */
+function showPopover(target, entries, onOpenContext) {
+    const container = target.closest(CONTAINER_SELECTOR);
+    if (!container) {
+        return;
+    }
+    hideDictionaryPopover();
+
+    const popover = buildPopover(entries, onOpenContext);
+    const containerRect = container.getBoundingClientRect();
+    const wordRect = target.getBoundingClientRect();
+    popover.style.left = `${wordRect.left - containerRect.left + wordRect.width / 2}px`;
+    popover.style.bottom = `${containerRect.bottom - wordRect.top + 8}px`;
+    container.appendChild(popover);
+
+    popoverState.element = popover;
+    popoverState.target = target;
+    // Subtitle redraws replace the word; drop the popover with it
+    popoverState.watchTimer = setInterval(() => {
+        if (!target.isConnected || !popover.isConnected) {
+            hideDictionaryPopover();
+        }
+    }, 500);
+}
+
+/**
+ * Look up a hovered word after a short delay and show its entries
+ * @param {HTMLElement} target - Interactive word span
+ * @param {Object} [options]
+ * @param {Function} [options.onOpenContext] - Opens the AI context modal for the word
+ */
+export function scheduleDictionaryLookup(target, { onOpenContext } = {}) {
+    clearTimeout(popoverState.showTimer);
+    clearTimeout(popoverState.hideTimer);
+    if (popoverState.target === target) {
+        return;
+    }
+
+    popoverState.showTimer = setTimeout(async () => {
+        const language = getWordLanguage(target);
+        const text = getLookupText(target, language);
+        if (!text) {
+            return;
+        }
+        popoverState.pendingTarget = target;
+
+        try {
+            const { entries } = await lookup(text, language);
+            if (
+                popoverState.pendingTarget === target &&
+                target.isConnected &&
+                entries.length > 0
+            ) {
+                showPopover(target, entries, onOpenContext);
+            }
+        } catch (error) {
+            console.debug('[DictionaryPopover] Lookup failed', error);
+        }
+    }, HOVER_DELAY);
+}
+
+/**
+ * Hide the popover once the pointer has not come back for a moment
+ */
+export function scheduleDictionaryPopoverHide() {
+    clearTimeout(popoverState.showTimer);
+    clearTimeout(popoverState.hideTimer);
+    popoverState.pendingTarget = null;
+    popoverState.hideTimer = setTimeout(hideDictionaryPopover, HIDE_DELAY);
+}
+
+/**
+ * Hide the popover right away
+ */
+export function hideDictionaryPopover() {
+    clearTimeout(popoverState.showTimer);
+    clearTimeout(popoverState.hideTimer);
+    clearInterval(popoverState.watchTimer);
+    popoverState.element?.remove();
+    popoverState.element = null;
+    popoverState.target = null;
+    popoverState.pendingTarget = null;
+}
@@ -0,0 +1,102 @@
+/**
+ * Dictionary Segmentation
+ *
+ * Optional dictionary-based word segmentation for Japanese subtitles. When
+ * the `dictionarySegmentationEnabled` setting is on, the headwords of the
+ * imported Japanese dictionaries (background/services/dictionaryService.js)
+ * are loaded once and registered as the Japanese word segmenter, so
+ * interactive words follow dictionary entries instead of the
+ * Intl.Segmenter rules. Dictionaries imported later are picked up when
+ * the setting is toggled or the page is reloaded.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { configService } from '../../services/configService.js';
+import { MessageActions } from './constants/messageActions.js';
+import { sendRuntimeMessageWithRetry } from './messaging.js';
+import {
+    createDictionarySegmenter,
+    registerWordSegmenter,
+    unregisterWordSegmenter,
+} from './wordSegmentation.js';
+
+const SEGMENTED_LANGUAGE = 'ja';
+
+let initialized = false;
+let syncVersion = 0;
+
+/**
+ * Register or remove the Japanese dictionary segmenter
+ * @param {boolean} enabled - Setting value
+ * @returns {Promise<boolean>} Whether a dictionary segmenter is registered
+ */
+async function applyDictionarySegmentation(enabled) {
+    const version = ++syncVersion;
+    if (!enabled) {
+        unregisterWordSegmenter(SEGMENTED_LANGUAGE);
+        return false;
+    }
+
+    try {
+        const response = await sendRuntimeMessageWithRetry(
+            {
+                action: MessageActions.GET_DICTIONARY_HEADWORDS,
+                language: SEGMENTED_LANGUAGE,
+            },
+            { retries: 1 }
+        );
+        if (!response?.success) {
+            throw new Error(response?.error || 'Headword request failed');
+        }
+        // The setting changed while the headwords were loading
+        if (version !== syncVersion) {
+            return false;
+        }
+        if (response.words.length === 0) {
+            unregisterWordSegmenter(SEGMENTED_LANGUAGE);
+            return false;
+        }
+        registerWordSegmenter(
+            SEGMENTED_LANGUAGE,
+            createDictionarySegmenter(response.words)
+        );
+        return true;
+    } catch (error) {
+        console.debug(
+            '[DictionarySegmentation] Falling back to Intl.Segmenter',
+            error
+        );
+        return false;
+    }
+}
+
+/**
+ * Apply the dictionary segmentation setting and follow its changes
+ * @returns {Promise<boolean>} Whether a dictionary segmenter is registered
+ */
+export async function initializeDictionarySegmentation() {
+    if (!initialized) {
+        initialized = true;
+        configService.onChanged((changes) => {
+            if ('dictionarySegmentationEnabled' in changes) {
+                applyDictionarySegmentation(
+                    changes.dictionarySegmentationEnabled === true
+                );
+            }
+        });
+    }
+
+    try {
+        return await applyDictionarySegmentation(
+            (await configService.get('dictionarySegmentationEnabled')) === true
+        );
+    } catch (error) {
+        console.debug(
+            '[DictionarySegmentation] Failed to read the setting',
+            error
+        );
+        return false;
+    }
+}
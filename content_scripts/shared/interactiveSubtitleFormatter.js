@@ -8,6 +8,13 @@
  * @version 1.0.0
  */
 
+import { segmentWords } from './wordSegmentation.js';
+import {
+    scheduleDictionaryLookup,
+    scheduleDictionaryPopoverHide,
+    hideDictionaryPopover,
+} from './dictionaryPopover.js';
+
 // Robust logging function that's always available
 const logWithFallback = (() => {
     let currentLogger = (level, message, data) => {
@@ -104,6 +111,7 @@ export function setInteractiveEnabled(enabled) {
  * Format subtitle text with interactive elements
  * @param {string} text - Original subtitle text
  * @param {Object} options - Formatting options
+ * @param {function(string): string} [options.annotate] - Adds ruby to consecutive pieces of the escaped text (see createRubyAnnotator in utils/pronunciation.js)
  * @returns {string} HTML formatted text with interactive elements
  */
 export function formatInteractiveSubtitleText(text, options = {}) {
@@ -118,9 +126,9 @@ export function formatInteractiveSubtitleText(text, options = {}) {
         return '';
     }
 
-    // Basic HTML escaping
+    // Basic HTML escaping; leaves entities from formatSubtitleTextForDisplay intact
     let formattedText = text
-        .replace(/&/g, '&amp;')
+        .replace(/&(?!(?:[a-z]+|#\d+|#x[\da-f]+);)/gi, '&amp;')
         .replace(/</g, '&lt;')
         .replace(/>/g, '&gt;');
 
@@ -141,6 +149,9 @@ export function formatInteractiveSubtitleText(text, options = {}) {
             });
         }
     } else {
+        if (options.annotate) {
+            formattedText = options.annotate(formattedText);
+        }
         if (INTERACTIVE_CONFIG.debugLogging) {
             logWithFallback('debug', 'Interactive wrapping skipped', {
                 isEnabled: interactiveState.isEnabled,
@@ -164,54 +175,53 @@ function wrapWordsForInteraction(text, options = {}) {
         sourceLanguage = 'unknown',
         targetLanguage = 'unknown',
         subtitleType = 'original', // Phase 1: require/consume subtitleType
+        annotate = (segment) => segment,
     } = options;
 
-    // Enhanced word pattern that works with multiple languages including Chinese, Japanese, Korean
-    // This pattern matches:
-    // - ASCII words with contractions (English, etc.): [a-zA-Z]+(?:'[a-zA-Z]+)*
-    // - Chinese characters: [\u4e00-\u9fff]+
-    // - Japanese Hiragana: [\u3040-\u309f]+
-    // - Japanese Katakana: [\u30a0-\u30ff]+
-    // - Korean: [\uac00-\ud7af]+
-    // - Numbers: \d+
-    const wordPattern =
-        /([a-zA-Z]+(?:'[a-zA-Z]+)*|[\u4e00-\u9fff]+|[\u3040-\u309f]+|[\u30a0-\u30ff]+|[\uac00-\ud7af]+|\d+)/g;
+    // Segment by the language the text is written in: translated subtitles
+    // are in the target language, everything else in the source language
+    const textLanguage =
+        subtitleType === 'translated' ? targetLanguage : sourceLanguage;
 
     if (INTERACTIVE_CONFIG.debugLogging) {
         logWithFallback('debug', 'Processing text for interactive words', {
             originalText: text,
             sourceLanguage,
             targetLanguage,
+            textLanguage,
             textLength: text.length,
         });
     }
 
+    // Word indices stay sequential so getStableSpanId and selection
+    // persistence keep matching the same words across re-renders
     let processedCount = 0;
     let wordIndex = -1;
-    const result = text.replace(wordPattern, (match, word) => {
-        // Include all words for phrase analysis - no exclusions
-        // This ensures proper spacing and allows selection of function words
-        // which are essential for idioms and phrases
-
-        // Only skip empty matches (shouldn't happen with our pattern)
-        if (!word || word.length === 0) {
-            return word;
-        }
-
-        // Define isAsciiWord for debugging purposes (includes contractions)
-        const isAsciiWord = /^[a-zA-Z]+(?:'[a-zA-Z]+)*$/.test(word);
+    const result = segmentWords(text, textLanguage)
+        .map(({ segment, isWordLike }) => {
+            // Every segment goes through annotate, in order, so ruby stays
+            // inside the word spans
+            const html = annotate(segment);
+            if (!isWordLike) {
+                return html;
+            }
 
-        processedCount++;
-        wordIndex++;
+            processedCount++;
+            wordIndex++;
 
-        return createInteractiveWordSpan(word, {
-            sourceLanguage,
-            targetLanguage,
-            originalText: text,
-            subtitleType,
-            wordIndex,
-        });
-    });
+            return createInteractiveWordSpan(
+                segment,
+                {
+                    sourceLanguage,
+                    targetLanguage,
+                    originalText: text,
+                    subtitleType,
+                    wordIndex,
+                },
+                html
+            );
+        })
+        .join('');
 
     if (INTERACTIVE_CONFIG.debugLogging) {
         logWithFallback('debug', 'Word wrapping completed', {
@@ -229,14 +239,15 @@ function wrapWordsForInteraction(text, options = {}) {
  * Create an interactive span element for a word
  * @param {string} word - The word to wrap
  * @param {Object} metadata - Context metadata
+ * @param {string} [html] - Content of the span when it differs from the word (ruby)
  * @returns {string} HTML span element
  */
-function createInteractiveWordSpan(word, metadata) {
+function createInteractiveWordSpan(word, metadata, html = word) {
     const type = metadata.subtitleType || 'original';
     const index = Number.isFinite(metadata.wordIndex) ? metadata.wordIndex : 0;
     const spanId = getStableSpanId(type, index);
 
-    return `<span class="dualsub-interactive-word" id="${spanId}" data-word="${word}" data-source-lang="${metadata.sourceLanguage}" data-target-lang="${metadata.targetLanguage}" data-context="${encodeURIComponent(metadata.originalText)}" data-subtitle-type="${type}" data-word-index="${index}" tabindex="0" role="button" aria-label="Click for context analysis of '${word}'" title="Click for cultural, historical, or linguistic context">${word}</span>`;
+    return `<span class="dualsub-interactive-word" id="${spanId}" data-word="${word}" data-source-lang="${metadata.sourceLanguage}" data-target-lang="${metadata.targetLanguage}" data-context="${encodeURIComponent(metadata.originalText)}" data-subtitle-type="${type}" data-word-index="${index}" tabindex="0" role="button" aria-label="Click for context analysis of '${word}'" title="Click for cultural, historical, or linguistic context">${html}</span>`;
 }
 
 /**
@@ -464,6 +475,7 @@ function handleInteractiveWordClick(event) {
 
     event.preventDefault();
     event.stopPropagation();
+    hideDictionaryPopover();
 
     // Block interactions globally while analyzing to prevent de-selections during processing
     if (isAnalyzingActive()) {
@@ -486,9 +498,6 @@ function handleInteractiveWordClick(event) {
     const word = target.getAttribute('data-word');
     const sourceLanguage = target.getAttribute('data-source-lang');
     const targetLanguage = target.getAttribute('data-target-lang');
-    const context = decodeURIComponent(
-        target.getAttribute('data-context') || ''
-    );
 
     logWithFallback('info', 'Interactive word clicked', {
         word,
@@ -510,36 +519,7 @@ function handleInteractiveWordClick(event) {
 
     if (isVideoPaused) {
         // Enhanced selection mode - dispatch word selection event
-        // Determine subtitle type from element's container
-        const subtitleType = getSubtitleTypeFromElement(target);
-
-        logWithFallback('info', 'Dispatching word selection event', {
-            word,
-            subtitleType,
-            isVideoPaused,
-        });
-
-        document.dispatchEvent(
-            new CustomEvent('dualsub-word-selected', {
-                detail: {
-                    word,
-                    element: target,
-                    sourceLanguage,
-                    targetLanguage,
-                    context,
-                    subtitleType,
-                },
-            })
-        );
-
-        logWithFallback(
-            'debug',
-            'Word selection event dispatched (video paused)',
-            {
-                word,
-                subtitleType,
-            }
-        );
+        dispatchWordSelection(target);
     } else {
         // Video is playing - no action taken
         // Context analysis can only be initiated through the modal when video is paused
@@ -555,6 +535,54 @@ function handleInteractiveWordClick(event) {
     }
 }
 
+/**
+ * Dispatch the word selection event the AI context modal listens for
+ * @param {HTMLElement} target - Interactive word span
+ */
+function dispatchWordSelection(target) {
+    const word = target.getAttribute('data-word');
+    // Determine subtitle type from element's container
+    const subtitleType = getSubtitleTypeFromElement(target);
+
+    logWithFallback('info', 'Dispatching word selection event', {
+        word,
+        subtitleType,
+    });
+
+    document.dispatchEvent(
+        new CustomEvent('dualsub-word-selected', {
+            detail: {
+                word,
+                element: target,
+                sourceLanguage: target.getAttribute('data-source-lang'),
+                targetLanguage: target.getAttribute('data-target-lang'),
+                context: decodeURIComponent(
+                    target.getAttribute('data-context') || ''
+                ),
+                subtitleType,
+            },
+        })
+    );
+
+    logWithFallback('debug', 'Word selection event dispatched (video paused)', {
+        word,
+        subtitleType,
+    });
+}
+
+/**
+ * Open the AI context modal for a word from the dictionary popover. The
+ * modal only takes selections while the video is paused.
+ * @param {HTMLElement} target - Interactive word span
+ */
+function openWordContext(target) {
+    const videoElement = document.querySelector('video');
+    if (videoElement && !videoElement.paused) {
+        videoElement.pause();
+    }
+    dispatchWordSelection(target);
+}
+
 /**
  * Handle hover events on interactive words
  * @param {Event} event - Mouse enter event
@@ -576,6 +604,7 @@ function handleInteractiveWordHover(event) {
         return;
     }
     target.classList.add('dualsub-interactive-word--hover');
+    scheduleDictionaryLookup(target, { onOpenContext: openWordContext });
 }
 
 /**
@@ -590,6 +619,7 @@ function handleInteractiveWordLeave(event) {
     }
 
     target.classList.remove('dualsub-interactive-word--hover');
+    scheduleDictionaryPopoverHide();
 }
 
 /**
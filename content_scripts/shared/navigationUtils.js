@@ -485,6 +485,11 @@ export class NavigationDetectionManager {
                     pathname.includes('/movies/') ||
                     pathname.includes('/series/')
                 );
+            case 'youtube':
+                return (
+                    pathname.startsWith('/watch') ||
+                    pathname.startsWith('/embed/')
+                );
             default:
                 return (
                     pathname.includes('/watch/') || pathname.includes('/video/')
@@ -778,6 +783,16 @@ export const PLATFORM_NAVIGATION_CONFIGS = {
             pathname.includes('/movies/') ||
             pathname.includes('/series/'),
     },
+
+    youtube: {
+        intervalMs: 1000,
+        useHistoryAPI: true,
+        usePopstateEvents: true,
+        useIntervalChecking: true,
+        useFocusEvents: true,
+        isPlayerPage: (pathname) =>
+            pathname.startsWith('/watch') || pathname.startsWith('/embed/'),
+    },
 };
 
 /**
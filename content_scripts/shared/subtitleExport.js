@@ -0,0 +1,328 @@
+/**
+ * Serializes the dual subtitle track of a video (original + translated
+ * lines, with the provider of each translation) into downloadable files.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+export const ExportFormats = {
+    VTT: 'vtt',
+    SRT: 'srt',
+    ASS: 'ass',
+    JSON: 'json',
+    ANKI: 'anki',
+};
+
+const FORMAT_FILES = {
+    [ExportFormats.VTT]: { extension: 'vtt', mimeType: 'text/vtt' },
+    [ExportFormats.SRT]: { extension: 'srt', mimeType: 'application/x-subrip' },
+    [ExportFormats.ASS]: { extension: 'ass', mimeType: 'text/x-ssa' },
+    [ExportFormats.JSON]: { extension: 'json', mimeType: 'application/json' },
+    [ExportFormats.ANKI]: {
+        extension: 'tsv',
+        mimeType: 'text/tab-separated-values',
+    },
+};
+
+/**
+ * @typedef {Object} DualCue
+ * @property {number} start - Start time in seconds
+ * @property {number} end - End time in seconds
+ * @property {string} original - Original line
+ * @property {string} translated - Translated line ('' if not translated yet)
+ * @property {string|null} provider - Translation provider ('official' for platform tracks)
+ */
+
+/**
+ * @typedef {Object} ExportMetadata
+ * @property {string} [title] - Video title
+ * @property {string} [videoId] - Platform video ID
+ * @property {string} [platform] - Platform name
+ * @property {string} [sourceLanguage] - Original language code
+ * @property {string} [targetLanguage] - Translation language code
+ * @property {string} [layoutOrder] - 'original_top' or 'translation_top' (ASS styles)
+ */
+
+/**
+ * Merge the subtitle queue of one video into a dual track. Queue entries
+ * from API translation carry both lines; native mode stores original and
+ * target cues separately, so each original cue is paired with the target
+ * cues it overlaps.
+ * @param {Array<Object>} queueCues - subtitleQueue entries of a single video
+ * @returns {DualCue[]} Cues sorted by start time
+ */
+export function buildDualTrack(queueCues) {
+    const originals = queueCues.filter((cue) => cue.original);
+    const targets = queueCues.filter(
+        (cue) => cue.cueType === 'target' && cue.translated
+    );
+
+    return originals
+        .map((cue) => {
+            if (!cue.useNativeTarget) {
+                return {
+                    start: cue.start,
+                    end: cue.end,
+                    original: cue.original,
+                    translated: cue.translated || '',
+                    provider: cue.translated ? cue.provider || null : null,
+                };
+            }
+
+            const overlapping = targets.filter(
+                (target) => target.start < cue.end && target.end > cue.start
+            );
+            return {
+                start: cue.start,
+                end: cue.end,
+                original: cue.original,
+                translated: overlapping
+                    .map((target) => target.translated)
+                    .join(' '),
+                provider: overlapping[0]?.provider || null,
+            };
+        })
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Serialize a dual track
+ * @param {DualCue[]} cues - Dual track
+ * @param {string} format - One of ExportFormats
+ * @param {ExportMetadata} [metadata] - Title and language metadata
+ * @returns {{content: string, mimeType: string, fileName: string}}
+ */
+export function serializeDualTrack(cues, format, metadata = {}) {
+    const file = FORMAT_FILES[format];
+    if (!file) {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    let content;
+    switch (format) {
+        case ExportFormats.SRT:
+            content = toSRT(cues);
+            break;
+        case ExportFormats.ASS:
+            content = toASS(cues, metadata);
+            break;
+        case ExportFormats.JSON:
+            content = toJSON(cues, metadata);
+            break;
+        case ExportFormats.ANKI:
+            content = toAnkiTSV(cues, metadata);
+            break;
+        default:
+            content = toVTT(cues, metadata);
+            break;
+    }
+
+    return {
+        content,
+        mimeType: file.mimeType,
+        fileName: `${slugify(metadata.title || metadata.videoId || 'subtitles')}.${metadata.targetLanguage || 'dual'}.${file.extension}`,
+    };
+}
+
+/**
+ * Start a browser download of a text file
+ * @param {string} content - File content
+ * @param {string} fileName - Download file name
+ * @param {string} mimeType - MIME type
+ */
+export function downloadTextFile(content, fileName, mimeType) {
+    const url = URL.createObjectURL(
+        new Blob([content], { type: `${mimeType};charset=utf-8` })
+    );
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * WebVTT with both lines per cue; the cue identifier names the provider
+ */
+function toVTT(cues, metadata) {
+    const header = [
+        `WEBVTT${metadata.title ? ` - ${singleLine(metadata.title)}` : ''}`,
+        '',
+        `NOTE\n${describeMetadata(metadata).join('\n')}`,
+    ];
+    const body = cues.map((cue, index) =>
+        [
+            `${index + 1}${cue.provider ? ` [${cue.provider}]` : ''}`,
+            `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+            escapeVtt(cue.original),
+            ...(cue.translated ? [escapeVtt(cue.translated)] : []),
+        ].join('\n')
+    );
+    return `${[...header, ...body].join('\n\n')}\n`;
+}
+
+/**
+ * Bilingual SubRip (original line above the translation). SRT has no
+ * comment syntax, so metadata and providers are not included.
+ */
+function toSRT(cues) {
+    return `${cues
+        .map((cue, index) =>
+            [
+                index + 1,
+                `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+                singleLine(cue.original),
+                ...(cue.translated ? [singleLine(cue.translated)] : []),
+            ].join('\n')
+        )
+        .join('\n\n')}\n`;
+}
+
+/**
+ * ASS with a top and a bottom style; the provider goes in the Name field
+ */
+function toASS(cues, metadata) {
+    const translationOnTop = metadata.layoutOrder === 'translation_top';
+    const [originalStyle, translatedStyle] = translationOnTop
+        ? ['Bottom', 'Top']
+        : ['Top', 'Bottom'];
+    const dialogue = (cue, style, text, name = '') =>
+        `Dialogue: 0,${formatAssTimestamp(cue.start)},${formatAssTimestamp(cue.end)},${style},${name},0,0,0,,${escapeAss(text)}`;
+
+    const lines = [
+        '[Script Info]',
+        `Title: ${singleLine(metadata.title || metadata.videoId || 'DualSub export')}`,
+        ...describeMetadata(metadata).map((line) => `; ${line}`),
+        'ScriptType: v4.00+',
+        'WrapStyle: 0',
+        'PlayResX: 1920',
+        'PlayResY: 1080',
+        '',
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+        'Style: Top,Arial,56,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,2,1,8,60,60,60,1',
+        'Style: Bottom,Arial,56,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,2,1,2,60,60,60,1',
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ];
+    for (const cue of cues) {
+        lines.push(dialogue(cue, originalStyle, cue.original));
+        if (cue.translated) {
+            lines.push(
+                dialogue(
+                    cue,
+                    translatedStyle,
+                    cue.translated,
+                    escapeAss(cue.provider || '')
+                )
+            );
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+function toJSON(cues, metadata) {
+    return `${JSON.stringify(
+        {
+            title: metadata.title || null,
+            videoId: metadata.videoId || null,
+            platform: metadata.platform || null,
+            sourceLanguage: metadata.sourceLanguage || null,
+            targetLanguage: metadata.targetLanguage || null,
+            exportedAt: new Date().toISOString(),
+            cues,
+        },
+        null,
+        2
+    )}\n`;
+}
+
+/**
+ * Tab-separated notes for Anki's text importer (header lines set the
+ * separator and column names; Anki 2.1.54+)
+ */
+function toAnkiTSV(cues, metadata) {
+    const source = singleLine(metadata.title || metadata.videoId || '');
+    const rows = cues
+        .filter((cue) => cue.translated)
+        .map((cue) =>
+            [
+                cue.original,
+                cue.translated,
+                formatTimestamp(cue.start, '.'),
+                formatTimestamp(cue.end, '.'),
+                cue.provider || '',
+                source,
+            ]
+                // Whitespace collapsing also removes tabs and newlines
+                .map(singleLine)
+                .join('\t')
+        );
+    return `${[
+        '#separator:tab',
+        '#html:false',
+        '#columns:Original\tTranslation\tStart\tEnd\tProvider\tSource',
+        ...rows,
+    ].join('\n')}\n`;
+}
+
+function describeMetadata(metadata) {
+    return [
+        metadata.title && `Title: ${singleLine(metadata.title)}`,
+        metadata.platform && `Platform: ${metadata.platform}`,
+        metadata.videoId && `Video ID: ${metadata.videoId}`,
+        (metadata.sourceLanguage || metadata.targetLanguage) &&
+            `Languages: ${metadata.sourceLanguage || '?'} -> ${metadata.targetLanguage || '?'}`,
+        'Exported by DualSub',
+    ].filter(Boolean);
+}
+
+function formatTimestamp(seconds, separator) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(secs, 2)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+function formatAssTimestamp(seconds) {
+    const totalCs = Math.max(0, Math.round(seconds * 100));
+    const hours = Math.floor(totalCs / 360000);
+    const minutes = Math.floor((totalCs % 360000) / 6000);
+    const secs = Math.floor((totalCs % 6000) / 100);
+    return `${hours}:${pad(minutes, 2)}:${pad(secs, 2)}.${pad(totalCs % 100, 2)}`;
+}
+
+function pad(value, length) {
+    return String(value).padStart(length, '0');
+}
+
+function singleLine(text) {
+    return String(text).replace(/\s+/g, ' ').trim();
+}
+
+function escapeVtt(text) {
+    return singleLine(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapeAss(text) {
+    // ASS has no escape for override braces
+    return singleLine(text).replace(/[{}]/g, '');
+}
+
+function slugify(text) {
+    return (
+        singleLine(text)
+            .replace(/[\\/:*?"<>|]+/g, '')
+            .replace(/\s+/g, '_')
+            .slice(0, 80) || 'subtitles'
+    );
+}
@@ -250,6 +250,16 @@ export class SubtitleProcessingManager {
                             platformData
                         );
                     break;
+                case 'youtube':
+                    this._logSubtitleProcessing(
+                        'debug',
+                        'Using YouTube-specific parsing logic.'
+                    );
+                    parsedCues =
+                        await this._parseYouTubeOfficialTranslations(
+                            platformData
+                        );
+                    break;
                 default:
                     this._logSubtitleProcessing(
                         'debug',
@@ -744,6 +754,121 @@ export class SubtitleProcessingManager {
         return maxOverlap > 0.1 ? bestCue : null;
     }
 
+    /**
+     * Estimates how far a translated track is shifted against the original track.
+     * Candidate shifts are scored by the overlap `_findBestOverlappingCue` finds
+     * for a sample of original cues; the pairs matched at the best shift then
+     * refine it with their median start difference.
+     * @param {Array} originalCues - The original cues (`start`/`end` in seconds).
+     * @param {Array} translatedCues - The translated cues (`start`/`end` in seconds).
+     * @param {Object} [options={}] - Search options.
+     * @param {number} [options.maxDrift=10] - The largest shift to try, in seconds.
+     * @param {number} [options.step=0.25] - The shift search resolution, in seconds.
+     * @param {number} [options.sampleSize=200] - The maximum number of original cues to sample.
+     * @param {number} [options.minMatchRatio=0.5] - The share of sampled cues that must match.
+     * @returns {{drift: number, matchRatio: number, matchedCount: number}|null}
+     *   The drift (positive when the translated track runs late), or `null` when too
+     *   few cues line up to trust it.
+     */
+    estimateTrackDrift(originalCues, translatedCues, options = {}) {
+        const {
+            maxDrift = 10,
+            step = 0.25,
+            sampleSize = 200,
+            minMatchRatio = 0.5,
+        } = options;
+        const isTimed = (cue) =>
+            Number.isFinite(cue?.start) &&
+            Number.isFinite(cue?.end) &&
+            cue.end > cue.start;
+
+        const originals = originalCues
+            .filter(isTimed)
+            .sort((a, b) => a.start - b.start);
+        const translated = translatedCues.filter(isTimed);
+        const stride = Math.max(1, Math.ceil(originals.length / sampleSize));
+
+        // Only translated cues within reach of any candidate shift are compared
+        const samples = originals
+            .filter((_, index) => index % stride === 0)
+            .map((cue) => ({
+                cue,
+                candidates: translated.filter(
+                    (candidate) =>
+                        candidate.end > cue.start - maxDrift &&
+                        candidate.start < cue.end + maxDrift
+                ),
+            }))
+            .filter(({ candidates }) => candidates.length > 0);
+        if (samples.length < 5) {
+            return null;
+        }
+
+        const matchAt = (shift) =>
+            samples
+                .map(({ cue, candidates }) => {
+                    const shifted = {
+                        start: cue.start + shift,
+                        end: cue.end + shift,
+                    };
+                    const match = this._findBestOverlappingCue(
+                        shifted,
+                        candidates
+                    );
+                    return match
+                        ? {
+                              cue,
+                              match,
+                              overlap:
+                                  Math.min(shifted.end, match.end) -
+                                  Math.max(shifted.start, match.start),
+                          }
+                        : null;
+                })
+                .filter(Boolean);
+
+        // Try shifts nearest to zero first so ties keep the smaller correction
+        let best = { shift: 0, pairs: [], score: 0 };
+        const steps = Math.round(maxDrift / step);
+        for (let i = 0; i <= steps * 2; i++) {
+            const shift = (i % 2 ? 1 : -1) * Math.ceil(i / 2) * step;
+            const pairs = matchAt(shift);
+            const score = pairs.reduce((sum, pair) => sum + pair.overlap, 0);
+            if (score > best.score) {
+                best = { shift, pairs, score };
+            }
+        }
+
+        const matchRatio = best.pairs.length / samples.length;
+        if (best.pairs.length < 5 || matchRatio < minMatchRatio) {
+            this._log('debug', 'Track drift estimate rejected.', {
+                shift: best.shift,
+                matchedCount: best.pairs.length,
+                sampleCount: samples.length,
+            });
+            return null;
+        }
+
+        const deltas = best.pairs
+            .map(({ cue, match }) => match.start - cue.start)
+            .sort((a, b) => a - b);
+        const middle = Math.floor(deltas.length / 2);
+        const median =
+            deltas.length % 2
+                ? deltas[middle]
+                : (deltas[middle - 1] + deltas[middle]) / 2;
+        // Cues split differently between tracks skew start times; keep the
+        // refinement within one search step of the best-scoring shift
+        const drift =
+            Math.abs(median - best.shift) <= step ? median : best.shift;
+
+        return {
+            drift: Math.round(drift * 1000) / 1000,
+            matchRatio,
+            matchedCount: best.pairs.length,
+        };
+    }
+
     /**
      * Translates cues using an API translation service.
      * @private
@@ -1051,6 +1176,146 @@ export class SubtitleProcessingManager {
         }
     }
 
+    /**
+     * Parses YouTube captions (including auto-translated tracks) from a
+     * timedtext response: json3 (object or JSON string), srv3 or srv1 (XML).
+     * @private
+     * @param {Object|string} platformData - The timedtext response.
+     * @returns {Promise<Array>} A promise that resolves to the parsed cues.
+     */
+    async _parseYouTubeOfficialTranslations(platformData) {
+        this._logSubtitleProcessing(
+            'debug',
+            'Starting YouTube official translation parsing.',
+            {
+                hasData: !!platformData,
+                dataType: typeof platformData,
+            }
+        );
+
+        try {
+            const data =
+                typeof platformData === 'string' &&
+                platformData.trim().startsWith('{')
+                    ? JSON.parse(platformData)
+                    : platformData;
+
+            let cues;
+            let rollingCaptions = false;
+            if (Array.isArray(data?.events)) {
+                cues = this._parseYouTubeJson3Events(data.events);
+                // Auto-generated captions append words to rolling lines
+                rollingCaptions = data.events.some((event) => event?.aAppend);
+            } else if (typeof data === 'string' && data.includes('<')) {
+                cues = this._parseYouTubeXmlCaptions(data);
+            } else {
+                this._logSubtitleProcessing(
+                    'warn',
+                    'YouTube platform data is not a json3 or XML timedtext response.',
+                    {
+                        dataType: typeof data,
+                        dataKeys:
+                            data && typeof data === 'object'
+                                ? Object.keys(data)
+                                : null,
+                    }
+                );
+                return [];
+            }
+
+            cues = cues
+                .filter((cue) => cue.text !== '' && cue.start < cue.end)
+                .sort((a, b) => a.start - b.start);
+
+            // Rolling lines stay on screen until the next line ends; clip
+            // them so only one line is shown at a time
+            if (rollingCaptions) {
+                for (let i = 0; i < cues.length - 1; i++) {
+                    const nextStart = cues[i + 1].start;
+                    if (nextStart > cues[i].start && nextStart < cues[i].end) {
+                        cues[i].end = nextStart;
+                    }
+                }
+            }
+
+            this._logSubtitleProcessing(
+                'info',
+                'YouTube official translation parsing completed.',
+                {
+                    parsedCueCount: cues.length,
+                    rollingCaptions,
+                }
+            );
+            return cues;
+        } catch (error) {
+            this._logSubtitleProcessing(
+                'error',
+                'Error in YouTube official translation parsing.',
+                {
+                    error: error.message,
+                    stack: error.stack,
+                    platformDataType: typeof platformData,
+                }
+            );
+            return [];
+        }
+    }
+
+    /**
+     * Converts json3 timedtext events (`tStartMs`, `dDurationMs`, `segs`) to cues.
+     * @private
+     * @param {Array<Object>} events - json3 events.
+     * @returns {Array<Object>} The cues.
+     */
+    _parseYouTubeJson3Events(events) {
+        return events
+            .filter((event) => Array.isArray(event?.segs))
+            .map((event) => {
+                const start = (event.tStartMs || 0) / 1000;
+                return {
+                    start,
+                    end: start + (event.dDurationMs || 0) / 1000,
+                    text: this._sanitizeText(
+                        event.segs.map((seg) => seg.utf8 || '').join('')
+                    ),
+                };
+            });
+    }
+
+    /**
+     * Converts srv3 (`<p t d>`, milliseconds) or srv1 (`<text start dur>`,
+     * seconds) timedtext XML to cues.
+     * @private
+     * @param {string} xmlText - timedtext XML.
+     * @returns {Array<Object>} The cues.
+     */
+    _parseYouTubeXmlCaptions(xmlText) {
+        const doc = new DOMParser().parseFromString(xmlText, 'text/xml');
+        const paragraphs = Array.from(doc.getElementsByTagName('p'));
+        if (paragraphs.length > 0) {
+            return paragraphs.map((p) => {
+                const start = parseFloat(p.getAttribute('t') || '0') / 1000;
+                return {
+                    start,
+                    end: start + parseFloat(p.getAttribute('d') || '0') / 1000,
+                    text: this._sanitizeText(p.textContent),
+                };
+            });
+        }
+
+        // srv1 text is HTML-escaped a second time inside the XML
+        const decoder = document.createElement('textarea');
+        return Array.from(doc.getElementsByTagName('text')).map((node) => {
+            const start = parseFloat(node.getAttribute('start') || '0');
+            decoder.innerHTML = node.textContent;
+            return {
+                start,
+                end: start + parseFloat(node.getAttribute('dur') || '0'),
+                text: this._sanitizeText(decoder.value),
+            };
+        });
+    }
+
     /**
      * Parses generic official translations.
      * @private
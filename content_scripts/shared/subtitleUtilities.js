@@ -7,6 +7,13 @@
  */
 
 import { COMMON_CONSTANTS } from '../core/constants.js';
+import { getSubtitleTrackStyle } from '../../utils/subtitleStyle.js';
+import {
+    createRubyAnnotator,
+    getPronunciation,
+    getReadingTarget,
+    renderReadingRow,
+} from '../../utils/pronunciation.js';
 
 // Logger instance for subtitle utilities
 let utilsLogger = null;
@@ -230,6 +237,9 @@ export async function initializeInteractiveSubtitleFeatures(config = {}) {
         const loadingUrl = chrome.runtime.getURL(
             'content_scripts/shared/contextLoadingStates.js'
         );
+        const segmentationUrl = chrome.runtime.getURL(
+            'content_scripts/shared/dictionarySegmentation.js'
+        );
 
         // Dynamically import interactive modules (legacy AI context system removed)
         const [
@@ -240,7 +250,12 @@ export async function initializeInteractiveSubtitleFeatures(config = {}) {
                 setInteractiveEnabled,
             },
             { initializeLoadingStates },
-        ] = await Promise.all([import(formatterUrl), import(loadingUrl)]);
+            { initializeDictionarySegmentation },
+        ] = await Promise.all([
+            import(formatterUrl),
+            import(loadingUrl),
+            import(segmentationUrl),
+        ]);
 
         // Initialize all interactive components with enabled state
         const interactiveConfig = {
@@ -252,6 +267,9 @@ export async function initializeInteractiveSubtitleFeatures(config = {}) {
 
         initializeInteractiveSubtitles(interactiveConfig);
         initializeLoadingStates(config.loadingStates || {});
+        // Optional Japanese segmentation on imported dictionary headwords;
+        // lines use Intl.Segmenter until the headwords are loaded
+        initializeDictionarySegmentation();
 
         // Note: AI Context features are now handled by the new modular system
         // in content_scripts/aicontext/ and initialized by platform content scripts
@@ -363,6 +381,10 @@ export let subtitleContainer = null;
 export let originalSubtitleElement = null;
 export let translatedSubtitleElement = null;
 export let subtitlesActive = true;
+// Session-only: hides the translated line without turning subtitles off
+export let translationHidden = false;
+// Text signature of the translated line revealed while blurred
+let translationRevealedSig = null;
 export let subtitleQueue = [];
 export let processingQueue = false;
 
@@ -383,6 +405,32 @@ export let lastLoggedTimeSec = -1;
 export let timeUpdateLogCounter = 0;
 export const TIME_UPDATE_LOG_INTERVAL = 30;
 
+// Whole-track prefetch through the shared BatchTranslationQueue
+const PREFETCH_SEEK_THRESHOLD = 5; // seconds jumped between updates that count as a seek
+const PREFETCH_REPRIORITIZE_INTERVAL = 30; // seconds of playback between re-rankings
+let prefetchQueuePromise = null;
+let prefetchVideoId = null;
+let prefetchAnchorTime = null;
+let prefetchLastTime = null;
+const prefetchPendingKeys = new Set();
+
+// Readings of kanji / hanzi lines from the batch translation path, keyed
+// by reading target and text (null when the request failed)
+const READING_LOOKAHEAD_CUES = 8;
+const readingCache = new Map();
+const pendingReadingKeys = new Set();
+
+// User-supplied subtitle files standing in for platform tracks (per video)
+let localSubtitleTracks = { videoId: null, original: null, target: null };
+let lastPlatformSubtitleData = null;
+
+// Per-video track offsets (subtitleSyncOffsets) and their on-screen indicator
+const MAX_SYNC_OFFSET = 60; // seconds, either direction
+const MAX_SYNC_OFFSET_ENTRIES = 200; // videos remembered
+const SYNC_INDICATOR_DURATION = 1500; // ms
+let syncIndicatorElement = null;
+let syncIndicatorTimeoutId = null;
+
 // Navigation guarding to prevent stale subtitles during soft navigations
 let lastKnownLocationHref =
     typeof window !== 'undefined' && window.location
@@ -401,6 +449,37 @@ export function setSubtitlesActive(active) {
     subtitlesActive = active;
 }
 
+/**
+ * Unblur the translated line shown now (study mode); the next line is
+ * blurred again
+ * @returns {boolean} Whether there was a line to reveal
+ */
+export function revealTranslation() {
+    if (!translatedSubtitleElement?.innerHTML) {
+        return false;
+    }
+    translationRevealedSig = translatedSubtitleElement.dataset.textSig || '';
+    translatedSubtitleElement.classList.remove('dualsub-translation-blurred');
+    return true;
+}
+
+export function setTranslationHidden(hidden) {
+    translationHidden = !!hidden;
+    if (translatedSubtitleElement) {
+        translatedSubtitleElement.style.visibility = translationHidden
+            ? 'hidden'
+            : 'visible';
+    }
+}
+
+/**
+ * Format a subtitle line as HTML: escaping, interactive word spans and
+ * pronunciation aids (ruby over the words or a reading row above them)
+ * @param {string} text - Subtitle text
+ * @param {Object} [options] - Formatting options
+ * @param {{mode: string, annotations: Array, line: string}|null} [options.pronunciation] - Aids from getSubtitlePronunciation
+ * @returns {string} HTML
+ */
 export function formatSubtitleTextForDisplay(text, options = {}) {
     if (!text) return '';
 
@@ -409,6 +488,14 @@ export function formatSubtitleTextForDisplay(text, options = {}) {
         .replace(/&/g, '&amp;')
         .replace(/</g, '&lt;')
         .replace(/>/g, '&gt;');
+    const escapedText = formattedText;
+
+    const { pronunciation, ...formatOptions } = options;
+    const rubyAnnotations =
+        pronunciation?.mode === 'ruby' ? pronunciation.annotations : [];
+    if (rubyAnnotations.length > 0) {
+        formatOptions.annotate = createRubyAnnotator(rubyAnnotations);
+    }
 
     // Add interactive elements if enabled and modules are loaded
     if (
@@ -420,7 +507,7 @@ export function formatSubtitleTextForDisplay(text, options = {}) {
             const originalLength = formattedText.length;
             formattedText = window.dualsub_formatInteractiveSubtitleText(
                 formattedText,
-                options
+                formatOptions
             );
             const hasInteractiveSpans = formattedText.includes(
                 'dualsub-interactive-word'
@@ -444,6 +531,11 @@ export function formatSubtitleTextForDisplay(text, options = {}) {
                     text: text.substring(0, 50),
                 }
             );
+            formattedText = escapedText;
+            if (rubyAnnotations.length > 0) {
+                formattedText =
+                    createRubyAnnotator(rubyAnnotations)(formattedText);
+            }
         }
     } else {
         logWithFallback('debug', 'Interactive formatting skipped', {
@@ -454,11 +546,123 @@ export function formatSubtitleTextForDisplay(text, options = {}) {
             subtitleType: options.subtitleType,
             text: text.substring(0, 30),
         });
+        if (formatOptions.annotate) {
+            formattedText = formatOptions.annotate(formattedText);
+        }
+    }
+
+    if (pronunciation?.mode === 'row' && pronunciation.line) {
+        formattedText = renderReadingRow(pronunciation.line) + formattedText;
     }
 
     return formattedText;
 }
 
+/**
+ * Pronunciation aids for the original line per the `pronunciationMode`
+ * setting. Kana and hangul are converted offline; readings of kanji and
+ * hanzi are requested once per line and show up on a later update.
+ * @param {Object} cue - Active original cue
+ * @param {string} language - Language of the original line
+ * @param {Object} config - Current configuration
+ * @returns {{mode: string, language: string, annotations: Array, line: string}|null}
+ */
+function getSubtitlePronunciation(cue, language, config) {
+    const mode = config.pronunciationMode;
+    const text = cue?.original || '';
+    if (!text.trim() || !mode || mode === 'off') return null;
+
+    let reading = null;
+    const readingTarget = getReadingTarget(text, language);
+    if (readingTarget) {
+        const key = `${readingTarget}:${text}`;
+        if (readingCache.has(key)) {
+            reading = readingCache.get(key);
+        } else if (!pendingReadingKeys.has(key)) {
+            requestReadings(cue, readingTarget, language, config);
+        }
+    }
+
+    const pronunciation = getPronunciation(text, language, {
+        style: config.pronunciationJapaneseStyle,
+        reading,
+    });
+    return pronunciation ? { mode, ...pronunciation } : null;
+}
+
+/**
+ * Request readings for a cue and the next few cues that need the same
+ * reading target in one batch translation call
+ * @param {Object} cue - Active original cue
+ * @param {string} readingTarget - Key of READING_TARGETS
+ * @param {string} language - Language of the original line
+ * @param {Object} config - Current configuration
+ */
+function requestReadings(cue, readingTarget, language, config) {
+    if (!chrome?.runtime?.sendMessage) return;
+
+    const cues = [cue];
+    for (const upcoming of subtitleQueue) {
+        if (cues.length > READING_LOOKAHEAD_CUES) break;
+        if (
+            upcoming.videoId === cue.videoId &&
+            upcoming.start > cue.start &&
+            upcoming.original &&
+            getReadingTarget(upcoming.original, language) === readingTarget
+        ) {
+            cues.push(upcoming);
+        }
+    }
+
+    const batch = [];
+    for (const { original, start, videoId } of cues) {
+        const key = `${readingTarget}:${original}`;
+        if (readingCache.has(key) || pendingReadingKeys.has(key)) continue;
+        pendingReadingKeys.add(key);
+        batch.push({ key, original, start, videoId });
+    }
+    if (batch.length === 0) return;
+
+    const settle = (readings = []) => {
+        batch.forEach(({ key }, index) => {
+            pendingReadingKeys.delete(key);
+            readingCache.set(key, readings[index] || null);
+        });
+    };
+
+    try {
+        chrome.runtime.sendMessage(
+            {
+                action: 'translateBatch',
+                texts: batch.map(({ original }) => original),
+                delimiter: '|SUBTITLE_BREAK|',
+                targetLang: readingTarget,
+                batchId: `readings_${Date.now()}`,
+                cueMetadata: batch.map(({ start, videoId }) => ({
+                    start,
+                    videoId,
+                })),
+                provider: config.pronunciationProvider || undefined,
+            },
+            (response) => {
+                if (chrome.runtime.lastError || !response?.success) {
+                    logWithFallback('debug', 'Reading request failed.', {
+                        readingTarget,
+                        error:
+                            chrome.runtime.lastError?.message ||
+                            response?.error,
+                    });
+                    settle();
+                    return;
+                }
+                settle(response.translations);
+            }
+        );
+    } catch (_) {
+        settle();
+    }
+}
+
 export function parseVTT(vttString) {
     if (!vttString || !vttString.trim().toUpperCase().startsWith('WEBVTT')) {
         logWithFallback(
@@ -500,12 +704,7 @@ export function parseVTT(vttString) {
         const start = parseTimestampToSeconds(startTimeStr);
         const end = parseTimestampToSeconds(endTimeStr);
 
-        const text = textLines
-            .join(' ')
-            .replace(/<br\s*\/?>/gi, ' ')
-            .replace(/<[^>]*>/g, '')
-            .replace(/\s+/g, ' ')
-            .trim();
+        const text = sanitizeSubtitleText(textLines.join(' '));
 
         if (text && !Number.isNaN(start) && !Number.isNaN(end)) {
             cues.push({ start, end, text });
@@ -514,6 +713,20 @@ export function parseVTT(vttString) {
     return cues;
 }
 
+/**
+ * Reduce cue text to a single plain line (line breaks and markup removed)
+ * @param {string} text - Raw cue text
+ * @returns {string}
+ */
+export function sanitizeSubtitleText(text) {
+    if (typeof text !== 'string') return '';
+    return text
+        .replace(/<br\s*\/?>/gi, ' ')
+        .replace(/<[^>]*>/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
 export function parseTimestampToSeconds(timestamp) {
     const parts = timestamp.split(':');
     let seconds = 0;
@@ -581,14 +794,11 @@ export function applySubtitleStyling(config) {
         return;
     }
 
-    const elements = [originalSubtitleElement, translatedSubtitleElement];
-    elements.forEach((el) => {
-        // Preserve existing colors and background from platform-specific styling
-        const existingColor = el.style.color;
-        const existingBackground = el.style.backgroundColor;
-        const existingTextShadow = el.style.textShadow;
-        const existingBorderRadius = el.style.borderRadius;
-
+    const tracks = [
+        [originalSubtitleElement, 'original'],
+        [translatedSubtitleElement, 'translated'],
+    ];
+    tracks.forEach(([el, track]) => {
         Object.assign(el.style, {
             padding: '0.2em 0.5em',
             lineHeight: '1.3',
@@ -597,7 +807,14 @@ export function applySubtitleStyling(config) {
             textOverflow: 'clip',
             marginBottom: '0',
             marginRight: '0',
-            fontSize: `${config.subtitleFontSize}vw`,
+            // Font, size ratio, color, edge and background of this track
+            ...getSubtitleTrackStyle(config, track),
+            borderRadius: '4px',
+            // Keeps the hidden translation's space so the original stays put
+            visibility:
+                track === 'translated' && translationHidden
+                    ? 'hidden'
+                    : 'visible',
             display: 'inline-block',
             width: 'auto',
             textAlign: 'center',
@@ -612,14 +829,16 @@ export function applySubtitleStyling(config) {
         // Force consistent margins with !important to override any external CSS
         el.style.setProperty('margin-bottom', '0', 'important');
         el.style.setProperty('margin-top', '0', 'important');
-
-        // Restore platform-specific styling
-        if (existingColor) el.style.color = existingColor;
-        if (existingBackground) el.style.backgroundColor = existingBackground;
-        if (existingTextShadow) el.style.textShadow = existingTextShadow;
-        if (existingBorderRadius) el.style.borderRadius = existingBorderRadius;
     });
 
+    // Study mode: blurred until hovered (content.css) or revealed by hotkey
+    translatedSubtitleElement.classList.toggle(
+        'dualsub-translation-blurred',
+        !!config.studyBlurTranslation &&
+            translationRevealedSig !==
+                (translatedSubtitleElement.dataset.textSig || '')
+    );
+
     // Inject CSS for interactive elements if not already present
     if (!document.getElementById('dualsub-interactive-css')) {
         const style = document.createElement('style');
@@ -876,20 +1095,6 @@ export function ensureSubtitleContainer(
     translatedSubtitleElement = document.createElement('div');
     translatedSubtitleElement.id = 'dualsub-translated-subtitle';
 
-    Object.assign(originalSubtitleElement.style, {
-        color: 'white',
-        backgroundColor: 'rgba(0, 0, 0, 0.6)',
-        textShadow: '1px 1px 2px black, 0 0 3px black',
-        borderRadius: '4px',
-    });
-
-    Object.assign(translatedSubtitleElement.style, {
-        color: '#00FFFF',
-        backgroundColor: 'rgba(0, 0, 0, 0.6)',
-        textShadow: '1px 1px 2px black, 0 0 3px black',
-        borderRadius: '4px',
-    });
-
     subtitleContainer.appendChild(originalSubtitleElement);
     subtitleContainer.appendChild(translatedSubtitleElement);
 
@@ -1321,7 +1526,21 @@ export function updateSubtitles(
         return;
     }
 
-    const currentTime = rawCurrentTime + config.subtitleTimeOffset;
+    const platformVideoId = activePlatform
+        ? activePlatform.getCurrentVideoId()
+        : null;
+
+    // Original and native target cues are matched against separately offset
+    // clocks so each track can be shifted on its own for this video.
+    const syncOffsets = getSubtitleSyncOffsets(config, platformVideoId);
+    const currentTime =
+        rawCurrentTime + config.subtitleTimeOffset + syncOffsets.original;
+    const targetTime =
+        rawCurrentTime + config.subtitleTimeOffset + syncOffsets.translated;
+
+    if (prefetchVideoId) {
+        notePrefetchPlayhead(currentTime, activePlatform, config, logPrefix);
+    }
 
     if (
         !originalSubtitleElement ||
@@ -1361,10 +1580,6 @@ export function updateSubtitles(
     let originalActiveCue = null;
     let translatedActiveCue = null;
 
-    const platformVideoId = activePlatform
-        ? activePlatform.getCurrentVideoId()
-        : null;
-
     // Detect SPA navigation via URL change and temporarily suppress rendering
     const currentHref =
         typeof window !== 'undefined' && window.location
@@ -1419,10 +1634,11 @@ export function updateSubtitles(
         ) {
             continue;
         }
+        const cueTime = cue.cueType === 'target' ? targetTime : currentTime;
         if (
             cue.videoId === platformVideoId &&
-            currentTime >= cue.start &&
-            currentTime <= cue.end
+            cueTime >= cue.start &&
+            cueTime <= cue.end
         ) {
             activeCues.push(cue);
         }
@@ -1567,19 +1783,37 @@ export function updateSubtitles(
             );
         }
 
+        // Interactive word segmentation follows the language of each line
+        const subtitleSourceLanguage =
+            (originalActiveCue?.sourceLanguage !== 'unknown' &&
+                originalActiveCue?.sourceLanguage) ||
+            config.originalLanguage ||
+            'unknown';
+        const subtitleTargetLanguage = config.targetLanguage || 'unknown';
+
+        const originalPronunciation = getSubtitlePronunciation(
+            originalActiveCue,
+            subtitleSourceLanguage,
+            config
+        );
         const originalTextFormatted = formatSubtitleTextForDisplay(
             originalText,
             {
-                sourceLanguage: config.sourceLanguage || 'unknown',
-                targetLanguage: config.targetLanguage || 'unknown',
+                sourceLanguage: subtitleSourceLanguage,
+                targetLanguage: subtitleTargetLanguage,
                 subtitleType: 'original',
+                pronunciation: originalPronunciation,
             }
         );
+        // Readings arrive after the text, so they are part of its signature
+        const originalSig = originalPronunciation
+            ? `${computeTextSignature(originalText)}|${originalPronunciation.mode}|${originalPronunciation.line}`
+            : computeTextSignature(originalText);
         const translatedTextFormatted = formatSubtitleTextForDisplay(
             translatedText,
             {
-                sourceLanguage: config.sourceLanguage || 'unknown',
-                targetLanguage: config.targetLanguage || 'unknown',
+                sourceLanguage: subtitleSourceLanguage,
+                targetLanguage: subtitleTargetLanguage,
                 subtitleType: 'translated',
             }
         );
@@ -1618,7 +1852,7 @@ export function updateSubtitles(
 
         if (useNativeTarget) {
             if (originalText.trim()) {
-                const newSig = computeTextSignature(originalText);
+                const newSig = originalSig;
                 const prevSig = originalSubtitleElement.dataset.textSig || '';
                 if (
                     newSig !== prevSig ||
@@ -1694,7 +1928,7 @@ export function updateSubtitles(
             }
         } else {
             if (originalText.trim()) {
-                const newSig = computeTextSignature(originalText);
+                const newSig = originalSig;
                 const prevSig = originalSubtitleElement.dataset.textSig || '';
                 if (
                     newSig !== prevSig ||
@@ -1779,10 +2013,8 @@ export function updateSubtitles(
                         window.dualsub_attachInteractiveEventListeners(
                             originalSubtitleElement,
                             {
-                                sourceLanguage:
-                                    config.sourceLanguage || 'unknown',
-                                targetLanguage:
-                                    config.targetLanguage || 'unknown',
+                                sourceLanguage: subtitleSourceLanguage,
+                                targetLanguage: subtitleTargetLanguage,
                                 subtitleType: 'original',
                             }
                         );
@@ -1868,6 +2100,9 @@ export function clearSubtitlesDisplayAndQueue(
         });
     }
 
+    stopTrackPrefetch();
+    readingCache.clear();
+
     if (originalSubtitleElement) originalSubtitleElement.innerHTML = '';
     if (translatedSubtitleElement) translatedSubtitleElement.innerHTML = '';
 
@@ -1942,6 +2177,11 @@ export function handleSubtitleDataFound(
         });
     }
 
+    if (!subtitleData.isLocalOnly) {
+        lastPlatformSubtitleData = subtitleData;
+    }
+    subtitleData = applyLocalSubtitleTracks(subtitleData, logPrefix);
+
     ensureSubtitleContainer(activePlatform, config, logPrefix);
     const parsedOriginalCues = parseVTT(subtitleData.vttText);
 
@@ -2019,6 +2259,7 @@ export function handleSubtitleDataFound(
                     sourceLanguage: subtitleData.sourceLanguage || 'unknown',
                     targetLanguage: subtitleData.targetLanguage || null,
                     cueType: 'target',
+                    provider: subtitleData.targetSource || 'official',
                 });
             });
 
@@ -2104,7 +2345,12 @@ export function handleSubtitleDataFound(
         }
 
         if (!useNativeTarget && parsedOriginalCues.length > 0) {
-            processSubtitleQueue(activePlatform, config, logPrefix);
+            requestTranslationMemoryWarmup(currentVideoId, logPrefix);
+            if (config.translationPrefetchEnabled === true) {
+                startTrackPrefetch(activePlatform, config, logPrefix);
+            } else {
+                processSubtitleQueue(activePlatform, config, logPrefix);
+            }
         }
 
         // Ensure subtitle display is updated regardless of mode
@@ -2138,6 +2384,593 @@ export function handleSubtitleDataFound(
     }
 }
 
+/**
+ * Ask the background to preload remembered translations for a video so
+ * cues that were translated in an earlier session are served locally.
+ * Fire-and-forget: translation falls back to the persistent store anyway.
+ * @param {string} videoId - Video identifier
+ * @param {string} logPrefix - Log prefix
+ */
+function requestTranslationMemoryWarmup(videoId, logPrefix) {
+    if (!videoId || !chrome?.runtime?.sendMessage) return;
+    try {
+        chrome.runtime.sendMessage(
+            { action: 'warmupTranslationMemory', videoId },
+            (response) => {
+                if (chrome.runtime.lastError) return;
+                logWithFallback('debug', 'Translation memory warmup done.', {
+                    logPrefix,
+                    videoId,
+                    warmed: response?.warmed,
+                });
+            }
+        );
+    } catch (_) {}
+}
+
+/**
+ * Load the batch queue used for whole-track prefetch (once per page)
+ * @returns {Promise<Object>} BatchTranslationQueue instance
+ */
+function loadPrefetchQueue() {
+    if (!prefetchQueuePromise) {
+        prefetchQueuePromise = import(
+            chrome.runtime.getURL(
+                'content_scripts/shared/batchTranslationQueue.js'
+            )
+        )
+            .then(async ({ batchTranslationQueue }) => {
+                await batchTranslationQueue.initialize();
+                return batchTranslationQueue;
+            })
+            .catch((error) => {
+                prefetchQueuePromise = null;
+                throw error;
+            });
+    }
+    return prefetchQueuePromise;
+}
+
+function getPrefetchKey(cue) {
+    return `${cue.videoId}|${cue.start}|${cue.original}`;
+}
+
+function findQueuedCue(cue) {
+    return subtitleQueue.find(
+        (c) =>
+            c.videoId === cue.videoId &&
+            c.start === cue.start &&
+            c.original === cue.original
+    );
+}
+
+/**
+ * Queue every untranslated cue of the current video for background
+ * translation, ranked around the playhead. Falls back to on-demand
+ * translation if the queue cannot be loaded.
+ * @param {Object} activePlatform - Active platform instance
+ * @param {Object} config - Current configuration
+ * @param {string} logPrefix - Log prefix
+ */
+async function startTrackPrefetch(activePlatform, config, logPrefix) {
+    let queue;
+    try {
+        queue = await loadPrefetchQueue();
+    } catch (error) {
+        logWithFallback(
+            'warn',
+            'Prefetch queue unavailable, translating on demand.',
+            { logPrefix, error: error.message }
+        );
+        processSubtitleQueue(activePlatform, config, logPrefix);
+        return;
+    }
+
+    const videoId = currentVideoId;
+    const cues = subtitleQueue.filter(
+        (cue) =>
+            cue.videoId === videoId &&
+            cue.original &&
+            !cue.translated &&
+            !cue.useNativeTarget &&
+            !prefetchPendingKeys.has(getPrefetchKey(cue))
+    );
+    if (!videoId || cues.length === 0) return;
+
+    const videoElement = activePlatform?.getVideoElement?.();
+    const currentTime =
+        (videoElement?.currentTime || 0) +
+        (config.subtitleTimeOffset || 0) +
+        getSubtitleSyncOffsets(config, videoId).original;
+
+    prefetchVideoId = videoId;
+    prefetchAnchorTime = currentTime;
+    prefetchLastTime = currentTime;
+    cues.forEach((cue) => prefetchPendingKeys.add(getPrefetchKey(cue)));
+
+    logWithFallback('info', 'Prefetching subtitle track translations.', {
+        logPrefix,
+        videoId,
+        cueCount: cues.length,
+        currentTime,
+    });
+
+    queue
+        .addCuesToBatch(
+            cues.map(({ original, start, end }) => ({
+                original,
+                start,
+                end,
+                videoId,
+            })),
+            {
+                currentTime,
+                targetLanguage: config.targetLanguage,
+                showInfo: activePlatform?.getShowInfo?.() || null,
+                provider: config.selectedProvider,
+                prefetch: true,
+                shouldTranslate: (cue) => {
+                    const queued = findQueuedCue(cue);
+                    const needed =
+                        subtitlesActive &&
+                        cue.videoId === currentVideoId &&
+                        !!queued &&
+                        !queued.translated;
+                    if (!needed) {
+                        prefetchPendingKeys.delete(getPrefetchKey(cue));
+                    }
+                    return needed;
+                },
+                onCueTranslated: (cue) => {
+                    prefetchPendingKeys.delete(getPrefetchKey(cue));
+                    const queued = findQueuedCue(cue);
+                    if (queued && !queued.translated) {
+                        queued.translated = cue.translated;
+                        queued.provider = cue.provider || null;
+                    }
+                },
+                onCueFailed: (cue, error) => {
+                    prefetchPendingKeys.delete(getPrefetchKey(cue));
+                    const queued = findQueuedCue(cue);
+                    if (queued && !queued.translated) {
+                        queued.translated = getLocalizedErrorMessage(
+                            'TRANSLATION_API_ERROR',
+                            error?.message
+                        );
+                    }
+                },
+            }
+        )
+        .catch((error) => {
+            logWithFallback('error', 'Subtitle prefetch failed.', {
+                logPrefix,
+                videoId,
+                error: error.message,
+            });
+        });
+}
+
+/**
+ * Track the playhead for prefetch: re-rank pending cues after a seek or
+ * after enough playback, and re-queue cues that are still untranslated
+ * @param {number} currentTime - Offset-adjusted playback time in seconds
+ * @param {Object} activePlatform - Active platform instance
+ * @param {Object} config - Current configuration
+ * @param {string} logPrefix - Log prefix
+ */
+function notePrefetchPlayhead(currentTime, activePlatform, config, logPrefix) {
+    const seeked =
+        prefetchLastTime !== null &&
+        Math.abs(currentTime - prefetchLastTime) > PREFETCH_SEEK_THRESHOLD;
+    prefetchLastTime = currentTime;
+
+    if (
+        !seeked &&
+        Math.abs(currentTime - prefetchAnchorTime) <
+            PREFETCH_REPRIORITIZE_INTERVAL
+    ) {
+        return;
+    }
+    prefetchAnchorTime = currentTime;
+
+    if (seeked) {
+        logWithFallback('debug', 'Seek detected, reprioritizing prefetch.', {
+            logPrefix,
+            currentTime,
+        });
+    }
+
+    loadPrefetchQueue()
+        .then((queue) => {
+            queue.reprioritize(currentTime);
+            startTrackPrefetch(activePlatform, config, logPrefix);
+        })
+        .catch(() => {});
+}
+
+/**
+ * Drop all pending prefetch work (video change or queue reset)
+ */
+function stopTrackPrefetch() {
+    if (!prefetchVideoId && prefetchPendingKeys.size === 0) return;
+    prefetchVideoId = null;
+    prefetchAnchorTime = null;
+    prefetchLastTime = null;
+    prefetchPendingKeys.clear();
+    prefetchQueuePromise?.then((queue) => queue.clearQueue()).catch(() => {});
+}
+
+/**
+ * Use a user-supplied subtitle file as the original or target track of the
+ * current video
+ * @param {'original'|'target'} track - Track to replace
+ * @param {string} vttText - Parsed file content as VTT
+ * @param {string} [fileName] - File name, for status display
+ */
+export function setLocalSubtitleTrack(track, vttText, fileName = '') {
+    if (track !== 'original' && track !== 'target') {
+        throw new Error(`Unknown subtitle track: ${track}`);
+    }
+    if (localSubtitleTracks.videoId !== currentVideoId) {
+        localSubtitleTracks = {
+            videoId: currentVideoId,
+            original: null,
+            target: null,
+        };
+    }
+    localSubtitleTracks[track] = { vttText, fileName };
+}
+
+/**
+ * Drop user-supplied subtitle files and return to the platform tracks
+ */
+export function clearLocalSubtitleTracks() {
+    localSubtitleTracks = { videoId: null, original: null, target: null };
+}
+
+/**
+ * File names of the user-supplied tracks for the current video
+ * @returns {{original: string|null, target: string|null}}
+ */
+export function getLocalSubtitleTracks() {
+    const active = localSubtitleTracks.videoId === currentVideoId;
+    return {
+        original: active ? localSubtitleTracks.original?.fileName || '' : null,
+        target: active ? localSubtitleTracks.target?.fileName || '' : null,
+    };
+}
+
+/**
+ * Replace platform tracks in subtitle data with user-supplied files. A
+ * local target track is shown as-is, like an official translation.
+ * @param {Object} subtitleData - Subtitle data from the platform
+ * @param {string} logPrefix - Log prefix
+ * @returns {Object} Subtitle data to process
+ */
+function applyLocalSubtitleTracks(subtitleData, logPrefix) {
+    if (localSubtitleTracks.videoId !== subtitleData.videoId) {
+        return subtitleData;
+    }
+    const { original, target } = localSubtitleTracks;
+    if (!original && !target) {
+        return subtitleData;
+    }
+
+    logWithFallback('info', 'Using local subtitle files.', {
+        logPrefix,
+        original: original?.fileName || null,
+        target: target?.fileName || null,
+    });
+
+    return {
+        ...subtitleData,
+        ...(original && { vttText: original.vttText }),
+        ...(target && {
+            targetVttText: target.vttText,
+            useNativeTarget: true,
+            targetSource: 'local_file',
+        }),
+    };
+}
+
+/**
+ * Re-run subtitle processing after a local file was loaded or cleared,
+ * reusing the last platform data (or the local original track alone)
+ * @param {Object} activePlatform - Active platform instance
+ * @param {Object} config - Current configuration
+ * @param {string} logPrefix - Log prefix
+ * @returns {boolean} False if there is nothing to show yet
+ */
+export function reloadSubtitlesWithLocalTracks(
+    activePlatform,
+    config,
+    logPrefix = 'SubtitleUtils'
+) {
+    if (!currentVideoId && activePlatform) {
+        currentVideoId = activePlatform.getCurrentVideoId();
+    }
+
+    let subtitleData =
+        lastPlatformSubtitleData?.videoId === currentVideoId
+            ? lastPlatformSubtitleData
+            : null;
+    if (
+        !subtitleData &&
+        localSubtitleTracks.videoId === currentVideoId &&
+        localSubtitleTracks.original
+    ) {
+        subtitleData = {
+            videoId: currentVideoId,
+            vttText: localSubtitleTracks.original.vttText,
+            selectedLanguage: {
+                normalizedCode: config.originalLanguage,
+                displayName: localSubtitleTracks.original.fileName,
+            },
+            isLocalOnly: true,
+        };
+    }
+    if (!subtitleData) {
+        return false;
+    }
+
+    stopTrackPrefetch();
+    if (originalSubtitleElement) originalSubtitleElement.innerHTML = '';
+    if (translatedSubtitleElement) translatedSubtitleElement.innerHTML = '';
+    lastDisplayedCueWindow = { start: null, end: null, videoId: null };
+
+    handleSubtitleDataFound(subtitleData, activePlatform, config, logPrefix);
+    return true;
+}
+
+/**
+ * Offsets of the original and translated tracks for one video, in seconds.
+ * They are added on top of the global subtitleTimeOffset.
+ * @param {Object} config - Current configuration
+ * @param {string|null} videoId - Platform video ID
+ * @returns {{original: number, translated: number}}
+ */
+export function getSubtitleSyncOffsets(config, videoId) {
+    const entry =
+        videoId != null ? config?.subtitleSyncOffsets?.[videoId] : null;
+    return {
+        original: Number.isFinite(entry?.original) ? entry.original : 0,
+        translated: Number.isFinite(entry?.translated) ? entry.translated : 0,
+    };
+}
+
+/**
+ * Build a new subtitleSyncOffsets map with the offsets of one video
+ * replaced. Offsets are clamped and rounded to milliseconds; videos back at
+ * zero are dropped and only the most recently adjusted videos are kept.
+ * @param {Object} syncOffsets - Current subtitleSyncOffsets map
+ * @param {string} videoId - Platform video ID
+ * @param {{original?: number, translated?: number}} offsets - New offsets
+ * @returns {Object} Updated map
+ */
+export function updateSubtitleSyncOffsets(syncOffsets, videoId, offsets) {
+    const normalize = (value) =>
+        Math.round(
+            Math.min(MAX_SYNC_OFFSET, Math.max(-MAX_SYNC_OFFSET, value || 0)) *
+                1000
+        ) / 1000;
+    const { [videoId]: previous, ...others } = syncOffsets || {};
+    const entry = {
+        original: normalize(offsets.original ?? previous?.original),
+        translated: normalize(offsets.translated ?? previous?.translated),
+        updatedAt: Date.now(),
+    };
+
+    const kept = Object.entries(others)
+        .sort(([, a], [, b]) => (b.updatedAt || 0) - (a.updatedAt || 0))
+        .slice(0, MAX_SYNC_OFFSET_ENTRIES - 1);
+    if (entry.original !== 0 || entry.translated !== 0) {
+        kept.push([videoId, entry]);
+    }
+    return Object.fromEntries(kept);
+}
+
+/**
+ * Briefly show the current track offsets over the video
+ * @param {{original: number, translated: number}} offsets - Offsets in seconds
+ * @param {string} [note] - Extra line, e.g. the auto-align result
+ */
+export function showSubtitleSyncIndicator(offsets, note = '') {
+    const format = (value) => `${value > 0 ? '+' : ''}${value.toFixed(2)} s`;
+    const lines = [
+        `${getLocalizedText('syncIndicatorOriginal', 'Original')}: ${format(offsets.original)}`,
+        `${getLocalizedText('syncIndicatorTranslated', 'Translation')}: ${format(offsets.translated)}`,
+    ];
+    if (note) lines.push(note);
+    showSubtitleIndicator(lines.join('\n'));
+}
+
+/**
+ * Briefly show a status message over the video, e.g. for a hotkey
+ * @param {string} text - Message; new lines are kept
+ */
+export function showSubtitleIndicator(text) {
+    const uiRoot = getOrCreateUiRoot();
+    if (!syncIndicatorElement || !uiRoot.contains(syncIndicatorElement)) {
+        syncIndicatorElement = document.createElement('div');
+        syncIndicatorElement.id = 'dualsub-sync-indicator';
+        Object.assign(syncIndicatorElement.style, {
+            position: 'absolute',
+            top: '10%',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            padding: '6px 14px',
+            borderRadius: '6px',
+            background: 'rgba(0, 0, 0, 0.75)',
+            color: '#fff',
+            font: '14px/1.5 sans-serif',
+            textAlign: 'center',
+            whiteSpace: 'pre-line',
+            transition: 'opacity 0.2s',
+        });
+        uiRoot.appendChild(syncIndicatorElement);
+    }
+
+    syncIndicatorElement.textContent = text;
+    syncIndicatorElement.style.opacity = '1';
+
+    clearTimeout(syncIndicatorTimeoutId);
+    syncIndicatorTimeoutId = setTimeout(() => {
+        if (syncIndicatorElement) syncIndicatorElement.style.opacity = '0';
+    }, SYNC_INDICATOR_DURATION);
+}
+
+/**
+ * Message from the extension locale files, for text shown over the video
+ * @param {string} key - Message key
+ * @param {string} fallback - Text used when the key is missing
+ * @returns {string}
+ */
+export function getLocalizedText(key, fallback) {
+    try {
+        return chrome.i18n?.getMessage(key) || fallback;
+    } catch (_) {
+        return fallback;
+    }
+}
+
+/**
+ * Estimate how late the native target track of the current video runs
+ * against its original track, from the overlap of their cues
+ * @param {string} [logPrefix] - Log prefix
+ * @returns {Promise<{drift: number, matchRatio: number, matchedCount: number}|null>}
+ *   Drift in seconds, or null if the tracks do not line up well enough
+ */
+export async function estimateNativeTrackDrift(logPrefix = 'SubtitleUtils') {
+    const cues = subtitleQueue.filter(
+        (cue) => cue.videoId === currentVideoId && cue.useNativeTarget
+    );
+    const originalCues = cues.filter((cue) => cue.cueType === 'original');
+    const targetCues = cues.filter((cue) => cue.cueType === 'target');
+    if (originalCues.length === 0 || targetCues.length === 0) {
+        throw new Error(
+            'Auto-align needs an official or local translated track'
+        );
+    }
+
+    const { SubtitleProcessingManager } = await import(
+        chrome.runtime.getURL(
+            'content_scripts/shared/subtitleProcessingUtils.js'
+        )
+    );
+    const estimate = new SubtitleProcessingManager('sync').estimateTrackDrift(
+        originalCues,
+        targetCues
+    );
+
+    logWithFallback('info', 'Estimated translated track drift.', {
+        logPrefix,
+        videoId: currentVideoId,
+        originalCount: originalCues.length,
+        targetCount: targetCues.length,
+        estimate,
+    });
+    return estimate;
+}
+
+/**
+ * Start time of a cue of the original track, for the cue navigation hotkeys.
+ * 'replay' is the cue being shown (or the last one shown in a gap),
+ * 'previous' and 'next' are the cues before and after it.
+ * @param {string|null} videoId - Platform video ID
+ * @param {number} cueTime - Playback time on the original track's clock
+ * @param {'replay'|'previous'|'next'} direction - Cue to find
+ * @returns {number|null} Cue start in seconds, or null if there is none
+ */
+export function findCueStart(videoId, cueTime, direction) {
+    const starts = [
+        ...new Set(
+            subtitleQueue
+                .filter(
+                    (cue) =>
+                        cue.videoId === videoId &&
+                        cue.cueType !== 'target' &&
+                        Number.isFinite(cue.start)
+                )
+                .map((cue) => cue.start)
+        ),
+    ].sort((a, b) => a - b);
+
+    // A little slack so a cue that was just sought to counts as current
+    const current = starts.findLastIndex((start) => start <= cueTime + 0.05);
+    const index =
+        direction === 'next'
+            ? current + 1
+            : direction === 'previous'
+              ? current - 1
+              : current;
+    return index >= 0 && index < starts.length ? starts[index] : null;
+}
+
+/**
+ * Original-track cue shown at a time, for the study playback modes. When
+ * cues overlap the one that started last wins.
+ * @param {string|null} videoId - Platform video ID
+ * @param {number} cueTime - Playback time on the original track's clock
+ * @returns {{start: number, end: number}|null} Cue bounds in seconds
+ */
+export function findActiveCue(videoId, cueTime) {
+    let active = null;
+    for (const cue of subtitleQueue) {
+        if (
+            cue.videoId === videoId &&
+            cue.cueType !== 'target' &&
+            cueTime >= cue.start &&
+            cueTime <= cue.end &&
+            (!active || cue.start > active.start)
+        ) {
+            active = cue;
+        }
+    }
+    return active ? { start: active.start, end: active.end } : null;
+}
+
+/**
+ * Original-track lines around the cue shown at a time, as conversation
+ * context for AI context follow-up questions. In a gap between cues the
+ * last cue shown counts as current.
+ * @param {string|null} videoId - Platform video ID
+ * @param {number} cueTime - Playback time on the original track's clock
+ * @param {number} [count=2] - Lines to take on each side
+ * @returns {{before: string[], after: string[]}} Plain cue lines, in order
+ */
+export function findSurroundingCues(videoId, cueTime, count = 2) {
+    const cues = [];
+    const seen = new Set();
+    subtitleQueue
+        .filter(
+            (cue) =>
+                cue.videoId === videoId &&
+                cue.cueType !== 'target' &&
+                Number.isFinite(cue.start)
+        )
+        .sort((a, b) => a.start - b.start)
+        .forEach((cue) => {
+            const text = sanitizeSubtitleText(cue.original);
+            if (text && !seen.has(cue.start)) {
+                seen.add(cue.start);
+                cues.push({ start: cue.start, text });
+            }
+        });
+
+    const current = cues.findLastIndex((cue) => cue.start <= cueTime + 0.05);
+    if (current === -1) {
+        return { before: [], after: [] };
+    }
+    return {
+        before: cues
+            .slice(Math.max(0, current - count), current)
+            .map((cue) => cue.text),
+        after: cues
+            .slice(current + 1, current + 1 + count)
+            .map((cue) => cue.text),
+    };
+}
+
 export function handleVideoIdChange(newVideoId, logPrefix = 'SubtitleUtils') {
     logWithFallback('info', 'Video context changing.', {
         logPrefix,
@@ -2151,6 +2984,11 @@ export function handleVideoIdChange(newVideoId, logPrefix = 'SubtitleUtils') {
         subtitleQueue = subtitleQueue.filter(
             (cue) => cue.videoId !== currentVideoId
         );
+        stopTrackPrefetch();
+        lastPlatformSubtitleData = null;
+    }
+    if (localSubtitleTracks.videoId !== newVideoId) {
+        clearLocalSubtitleTracks();
     }
     currentVideoId = newVideoId;
     // Reset last displayed window to avoid stale carryover between videos
@@ -2219,7 +3057,10 @@ export async function processSubtitleQueue(
         }
     }
 
-    const currentTime = timeSource + config.subtitleTimeOffset;
+    const currentTime =
+        timeSource +
+        config.subtitleTimeOffset +
+        getSubtitleSyncOffsets(config, platformVideoId).original;
 
     const cuesToProcess = subtitleQueue
         .filter(
@@ -2257,6 +3098,7 @@ export async function processSubtitleQueue(
                             targetLang: config.targetLanguage,
                             cueStart: cueToProcess.start,
                             cueVideoId: cueToProcess.videoId,
+                            provider: config.selectedProvider,
                         },
                         { retries: 2, baseDelayMs: 120 }
                     );
@@ -2281,6 +3123,7 @@ export async function processSubtitleQueue(
                                 targetLang: config.targetLanguage,
                                 cueStart: cueToProcess.start,
                                 cueVideoId: cueToProcess.videoId,
+                                provider: config.selectedProvider,
                             },
                             (res) => {
                                 if (chrome.runtime.lastError) {
@@ -2329,6 +3172,7 @@ export async function processSubtitleQueue(
                     cueInMainQueue.videoId === currentContextVideoId
                 ) {
                     cueInMainQueue.translated = response.translatedText;
+                    cueInMainQueue.provider = response.provider || null;
                 } else {
                     logWithFallback(
                         'warn',
@@ -0,0 +1,37 @@
+/**
+ * Builds WebVTT documents from plain cues ({ start, end, text }). Platform
+ * adapters use it to hand captured or converted tracks to the subtitle
+ * pipeline; the background subtitle file parser shares it.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+/**
+ * Format seconds as a VTT timestamp (HH:MM:SS.mmm)
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Timestamp
+ */
+export function formatVttTimestamp(seconds) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+}
+
+/**
+ * Build a WebVTT document from cues
+ * @param {Array<{start: number, end: number, text: string}>} cues - Cues
+ * @returns {string} VTT content
+ */
+export function cuesToVtt(cues) {
+    const body = cues
+        .map(
+            (cue) =>
+                `${formatVttTimestamp(cue.start)} --> ${formatVttTimestamp(cue.end)}\n${cue.text}`
+        )
+        .join('\n\n');
+    return `WEBVTT\n\n${body}\n`;
+}
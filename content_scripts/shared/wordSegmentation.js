@@ -0,0 +1,270 @@
+/**
+ * Word Segmentation
+ *
+ * Splits subtitle text into words for interactive subtitles. Uses
+ * `Intl.Segmenter` keyed on the subtitle language, so CJK and Thai get real
+ * word boundaries and accented, Cyrillic or Arabic words stay whole. A custom
+ * segmenter (e.g. dictionary-based Japanese) can be registered per language.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+/**
+ * Fallback word pattern for runtimes without `Intl.Segmenter`: runs of
+ * Unicode letters, combining marks and digits, with inner apostrophes.
+ */
+const FALLBACK_WORD_PATTERN = /[\p{L}\p{M}\p{N}]+(?:['’][\p{L}\p{M}\p{N}]+)*/gu;
+
+/**
+ * HTML entities left in already escaped subtitle text. They must never be
+ * split or wrapped as words.
+ */
+const HTML_ENTITY_PATTERN = /(&(?:[a-z]+|#\d+|#x[\da-f]+);)/i;
+
+/**
+ * Scripts written without spaces between words. Words from these scripts
+ * are joined without a separator when a selection is turned back into text.
+ */
+const NO_SPACE_SCRIPT_CLASS =
+    '[\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Thai}\\p{Script=Lao}\\p{Script=Khmer}\\p{Script=Myanmar}ー々]';
+const ENDS_WITHOUT_SPACE = new RegExp(`${NO_SPACE_SCRIPT_CLASS}$`, 'u');
+const STARTS_WITHOUT_SPACE = new RegExp(`^${NO_SPACE_SCRIPT_CLASS}`, 'u');
+
+const segmenterCache = new Map();
+const customSegmenters = new Map();
+
+/**
+ * Normalizes a language code for Intl APIs
+ * @param {string} [language] - Language code such as 'ja', 'zh-CN' or 'auto'
+ * @returns {string|undefined} BCP 47 tag, or undefined for unknown languages
+ */
+function normalizeLanguage(language) {
+    if (!language || typeof language !== 'string') {
+        return undefined;
+    }
+    const tag = language.trim().replace(/_/g, '-');
+    if (!tag || tag === 'unknown' || tag === 'auto') {
+        return undefined;
+    }
+    return tag;
+}
+
+/**
+ * Returns a cached word segmenter for a language
+ * @param {string|undefined} locale - BCP 47 tag
+ * @returns {Intl.Segmenter|null} Segmenter, or null when unsupported
+ */
+function getIntlSegmenter(locale) {
+    if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') {
+        return null;
+    }
+
+    const key = locale || '';
+    if (!segmenterCache.has(key)) {
+        let segmenter;
+        try {
+            segmenter = new Intl.Segmenter(locale, { granularity: 'word' });
+        } catch {
+            // Invalid language tag: fall back to the default locale rules
+            segmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+        }
+        segmenterCache.set(key, segmenter);
+    }
+    return segmenterCache.get(key);
+}
+
+/**
+ * Finds the custom segmenter registered for a language or its base language
+ * @param {string|undefined} locale - BCP 47 tag
+ * @returns {Function|null} Custom segmenter
+ */
+function getCustomSegmenter(locale) {
+    if (!locale) {
+        return null;
+    }
+    const lower = locale.toLowerCase();
+    return (
+        customSegmenters.get(lower) ||
+        customSegmenters.get(lower.split('-')[0]) ||
+        null
+    );
+}
+
+/**
+ * Segments plain text (no HTML entities) into word and non-word parts
+ * @param {string} text - Plain text
+ * @param {string|undefined} locale - BCP 47 tag
+ * @returns {Array<{segment: string, isWordLike: boolean}>}
+ */
+function segmentPlainText(text, locale) {
+    const custom = getCustomSegmenter(locale);
+    if (custom) {
+        try {
+            const segments = custom(text, locale);
+            if (Array.isArray(segments)) {
+                return segments;
+            }
+        } catch {
+            // A failing custom segmenter must not break subtitle display
+        }
+    }
+
+    const segmenter = getIntlSegmenter(locale);
+    if (segmenter) {
+        return Array.from(segmenter.segment(text), (part) => ({
+            segment: part.segment,
+            isWordLike: Boolean(part.isWordLike),
+        }));
+    }
+
+    const segments = [];
+    let lastIndex = 0;
+    for (const match of text.matchAll(FALLBACK_WORD_PATTERN)) {
+        if (match.index > lastIndex) {
+            segments.push({
+                segment: text.slice(lastIndex, match.index),
+                isWordLike: false,
+            });
+        }
+        segments.push({ segment: match[0], isWordLike: true });
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < text.length) {
+        segments.push({ segment: text.slice(lastIndex), isWordLike: false });
+    }
+    return segments;
+}
+
+/**
+ * Splits text into word and non-word segments. The segments concatenate back
+ * to the input, and HTML entities are always kept as non-word segments.
+ * @param {string} text - Text to segment, may contain HTML entities
+ * @param {string} [language] - Language of the text ('unknown'/'auto' allowed)
+ * @returns {Array<{segment: string, isWordLike: boolean}>}
+ */
+export function segmentWords(text, language) {
+    if (!text || typeof text !== 'string') {
+        return [];
+    }
+
+    const locale = normalizeLanguage(language);
+    const segments = [];
+    text.split(HTML_ENTITY_PATTERN).forEach((part, index) => {
+        if (!part) {
+            return;
+        }
+        // split() with a capture group puts the entities at odd indices
+        if (index % 2 === 1) {
+            segments.push({ segment: part, isWordLike: false });
+        } else {
+            segments.push(...segmentPlainText(part, locale));
+        }
+    });
+    return segments;
+}
+
+/**
+ * Registers a custom segmenter for a language, replacing `Intl.Segmenter`
+ * for it (e.g. dictionary-based Japanese segmentation).
+ * @param {string} language - Language code; 'ja' also covers 'ja-JP'
+ * @param {Function} segmenter - `(text, locale) => Array<{segment, isWordLike}>`
+ */
+export function registerWordSegmenter(language, segmenter) {
+    const locale = normalizeLanguage(language);
+    if (!locale || typeof segmenter !== 'function') {
+        throw new Error(
+            'registerWordSegmenter requires a language and a function'
+        );
+    }
+    customSegmenters.set(locale.toLowerCase(), segmenter);
+}
+
+/**
+ * Removes a custom segmenter registered with `registerWordSegmenter`
+ * @param {string} language - Language code
+ */
+export function unregisterWordSegmenter(language) {
+    const locale = normalizeLanguage(language);
+    if (locale) {
+        customSegmenters.delete(locale.toLowerCase());
+    }
+}
+
+/**
+ * Creates a longest-match dictionary segmenter, mainly for Japanese where
+ * the ICU rules split inflected verbs. Text not covered by the dictionary is
+ * segmented with `Intl.Segmenter`.
+ * @param {Iterable<string>} words - Dictionary headwords and inflected forms
+ * @param {Object} [options]
+ * @param {number} [options.maxWordLength=12] - Longest word to look up
+ * @returns {Function} Segmenter for `registerWordSegmenter`
+ */
+export function createDictionarySegmenter(words, { maxWordLength = 12 } = {}) {
+    const dictionary = new Set(
+        Array.from(words || [], (word) => String(word).trim()).filter(Boolean)
+    );
+
+    return (text, locale) => {
+        const segments = [];
+        let pending = '';
+        const flushPending = () => {
+            if (pending) {
+                const segmenter = getIntlSegmenter(locale);
+                segments.push(
+                    ...(segmenter
+                        ? Array.from(segmenter.segment(pending), (part) => ({
+                              segment: part.segment,
+                              isWordLike: Boolean(part.isWordLike),
+                          }))
+                        : [{ segment: pending, isWordLike: true }])
+                );
+                pending = '';
+            }
+        };
+
+        let position = 0;
+        while (position < text.length) {
+            let match = '';
+            const limit = Math.min(maxWordLength, text.length - position);
+            for (let length = limit; length > 1; length--) {
+                const candidate = text.slice(position, position + length);
+                if (dictionary.has(candidate)) {
+                    match = candidate;
+                    break;
+                }
+            }
+
+            if (match) {
+                flushPending();
+                segments.push({ segment: match, isWordLike: true });
+                position += match.length;
+            } else {
+                pending += text[position];
+                position++;
+            }
+        }
+        flushPending();
+        return segments;
+    };
+}
+
+/**
+ * Joins selected words back into text, without spaces between words of
+ * scripts that do not use them (Chinese, Japanese, Thai, ...).
+ * @param {string[]} words - Words in reading order
+ * @returns {string} Joined text
+ */
+export function joinWords(words) {
+    return (words || []).reduce((text, word) => {
+        if (!text) {
+            return word;
+        }
+        if (!word) {
+            return text;
+        }
+        const noSpace =
+            ENDS_WITHOUT_SPACE.test(text) && STARTS_WITHOUT_SPACE.test(word);
+        return noSpace ? `${text}${word}` : `${text} ${word}`;
+    }, '');
+}
@@ -924,6 +924,68 @@ describe('BaseContentScript', () => {
                 contentScript.subtitleUtils.applySubtitleStyling
             ).not.toHaveBeenCalled();
         });
+
+        test('should re-resolve settings overrides when the show changes', async () => {
+            const settingsOverrides = {
+                platforms: {},
+                titles: {
+                    dark: { title: 'Dark', settings: { targetLanguage: 'de' } },
+                },
+            };
+            let title = 'Dark';
+            contentScript.activePlatform = {
+                getShowInfo: () => ({ title, episode: null }),
+                getVideoElement: () => null,
+            };
+            contentScript.subtitleUtils = MockFactory.createSubtitleUtilsMock();
+            contentScript.configService = MockFactory.createConfigServiceMock({
+                getAll: jest.fn().mockResolvedValue({
+                    targetLanguage: 'de',
+                    settingsOverrides,
+                }),
+            });
+            contentScript.currentConfig = {
+                targetLanguage: 'es',
+                settingsOverrides,
+            };
+            contentScript.configContext = { platform: 'test', title: null };
+
+            await contentScript.handleSubtitleDataFound({ videoId: 'v1' });
+            expect(contentScript.configService.getAll).toHaveBeenCalledWith({
+                platform: contentScript.getPlatformName(),
+                title: 'Dark',
+            });
+            expect(contentScript.currentConfig.targetLanguage).toBe('de');
+
+            // Another episode of the same show keeps the resolved settings
+            title = ' dark ';
+            await contentScript.handleSubtitleDataFound({ videoId: 'v2' });
+            expect(contentScript.configService.getAll).toHaveBeenCalledTimes(1);
+        });
+
+        test('should keep overridden settings on global config changes', () => {
+            contentScript.activePlatform = { getVideoElement: () => null };
+            contentScript.subtitleUtils = MockFactory.createSubtitleUtilsMock();
+            contentScript.configContext = { platform: 'netflix', title: null };
+            contentScript.currentConfig = {
+                subtitleFontSize: 2.4,
+                subtitleGap: 0.3,
+                settingsOverrides: {
+                    platforms: { netflix: { subtitleFontSize: 2.4 } },
+                    titles: {},
+                },
+            };
+            const sendResponse = jest.fn();
+
+            contentScript.handleConfigChanged(
+                { changes: { subtitleFontSize: 1.2, subtitleGap: 0.5 } },
+                sendResponse
+            );
+
+            expect(contentScript.currentConfig.subtitleFontSize).toBe(2.4);
+            expect(contentScript.currentConfig.subtitleGap).toBe(0.5);
+            expect(sendResponse).toHaveBeenCalledWith({ success: true });
+        });
     });
 
     describe('Comprehensive Error Handling', () => {
@@ -1904,10 +1966,24 @@ describe('Platform-Specific Method Mocking and Common Functionality Verification
             expect(
                 contentScript.hasMessageHandler('LOGGING_LEVEL_CHANGED')
             ).toBe(true);
+            expect(contentScript.hasMessageHandler('loadLocalSubtitles')).toBe(
+                true
+            );
+            expect(contentScript.hasMessageHandler('clearLocalSubtitles')).toBe(
+                true
+            );
+            expect(contentScript.hasMessageHandler('exportSubtitles')).toBe(
+                true
+            );
+            expect(contentScript.hasMessageHandler('adjustSubtitleSync')).toBe(
+                true
+            );
+            expect(contentScript.hasMessageHandler('seekVideo')).toBe(true);
+            expect(contentScript.hasMessageHandler('hotkeyCommand')).toBe(true);
 
             // Verify handler information
             const handlers = contentScript.getRegisteredHandlers();
-            expect(handlers).toHaveLength(3);
+            expect(handlers).toHaveLength(9);
 
             const toggleHandler = handlers.find(
                 (h) => h.action === 'toggleSubtitles'
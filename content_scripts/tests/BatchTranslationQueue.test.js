@@ -0,0 +1,190 @@
+/**
+ * Batch Translation Queue Tests
+ *
+ * Tests for the queue behind whole-track prefetch: playhead ordering,
+ * the rate limit reserve and per-cue results.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { jest } from '@jest/globals';
+import { BatchTranslationQueue } from '../shared/batchTranslationQueue.js';
+
+describe('BatchTranslationQueue prefetch', () => {
+    let queue;
+
+    const cueAt = (start, extra = {}) => ({
+        original: `line at ${start}`,
+        start,
+        end: start + 2,
+        videoId: 'video-1',
+        ...extra,
+    });
+
+    const respondWith = (handler) =>
+        jest
+            .spyOn(chrome.runtime, 'sendMessage')
+            .mockImplementation((message, callback) =>
+                callback(handler(message))
+            );
+
+    beforeEach(() => {
+        queue = new BatchTranslationQueue();
+        queue.config.batchProcessingDelay = 0;
+        queue.config.translationDelay = 0;
+    });
+
+    test('weights cues behind the playhead so upcoming lines go first', () => {
+        expect(queue.calculatePlayheadDistance(cueAt(100), 100)).toBe(0);
+        expect(queue.calculatePlayheadDistance(cueAt(110), 100)).toBe(10);
+        // Ends at 92, 8 seconds behind the playhead
+        expect(queue.calculatePlayheadDistance(cueAt(90), 100)).toBe(24);
+    });
+
+    test('reprioritize re-ranks pending cues around a seek target', () => {
+        queue.pendingCues = [cueAt(10), cueAt(600), cueAt(1200)].map((cue) => ({
+            ...cue,
+            context: {},
+            priority: queue.calculateCuePriority(cue, { currentTime: 10 }),
+            distance: queue.calculatePlayheadDistance(cue, 10),
+        }));
+
+        queue.reprioritize(595);
+
+        expect(queue.createBatch().map((cue) => cue.start)).toEqual([
+            600, 1200, 10,
+        ]);
+    });
+
+    test('drops cues that no longer need translating', () => {
+        const shouldTranslate = (cue) => cue.start !== 20;
+        queue.pendingCues = [cueAt(10), cueAt(20), cueAt(30)].map((cue) => ({
+            ...cue,
+            context: { shouldTranslate },
+            priority: 1,
+            distance: cue.start,
+        }));
+
+        expect(queue.createBatch().map((cue) => cue.start)).toEqual([10, 30]);
+    });
+
+    test('reports the remaining rate limit budget', () => {
+        expect(queue.getRemainingBudgetRatio(null)).toBe(1);
+        expect(queue.getRemainingBudgetRatio({ hasLimit: false })).toBe(1);
+        expect(
+            queue.getRemainingBudgetRatio({
+                hasLimit: true,
+                limit: 10,
+                remaining: 4,
+            })
+        ).toBeCloseTo(0.4);
+        expect(
+            queue.getRemainingBudgetRatio({
+                hasLimit: true,
+                shortWindow: { limit: 10, remaining: 9 },
+                longWindow: { limit: 100, remaining: 5 },
+            })
+        ).toBeCloseTo(0.05);
+    });
+
+    test('lets cues near the playhead through an exhausted budget', async () => {
+        const sendMessage = respondWith(() => ({
+            success: true,
+            status: { hasLimit: true, limit: 10, remaining: 0 },
+        }));
+        queue.pendingCues = [
+            { ...cueAt(12), context: { prefetch: true }, distance: 2 },
+        ];
+
+        await expect(queue.waitForPrefetchBudget()).resolves.toBe(true);
+        expect(sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('reports translated and failed cues through the context', async () => {
+        respondWith((message) => {
+            if (message.action === 'checkBatchSupport') {
+                return { supportsBatch: true };
+            }
+            if (message.action === 'getRateLimitStatus') {
+                return { success: true, status: { hasLimit: false } };
+            }
+            // Cues no provider could translate come back untranslated
+            return {
+                translations: ['uno', message.texts[1]],
+                providers: ['google', null],
+            };
+        });
+        const onCueTranslated = jest.fn();
+        const onCueFailed = jest.fn();
+
+        await queue.addCuesToBatch([cueAt(0), cueAt(60)], {
+            currentTime: 0,
+            prefetch: true,
+            onCueTranslated,
+            onCueFailed,
+        });
+
+        expect(onCueTranslated).toHaveBeenCalledTimes(1);
+        expect(onCueTranslated.mock.calls[0][0]).toMatchObject({
+            start: 0,
+            translated: 'uno',
+            provider: 'google',
+        });
+        expect(onCueFailed).toHaveBeenCalledTimes(1);
+        expect(onCueFailed.mock.calls[0][0].start).toBe(60);
+    });
+
+    test('sends the override provider with single-cue fallbacks', async () => {
+        const sendMessage = respondWith((message) => {
+            if (message.action === 'checkBatchSupport') {
+                return { supportsBatch: message.provider !== 'google' };
+            }
+            if (message.action === 'getRateLimitStatus') {
+                return { success: true, status: { hasLimit: false } };
+            }
+            return {
+                translatedText: `${message.text} (es)`,
+                provider: 'google',
+            };
+        });
+        const onCueTranslated = jest.fn();
+
+        await queue.addCuesToBatch([cueAt(0), cueAt(5)], {
+            currentTime: 0,
+            provider: 'google',
+            onCueTranslated,
+        });
+
+        const actions = sendMessage.mock.calls.map(([message]) => message);
+        expect(actions).toContainEqual({
+            action: 'checkBatchSupport',
+            provider: 'google',
+        });
+        const translateMessages = actions.filter(
+            (message) => message.action === 'translate'
+        );
+        expect(translateMessages).toHaveLength(2);
+        translateMessages.forEach((message) =>
+            expect(message.provider).toBe('google')
+        );
+        expect(onCueTranslated).toHaveBeenCalledTimes(2);
+    });
+
+    test('treats untranslated cues as failed when providers are not reported', () => {
+        const onCueTranslated = jest.fn();
+        const onCueFailed = jest.fn();
+        const context = { onCueTranslated, onCueFailed };
+        const batch = [
+            { ...cueAt(0), context },
+            { ...cueAt(5), context },
+        ];
+
+        queue.handleBatchTranslationResponse(batch, ['uno', 'line at 5']);
+
+        expect(onCueTranslated).toHaveBeenCalledTimes(1);
+        expect(onCueTranslated.mock.calls[0][0].start).toBe(0);
+        expect(onCueFailed).toHaveBeenCalledTimes(1);
+        expect(onCueFailed.mock.calls[0][0].start).toBe(5);
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Context Type Tests
+ *
+ * Tests for offering the enabled context types in the modal and rendering
+ * the results of custom context types.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { ModalController } from '../aicontext/ui/events/ModalController.js';
+
+function createController() {
+    const ui = {
+        _getLocalizedMessage: (key) =>
+            ({
+                aiContextTypeCultural: 'Cultural',
+                aiContextTypeComprehensive: 'Comprehensive',
+                aiContextDefinition: 'Definition',
+            })[key] || '',
+    };
+    return new ModalController({ contentElement: null }, ui);
+}
+
+const templates = [
+    { id: 'custom-grammar', name: 'Grammar breakdown' },
+    { id: 'custom-slang', name: 'Slang register' },
+];
+
+describe('context type options', () => {
+    test('analyzes the enabled built-in types together', () => {
+        const controller = createController();
+
+        expect(
+            controller._getContextTypeOptions(
+                ['cultural', 'historical', 'custom-slang'],
+                templates
+            )
+        ).toEqual([
+            { id: 'all', label: 'Comprehensive' },
+            { id: 'custom-slang', label: 'Slang register' },
+        ]);
+        expect(
+            controller._getContextTypeOptions(['cultural'], templates)
+        ).toEqual([{ id: 'cultural', label: 'Cultural' }]);
+    });
+
+    test('offers only custom types when no built-in type is enabled', () => {
+        const controller = createController();
+
+        expect(
+            controller._getContextTypeOptions(['custom-grammar'], templates)
+        ).toEqual([{ id: 'custom-grammar', label: 'Grammar breakdown' }]);
+        expect(controller._getContextTypeOptions([], templates)).toEqual([
+            { id: 'all', label: 'Comprehensive' },
+        ]);
+    });
+
+    test('renders every field of a custom analysis', () => {
+        const controller = createController();
+        const html = controller._buildResultsHtml({
+            contextType: 'custom-grammar',
+            isStructured: true,
+            analysis: {
+                definition: 'to tease',
+                word_order: 'Verb first',
+                particles: ['me', 'el'],
+            },
+        });
+
+        expect(html).toContain('to tease');
+        expect(html).toContain('<h4>Word order</h4>');
+        expect(html).toContain('Verb first');
+        expect(html).toContain('<ul><li>me</li><li>el</li></ul>');
+    });
+});
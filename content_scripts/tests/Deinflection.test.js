@@ -0,0 +1,79 @@
+/**
+ * Deinflection Tests
+ *
+ * Tests for the lemma candidates the offline dictionary looks up for
+ * inflected subtitle words.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+    getLemmaCandidates,
+    matchesWordClass,
+} from '../../utils/deinflection.js';
+
+const termsOf = (word, language) =>
+    getLemmaCandidates(word, language).map((candidate) => candidate.term);
+
+const find = (word, language, term) =>
+    getLemmaCandidates(word, language).find(
+        (candidate) => candidate.term === term
+    );
+
+describe('getLemmaCandidates', () => {
+    test('keeps the word itself as the first candidate', () => {
+        expect(getLemmaCandidates('Running', 'en')[0]).toEqual({
+            term: 'running',
+            reasons: [],
+            type: null,
+        });
+        expect(getLemmaCandidates('  ', 'en')).toEqual([]);
+    });
+
+    test('undoes English suffixes and irregular forms', () => {
+        expect(termsOf('went', 'en')).toContain('go');
+        expect(termsOf('stopped', 'en')).toContain('stop');
+        expect(termsOf('running', 'en')).toContain('run');
+        expect(termsOf('cities', 'en')).toContain('city');
+        // Lines of unknown language get the English rules
+        expect(termsOf('cities', 'unknown')).toContain('city');
+    });
+
+    test('undoes Spanish and German verb endings', () => {
+        expect(termsOf('hablamos', 'es')).toContain('hablar');
+        expect(termsOf('comieron', 'es-419')).toContain('comer');
+        expect(termsOf('gemacht', 'de')).toContain('machen');
+    });
+
+    test('chains Japanese rules down to the dictionary form', () => {
+        expect(find('食べました', 'ja', '食べる')).toEqual({
+            term: '食べる',
+            reasons: ['polite', 'past'],
+            type: 'v1',
+        });
+        expect(find('食べさせられました', 'ja', '食べる')).toBeDefined();
+        expect(find('書いて', 'ja', '書く').type).toBe('v5');
+        expect(find('行った', 'ja', '行く')).toBeDefined();
+        expect(find('高くない', 'ja', '高い').type).toBe('adj-i');
+        expect(getLemmaCandidates('来ない', 'ja')).toContainEqual(
+            expect.objectContaining({ term: '来る', type: 'vk' })
+        );
+        expect(find('見ている', 'ja', '見る')).toBeDefined();
+    });
+});
+
+describe('matchesWordClass', () => {
+    test('checks the word class of the dictionary entry', () => {
+        const candidate = find('食べました', 'ja', '食べる');
+
+        expect(matchesWordClass(candidate, ['v1'])).toBe(true);
+        expect(matchesWordClass(candidate, ['v5k'])).toBe(false);
+        // Entries without word classes match any candidate
+        expect(matchesWordClass(candidate, [])).toBe(true);
+        expect(matchesWordClass({ type: null }, ['n'])).toBe(true);
+        // Intermediate forms are never headwords
+        expect(matchesWordClass({ type: 'masu' }, [])).toBe(false);
+    });
+});
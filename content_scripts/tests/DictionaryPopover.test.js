@@ -0,0 +1,148 @@
+/**
+ * Dictionary Popover Tests
+ *
+ * Tests for the offline dictionary popover on hovered subtitle words:
+ * what is looked up, how entries are shown and when the popover goes away.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import {
+    describe,
+    test,
+    expect,
+    beforeEach,
+    afterEach,
+    jest,
+} from '@jest/globals';
+import {
+    scheduleDictionaryLookup,
+    scheduleDictionaryPopoverHide,
+    hideDictionaryPopover,
+} from '../shared/dictionaryPopover.js';
+
+const ENTRY = {
+    term: '食べる',
+    reading: 'たべる',
+    partOfSpeech: ['v1'],
+    senses: ['to eat', 'to live on'],
+    dictionary: 'JMdict',
+    inflection: ['polite', 'past'],
+};
+
+const wordSpan = (word, { language = 'ja', type = 'original' } = {}) =>
+    `<span class="dualsub-interactive-word" data-word="${word}" data-source-lang="${language}" data-target-lang="en" data-subtitle-type="${type}">${word}</span>`;
+
+function renderLine(html) {
+    document.body.innerHTML = `<div id="dualsub-subtitle-container"><div id="dualsub-original-subtitle">${html}</div></div>`;
+    return Array.from(document.querySelectorAll('.dualsub-interactive-word'));
+}
+
+const getPopover = () => document.getElementById('dualsub-dictionary-popover');
+
+describe('Dictionary popover', () => {
+    let sendMessage;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        sendMessage = jest.fn(async () => ({
+            success: true,
+            matched: '食べました',
+            entries: [ENTRY],
+        }));
+        global.chrome = { runtime: { sendMessage } };
+    });
+
+    afterEach(() => {
+        hideDictionaryPopover();
+        jest.useRealTimers();
+        delete global.chrome;
+    });
+
+    test('looks up a word with the rest of the line and shows its entries', async () => {
+        const [word] = renderLine(
+            wordSpan('食べ') + wordSpan('ました') + wordSpan('か')
+        );
+
+        scheduleDictionaryLookup(word);
+        expect(sendMessage).not.toHaveBeenCalled();
+        await jest.advanceTimersByTimeAsync(200);
+
+        expect(sendMessage).toHaveBeenCalledWith({
+            action: 'lookupDictionary',
+            text: '食べましたか',
+            language: 'ja',
+        });
+        const popover = getPopover();
+        expect(popover.parentElement.id).toBe('dualsub-subtitle-container');
+        expect(
+            popover.querySelector('.dualsub-dictionary-term').textContent
+        ).toBe('食べる');
+        expect(
+            Array.from(
+                popover.querySelectorAll('.dualsub-dictionary-tag'),
+                (tag) => tag.textContent
+            )
+        ).toEqual(['v1', 'polite', 'past']);
+        expect(popover.querySelectorAll('li')).toHaveLength(2);
+    });
+
+    test('sends only the word for spaced languages and caches lookups', async () => {
+        const [, word] = renderLine(
+            `${wordSpan('they', { language: 'en' })} ${wordSpan('went', { language: 'en' })}`
+        );
+
+        scheduleDictionaryLookup(word);
+        await jest.advanceTimersByTimeAsync(200);
+        hideDictionaryPopover();
+        scheduleDictionaryLookup(word);
+        await jest.advanceTimersByTimeAsync(200);
+
+        expect(sendMessage).toHaveBeenCalledTimes(1);
+        expect(sendMessage.mock.calls[0][0]).toMatchObject({
+            text: 'went',
+            language: 'en',
+        });
+        expect(getPopover()).not.toBeNull();
+    });
+
+    test('hides after leaving unless the pointer moves into the popover', async () => {
+        const [word] = renderLine(wordSpan('猫'));
+        scheduleDictionaryLookup(word);
+        await jest.advanceTimersByTimeAsync(200);
+
+        scheduleDictionaryPopoverHide();
+        getPopover().dispatchEvent(new MouseEvent('mouseenter'));
+        await jest.advanceTimersByTimeAsync(500);
+        expect(getPopover()).not.toBeNull();
+
+        getPopover().dispatchEvent(new MouseEvent('mouseleave'));
+        await jest.advanceTimersByTimeAsync(300);
+        expect(getPopover()).toBeNull();
+    });
+
+    test('shows nothing without entries and opens the AI context on request', async () => {
+        const [first, second] = renderLine(
+            wordSpan('犬', { language: 'zh' }) + wordSpan('猫')
+        );
+        sendMessage.mockResolvedValueOnce({
+            success: true,
+            matched: null,
+            entries: [],
+        });
+        scheduleDictionaryLookup(first);
+        await jest.advanceTimersByTimeAsync(200);
+        expect(getPopover()).toBeNull();
+
+        const onOpenContext = jest.fn();
+        scheduleDictionaryLookup(second, { onOpenContext });
+        await jest.advanceTimersByTimeAsync(200);
+        getPopover()
+            .querySelector('.dualsub-dictionary-context-button')
+            .click();
+
+        expect(onOpenContext).toHaveBeenCalledWith(second);
+        expect(getPopover()).toBeNull();
+    });
+});
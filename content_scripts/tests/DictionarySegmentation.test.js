@@ -0,0 +1,65 @@
+/**
+ * Dictionary Segmentation Tests
+ *
+ * Tests for the optional Japanese word segmentation on the headwords of
+ * the imported dictionaries.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { describe, test, expect, afterEach, jest } from '@jest/globals';
+import { configService } from '../../services/configService.js';
+import { initializeDictionarySegmentation } from '../shared/dictionarySegmentation.js';
+import {
+    segmentWords,
+    unregisterWordSegmenter,
+} from '../shared/wordSegmentation.js';
+
+const words = (text, language) =>
+    segmentWords(text, language)
+        .filter((part) => part.isWordLike)
+        .map((part) => part.segment);
+
+describe('Dictionary segmentation', () => {
+    afterEach(() => {
+        unregisterWordSegmenter('ja');
+        jest.restoreAllMocks();
+    });
+
+    test('registers the dictionary headwords for Japanese when enabled', async () => {
+        jest.spyOn(configService, 'get').mockResolvedValue(true);
+        const sendMessage = jest
+            .spyOn(chrome.runtime, 'sendMessage')
+            .mockResolvedValue({
+                success: true,
+                words: ['勉強しています', '日本語'],
+            });
+
+        await expect(initializeDictionarySegmentation()).resolves.toBe(true);
+
+        expect(sendMessage.mock.calls[0][0]).toEqual({
+            action: 'getDictionaryHeadwords',
+            language: 'ja',
+        });
+        expect(words('日本語を勉強しています。', 'ja')).toEqual([
+            '日本語',
+            'を',
+            '勉強しています',
+        ]);
+    });
+
+    test('keeps Intl.Segmenter when disabled or without headwords', async () => {
+        const get = jest.spyOn(configService, 'get').mockResolvedValue(false);
+        const sendMessage = jest
+            .spyOn(chrome.runtime, 'sendMessage')
+            .mockResolvedValue({ success: true, words: [] });
+
+        await expect(initializeDictionarySegmentation()).resolves.toBe(false);
+        expect(sendMessage).not.toHaveBeenCalled();
+
+        get.mockResolvedValue(true);
+        await expect(initializeDictionarySegmentation()).resolves.toBe(false);
+        expect(words('勉強しています', 'ja')).not.toEqual(['勉強しています']);
+    });
+});
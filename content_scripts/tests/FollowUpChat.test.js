@@ -0,0 +1,105 @@
+/**
+ * Follow-up Chat Tests
+ *
+ * Tests for the conversation kept in the ModalStore and the subtitle lines
+ * sent along with follow-up questions.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { describe, test, expect, afterEach } from '@jest/globals';
+import { ModalStore } from '../aicontext/core/state/ModalStore.js';
+import { AI_CONTEXT_CONFIG } from '../aicontext/core/constants.js';
+import {
+    subtitleQueue,
+    findSurroundingCues,
+} from '../shared/subtitleUtilities.js';
+
+describe('ModalStore conversation', () => {
+    test('keeps the analysis context and the question and answer turns', () => {
+        const store = new ModalStore();
+        store.addConversationTurn('user', 'Ignored without a conversation');
+        expect(store.getState().conversation).toBeNull();
+
+        store.startConversation({
+            selection: 'tomar el pelo',
+            subtitleLine: 'No me tomes el pelo.',
+            analysis: { definition: 'to tease' },
+        });
+        store.addConversationTurn('user', 'More examples?');
+        store.addConversationTurn('assistant', 'Me estás tomando el pelo.');
+
+        expect(store.getState().conversation).toEqual({
+            selection: 'tomar el pelo',
+            subtitleLine: 'No me tomes el pelo.',
+            analysis: { definition: 'to tease' },
+            turns: [
+                { role: 'user', content: 'More examples?' },
+                { role: 'assistant', content: 'Me estás tomando el pelo.' },
+            ],
+        });
+
+        store.clearConversation();
+        expect(store.getState().conversation).toBeNull();
+    });
+
+    test('bounds the history to the newest turns, starting with a question', () => {
+        const store = new ModalStore();
+        store.startConversation({ selection: 'hola' });
+        const max = AI_CONTEXT_CONFIG.MAX_FOLLOW_UP_TURNS;
+        for (let i = 0; i < max; i++) {
+            store.addConversationTurn('user', `q${i}`);
+            store.addConversationTurn('assistant', `a${i}`);
+        }
+        store.addConversationTurn('user', 'last');
+
+        const { turns } = store.getState().conversation;
+        expect(turns.length).toBeLessThanOrEqual(max);
+        expect(turns[0].role).toBe('user');
+        expect(turns[turns.length - 1]).toEqual({
+            role: 'user',
+            content: 'last',
+        });
+    });
+});
+
+describe('findSurroundingCues', () => {
+    const addCue = (start, original, cueType = 'original', videoId = 'v1') =>
+        subtitleQueue.push({
+            start,
+            end: start + 2,
+            videoId,
+            cueType,
+            original,
+        });
+
+    afterEach(() => {
+        subtitleQueue.length = 0;
+    });
+
+    test('returns the plain lines around the current cue', () => {
+        addCue(1, 'One');
+        addCue(4, 'Two<br>lines');
+        addCue(7, 'Three');
+        addCue(10, '<i>Four</i>');
+        addCue(13, 'Five');
+        addCue(16, 'Six');
+        // Translated cues and other videos do not count
+        addCue(7, 'Tres', 'target');
+        addCue(8, 'Other', 'original', 'v2');
+
+        expect(findSurroundingCues('v1', 8, 2)).toEqual({
+            before: ['One', 'Two lines'],
+            after: ['Four', 'Five'],
+        });
+        expect(findSurroundingCues('v1', 1.5, 1)).toEqual({
+            before: [],
+            after: ['Two lines'],
+        });
+        expect(findSurroundingCues('v1', 0.5)).toEqual({
+            before: [],
+            after: [],
+        });
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Hotkey Tests
+ *
+ * Tests for hotkey bindings and the cue lookup used by the cue
+ * navigation hotkeys.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { describe, test, expect, afterEach } from '@jest/globals';
+import {
+    DEFAULT_HOTKEYS,
+    getHotkeyFromEvent,
+    getHotkeyBindings,
+    getHotkeyAction,
+    getHotkeyConflicts,
+    formatHotkey,
+} from '../../utils/hotkeys.js';
+import { subtitleQueue, findCueStart } from '../shared/subtitleUtilities.js';
+
+const keyDown = (code, modifiers = {}) =>
+    new KeyboardEvent('keydown', { code, ...modifiers });
+
+describe('Hotkey bindings', () => {
+    test('reads physical keys and modifiers from key presses', () => {
+        expect(
+            getHotkeyFromEvent(
+                keyDown('BracketLeft', { altKey: true, shiftKey: true })
+            )
+        ).toBe('Alt+Shift+BracketLeft');
+        expect(getHotkeyFromEvent(keyDown('KeyS', { ctrlKey: true }))).toBe(
+            'Ctrl+KeyS'
+        );
+        // Modifiers on their own are not a hotkey yet
+        expect(getHotkeyFromEvent(keyDown('AltLeft', { altKey: true }))).toBe(
+            null
+        );
+    });
+
+    test('applies stored overrides on top of the defaults', () => {
+        const bindings = getHotkeyBindings({
+            nextCue: 'Alt+KeyN',
+            replayCue: '',
+            toggleTranslation: 'Alt+ShiftLeft',
+            unknownAction: 'Alt+KeyU',
+        });
+
+        expect(bindings.nextCue).toBe('Alt+KeyN');
+        expect(bindings.replayCue).toBe('');
+        expect(bindings.toggleTranslation).toBe(
+            DEFAULT_HOTKEYS.toggleTranslation
+        );
+        expect(bindings).not.toHaveProperty('unknownAction');
+        expect(getHotkeyBindings(undefined)).toEqual(DEFAULT_HOTKEYS);
+    });
+
+    test('matches key presses to actions', () => {
+        const bindings = getHotkeyBindings({ replayCue: '' });
+
+        expect(
+            getHotkeyAction(bindings, keyDown('BracketRight', { altKey: true }))
+        ).toBe('nudgeOriginalLater');
+        expect(
+            getHotkeyAction(
+                bindings,
+                keyDown('BracketRight', { altKey: true, shiftKey: true })
+            )
+        ).toBe('nudgeTranslatedLater');
+        expect(
+            getHotkeyAction(bindings, keyDown('KeyR', { altKey: true }))
+        ).toBe(null);
+        expect(getHotkeyAction(bindings, keyDown('KeyS'))).toBe(null);
+    });
+
+    test('reports hotkeys bound to several actions', () => {
+        const bindings = getHotkeyBindings({ nextCue: 'Alt+KeyS' });
+
+        expect(getHotkeyConflicts(bindings)).toEqual({
+            'Alt+KeyS': ['toggleSubtitles', 'nextCue'],
+        });
+        expect(getHotkeyConflicts(DEFAULT_HOTKEYS)).toEqual({});
+    });
+
+    test('formats hotkeys for display', () => {
+        expect(formatHotkey('Alt+Shift+BracketLeft')).toBe('Alt + Shift + [');
+        expect(formatHotkey('Ctrl+Digit1')).toBe('Ctrl + 1');
+        expect(formatHotkey('Alt+KeyS')).toBe('Alt + S');
+        expect(formatHotkey('')).toBe('');
+    });
+});
+
+describe('findCueStart', () => {
+    const addCue = (start, end, cueType = 'original', videoId = 'v1') =>
+        subtitleQueue.push({ start, end, videoId, cueType, original: 'x' });
+
+    afterEach(() => {
+        subtitleQueue.length = 0;
+    });
+
+    test('finds the current, previous and next original cue', () => {
+        addCue(1, 3);
+        addCue(4, 6);
+        addCue(7, 9);
+        // Translated cues and other videos do not count
+        addCue(4.5, 6, 'target');
+        addCue(5, 6, 'original', 'v2');
+
+        expect(findCueStart('v1', 5, 'replay')).toBe(4);
+        expect(findCueStart('v1', 5, 'previous')).toBe(1);
+        expect(findCueStart('v1', 5, 'next')).toBe(7);
+        // Between cues, replay goes back to the last cue shown
+        expect(findCueStart('v1', 6.5, 'replay')).toBe(4);
+        // Right after seeking to a cue it still counts as the current one
+        expect(findCueStart('v1', 3.98, 'next')).toBe(7);
+    });
+
+    test('returns null past either end of the track', () => {
+        addCue(1, 3);
+
+        expect(findCueStart('v1', 0.5, 'replay')).toBe(null);
+        expect(findCueStart('v1', 2, 'previous')).toBe(null);
+        expect(findCueStart('v1', 2, 'next')).toBe(null);
+        expect(findCueStart('v2', 2, 'replay')).toBe(null);
+    });
+});
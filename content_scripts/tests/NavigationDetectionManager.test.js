@@ -634,6 +634,18 @@ describe('Platform Navigation Configurations', () => {
         expect(config.isPlayerPage('/movies/def456')).toBe(true);
         expect(config.isPlayerPage('/series/ghi789')).toBe(true);
     });
+
+    test('should have YouTube configuration', () => {
+        const config = PLATFORM_NAVIGATION_CONFIGS.youtube;
+
+        expect(config).toBeDefined();
+        expect(config.intervalMs).toBe(1000);
+        expect(config.useHistoryAPI).toBe(true);
+        expect(config.isPlayerPage('/watch')).toBe(true);
+        expect(config.isPlayerPage('/embed/dQw4w9WgXcQ')).toBe(true);
+        expect(config.isPlayerPage('/results')).toBe(false);
+        expect(config.isPlayerPage('/')).toBe(false);
+    });
 });
 
 describe('createPlatformNavigationManager', () => {
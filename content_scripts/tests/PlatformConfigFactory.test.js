@@ -72,10 +72,18 @@ describe('PlatformConfigFactory', () => {
             expect(config.name).toBe('disneyplus');
         });
 
-        test('should return null for unsupported URL', () => {
+        test('should detect YouTube by URL', () => {
             const config = PlatformConfigFactory.createByUrl(
                 'https://www.youtube.com/watch?v=123'
             );
+            expect(config).toBeDefined();
+            expect(config.name).toBe('youtube');
+        });
+
+        test('should return null for unsupported URL', () => {
+            const config = PlatformConfigFactory.createByUrl(
+                'https://www.hulu.com/watch/123'
+            );
             expect(config).toBeNull();
         });
 
@@ -222,10 +230,10 @@ describe('PlatformConfigFactory', () => {
         test('should return true for default platforms', () => {
             expect(PlatformConfigFactory.isSupported('netflix')).toBe(true);
             expect(PlatformConfigFactory.isSupported('disneyplus')).toBe(true);
+            expect(PlatformConfigFactory.isSupported('youtube')).toBe(true);
         });
 
         test('should return false for unsupported platforms', () => {
-            expect(PlatformConfigFactory.isSupported('youtube')).toBe(false);
             expect(PlatformConfigFactory.isSupported('hulu')).toBe(false);
         });
 
@@ -0,0 +1,194 @@
+/**
+ * Pronunciation Aids Tests
+ *
+ * Tests for the offline kana / hangul converters, parsing of provider
+ * readings and the ruby / reading row markup of subtitle lines.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import {
+    romanizeHangul,
+    kanaToRomaji,
+    katakanaToHiragana,
+    toneNumbersToMarks,
+    getReadingTarget,
+    parseAnnotatedReading,
+    getPronunciation,
+    createRubyAnnotator,
+} from '../../utils/pronunciation.js';
+import {
+    initializeInteractiveSubtitles,
+    formatInteractiveSubtitleText,
+} from '../shared/interactiveSubtitleFormatter.js';
+import { formatSubtitleTextForDisplay } from '../shared/subtitleUtilities.js';
+
+const render = (html) => {
+    const container = document.createElement('div');
+    container.innerHTML = html;
+    return container;
+};
+
+const readingsOf = (container) =>
+    Array.from(container.querySelectorAll('.dualsub-reading'), (rt) => [
+        rt.parentElement.firstChild.textContent,
+        rt.getAttribute('data-reading'),
+    ]);
+
+describe('Offline converters', () => {
+    test('romanizes hangul with the sound changes between syllables', () => {
+        expect(romanizeHangul('안녕하세요')).toBe('annyeonghaseyo');
+        expect(romanizeHangul('한국말')).toBe('hangungmal');
+        expect(romanizeHangul('감사합니다')).toBe('gamsahamnida');
+        expect(romanizeHangul('신라')).toBe('silla');
+        expect(romanizeHangul('좋아요')).toBe('joayo');
+        expect(romanizeHangul('같이')).toBe('gachi');
+    });
+
+    test('romanizes kana in Hepburn', () => {
+        expect(kanaToRomaji('こんにちは')).toBe('konnichiha');
+        expect(kanaToRomaji('がっこう')).toBe('gakkou');
+        expect(kanaToRomaji('まっちゃ')).toBe('matcha');
+        expect(kanaToRomaji('コーヒー')).toBe('koohii');
+        expect(kanaToRomaji('しんいち')).toBe("shin'ichi");
+        expect(katakanaToHiragana('カタカナ')).toBe('かたかな');
+    });
+
+    test('turns pinyin tone numbers into tone marks', () => {
+        expect(toneNumbersToMarks('ni3 hao3 lv4')).toBe('nǐ hǎo lǜ');
+    });
+});
+
+describe('Readings from providers', () => {
+    test('only requests readings for lines with kanji or hanzi', () => {
+        expect(getReadingTarget('東京に行きます', 'ja')).toBe('ja-Hira');
+        expect(getReadingTarget('你好', 'zh-TW')).toBe('zh-Latn-pinyin');
+        expect(getReadingTarget('ひらがな', 'ja')).toBeNull();
+        expect(getReadingTarget('안녕하세요', 'ko')).toBeNull();
+        expect(getReadingTarget('Hello', 'en')).toBeNull();
+    });
+
+    test('maps bracketed readings back onto the original text', () => {
+        expect(
+            parseAnnotatedReading(
+                '東京に行きます',
+                '東京[とうきょう]に行[い]きます',
+                'ja'
+            )
+        ).toEqual([
+            { start: 0, end: 2, reading: 'とうきょう' },
+            { start: 3, end: 4, reading: 'い' },
+        ]);
+        expect(parseAnnotatedReading('東京', null, 'ja')).toEqual([]);
+    });
+});
+
+describe('getPronunciation', () => {
+    test('annotates hangul words and builds a romanized row', () => {
+        expect(getPronunciation('안녕하세요, 친구!', 'ko')).toEqual({
+            language: 'ko',
+            annotations: [
+                { start: 0, end: 5, reading: 'annyeonghaseyo' },
+                { start: 7, end: 9, reading: 'chingu' },
+            ],
+            line: 'annyeonghaseyo, chingu!',
+        });
+    });
+
+    test('uses furigana or romaji for Japanese', () => {
+        const reading = '東京[とうきょう]に行[い]きます';
+        expect(getPronunciation('東京に行きます', 'ja', { reading })).toEqual({
+            language: 'ja',
+            annotations: [
+                { start: 0, end: 2, reading: 'とうきょう' },
+                { start: 3, end: 4, reading: 'い' },
+            ],
+            line: 'とうきょうにいきます',
+        });
+        expect(
+            getPronunciation('東京に行きます', 'ja', {
+                style: 'romaji',
+                reading,
+            }).line
+        ).toBe('toukyou ni iki masu');
+    });
+
+    test('uses pinyin for Chinese and skips lines in other languages', () => {
+        expect(
+            getPronunciation('你好，世界', 'zh-CN', {
+                reading: '你[nǐ]好[hǎo]，世[shì]界[jiè]',
+            }).line
+        ).toBe('nǐ hǎo, shì jiè');
+        expect(getPronunciation('Hello', 'en')).toBeNull();
+    });
+});
+
+describe('Ruby markup', () => {
+    beforeEach(() => {
+        initializeInteractiveSubtitles({ enabled: true, clickableWords: true });
+    });
+
+    test('annotates pieces of escaped HTML in order', () => {
+        const annotate = createRubyAnnotator([
+            { start: 0, end: 2, reading: 'とうきょう' },
+            { start: 4, end: 5, reading: 'い' },
+        ]);
+        const container = render(annotate('東') + annotate('京&amp;に行く'));
+
+        expect(container.textContent).toBe('東京&に行く');
+        expect(readingsOf(container)).toEqual([
+            ['東', 'とうきょう'],
+            ['行', 'い'],
+        ]);
+    });
+
+    test('keeps interactive word spans and their plain words', () => {
+        const pronunciation = getPronunciation('안녕하세요 친구', 'ko');
+        const container = render(
+            formatInteractiveSubtitleText('안녕하세요 친구', {
+                sourceLanguage: 'ko',
+                subtitleType: 'original',
+                annotate: createRubyAnnotator(pronunciation.annotations),
+            })
+        );
+        const spans = Array.from(
+            container.querySelectorAll('.dualsub-interactive-word')
+        );
+
+        expect(spans.map((span) => span.getAttribute('data-word'))).toEqual([
+            '안녕하세요',
+            '친구',
+        ]);
+        expect(spans[0].querySelector('.dualsub-reading').dataset.reading).toBe(
+            'annyeonghaseyo'
+        );
+        expect(container.textContent).toBe('안녕하세요 친구');
+    });
+
+    test('formatSubtitleTextForDisplay renders ruby or a reading row', () => {
+        const pronunciation = getPronunciation('친구 & 나', 'ko');
+
+        const ruby = render(
+            formatSubtitleTextForDisplay('친구 & 나', {
+                pronunciation: { mode: 'ruby', ...pronunciation },
+            })
+        );
+        expect(ruby.textContent).toBe('친구 & 나');
+        expect(readingsOf(ruby)).toEqual([
+            ['친구', 'chingu'],
+            ['나', 'na'],
+        ]);
+
+        const row = render(
+            formatSubtitleTextForDisplay('친구 & 나', {
+                pronunciation: { mode: 'row', ...pronunciation },
+            })
+        );
+        expect(row.querySelector('.dualsub-reading-row').dataset.reading).toBe(
+            'chingu & na'
+        );
+        expect(row.querySelector('.dualsub-reading')).toBeNull();
+    });
+});
@@ -0,0 +1,241 @@
+/**
+ * Study Mode Tests
+ *
+ * Tests for the study playback modes (auto-pause, loop and shadowing) and
+ * the blurred translation.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { describe, test, expect, afterEach, jest } from '@jest/globals';
+import { StudyModeController } from '../core/StudyModeController.js';
+import * as subtitleUtils from '../shared/subtitleUtilities.js';
+
+const {
+    subtitleQueue,
+    findActiveCue,
+    ensureSubtitleContainer,
+    applySubtitleStyling,
+    revealTranslation,
+    clearSubtitleDOM,
+} = subtitleUtils;
+
+const addCue = (start, end, cueType = 'original', videoId = 'v1') =>
+    subtitleQueue.push({ start, end, videoId, cueType, original: 'x' });
+
+function createContentScript(config) {
+    const video = {
+        currentTime: 0,
+        paused: false,
+        seeking: false,
+        playbackRate: 1,
+        pause: jest.fn(() => {
+            video.paused = true;
+        }),
+    };
+    const activePlatform = {
+        getVideoElement: () => video,
+        getCurrentVideoId: () => 'v1',
+        seekTo: jest.fn((seconds) => {
+            video.currentTime = seconds;
+            return true;
+        }),
+    };
+    return {
+        video,
+        contentScript: {
+            activePlatform,
+            currentConfig: { subtitleTimeOffset: 0, ...config },
+            subtitleUtils,
+        },
+    };
+}
+
+// Move the playhead and let the controller sample it
+function playTo(controller, video, time) {
+    video.currentTime = time;
+    controller.tick();
+}
+
+describe('StudyModeController', () => {
+    afterEach(() => {
+        subtitleQueue.length = 0;
+    });
+
+    test('pauses at the end of each line in auto-pause mode', () => {
+        addCue(1, 3);
+        addCue(4, 6);
+        const { video, contentScript } = createContentScript({
+            studyPlaybackMode: 'autoPause',
+        });
+        const controller = new StudyModeController(contentScript);
+        controller.update();
+
+        playTo(controller, video, 1.5);
+        playTo(controller, video, 2.5);
+        expect(video.pause).not.toHaveBeenCalled();
+        playTo(controller, video, 2.98);
+        expect(video.pause).toHaveBeenCalledTimes(1);
+
+        // Resuming plays on to the next line
+        video.paused = false;
+        playTo(controller, video, 3.1);
+        expect(video.pause).toHaveBeenCalledTimes(1);
+        playTo(controller, video, 4.2);
+        playTo(controller, video, 6);
+        expect(video.pause).toHaveBeenCalledTimes(2);
+        controller.stop();
+    });
+
+    test('replays each line the configured number of times', () => {
+        addCue(10, 12);
+        const { video, contentScript } = createContentScript({
+            studyPlaybackMode: 'loop',
+            studyLoopCount: 2,
+            // Cue times are on the original track's clock
+            subtitleTimeOffset: 0.5,
+        });
+        const { seekTo } = contentScript.activePlatform;
+        const controller = new StudyModeController(contentScript);
+        controller.update();
+
+        for (let replay = 1; replay <= 2; replay++) {
+            playTo(controller, video, 10);
+            playTo(controller, video, 11.5);
+            expect(seekTo).toHaveBeenCalledTimes(replay);
+            expect(seekTo).toHaveBeenLastCalledWith(9.5);
+        }
+        playTo(controller, video, 10);
+        playTo(controller, video, 11.5);
+        playTo(controller, video, 11.7);
+        expect(seekTo).toHaveBeenCalledTimes(2);
+        controller.stop();
+    });
+
+    test('replays each line once at a slower speed when shadowing', () => {
+        addCue(1, 3);
+        addCue(4, 6);
+        const { video, contentScript } = createContentScript({
+            studyPlaybackMode: 'shadowing',
+        });
+        video.playbackRate = 1.25;
+        const controller = new StudyModeController(contentScript);
+        controller.update();
+
+        playTo(controller, video, 2);
+        playTo(controller, video, 3);
+        expect(video.currentTime).toBe(1);
+        expect(video.playbackRate).toBe(0.75);
+
+        playTo(controller, video, 1.5);
+        playTo(controller, video, 3);
+        expect(contentScript.activePlatform.seekTo).toHaveBeenCalledTimes(1);
+        expect(video.playbackRate).toBe(1.25);
+
+        // Seeking away in the middle of a replay restores the speed as well
+        playTo(controller, video, 4.5);
+        playTo(controller, video, 6);
+        expect(video.playbackRate).toBe(0.75);
+        playTo(controller, video, 4.5);
+        playTo(controller, video, 20);
+        expect(video.playbackRate).toBe(1.25);
+        controller.stop();
+    });
+
+    test('starts and stops with the configured mode', () => {
+        jest.useFakeTimers();
+        try {
+            const { video, contentScript } = createContentScript({
+                studyPlaybackMode: 'shadowing',
+            });
+            const controller = new StudyModeController(contentScript);
+            const tick = jest.spyOn(controller, 'tick');
+
+            controller.update();
+            jest.advanceTimersByTime(200);
+            expect(tick).toHaveBeenCalled();
+
+            controller.savedPlaybackRate = 1;
+            video.playbackRate = 0.75;
+            contentScript.currentConfig.studyPlaybackMode = 'off';
+            controller.update();
+            expect(video.playbackRate).toBe(1);
+
+            tick.mockClear();
+            jest.advanceTimersByTime(200);
+            expect(tick).not.toHaveBeenCalled();
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
+
+describe('findActiveCue', () => {
+    afterEach(() => {
+        subtitleQueue.length = 0;
+    });
+
+    test('finds the original cue shown at a time', () => {
+        addCue(1, 3);
+        addCue(2, 5);
+        addCue(1, 6, 'target');
+
+        expect(findActiveCue('v1', 1.5)).toEqual({ start: 1, end: 3 });
+        // Overlapping cues: the later one wins
+        expect(findActiveCue('v1', 2.5)).toEqual({ start: 2, end: 5 });
+        expect(findActiveCue('v1', 5.5)).toBe(null);
+        expect(findActiveCue('v2', 1.5)).toBe(null);
+    });
+});
+
+describe('blurred translation', () => {
+    afterEach(() => {
+        clearSubtitleDOM();
+        document.body.innerHTML = '';
+    });
+
+    test('stays revealed until the translated line changes', () => {
+        const video = document.createElement('video');
+        document.body.appendChild(video);
+        const config = { studyBlurTranslation: true };
+        ensureSubtitleContainer(
+            {
+                isPlayerPageActive: () => true,
+                getVideoElement: () => video,
+                getPlayerContainerElement: () => document.body,
+                supportsProgressBarTracking: () => false,
+            },
+            config
+        );
+        const translated = document.getElementById(
+            'dualsub-translated-subtitle'
+        );
+        const showLine = (text) => {
+            translated.innerHTML = text;
+            translated.dataset.textSig = text;
+            applySubtitleStyling(config);
+        };
+
+        expect(revealTranslation()).toBe(false);
+
+        showLine('Hola');
+        expect(translated.classList).toContain('dualsub-translation-blurred');
+        expect(revealTranslation()).toBe(true);
+        expect(translated.classList).not.toContain(
+            'dualsub-translation-blurred'
+        );
+        applySubtitleStyling(config);
+        expect(translated.classList).not.toContain(
+            'dualsub-translation-blurred'
+        );
+
+        showLine('Adiós');
+        expect(translated.classList).toContain('dualsub-translation-blurred');
+
+        applySubtitleStyling({ studyBlurTranslation: false });
+        expect(translated.classList).not.toContain(
+            'dualsub-translation-blurred'
+        );
+    });
+});
@@ -0,0 +1,195 @@
+/**
+ * Subtitle Export Tests
+ *
+ * Tests for merging the subtitle queue into a dual track and serializing it.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+    ExportFormats,
+    buildDualTrack,
+    serializeDualTrack,
+} from '../shared/subtitleExport.js';
+
+describe('Subtitle export', () => {
+    const metadata = {
+        title: 'Show: Pilot',
+        videoId: '8123',
+        platform: 'netflix',
+        sourceLanguage: 'en',
+        targetLanguage: 'es',
+    };
+    const cues = [
+        {
+            start: 1,
+            end: 2.5,
+            original: 'Hello <there>',
+            translated: 'Hola',
+            provider: 'google',
+        },
+        {
+            start: 3,
+            end: 4,
+            original: 'Not yet',
+            translated: '',
+            provider: null,
+        },
+    ];
+
+    describe('buildDualTrack', () => {
+        test('keeps translated queue entries with their provider', () => {
+            const track = buildDualTrack([
+                {
+                    original: 'Second',
+                    translated: 'Segundo',
+                    provider: 'deepl',
+                    start: 5,
+                    end: 6,
+                    cueType: 'original',
+                },
+                {
+                    original: 'First',
+                    translated: null,
+                    start: 1,
+                    end: 2,
+                    cueType: 'original',
+                },
+            ]);
+
+            expect(track).toEqual([
+                {
+                    start: 1,
+                    end: 2,
+                    original: 'First',
+                    translated: '',
+                    provider: null,
+                },
+                {
+                    start: 5,
+                    end: 6,
+                    original: 'Second',
+                    translated: 'Segundo',
+                    provider: 'deepl',
+                },
+            ]);
+        });
+
+        test('pairs native target cues with overlapping originals', () => {
+            const track = buildDualTrack([
+                {
+                    original: 'Hello',
+                    start: 1,
+                    end: 3,
+                    cueType: 'original',
+                    useNativeTarget: true,
+                },
+                {
+                    original: null,
+                    translated: 'Hola',
+                    start: 1,
+                    end: 2,
+                    cueType: 'target',
+                    useNativeTarget: true,
+                    provider: 'official',
+                },
+                {
+                    original: null,
+                    translated: 'amigo',
+                    start: 2,
+                    end: 3.5,
+                    cueType: 'target',
+                    useNativeTarget: true,
+                    provider: 'official',
+                },
+            ]);
+
+            expect(track).toEqual([
+                {
+                    start: 1,
+                    end: 3,
+                    original: 'Hello',
+                    translated: 'Hola amigo',
+                    provider: 'official',
+                },
+            ]);
+        });
+    });
+
+    test('VTT keeps both lines and names the provider', () => {
+        const { content, fileName, mimeType } = serializeDualTrack(
+            cues,
+            ExportFormats.VTT,
+            metadata
+        );
+
+        expect(fileName).toBe('Show_Pilot.es.vtt');
+        expect(mimeType).toBe('text/vtt');
+        expect(content).toContain('WEBVTT - Show: Pilot');
+        expect(content).toContain('Languages: en -> es');
+        expect(content).toContain(
+            '1 [google]\n00:00:01.000 --> 00:00:02.500\nHello &lt;there&gt;\nHola'
+        );
+        expect(content).toContain('2\n00:00:03.000 --> 00:00:04.000\nNot yet');
+    });
+
+    test('SRT stacks original over translation', () => {
+        const { content } = serializeDualTrack(cues, ExportFormats.SRT);
+
+        expect(content).toBe(
+            '1\n00:00:01,000 --> 00:00:02,500\nHello <there>\nHola\n\n' +
+                '2\n00:00:03,000 --> 00:00:04,000\nNot yet\n'
+        );
+    });
+
+    test('ASS uses top/bottom styles following the layout order', () => {
+        const { content } = serializeDualTrack(cues, ExportFormats.ASS, {
+            ...metadata,
+            layoutOrder: 'translation_top',
+        });
+
+        expect(content).toContain('Title: Show: Pilot');
+        expect(content).toContain(
+            'Dialogue: 0,0:00:01.00,0:00:02.50,Bottom,,0,0,0,,Hello <there>'
+        );
+        expect(content).toContain(
+            'Dialogue: 0,0:00:01.00,0:00:02.50,Top,google,0,0,0,,Hola'
+        );
+    });
+
+    test('JSON carries metadata and cues', () => {
+        const parsed = JSON.parse(
+            serializeDualTrack(cues, ExportFormats.JSON, metadata).content
+        );
+
+        expect(parsed).toMatchObject({
+            title: 'Show: Pilot',
+            platform: 'netflix',
+            targetLanguage: 'es',
+            cues,
+        });
+    });
+
+    test('Anki TSV exports translated lines with timestamps', () => {
+        const { content, fileName } = serializeDualTrack(
+            cues,
+            ExportFormats.ANKI,
+            metadata
+        );
+        const lines = content.trim().split('\n');
+
+        expect(fileName).toBe('Show_Pilot.es.tsv');
+        expect(lines[0]).toBe('#separator:tab');
+        expect(lines.slice(3)).toEqual([
+            'Hello <there>\tHola\t00:00:01.000\t00:00:02.500\tgoogle\tShow: Pilot',
+        ]);
+    });
+
+    test('rejects unknown formats', () => {
+        expect(() => serializeDualTrack(cues, 'docx')).toThrow(
+            'Unsupported export format'
+        );
+    });
+});
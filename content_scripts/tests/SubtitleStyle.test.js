@@ -0,0 +1,132 @@
+/**
+ * Subtitle Style Tests
+ *
+ * Tests for per-track subtitle typography settings and how
+ * applySubtitleStyling applies them.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { describe, test, expect, afterEach } from '@jest/globals';
+import {
+    getTrackStyleSettings,
+    getSubtitleTrackStyle,
+    getTrackStyleSettingKey,
+} from '../../utils/subtitleStyle.js';
+import {
+    ensureSubtitleContainer,
+    applySubtitleStyling,
+    clearSubtitleDOM,
+} from '../shared/subtitleUtilities.js';
+
+describe('Subtitle track styles', () => {
+    test('uses the configSchema defaults for missing settings', () => {
+        expect(
+            getSubtitleTrackStyle({ subtitleFontSize: 1.1 }, 'original')
+        ).toEqual({
+            fontFamily: '',
+            fontWeight: '400',
+            fontSize: '1.1vw',
+            color: '#FFFFFF',
+            textShadow: '1px 1px 2px black, 0 0 3px black',
+            backgroundColor: 'rgba(0, 0, 0, 0.6)',
+        });
+        expect(getSubtitleTrackStyle({}, 'translated').color).toBe('#00FFFF');
+    });
+
+    test('reads each track from its own settings', () => {
+        const config = {
+            subtitleFontSize: 2,
+            translatedSubtitleFontFamily: 'serif',
+            translatedSubtitleFontWeight: 700,
+            translatedSubtitleColor: '#ffcc00',
+            translatedSubtitleTextEdge: 'outline',
+            translatedSubtitleBackgroundOpacity: 0,
+            translatedSubtitleSizeRatio: 0.8,
+        };
+
+        const translated = getSubtitleTrackStyle(config, 'translated');
+        expect(translated).toMatchObject({
+            fontFamily: 'Georgia, "Times New Roman", serif',
+            fontWeight: '700',
+            fontSize: '1.6vw',
+            color: '#ffcc00',
+            backgroundColor: 'rgba(0, 0, 0, 0)',
+        });
+        expect(translated.textShadow).toContain('-1px -1px 0 black');
+        expect(getSubtitleTrackStyle(config, 'original').fontSize).toBe('2vw');
+    });
+
+    test('rejects values that are not offered in the settings', () => {
+        expect(
+            getTrackStyleSettings(
+                {
+                    originalSubtitleFontFamily: 'Comic Sans; color: red',
+                    originalSubtitleFontWeight: 900,
+                    originalSubtitleColor: 'red',
+                    originalSubtitleTextEdge: 'toString',
+                    originalSubtitleBackgroundOpacity: 5,
+                    originalSubtitleSizeRatio: null,
+                },
+                'original'
+            )
+        ).toEqual({
+            fontFamily: 'default',
+            fontWeight: 400,
+            color: '#FFFFFF',
+            textEdge: 'shadow',
+            backgroundOpacity: 1,
+            sizeRatio: 1,
+        });
+        expect(getTrackStyleSettingKey('translated', 'sizeRatio')).toBe(
+            'translatedSubtitleSizeRatio'
+        );
+    });
+});
+
+describe('applySubtitleStyling', () => {
+    const createPlatform = () => {
+        const video = document.createElement('video');
+        document.body.appendChild(video);
+        return {
+            isPlayerPageActive: () => true,
+            getVideoElement: () => video,
+            getPlayerContainerElement: () => document.body,
+            supportsProgressBarTracking: () => false,
+        };
+    };
+
+    afterEach(() => {
+        clearSubtitleDOM();
+        document.body.innerHTML = '';
+    });
+
+    test('styles the original and translated tracks separately', () => {
+        const config = {
+            subtitleFontSize: 1.5,
+            subtitleLayoutOrientation: 'column',
+            originalSubtitleSizeRatio: 1.2,
+            originalSubtitleFontWeight: 600,
+            translatedSubtitleColor: '#ffcc00',
+            translatedSubtitleTextEdge: 'none',
+        };
+        expect(ensureSubtitleContainer(createPlatform(), config)).toBe(true);
+
+        const original = document.getElementById('dualsub-original-subtitle');
+        const translated = document.getElementById(
+            'dualsub-translated-subtitle'
+        );
+        expect(original.style.fontSize).toBe('1.8vw');
+        expect(original.style.fontWeight).toBe('600');
+        expect(original.style.color).toBe('rgb(255, 255, 255)');
+        expect(translated.style.fontSize).toBe('1.5vw');
+        expect(translated.style.color).toBe('rgb(255, 204, 0)');
+        expect(translated.style.textShadow).toBe('none');
+
+        // Later changes replace the previous track style
+        applySubtitleStyling({ ...config, translatedSubtitleColor: '#00ff00' });
+        expect(translated.style.color).toBe('rgb(0, 255, 0)');
+        expect(original.style.borderRadius).toBe('4px');
+    });
+});
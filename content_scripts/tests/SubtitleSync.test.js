@@ -0,0 +1,130 @@
+/**
+ * Subtitle Sync Tests
+ *
+ * Tests for per-video track offsets and translated track drift estimation.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { SubtitleProcessingManager } from '../shared/subtitleProcessingUtils.js';
+import {
+    getSubtitleSyncOffsets,
+    updateSubtitleSyncOffsets,
+} from '../shared/subtitleUtilities.js';
+
+describe('Subtitle sync', () => {
+    describe('per-video offsets', () => {
+        test('defaults to zero for unknown videos', () => {
+            const config = {
+                subtitleSyncOffsets: { 81: { original: 0.5 } },
+            };
+
+            expect(getSubtitleSyncOffsets(config, '81')).toEqual({
+                original: 0.5,
+                translated: 0,
+            });
+            expect(getSubtitleSyncOffsets(config, '82')).toEqual({
+                original: 0,
+                translated: 0,
+            });
+            expect(getSubtitleSyncOffsets({}, null)).toEqual({
+                original: 0,
+                translated: 0,
+            });
+        });
+
+        test('rounds, clamps and drops videos back at zero', () => {
+            let offsets = updateSubtitleSyncOffsets({}, 'a', {
+                original: 0.1 + 0.2,
+                translated: -500,
+            });
+            expect(offsets.a).toMatchObject({ original: 0.3, translated: -60 });
+
+            offsets = updateSubtitleSyncOffsets(offsets, 'b', {
+                translated: 1.25,
+            });
+            offsets = updateSubtitleSyncOffsets(offsets, 'a', {
+                original: 0,
+                translated: 0,
+            });
+            expect(Object.keys(offsets)).toEqual(['b']);
+            expect(offsets.b).toMatchObject({ original: 0, translated: 1.25 });
+        });
+
+        test('keeps only the most recently adjusted videos', () => {
+            const syncOffsets = {};
+            for (let i = 0; i < 200; i++) {
+                syncOffsets[`video-${i}`] = { original: 1, updatedAt: i + 1 };
+            }
+
+            const updated = updateSubtitleSyncOffsets(syncOffsets, 'new', {
+                original: 2,
+            });
+
+            expect(Object.keys(updated)).toHaveLength(200);
+            expect(updated).not.toHaveProperty('video-0');
+            expect(updated).toHaveProperty('video-199');
+            expect(updated.new.original).toBe(2);
+        });
+    });
+
+    describe('estimateTrackDrift', () => {
+        const manager = new SubtitleProcessingManager('netflix');
+        const originals = Array.from({ length: 40 }, (_, i) => ({
+            start: i * 4,
+            end: i * 4 + 2.5 + (i % 3) * 0.3,
+        }));
+        const shifted = (cues, drift) =>
+            cues.map((cue) => ({
+                start: cue.start + drift,
+                end: cue.end + drift,
+            }));
+
+        test('finds a translated track running late', () => {
+            const estimate = manager.estimateTrackDrift(
+                originals,
+                shifted(originals, 2.37)
+            );
+
+            expect(estimate.drift).toBeCloseTo(2.37, 2);
+            expect(estimate.matchRatio).toBe(1);
+        });
+
+        test('finds a translated track running early', () => {
+            const estimate = manager.estimateTrackDrift(
+                originals,
+                shifted(originals, -6.1)
+            );
+
+            expect(estimate.drift).toBeCloseTo(-6.1, 2);
+        });
+
+        test('ignores a few cues split differently between tracks', () => {
+            const translated = shifted(originals, 1);
+            translated.splice(
+                10,
+                1,
+                { start: 41, end: 42 },
+                { start: 42, end: 43.5 }
+            );
+
+            const estimate = manager.estimateTrackDrift(originals, translated);
+
+            expect(estimate.drift).toBeCloseTo(1, 2);
+        });
+
+        test('returns null when the tracks do not line up', () => {
+            const unrelated = Array.from({ length: 40 }, (_, i) => ({
+                start: 500 + i * 7,
+                end: 501 + i * 7,
+            }));
+
+            expect(manager.estimateTrackDrift(originals, unrelated)).toBeNull();
+            expect(
+                manager.estimateTrackDrift(originals.slice(0, 3), originals)
+            ).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,29 @@
+/**
+ * VTT Cue Tests
+ *
+ * Tests for the WebVTT documents platform adapters build from plain cues.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { cuesToVtt, formatVttTimestamp } from '../shared/vttCues.js';
+
+describe('VTT cues', () => {
+    test('formats timestamps with hours and milliseconds', () => {
+        expect(formatVttTimestamp(3661.25)).toBe('01:01:01.250');
+        expect(formatVttTimestamp(-1)).toBe('00:00:00.000');
+    });
+
+    test('builds a VTT document from cues', () => {
+        expect(
+            cuesToVtt([
+                { start: 0.5, end: 2, text: 'Hello' },
+                { start: 2, end: 4, text: 'World' },
+            ])
+        ).toBe(
+            'WEBVTT\n\n00:00:00.500 --> 00:00:02.000\nHello\n\n00:00:02.000 --> 00:00:04.000\nWorld\n'
+        );
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * Tests for Unicode-aware word segmentation of interactive subtitles
+ */
+
+import {
+    segmentWords,
+    registerWordSegmenter,
+    unregisterWordSegmenter,
+    createDictionarySegmenter,
+    joinWords,
+} from '../shared/wordSegmentation.js';
+import {
+    initializeInteractiveSubtitles,
+    formatInteractiveSubtitleText,
+    getStableSpanId,
+} from '../shared/interactiveSubtitleFormatter.js';
+import { SelectionModel } from '../aicontext/core/state/SelectionModel.js';
+
+const words = (text, language) =>
+    segmentWords(text, language)
+        .filter((part) => part.isWordLike)
+        .map((part) => part.segment);
+
+describe('segmentWords', () => {
+    test('keeps accented, Cyrillic and Arabic words whole', () => {
+        expect(words('Déjà vu, l’été à Paris', 'fr')).toEqual([
+            'Déjà',
+            'vu',
+            'l’été',
+            'à',
+            'Paris',
+        ]);
+        expect(words('Привет, мир!', 'ru')).toEqual(['Привет', 'мир']);
+        expect(words('مرحبا بالعالم', 'ar')).toEqual(['مرحبا', 'بالعالم']);
+    });
+
+    test('finds word boundaries in CJK and Thai text', () => {
+        expect(words('我喜欢学习中文', 'zh-CN')).toEqual([
+            '我',
+            '喜欢',
+            '学习',
+            '中文',
+        ]);
+        expect(words('日本語を勉強する', 'ja')).toContain('日本語');
+        expect(words('สวัสดีครับ', 'th')).toEqual(['สวัสดี', 'ครับ']);
+    });
+
+    test('concatenates back to the input and never splits HTML entities', () => {
+        const text = 'Tom &amp; Jerry &lt;3 don&#39;t';
+        const segments = segmentWords(text, 'unknown');
+
+        expect(segments.map((part) => part.segment).join('')).toBe(text);
+        expect(segments).toContainEqual({
+            segment: '&amp;',
+            isWordLike: false,
+        });
+        expect(words(text, 'unknown')).not.toContain('amp');
+        expect(words(text, 'unknown')).not.toContain('lt');
+    });
+
+    test('falls back to default rules for invalid language tags', () => {
+        expect(words('hello world', 'not a tag!')).toEqual(['hello', 'world']);
+    });
+});
+
+describe('custom segmenters', () => {
+    afterEach(() => {
+        unregisterWordSegmenter('ja');
+    });
+
+    test('uses a registered dictionary segmenter for Japanese', () => {
+        registerWordSegmenter(
+            'ja',
+            createDictionarySegmenter(['勉強しています', '日本語'])
+        );
+
+        expect(words('日本語を勉強しています。', 'ja-JP')).toEqual([
+            '日本語',
+            'を',
+            '勉強しています',
+        ]);
+        // Other languages keep the Intl rules
+        expect(words('勉強しています', 'zh')).not.toEqual(['勉強しています']);
+    });
+
+    test('falls back to Intl.Segmenter when a custom segmenter throws', () => {
+        registerWordSegmenter('ja', () => {
+            throw new Error('broken');
+        });
+
+        expect(words('日本語', 'ja')).toEqual(['日本語']);
+    });
+});
+
+describe('joinWords', () => {
+    test('joins words without spaces only between no-space scripts', () => {
+        expect(joinWords(['学习', '中文'])).toBe('学习中文');
+        expect(joinWords(['สวัสดี', 'ครับ'])).toBe('สวัสดีครับ');
+        expect(joinWords(['hello', 'world'])).toBe('hello world');
+        expect(joinWords(['iPhone', '买了'])).toBe('iPhone 买了');
+    });
+
+    test('SelectionModel builds CJK selections without spaces', () => {
+        const model = new SelectionModel();
+        model.add('中文', { subtitleType: 'original', wordIndex: 1 }, 'o:1');
+        model.add('学习', { subtitleType: 'original', wordIndex: 0 }, 'o:0');
+
+        expect(model.selectedText).toBe('学习中文');
+    });
+});
+
+describe('formatInteractiveSubtitleText segmentation', () => {
+    beforeEach(() => {
+        initializeInteractiveSubtitles({ enabled: true, clickableWords: true });
+    });
+
+    const spansOf = (html) => {
+        const container = document.createElement('div');
+        container.innerHTML = html;
+        return Array.from(
+            container.querySelectorAll('.dualsub-interactive-word')
+        );
+    };
+
+    test('segments translated lines by the target language', () => {
+        const spans = spansOf(
+            formatInteractiveSubtitleText('我喜欢学习中文', {
+                sourceLanguage: 'en',
+                targetLanguage: 'zh-CN',
+                subtitleType: 'translated',
+            })
+        );
+
+        expect(spans.map((span) => span.getAttribute('data-word'))).toEqual([
+            '我',
+            '喜欢',
+            '学习',
+            '中文',
+        ]);
+        spans.forEach((span, i) => {
+            expect(span.id).toBe(getStableSpanId('translated', i));
+        });
+    });
+
+    test('does not double-escape already escaped text', () => {
+        const html = formatInteractiveSubtitleText('Tom &amp; Jerry', {
+            sourceLanguage: 'en',
+            subtitleType: 'original',
+        });
+        const container = document.createElement('div');
+        container.innerHTML = html;
+
+        expect(container.textContent).toBe('Tom & Jerry');
+        expect(spansOf(html)).toHaveLength(2);
+    });
+});
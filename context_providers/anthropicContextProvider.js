@@ -0,0 +1,498 @@
+/**
+ * Anthropic Context Provider
+ *
+ * Provides AI-powered cultural, historical, and linguistic context analysis
+ * through the Anthropic Messages API, or endpoints that implement it. The
+ * analysis is requested as the input of a forced tool call, so the response
+ * follows the context schema.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import Logger from '../utils/logger.js';
+import { configService } from '../services/configService.js';
+import { apiKeyVault } from '../services/apiKeyVault.js';
+import { AI_CONTEXT_USAGE_PREFIX, reportTokenUsage } from '../utils/usage.js';
+import {
+    getContextSchema,
+    CONTEXT_SCHEMA_NAME,
+    validateAgainstSchema,
+} from './contextSchemas.js';
+import {
+    readEventStream,
+    createPartialReporter,
+    createRequestController,
+    toAbortError,
+} from './contextStreaming.js';
+import { createFollowUpMessages } from './contextConversation.js';
+import {
+    CONTEXT_SYSTEM_PROMPT,
+    createContextPrompt,
+} from './contextPrompts.js';
+import { createTemplatePrompt, getTemplateSchema } from './contextTemplates.js';
+import { normalizeBaseUrl } from './openaiContextProvider.js';
+
+const logger = Logger.create('AnthropicContextProvider');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const MAX_ANALYSIS_TOKENS = 4096;
+const MAX_ANSWER_TOKENS = 1024;
+
+/**
+ * Available Anthropic models for context analysis
+ */
+export const ANTHROPIC_MODELS = [
+    {
+        id: 'claude-haiku-4-5',
+        name: 'Claude Haiku 4.5',
+        description: 'Fast and cost-effective for most context analysis tasks',
+        contextWindow: 200000,
+        recommended: true,
+    },
+    {
+        id: 'claude-sonnet-4-5',
+        name: 'Claude Sonnet 4.5',
+        description: 'Deeper cultural and linguistic analysis',
+        contextWindow: 200000,
+        recommended: false,
+    },
+    {
+        id: 'claude-opus-4-1',
+        name: 'Claude Opus 4.1',
+        description: 'Most thorough analysis, slower and more expensive',
+        contextWindow: 200000,
+        recommended: false,
+    },
+];
+
+/**
+ * Get available models for this provider
+ * @returns {Array} Array of model objects
+ */
+export function getAvailableModels() {
+    return ANTHROPIC_MODELS;
+}
+
+/**
+ * Get the default model for this provider
+ * @returns {string} Default model ID
+ */
+export function getDefaultModel() {
+    const recommended = ANTHROPIC_MODELS.find((model) => model.recommended);
+    return recommended ? recommended.id : ANTHROPIC_MODELS[0].id;
+}
+
+/**
+ * Reads the Anthropic context settings
+ * @returns {Promise<{apiUrl: string, headers: Object, model: string, timeout: number}>}
+ */
+async function getConnection() {
+    const config = await configService.getAll();
+    const apiKey = await apiKeyVault.getSecret('anthropicApiKey');
+    const {
+        anthropicBaseUrl = 'https://api.anthropic.com',
+        anthropicModel = getDefaultModel(),
+        aiContextTimeout = 30000,
+    } = config;
+
+    if (!apiKey) {
+        throw new Error('Anthropic API key not configured');
+    }
+
+    return {
+        apiUrl: `${normalizeBaseUrl(anthropicBaseUrl)}/v1/messages`,
+        headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': apiKey,
+            'anthropic-version': ANTHROPIC_VERSION,
+            // Required for requests that carry the extension's origin
+            'anthropic-dangerous-direct-browser-access': 'true',
+        },
+        model: anthropicModel,
+        timeout: aiContextTimeout,
+    };
+}
+
+/**
+ * Sends a Messages API request
+ * @param {Object} connection - Result of getConnection
+ * @param {Object} requestBody - Request body
+ * @param {AbortSignal} signal - Request signal
+ * @returns {Promise<Response>}
+ */
+async function postMessages(connection, requestBody, signal) {
+    const response = await fetch(connection.apiUrl, {
+        method: 'POST',
+        headers: connection.headers,
+        body: JSON.stringify(requestBody),
+        signal,
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        logger.error('Anthropic API request failed', {
+            status: response.status,
+            statusText: response.statusText,
+            errorText: errorText.substring(0, 500),
+        });
+        throw new Error(
+            `Anthropic API request failed: ${response.status} ${response.statusText} - ${errorText.substring(0, 500)}`
+        );
+    }
+    return response;
+}
+
+/**
+ * Reads a streamed Messages API response, reporting the analysis generated
+ * so far from the partial tool input
+ * @param {Response} response - Streamed response
+ * @param {function(Object): void} onPartial - Receives partial analyses
+ * @param {function(): void} onActivity - Called whenever data arrives
+ * @returns {Promise<{data: Object, rawResponse: string}>} Token usage and
+ *   stop reason, and the JSON of the tool input
+ */
+async function readStreamedAnalysis(response, onPartial, onActivity) {
+    const reportPartial = createPartialReporter(onPartial);
+    let content = '';
+    const data = { usage: {} };
+
+    await readEventStream(
+        response,
+        (event) => {
+            switch (event.type) {
+                case 'error':
+                    throw new Error(
+                        `Anthropic API stream error: ${event.error?.message || event.error}`
+                    );
+                case 'message_start':
+                    Object.assign(data.usage, event.message?.usage);
+                    break;
+                case 'message_delta':
+                    Object.assign(data.usage, event.usage);
+                    data.stop_reason = event.delta?.stop_reason;
+                    break;
+                case 'content_block_delta':
+                    if (event.delta?.type === 'input_json_delta') {
+                        content += event.delta.partial_json;
+                        reportPartial(content);
+                    }
+                    break;
+                default: {
+                    // Servers that ignore streaming send the whole message
+                    const input = getToolInput(event);
+                    if (input) {
+                        Object.assign(data, event);
+                        content = JSON.stringify(input);
+                    }
+                }
+            }
+        },
+        onActivity
+    );
+
+    if (!content.trim()) {
+        throw new Error('Invalid response format from Anthropic API');
+    }
+    return { data, rawResponse: content.trim() };
+}
+
+/**
+ * Input of the analysis tool call of a message
+ * @param {Object} message - Messages API response
+ * @returns {Object|undefined}
+ */
+function getToolInput(message) {
+    return message.content?.find(
+        (block) =>
+            block.type === 'tool_use' && block.name === CONTEXT_SCHEMA_NAME
+    )?.input;
+}
+
+/**
+ * Analyzes text for cultural, historical, and linguistic context using the Anthropic Messages API
+ * @param {string} text - The text to analyze
+ * @param {string} contextType - Type of context analysis ('cultural', 'historical', 'linguistic', 'all')
+ * @param {Object} metadata - Additional context metadata
+ * @param {Object} [options] - Request options
+ * @param {function(Object): void} [options.onPartial] - Streams the response
+ *   and receives the analysis generated so far
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {Object} [options.template] - Template of a custom context type,
+ *   see contextTemplates.js
+ * @returns {Promise<Object>} Context analysis result
+ */
+export async function analyzeContext(
+    text,
+    contextType = 'all',
+    metadata = {},
+    options = {}
+) {
+    logger.info('Anthropic context analysis request initiated', {
+        textLength: text?.length || 0,
+        contextType,
+        sourceLanguage: metadata.sourceLanguage,
+        targetLanguage: metadata.targetLanguage,
+    });
+
+    // Validate input
+    if (!text || typeof text !== 'string' || text.trim() === '') {
+        logger.warn('Empty or invalid text provided for context analysis', {
+            text: text?.substring(0, 50),
+        });
+        return {
+            success: false,
+            error: 'Invalid text provided',
+            contextType,
+            text: text || '',
+        };
+    }
+
+    try {
+        const connection = await getConnection();
+
+        const { template } = options;
+        const prompt = template
+            ? createTemplatePrompt(template, text, metadata)
+            : createContextPrompt(text, contextType, metadata);
+        const jsonSchema = template
+            ? getTemplateSchema(template)
+            : getContextSchema(contextType);
+
+        const requestBody = {
+            model: connection.model,
+            max_tokens: MAX_ANALYSIS_TOKENS,
+            system: CONTEXT_SYSTEM_PROMPT,
+            messages: [{ role: 'user', content: prompt }],
+            tools: [
+                {
+                    name: CONTEXT_SCHEMA_NAME,
+                    description: 'Records the context analysis of the text',
+                    input_schema: jsonSchema,
+                },
+            ],
+            tool_choice: { type: 'tool', name: CONTEXT_SCHEMA_NAME },
+        };
+
+        const streaming = typeof options.onPartial === 'function';
+        if (streaming) {
+            requestBody.stream = true;
+        }
+
+        logger.debug('Making Anthropic context analysis request', {
+            apiUrl: connection.apiUrl,
+            model: connection.model,
+            contextType,
+            promptLength: prompt.length,
+            streaming,
+        });
+
+        const request = createRequestController(
+            connection.timeout,
+            options.signal
+        );
+        let data;
+        let rawResponse;
+
+        try {
+            const response = await postMessages(
+                connection,
+                requestBody,
+                request.signal
+            );
+
+            if (streaming) {
+                ({ data, rawResponse } = await readStreamedAnalysis(
+                    response,
+                    options.onPartial,
+                    request.touch
+                ));
+            } else {
+                data = await response.json();
+                const input = getToolInput(data);
+                if (!input) {
+                    logger.error(
+                        'Invalid response format from Anthropic context analysis API',
+                        { data }
+                    );
+                    throw new Error(
+                        'Invalid response format from Anthropic API'
+                    );
+                }
+                rawResponse = JSON.stringify(input);
+            }
+        } catch (error) {
+            throw toAbortError(error, options.signal, connection.timeout);
+        } finally {
+            request.clear();
+        }
+        reportTokenUsage(`${AI_CONTEXT_USAGE_PREFIX}anthropic`, data);
+
+        let structuredAnalysis;
+
+        try {
+            structuredAnalysis = JSON.parse(rawResponse);
+            if (!validateAgainstSchema(jsonSchema, structuredAnalysis)) {
+                logger.warn('Schema validation failed', {
+                    rawResponsePreview: rawResponse.substring(0, 200),
+                    stopReason: data.stop_reason,
+                });
+                return {
+                    success: false,
+                    error: 'Schema validation failed',
+                    contextType,
+                    originalText: text,
+                    metadata,
+                    shouldRetry: true,
+                    shouldCache: false,
+                };
+            }
+        } catch (error) {
+            logger.warn('Failed to parse JSON response', {
+                error: error.message,
+                rawResponsePreview: rawResponse.substring(0, 200),
+                stopReason: data.stop_reason,
+            });
+            return {
+                success: false,
+                error: 'Malformed JSON response',
+                contextType,
+                originalText: text,
+                metadata,
+                shouldRetry: true,
+                shouldCache: false,
+            };
+        }
+
+        logger.info('Anthropic context analysis completed successfully', {
+            contextType,
+            responseLength: rawResponse.length,
+            stopReason: data.stop_reason,
+        });
+
+        return {
+            success: true,
+            contextType,
+            ...(template && { contextLabel: template.name }),
+            analysis: structuredAnalysis,
+            isStructured: true,
+            originalText: text,
+            metadata,
+            usage: data.usage,
+            shouldCache: true,
+        };
+    } catch (error) {
+        logger.error('Anthropic context analysis failed', error, {
+            textLength: text?.length || 0,
+            contextType,
+            errorMessage: error.message,
+        });
+
+        return {
+            success: false,
+            error: error.message,
+            contextType,
+            originalText: text,
+            metadata,
+            ...(error.cancelled && { cancelled: true, shouldCache: false }),
+        };
+    }
+}
+
+/**
+ * Answers a follow-up question about a finished context analysis
+ * @param {Object} conversation - Bounded conversation, see contextConversation.js
+ * @param {Object} metadata - Source and target language codes
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Object>} Result with the `answer` text
+ */
+export async function followUpContext(
+    conversation,
+    metadata = {},
+    options = {}
+) {
+    logger.info('Anthropic follow-up question initiated', {
+        turns: conversation.turns.length,
+        targetLanguage: metadata.targetLanguage,
+    });
+
+    try {
+        const connection = await getConnection();
+        const [system, ...messages] = createFollowUpMessages(
+            conversation,
+            metadata
+        );
+        const requestBody = {
+            model: connection.model,
+            max_tokens: MAX_ANSWER_TOKENS,
+            system: system.content,
+            messages,
+        };
+
+        const request = createRequestController(
+            connection.timeout,
+            options.signal
+        );
+        let data;
+        try {
+            const response = await postMessages(
+                connection,
+                requestBody,
+                request.signal
+            );
+            data = await response.json();
+        } catch (error) {
+            throw toAbortError(error, options.signal, connection.timeout);
+        } finally {
+            request.clear();
+        }
+        reportTokenUsage(`${AI_CONTEXT_USAGE_PREFIX}anthropic`, data);
+
+        const answer = (data.content || [])
+            .filter((block) => block.type === 'text')
+            .map((block) => block.text)
+            .join('')
+            .trim();
+        if (!answer) {
+            throw new Error('Invalid response format from Anthropic API');
+        }
+
+        return {
+            success: true,
+            answer,
+            usage: data.usage,
+            shouldCache: true,
+        };
+    } catch (error) {
+        logger.error('Anthropic follow-up question failed', error, {
+            turns: conversation.turns.length,
+        });
+
+        return {
+            success: false,
+            error: error.message,
+            ...(error.cancelled && { cancelled: true, shouldCache: false }),
+        };
+    }
+}
+
+/**
+ * Registry entry of this provider, see contextProviderRegistry.js
+ */
+export const CONTEXT_PROVIDER = {
+    id: 'anthropic',
+    name: 'Anthropic Claude (API Key Required)',
+    category: 'api_key',
+    schemaSupport: 'tool',
+    rateLimit: {
+        type: 'requests_per_minute',
+        requests: 50, // lowest API tier
+        window: 60000, // 1 minute
+        mandatoryDelay: 1000, // 1 second between requests
+    },
+    analyzeContext,
+    followUp: followUpContext,
+    getAvailableModels,
+    getDefaultModel,
+};
@@ -0,0 +1,133 @@
+/**
+ * Follow-up conversation helpers for context providers
+ *
+ * A follow-up conversation starts from a finished context analysis: the
+ * selected text, its subtitle line, the lines around it and the analysis
+ * itself. The user's questions and the provider's answers are appended as
+ * turns. Providers turn it into chat messages with `createFollowUpMessages`.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { getLanguageName } from './contextTemplates.js';
+
+/** Most question and answer turns sent to a provider */
+export const MAX_FOLLOW_UP_TURNS = 12;
+
+/** Longest text kept of a single turn, in characters */
+export const MAX_TURN_LENGTH = 2000;
+
+const MAX_CUE_LINES = 3;
+
+function clip(text, length = MAX_TURN_LENGTH) {
+    return typeof text === 'string' ? text.trim().slice(0, length) : '';
+}
+
+function clipLines(lines, fromEnd) {
+    if (!Array.isArray(lines)) return [];
+    const kept = lines.map((line) => clip(line, 300)).filter(Boolean);
+    return fromEnd ? kept.slice(-MAX_CUE_LINES) : kept.slice(0, MAX_CUE_LINES);
+}
+
+/**
+ * Validates a conversation and bounds its history. Only the newest turns
+ * are kept; the history always starts with a question and ends with the
+ * question to answer.
+ * @param {Object} conversation - Conversation sent by the content script
+ * @param {number} [maxTurns] - Most turns to keep
+ * @returns {Object|null} Bounded conversation, or null if it is invalid
+ */
+export function boundConversation(
+    conversation,
+    maxTurns = MAX_FOLLOW_UP_TURNS
+) {
+    const selection = clip(conversation?.selection, 500);
+    if (!selection || !Array.isArray(conversation.turns)) return null;
+
+    let turns = conversation.turns
+        .filter(
+            (turn) =>
+                (turn?.role === 'user' || turn?.role === 'assistant') &&
+                clip(turn.content)
+        )
+        .map((turn) => ({ role: turn.role, content: clip(turn.content) }))
+        .slice(-maxTurns);
+    while (turns.length > 0 && turns[0].role !== 'user') {
+        turns = turns.slice(1);
+    }
+    if (turns.length === 0 || turns[turns.length - 1].role !== 'user') {
+        return null;
+    }
+
+    const analysis = conversation.analysis;
+    return {
+        selection,
+        subtitleLine: clip(conversation.subtitleLine, 500),
+        surroundingCues: {
+            before: clipLines(conversation.surroundingCues?.before, true),
+            after: clipLines(conversation.surroundingCues?.after, false),
+        },
+        analysis:
+            analysis && typeof analysis === 'object'
+                ? analysis
+                : clip(analysis, 8000),
+        turns,
+    };
+}
+
+/**
+ * Stable text of a bounded conversation, for cache keys
+ * @param {Object} conversation - Bounded conversation
+ * @returns {string}
+ */
+export function getConversationKey(conversation) {
+    return JSON.stringify([
+        conversation.selection,
+        conversation.subtitleLine,
+        conversation.surroundingCues,
+        conversation.turns,
+    ]);
+}
+
+/**
+ * Builds chat messages for a follow-up question. The analysis is replayed
+ * as the assistant's first answer so the provider continues from it.
+ * @param {Object} conversation - Bounded conversation
+ * @param {Object} [metadata] - `sourceLanguage` and `targetLanguage` codes
+ * @returns {Array<{role: 'system'|'user'|'assistant', content: string}>}
+ */
+export function createFollowUpMessages(conversation, metadata = {}) {
+    const sourceName = getLanguageName(metadata.sourceLanguage);
+    const targetName = getLanguageName(metadata.targetLanguage) || 'English';
+    const { before, after } = conversation.surroundingCues;
+
+    const system = [
+        'You are a language tutor helping a learner understand a line from a video they are watching.',
+        `Answer follow-up questions about the selected ${sourceName ? `${sourceName} ` : ''}text in ${targetName}.`,
+        'Be concise and concrete: prefer short explanations and example sentences with translations. Answer in plain text without Markdown headings.',
+    ].join(' ');
+
+    const context = [
+        `Selected text: "${conversation.selection}"`,
+        conversation.subtitleLine &&
+            `Subtitle line: "${conversation.subtitleLine}"`,
+        before.length > 0 && `Lines before:\n${before.join('\n')}`,
+        after.length > 0 && `Lines after:\n${after.join('\n')}`,
+        'Explain the context of the selected text.',
+    ]
+        .filter(Boolean)
+        .join('\n\n');
+
+    const analysis =
+        typeof conversation.analysis === 'string'
+            ? conversation.analysis
+            : JSON.stringify(conversation.analysis);
+
+    return [
+        { role: 'system', content: system },
+        { role: 'user', content: context },
+        ...(analysis ? [{ role: 'assistant', content: analysis }] : []),
+        ...conversation.turns,
+    ];
+}
@@ -0,0 +1,177 @@
+/**
+ * @jest-environment node
+ */
+
+import {
+    describe,
+    it,
+    expect,
+    beforeEach,
+    afterEach,
+    jest,
+} from '@jest/globals';
+import { configService } from '../services/configService.js';
+import {
+    boundConversation,
+    createFollowUpMessages,
+    getConversationKey,
+} from './contextConversation.js';
+import { followUpContext as openaiFollowUp } from './openaiContextProvider.js';
+import { followUpContext as geminiFollowUp } from './geminiContextProvider.js';
+import { ContextCache } from '../background/utils/contextCache.js';
+import { mockJsonResponse } from '../test-utils/fetch-response-mock.js';
+
+const conversation = {
+    selection: 'tomar el pelo',
+    subtitleLine: '¿Me estás tomando el pelo?',
+    surroundingCues: {
+        before: ['Uno', 'Dos', 'Tres', 'Cuatro'],
+        after: ['Cinco'],
+    },
+    analysis: { definition: 'to pull someone’s leg' },
+    turns: [
+        { role: 'user', content: 'Is it rude?' },
+        { role: 'assistant', content: 'No, it is playful.' },
+        { role: 'user', content: 'More examples?' },
+    ],
+};
+
+describe('boundConversation', () => {
+    it('keeps the newest turns, starting and ending with a question', () => {
+        const bounded = boundConversation(conversation, 2);
+
+        expect(bounded.turns).toEqual([
+            { role: 'user', content: 'More examples?' },
+        ]);
+        // Only the lines closest to the selection are kept
+        expect(bounded.surroundingCues.before).toEqual([
+            'Dos',
+            'Tres',
+            'Cuatro',
+        ]);
+    });
+
+    it('rejects conversations without a question to answer', () => {
+        expect(boundConversation({ ...conversation, turns: [] })).toBeNull();
+        expect(
+            boundConversation({
+                ...conversation,
+                turns: [{ role: 'assistant', content: 'Hi' }],
+            })
+        ).toBeNull();
+        expect(boundConversation({ turns: conversation.turns })).toBeNull();
+    });
+
+    it('keys cached answers by the whole conversation', () => {
+        const cache = new ContextCache();
+        const key = (turns) =>
+            cache.generateKey('tomar el pelo', 'followup', 'openai', {
+                conversationKey: getConversationKey(
+                    boundConversation({ ...conversation, turns })
+                ),
+            });
+
+        const first = key(conversation.turns);
+        expect(key(conversation.turns)).toBe(first);
+        expect(
+            key([
+                { role: 'user', content: 'Is it formal?' },
+                ...conversation.turns.slice(1),
+            ])
+        ).not.toBe(first);
+        cache.destroy();
+    });
+});
+
+describe('createFollowUpMessages', () => {
+    it('replays the analysis before the questions', () => {
+        const messages = createFollowUpMessages(
+            boundConversation(conversation),
+            {
+                sourceLanguage: 'es',
+                targetLanguage: 'ja',
+            }
+        );
+
+        expect(messages.map((message) => message.role)).toEqual([
+            'system',
+            'user',
+            'assistant',
+            'user',
+            'assistant',
+            'user',
+        ]);
+        expect(messages[0].content).toContain('Spanish');
+        expect(messages[0].content).toContain('Japanese');
+        expect(messages[1].content).toContain('¿Me estás tomando el pelo?');
+        expect(messages[1].content).toContain('Cinco');
+        expect(JSON.parse(messages[2].content)).toEqual(conversation.analysis);
+    });
+});
+
+describe('followUpContext', () => {
+    const originalFetch = global.fetch;
+
+    beforeEach(async () => {
+        chrome.runtime.lastError = null;
+        await chrome.storage.local.clear();
+        await configService.setMultiple({
+            openaiApiKey: 'sk-test',
+            geminiApiKey: 'AIza-test',
+        });
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    it('sends the conversation to OpenAI as chat messages', async () => {
+        global.fetch = jest.fn(async () =>
+            mockJsonResponse({
+                choices: [{ message: { content: ' Te tomo el pelo. ' } }],
+                usage: { total_tokens: 10 },
+            })
+        );
+
+        const result = await openaiFollowUp(boundConversation(conversation));
+
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.messages.at(-1)).toEqual({
+            role: 'user',
+            content: 'More examples?',
+        });
+        expect(body).not.toHaveProperty('response_format');
+        expect(result).toMatchObject({
+            success: true,
+            answer: 'Te tomo el pelo.',
+        });
+    });
+
+    it('sends the conversation to Gemini with a system instruction', async () => {
+        global.fetch = jest.fn(async () =>
+            mockJsonResponse({
+                candidates: [
+                    {
+                        content: { parts: [{ text: 'Claro.' }] },
+                        finishReason: 'STOP',
+                    },
+                ],
+            })
+        );
+
+        const result = await geminiFollowUp(boundConversation(conversation));
+
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.systemInstruction.parts[0].text).toContain(
+            'language tutor'
+        );
+        expect(body.contents.map((content) => content.role)).toEqual([
+            'user',
+            'model',
+            'user',
+            'model',
+            'user',
+        ]);
+        expect(result).toMatchObject({ success: true, answer: 'Claro.' });
+    });
+});
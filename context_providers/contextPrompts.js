@@ -0,0 +1,207 @@
+/**
+ * Prompts for the built-in context types
+ *
+ * Shared by every context provider, so a context type asks for the same
+ * analysis whichever provider answers it. Custom context types build their
+ * prompts in contextTemplates.js.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+/** System prompt of context analysis requests */
+export const CONTEXT_SYSTEM_PROMPT =
+    'You are an expert cultural, historical, and linguistic analyst specializing in helping language learners understand nuanced context. Provide comprehensive yet concise explanations that include specific details, examples, and actionable insights. Focus on practical understanding that enhances language learning and cultural awareness.';
+
+/**
+ * Get language name for the target language code
+ * @param {string} langCode - Language code (e.g., 'en', 'es', 'fr')
+ * @returns {string} Human-readable language name
+ */
+function getLanguageName(langCode) {
+    const languageNames = {
+        en: 'English',
+        es: 'Spanish',
+        fr: 'French',
+        de: 'German',
+        it: 'Italian',
+        pt: 'Portuguese',
+        ru: 'Russian',
+        ja: 'Japanese',
+        ko: 'Korean',
+        'zh-CN': 'Chinese (Simplified)',
+        'zh-TW': 'Chinese (Traditional)',
+        ar: 'Arabic',
+        hi: 'Hindi',
+        th: 'Thai',
+        vi: 'Vietnamese',
+        nl: 'Dutch',
+        sv: 'Swedish',
+        da: 'Danish',
+        no: 'Norwegian',
+        fi: 'Finnish',
+        pl: 'Polish',
+        cs: 'Czech',
+        hu: 'Hungarian',
+        tr: 'Turkish',
+        he: 'Hebrew',
+    };
+    return (
+        languageNames[langCode] || (langCode === 'auto' ? 'Unknown' : langCode)
+    );
+}
+
+/**
+ * Creates specialized prompts for different types of context analysis
+ * @param {string} text - The text to analyze
+ * @param {string} contextType - Type of context ('cultural', 'historical', 'linguistic')
+ * @param {Object} metadata - Additional context metadata
+ * @returns {string} Formatted prompt for the AI model
+ */
+export function createContextPrompt(text, contextType, metadata = {}) {
+    const {
+        sourceLanguage = 'unknown',
+        targetLanguage = 'unknown',
+        surroundingContext = '',
+    } = metadata;
+
+    // Get language name for the target language code
+    const targetLanguageName = getLanguageName(targetLanguage);
+    const sourceLanguageName = getLanguageName(sourceLanguage);
+
+    const baseContext = `
+Analyze this ${sourceLanguageName} text for ${contextType} context:
+
+Text to analyze: "${text}"
+Source language: ${sourceLanguage} (${sourceLanguageName})
+Target language for response: ${targetLanguage} (${targetLanguageName})
+${surroundingContext ? `Context: "${surroundingContext}"` : ''}
+
+CRITICAL INSTRUCTIONS:
+1. Write your ENTIRE response in ${targetLanguageName} language
+2. Analyze and discuss the ${sourceLanguageName} language content, culture, and context
+3. Explain ${sourceLanguageName} cultural/historical/linguistic aspects TO a ${targetLanguageName} speaker
+4. Do NOT analyze ${targetLanguageName} language or culture - focus on the ${sourceLanguageName} source material
+5. Help ${targetLanguageName} speakers understand this ${sourceLanguageName} text better
+
+Provide a clear, educational explanation that helps ${targetLanguageName} speakers understand the deeper meaning of this ${sourceLanguageName} content.
+`;
+
+    switch (contextType) {
+        case 'cultural':
+            return (
+                baseContext +
+                `
+Provide a comprehensive cultural analysis of this ${sourceLanguageName} text in the following JSON structure:
+{
+  "definition": "Clear definition or meaning of this ${sourceLanguageName} expression",
+  "cultural_context": {
+    "origins": "${sourceLanguageName} cultural origins and background of this expression",
+    "social_context": "How this is used in ${sourceLanguageName} society and conversational context",
+    "regional_variations": "How this ${sourceLanguageName} expression varies across different ${sourceLanguageName}-speaking regions"
+  },
+  "usage": {
+    "examples": ["${sourceLanguageName} usage example 1", "${sourceLanguageName} usage example 2", "${sourceLanguageName} usage example 3"],
+    "when_to_use": "When ${sourceLanguageName} speakers use this expression",
+    "formality_level": "Formality level in ${sourceLanguageName} culture"
+  },
+  "cultural_significance": "Why this expression is culturally important in ${sourceLanguageName} culture",
+  "learning_tips": "Practical advice for ${targetLanguageName} speakers learning ${sourceLanguageName}",
+  "related_expressions": ["Similar ${sourceLanguageName} expression 1", "Similar ${sourceLanguageName} expression 2"],
+  "sensitivities": "Cultural sensitivities ${targetLanguageName} speakers should know about this ${sourceLanguageName} expression"
+}
+
+Respond ONLY with valid JSON in this exact structure. All text content within the JSON must be written in ${targetLanguageName} but analyze the ${sourceLanguageName} content.`
+            );
+
+        case 'historical':
+            return (
+                baseContext +
+                `
+Provide a detailed historical analysis of this ${sourceLanguageName} text in the following JSON structure:
+{
+  "definition": "Clear definition or meaning of this ${sourceLanguageName} expression",
+  "historical_context": {
+    "time_period": "Historical period relevant to this ${sourceLanguageName} expression",
+    "historical_figures": "Important ${sourceLanguageName} historical figures connected to this expression",
+    "events": "${sourceLanguageName} historical events that shaped this expression"
+  },
+  "evolution": {
+    "original_meaning": "How this ${sourceLanguageName} expression was originally used",
+    "changes_over_time": "How this ${sourceLanguageName} expression's meaning evolved",
+    "modern_usage": "How this ${sourceLanguageName} expression is used today"
+  },
+  "historical_significance": "Why this expression is historically important in ${sourceLanguageName} culture/history",
+  "examples": ["${sourceLanguageName} historical usage example 1", "${sourceLanguageName} historical usage example 2"],
+  "related_terms": ["Related ${sourceLanguageName} historical term 1", "Related ${sourceLanguageName} historical term 2"],
+  "learning_context": "How understanding ${sourceLanguageName} history helps ${targetLanguageName} speakers learn this expression"
+}
+
+Respond ONLY with valid JSON in this exact structure. All text content within the JSON must be written in ${targetLanguageName} but analyze the ${sourceLanguageName} historical context.`
+            );
+
+        case 'linguistic':
+            return (
+                baseContext +
+                `
+Provide an in-depth linguistic analysis of this ${sourceLanguageName} text in the following JSON structure:
+{
+  "definition": "Clear definition or meaning of this ${sourceLanguageName} expression",
+  "etymology": {
+    "word_origins": "${sourceLanguageName} language family and root origins of this expression",
+    "historical_development": "How this ${sourceLanguageName} word/phrase developed linguistically"
+  },
+  "grammar": {
+    "structure": "${sourceLanguageName} grammatical structure and patterns of this expression",
+    "usage_rules": "${sourceLanguageName} grammar rules for proper usage"
+  },
+  "semantics": {
+    "literal_meaning": "Literal ${sourceLanguageName} meaning before translation",
+    "connotations": "Implied meanings and connotations in ${sourceLanguageName}",
+    "register": "Formal/informal/technical classification in ${sourceLanguageName}"
+  },
+  "translation_notes": "Why this ${sourceLanguageName} expression is challenging to translate to ${targetLanguageName}",
+  "examples": ["${sourceLanguageName} linguistic example 1", "${sourceLanguageName} linguistic example 2"],
+  "related_forms": ["Related ${sourceLanguageName} word 1", "Related ${sourceLanguageName} word 2"],
+  "learning_tips": "Specific tips for ${targetLanguageName} speakers to master this ${sourceLanguageName} expression linguistically"
+}
+
+Respond ONLY with valid JSON in this exact structure. All text content within the JSON must be written in ${targetLanguageName} but analyze the ${sourceLanguageName} linguistic aspects.`
+            );
+
+        default:
+            return (
+                baseContext +
+                `
+Provide a comprehensive analysis of this ${sourceLanguageName} text covering cultural, historical, and linguistic aspects in the following JSON structure:
+{
+  "definition": "Clear definition or meaning of this ${sourceLanguageName} expression",
+  "cultural_analysis": {
+    "cultural_context": "${sourceLanguageName} cultural background and significance",
+    "social_usage": "How this is used socially in ${sourceLanguageName} culture",
+    "regional_notes": "Regional or cultural variations within ${sourceLanguageName}-speaking areas"
+  },
+  "historical_analysis": {
+    "origins": "${sourceLanguageName} historical origins and background",
+    "evolution": "How this ${sourceLanguageName} expression evolved over time",
+    "historical_significance": "Historical importance in ${sourceLanguageName} culture"
+  },
+  "linguistic_analysis": {
+    "etymology": "${sourceLanguageName} word origins and linguistic development",
+    "grammar_notes": "${sourceLanguageName} grammatical considerations",
+    "translation_notes": "Why this ${sourceLanguageName} expression is challenging to translate to ${targetLanguageName}"
+  },
+  "practical_usage": {
+    "examples": ["${sourceLanguageName} example 1", "${sourceLanguageName} example 2", "${sourceLanguageName} example 3"],
+    "when_to_use": "When ${sourceLanguageName} speakers use this expression",
+    "formality": "Formality level in ${sourceLanguageName} culture"
+  },
+  "learning_tips": "Comprehensive advice for ${targetLanguageName} speakers learning ${sourceLanguageName}",
+  "related_expressions": ["Related ${sourceLanguageName} expression 1", "Related ${sourceLanguageName} expression 2"],
+  "key_insights": "Most important things for ${targetLanguageName} speakers to understand about this ${sourceLanguageName} expression"
+}
+
+Respond ONLY with valid JSON in this exact structure. All text content within the JSON must be written in ${targetLanguageName} but analyze the ${sourceLanguageName} content.`
+            );
+    }
+}
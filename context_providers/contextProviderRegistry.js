@@ -0,0 +1,89 @@
+/**
+ * Context Provider Registry
+ *
+ * The AI context service looks providers up here. Each provider module
+ * exports a `CONTEXT_PROVIDER` entry declaring its name, models, how it
+ * gets structured responses (`schemaSupport`) and the rate limit defaults
+ * its ContextRateLimiter starts from.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { CONTEXT_PROVIDER as openaiProvider } from './openaiContextProvider.js';
+import { CONTEXT_PROVIDER as geminiProvider } from './geminiContextProvider.js';
+import { CONTEXT_PROVIDER as anthropicProvider } from './anthropicContextProvider.js';
+import { CONTEXT_PROVIDER as openaiCompatibleProvider } from './openaiCompatibleContextProvider.js';
+import { BUILT_IN_CONTEXT_TYPES } from './contextTemplates.js';
+
+/**
+ * How providers get responses that follow the context schema:
+ * - `json_schema`: OpenAI structured outputs
+ * - `response_schema`: Gemini response schema
+ * - `tool`: the input of a forced tool call
+ * - `json_object`: JSON mode only; the prompt describes the structure
+ */
+export const SCHEMA_SUPPORT = [
+    'json_schema',
+    'response_schema',
+    'tool',
+    'json_object',
+];
+
+const providers = {};
+
+/**
+ * Adds a context provider, replacing one with the same id
+ * @param {Object} provider - Provider entry
+ * @param {string} provider.id - Stored in the `aiContextProvider` setting
+ * @param {string} provider.name - Display name
+ * @param {string} provider.category - 'api_key', like translation providers
+ * @param {string} provider.schemaSupport - One of SCHEMA_SUPPORT
+ * @param {Object} provider.rateLimit - ContextRateLimiter configuration
+ * @param {Function} provider.analyzeContext - (text, contextType, metadata, options)
+ * @param {Function} [provider.followUp] - (conversation, metadata, options)
+ * @param {function(): Array} provider.getAvailableModels - Model list
+ * @param {function(): string|null} provider.getDefaultModel - Default model id
+ * @returns {Object} The registered entry
+ */
+export function registerContextProvider(provider) {
+    if (!provider?.id || typeof provider.analyzeContext !== 'function') {
+        throw new Error('A context provider needs an id and analyzeContext');
+    }
+    if (!SCHEMA_SUPPORT.includes(provider.schemaSupport)) {
+        throw new Error(
+            `Unknown schema support of context provider ${provider.id}: ${provider.schemaSupport}`
+        );
+    }
+
+    providers[provider.id] = {
+        supportsBatch: false,
+        contextTypes: BUILT_IN_CONTEXT_TYPES,
+        ...provider,
+    };
+    return providers[provider.id];
+}
+
+/**
+ * Registered providers by id. The object is live: providers registered
+ * later appear in it.
+ * @returns {Object<string, Object>}
+ */
+export function getContextProviders() {
+    return providers;
+}
+
+/**
+ * @param {string} providerId - Provider id
+ * @returns {Object|null} Registered provider
+ */
+export function getContextProvider(providerId) {
+    return providers[providerId] || null;
+}
+
+[
+    openaiProvider,
+    geminiProvider,
+    anthropicProvider,
+    openaiCompatibleProvider,
+].forEach(registerContextProvider);
@@ -0,0 +1,290 @@
+/**
+ * @jest-environment node
+ */
+
+import {
+    describe,
+    it,
+    expect,
+    beforeEach,
+    afterEach,
+    jest,
+} from '@jest/globals';
+import { configService } from '../services/configService.js';
+import {
+    SCHEMA_SUPPORT,
+    getContextProvider,
+    getContextProviders,
+    registerContextProvider,
+} from './contextProviderRegistry.js';
+import { getContextSchema } from './contextSchemas.js';
+import { analyzeContext as anthropicAnalyze } from './anthropicContextProvider.js';
+import {
+    analyzeContext as compatibleAnalyze,
+    followUpContext as compatibleFollowUp,
+} from './openaiCompatibleContextProvider.js';
+import {
+    mockJsonResponse,
+    mockStreamingResponse,
+} from '../test-utils/fetch-response-mock.js';
+
+const analysis = {
+    definition: 'to tease',
+    cultural_context: {
+        origins: 'o',
+        social_context: 's',
+        regional_variations: 'r',
+    },
+    usage: {
+        examples: ['e'],
+        when_to_use: 'w',
+        formality_level: 'f',
+    },
+    cultural_significance: 'c',
+    learning_tips: 'l',
+    related_expressions: ['x'],
+    sensitivities: 'n',
+};
+
+/**
+ * Formats Anthropic stream events as server-sent events.
+ */
+function anthropicEvents(events) {
+    return events.map(
+        (event) => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`
+    );
+}
+
+describe('context provider registry', () => {
+    it('registers the built-in providers with their declarations', () => {
+        const providers = getContextProviders();
+
+        expect(Object.keys(providers)).toEqual([
+            'openai',
+            'gemini',
+            'anthropic',
+            'openai_compatible',
+        ]);
+        for (const provider of Object.values(providers)) {
+            expect(SCHEMA_SUPPORT).toContain(provider.schemaSupport);
+            expect(provider.rateLimit.requests).toBeGreaterThan(0);
+            expect(Array.isArray(provider.getAvailableModels())).toBe(true);
+            expect(provider.contextTypes).toContain('all');
+        }
+        expect(getContextProvider('anthropic').getDefaultModel()).toBe(
+            'claude-haiku-4-5'
+        );
+    });
+
+    it('validates and adds new providers', () => {
+        expect(() => registerContextProvider({ id: 'broken' })).toThrow(
+            'needs an id and analyzeContext'
+        );
+        expect(() =>
+            registerContextProvider({
+                id: 'broken',
+                analyzeContext: async () => ({}),
+                schemaSupport: 'xml',
+            })
+        ).toThrow('Unknown schema support');
+
+        const provider = registerContextProvider({
+            id: 'test_provider',
+            name: 'Test',
+            schemaSupport: 'json_object',
+            rateLimit: { requests: 5 },
+            analyzeContext: async () => ({ success: true }),
+            getAvailableModels: () => [],
+            getDefaultModel: () => null,
+        });
+
+        expect(getContextProviders().test_provider).toBe(provider);
+        expect(provider).toMatchObject({ supportsBatch: false });
+        delete getContextProviders().test_provider;
+    });
+});
+
+describe('Anthropic context provider', () => {
+    const originalFetch = global.fetch;
+
+    beforeEach(async () => {
+        chrome.runtime.lastError = null;
+        await chrome.storage.local.clear();
+        await configService.setMultiple({
+            anthropicApiKey: 'sk-ant-test',
+            anthropicBaseUrl: 'https://api.anthropic.com/',
+            anthropicModel: 'claude-sonnet-4-5',
+        });
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    it('forces a tool call with the context schema', async () => {
+        global.fetch = jest.fn(async () =>
+            mockJsonResponse({
+                content: [
+                    {
+                        type: 'tool_use',
+                        name: 'context_analysis',
+                        input: analysis,
+                    },
+                ],
+                usage: { input_tokens: 10, output_tokens: 20 },
+                stop_reason: 'tool_use',
+            })
+        );
+
+        const result = await anthropicAnalyze('chinchar', 'cultural', {
+            sourceLanguage: 'es',
+            targetLanguage: 'en',
+        });
+
+        const [url, request] = global.fetch.mock.calls[0];
+        const body = JSON.parse(request.body);
+        expect(url).toBe('https://api.anthropic.com/v1/messages');
+        expect(request.headers).toMatchObject({
+            'x-api-key': 'sk-ant-test',
+            'anthropic-version': '2023-06-01',
+        });
+        expect(body.model).toBe('claude-sonnet-4-5');
+        expect(body.tools[0].input_schema).toEqual(
+            getContextSchema('cultural')
+        );
+        expect(body.tool_choice).toEqual({
+            type: 'tool',
+            name: 'context_analysis',
+        });
+        expect(result).toMatchObject({
+            success: true,
+            analysis,
+            usage: { input_tokens: 10, output_tokens: 20 },
+        });
+    });
+
+    it('streams the partial tool input', async () => {
+        const json = JSON.stringify(analysis);
+        global.fetch = jest.fn(async () =>
+            mockStreamingResponse(
+                anthropicEvents([
+                    {
+                        type: 'message_start',
+                        message: { usage: { input_tokens: 10 } },
+                    },
+                    {
+                        type: 'content_block_delta',
+                        delta: {
+                            type: 'input_json_delta',
+                            partial_json: json.slice(0, 30),
+                        },
+                    },
+                    {
+                        type: 'content_block_delta',
+                        delta: {
+                            type: 'input_json_delta',
+                            partial_json: json.slice(30),
+                        },
+                    },
+                    {
+                        type: 'message_delta',
+                        delta: { stop_reason: 'tool_use' },
+                        usage: { output_tokens: 20 },
+                    },
+                ])
+            )
+        );
+        const partials = [];
+
+        const result = await anthropicAnalyze(
+            'chinchar',
+            'cultural',
+            {},
+            { onPartial: (partial) => partials.push(partial) }
+        );
+
+        expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(
+            true
+        );
+        expect(partials[0]).toEqual({ definition: 'to tease' });
+        expect(result).toMatchObject({
+            success: true,
+            analysis,
+            usage: { input_tokens: 10, output_tokens: 20 },
+        });
+    });
+
+    it('fails without an API key', async () => {
+        await configService.set('anthropicApiKey', '');
+        global.fetch = jest.fn();
+
+        const result = await anthropicAnalyze('chinchar', 'cultural');
+
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect(result).toMatchObject({
+            success: false,
+            error: 'Anthropic API key not configured',
+        });
+    });
+});
+
+describe('OpenAI-compatible context provider', () => {
+    const originalFetch = global.fetch;
+
+    beforeEach(async () => {
+        chrome.runtime.lastError = null;
+        await chrome.storage.local.clear();
+        await configService.setMultiple({
+            openaiCompatibleApiKey: 'compat-key',
+            openaiCompatibleBaseUrl: 'https://llm.example.com/v1/',
+            openaiCompatibleModel: 'translation-model',
+            openaiCompatibleContextModel: '',
+        });
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    it('uses the translation endpoint in JSON mode', async () => {
+        global.fetch = jest.fn(async () =>
+            mockJsonResponse({
+                choices: [{ message: { content: JSON.stringify(analysis) } }],
+            })
+        );
+
+        const result = await compatibleAnalyze('chinchar', 'cultural');
+
+        const [url, request] = global.fetch.mock.calls[0];
+        const body = JSON.parse(request.body);
+        expect(url).toBe('https://llm.example.com/v1/chat/completions');
+        expect(request.headers.Authorization).toBe('Bearer compat-key');
+        expect(body.model).toBe('translation-model');
+        expect(body.response_format).toEqual({ type: 'json_object' });
+        expect(result).toMatchObject({ success: true, analysis });
+    });
+
+    it('prefers the context model for follow-up questions', async () => {
+        await configService.set('openaiCompatibleContextModel', 'chat-model');
+        global.fetch = jest.fn(async () =>
+            mockJsonResponse({
+                choices: [{ message: { content: 'It means to tease.' } }],
+            })
+        );
+
+        const result = await compatibleFollowUp({
+            selection: 'chinchar',
+            subtitleLine: '',
+            surroundingCues: { before: [], after: [] },
+            analysis,
+            turns: [{ role: 'user', content: 'What does it mean?' }],
+        });
+
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.model).toBe('chat-model');
+        expect(result).toMatchObject({
+            success: true,
+            answer: 'It means to tease.',
+        });
+    });
+});
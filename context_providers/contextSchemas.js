@@ -206,7 +206,12 @@ export function getContextSchema(contextType = 'all') {
     }
 }
 
-function toGeminiSchema(node) {
+/**
+ * Converts a JSON schema to the OpenAPI subset Gemini accepts
+ * @param {Object} node - JSON schema
+ * @returns {Object} Gemini response schema
+ */
+export function toGeminiSchema(node) {
     if (!node) return node;
     if (node.type === 'object') {
         const properties = {};
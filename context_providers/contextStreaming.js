@@ -0,0 +1,211 @@
+/**
+ * Streaming helpers for context providers
+ *
+ * Reads server-sent event responses of OpenAI-compatible, Gemini and
+ * Messages APIs and turns the JSON generated so far into a partial
+ * analysis, so the context modal can render sections before the response
+ * is complete.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+/**
+ * Reads a server-sent event response and passes each JSON `data:` payload
+ * on. Servers that ignore streaming send one complete JSON body, which is
+ * passed on as a single payload.
+ * @param {Response} response - Streamed response
+ * @param {function(Object): void} onData - Called with each payload
+ * @param {function(): void} [onActivity] - Called whenever bytes arrive
+ * @returns {Promise<void>}
+ */
+export async function readEventStream(response, onData, onActivity) {
+    let buffer = '';
+    const consumeLines = (final) => {
+        const lines = buffer.split('\n');
+        buffer = final ? '' : lines.pop();
+        for (const line of lines) {
+            let payload = line.trim();
+            if (payload.startsWith('data:')) {
+                payload = payload.slice(5).trim();
+            }
+            if (!payload || payload === '[DONE]' || !payload.startsWith('{')) {
+                continue;
+            }
+            onData(JSON.parse(payload));
+        }
+    };
+
+    const reader = response.body?.getReader?.();
+    if (!reader) {
+        const text = await response.text();
+        onActivity?.();
+        try {
+            onData(JSON.parse(text));
+        } catch (_) {
+            buffer = text;
+            consumeLines(true);
+        }
+        return;
+    }
+
+    const decoder = new TextDecoder();
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        onActivity?.();
+        buffer += decoder.decode(value, { stream: true });
+        consumeLines(false);
+    }
+    buffer += decoder.decode();
+    consumeLines(true);
+}
+
+function closers(stack) {
+    return stack.slice().reverse().join('');
+}
+
+/**
+ * Parses the beginning of a JSON object that is still being generated.
+ * Open strings, arrays and objects are closed, and a trailing key without
+ * a value is dropped, so the fields generated so far can be shown.
+ * @param {string} text - JSON generated so far
+ * @returns {Object|null} The fields so far, or null before the first one
+ */
+export function parsePartialJson(text) {
+    const start = typeof text === 'string' ? text.indexOf('{') : -1;
+    if (start === -1) return null;
+
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+    let stringIsKey = false;
+    let expectKey = false;
+    let lastSafe = null;
+
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (ch === '\\') {
+                escaped = true;
+            } else if (ch === '"') {
+                inString = false;
+                if (!stringIsKey) {
+                    lastSafe = text.slice(start, i + 1) + closers(stack);
+                }
+            }
+            continue;
+        }
+
+        if (ch === '"') {
+            inString = true;
+            stringIsKey = expectKey && stack[stack.length - 1] === '}';
+        } else if (ch === '{' || ch === '[') {
+            stack.push(ch === '{' ? '}' : ']');
+            expectKey = ch === '{';
+        } else if (ch === '}' || ch === ']') {
+            stack.pop();
+            expectKey = false;
+            lastSafe = text.slice(start, i + 1) + closers(stack);
+            if (stack.length === 0) break;
+        } else if (ch === ':') {
+            expectKey = false;
+        } else if (ch === ',') {
+            expectKey = stack[stack.length - 1] === '}';
+        }
+    }
+
+    const candidates = [];
+    if (inString && !stringIsKey) {
+        // Show the text of the value being generated
+        const open = escaped ? text.slice(start, -1) : text.slice(start);
+        candidates.push(open + '"' + closers(stack));
+    }
+    if (lastSafe) candidates.push(lastSafe);
+
+    for (const candidate of candidates) {
+        try {
+            const parsed = JSON.parse(candidate);
+            if (
+                parsed &&
+                typeof parsed === 'object' &&
+                !Array.isArray(parsed)
+            ) {
+                return parsed;
+            }
+        } catch (_) {
+            // A cut escape sequence; try the last complete value
+        }
+    }
+    return null;
+}
+
+/**
+ * Turns an aborted fetch into the error the caller should see
+ * @param {Error} error - Error thrown by fetch or the stream
+ * @param {AbortSignal} [signal] - Caller's cancellation signal
+ * @param {number} timeout - Idle timeout in milliseconds
+ * @returns {Error} Error to report
+ */
+export function toAbortError(error, signal, timeout) {
+    if (error?.name !== 'AbortError') return error;
+    if (signal?.aborted) {
+        const cancelled = new Error('Analysis cancelled');
+        cancelled.cancelled = true;
+        return cancelled;
+    }
+    return new Error(`Context analysis timed out after ${timeout}ms`);
+}
+
+/**
+ * Wraps the callback a partial analysis is reported to, so it is only
+ * called when the text generated so far adds to the analysis
+ * @param {function(Object): void} onPartial - Receives partial analyses
+ * @returns {function(string): void} Takes the text generated so far
+ */
+export function createPartialReporter(onPartial) {
+    let last = '';
+    return (text) => {
+        const partial = parsePartialJson(text);
+        if (!partial) return;
+        const serialized = JSON.stringify(partial);
+        if (serialized === last) return;
+        last = serialized;
+        onPartial(partial);
+    };
+}
+
+/**
+ * Aborts a request when the caller cancels it or when no data arrived for
+ * the timeout. Streams call `touch` on each chunk to restart the timer.
+ * @param {number} timeout - Idle timeout in milliseconds
+ * @param {AbortSignal} [signal] - Caller's cancellation signal
+ * @returns {{signal: AbortSignal, touch: function(): void, clear: function(): void}}
+ */
+export function createRequestController(timeout, signal) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let timeoutId = null;
+    const touch = () => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(abort, timeout);
+    };
+
+    if (signal?.aborted) {
+        abort();
+    } else {
+        signal?.addEventListener('abort', abort, { once: true });
+    }
+    touch();
+
+    return {
+        signal: controller.signal,
+        touch,
+        clear: () => {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', abort);
+        },
+    };
+}
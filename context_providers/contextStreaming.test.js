@@ -0,0 +1,206 @@
+/**
+ * @jest-environment node
+ */
+
+import {
+    describe,
+    it,
+    expect,
+    beforeEach,
+    afterEach,
+    jest,
+} from '@jest/globals';
+import { configService } from '../services/configService.js';
+import {
+    createPartialReporter,
+    parsePartialJson,
+    readEventStream,
+} from './contextStreaming.js';
+import { getContextSchema } from './contextSchemas.js';
+import { analyzeContext } from './openaiContextProvider.js';
+import { mockStreamingResponse } from '../test-utils/fetch-response-mock.js';
+
+/**
+ * Builds an object that satisfies a context schema.
+ */
+function sampleFor(schema) {
+    if (schema.type === 'object') {
+        return Object.fromEntries(
+            Object.entries(schema.properties).map(([key, child]) => [
+                key,
+                sampleFor(child),
+            ])
+        );
+    }
+    if (schema.type === 'array') return [sampleFor(schema.items)];
+    return 'text';
+}
+
+/**
+ * Splits JSON text into OpenAI chat completion stream events.
+ */
+function openaiEvents(text, size = 40) {
+    const events = [];
+    for (let i = 0; i < text.length; i += size) {
+        const delta = {
+            choices: [{ delta: { content: text.slice(i, i + size) } }],
+        };
+        events.push(`data: ${JSON.stringify(delta)}\n\n`);
+    }
+    events.push(
+        `data: ${JSON.stringify({ choices: [], usage: { total_tokens: 42 } })}\n\n`,
+        'data: [DONE]\n\n'
+    );
+    return events;
+}
+
+describe('parsePartialJson', () => {
+    it('returns the fields generated so far', () => {
+        expect(parsePartialJson('{"definition": "A greet')).toEqual({
+            definition: 'A greet',
+        });
+        expect(
+            parsePartialJson(
+                '{"definition": "Hi", "usage": {"examples": ["a", "b'
+            )
+        ).toEqual({ definition: 'Hi', usage: { examples: ['a', 'b'] } });
+    });
+
+    it('drops a key whose value has not started', () => {
+        expect(parsePartialJson('{"definition": "Hi", "usa')).toEqual({
+            definition: 'Hi',
+        });
+        expect(parsePartialJson('{"definition": "Hi", "usage":')).toEqual({
+            definition: 'Hi',
+        });
+    });
+
+    it('handles escapes and text around the object', () => {
+        expect(
+            parsePartialJson('```json\n{"a": "say \\"hi\\"", "b": "x\\')
+        ).toEqual({ a: 'say "hi"', b: 'x' });
+        expect(parsePartialJson('{"a": 1} trailing')).toEqual({ a: 1 });
+        expect(parsePartialJson('no json yet')).toBeNull();
+        expect(parsePartialJson('{"a')).toBeNull();
+    });
+});
+
+describe('readEventStream', () => {
+    it('parses data lines split across chunks', async () => {
+        const payloads = [];
+        const onActivity = jest.fn();
+        await readEventStream(
+            mockStreamingResponse([
+                'data: {"n"',
+                ': 1}\n\nda',
+                'ta: {"n": 2}\n\ndata: [DONE]',
+            ]),
+            (payload) => payloads.push(payload),
+            onActivity
+        );
+
+        expect(payloads).toEqual([{ n: 1 }, { n: 2 }]);
+        expect(onActivity).toHaveBeenCalledTimes(3);
+    });
+
+    it('reads a complete JSON body from servers that ignore streaming', async () => {
+        const payloads = [];
+        await readEventStream(
+            { text: async () => '{"choices": []}' },
+            (payload) => payloads.push(payload)
+        );
+
+        expect(payloads).toEqual([{ choices: [] }]);
+    });
+});
+
+describe('createPartialReporter', () => {
+    it('reports only when the analysis changes', () => {
+        const onPartial = jest.fn();
+        const report = createPartialReporter(onPartial);
+
+        report('{"a": "x"');
+        report('{"a": "x", "b');
+        report('{"a": "x", "b": "y');
+
+        expect(onPartial.mock.calls).toEqual([
+            [{ a: 'x' }],
+            [{ a: 'x', b: 'y' }],
+        ]);
+    });
+});
+
+describe('OpenAI context analysis streaming', () => {
+    const originalFetch = global.fetch;
+
+    beforeEach(async () => {
+        chrome.runtime.lastError = null;
+        await chrome.storage.local.clear();
+        await configService.setMultiple({
+            openaiApiKey: 'sk-test',
+            aiContextTimeout: 5000,
+        });
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    it('reports partial analyses and resolves with the full one', async () => {
+        const analysis = sampleFor(getContextSchema('cultural'));
+        global.fetch = jest.fn(async () =>
+            mockStreamingResponse(openaiEvents(JSON.stringify(analysis)))
+        );
+        const partials = [];
+
+        const result = await analyzeContext(
+            'hola',
+            'cultural',
+            {},
+            {
+                onPartial: (partial) => partials.push(partial),
+            }
+        );
+
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.stream).toBe(true);
+        expect(body.stream_options).toEqual({ include_usage: true });
+        expect(result).toMatchObject({ success: true, analysis });
+        expect(result.usage).toEqual({ total_tokens: 42 });
+        expect(partials.length).toBeGreaterThan(1);
+        expect(partials[0]).toEqual({ definition: 'text' });
+    });
+
+    it('reports a cancelled analysis without caching it', async () => {
+        const controller = new AbortController();
+        global.fetch = jest.fn(
+            (url, { signal }) =>
+                new Promise((resolve, reject) => {
+                    signal.addEventListener('abort', () => {
+                        const error = new Error('aborted');
+                        error.name = 'AbortError';
+                        reject(error);
+                    });
+                })
+        );
+
+        const pending = analyzeContext(
+            'hola',
+            'cultural',
+            {},
+            {
+                onPartial: () => {},
+                signal: controller.signal,
+            }
+        );
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        controller.abort();
+
+        expect(await pending).toMatchObject({
+            success: false,
+            error: 'Analysis cancelled',
+            cancelled: true,
+            shouldCache: false,
+        });
+    });
+});
@@ -0,0 +1,235 @@
+/**
+ * Custom context types for AI context analysis
+ *
+ * Besides the built-in cultural, historical and linguistic analyses, users
+ * can define their own context types in the options page (the
+ * `aiContextTemplates` setting). A template has a prompt with placeholders
+ * and an optional JSON schema for the response; enabling it adds its id to
+ * `aiContextTypes`.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+/** Context types with prompts and schemas built into the providers */
+export const BUILT_IN_CONTEXT_TYPES = [
+    'cultural',
+    'historical',
+    'linguistic',
+    'all',
+];
+
+/** Placeholders a template prompt may use, as `{{name}}` */
+export const TEMPLATE_PLACEHOLDERS = [
+    'text',
+    'sourceLanguage',
+    'targetLanguage',
+    'surroundingContext',
+    'showTitle',
+];
+
+export const MAX_TEMPLATE_NAME_LENGTH = 60;
+export const MAX_TEMPLATE_PROMPT_LENGTH = 4000;
+
+const TEMPLATE_ID_PATTERN = /^custom-[a-z0-9-]+$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/** Response schema of templates that do not define one */
+export const DEFAULT_TEMPLATE_SCHEMA = {
+    type: 'object',
+    properties: {
+        definition: { type: 'string' },
+        explanation: { type: 'string' },
+        examples: { type: 'array', items: { type: 'string' } },
+        learning_tips: { type: 'string' },
+    },
+    required: ['definition', 'explanation', 'examples', 'learning_tips'],
+    additionalProperties: false,
+};
+
+/**
+ * Creates an id for a new template
+ * @returns {string}
+ */
+export function createTemplateId() {
+    return `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Whether a context type is a custom template rather than a built-in type
+ * @param {string} contextType - Context type id
+ * @returns {boolean}
+ */
+export function isCustomContextType(contextType) {
+    return TEMPLATE_ID_PATTERN.test(String(contextType || ''));
+}
+
+/**
+ * Finds the template of a custom context type
+ * @param {Array<Object>} templates - `aiContextTemplates` setting
+ * @param {string} contextType - Context type id
+ * @returns {Object|null}
+ */
+export function findContextTemplate(templates, contextType) {
+    if (!Array.isArray(templates) || !isCustomContextType(contextType)) {
+        return null;
+    }
+    return templates.find((template) => template?.id === contextType) || null;
+}
+
+/**
+ * Parses the JSON schema of a template. An empty schema means the
+ * template uses DEFAULT_TEMPLATE_SCHEMA.
+ * @param {Object|string} [schema] - Schema object or JSON text
+ * @returns {{schema: Object|null, error: string|null}}
+ */
+export function parseTemplateSchema(schema) {
+    if (schema === undefined || schema === null || schema === '') {
+        return { schema: null, error: null };
+    }
+    let parsed = schema;
+    if (typeof schema === 'string') {
+        if (!schema.trim()) return { schema: null, error: null };
+        try {
+            parsed = JSON.parse(schema);
+        } catch (error) {
+            return { schema: null, error: `Invalid JSON: ${error.message}` };
+        }
+    }
+    if (
+        !parsed ||
+        parsed.type !== 'object' ||
+        typeof parsed.properties !== 'object' ||
+        Object.keys(parsed.properties).length === 0
+    ) {
+        return {
+            schema: null,
+            error: 'The schema must be an object schema with properties',
+        };
+    }
+    return { schema: parsed, error: null };
+}
+
+/**
+ * Response schema of a template
+ * @param {Object} template - Context template
+ * @returns {Object} JSON schema
+ */
+export function getTemplateSchema(template) {
+    return (
+        parseTemplateSchema(template?.schema).schema || DEFAULT_TEMPLATE_SCHEMA
+    );
+}
+
+/**
+ * Checks a template before it is saved or sent to a provider
+ * @param {Object} template - Context template
+ * @returns {Array<string>} Problems found, empty when the template is valid
+ */
+export function validateContextTemplate(template) {
+    const errors = [];
+    if (!template || typeof template !== 'object') {
+        return ['Template is missing'];
+    }
+    if (!isCustomContextType(template.id)) {
+        errors.push('Invalid template id');
+    }
+    const name = typeof template.name === 'string' ? template.name.trim() : '';
+    if (!name) {
+        errors.push('Name is required');
+    } else if (name.length > MAX_TEMPLATE_NAME_LENGTH) {
+        errors.push(
+            `Name is longer than ${MAX_TEMPLATE_NAME_LENGTH} characters`
+        );
+    }
+
+    const prompt = typeof template.prompt === 'string' ? template.prompt : '';
+    if (!prompt.trim()) {
+        errors.push('Prompt is required');
+    } else {
+        if (prompt.length > MAX_TEMPLATE_PROMPT_LENGTH) {
+            errors.push(
+                `Prompt is longer than ${MAX_TEMPLATE_PROMPT_LENGTH} characters`
+            );
+        }
+        const placeholders = [...prompt.matchAll(PLACEHOLDER_PATTERN)].map(
+            (match) => match[1]
+        );
+        if (!placeholders.includes('text')) {
+            errors.push('Prompt must contain the {{text}} placeholder');
+        }
+        for (const placeholder of new Set(placeholders)) {
+            if (!TEMPLATE_PLACEHOLDERS.includes(placeholder)) {
+                errors.push(`Unknown placeholder {{${placeholder}}}`);
+            }
+        }
+    }
+
+    const { error } = parseTemplateSchema(template.schema);
+    if (error) errors.push(error);
+    return errors;
+}
+
+/**
+ * Stable text of the parts of a template that change its results, for
+ * cache keys
+ * @param {Object} template - Context template
+ * @returns {string}
+ */
+export function getTemplateFingerprint(template) {
+    return JSON.stringify([template.prompt, getTemplateSchema(template)]);
+}
+
+/**
+ * English name of a language code
+ * @param {string} code - Language code such as 'es' or 'zh-CN'
+ * @returns {string|null} Name, or null for 'auto' and missing codes
+ */
+export function getLanguageName(code) {
+    if (!code || code === 'auto') return null;
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+    } catch (_) {
+        return code;
+    }
+}
+
+/**
+ * Replaces the `{{placeholder}}` markers of a prompt. Unknown placeholders
+ * are left as they are.
+ * @param {string} prompt - Template prompt
+ * @param {Object<string, string>} values - Placeholder values
+ * @returns {string}
+ */
+export function renderPromptTemplate(prompt, values) {
+    return String(prompt || '').replace(PLACEHOLDER_PATTERN, (match, name) =>
+        TEMPLATE_PLACEHOLDERS.includes(name) ? (values[name] ?? '') : match
+    );
+}
+
+/**
+ * Builds the prompt for a custom context type
+ * @param {Object} template - Context template
+ * @param {string} text - The text to analyze
+ * @param {Object} metadata - `sourceLanguage`, `targetLanguage`,
+ *   `surroundingContext` and `showTitle`
+ * @returns {string}
+ */
+export function createTemplatePrompt(template, text, metadata = {}) {
+    const targetLanguageName =
+        getLanguageName(metadata.targetLanguage) || 'English';
+    const prompt = renderPromptTemplate(template.prompt, {
+        text,
+        sourceLanguage: getLanguageName(metadata.sourceLanguage) || 'unknown',
+        targetLanguage: targetLanguageName,
+        surroundingContext: metadata.surroundingContext || '',
+        showTitle: metadata.showTitle || '',
+    });
+
+    return `${prompt.trim()}
+
+Respond ONLY with valid JSON matching this JSON schema:
+${JSON.stringify(getTemplateSchema(template))}
+
+All text content within the JSON must be written in ${targetLanguageName}.`;
+}
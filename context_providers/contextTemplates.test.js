@@ -0,0 +1,185 @@
+/**
+ * @jest-environment node
+ */
+
+import {
+    describe,
+    it,
+    expect,
+    beforeEach,
+    afterEach,
+    jest,
+} from '@jest/globals';
+import { configService } from '../services/configService.js';
+import {
+    DEFAULT_TEMPLATE_SCHEMA,
+    createTemplateId,
+    createTemplatePrompt,
+    findContextTemplate,
+    getTemplateFingerprint,
+    getTemplateSchema,
+    isCustomContextType,
+    validateContextTemplate,
+} from './contextTemplates.js';
+import { analyzeContext as openaiAnalyze } from './openaiContextProvider.js';
+import { analyzeContext as geminiAnalyze } from './geminiContextProvider.js';
+import { mockJsonResponse } from '../test-utils/fetch-response-mock.js';
+
+const readingSchema = {
+    type: 'object',
+    properties: {
+        reading: { type: 'string' },
+        notes: { type: 'array', items: { type: 'string' } },
+    },
+    required: ['reading'],
+};
+
+const template = {
+    id: 'custom-reading',
+    name: 'Furigana',
+    prompt: 'Give the reading of "{{text}}" ({{sourceLanguage}}) in {{targetLanguage}}.\nLines: {{surroundingContext}}\nShow: {{showTitle}}',
+    schema: JSON.stringify(readingSchema),
+};
+
+const metadata = {
+    sourceLanguage: 'ja',
+    targetLanguage: 'en',
+    surroundingContext: '行こう。\n待って！',
+    showTitle: 'Spirited Away',
+};
+
+describe('context templates', () => {
+    it('tells custom context types from built-in ones', () => {
+        expect(isCustomContextType(createTemplateId())).toBe(true);
+        expect(isCustomContextType('cultural')).toBe(false);
+        expect(isCustomContextType('all')).toBe(false);
+        expect(findContextTemplate([template], 'custom-reading')).toBe(
+            template
+        );
+        expect(findContextTemplate([template], 'custom-other')).toBeNull();
+    });
+
+    it('validates name, prompt placeholders and schema', () => {
+        expect(validateContextTemplate(template)).toEqual([]);
+        expect(validateContextTemplate({ ...template, schema: '' })).toEqual(
+            []
+        );
+
+        expect(
+            validateContextTemplate({
+                ...template,
+                name: ' ',
+                prompt: 'Explain {{word}}',
+                schema: '{"type": "object"',
+            })
+        ).toEqual([
+            'Name is required',
+            'Prompt must contain the {{text}} placeholder',
+            'Unknown placeholder {{word}}',
+            expect.stringMatching(/^Invalid JSON/),
+        ]);
+        expect(
+            validateContextTemplate({
+                ...template,
+                schema: '{"type": "string"}',
+            })
+        ).toEqual(['The schema must be an object schema with properties']);
+    });
+
+    it('fills in the placeholders and asks for the schema', () => {
+        const prompt = createTemplatePrompt(template, '千尋', metadata);
+
+        expect(prompt).toContain(
+            'Give the reading of "千尋" (Japanese) in English.'
+        );
+        expect(prompt).toContain('Lines: 行こう。\n待って！');
+        expect(prompt).toContain('Show: Spirited Away');
+        expect(prompt).toContain(JSON.stringify(readingSchema));
+    });
+
+    it('falls back to the default schema', () => {
+        expect(getTemplateSchema({ ...template, schema: '' })).toBe(
+            DEFAULT_TEMPLATE_SCHEMA
+        );
+        expect(getTemplateFingerprint(template)).not.toBe(
+            getTemplateFingerprint({ ...template, prompt: 'Read {{text}}' })
+        );
+    });
+});
+
+describe('custom context types in providers', () => {
+    const originalFetch = global.fetch;
+
+    beforeEach(async () => {
+        chrome.runtime.lastError = null;
+        await chrome.storage.local.clear();
+        await configService.setMultiple({
+            openaiApiKey: 'sk-test',
+            geminiApiKey: 'AIza-test',
+        });
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    it('sends the template prompt and schema to OpenAI', async () => {
+        global.fetch = jest.fn(async () =>
+            mockJsonResponse({
+                choices: [
+                    { message: { content: '{"reading":"ちひろ","notes":[]}' } },
+                ],
+            })
+        );
+
+        const result = await openaiAnalyze('千尋', template.id, metadata, {
+            template,
+        });
+
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.messages[1].content).toContain(
+            'Give the reading of "千尋"'
+        );
+        expect(body.response_format.json_schema).toMatchObject({
+            schema: readingSchema,
+            strict: false,
+        });
+        expect(result).toMatchObject({
+            success: true,
+            contextType: 'custom-reading',
+            contextLabel: 'Furigana',
+            analysis: { reading: 'ちひろ', notes: [] },
+        });
+    });
+
+    it('rejects responses that do not match the template schema', async () => {
+        global.fetch = jest.fn(async () =>
+            mockJsonResponse({
+                candidates: [
+                    {
+                        content: { parts: [{ text: '{"notes":[]}' }] },
+                        finishReason: 'STOP',
+                    },
+                ],
+            })
+        );
+
+        const result = await geminiAnalyze('千尋', template.id, metadata, {
+            template,
+        });
+
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.generationConfig.responseSchema).toEqual({
+            type: 'OBJECT',
+            properties: {
+                reading: { type: 'STRING' },
+                notes: { type: 'ARRAY', items: { type: 'STRING' } },
+            },
+            propertyOrdering: ['reading', 'notes'],
+        });
+        expect(result).toMatchObject({
+            success: false,
+            shouldCache: false,
+        });
+    });
+});
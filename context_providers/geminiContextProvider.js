@@ -10,11 +10,23 @@
 
 import Logger from '../utils/logger.js';
 import { configService } from '../services/configService.js';
+import { apiKeyVault } from '../services/apiKeyVault.js';
+import { AI_CONTEXT_USAGE_PREFIX, reportTokenUsage } from '../utils/usage.js';
 import {
     getContextSchema,
     getGeminiSchema,
+    toGeminiSchema,
     validateAgainstSchema,
 } from './contextSchemas.js';
+import {
+    readEventStream,
+    createPartialReporter,
+    createRequestController,
+    toAbortError,
+} from './contextStreaming.js';
+import { createFollowUpMessages } from './contextConversation.js';
+import { createTemplatePrompt, getTemplateSchema } from './contextTemplates.js';
+import { createContextPrompt } from './contextPrompts.js';
 
 const logger = Logger.create('GeminiContextProvider');
 
@@ -71,192 +83,56 @@ export function getDefaultModel() {
 }
 
 /**
- * Creates specialized prompts for different types of context analysis
- * @param {string} text - The text to analyze
- * @param {string} contextType - Type of context ('cultural', 'historical', 'linguistic')
- * @param {Object} metadata - Additional context metadata
- * @returns {string} Formatted prompt for the AI model
+ * Reads a streamed Gemini response, reporting the analysis generated so far
+ * @param {Response} response - Streamed response
+ * @param {function(Object): void} onPartial - Receives partial analyses
+ * @param {function(): void} onActivity - Called whenever data arrives
+ * @returns {Promise<{data: Object, candidate: Object, rawResponse: string}>}
+ *   Last chunk (with token usage), the candidate with its finish reason and
+ *   safety ratings, and the generated text
  */
-function createContextPrompt(text, contextType, metadata = {}) {
-    const {
-        sourceLanguage = 'unknown',
-        targetLanguage = 'unknown',
-        surroundingContext = '',
-    } = metadata;
-
-    // Get language name for the target language code
-    const getLanguageName = (langCode) => {
-        const languageNames = {
-            en: 'English',
-            es: 'Spanish',
-            fr: 'French',
-            de: 'German',
-            it: 'Italian',
-            pt: 'Portuguese',
-            ru: 'Russian',
-            ja: 'Japanese',
-            ko: 'Korean',
-            'zh-CN': 'Chinese (Simplified)',
-            'zh-TW': 'Chinese (Traditional)',
-            ar: 'Arabic',
-            hi: 'Hindi',
-            th: 'Thai',
-            vi: 'Vietnamese',
-            nl: 'Dutch',
-            sv: 'Swedish',
-            da: 'Danish',
-            no: 'Norwegian',
-            fi: 'Finnish',
-            pl: 'Polish',
-            cs: 'Czech',
-            hu: 'Hungarian',
-            tr: 'Turkish',
-            he: 'Hebrew',
-        };
-        return (
-            languageNames[langCode] ||
-            (langCode === 'auto' ? 'Unknown' : langCode)
+async function readStreamedAnalysis(response, onPartial, onActivity) {
+    const reportPartial = createPartialReporter(onPartial);
+    let content = '';
+    let data = null;
+    const candidate = {};
+
+    await readEventStream(
+        response,
+        (chunk) => {
+            if (chunk.error) {
+                throw new Error(
+                    `Gemini API stream error: ${chunk.error.message || chunk.error}`
+                );
+            }
+            data = chunk;
+            const current = chunk.candidates?.[0];
+            if (!current) return;
+            if (current.finishReason) {
+                candidate.finishReason = current.finishReason;
+            }
+            if (current.safetyRatings) {
+                candidate.safetyRatings = current.safetyRatings;
+            }
+            const delta = (current.content?.parts || [])
+                .map((part) => part.text || '')
+                .join('');
+            if (delta) {
+                content += delta;
+                reportPartial(content);
+            }
+        },
+        onActivity
+    );
+
+    if (!data || (!content.trim() && candidate.finishReason !== 'SAFETY')) {
+        logger.error(
+            'Invalid response format from Gemini context analysis API',
+            { data }
         );
-    };
-
-    const targetLanguageName = getLanguageName(targetLanguage);
-    const sourceLanguageName = getLanguageName(sourceLanguage);
-
-    const baseContext = `
-Analyze this ${sourceLanguageName} text for ${contextType} context:
-
-Text to analyze: "${text}"
-Source language: ${sourceLanguage} (${sourceLanguageName})
-Target language for response: ${targetLanguage} (${targetLanguageName})
-${surroundingContext ? `Context: "${surroundingContext}"` : ''}
-
-CRITICAL INSTRUCTIONS:
-1. Write your ENTIRE response in ${targetLanguageName} language
-2. Analyze and discuss the ${sourceLanguageName} language content, culture, and context
-3. Explain ${sourceLanguageName} cultural/historical/linguistic aspects TO a ${targetLanguageName} speaker
-4. Do NOT analyze ${targetLanguageName} language or culture - focus on the ${sourceLanguageName} source material
-5. Help ${targetLanguageName} speakers understand this ${sourceLanguageName} text better
-
-Provide a clear, educational explanation that helps ${targetLanguageName} speakers understand the deeper meaning of this ${sourceLanguageName} content.
-`;
-
-    switch (contextType) {
-        case 'cultural':
-            return (
-                baseContext +
-                `
-Provide a comprehensive cultural analysis of this ${sourceLanguageName} text in the following JSON structure:
-{
-  "definition": "Clear definition or meaning of this ${sourceLanguageName} expression",
-  "cultural_context": {
-    "origins": "${sourceLanguageName} cultural origins and background of this expression",
-    "social_context": "How this is used in ${sourceLanguageName} society and conversational context",
-    "regional_variations": "How this ${sourceLanguageName} expression varies across different ${sourceLanguageName}-speaking regions"
-  },
-  "usage": {
-    "examples": ["${sourceLanguageName} usage example 1", "${sourceLanguageName} usage example 2", "${sourceLanguageName} usage example 3"],
-    "when_to_use": "When ${sourceLanguageName} speakers use this expression",
-    "formality_level": "Formality level in ${sourceLanguageName} culture"
-  },
-  "cultural_significance": "Why this expression is culturally important in ${sourceLanguageName} culture",
-  "learning_tips": "Practical advice for ${targetLanguageName} speakers learning ${sourceLanguageName}",
-  "related_expressions": ["Similar ${sourceLanguageName} expression 1", "Similar ${sourceLanguageName} expression 2"],
-  "sensitivities": "Cultural sensitivities ${targetLanguageName} speakers should know about this ${sourceLanguageName} expression"
-}
-
-Respond ONLY with valid JSON in this exact structure. All text content within the JSON must be written in ${targetLanguageName} but analyze the ${sourceLanguageName} content.`
-            );
-
-        case 'historical':
-            return (
-                baseContext +
-                `
-Provide a detailed historical analysis of this ${sourceLanguageName} text in the following JSON structure:
-{
-  "definition": "Clear definition or meaning of this ${sourceLanguageName} expression",
-  "historical_context": {
-    "time_period": "Historical period relevant to this ${sourceLanguageName} expression",
-    "historical_figures": "Important ${sourceLanguageName} historical figures connected to this expression",
-    "events": "${sourceLanguageName} historical events that shaped this expression"
-  },
-  "evolution": {
-    "original_meaning": "How this ${sourceLanguageName} expression was originally used",
-    "changes_over_time": "How this ${sourceLanguageName} expression's meaning evolved",
-    "modern_usage": "How this ${sourceLanguageName} expression is used today"
-  },
-  "historical_significance": "Why this expression is historically important in ${sourceLanguageName} culture/history",
-  "examples": ["${sourceLanguageName} historical usage example 1", "${sourceLanguageName} historical usage example 2"],
-  "related_terms": ["Related ${sourceLanguageName} historical term 1", "Related ${sourceLanguageName} historical term 2"],
-  "learning_context": "How understanding ${sourceLanguageName} history helps ${targetLanguageName} speakers learn this expression"
-}
-
-Respond ONLY with valid JSON in this exact structure. All text content within the JSON must be written in ${targetLanguageName} but analyze the ${sourceLanguageName} historical context.`
-            );
-
-        case 'linguistic':
-            return (
-                baseContext +
-                `
-Provide an in-depth linguistic analysis of this ${sourceLanguageName} text in the following JSON structure:
-{
-  "definition": "Clear definition or meaning of this ${sourceLanguageName} expression",
-  "etymology": {
-    "word_origins": "${sourceLanguageName} language family and root origins of this expression",
-    "historical_development": "How this ${sourceLanguageName} word/phrase developed linguistically"
-  },
-  "grammar": {
-    "structure": "${sourceLanguageName} grammatical structure and patterns of this expression",
-    "usage_rules": "${sourceLanguageName} grammar rules for proper usage"
-  },
-  "semantics": {
-    "literal_meaning": "Literal ${sourceLanguageName} meaning before translation",
-    "connotations": "Implied meanings and connotations in ${sourceLanguageName}",
-    "register": "Formal/informal/technical classification in ${sourceLanguageName}"
-  },
-  "translation_notes": "Why this ${sourceLanguageName} expression is challenging to translate to ${targetLanguageName}",
-  "examples": ["${sourceLanguageName} linguistic example 1", "${sourceLanguageName} linguistic example 2"],
-  "related_forms": ["Related ${sourceLanguageName} word 1", "Related ${sourceLanguageName} word 2"],
-  "learning_tips": "Specific tips for ${targetLanguageName} speakers to master this ${sourceLanguageName} expression linguistically"
-}
-
-Respond ONLY with valid JSON in this exact structure. All text content within the JSON must be written in ${targetLanguageName} but analyze the ${sourceLanguageName} linguistic aspects.`
-            );
-
-        default:
-            return (
-                baseContext +
-                `
-Provide a comprehensive analysis of this ${sourceLanguageName} text covering cultural, historical, and linguistic aspects in the following JSON structure:
-{
-  "definition": "Clear definition or meaning of this ${sourceLanguageName} expression",
-  "cultural_analysis": {
-    "cultural_context": "${sourceLanguageName} cultural background and significance",
-    "social_usage": "How this is used socially in ${sourceLanguageName} culture",
-    "regional_notes": "Regional or cultural variations within ${sourceLanguageName}-speaking areas"
-  },
-  "historical_analysis": {
-    "origins": "${sourceLanguageName} historical origins and background",
-    "evolution": "How this ${sourceLanguageName} expression evolved over time",
-    "historical_significance": "Historical importance in ${sourceLanguageName} culture"
-  },
-  "linguistic_analysis": {
-    "etymology": "${sourceLanguageName} word origins and linguistic development",
-    "grammar_notes": "${sourceLanguageName} grammatical considerations",
-    "translation_notes": "Why this ${sourceLanguageName} expression is challenging to translate to ${targetLanguageName}"
-  },
-  "practical_usage": {
-    "examples": ["${sourceLanguageName} example 1", "${sourceLanguageName} example 2", "${sourceLanguageName} example 3"],
-    "when_to_use": "When ${sourceLanguageName} speakers use this expression",
-    "formality": "Formality level in ${sourceLanguageName} culture"
-  },
-  "learning_tips": "Comprehensive advice for ${targetLanguageName} speakers learning ${sourceLanguageName}",
-  "related_expressions": ["Related ${sourceLanguageName} expression 1", "Related ${sourceLanguageName} expression 2"],
-  "key_insights": "Most important things for ${targetLanguageName} speakers to understand about this ${sourceLanguageName} expression"
-}
-
-Respond ONLY with valid JSON in this exact structure. All text content within the JSON must be written in ${targetLanguageName} but analyze the ${sourceLanguageName} content.`
-            );
+        throw new Error('Invalid response format from Gemini API');
     }
+    return { data, candidate, rawResponse: content.trim() };
 }
 
 /**
@@ -264,9 +140,20 @@ Respond ONLY with valid JSON in this exact structure. All text content within th
  * @param {string} text - The text to analyze
  * @param {string} contextType - Type of context analysis ('cultural', 'historical', 'linguistic', 'all')
  * @param {Object} metadata - Additional context metadata
+ * @param {Object} [options] - Request options
+ * @param {function(Object): void} [options.onPartial] - Streams the response
+ *   and receives the analysis generated so far
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {Object} [options.template] - Template of a custom context type,
+ *   see contextTemplates.js
  * @returns {Promise<Object>} Context analysis result
  */
-export async function analyzeContext(text, contextType = 'all', metadata = {}) {
+export async function analyzeContext(
+    text,
+    contextType = 'all',
+    metadata = {},
+    options = {}
+) {
     logger.info('Gemini context analysis request initiated', {
         textLength: text?.length || 0,
         contextType,
@@ -289,22 +176,30 @@ export async function analyzeContext(text, contextType = 'all', metadata = {}) {
 
     try {
         const config = await configService.getAll();
-        const {
-            geminiApiKey,
-            geminiModel = 'gemini-2.5-flash',
-            aiContextTimeout = 30000,
-        } = config;
+        const geminiApiKey = await apiKeyVault.getSecret('geminiApiKey');
+        const { geminiModel = 'gemini-2.5-flash', aiContextTimeout = 30000 } =
+            config;
 
         if (!geminiApiKey) {
             throw new Error('Gemini API key not configured');
         }
 
         // Create context-specific prompt
-        const prompt = createContextPrompt(text, contextType, metadata);
-        const jsonSchema = getContextSchema(contextType);
-        const geminiSchema = getGeminiSchema(contextType);
-
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${geminiModel}:generateContent?key=${geminiApiKey}`;
+        const { template } = options;
+        const prompt = template
+            ? createTemplatePrompt(template, text, metadata)
+            : createContextPrompt(text, contextType, metadata);
+        const jsonSchema = template
+            ? getTemplateSchema(template)
+            : getContextSchema(contextType);
+        const geminiSchema = template
+            ? toGeminiSchema(jsonSchema)
+            : getGeminiSchema(contextType);
+
+        const streaming = typeof options.onPartial === 'function';
+        const apiUrl = streaming
+            ? `https://generativelanguage.googleapis.com/v1beta/models/${geminiModel}:streamGenerateContent?alt=sse&key=${geminiApiKey}`
+            : `https://generativelanguage.googleapis.com/v1beta/models/${geminiModel}:generateContent?key=${geminiApiKey}`;
 
         const requestBody = {
             contents: [
@@ -349,52 +244,66 @@ export async function analyzeContext(text, contextType = 'all', metadata = {}) {
             model: geminiModel,
             contextType,
             promptLength: prompt.length,
+            streaming,
         });
 
-        const controller = new AbortController();
-        const timeoutId = setTimeout(
-            () => controller.abort(),
-            aiContextTimeout
+        const request = createRequestController(
+            aiContextTimeout,
+            options.signal
         );
+        let data;
+        let candidate;
+        let rawResponse;
 
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(requestBody),
-            signal: controller.signal,
-        });
-
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            logger.error('Gemini context analysis API request failed', {
-                status: response.status,
-                statusText: response.statusText,
-                errorText: errorText.substring(0, 500),
+        try {
+            const response = await fetch(apiUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(requestBody),
+                signal: request.signal,
             });
-            throw new Error(
-                `Gemini API request failed: ${response.status} ${response.statusText}`
-            );
-        }
 
-        const data = await response.json();
+            if (!response.ok) {
+                const errorText = await response.text();
+                logger.error('Gemini context analysis API request failed', {
+                    status: response.status,
+                    statusText: response.statusText,
+                    errorText: errorText.substring(0, 500),
+                });
+                throw new Error(
+                    `Gemini API request failed: ${response.status} ${response.statusText}`
+                );
+            }
 
-        if (
-            !data.candidates ||
-            !data.candidates[0] ||
-            !data.candidates[0].content
-        ) {
-            logger.error(
-                'Invalid response format from Gemini context analysis API',
-                { data }
-            );
-            throw new Error('Invalid response format from Gemini API');
+            if (streaming) {
+                ({ data, candidate, rawResponse } = await readStreamedAnalysis(
+                    response,
+                    options.onPartial,
+                    request.touch
+                ));
+            } else {
+                data = await response.json();
+                if (
+                    !data.candidates ||
+                    !data.candidates[0] ||
+                    !data.candidates[0].content
+                ) {
+                    logger.error(
+                        'Invalid response format from Gemini context analysis API',
+                        { data }
+                    );
+                    throw new Error('Invalid response format from Gemini API');
+                }
+                candidate = data.candidates[0];
+            }
+        } catch (error) {
+            throw toAbortError(error, options.signal, aiContextTimeout);
+        } finally {
+            request.clear();
         }
-
-        const candidate = data.candidates[0];
+        reportTokenUsage(`${AI_CONTEXT_USAGE_PREFIX}gemini`, data);
 
         // Check for safety blocks
         if (candidate.finishReason === 'SAFETY') {
@@ -404,7 +313,9 @@ export async function analyzeContext(text, contextType = 'all', metadata = {}) {
             throw new Error('Content blocked by safety filters');
         }
 
-        const rawResponse = candidate.content.parts[0].text.trim();
+        if (!streaming) {
+            rawResponse = candidate.content.parts[0].text.trim();
+        }
 
         let structuredAnalysis;
 
@@ -453,6 +364,7 @@ export async function analyzeContext(text, contextType = 'all', metadata = {}) {
         const result = {
             success: true,
             contextType,
+            ...(template && { contextLabel: template.name }),
             analysis: structuredAnalysis,
             isStructured: true,
             originalText: text,
@@ -485,6 +397,113 @@ export async function analyzeContext(text, contextType = 'all', metadata = {}) {
             contextType,
             originalText: text,
             metadata,
+            ...(error.cancelled && { cancelled: true, shouldCache: false }),
+        };
+    }
+}
+
+/**
+ * Answers a follow-up question about a finished context analysis
+ * @param {Object} conversation - Bounded conversation, see contextConversation.js
+ * @param {Object} metadata - Source and target language codes
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Object>} Result with the `answer` text
+ */
+export async function followUpContext(
+    conversation,
+    metadata = {},
+    options = {}
+) {
+    logger.info('Gemini follow-up question initiated', {
+        turns: conversation.turns.length,
+        targetLanguage: metadata.targetLanguage,
+    });
+
+    try {
+        const config = await configService.getAll();
+        const geminiApiKey = await apiKeyVault.getSecret('geminiApiKey');
+        const { geminiModel = 'gemini-2.5-flash', aiContextTimeout = 30000 } =
+            config;
+
+        if (!geminiApiKey) {
+            throw new Error('Gemini API key not configured');
+        }
+
+        const [system, ...messages] = createFollowUpMessages(
+            conversation,
+            metadata
+        );
+        const requestBody = {
+            systemInstruction: { parts: [{ text: system.content }] },
+            contents: messages.map((message) => ({
+                role: message.role === 'assistant' ? 'model' : 'user',
+                parts: [{ text: message.content }],
+            })),
+            generationConfig: {
+                temperature: 0.5,
+                topP: 0.95,
+            },
+        };
+
+        const request = createRequestController(
+            aiContextTimeout,
+            options.signal
+        );
+        let data;
+        try {
+            const response = await fetch(
+                `https://generativelanguage.googleapis.com/v1beta/models/${geminiModel}:generateContent?key=${geminiApiKey}`,
+                {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify(requestBody),
+                    signal: request.signal,
+                }
+            );
+
+            if (!response.ok) {
+                throw new Error(
+                    `Gemini API request failed: ${response.status} ${response.statusText}`
+                );
+            }
+            data = await response.json();
+        } catch (error) {
+            throw toAbortError(error, options.signal, aiContextTimeout);
+        } finally {
+            request.clear();
+        }
+        reportTokenUsage(`${AI_CONTEXT_USAGE_PREFIX}gemini`, data);
+
+        const candidate = data.candidates?.[0];
+        if (candidate?.finishReason === 'SAFETY') {
+            throw new Error('Content blocked by safety filters');
+        }
+        const answer = (candidate?.content?.parts || [])
+            .map((part) => part.text || '')
+            .join('')
+            .trim();
+        if (!answer) {
+            throw new Error('Invalid response format from Gemini API');
+        }
+
+        return {
+            success: true,
+            answer,
+            finishReason: candidate.finishReason,
+            shouldCache: true,
+        };
+    } catch (error) {
+        logger.error('Gemini follow-up question failed', error, {
+            turns: conversation.turns.length,
+        });
+
+        return {
+            success: false,
+            error: error.message,
+            ...(error.cancelled && { cancelled: true, shouldCache: false }),
         };
     }
 }
@@ -521,3 +540,23 @@ export async function analyzeBatchContext(requests) {
 
     return results;
 }
+
+/**
+ * Registry entry of this provider, see contextProviderRegistry.js
+ */
+export const CONTEXT_PROVIDER = {
+    id: 'gemini',
+    name: 'Google Gemini (API Key Required)',
+    category: 'api_key',
+    schemaSupport: 'response_schema',
+    rateLimit: {
+        type: 'requests_per_minute',
+        requests: 60,
+        window: 60000, // 1 minute
+        mandatoryDelay: 1000, // 1 second between requests
+    },
+    analyzeContext,
+    followUp: followUpContext,
+    getAvailableModels,
+    getDefaultModel,
+};
@@ -0,0 +1,142 @@
+/**
+ * OpenAI-Compatible Context Provider
+ *
+ * Provides AI context analysis through any OpenAI-compatible chat
+ * completions endpoint. It reuses the endpoint and API key of the
+ * OpenAI-compatible translation provider; the model can be set apart from
+ * the translation model. Structured outputs are not assumed: the response
+ * is requested as a JSON object and validated against the context schema.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { configService } from '../services/configService.js';
+import { apiKeyVault } from '../services/apiKeyVault.js';
+import {
+    analyzeWithChatCompletions,
+    followUpWithChatCompletions,
+    normalizeBaseUrl,
+    normalizeModelName,
+} from './openaiContextProvider.js';
+
+/**
+ * Available models for context analysis. The models depend on the
+ * endpoint, so none are listed: the translation model is used unless
+ * `openaiCompatibleContextModel` is set.
+ */
+export const OPENAI_COMPATIBLE_CONTEXT_MODELS = [];
+
+/**
+ * Get available models for this provider
+ * @returns {Array} Array of model objects
+ */
+export function getAvailableModels() {
+    return OPENAI_COMPATIBLE_CONTEXT_MODELS;
+}
+
+/**
+ * Get the default model for this provider
+ * @returns {null} The translation model is the default
+ */
+export function getDefaultModel() {
+    return null;
+}
+
+/**
+ * Reads the OpenAI-compatible translation settings and the context model
+ * @returns {Promise<{baseUrl: string, apiKey: string, model: string, timeout: number}>}
+ */
+async function getConnection() {
+    const config = await configService.getMultiple([
+        'openaiCompatibleBaseUrl',
+        'openaiCompatibleModel',
+        'openaiCompatibleContextModel',
+        'aiContextTimeout',
+    ]);
+    const apiKey = await apiKeyVault.getSecret('openaiCompatibleApiKey');
+
+    if (!apiKey) {
+        throw new Error('OpenAI-compatible API key not configured');
+    }
+
+    const baseUrl =
+        normalizeBaseUrl(config.openaiCompatibleBaseUrl) ||
+        'https://api.openai.com/v1';
+    return {
+        baseUrl,
+        apiKey,
+        model: normalizeModelName(
+            config.openaiCompatibleContextModel || config.openaiCompatibleModel,
+            baseUrl
+        ),
+        timeout: config.aiContextTimeout || 30000,
+    };
+}
+
+/** @type {import('./openaiContextProvider.js').ChatCompletionsProvider} */
+const compatibleChatProvider = {
+    id: 'openai_compatible',
+    getConnection,
+    schemaSupport: 'json_object',
+};
+
+/**
+ * Analyzes text for cultural, historical, and linguistic context using an OpenAI-compatible endpoint
+ * @param {string} text - The text to analyze
+ * @param {string} contextType - Type of context analysis ('cultural', 'historical', 'linguistic', 'all')
+ * @param {Object} metadata - Additional context metadata
+ * @param {Object} [options] - Request options, see openaiContextProvider.js
+ * @returns {Promise<Object>} Context analysis result
+ */
+export function analyzeContext(
+    text,
+    contextType = 'all',
+    metadata = {},
+    options = {}
+) {
+    return analyzeWithChatCompletions(
+        compatibleChatProvider,
+        text,
+        contextType,
+        metadata,
+        options
+    );
+}
+
+/**
+ * Answers a follow-up question about a finished context analysis
+ * @param {Object} conversation - Bounded conversation, see contextConversation.js
+ * @param {Object} metadata - Source and target language codes
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Object>} Result with the `answer` text
+ */
+export function followUpContext(conversation, metadata = {}, options = {}) {
+    return followUpWithChatCompletions(
+        compatibleChatProvider,
+        conversation,
+        metadata,
+        options
+    );
+}
+
+/**
+ * Registry entry of this provider, see contextProviderRegistry.js
+ */
+export const CONTEXT_PROVIDER = {
+    id: 'openai_compatible',
+    name: 'OpenAI-Compatible Endpoint (API Key Required)',
+    category: 'api_key',
+    schemaSupport: 'json_object',
+    rateLimit: {
+        type: 'requests_per_minute',
+        requests: 60,
+        window: 60000, // 1 minute
+        mandatoryDelay: 1000, // 1 second between requests
+    },
+    analyzeContext,
+    followUp: followUpContext,
+    getAvailableModels,
+    getDefaultModel,
+};
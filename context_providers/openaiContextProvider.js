@@ -10,11 +10,25 @@
 
 import Logger from '../utils/logger.js';
 import { configService } from '../services/configService.js';
+import { apiKeyVault } from '../services/apiKeyVault.js';
+import { AI_CONTEXT_USAGE_PREFIX, reportTokenUsage } from '../utils/usage.js';
 import {
     getContextSchema,
     CONTEXT_SCHEMA_NAME,
     validateAgainstSchema,
 } from './contextSchemas.js';
+import {
+    readEventStream,
+    createPartialReporter,
+    createRequestController,
+    toAbortError,
+} from './contextStreaming.js';
+import { createFollowUpMessages } from './contextConversation.js';
+import {
+    CONTEXT_SYSTEM_PROMPT,
+    createContextPrompt,
+} from './contextPrompts.js';
+import { createTemplatePrompt, getTemplateSchema } from './contextTemplates.js';
 
 const logger = Logger.create('OpenAIContextProvider');
 
@@ -74,7 +88,7 @@ export function getDefaultModel() {
  * @param {string} url - The base URL to normalize
  * @returns {string} Normalized URL without trailing slashes
  */
-function normalizeBaseUrl(url) {
+export function normalizeBaseUrl(url) {
     if (!url || typeof url !== 'string') {
         return url;
     }
@@ -96,7 +110,7 @@ function normalizeBaseUrl(url) {
  * @param {string} baseUrl - The base URL to determine provider type
  * @returns {string} Normalized model name
  */
-function normalizeModelName(model, baseUrl) {
+export function normalizeModelName(model, baseUrl) {
     if (!model || typeof model !== 'string') {
         return model;
     }
@@ -118,207 +132,131 @@ function normalizeModelName(model, baseUrl) {
 }
 
 /**
- * Get language name for the target language code
- * @param {string} langCode - Language code (e.g., 'en', 'es', 'fr')
- * @returns {string} Human-readable language name
+ * Reads a streamed chat completion, reporting the analysis generated so far
+ * @param {Response} response - Streamed response
+ * @param {function(Object): void} onPartial - Receives partial analyses
+ * @param {function(): void} onActivity - Called whenever data arrives
+ * @returns {Promise<{data: Object, rawResponse: string}>} Final chunk (with
+ *   token usage) and the generated text
  */
-function getLanguageName(langCode) {
-    const languageNames = {
-        en: 'English',
-        es: 'Spanish',
-        fr: 'French',
-        de: 'German',
-        it: 'Italian',
-        pt: 'Portuguese',
-        ru: 'Russian',
-        ja: 'Japanese',
-        ko: 'Korean',
-        'zh-CN': 'Chinese (Simplified)',
-        'zh-TW': 'Chinese (Traditional)',
-        ar: 'Arabic',
-        hi: 'Hindi',
-        th: 'Thai',
-        vi: 'Vietnamese',
-        nl: 'Dutch',
-        sv: 'Swedish',
-        da: 'Danish',
-        no: 'Norwegian',
-        fi: 'Finnish',
-        pl: 'Polish',
-        cs: 'Czech',
-        hu: 'Hungarian',
-        tr: 'Turkish',
-        he: 'Hebrew',
-    };
-    return (
-        languageNames[langCode] || (langCode === 'auto' ? 'Unknown' : langCode)
+async function readStreamedAnalysis(response, onPartial, onActivity) {
+    const reportPartial = createPartialReporter(onPartial);
+    let content = '';
+    let data = {};
+
+    await readEventStream(
+        response,
+        (chunk) => {
+            if (chunk.error) {
+                throw new Error(
+                    `API stream error: ${chunk.error.message || chunk.error}`
+                );
+            }
+            if (chunk.usage) {
+                data = chunk;
+            }
+            const delta =
+                chunk.choices?.[0]?.delta?.content ??
+                chunk.choices?.[0]?.message?.content;
+            if (delta) {
+                content += delta;
+                reportPartial(content);
+            }
+        },
+        onActivity
     );
+
+    if (!content.trim()) {
+        throw new Error('Invalid response format from API');
+    }
+    return { data, rawResponse: content.trim() };
 }
 
 /**
- * Creates specialized prompts for different types of context analysis
- * @param {string} text - The text to analyze
- * @param {string} contextType - Type of context ('cultural', 'historical', 'linguistic')
- * @param {Object} metadata - Additional context metadata
- * @returns {string} Formatted prompt for the AI model
+ * Chat completions API of an OpenAI-style context provider
+ * @typedef {Object} ChatCompletionsProvider
+ * @property {string} id - Context provider id, used for usage accounting
+ * @property {function(): Promise<{baseUrl: string, apiKey: string, model: string, timeout: number}>} getConnection
+ *   Reads the provider settings; throws when the provider is not configured
+ * @property {'json_schema'|'json_object'} schemaSupport - `json_schema`
+ *   sends the response schema as a structured output; `json_object` only
+ *   asks for JSON, for endpoints without structured outputs, and relies on
+ *   the prompt and on validating the response
+ */
+
+/**
+ * Reads the OpenAI context settings
+ * @returns {Promise<{baseUrl: string, apiKey: string, model: string, timeout: number}>}
  */
-function createContextPrompt(text, contextType, metadata = {}) {
+async function getConnection() {
+    const config = await configService.getAll();
+    const apiKey = await apiKeyVault.getSecret('openaiApiKey');
     const {
-        sourceLanguage = 'unknown',
-        targetLanguage = 'unknown',
-        surroundingContext = '',
-    } = metadata;
-
-    // Get language name for the target language code
-    const targetLanguageName = getLanguageName(targetLanguage);
-    const sourceLanguageName = getLanguageName(sourceLanguage);
-
-    const baseContext = `
-Analyze this ${sourceLanguageName} text for ${contextType} context:
-
-Text to analyze: "${text}"
-Source language: ${sourceLanguage} (${sourceLanguageName})
-Target language for response: ${targetLanguage} (${targetLanguageName})
-${surroundingContext ? `Context: "${surroundingContext}"` : ''}
-
-CRITICAL INSTRUCTIONS:
-1. Write your ENTIRE response in ${targetLanguageName} language
-2. Analyze and discuss the ${sourceLanguageName} language content, culture, and context
-3. Explain ${sourceLanguageName} cultural/historical/linguistic aspects TO a ${targetLanguageName} speaker
-4. Do NOT analyze ${targetLanguageName} language or culture - focus on the ${sourceLanguageName} source material
-5. Help ${targetLanguageName} speakers understand this ${sourceLanguageName} text better
-
-Provide a clear, educational explanation that helps ${targetLanguageName} speakers understand the deeper meaning of this ${sourceLanguageName} content.
-`;
-
-    switch (contextType) {
-        case 'cultural':
-            return (
-                baseContext +
-                `
-Provide a comprehensive cultural analysis of this ${sourceLanguageName} text in the following JSON structure:
-{
-  "definition": "Clear definition or meaning of this ${sourceLanguageName} expression",
-  "cultural_context": {
-    "origins": "${sourceLanguageName} cultural origins and background of this expression",
-    "social_context": "How this is used in ${sourceLanguageName} society and conversational context",
-    "regional_variations": "How this ${sourceLanguageName} expression varies across different ${sourceLanguageName}-speaking regions"
-  },
-  "usage": {
-    "examples": ["${sourceLanguageName} usage example 1", "${sourceLanguageName} usage example 2", "${sourceLanguageName} usage example 3"],
-    "when_to_use": "When ${sourceLanguageName} speakers use this expression",
-    "formality_level": "Formality level in ${sourceLanguageName} culture"
-  },
-  "cultural_significance": "Why this expression is culturally important in ${sourceLanguageName} culture",
-  "learning_tips": "Practical advice for ${targetLanguageName} speakers learning ${sourceLanguageName}",
-  "related_expressions": ["Similar ${sourceLanguageName} expression 1", "Similar ${sourceLanguageName} expression 2"],
-  "sensitivities": "Cultural sensitivities ${targetLanguageName} speakers should know about this ${sourceLanguageName} expression"
-}
+        openaiBaseUrl = 'https://api.openai.com',
+        openaiModel = 'gpt-4.1-mini-2025-04-14',
+        aiContextTimeout = 30000,
+    } = config;
 
-Respond ONLY with valid JSON in this exact structure. All text content within the JSON must be written in ${targetLanguageName} but analyze the ${sourceLanguageName} content.`
-            );
-
-        case 'historical':
-            return (
-                baseContext +
-                `
-Provide a detailed historical analysis of this ${sourceLanguageName} text in the following JSON structure:
-{
-  "definition": "Clear definition or meaning of this ${sourceLanguageName} expression",
-  "historical_context": {
-    "time_period": "Historical period relevant to this ${sourceLanguageName} expression",
-    "historical_figures": "Important ${sourceLanguageName} historical figures connected to this expression",
-    "events": "${sourceLanguageName} historical events that shaped this expression"
-  },
-  "evolution": {
-    "original_meaning": "How this ${sourceLanguageName} expression was originally used",
-    "changes_over_time": "How this ${sourceLanguageName} expression's meaning evolved",
-    "modern_usage": "How this ${sourceLanguageName} expression is used today"
-  },
-  "historical_significance": "Why this expression is historically important in ${sourceLanguageName} culture/history",
-  "examples": ["${sourceLanguageName} historical usage example 1", "${sourceLanguageName} historical usage example 2"],
-  "related_terms": ["Related ${sourceLanguageName} historical term 1", "Related ${sourceLanguageName} historical term 2"],
-  "learning_context": "How understanding ${sourceLanguageName} history helps ${targetLanguageName} speakers learn this expression"
-}
+    if (!apiKey) {
+        throw new Error('OpenAI API key not configured');
+    }
 
-Respond ONLY with valid JSON in this exact structure. All text content within the JSON must be written in ${targetLanguageName} but analyze the ${sourceLanguageName} historical context.`
-            );
-
-        case 'linguistic':
-            return (
-                baseContext +
-                `
-Provide an in-depth linguistic analysis of this ${sourceLanguageName} text in the following JSON structure:
-{
-  "definition": "Clear definition or meaning of this ${sourceLanguageName} expression",
-  "etymology": {
-    "word_origins": "${sourceLanguageName} language family and root origins of this expression",
-    "historical_development": "How this ${sourceLanguageName} word/phrase developed linguistically"
-  },
-  "grammar": {
-    "structure": "${sourceLanguageName} grammatical structure and patterns of this expression",
-    "usage_rules": "${sourceLanguageName} grammar rules for proper usage"
-  },
-  "semantics": {
-    "literal_meaning": "Literal ${sourceLanguageName} meaning before translation",
-    "connotations": "Implied meanings and connotations in ${sourceLanguageName}",
-    "register": "Formal/informal/technical classification in ${sourceLanguageName}"
-  },
-  "translation_notes": "Why this ${sourceLanguageName} expression is challenging to translate to ${targetLanguageName}",
-  "examples": ["${sourceLanguageName} linguistic example 1", "${sourceLanguageName} linguistic example 2"],
-  "related_forms": ["Related ${sourceLanguageName} word 1", "Related ${sourceLanguageName} word 2"],
-  "learning_tips": "Specific tips for ${targetLanguageName} speakers to master this ${sourceLanguageName} expression linguistically"
+    const baseUrl = normalizeBaseUrl(openaiBaseUrl);
+    return {
+        baseUrl,
+        apiKey,
+        model: normalizeModelName(openaiModel, baseUrl),
+        timeout: aiContextTimeout,
+    };
 }
 
-Respond ONLY with valid JSON in this exact structure. All text content within the JSON must be written in ${targetLanguageName} but analyze the ${sourceLanguageName} linguistic aspects.`
-            );
-
-        default:
-            return (
-                baseContext +
-                `
-Provide a comprehensive analysis of this ${sourceLanguageName} text covering cultural, historical, and linguistic aspects in the following JSON structure:
-{
-  "definition": "Clear definition or meaning of this ${sourceLanguageName} expression",
-  "cultural_analysis": {
-    "cultural_context": "${sourceLanguageName} cultural background and significance",
-    "social_usage": "How this is used socially in ${sourceLanguageName} culture",
-    "regional_notes": "Regional or cultural variations within ${sourceLanguageName}-speaking areas"
-  },
-  "historical_analysis": {
-    "origins": "${sourceLanguageName} historical origins and background",
-    "evolution": "How this ${sourceLanguageName} expression evolved over time",
-    "historical_significance": "Historical importance in ${sourceLanguageName} culture"
-  },
-  "linguistic_analysis": {
-    "etymology": "${sourceLanguageName} word origins and linguistic development",
-    "grammar_notes": "${sourceLanguageName} grammatical considerations",
-    "translation_notes": "Why this ${sourceLanguageName} expression is challenging to translate to ${targetLanguageName}"
-  },
-  "practical_usage": {
-    "examples": ["${sourceLanguageName} example 1", "${sourceLanguageName} example 2", "${sourceLanguageName} example 3"],
-    "when_to_use": "When ${sourceLanguageName} speakers use this expression",
-    "formality": "Formality level in ${sourceLanguageName} culture"
-  },
-  "learning_tips": "Comprehensive advice for ${targetLanguageName} speakers learning ${sourceLanguageName}",
-  "related_expressions": ["Related ${sourceLanguageName} expression 1", "Related ${sourceLanguageName} expression 2"],
-  "key_insights": "Most important things for ${targetLanguageName} speakers to understand about this ${sourceLanguageName} expression"
-}
+/** @type {ChatCompletionsProvider} */
+const openaiChatProvider = {
+    id: 'openai',
+    getConnection,
+    schemaSupport: 'json_schema',
+};
 
-Respond ONLY with valid JSON in this exact structure. All text content within the JSON must be written in ${targetLanguageName} but analyze the ${sourceLanguageName} content.`
-            );
+/**
+ * Response format of an analysis request
+ * @param {ChatCompletionsProvider} provider - Chat completions provider
+ * @param {Object} jsonSchema - Response schema
+ * @param {boolean} strict - Whether the schema meets the strict mode rules
+ * @returns {Object} `response_format` of the request
+ */
+function getResponseFormat(provider, jsonSchema, strict) {
+    if (provider.schemaSupport === 'json_object') {
+        return { type: 'json_object' };
     }
+    return {
+        type: 'json_schema',
+        json_schema: {
+            name: CONTEXT_SCHEMA_NAME,
+            schema: jsonSchema,
+            strict,
+        },
+    };
 }
 
 /**
- * Analyzes text for cultural, historical, and linguistic context using OpenAI-compatible API
+ * Analyzes text for cultural, historical, and linguistic context through a
+ * chat completions API
+ * @param {ChatCompletionsProvider} provider - Chat completions provider
  * @param {string} text - The text to analyze
  * @param {string} contextType - Type of context analysis ('cultural', 'historical', 'linguistic', 'all')
  * @param {Object} metadata - Additional context metadata
+ * @param {Object} [options] - Request options, see analyzeContext
  * @returns {Promise<Object>} Context analysis result
  */
-export async function analyzeContext(text, contextType = 'all', metadata = {}) {
+export async function analyzeWithChatCompletions(
+    provider,
+    text,
+    contextType = 'all',
+    metadata = {},
+    options = {}
+) {
     logger.info('Context analysis request initiated', {
+        provider: provider.id,
         textLength: text?.length || 0,
         contextType,
         sourceLanguage: metadata.sourceLanguage,
@@ -339,101 +277,104 @@ export async function analyzeContext(text, contextType = 'all', metadata = {}) {
     }
 
     try {
-        const config = await configService.getAll();
-        const {
-            openaiApiKey,
-            openaiBaseUrl = 'https://api.openai.com',
-            openaiModel = 'gpt-4.1-mini-2025-04-14',
-            aiContextTimeout = 30000,
-        } = config;
-
-        if (!openaiApiKey) {
-            throw new Error('OpenAI API key not configured');
-        }
-
-        const normalizedBaseUrl = normalizeBaseUrl(openaiBaseUrl);
-        const normalizedModel = normalizeModelName(
-            openaiModel,
-            normalizedBaseUrl
-        );
-        const apiUrl = `${normalizedBaseUrl}/chat/completions`;
-
-        const prompt = createContextPrompt(text, contextType, metadata);
-        const jsonSchema = getContextSchema(contextType);
+        const { baseUrl, apiKey, model, timeout } =
+            await provider.getConnection();
+        const apiUrl = `${baseUrl}/chat/completions`;
+
+        const { template } = options;
+        const prompt = template
+            ? createTemplatePrompt(template, text, metadata)
+            : createContextPrompt(text, contextType, metadata);
+        const jsonSchema = template
+            ? getTemplateSchema(template)
+            : getContextSchema(contextType);
 
         const requestBody = {
-            model: normalizedModel,
+            model,
             messages: [
                 {
                     role: 'system',
-                    content:
-                        'You are an expert cultural, historical, and linguistic analyst specializing in helping language learners understand nuanced context. Provide comprehensive yet concise explanations that include specific details, examples, and actionable insights. Focus on practical understanding that enhances language learning and cultural awareness.',
+                    content: CONTEXT_SYSTEM_PROMPT,
                 },
                 {
                     role: 'user',
                     content: prompt,
                 },
             ],
-            response_format: {
-                type: 'json_schema',
-                json_schema: {
-                    name: CONTEXT_SCHEMA_NAME,
-                    schema: jsonSchema,
-                    strict: true,
-                },
-            },
+            // User schemas need not meet the strict mode rules
+            response_format: getResponseFormat(provider, jsonSchema, !template),
         };
 
+        const streaming = typeof options.onPartial === 'function';
+        if (streaming) {
+            requestBody.stream = true;
+            requestBody.stream_options = { include_usage: true };
+        }
+
         logger.debug('Making context analysis request', {
             apiUrl,
-            model: normalizedModel,
+            model,
             contextType,
             promptLength: prompt.length,
+            streaming,
         });
 
-        const controller = new AbortController();
-        const timeoutId = setTimeout(
-            () => controller.abort(),
-            aiContextTimeout
-        );
-
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                Authorization: `Bearer ${openaiApiKey}`,
-            },
-            body: JSON.stringify(requestBody),
-            signal: controller.signal,
-        });
-
-        clearTimeout(timeoutId);
+        const request = createRequestController(timeout, options.signal);
+        let data;
+        let rawResponse;
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            logger.error('Context analysis API request failed', {
-                status: response.status,
-                statusText: response.statusText,
-                errorText: errorText.substring(0, 500),
+        try {
+            const response = await fetch(apiUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${apiKey}`,
+                },
+                body: JSON.stringify(requestBody),
+                signal: request.signal,
             });
-            throw new Error(
-                `API request failed: ${response.status} ${response.statusText} - ${errorText.substring(0, 500)}`
-            );
-        }
 
-        const data = await response.json();
+            if (!response.ok) {
+                const errorText = await response.text();
+                logger.error('Context analysis API request failed', {
+                    status: response.status,
+                    statusText: response.statusText,
+                    errorText: errorText.substring(0, 500),
+                });
+                throw new Error(
+                    `API request failed: ${response.status} ${response.statusText} - ${errorText.substring(0, 500)}`
+                );
+            }
 
-        if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-            logger.error('Invalid response format from context analysis API', {
-                data,
-            });
-            throw new Error('Invalid response format from API');
+            if (streaming) {
+                ({ data, rawResponse } = await readStreamedAnalysis(
+                    response,
+                    options.onPartial,
+                    request.touch
+                ));
+            } else {
+                data = await response.json();
+                if (
+                    !data.choices ||
+                    !data.choices[0] ||
+                    !data.choices[0].message
+                ) {
+                    logger.error(
+                        'Invalid response format from context analysis API',
+                        { data }
+                    );
+                    throw new Error('Invalid response format from API');
+                }
+                rawResponse = data.choices[0].message.content.trim();
+            }
+        } catch (error) {
+            throw toAbortError(error, options.signal, timeout);
+        } finally {
+            request.clear();
         }
-
-        const rawResponse = data.choices[0].message.content.trim();
+        reportTokenUsage(`${AI_CONTEXT_USAGE_PREFIX}${provider.id}`, data);
 
         let structuredAnalysis;
-        let isStructured = true;
 
         try {
             structuredAnalysis = JSON.parse(rawResponse);
@@ -468,6 +409,7 @@ export async function analyzeContext(text, contextType = 'all', metadata = {}) {
         }
 
         logger.info('Context analysis completed successfully', {
+            provider: provider.id,
             contextType,
             responseLength: rawResponse.length,
             tokensUsed: data.usage?.total_tokens || 'unknown',
@@ -476,6 +418,7 @@ export async function analyzeContext(text, contextType = 'all', metadata = {}) {
         return {
             success: true,
             contextType,
+            ...(template && { contextLabel: template.name }),
             analysis: structuredAnalysis,
             isStructured: true,
             originalText: text,
@@ -485,6 +428,7 @@ export async function analyzeContext(text, contextType = 'all', metadata = {}) {
         };
     } catch (error) {
         logger.error('Context analysis failed', error, {
+            provider: provider.id,
             textLength: text?.length || 0,
             contextType,
             errorMessage: error.message,
@@ -496,10 +440,136 @@ export async function analyzeContext(text, contextType = 'all', metadata = {}) {
             contextType,
             originalText: text,
             metadata,
+            ...(error.cancelled && { cancelled: true, shouldCache: false }),
+        };
+    }
+}
+
+/**
+ * Answers a follow-up question through a chat completions API
+ * @param {ChatCompletionsProvider} provider - Chat completions provider
+ * @param {Object} conversation - Bounded conversation, see contextConversation.js
+ * @param {Object} metadata - Source and target language codes
+ * @param {Object} [options] - Request options, see followUpContext
+ * @returns {Promise<Object>} Result with the `answer` text
+ */
+export async function followUpWithChatCompletions(
+    provider,
+    conversation,
+    metadata = {},
+    options = {}
+) {
+    logger.info('Follow-up question initiated', {
+        provider: provider.id,
+        turns: conversation.turns.length,
+        targetLanguage: metadata.targetLanguage,
+    });
+
+    try {
+        const { baseUrl, apiKey, model, timeout } =
+            await provider.getConnection();
+        const requestBody = {
+            model,
+            messages: createFollowUpMessages(conversation, metadata),
+        };
+
+        const request = createRequestController(timeout, options.signal);
+        let data;
+        try {
+            const response = await fetch(`${baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${apiKey}`,
+                },
+                body: JSON.stringify(requestBody),
+                signal: request.signal,
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(
+                    `API request failed: ${response.status} ${response.statusText} - ${errorText.substring(0, 500)}`
+                );
+            }
+            data = await response.json();
+        } catch (error) {
+            throw toAbortError(error, options.signal, timeout);
+        } finally {
+            request.clear();
+        }
+        reportTokenUsage(`${AI_CONTEXT_USAGE_PREFIX}${provider.id}`, data);
+
+        const answer = data.choices?.[0]?.message?.content?.trim();
+        if (!answer) {
+            throw new Error('Invalid response format from API');
+        }
+
+        return {
+            success: true,
+            answer,
+            usage: data.usage,
+            shouldCache: true,
+        };
+    } catch (error) {
+        logger.error('Follow-up question failed', error, {
+            provider: provider.id,
+            turns: conversation.turns.length,
+        });
+
+        return {
+            success: false,
+            error: error.message,
+            ...(error.cancelled && { cancelled: true, shouldCache: false }),
         };
     }
 }
 
+/**
+ * Analyzes text for cultural, historical, and linguistic context using OpenAI-compatible API
+ * @param {string} text - The text to analyze
+ * @param {string} contextType - Type of context analysis ('cultural', 'historical', 'linguistic', 'all')
+ * @param {Object} metadata - Additional context metadata
+ * @param {Object} [options] - Request options
+ * @param {function(Object): void} [options.onPartial] - Streams the response
+ *   and receives the analysis generated so far
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {Object} [options.template] - Template of a custom context type,
+ *   see contextTemplates.js
+ * @returns {Promise<Object>} Context analysis result
+ */
+export function analyzeContext(
+    text,
+    contextType = 'all',
+    metadata = {},
+    options = {}
+) {
+    return analyzeWithChatCompletions(
+        openaiChatProvider,
+        text,
+        contextType,
+        metadata,
+        options
+    );
+}
+
+/**
+ * Answers a follow-up question about a finished context analysis
+ * @param {Object} conversation - Bounded conversation, see contextConversation.js
+ * @param {Object} metadata - Source and target language codes
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Object>} Result with the `answer` text
+ */
+export function followUpContext(conversation, metadata = {}, options = {}) {
+    return followUpWithChatCompletions(
+        openaiChatProvider,
+        conversation,
+        metadata,
+        options
+    );
+}
+
 /**
  * Batch context analysis for multiple texts (future enhancement)
  * @param {Array<Object>} requests - Array of context analysis requests
@@ -529,3 +599,23 @@ export async function analyzeBatchContext(requests) {
 
     return results;
 }
+
+/**
+ * Registry entry of this provider, see contextProviderRegistry.js
+ */
+export const CONTEXT_PROVIDER = {
+    id: 'openai',
+    name: 'OpenAI GPT (API Key Required)',
+    category: 'api_key',
+    schemaSupport: 'json_schema',
+    rateLimit: {
+        type: 'requests_per_minute',
+        requests: 60,
+        window: 60000, // 1 minute
+        mandatoryDelay: 1000, // 1 second between requests
+    },
+    analyzeContext,
+    followUp: followUpContext,
+    getAvailableModels,
+    getDefaultModel,
+};
@@ -0,0 +1,129 @@
+// injected_scripts/genericInject.js
+
+// Guard against multiple script executions
+if (window.genericDualSubInjectorLoaded) {
+    console.log(
+        'Generic Inject script: Already loaded, skipping initialization.'
+    );
+} else {
+    window.genericDualSubInjectorLoaded = true;
+
+    console.log('Generic Inject script: Starting execution.');
+
+    const INJECT_EVENT_ID = 'generic-dualsub-injector-event'; // Must match injection.js
+    // Subtitle files are small; anything larger is media or unrelated data
+    const MAX_SUBTITLE_BYTES = 5 * 1024 * 1024;
+    const reportedUrls = new Set();
+
+    const toAbsoluteUrl = (url) => {
+        try {
+            return new URL(url, window.location.href).href;
+        } catch (_) {
+            return url;
+        }
+    };
+
+    const getPath = (url) => {
+        try {
+            return new URL(url, window.location.href).pathname.toLowerCase();
+        } catch (_) {
+            return '';
+        }
+    };
+
+    const isCandidateUrl = (url) => {
+        const path = getPath(url);
+        return path.endsWith('.vtt') || path.endsWith('.m3u8');
+    };
+
+    const dispatch = (detail) => {
+        document.dispatchEvent(new CustomEvent(INJECT_EVENT_ID, { detail }));
+    };
+
+    const inspectResponse = (url, text) => {
+        if (
+            typeof text !== 'string' ||
+            text.length > MAX_SUBTITLE_BYTES ||
+            reportedUrls.has(url)
+        ) {
+            return;
+        }
+        const trimmed = text.trim();
+
+        if (trimmed.toUpperCase().startsWith('WEBVTT')) {
+            // HLS subtitle segments carry a timestamp map; the playlist that
+            // lists them is reported instead so all segments get merged
+            if (trimmed.includes('X-TIMESTAMP-MAP')) {
+                return;
+            }
+            reportedUrls.add(url);
+            dispatch({ type: 'SUBTITLE_DATA_FOUND', url, vttText: text });
+            console.log(
+                '[Generic Inject] Dispatched SUBTITLE_DATA_FOUND:',
+                url
+            );
+        } else if (
+            trimmed.startsWith('#EXTM3U') &&
+            /#EXT-X-MEDIA:[^\n]*TYPE=SUBTITLES/.test(trimmed)
+        ) {
+            reportedUrls.add(url);
+            dispatch({ type: 'SUBTITLE_URL_FOUND', url });
+            console.log('[Generic Inject] Dispatched SUBTITLE_URL_FOUND:', url);
+        }
+    };
+
+    const originalFetch = window.fetch;
+    if (typeof originalFetch === 'function') {
+        window.fetch = function (...args) {
+            const promise = originalFetch.apply(this, args);
+            try {
+                const request = args[0];
+                const url =
+                    typeof request === 'string'
+                        ? request
+                        : request?.url || String(request);
+                if (isCandidateUrl(url)) {
+                    promise
+                        .then((response) =>
+                            response.ok ? response.clone().text() : null
+                        )
+                        .then((text) =>
+                            inspectResponse(toAbsoluteUrl(url), text)
+                        )
+                        .catch(() => {});
+                }
+            } catch (_) {
+                // Never interfere with the page's own requests
+            }
+            return promise;
+        };
+    }
+
+    const originalOpen = XMLHttpRequest.prototype.open;
+    XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+        try {
+            if (isCandidateUrl(String(url))) {
+                const requestUrl = toAbsoluteUrl(String(url));
+                this.addEventListener('load', () => {
+                    try {
+                        if (
+                            this.status >= 200 &&
+                            this.status < 300 &&
+                            (this.responseType === '' ||
+                                this.responseType === 'text')
+                        ) {
+                            inspectResponse(requestUrl, this.responseText);
+                        }
+                    } catch (_) {}
+                });
+            }
+        } catch (_) {}
+        return originalOpen.call(this, method, url, ...rest);
+    };
+
+    console.log('Generic Inject script: fetch and XHR have been wrapped.');
+
+    // Dispatch an event to let the content script know the inject script is ready
+    dispatch({ type: 'INJECT_SCRIPT_READY' });
+    console.log('Generic Inject script: Dispatched INJECT_SCRIPT_READY event.');
+}
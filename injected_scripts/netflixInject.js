@@ -11,6 +11,7 @@ if (window.netflixDualSubInjectorLoaded) {
     console.log('Netflix Inject script: Starting execution.');
 
     const INJECT_EVENT_ID = 'netflix-dualsub-injector-event'; // Must match netflixPlatform.js
+    const COMMAND_EVENT_ID = 'netflix-dualsub-command-event'; // Must match netflixPlatform.js
     const originalJSONParse = JSON.parse;
 
     console.log(
@@ -61,6 +62,33 @@ if (window.netflixDualSubInjectorLoaded) {
 
     console.log('Netflix Inject script: JSON.parse has been overridden.');
 
+    // Seeks requested by the content script (hotkeys); the <video> element
+    // ignores currentTime changes, so go through the Netflix player API
+    document.addEventListener(COMMAND_EVENT_ID, (event) => {
+        try {
+            const command = originalJSONParse(event.detail);
+            if (command?.type !== 'SEEK' || !Number.isFinite(command.time)) {
+                return;
+            }
+            const videoPlayer =
+                window.netflix?.appContext?.state?.playerApp?.getAPI()
+                    ?.videoPlayer;
+            const sessionIds = videoPlayer?.getAllPlayerSessionIds() || [];
+            const sessionId =
+                sessionIds.find((id) => id.startsWith('watch')) ||
+                sessionIds[0];
+            if (!sessionId) {
+                console.warn('[Netflix Inject] No player session to seek.');
+                return;
+            }
+            videoPlayer
+                .getVideoPlayerBySessionId(sessionId)
+                .seek(Math.round(command.time * 1000));
+        } catch (e) {
+            console.warn('[Netflix Inject] Seek failed:', e);
+        }
+    });
+
     // Dispatch an event to let the content script know the inject script is ready
     document.dispatchEvent(
         new CustomEvent(INJECT_EVENT_ID, {
@@ -0,0 +1,108 @@
+// injected_scripts/youtubeInject.js
+
+// Guard against multiple script executions
+if (window.youtubeDualSubInjectorLoaded) {
+    console.log(
+        'YouTube Inject script: Already loaded, skipping initialization.'
+    );
+} else {
+    window.youtubeDualSubInjectorLoaded = true;
+
+    console.log('YouTube Inject script: Starting execution.');
+
+    const INJECT_EVENT_ID = 'youtube-dualsub-injector-event'; // Must match youtubePlatform.js
+    const TIMEDTEXT_PATH = '/api/timedtext';
+
+    const toTimedTextUrl = (url) => {
+        try {
+            const parsed = new URL(String(url), window.location.href);
+            return parsed.pathname.endsWith(TIMEDTEXT_PATH) ? parsed : null;
+        } catch (_) {
+            return null;
+        }
+    };
+
+    // Caption requests made by the player carry the tokens YouTube needs, so
+    // the URL is passed on to fetch the auto-translated track later
+    const dispatchCaptions = (timedTextUrl, text) => {
+        if (typeof text !== 'string' || text.trim() === '') {
+            return;
+        }
+        const params = timedTextUrl.searchParams;
+        const payload = {
+            videoId: params.get('v'),
+            url: timedTextUrl.href,
+            languageCode: params.get('lang'),
+            kind: params.get('kind') || null,
+            translationLanguage: params.get('tlang') || null,
+            format: params.get('fmt') || 'srv1',
+            text,
+        };
+        console.log(
+            `%c[YouTube Inject] Captured ${payload.format} captions for video: %s (%s)`,
+            'color: red; font-weight: bold;',
+            payload.videoId,
+            payload.languageCode
+        );
+
+        document.dispatchEvent(
+            new CustomEvent(INJECT_EVENT_ID, {
+                detail: { type: 'SUBTITLE_DATA_FOUND', payload },
+            })
+        );
+    };
+
+    const originalFetch = window.fetch;
+    window.fetch = function (...args) {
+        const promise = originalFetch.apply(this, args);
+        try {
+            const request = args[0];
+            const timedTextUrl = toTimedTextUrl(
+                typeof request === 'string' ? request : request?.url
+            );
+            if (timedTextUrl) {
+                promise
+                    .then((response) =>
+                        response.ok ? response.clone().text() : null
+                    )
+                    .then((text) => dispatchCaptions(timedTextUrl, text))
+                    .catch(() => {});
+            }
+        } catch (_) {
+            // Never interfere with the player's own requests
+        }
+        return promise;
+    };
+
+    const originalOpen = XMLHttpRequest.prototype.open;
+    XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+        try {
+            const timedTextUrl = toTimedTextUrl(url);
+            if (timedTextUrl) {
+                this.addEventListener('load', () => {
+                    try {
+                        if (
+                            this.status >= 200 &&
+                            this.status < 300 &&
+                            (this.responseType === '' ||
+                                this.responseType === 'text')
+                        ) {
+                            dispatchCaptions(timedTextUrl, this.responseText);
+                        }
+                    } catch (_) {}
+                });
+            }
+        } catch (_) {}
+        return originalOpen.call(this, method, url, ...rest);
+    };
+
+    console.log('YouTube Inject script: timedtext requests are intercepted.');
+
+    // Dispatch an event to let the content script know the inject script is ready
+    document.dispatchEvent(
+        new CustomEvent(INJECT_EVENT_ID, {
+            detail: { type: 'INJECT_SCRIPT_READY' },
+        })
+    );
+    console.log('YouTube Inject script: Dispatched INJECT_SCRIPT_READY event.');
+}
@@ -8,6 +8,8 @@ import {
     mockWindowLocation,
 } from './test-utils/location-mock.js';
 import { LoggerMock } from './test-utils/logger-mock.js';
+import { webcrypto } from 'node:crypto';
+import { TextEncoder, TextDecoder } from 'node:util';
 
 // Global mock instances for reuse across tests
 global.mockInstances = {
@@ -19,6 +21,25 @@ global.mockInstances = {
 // Setup Chrome API mock globally
 global.chrome = global.mockInstances.chromeApi;
 
+// jsdom does not expose structuredClone, which IndexedDB (fake-indexeddb) needs
+// to store records. Stored records are plain data, so a JSON round trip is enough.
+if (typeof global.structuredClone === 'undefined') {
+    global.structuredClone = (value) => JSON.parse(JSON.stringify(value));
+}
+
+// jsdom does not expose WebCrypto's subtle API or TextEncoder/TextDecoder,
+// which the API key vault encrypts with. Use Node's implementations.
+if (!global.crypto?.subtle) {
+    Object.defineProperty(global, 'crypto', {
+        value: webcrypto,
+        configurable: true,
+    });
+}
+if (typeof global.TextEncoder === 'undefined') {
+    global.TextEncoder = TextEncoder;
+    global.TextDecoder = TextDecoder;
+}
+
 // Mock console methods to capture logs in tests while preserving original functionality
 const originalConsole = { ...console };
 global.console = {
@@ -5,7 +5,12 @@ import { GeneralSection } from './components/sections/GeneralSection.jsx';
 import { TranslationSection } from './components/sections/TranslationSection.jsx';
 import { ProvidersSection } from './components/sections/ProvidersSection.jsx';
 import { AIContextSection } from './components/sections/AIContextSection.jsx';
+import { UsageSection } from './components/sections/UsageSection.jsx';
+import { VocabularySection } from './components/sections/VocabularySection.jsx';
+import { ShortcutsSection } from './components/sections/ShortcutsSection.jsx';
+import { ProfilesSection } from './components/sections/ProfilesSection.jsx';
 import { AboutSection } from './components/sections/AboutSection.jsx';
+import { useApiKeyVault } from './hooks/index.js';
 
 export function OptionsApp() {
     const [activeSection, setActiveSection] = useState('general');
@@ -14,6 +19,7 @@ export function OptionsApp() {
         settings.uiLanguage || 'en'
     );
     const { t } = useTranslation(currentLanguage);
+    const vault = useApiKeyVault(t);
 
     // Update language when settings change
     useEffect(() => {
@@ -31,7 +37,7 @@ export function OptionsApp() {
         }
     };
 
-    if (loading) {
+    if (loading || vault.loading) {
         return (
             <div className="container">
                 <div className="content">
@@ -68,6 +74,7 @@ export function OptionsApp() {
                         t={t}
                         settings={settings}
                         onSettingChange={handleSettingChange}
+                        vault={vault}
                     />
                 )}
                 {activeSection === 'ai-context' && (
@@ -75,8 +82,33 @@ export function OptionsApp() {
                         t={t}
                         settings={settings}
                         onSettingChange={handleSettingChange}
+                        vault={vault}
                     />
                 )}
+                {activeSection === 'usage' && (
+                    <UsageSection
+                        t={t}
+                        settings={settings}
+                        onSettingChange={handleSettingChange}
+                    />
+                )}
+                {activeSection === 'vocabulary' && (
+                    <VocabularySection
+                        t={t}
+                        settings={settings}
+                        onSettingChange={handleSettingChange}
+                    />
+                )}
+                {activeSection === 'shortcuts' && (
+                    <ShortcutsSection
+                        t={t}
+                        settings={settings}
+                        onSettingChange={handleSettingChange}
+                    />
+                )}
+                {activeSection === 'profiles' && (
+                    <ProfilesSection t={t} settings={settings} />
+                )}
                 {activeSection === 'about' && <AboutSection t={t} />}
             </main>
         </div>
@@ -0,0 +1,285 @@
+import React, { useState } from 'react';
+import { SettingCard } from './SettingCard.jsx';
+import { ToggleSwitch } from './ToggleSwitch.jsx';
+import { TestResultDisplay } from './TestResultDisplay.jsx';
+import { useContextTemplateTest } from '../hooks/index.js';
+import {
+    TEMPLATE_PLACEHOLDERS,
+    createTemplateId,
+    validateContextTemplate,
+} from '../../context_providers/contextTemplates.js';
+
+const EXAMPLE_PROMPT =
+    'Break down the grammar of "{{text}}" ({{sourceLanguage}}) for a {{targetLanguage}} speaker.\n\nSubtitle lines around it:\n{{surroundingContext}}\n\nShow: {{showTitle}}';
+
+export function ContextTemplatesCard({
+    t,
+    templates,
+    enabledTypes,
+    languages,
+    onTemplatesChange,
+    onEnabledTypesChange,
+}) {
+    const [draft, setDraft] = useState(null);
+    const [errors, setErrors] = useState([]);
+    const [sampleText, setSampleText] = useState('');
+    const { testResult, analysis, testing, testTemplate, clearTestResult } =
+        useContextTemplateTest(t);
+
+    const openEditor = (template) => {
+        setDraft(
+            template
+                ? {
+                      ...template,
+                      schema:
+                          typeof template.schema === 'object'
+                              ? JSON.stringify(template.schema, null, 2)
+                              : template.schema || '',
+                  }
+                : {
+                      id: createTemplateId(),
+                      name: '',
+                      prompt: EXAMPLE_PROMPT,
+                      schema: '',
+                  }
+        );
+        setErrors([]);
+        clearTestResult();
+    };
+
+    const updateDraft = (changes) => setDraft({ ...draft, ...changes });
+
+    const checkDraft = () => {
+        const problems = validateContextTemplate(draft);
+        setErrors(problems);
+        return problems.length === 0;
+    };
+
+    const handleSave = () => {
+        if (!checkDraft()) return;
+        const template = {
+            id: draft.id,
+            name: draft.name.trim(),
+            prompt: draft.prompt,
+            schema: draft.schema.trim(),
+        };
+        const exists = templates.some((item) => item.id === template.id);
+        onTemplatesChange(
+            exists
+                ? templates.map((item) =>
+                      item.id === template.id ? template : item
+                  )
+                : [...templates, template]
+        );
+        // New context types are offered in the modal right away
+        if (!exists && !enabledTypes.includes(template.id)) {
+            onEnabledTypesChange([...enabledTypes, template.id]);
+        }
+        setDraft(null);
+    };
+
+    const handleDelete = (template) => {
+        if (
+            !window.confirm(
+                t(
+                    'contextTemplateDeleteConfirm',
+                    'Delete the context type "%s"?',
+                    template.name
+                )
+            )
+        ) {
+            return;
+        }
+        onTemplatesChange(templates.filter((item) => item.id !== template.id));
+        onEnabledTypesChange(enabledTypes.filter((id) => id !== template.id));
+        if (draft?.id === template.id) setDraft(null);
+    };
+
+    const handleToggle = (template, checked) => {
+        onEnabledTypesChange(
+            checked
+                ? [...enabledTypes, template.id]
+                : enabledTypes.filter((id) => id !== template.id)
+        );
+    };
+
+    const handleTest = () => {
+        if (checkDraft() && sampleText.trim()) {
+            testTemplate(draft, sampleText.trim(), languages);
+        }
+    };
+
+    return (
+        <SettingCard
+            title={t('cardContextTemplatesTitle', 'Custom Context Types')}
+            description={t(
+                'cardContextTemplatesDesc',
+                'Define your own analyses, such as a grammar breakdown or false friends, with a prompt template and an optional JSON schema for the response. Enabled types can be chosen in the context window.'
+            )}
+        >
+            {templates.length === 0 ? (
+                <p className="profiles-empty">
+                    {t('contextTemplatesEmpty', 'No custom context types yet.')}
+                </p>
+            ) : (
+                <ul className="profile-list">
+                    {templates.map((template) => (
+                        <li key={template.id} className="profile-item">
+                            <div className="profile-info">
+                                <ToggleSwitch
+                                    id={`contextTemplate-${template.id}`}
+                                    checked={enabledTypes.includes(template.id)}
+                                    onChange={(checked) =>
+                                        handleToggle(template, checked)
+                                    }
+                                />
+                                <span className="profile-name">
+                                    {template.name}
+                                </span>
+                            </div>
+                            <div className="profile-actions">
+                                <button
+                                    type="button"
+                                    className="btn"
+                                    onClick={() => openEditor(template)}
+                                >
+                                    {t('contextTemplateEditButton', 'Edit')}
+                                </button>
+                                <button
+                                    type="button"
+                                    className="btn"
+                                    onClick={() => handleDelete(template)}
+                                >
+                                    {t('contextTemplateDeleteButton', 'Delete')}
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {!draft && (
+                <div className="setting profile-file-actions">
+                    <button
+                        type="button"
+                        className="btn"
+                        onClick={() => openEditor(null)}
+                    >
+                        {t('contextTemplateAddButton', 'Add Context Type')}
+                    </button>
+                </div>
+            )}
+
+            {draft && (
+                <div className="context-template-editor">
+                    <label htmlFor="contextTemplateName">
+                        {t('contextTemplateNameLabel', 'Name:')}
+                    </label>
+                    <input
+                        type="text"
+                        id="contextTemplateName"
+                        value={draft.name}
+                        placeholder={t(
+                            'contextTemplateNamePlaceholder',
+                            'Grammar breakdown'
+                        )}
+                        onChange={(e) => updateDraft({ name: e.target.value })}
+                    />
+
+                    <label htmlFor="contextTemplatePrompt">
+                        {t('contextTemplatePromptLabel', 'Prompt:')}
+                    </label>
+                    <textarea
+                        id="contextTemplatePrompt"
+                        rows="8"
+                        value={draft.prompt}
+                        onChange={(e) =>
+                            updateDraft({ prompt: e.target.value })
+                        }
+                    />
+                    <div className="setting-help">
+                        {t(
+                            'contextTemplatePlaceholdersHelp',
+                            'Placeholders: %s. {{text}} is required.',
+                            TEMPLATE_PLACEHOLDERS.map(
+                                (name) => `{{${name}}}`
+                            ).join(', ')
+                        )}
+                    </div>
+
+                    <label htmlFor="contextTemplateSchema">
+                        {t(
+                            'contextTemplateSchemaLabel',
+                            'Response JSON schema (optional):'
+                        )}
+                    </label>
+                    <textarea
+                        id="contextTemplateSchema"
+                        rows="6"
+                        value={draft.schema}
+                        placeholder='{"type": "object", "properties": {"reading": {"type": "string"}}}'
+                        onChange={(e) =>
+                            updateDraft({ schema: e.target.value })
+                        }
+                    />
+                    <div className="setting-help">
+                        {t(
+                            'contextTemplateSchemaHelp',
+                            'Leave empty to get a definition, an explanation, examples and learning tips.'
+                        )}
+                    </div>
+
+                    {errors.length > 0 && (
+                        <div className="test-result error">
+                            {errors.join('. ')}
+                        </div>
+                    )}
+
+                    <div className="setting">
+                        <input
+                            type="text"
+                            id="contextTemplateSample"
+                            value={sampleText}
+                            placeholder={t(
+                                'contextTemplateSamplePlaceholder',
+                                'Sample text to test with'
+                            )}
+                            onChange={(e) => setSampleText(e.target.value)}
+                        />
+                        <button
+                            type="button"
+                            className="btn"
+                            onClick={handleTest}
+                            disabled={testing || !sampleText.trim()}
+                        >
+                            {t('contextTemplateTestButton', 'Test')}
+                        </button>
+                    </div>
+                    <TestResultDisplay result={testResult} />
+                    {analysis && (
+                        <pre className="context-template-result">
+                            {JSON.stringify(analysis, null, 2)}
+                        </pre>
+                    )}
+
+                    <div className="setting profile-file-actions">
+                        <button
+                            type="button"
+                            className="btn"
+                            onClick={() => setDraft(null)}
+                        >
+                            {t('contextTemplateCancelButton', 'Cancel')}
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-primary"
+                            onClick={handleSave}
+                        >
+                            {t('contextTemplateSaveButton', 'Save')}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </SettingCard>
+    );
+}
@@ -6,6 +6,10 @@ export function Sidebar({ t, activeSection, onSectionChange }) {
         { id: 'translation', label: t('navTranslation', 'Translation') },
         { id: 'providers', label: t('navProviders', 'Providers') },
         { id: 'ai-context', label: t('navAIContext', 'AI Context') },
+        { id: 'usage', label: t('navUsage', 'Usage') },
+        { id: 'vocabulary', label: t('navVocabulary', 'Vocabulary') },
+        { id: 'shortcuts', label: t('navShortcuts', 'Shortcuts') },
+        { id: 'profiles', label: t('navProfiles', 'Profiles') },
         { id: 'about', label: t('navAbout', 'About') },
     ];
 
@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import { SettingCard } from '../SettingCard.jsx';
+import { ToggleSwitch } from '../ToggleSwitch.jsx';
+import { TestResultDisplay } from '../TestResultDisplay.jsx';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+export function ApiKeyVaultCard({ t, vault }) {
+    const { status, result, busy, unlock, lock, setPassphrase, setSynced } =
+        vault;
+    const [passphrase, setPassphraseInput] = useState('');
+    const [confirmation, setConfirmation] = useState('');
+    const hasPassphrase = status.mode === 'passphrase';
+
+    const clearInputs = () => {
+        setPassphraseInput('');
+        setConfirmation('');
+    };
+
+    const handleUnlock = async () => {
+        if (passphrase && (await unlock(passphrase))) {
+            clearInputs();
+        }
+    };
+
+    const handleSetPassphrase = async () => {
+        if (await setPassphrase(passphrase)) {
+            clearInputs();
+        }
+    };
+
+    const handleRemovePassphrase = () => {
+        if (
+            window.confirm(
+                t(
+                    'vaultRemoveConfirm',
+                    'Remove the passphrase? Your API keys stay encrypted with a key stored on this device, and stop syncing.'
+                )
+            )
+        ) {
+            setPassphrase('');
+        }
+    };
+
+    let statusText = t(
+        'vaultStatusDevice',
+        'Encrypted with a key stored on this device.'
+    );
+    if (hasPassphrase) {
+        statusText = status.locked
+            ? t(
+                  'vaultStatusLocked',
+                  'Locked. Enter your passphrase to use your API keys.'
+              )
+            : t(
+                  'vaultStatusUnlocked',
+                  'Protected by your passphrase and unlocked until the browser closes.'
+              );
+    }
+
+    const passphraseValid =
+        passphrase.length >= MIN_PASSPHRASE_LENGTH &&
+        passphrase === confirmation;
+
+    return (
+        <SettingCard
+            title={t('cardVaultTitle', 'API Key Vault')}
+            description={t(
+                'cardVaultDesc',
+                'API keys and access tokens are stored encrypted and are not synced. Add a passphrase to unlock them once per browser session.'
+            )}
+        >
+            <p className={`vault-status${status.locked ? ' locked' : ''}`}>
+                {statusText}
+            </p>
+
+            {status.locked ? (
+                <div className="setting">
+                    <input
+                        type="password"
+                        id="vaultUnlockPassphrase"
+                        value={passphrase}
+                        placeholder={t('vaultPassphraseLabel', 'Passphrase')}
+                        onChange={(e) => setPassphraseInput(e.target.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') handleUnlock();
+                        }}
+                    />
+                    <button
+                        type="button"
+                        className="btn"
+                        onClick={handleUnlock}
+                        disabled={busy || !passphrase}
+                    >
+                        {t('vaultUnlockButton', 'Unlock')}
+                    </button>
+                </div>
+            ) : (
+                <>
+                    <div className="setting">
+                        <label htmlFor="vaultNewPassphrase">
+                            {hasPassphrase
+                                ? t(
+                                      'vaultChangePassphraseLabel',
+                                      'New passphrase:'
+                                  )
+                                : t('vaultSetPassphraseLabel', 'Passphrase:')}
+                        </label>
+                        <div className="vault-passphrase-inputs">
+                            <input
+                                type="password"
+                                id="vaultNewPassphrase"
+                                value={passphrase}
+                                placeholder={t(
+                                    'vaultPassphraseHint',
+                                    'At least %d characters',
+                                    MIN_PASSPHRASE_LENGTH
+                                )}
+                                onChange={(e) =>
+                                    setPassphraseInput(e.target.value)
+                                }
+                            />
+                            <input
+                                type="password"
+                                id="vaultConfirmPassphrase"
+                                value={confirmation}
+                                placeholder={t(
+                                    'vaultConfirmPlaceholder',
+                                    'Repeat passphrase'
+                                )}
+                                onChange={(e) =>
+                                    setConfirmation(e.target.value)
+                                }
+                            />
+                            <button
+                                type="button"
+                                className="btn"
+                                onClick={handleSetPassphrase}
+                                disabled={busy || !passphraseValid}
+                            >
+                                {t('vaultSavePassphraseButton', 'Save')}
+                            </button>
+                        </div>
+                    </div>
+
+                    {hasPassphrase && (
+                        <>
+                            <div className="setting">
+                                <label htmlFor="vaultSynced">
+                                    {t('vaultSyncLabel', 'Sync API keys:')}
+                                </label>
+                                <ToggleSwitch
+                                    id="vaultSynced"
+                                    checked={status.synced}
+                                    onChange={setSynced}
+                                />
+                            </div>
+                            <div className="vault-actions">
+                                <button
+                                    type="button"
+                                    className="btn"
+                                    onClick={lock}
+                                    disabled={busy}
+                                >
+                                    {t('vaultLockButton', 'Lock Now')}
+                                </button>
+                                <button
+                                    type="button"
+                                    className="btn"
+                                    onClick={handleRemovePassphrase}
+                                    disabled={busy}
+                                >
+                                    {t(
+                                        'vaultRemovePassphraseButton',
+                                        'Remove Passphrase'
+                                    )}
+                                </button>
+                            </div>
+                        </>
+                    )}
+                </>
+            )}
+
+            <TestResultDisplay result={result} />
+        </SettingCard>
+    );
+}
@@ -4,7 +4,7 @@ import { SparkleButton } from '../SparkleButton.jsx';
 import { TestResultDisplay } from '../TestResultDisplay.jsx';
 import { useDeepLTest } from '../../hooks/index.js';
 
-export function DeepLProviderCard({ t, apiKey, apiPlan, onApiKeyChange, onApiPlanChange }) {
+export function DeepLProviderCard({ t, apiKey, apiPlan, locked, onApiKeyChange, onApiPlanChange }) {
     const { testResult, testing, testConnection, initializeStatus } = useDeepLTest(t);
 
     // Initialize status when component mounts or API key changes
@@ -31,8 +31,13 @@ export function DeepLProviderCard({ t, apiKey, apiPlan, onApiKeyChange, onApiPla
                 <input
                     type="password"
                     id="deeplApiKey"
-                    placeholder="Enter your DeepL API key"
+                    placeholder={
+                        locked
+                            ? t('vaultLockedPlaceholder', 'Unlock the API key vault to edit')
+                            : 'Enter your DeepL API key'
+                    }
                     value={apiKey}
+                    disabled={locked}
                     onChange={(e) => onApiKeyChange(e.target.value)}
                 />
             </div>
@@ -0,0 +1,157 @@
+import React, { useEffect, useRef } from 'react';
+import { SettingCard } from '../SettingCard.jsx';
+import { SparkleButton } from '../SparkleButton.jsx';
+import { TestResultDisplay } from '../TestResultDisplay.jsx';
+import { useLocalLlmTest } from '../../hooks/index.js';
+import {
+    fetchAvailableModels,
+    DEFAULT_BASE_URLS,
+    LocalLlmApiTypes,
+} from '../../../translation_providers/localLlmTranslate.js';
+
+// Debounce utility
+function debounce(func, delay) {
+    let timeoutId;
+    return function (...args) {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => func.apply(this, args), delay);
+    };
+}
+
+export function LocalLlmProviderCard({
+    t,
+    apiType,
+    baseUrl,
+    model,
+    models,
+    onApiTypeChange,
+    onBaseUrlChange,
+    onModelChange,
+    onModelsLoaded,
+}) {
+    const { testResult, testing, fetchingModels, testConnection, fetchModels } =
+        useLocalLlmTest(t, fetchAvailableModels);
+
+    // Create debounced model fetching
+    const debouncedFetchRef = useRef(
+        debounce((url, type) => {
+            fetchModels(url, type, onModelsLoaded);
+        }, 1000)
+    );
+
+    // Discover installed models on mount
+    useEffect(() => {
+        fetchModels(baseUrl, apiType, onModelsLoaded);
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, []); // Only on mount - intentionally not including dependencies
+
+    // Switch to the new server type's default address unless the user set their own
+    const handleApiTypeChange = (value) => {
+        onApiTypeChange(value);
+        const isDefaultUrl =
+            !baseUrl || Object.values(DEFAULT_BASE_URLS).includes(baseUrl);
+        const nextUrl = isDefaultUrl ? DEFAULT_BASE_URLS[value] : baseUrl;
+        if (nextUrl !== baseUrl) {
+            onBaseUrlChange(nextUrl);
+        }
+        debouncedFetchRef.current(nextUrl, value);
+    };
+
+    const handleBaseUrlChange = (value) => {
+        onBaseUrlChange(value);
+        if (value.trim()) {
+            debouncedFetchRef.current(value, apiType);
+        }
+    };
+
+    const handleTest = () => {
+        testConnection(baseUrl, apiType, onModelsLoaded);
+    };
+
+    return (
+        <SettingCard
+            title={t('cardLocalLlmTitle', 'Local LLM (Ollama / LM Studio)')}
+            description={t(
+                'cardLocalLlmDesc',
+                'Translate with a model running on your own machine or network. No API key needed.'
+            )}
+        >
+            <div className="setting">
+                <label htmlFor="localLlmApiType">
+                    {t('localLlmApiTypeLabel', 'Server Type:')}
+                </label>
+                <select
+                    id="localLlmApiType"
+                    value={apiType}
+                    onChange={(e) => handleApiTypeChange(e.target.value)}
+                >
+                    <option value={LocalLlmApiTypes.OLLAMA}>
+                        {t('localLlmApiTypeOllama', 'Ollama')}
+                    </option>
+                    <option value={LocalLlmApiTypes.OPENAI}>
+                        {t('localLlmApiTypeOpenAI', 'OpenAI-compatible server (LM Studio, llama.cpp)')}
+                    </option>
+                </select>
+            </div>
+
+            <div className="setting">
+                <label htmlFor="localLlmBaseUrl">
+                    {t('baseUrlLabel', 'Base URL:')}
+                </label>
+                <input
+                    type="text"
+                    id="localLlmBaseUrl"
+                    placeholder={DEFAULT_BASE_URLS[apiType]}
+                    value={baseUrl}
+                    onChange={(e) => handleBaseUrlChange(e.target.value)}
+                />
+            </div>
+
+            <div className="setting">
+                <label htmlFor="localLlmModel">
+                    {t('modelLabel', 'Model:')}
+                </label>
+                <select
+                    id="localLlmModel"
+                    value={model}
+                    onChange={(e) => onModelChange(e.target.value)}
+                >
+                    <option value="">
+                        {fetchingModels
+                            ? 'Loading...'
+                            : t('localLlmModelAuto', 'Auto (first installed model)')}
+                    </option>
+                    {models.map((m) => (
+                        <option key={m} value={m}>
+                            {m}
+                        </option>
+                    ))}
+                </select>
+            </div>
+
+            <div className="setting openai-test-setting">
+                <TestResultDisplay result={testResult} />
+                <SparkleButton
+                    onClick={handleTest}
+                    disabled={testing || !baseUrl}
+                >
+                    {testing
+                        ? t('testingButton', 'Testing...')
+                        : t('testConnectionButton', 'Test Connection')
+                    }
+                </SparkleButton>
+            </div>
+
+            <div className="provider-info">
+                <div className="info-item">
+                    <strong>{t('providerFeatures', 'Features:')}</strong>
+                    <ul>
+                        <li>{t('featureNoApiKey', 'No API key required')}</li>
+                        <li>{t('featureRunsLocally', 'Subtitles stay on your machine or network')}</li>
+                        <li>{t('featureModelAutoDiscovery', 'Installed models are discovered automatically')}</li>
+                    </ul>
+                </div>
+            </div>
+        </SettingCard>
+    );
+}
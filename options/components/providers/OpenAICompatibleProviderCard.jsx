@@ -20,6 +20,7 @@ export function OpenAICompatibleProviderCard({
     baseUrl,
     model,
     models,
+    locked,
     onApiKeyChange,
     onBaseUrlChange,
     onModelChange,
@@ -81,8 +82,13 @@ export function OpenAICompatibleProviderCard({
                 <input
                     type="password"
                     id="openaiCompatibleApiKey"
-                    placeholder={t('openaiApiKeyPlaceholder', 'Enter your OpenAI-compatible API key')}
+                    placeholder={
+                        locked
+                            ? t('vaultLockedPlaceholder', 'Unlock the API key vault to edit')
+                            : t('openaiApiKeyPlaceholder', 'Enter your OpenAI-compatible API key')
+                    }
                     value={apiKey}
+                    disabled={locked}
                     onChange={(e) => handleApiKeyChange(e.target.value)}
                 />
             </div>
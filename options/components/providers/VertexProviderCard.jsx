@@ -11,6 +11,7 @@ export function VertexProviderCard({
     projectId,
     location,
     model,
+    locked,
     onAccessTokenChange,
     onProjectIdChange,
     onLocationChange,
@@ -144,8 +145,13 @@ export function VertexProviderCard({
                 <input
                     type="password"
                     id="vertexAccessToken"
-                    placeholder="ya29...."
+                    placeholder={
+                        locked
+                            ? t('vaultLockedPlaceholder', 'Unlock the API key vault to edit')
+                            : 'ya29....'
+                    }
                     value={accessToken}
+                    disabled={locked}
                     onChange={(e) => onAccessTokenChange(e.target.value)}
                 />
             </div>
@@ -4,3 +4,5 @@ export { DeepLFreeProviderCard } from './DeepLFreeProviderCard.jsx';
 export { DeepLProviderCard } from './DeepLProviderCard.jsx';
 export { OpenAICompatibleProviderCard } from './OpenAICompatibleProviderCard.jsx';
 export { VertexProviderCard } from './VertexProviderCard.jsx';
+export { LocalLlmProviderCard } from './LocalLlmProviderCard.jsx';
+export { ApiKeyVaultCard } from './ApiKeyVaultCard.jsx';
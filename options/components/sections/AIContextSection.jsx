@@ -1,8 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { SettingCard } from '../SettingCard.jsx';
 import { ToggleSwitch } from '../ToggleSwitch.jsx';
+import { ContextTemplatesCard } from '../ContextTemplatesCard.jsx';
 
-export function AIContextSection({ t, settings, onSettingChange }) {
+export function AIContextSection({ t, settings, onSettingChange, vault }) {
     const [contextTypes, setContextTypes] = useState({
         cultural: false,
         historical: false,
@@ -19,20 +20,27 @@ export function AIContextSection({ t, settings, onSettingChange }) {
         });
     }, [settings.aiContextTypes]);
 
+    const enabledTypes = settings.aiContextTypes || [];
+
     const handleContextTypeChange = (type, checked) => {
         const newTypes = { ...contextTypes, [type]: checked };
         setContextTypes(newTypes);
 
-        // Convert to array for storage
+        // Convert to array for storage, keeping enabled custom types
         const typesArray = Object.entries(newTypes)
             .filter(([_, enabled]) => enabled)
             .map(([type]) => type);
-        
-        onSettingChange('aiContextTypes', typesArray);
+        const customTypes = enabledTypes.filter((type) => !(type in newTypes));
+
+        onSettingChange('aiContextTypes', [...typesArray, ...customTypes]);
     };
 
     const aiContextEnabled = settings.aiContextEnabled || false;
     const aiContextProvider = settings.aiContextProvider || 'openai';
+    const { secrets, setSecret } = vault;
+    const lockedPlaceholder = vault.status.locked
+        ? t('vaultLockedPlaceholder', 'Unlock the API key vault to edit')
+        : null;
 
     return (
         <section id="ai-context">
@@ -82,6 +90,13 @@ export function AIContextSection({ t, settings, onSettingChange }) {
                         >
                             <option value="openai">OpenAI GPT</option>
                             <option value="gemini">Google Gemini</option>
+                            <option value="anthropic">Anthropic Claude</option>
+                            <option value="openai_compatible">
+                                {t(
+                                    'aiContextProviderOpenAICompatible',
+                                    'OpenAI-Compatible Endpoint'
+                                )}
+                            </option>
                         </select>
                     </div>
                 </SettingCard>
@@ -103,11 +118,12 @@ export function AIContextSection({ t, settings, onSettingChange }) {
                         <input
                             type="password"
                             id="openaiApiKey"
-                            value={settings.openaiApiKey || ''}
+                            value={secrets.openaiApiKey || ''}
+                            disabled={vault.status.locked}
                             onChange={(e) =>
-                                onSettingChange('openaiApiKey', e.target.value)
+                                setSecret('openaiApiKey', e.target.value)
                             }
-                            placeholder="sk-..."
+                            placeholder={lockedPlaceholder || 'sk-...'}
                         />
                     </div>
 
@@ -182,11 +198,12 @@ export function AIContextSection({ t, settings, onSettingChange }) {
                         <input
                             type="password"
                             id="geminiApiKey"
-                            value={settings.geminiApiKey || ''}
+                            value={secrets.geminiApiKey || ''}
+                            disabled={vault.status.locked}
                             onChange={(e) =>
-                                onSettingChange('geminiApiKey', e.target.value)
+                                setSecret('geminiApiKey', e.target.value)
                             }
-                            placeholder="AIza..."
+                            placeholder={lockedPlaceholder || 'AIza...'}
                         />
                     </div>
 
@@ -230,7 +247,134 @@ export function AIContextSection({ t, settings, onSettingChange }) {
                 </SettingCard>
             )}
 
-            {/* Card 5: Context Types */}
+            {/* Card 5: Anthropic Configuration */}
+            {aiContextEnabled && aiContextProvider === 'anthropic' && (
+                <SettingCard
+                    title={t(
+                        'cardAnthropicContextTitle',
+                        'Anthropic Configuration'
+                    )}
+                    description={t(
+                        'cardAnthropicContextDesc',
+                        'Configure your Anthropic API settings for context analysis. You need a valid Anthropic API key; other services that implement the Messages API work with their base URL.'
+                    )}
+                >
+                    <div className="setting">
+                        <label htmlFor="anthropicApiKey">
+                            {t('anthropicApiKeyLabel', 'API Key:')}
+                        </label>
+                        <input
+                            type="password"
+                            id="anthropicApiKey"
+                            value={secrets.anthropicApiKey || ''}
+                            disabled={vault.status.locked}
+                            onChange={(e) =>
+                                setSecret('anthropicApiKey', e.target.value)
+                            }
+                            placeholder={lockedPlaceholder || 'sk-ant-...'}
+                        />
+                    </div>
+
+                    <div className="setting">
+                        <label htmlFor="anthropicBaseUrl">
+                            {t('anthropicBaseUrlLabel', 'Base URL:')}
+                        </label>
+                        <input
+                            type="url"
+                            id="anthropicBaseUrl"
+                            value={settings.anthropicBaseUrl || ''}
+                            onChange={(e) =>
+                                onSettingChange('anthropicBaseUrl', e.target.value)
+                            }
+                            placeholder="https://api.anthropic.com"
+                        />
+                    </div>
+
+                    <div className="setting">
+                        <label htmlFor="anthropicModel">
+                            {t('anthropicModelLabel', 'Model:')}
+                        </label>
+                        <select
+                            id="anthropicModel"
+                            value={settings.anthropicModel || 'claude-haiku-4-5'}
+                            onChange={(e) =>
+                                onSettingChange('anthropicModel', e.target.value)
+                            }
+                        >
+                            <option
+                                value="claude-haiku-4-5"
+                                title="Fast and cost-effective for most context analysis tasks"
+                            >
+                                Claude Haiku 4.5 (Recommended)
+                            </option>
+                            <option
+                                value="claude-sonnet-4-5"
+                                title="Deeper cultural and linguistic analysis"
+                            >
+                                Claude Sonnet 4.5
+                            </option>
+                            <option
+                                value="claude-opus-4-1"
+                                title="Most thorough analysis, slower and more expensive"
+                            >
+                                Claude Opus 4.1
+                            </option>
+                        </select>
+                    </div>
+                </SettingCard>
+            )}
+
+            {/* Card 6: OpenAI-Compatible Endpoint Configuration */}
+            {aiContextEnabled && aiContextProvider === 'openai_compatible' && (
+                <SettingCard
+                    title={t(
+                        'cardOpenAICompatibleContextTitle',
+                        'OpenAI-Compatible Endpoint'
+                    )}
+                    description={t(
+                        'cardOpenAICompatibleContextDesc',
+                        'Context analysis uses the endpoint and API key of the OpenAI-compatible translation provider, set in the Providers section. Responses are requested in JSON mode, so endpoints without structured outputs work too.'
+                    )}
+                >
+                    <div className="setting">
+                        <label htmlFor="openaiCompatibleContextEndpoint">
+                            {t('openaiCompatibleContextEndpointLabel', 'Endpoint:')}
+                        </label>
+                        <input
+                            type="url"
+                            id="openaiCompatibleContextEndpoint"
+                            value={settings.openaiCompatibleBaseUrl || ''}
+                            readOnly
+                        />
+                    </div>
+
+                    <div className="setting">
+                        <label htmlFor="openaiCompatibleContextModel">
+                            {t('openaiCompatibleContextModelLabel', 'Model:')}
+                        </label>
+                        <input
+                            type="text"
+                            id="openaiCompatibleContextModel"
+                            value={settings.openaiCompatibleContextModel || ''}
+                            onChange={(e) =>
+                                onSettingChange(
+                                    'openaiCompatibleContextModel',
+                                    e.target.value
+                                )
+                            }
+                            placeholder={settings.openaiCompatibleModel || ''}
+                        />
+                    </div>
+                    <div className="setting-help">
+                        {t(
+                            'openaiCompatibleContextModelHelp',
+                            'Leave empty to use the translation model.'
+                        )}
+                    </div>
+                </SettingCard>
+            )}
+
+            {/* Card 7: Context Types */}
             {aiContextEnabled && (
                 <SettingCard
                     title={t('cardAIContextTypesTitle', 'Context Types')}
@@ -280,7 +424,26 @@ export function AIContextSection({ t, settings, onSettingChange }) {
                 </SettingCard>
             )}
 
-            {/* Card 6: Advanced Settings */}
+            {/* Card 8: Custom Context Types */}
+            {aiContextEnabled && (
+                <ContextTemplatesCard
+                    t={t}
+                    templates={settings.aiContextTemplates || []}
+                    enabledTypes={enabledTypes}
+                    languages={{
+                        sourceLanguage: settings.originalLanguage,
+                        targetLanguage: settings.targetLanguage,
+                    }}
+                    onTemplatesChange={(templates) =>
+                        onSettingChange('aiContextTemplates', templates)
+                    }
+                    onEnabledTypesChange={(types) =>
+                        onSettingChange('aiContextTypes', types)
+                    }
+                />
+            )}
+
+            {/* Card 9: Advanced Settings */}
             {aiContextEnabled && (
                 <SettingCard
                     title={t('cardAIContextAdvancedTitle', 'Advanced Settings')}
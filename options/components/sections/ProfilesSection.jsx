@@ -0,0 +1,558 @@
+import React, { useState, useRef } from 'react';
+import { SettingCard } from '../SettingCard.jsx';
+import { ToggleSwitch } from '../ToggleSwitch.jsx';
+import { TestResultDisplay } from '../TestResultDisplay.jsx';
+import { useSettingsProfiles } from '../../hooks/index.js';
+import {
+    OVERRIDE_PLATFORMS,
+    normalizeTitle,
+} from '../../../utils/settingsProfiles.js';
+
+const PLATFORM_NAMES = {
+    netflix: { key: 'platformNetflix', fallback: 'Netflix' },
+    disneyplus: { key: 'platformDisneyPlus', fallback: 'Disney+' },
+    youtube: { key: 'platformYouTube', fallback: 'YouTube' },
+    generic: { key: 'platformGeneric', fallback: 'Other Sites' },
+};
+
+const PROVIDER_OPTIONS = {
+    google: 'providerGoogleName',
+    microsoft_edge_auth: 'providerMicrosoftName',
+    deepl: 'providerDeepLName',
+    deepl_free: 'providerDeepLFreeName',
+    openai_compatible: 'providerOpenAICompatibleName',
+    vertex_gemini: 'providerVertexGeminiName',
+    local_llm: 'providerLocalLlmName',
+};
+
+const LANGUAGE_OPTIONS = {
+    en: 'lang_en',
+    es: 'lang_es',
+    fr: 'lang_fr',
+    de: 'lang_de',
+    it: 'lang_it',
+    pt: 'lang_pt',
+    ja: 'lang_ja',
+    ko: 'lang_ko',
+    'zh-CN': 'lang_zh_CN',
+    'zh-TW': 'lang_zh_TW',
+    ru: 'lang_ru',
+    ar: 'lang_ar',
+    hi: 'lang_hi',
+};
+
+// Settings offered in the override editor and how each one is edited
+const OVERRIDE_SETTINGS = {
+    selectedProvider: {
+        label: ['providerLabel', 'Provider:'],
+        options: PROVIDER_OPTIONS,
+    },
+    targetLanguage: {
+        label: ['targetLanguageLabel', 'Translate to:'],
+        options: LANGUAGE_OPTIONS,
+    },
+    originalLanguage: {
+        label: ['originalLanguageLabel', 'Language Set:'],
+        options: LANGUAGE_OPTIONS,
+    },
+    subtitleFontSize: {
+        label: ['fontSizeLabel', 'Font Size:'],
+        number: { min: 1, max: 3, step: 0.1 },
+    },
+    subtitleVerticalPosition: {
+        label: ['subtitleVerticalPositionLabel', 'Vertical Position:'],
+        number: { min: 0.1, max: 9.9, step: 0.1 },
+    },
+    subtitleLayoutOrder: {
+        label: ['displayOrderLabel', 'Display Order:'],
+        options: {
+            original_top: 'displayOrderOriginalFirst',
+            translation_top: 'displayOrderTranslationFirst',
+        },
+    },
+    subtitleLayoutOrientation: {
+        label: ['layoutLabel', 'Layout:'],
+        options: { column: 'layoutTopBottom', row: 'layoutLeftRight' },
+    },
+    subtitleTimeOffset: {
+        label: ['timeOffsetLabel', 'Time Offset(s):'],
+        number: { min: -10, max: 10, step: 0.1 },
+    },
+    useOfficialTranslations: {
+        label: ['useNativeSubtitlesLabel', 'Use Official Subtitles:'],
+        toggle: true,
+    },
+};
+
+const NEW_TITLE_TARGET = 'new-title';
+
+/**
+ * Override target as stored in the select: 'platform:<name>' or
+ * 'title:<normalized title>'
+ */
+function parseTarget(value) {
+    const [type, ...rest] = value.split(':');
+    return { type, name: rest.join(':') };
+}
+
+export function ProfilesSection({ t, settings }) {
+    const {
+        result,
+        busy,
+        saveProfile,
+        applyProfile,
+        deleteProfile,
+        exportProfile,
+        importProfile,
+        setOverride,
+    } = useSettingsProfiles(t);
+    const fileInputRef = useRef(null);
+    const [profileName, setProfileName] = useState('');
+    const [includeSecrets, setIncludeSecrets] = useState(false);
+    const [applyImport, setApplyImport] = useState(false);
+    const [overrideTarget, setOverrideTarget] = useState('platform:netflix');
+    const [newTitle, setNewTitle] = useState('');
+
+    const profiles = Object.entries(settings.settingsProfiles || {})
+        .map(([id, profile]) => ({
+            id,
+            ...profile,
+            settingCount: Object.keys(profile.settings || {}).length,
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    const activeProfile = settings.activeSettingsProfile;
+
+    const overrides = settings.settingsOverrides || {};
+    const titleOverrides = overrides.titles || {};
+    const target = parseTarget(overrideTarget);
+    const isNewTitle = overrideTarget === NEW_TITLE_TARGET;
+    const targetSettings = isNewTitle
+        ? {}
+        : (target.type === 'platform'
+              ? overrides.platforms?.[target.name]
+              : titleOverrides[target.name]?.settings) || {};
+    const unusedSettings = Object.keys(OVERRIDE_SETTINGS).filter(
+        (key) => !(key in targetSettings)
+    );
+
+    const getPlatformName = (platform) =>
+        t(PLATFORM_NAMES[platform].key, PLATFORM_NAMES[platform].fallback);
+
+    const handleSaveProfile = async () => {
+        if (!profileName.trim()) return;
+        if ((await saveProfile(profileName)) !== null) {
+            setProfileName('');
+        }
+    };
+
+    const handleApplyProfile = (profile) => {
+        if (
+            window.confirm(
+                t(
+                    'profileApplyConfirm',
+                    'Replace your current settings with the profile "%s"?',
+                    profile.name
+                )
+            )
+        ) {
+            applyProfile(profile);
+        }
+    };
+
+    const handleDeleteProfile = (profile) => {
+        if (
+            window.confirm(
+                t(
+                    'profileDeleteConfirm',
+                    'Delete the profile "%s"?',
+                    profile.name
+                )
+            )
+        ) {
+            deleteProfile(profile);
+        }
+    };
+
+    const handleFileSelect = async (e) => {
+        const file = e.target.files?.[0];
+        if (file) {
+            await importProfile(file, applyImport);
+        }
+        if (fileInputRef.current) {
+            fileInputRef.current.value = '';
+        }
+    };
+
+    const updateOverride = async (changes) => {
+        const next = { ...targetSettings, ...changes };
+        Object.keys(next).forEach((key) => {
+            if (next[key] === undefined) delete next[key];
+        });
+
+        if (isNewTitle) {
+            if (!normalizeTitle(newTitle)) return;
+            if ((await setOverride({ title: newTitle }, next)) !== null) {
+                setOverrideTarget(`title:${normalizeTitle(newTitle)}`);
+                setNewTitle('');
+            }
+        } else if (target.type === 'platform') {
+            await setOverride({ platform: target.name }, next);
+        } else {
+            await setOverride(
+                { title: titleOverrides[target.name]?.title || target.name },
+                next
+            );
+            if (Object.keys(next).length === 0) {
+                setOverrideTarget('platform:netflix');
+            }
+        }
+    };
+
+    const renderOverrideInput = (key) => {
+        const setting = OVERRIDE_SETTINGS[key];
+        const value = targetSettings[key];
+        const id = `override-${key}`;
+
+        if (setting.toggle) {
+            return (
+                <ToggleSwitch
+                    id={id}
+                    checked={!!value}
+                    onChange={(checked) => updateOverride({ [key]: checked })}
+                />
+            );
+        }
+        if (setting.number) {
+            return (
+                <input
+                    type="number"
+                    id={id}
+                    min={setting.number.min}
+                    max={setting.number.max}
+                    step={setting.number.step}
+                    value={value}
+                    onChange={(e) => {
+                        const parsed = parseFloat(e.target.value);
+                        if (Number.isFinite(parsed)) {
+                            updateOverride({ [key]: parsed });
+                        }
+                    }}
+                />
+            );
+        }
+        return (
+            <select
+                id={id}
+                value={value}
+                onChange={(e) => updateOverride({ [key]: e.target.value })}
+            >
+                {Object.entries(setting.options).map(([option, labelKey]) => (
+                    <option key={option} value={option}>
+                        {t(labelKey, option)}
+                    </option>
+                ))}
+            </select>
+        );
+    };
+
+    return (
+        <section id="profiles">
+            <h2>{t('sectionProfiles', 'Profiles')}</h2>
+
+            <SettingCard
+                title={t('cardProfilesTitle', 'Saved Profiles')}
+                description={t(
+                    'cardProfilesDesc',
+                    'Save the current settings under a name and switch between setups in one click.'
+                )}
+            >
+                <div className="setting">
+                    <input
+                        type="text"
+                        id="profileName"
+                        value={profileName}
+                        placeholder={t(
+                            'profileNamePlaceholder',
+                            'Profile name'
+                        )}
+                        onChange={(e) => setProfileName(e.target.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') handleSaveProfile();
+                        }}
+                    />
+                    <button
+                        type="button"
+                        className="btn"
+                        onClick={handleSaveProfile}
+                        disabled={busy || !profileName.trim()}
+                    >
+                        {t('profileSaveButton', 'Save Current Settings')}
+                    </button>
+                </div>
+
+                {profiles.length === 0 ? (
+                    <p className="profiles-empty">
+                        {t('profilesEmpty', 'No saved profiles yet.')}
+                    </p>
+                ) : (
+                    <ul className="profile-list">
+                        {profiles.map((profile) => (
+                            <li key={profile.id} className="profile-item">
+                                <div className="profile-info">
+                                    <span className="profile-name">
+                                        {profile.name}
+                                    </span>
+                                    {profile.id === activeProfile && (
+                                        <span className="profile-active">
+                                            {t('profileActive', 'Active')}
+                                        </span>
+                                    )}
+                                    <span className="profile-meta">
+                                        {t(
+                                            'profileSettingCount',
+                                            '%d settings',
+                                            profile.settingCount
+                                        )}
+                                    </span>
+                                </div>
+                                <div className="profile-actions">
+                                    <button
+                                        type="button"
+                                        className="btn"
+                                        onClick={() =>
+                                            handleApplyProfile(profile)
+                                        }
+                                        disabled={busy}
+                                    >
+                                        {t('profileApplyButton', 'Apply')}
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="btn"
+                                        onClick={() =>
+                                            exportProfile(
+                                                profile,
+                                                includeSecrets
+                                            )
+                                        }
+                                        disabled={busy}
+                                    >
+                                        {t('profileExportButton', 'Export')}
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="btn"
+                                        onClick={() =>
+                                            handleDeleteProfile(profile)
+                                        }
+                                        disabled={busy}
+                                    >
+                                        {t('profileDeleteButton', 'Delete')}
+                                    </button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </SettingCard>
+
+            <SettingCard
+                title={t('cardProfileFilesTitle', 'Import and Export')}
+                description={t(
+                    'cardProfileFilesDesc',
+                    'Move settings to another browser or share them as a JSON file. Imported settings are checked before they are saved.'
+                )}
+            >
+                <div className="setting setting-with-help">
+                    <div className="setting-content">
+                        <label htmlFor="profileIncludeSecrets">
+                            {t(
+                                'profileIncludeSecretsLabel',
+                                'Include API Keys and Tokens'
+                            )}
+                        </label>
+                        <div className="setting-help">
+                            {t(
+                                'profileIncludeSecretsHelp',
+                                'Leave off when sharing the file with others.'
+                            )}
+                        </div>
+                    </div>
+                    <ToggleSwitch
+                        id="profileIncludeSecrets"
+                        checked={includeSecrets}
+                        onChange={setIncludeSecrets}
+                    />
+                </div>
+                <div className="setting">
+                    <label htmlFor="profileApplyImport">
+                        {t('profileApplyImportLabel', 'Apply After Import')}
+                    </label>
+                    <ToggleSwitch
+                        id="profileApplyImport"
+                        checked={applyImport}
+                        onChange={setApplyImport}
+                    />
+                </div>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept=".json,application/json"
+                    onChange={handleFileSelect}
+                    style={{ display: 'none' }}
+                    aria-label={t('profileImportButton', 'Import Profile')}
+                />
+                <div className="setting profile-file-actions">
+                    <button
+                        type="button"
+                        className="btn"
+                        onClick={() => exportProfile(null, includeSecrets)}
+                        disabled={busy}
+                    >
+                        {t(
+                            'profileExportCurrentButton',
+                            'Export Current Settings'
+                        )}
+                    </button>
+                    <button
+                        type="button"
+                        className="btn"
+                        onClick={() => fileInputRef.current?.click()}
+                        disabled={busy}
+                    >
+                        {t('profileImportButton', 'Import Profile')}
+                    </button>
+                </div>
+                <TestResultDisplay result={result} />
+            </SettingCard>
+
+            <SettingCard
+                title={t('cardOverridesTitle', 'Platform and Show Overrides')}
+                description={t(
+                    'cardOverridesDesc',
+                    'Settings used instead of the global ones on one platform or for one show. Show overrides win over platform overrides.'
+                )}
+            >
+                <div className="setting">
+                    <label htmlFor="overrideTarget">
+                        {t('overrideTargetLabel', 'Apply To:')}
+                    </label>
+                    <select
+                        id="overrideTarget"
+                        value={overrideTarget}
+                        onChange={(e) => setOverrideTarget(e.target.value)}
+                    >
+                        <optgroup
+                            label={t('overridePlatformGroup', 'Platforms')}
+                        >
+                            {OVERRIDE_PLATFORMS.map((platform) => (
+                                <option
+                                    key={platform}
+                                    value={`platform:${platform}`}
+                                >
+                                    {getPlatformName(platform)}
+                                </option>
+                            ))}
+                        </optgroup>
+                        <optgroup label={t('overrideTitleGroup', 'Shows')}>
+                            {Object.entries(titleOverrides).map(
+                                ([key, { title }]) => (
+                                    <option key={key} value={`title:${key}`}>
+                                        {title}
+                                    </option>
+                                )
+                            )}
+                            <option value={NEW_TITLE_TARGET}>
+                                {t('overrideNewTitleOption', 'Add a Show…')}
+                            </option>
+                        </optgroup>
+                    </select>
+                </div>
+
+                {isNewTitle && (
+                    <div className="setting setting-with-help">
+                        <div className="setting-content">
+                            <label htmlFor="overrideTitle">
+                                {t('overrideTitleLabel', 'Show Title:')}
+                            </label>
+                            <div className="setting-help">
+                                {t(
+                                    'overrideTitleHelp',
+                                    'As the platform shows it; case and spacing do not matter.'
+                                )}
+                            </div>
+                        </div>
+                        <input
+                            type="text"
+                            id="overrideTitle"
+                            value={newTitle}
+                            onChange={(e) => setNewTitle(e.target.value)}
+                        />
+                    </div>
+                )}
+
+                {Object.keys(targetSettings).length === 0 && !isNewTitle && (
+                    <p className="profiles-empty">
+                        {t('overridesEmpty', 'No overrides here yet.')}
+                    </p>
+                )}
+
+                {Object.keys(targetSettings)
+                    .filter((key) => OVERRIDE_SETTINGS[key])
+                    .map((key) => (
+                        <div key={key} className="setting override-setting">
+                            <label htmlFor={`override-${key}`}>
+                                {t(...OVERRIDE_SETTINGS[key].label)}
+                            </label>
+                            <div className="override-controls">
+                                {renderOverrideInput(key)}
+                                <button
+                                    type="button"
+                                    className="btn"
+                                    onClick={() =>
+                                        updateOverride({ [key]: undefined })
+                                    }
+                                    disabled={busy}
+                                >
+                                    {t('overrideRemoveButton', 'Remove')}
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+
+                {unusedSettings.length > 0 && (
+                    <div className="setting">
+                        <label htmlFor="overrideAddSetting">
+                            {t('overrideAddSettingLabel', 'Add Setting:')}
+                        </label>
+                        <select
+                            id="overrideAddSetting"
+                            value=""
+                            disabled={
+                                busy ||
+                                (isNewTitle && !normalizeTitle(newTitle))
+                            }
+                            onChange={(e) =>
+                                updateOverride({
+                                    [e.target.value]: settings[e.target.value],
+                                })
+                            }
+                        >
+                            <option value="">
+                                {t(
+                                    'overrideAddSettingPlaceholder',
+                                    'Choose a setting…'
+                                )}
+                            </option>
+                            {unusedSettings.map((key) => (
+                                <option key={key} value={key}>
+                                    {t(...OVERRIDE_SETTINGS[key].label)}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+            </SettingCard>
+        </section>
+    );
+}
@@ -5,10 +5,15 @@ import { DeepLFreeProviderCard } from '../providers/DeepLFreeProviderCard.jsx';
 import { DeepLProviderCard } from '../providers/DeepLProviderCard.jsx';
 import { OpenAICompatibleProviderCard } from '../providers/OpenAICompatibleProviderCard.jsx';
 import { VertexProviderCard } from '../providers/VertexProviderCard.jsx';
+import { LocalLlmProviderCard } from '../providers/LocalLlmProviderCard.jsx';
+import { ApiKeyVaultCard } from '../providers/ApiKeyVaultCard.jsx';
 
-export function ProvidersSection({ t, settings, onSettingChange }) {
+export function ProvidersSection({ t, settings, onSettingChange, vault }) {
     const selectedProvider = settings.selectedProvider || 'deepl_free';
+    const { secrets, setSecret } = vault;
+    const keysLocked = vault.status.locked;
     const [openaiModels, setOpenaiModels] = useState([]);
+    const [localLlmModels, setLocalLlmModels] = useState([]);
 
     // Load saved OpenAI models
     useEffect(() => {
@@ -32,6 +37,16 @@ export function ProvidersSection({ t, settings, onSettingChange }) {
         }
     };
 
+    // An empty model means "first installed", so nothing is saved here
+    const handleLocalLlmModelsLoaded = (models) => {
+        const savedModel = settings.localLlmModel;
+        setLocalLlmModels(
+            savedModel && !models.includes(savedModel)
+                ? [savedModel, ...models]
+                : models
+        );
+    };
+
     return (
         <section id="providers">
             <h2>{t('sectionProviders', 'Provider Settings')}</h2>
@@ -51,9 +66,10 @@ export function ProvidersSection({ t, settings, onSettingChange }) {
             {selectedProvider === 'deepl' && (
                 <DeepLProviderCard
                     t={t}
-                    apiKey={settings.deeplApiKey || ''}
+                    apiKey={secrets.deeplApiKey || ''}
                     apiPlan={settings.deeplApiPlan || 'free'}
-                    onApiKeyChange={(value) => onSettingChange('deeplApiKey', value)}
+                    locked={keysLocked}
+                    onApiKeyChange={(value) => setSecret('deeplApiKey', value)}
                     onApiPlanChange={(value) => onSettingChange('deeplApiPlan', value)}
                 />
             )}
@@ -61,31 +77,49 @@ export function ProvidersSection({ t, settings, onSettingChange }) {
             {selectedProvider === 'openai_compatible' && (
                 <OpenAICompatibleProviderCard
                     t={t}
-                    apiKey={settings.openaiCompatibleApiKey || ''}
+                    apiKey={secrets.openaiCompatibleApiKey || ''}
                     baseUrl={settings.openaiCompatibleBaseUrl || ''}
                     model={settings.openaiCompatibleModel || ''}
                     models={openaiModels}
-                    onApiKeyChange={(value) => onSettingChange('openaiCompatibleApiKey', value)}
+                    locked={keysLocked}
+                    onApiKeyChange={(value) => setSecret('openaiCompatibleApiKey', value)}
                     onBaseUrlChange={(value) => onSettingChange('openaiCompatibleBaseUrl', value)}
                     onModelChange={(value) => onSettingChange('openaiCompatibleModel', value)}
                     onModelsLoaded={handleOpenAIModelsLoaded}
                 />
             )}
 
+            {selectedProvider === 'local_llm' && (
+                <LocalLlmProviderCard
+                    t={t}
+                    apiType={settings.localLlmApiType || 'ollama'}
+                    baseUrl={settings.localLlmBaseUrl || ''}
+                    model={settings.localLlmModel || ''}
+                    models={localLlmModels}
+                    onApiTypeChange={(value) => onSettingChange('localLlmApiType', value)}
+                    onBaseUrlChange={(value) => onSettingChange('localLlmBaseUrl', value)}
+                    onModelChange={(value) => onSettingChange('localLlmModel', value)}
+                    onModelsLoaded={handleLocalLlmModelsLoaded}
+                />
+            )}
+
             {selectedProvider === 'vertex_gemini' && (
                 <VertexProviderCard
                     t={t}
-                    accessToken={settings.vertexAccessToken || ''}
+                    accessToken={secrets.vertexAccessToken || ''}
                     projectId={settings.vertexProjectId || ''}
                     location={settings.vertexLocation || 'us-central1'}
                     model={settings.vertexModel || 'gemini-2.5-flash'}
-                    onAccessTokenChange={(value) => onSettingChange('vertexAccessToken', value)}
+                    locked={keysLocked}
+                    onAccessTokenChange={(value) => setSecret('vertexAccessToken', value)}
                     onProjectIdChange={(value) => onSettingChange('vertexProjectId', value)}
                     onLocationChange={(value) => onSettingChange('vertexLocation', value)}
                     onModelChange={(value) => onSettingChange('vertexModel', value)}
                     onProviderChange={(value) => onSettingChange('selectedProvider', value)}
                 />
             )}
+
+            <ApiKeyVaultCard t={t} vault={vault} />
         </section>
     );
 }
@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { SettingCard } from '../SettingCard.jsx';
+import { useBrowserShortcuts } from '../../hooks/index.js';
+import {
+    HOTKEY_ACTIONS,
+    DEFAULT_HOTKEYS,
+    getHotkeyBindings,
+    getHotkeyConflicts,
+    getHotkeyFromEvent,
+    formatHotkey,
+} from '../../../utils/hotkeys.js';
+
+const ACTION_LABELS = {
+    toggleSubtitles: 'Toggle dual subtitles',
+    swapLayoutOrder: 'Swap subtitle order',
+    toggleTranslation: 'Hide or show the translation',
+    replayCue: 'Replay the current line',
+    previousCue: 'Jump to the previous line',
+    nextCue: 'Jump to the next line',
+    openAIContext: 'Open AI context for the current line',
+    nudgeOriginalEarlier: 'Show original subtitles earlier',
+    nudgeOriginalLater: 'Show original subtitles later',
+    nudgeTranslatedEarlier: 'Show translated subtitles earlier',
+    nudgeTranslatedLater: 'Show translated subtitles later',
+    autoAlignSync: 'Auto-align the translated track',
+    cycleStudyMode: 'Switch study mode',
+    revealTranslation: 'Reveal the blurred translation',
+};
+
+function getActionLabel(t, action) {
+    return t(
+        `hotkeyAction${action[0].toUpperCase()}${action.slice(1)}`,
+        ACTION_LABELS[action]
+    );
+}
+
+export function ShortcutsSection({ t, settings, onSettingChange }) {
+    const { commands, openShortcutsPage } = useBrowserShortcuts();
+    const [recordingAction, setRecordingAction] = useState(null);
+
+    const bindings = getHotkeyBindings(settings.keyboardShortcuts);
+    const conflicts = getHotkeyConflicts(bindings);
+
+    // Only bindings that differ from the defaults are stored
+    const saveBinding = (action, hotkey) => {
+        const overrides = Object.fromEntries(
+            HOTKEY_ACTIONS.map((name) => [
+                name,
+                name === action ? hotkey : bindings[name],
+            ]).filter(([name, value]) => value !== DEFAULT_HOTKEYS[name])
+        );
+        onSettingChange('keyboardShortcuts', overrides);
+    };
+
+    useEffect(() => {
+        if (!recordingAction) {
+            return undefined;
+        }
+        const handleKeyDown = (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            const hasModifier =
+                event.ctrlKey ||
+                event.altKey ||
+                event.shiftKey ||
+                event.metaKey;
+            if (event.code === 'Escape' && !hasModifier) {
+                setRecordingAction(null);
+                return;
+            }
+            if (
+                (event.code === 'Backspace' || event.code === 'Delete') &&
+                !hasModifier
+            ) {
+                saveBinding(recordingAction, '');
+                setRecordingAction(null);
+                return;
+            }
+            const hotkey = getHotkeyFromEvent(event);
+            if (hotkey) {
+                saveBinding(recordingAction, hotkey);
+                setRecordingAction(null);
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown, true);
+        return () => window.removeEventListener('keydown', handleKeyDown, true);
+    });
+
+    return (
+        <section id="shortcuts">
+            <h2>{t('sectionShortcuts', 'Shortcuts')}</h2>
+
+            <SettingCard
+                title={t('cardHotkeysTitle', 'In-Player Hotkeys')}
+                description={t(
+                    'cardHotkeysDesc',
+                    'Keys that work while a video with DualSub subtitles is focused. Click a shortcut and press the new keys; Backspace turns it off and Escape cancels.'
+                )}
+            >
+                {HOTKEY_ACTIONS.map((action) => {
+                    const hotkey = bindings[action];
+                    const conflictingActions = (conflicts[hotkey] || []).filter(
+                        (other) => other !== action
+                    );
+                    return (
+                        <div className="setting" key={action}>
+                            <label htmlFor={`hotkey-${action}`}>
+                                {getActionLabel(t, action)}
+                                {conflictingActions.length > 0 && (
+                                    <span className="setting-help shortcut-conflict">
+                                        {t(
+                                            'hotkeyConflict',
+                                            'Also used by: %s',
+                                            conflictingActions
+                                                .map((other) =>
+                                                    getActionLabel(t, other)
+                                                )
+                                                .join(', ')
+                                        )}
+                                    </span>
+                                )}
+                            </label>
+                            <div className="shortcut-controls">
+                                <button
+                                    type="button"
+                                    id={`hotkey-${action}`}
+                                    className={`btn shortcut-key${recordingAction === action ? ' recording' : ''}`}
+                                    onClick={() =>
+                                        setRecordingAction(
+                                            recordingAction === action
+                                                ? null
+                                                : action
+                                        )
+                                    }
+                                >
+                                    {recordingAction === action
+                                        ? t('hotkeyRecording', 'Press keys…')
+                                        : formatHotkey(hotkey) ||
+                                          t('hotkeyNotSet', 'Not set')}
+                                </button>
+                                {hotkey !== DEFAULT_HOTKEYS[action] && (
+                                    <button
+                                        type="button"
+                                        className="btn shortcut-reset"
+                                        onClick={() =>
+                                            saveBinding(
+                                                action,
+                                                DEFAULT_HOTKEYS[action]
+                                            )
+                                        }
+                                    >
+                                        {t('hotkeyReset', 'Reset')}
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                    );
+                })}
+                <button
+                    type="button"
+                    className="btn btn-primary"
+                    onClick={() => onSettingChange('keyboardShortcuts', {})}
+                >
+                    {t('hotkeyResetAll', 'Reset All to Defaults')}
+                </button>
+            </SettingCard>
+
+            <SettingCard
+                title={t('cardBrowserShortcutsTitle', 'Browser Shortcuts')}
+                description={t(
+                    'cardBrowserShortcutsDesc',
+                    'Chrome keyboard shortcuts run the same actions and also work when the player does not have focus. Chrome manages them on its own shortcuts page.'
+                )}
+            >
+                {commands.map((command) => (
+                    <div className="setting" key={command.name}>
+                        <label>{command.description}</label>
+                        <span className="shortcut-key">
+                            {command.shortcut || t('hotkeyNotSet', 'Not set')}
+                        </span>
+                    </div>
+                ))}
+                <button
+                    type="button"
+                    className="btn btn-primary"
+                    onClick={openShortcutsPage}
+                >
+                    {t('browserShortcutsOpen', 'Change Browser Shortcuts')}
+                </button>
+            </SettingCard>
+        </section>
+    );
+}
@@ -1,6 +1,8 @@
 import React from 'react';
 import { SettingCard } from '../SettingCard.jsx';
 import { ToggleSwitch } from '../ToggleSwitch.jsx';
+import { useTranslationMemory } from '../../hooks/index.js';
+import { ProviderBatchConfigs } from '../../../content_scripts/shared/constants/providers.js';
 
 export function TranslationSection({ t, settings, onSettingChange }) {
     const availableProviders = {
@@ -10,10 +12,49 @@ export function TranslationSection({ t, settings, onSettingChange }) {
         deepl_free: 'providerDeepLFreeName',
         openai_compatible: 'providerOpenAICompatibleName',
         vertex_gemini: 'providerVertexGeminiName',
+        local_llm: 'providerLocalLlmName',
     };
 
     const batchingEnabled = settings.batchingEnabled || false;
     const useProviderDefaults = settings.useProviderDefaults || false;
+    const translationMemoryEnabled = settings.translationMemoryEnabled !== false;
+    const selectedProvider = settings.selectedProvider || 'deepl_free';
+    const fallbackProviders = (settings.translationFallbackProviders || []).filter(
+        (id) => id !== selectedProvider && availableProviders[id]
+    );
+    const unusedProviders = Object.keys(availableProviders).filter(
+        (id) => id !== selectedProvider && !fallbackProviders.includes(id)
+    );
+
+    const updateFallbackProviders = (providerIds) => {
+        onSettingChange('translationFallbackProviders', providerIds);
+    };
+
+    const moveFallbackProvider = (index, direction) => {
+        const next = [...fallbackProviders];
+        const target = index + direction;
+        if (target < 0 || target >= next.length) return;
+        [next[index], next[target]] = [next[target], next[index]];
+        updateFallbackProviders(next);
+    };
+
+    const batchContextEnabled = settings.batchContextEnabled !== false;
+    const glossaries = settings.translationGlossaries || [];
+
+    const updateGlossary = (index, changes) => {
+        onSettingChange(
+            'translationGlossaries',
+            glossaries.map((glossary, i) =>
+                i === index ? { ...glossary, ...changes } : glossary
+            )
+        );
+    };
+    const { stats: memoryStats, clearing, clearMemory } = useTranslationMemory();
+
+    const pronunciationMode = settings.pronunciationMode || 'off';
+    const readingProviders = Object.keys(availableProviders).filter(
+        (id) => ProviderBatchConfigs[id]?.supportsReadings
+    );
 
     return (
         <section id="translation">
@@ -32,7 +73,7 @@ export function TranslationSection({ t, settings, onSettingChange }) {
                     </label>
                     <select
                         id="translationProvider"
-                        value={settings.selectedProvider || 'deepl_free'}
+                        value={selectedProvider}
                         onChange={(e) =>
                             onSettingChange('selectedProvider', e.target.value)
                         }
@@ -46,6 +87,81 @@ export function TranslationSection({ t, settings, onSettingChange }) {
                         )}
                     </select>
                 </div>
+
+                <div className="setting setting-with-help">
+                    <div className="setting-content">
+                        <label htmlFor="addFallbackProvider">
+                            {t('fallbackProvidersLabel', 'Fallback Providers:')}
+                        </label>
+                        <div className="setting-help">
+                            {t(
+                                'fallbackProvidersHelp',
+                                'Tried in order when the main provider is rate limited, has an invalid API key or stops responding'
+                            )}
+                        </div>
+                    </div>
+                    <div className="fallback-provider-list">
+                        {fallbackProviders.map((id, index) => (
+                            <div key={id} className="fallback-provider-item">
+                                <span className="fallback-provider-name">
+                                    {index + 1}. {t(availableProviders[id], id)}
+                                </span>
+                                <button
+                                    type="button"
+                                    className="btn fallback-provider-action"
+                                    title={t('fallbackProviderMoveUp', 'Move up')}
+                                    disabled={index === 0}
+                                    onClick={() => moveFallbackProvider(index, -1)}
+                                >
+                                    ↑
+                                </button>
+                                <button
+                                    type="button"
+                                    className="btn fallback-provider-action"
+                                    title={t('fallbackProviderMoveDown', 'Move down')}
+                                    disabled={index === fallbackProviders.length - 1}
+                                    onClick={() => moveFallbackProvider(index, 1)}
+                                >
+                                    ↓
+                                </button>
+                                <button
+                                    type="button"
+                                    className="btn fallback-provider-action"
+                                    title={t('fallbackProviderRemove', 'Remove')}
+                                    onClick={() =>
+                                        updateFallbackProviders(
+                                            fallbackProviders.filter((p) => p !== id)
+                                        )
+                                    }
+                                >
+                                    ✕
+                                </button>
+                            </div>
+                        ))}
+                        {unusedProviders.length > 0 && (
+                            <select
+                                id="addFallbackProvider"
+                                value=""
+                                onChange={(e) =>
+                                    e.target.value &&
+                                    updateFallbackProviders([
+                                        ...fallbackProviders,
+                                        e.target.value,
+                                    ])
+                                }
+                            >
+                                <option value="">
+                                    {t('fallbackProviderAdd', 'Add fallback provider…')}
+                                </option>
+                                {unusedProviders.map((id) => (
+                                    <option key={id} value={id}>
+                                        {t(availableProviders[id], id)}
+                                    </option>
+                                ))}
+                            </select>
+                        )}
+                    </div>
+                </div>
             </SettingCard>
 
             <SettingCard
@@ -88,6 +204,106 @@ export function TranslationSection({ t, settings, onSettingChange }) {
                         }
                     />
                 </div>
+
+                <div className="setting setting-with-help">
+                    <div className="setting-content">
+                        <label htmlFor="translationPrefetchEnabled">
+                            {t('translationPrefetchLabel', 'Prefetch Whole Track:')}
+                        </label>
+                        <div className="setting-help">
+                            {t(
+                                'translationPrefetchHelp',
+                                'Translates the entire subtitle track in the background, starting near the playhead, while leaving rate limit headroom for the current scene'
+                            )}
+                        </div>
+                    </div>
+                    <ToggleSwitch
+                        id="translationPrefetchEnabled"
+                        checked={settings.translationPrefetchEnabled === true}
+                        onChange={(checked) =>
+                            onSettingChange('translationPrefetchEnabled', checked)
+                        }
+                    />
+                </div>
+            </SettingCard>
+
+            <SettingCard
+                title={t('cardTranslationMemoryTitle', 'Translation Memory')}
+                description={t(
+                    'cardTranslationMemoryDesc',
+                    'Remembers finished translations on this device so rewatched episodes and repeated lines do not use provider quota again.'
+                )}
+            >
+                <div className="setting setting-with-help">
+                    <div className="setting-content">
+                        <label htmlFor="translationMemoryEnabled">
+                            {t('translationMemoryEnabledLabel', 'Enable Translation Memory:')}
+                        </label>
+                        <div className="setting-help">
+                            {t(
+                                'translationMemoryEnabledHelp',
+                                'Reuse earlier translations across sessions and videos'
+                            )}
+                        </div>
+                    </div>
+                    <ToggleSwitch
+                        id="translationMemoryEnabled"
+                        checked={translationMemoryEnabled}
+                        onChange={(checked) =>
+                            onSettingChange('translationMemoryEnabled', checked)
+                        }
+                    />
+                </div>
+
+                {translationMemoryEnabled && (
+                    <>
+                        <div className="setting setting-with-help">
+                            <div className="setting-content">
+                                <label htmlFor="translationMemoryMaxEntries">
+                                    {t('translationMemoryMaxEntriesLabel', 'Maximum Entries:')}
+                                </label>
+                                <div className="setting-help">
+                                    {t(
+                                        'translationMemoryMaxEntriesHelp',
+                                        'Least recently used lines are removed beyond this limit (default: 20000)'
+                                    )}
+                                </div>
+                            </div>
+                            <input
+                                type="number"
+                                id="translationMemoryMaxEntries"
+                                min="1000"
+                                max="200000"
+                                step="1000"
+                                value={settings.translationMemoryMaxEntries || 20000}
+                                onChange={(e) =>
+                                    onSettingChange('translationMemoryMaxEntries', parseInt(e.target.value))
+                                }
+                            />
+                        </div>
+
+                        <div className="setting setting-with-help">
+                            <div className="setting-content">
+                                <label>
+                                    {t(
+                                        'translationMemoryUsage',
+                                        'Stored lines: %d',
+                                        memoryStats?.entryCount ?? 0
+                                    )}
+                                </label>
+                            </div>
+                            <button
+                                type="button"
+                                className="btn"
+                                id="clearTranslationMemory"
+                                onClick={clearMemory}
+                                disabled={clearing}
+                            >
+                                {t('clearTranslationMemoryButton', 'Clear Memory')}
+                            </button>
+                        </div>
+                    </>
+                )}
             </SettingCard>
 
             <SettingCard
@@ -230,22 +446,22 @@ export function TranslationSection({ t, settings, onSettingChange }) {
                 >
                     <div className="setting setting-with-help">
                         <div className="setting-content">
-                            <label htmlFor="openaieBatchSize">
-                                {t('openaieBatchSizeLabel', 'OpenAI Batch Size:')}
+                            <label htmlFor="openaiBatchSize">
+                                {t('openaiBatchSizeLabel', 'OpenAI Batch Size:')}
                             </label>
                             <div className="setting-help">
-                                {t('openaieBatchSizeHelp', 'Recommended: 5-10 segments (default: 8)')}
+                                {t('openaiBatchSizeHelp', 'Recommended: 5-10 segments (default: 8)')}
                             </div>
                         </div>
                         <input
                             type="number"
-                            id="openaieBatchSize"
+                            id="openaiBatchSize"
                             min="1"
                             max="15"
                             step="1"
-                            value={settings.openaieBatchSize || 8}
+                            value={settings.openaiBatchSize || 8}
                             onChange={(e) =>
-                                onSettingChange('openaieBatchSize', parseInt(e.target.value))
+                                onSettingChange('openaiBatchSize', parseInt(e.target.value))
                             }
                         />
                     </div>
@@ -349,22 +565,22 @@ export function TranslationSection({ t, settings, onSettingChange }) {
             >
                 <div className="setting setting-with-help">
                     <div className="setting-content">
-                        <label htmlFor="openaieDelay">
-                            {t('openaieDelayLabel', 'OpenAI Request Delay (ms):')}
+                        <label htmlFor="openaiDelay">
+                            {t('openaiDelayLabel', 'OpenAI Request Delay (ms):')}
                         </label>
                         <div className="setting-help">
-                            {t('openaieDelayHelp', 'Minimum delay between requests (default: 100ms)')}
+                            {t('openaiDelayHelp', 'Minimum delay between requests (default: 100ms)')}
                         </div>
                     </div>
                     <input
                         type="number"
-                        id="openaieDelay"
+                        id="openaiDelay"
                         min="50"
                         max="5000"
                         step="50"
-                        value={settings.openaieDelay || 100}
+                        value={settings.openaiDelay || 100}
                         onChange={(e) =>
-                            onSettingChange('openaieDelay', parseInt(e.target.value))
+                            onSettingChange('openaiDelay', parseInt(e.target.value))
                         }
                     />
                 </div>
@@ -479,6 +695,218 @@ export function TranslationSection({ t, settings, onSettingChange }) {
                     />
                 </div>
             </SettingCard>
+
+            <SettingCard
+                title={t('cardBatchContextTitle', 'Context-Aware Translation')}
+                description={t(
+                    'cardBatchContextDesc',
+                    'AI providers (OpenAI compatible, Vertex Gemini, local LLM) receive the show title and the subtitles just before each batch, so names, pronouns and terms stay consistent across an episode.'
+                )}
+            >
+                <div className="setting setting-with-help">
+                    <div className="setting-content">
+                        <label htmlFor="batchContextEnabled">
+                            {t('batchContextEnabledLabel', 'Send Context with Batches:')}
+                        </label>
+                        <div className="setting-help">
+                            {t(
+                                'batchContextEnabledHelp',
+                                'Adds the show, earlier translated lines and matching glossary terms to the prompt'
+                            )}
+                        </div>
+                    </div>
+                    <ToggleSwitch
+                        id="batchContextEnabled"
+                        checked={batchContextEnabled}
+                        onChange={(checked) =>
+                            onSettingChange('batchContextEnabled', checked)
+                        }
+                    />
+                </div>
+
+                {batchContextEnabled && (
+                    <>
+                        <div className="setting setting-with-help">
+                            <div className="setting-content">
+                                <label htmlFor="batchContextCueCount">
+                                    {t('batchContextCueCountLabel', 'Previous Lines as Context:')}
+                                </label>
+                                <div className="setting-help">
+                                    {t(
+                                        'batchContextCueCountHelp',
+                                        'Translated lines sent before each batch (0-10, default: 3)'
+                                    )}
+                                </div>
+                            </div>
+                            <input
+                                type="number"
+                                id="batchContextCueCount"
+                                min="0"
+                                max="10"
+                                step="1"
+                                value={settings.batchContextCueCount ?? 3}
+                                onChange={(e) =>
+                                    onSettingChange('batchContextCueCount', parseInt(e.target.value))
+                                }
+                            />
+                        </div>
+
+                        <div className="setting setting-with-help">
+                            <div className="setting-content">
+                                <label>
+                                    {t('translationGlossariesLabel', 'Show Glossaries:')}
+                                </label>
+                                <div className="setting-help">
+                                    {t(
+                                        'translationGlossariesHelp',
+                                        'One "term = translation" per line. Used when the show title matches the title shown by the player.'
+                                    )}
+                                </div>
+                            </div>
+                            <div className="glossary-list">
+                                {glossaries.map((glossary, index) => (
+                                    <div key={index} className="glossary-item">
+                                        <div className="glossary-item-header">
+                                            <input
+                                                type="text"
+                                                placeholder={t('glossaryShowPlaceholder', 'Show title')}
+                                                value={glossary.show || ''}
+                                                onChange={(e) =>
+                                                    updateGlossary(index, { show: e.target.value })
+                                                }
+                                            />
+                                            <button
+                                                type="button"
+                                                className="btn fallback-provider-action"
+                                                title={t('glossaryRemove', 'Remove glossary')}
+                                                onClick={() =>
+                                                    onSettingChange(
+                                                        'translationGlossaries',
+                                                        glossaries.filter((_, i) => i !== index)
+                                                    )
+                                                }
+                                            >
+                                                ✕
+                                            </button>
+                                        </div>
+                                        <textarea
+                                            rows="4"
+                                            placeholder={t('glossaryEntriesPlaceholder', 'Name = translation')}
+                                            value={glossary.entries || ''}
+                                            onChange={(e) =>
+                                                updateGlossary(index, { entries: e.target.value })
+                                            }
+                                        />
+                                    </div>
+                                ))}
+                                <button
+                                    type="button"
+                                    className="btn fallback-provider-action"
+                                    onClick={() =>
+                                        onSettingChange('translationGlossaries', [
+                                            ...glossaries,
+                                            { show: '', entries: '' },
+                                        ])
+                                    }
+                                >
+                                    {t('glossaryAdd', 'Add show glossary')}
+                                </button>
+                            </div>
+                        </div>
+                    </>
+                )}
+            </SettingCard>
+
+            <SettingCard
+                title={t('cardPronunciationTitle', 'Pronunciation Aids')}
+                description={t(
+                    'cardPronunciationDesc',
+                    'Show readings of Japanese, Chinese and Korean original subtitles: furigana or romaji, pinyin with tone marks, and romanized hangul. Kana and hangul are converted offline; readings of kanji and hanzi are generated by an AI provider.'
+                )}
+            >
+                <div className="setting">
+                    <label htmlFor="pronunciationMode">
+                        {t('pronunciationModeLabel', 'Show Readings:')}
+                    </label>
+                    <select
+                        id="pronunciationMode"
+                        value={pronunciationMode}
+                        onChange={(e) =>
+                            onSettingChange('pronunciationMode', e.target.value)
+                        }
+                    >
+                        <option value="off">
+                            {t('pronunciationModeOff', 'Off')}
+                        </option>
+                        <option value="ruby">
+                            {t('pronunciationModeRuby', 'Above each word (ruby)')}
+                        </option>
+                        <option value="row">
+                            {t('pronunciationModeRow', 'As a separate row')}
+                        </option>
+                    </select>
+                </div>
+
+                {pronunciationMode !== 'off' && (
+                    <>
+                        <div className="setting">
+                            <label htmlFor="pronunciationJapaneseStyle">
+                                {t('pronunciationJapaneseStyleLabel', 'Japanese Readings:')}
+                            </label>
+                            <select
+                                id="pronunciationJapaneseStyle"
+                                value={settings.pronunciationJapaneseStyle || 'furigana'}
+                                onChange={(e) =>
+                                    onSettingChange(
+                                        'pronunciationJapaneseStyle',
+                                        e.target.value
+                                    )
+                                }
+                            >
+                                <option value="furigana">
+                                    {t('pronunciationStyleFurigana', 'Furigana (hiragana)')}
+                                </option>
+                                <option value="romaji">
+                                    {t('pronunciationStyleRomaji', 'Romaji')}
+                                </option>
+                            </select>
+                        </div>
+
+                        <div className="setting setting-with-help">
+                            <div className="setting-content">
+                                <label htmlFor="pronunciationProvider">
+                                    {t('pronunciationProviderLabel', 'Kanji / Hanzi Readings From:')}
+                                </label>
+                                <div className="setting-help">
+                                    {t(
+                                        'pronunciationProviderHelp',
+                                        'Only AI providers can read kanji and hanzi. Without one, those characters are shown without readings.'
+                                    )}
+                                </div>
+                            </div>
+                            <select
+                                id="pronunciationProvider"
+                                value={settings.pronunciationProvider || ''}
+                                onChange={(e) =>
+                                    onSettingChange(
+                                        'pronunciationProvider',
+                                        e.target.value
+                                    )
+                                }
+                            >
+                                <option value="">
+                                    {t('pronunciationProviderDefault', 'Translation provider')}
+                                </option>
+                                {readingProviders.map((id) => (
+                                    <option key={id} value={id}>
+                                        {t(availableProviders[id], id)}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                    </>
+                )}
+            </SettingCard>
         </section>
     );
 }
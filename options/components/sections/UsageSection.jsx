@@ -0,0 +1,524 @@
+import React, { useState } from 'react';
+import { SettingCard } from '../SettingCard.jsx';
+import { useTranslationUsage } from '../../hooks/index.js';
+import {
+    DEFAULT_USAGE_PRICING,
+    USAGE_PRICE_FIELDS,
+    BUDGET_ACTIONS,
+    getUsageDayKey,
+    getUsagePricing,
+    isPaidUsage,
+    summarizeUsage,
+    getBudgetStatus,
+} from '../../../utils/usage.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const USAGE_RANGES = [
+    { days: 1, key: 'usageRangeToday', fallback: 'Today' },
+    { days: 7, key: 'usageRange7Days', fallback: 'Last 7 days' },
+    { days: 30, key: 'usageRange30Days', fallback: 'Last 30 days' },
+];
+
+const CHART_METRICS = {
+    cost: { key: 'usageChartCost', fallback: 'Estimated cost' },
+    characters: { key: 'usageChartCharacters', fallback: 'Characters' },
+    requests: { key: 'usageChartRequests', fallback: 'Requests' },
+};
+
+// Usage keys and their display names; AI context providers are counted
+// under `context:<providerId>`
+const USAGE_NAMES = {
+    google: 'providerGoogleName',
+    microsoft_edge_auth: 'providerMicrosoftName',
+    deepl: 'providerDeepLName',
+    deepl_free: 'providerDeepLFreeName',
+    openai_compatible: 'providerOpenAICompatibleName',
+    vertex_gemini: 'providerVertexGeminiName',
+    local_llm: 'providerLocalLlmName',
+    'context:openai': 'usageContextOpenAIName',
+    'context:gemini': 'usageContextGeminiName',
+    'context:anthropic': 'usageContextAnthropicName',
+    'context:openai_compatible': 'usageContextOpenAICompatibleName',
+};
+
+const PRICE_FIELD_LABELS = {
+    characters: { key: 'usagePriceCharacters', fallback: '1M characters' },
+    inputTokens: { key: 'usagePriceInputTokens', fallback: '1M input tokens' },
+    outputTokens: {
+        key: 'usagePriceOutputTokens',
+        fallback: '1M output tokens',
+    },
+};
+
+const BUDGET_ACTION_LABELS = {
+    switch: {
+        key: 'usageBudgetActionSwitch',
+        fallback: 'Switch to a free provider',
+    },
+    block: { key: 'usageBudgetActionBlock', fallback: 'Stop paid providers' },
+};
+
+function formatCost(cost) {
+    return cost.toLocaleString(undefined, {
+        style: 'currency',
+        currency: 'USD',
+        minimumFractionDigits: 2,
+        maximumFractionDigits: cost > 0 && cost < 1 ? 4 : 2,
+    });
+}
+
+function formatNumber(value) {
+    return Math.round(value).toLocaleString();
+}
+
+/**
+ * Last `count` day keys, oldest first
+ */
+function getRecentDays(count) {
+    const now = Date.now();
+    return Array.from({ length: count }, (_, i) =>
+        getUsageDayKey(now - (count - 1 - i) * DAY_MS)
+    );
+}
+
+export function UsageSection({ t, settings, onSettingChange }) {
+    const { usage, resetting, refreshUsage, resetUsage } =
+        useTranslationUsage();
+    const [rangeDays, setRangeDays] = useState(7);
+    const [chartMetric, setChartMetric] = useState('cost');
+
+    const priceOverrides = settings.usagePricing || {};
+    const pricing = getUsagePricing(priceOverrides);
+    const budget = settings.usageBudget || {};
+    const days = usage?.days || {};
+
+    const rangeDayKeys = getRecentDays(rangeDays);
+    const { providers, total } = summarizeUsage(
+        days,
+        pricing,
+        rangeDayKeys[0],
+        rangeDayKeys[rangeDayKeys.length - 1]
+    );
+    const providerKeys = Object.keys(providers).sort(
+        (a, b) => providers[b].cost - providers[a].cost
+    );
+
+    // A single bar says little, so the chart covers at least a week
+    const chartDays = getRecentDays(Math.max(rangeDays, 7)).map((day) => ({
+        day,
+        value: summarizeUsage(days, pricing, day, day).total[chartMetric],
+    }));
+    const chartMax = Math.max(...chartDays.map(({ value }) => value), 0);
+
+    const budgetStatus = getBudgetStatus(days, pricing, budget);
+    const freeProviders = Object.keys(USAGE_NAMES).filter(
+        (key) => !key.includes(':') && !isPaidUsage(pricing, key)
+    );
+
+    const deeplQuota = usage?.deeplQuota;
+    const deeplQuotaPercent =
+        deeplQuota?.characterLimit > 0
+            ? Math.min(
+                  100,
+                  (deeplQuota.characterCount / deeplQuota.characterLimit) * 100
+              )
+            : 0;
+
+    const getUsageName = (key) => t(USAGE_NAMES[key], key);
+
+    const updatePrice = (key, field, value) => {
+        const price = { ...priceOverrides[key] };
+        const parsed = parseFloat(value);
+        if (Number.isFinite(parsed) && parsed >= 0) {
+            price[field] = parsed;
+        } else {
+            delete price[field];
+        }
+        onSettingChange('usagePricing', { ...priceOverrides, [key]: price });
+    };
+
+    const updateBudget = (changes) => {
+        onSettingChange('usageBudget', { ...budget, ...changes });
+    };
+
+    const parseBudgetCap = (value) => Math.max(0, parseFloat(value) || 0);
+
+    const handleReset = async () => {
+        if (
+            window.confirm(
+                t(
+                    'usageResetConfirm',
+                    'Delete all recorded usage? This cannot be undone.'
+                )
+            )
+        ) {
+            await resetUsage();
+        }
+    };
+
+    return (
+        <section id="usage">
+            <h2>{t('sectionUsage', 'Usage')}</h2>
+
+            <SettingCard
+                title={t('cardUsageSummaryTitle', 'Usage Summary')}
+                description={t(
+                    'cardUsageSummaryDesc',
+                    'Characters, requests and tokens sent to each provider on this device, with the estimated cost at the prices below.'
+                )}
+            >
+                <div className="setting">
+                    <label htmlFor="usageRange">
+                        {t('usageRangeLabel', 'Period:')}
+                    </label>
+                    <select
+                        id="usageRange"
+                        value={rangeDays}
+                        onChange={(e) =>
+                            setRangeDays(parseInt(e.target.value, 10))
+                        }
+                    >
+                        {USAGE_RANGES.map(({ days: count, key, fallback }) => (
+                            <option key={count} value={count}>
+                                {t(key, fallback)}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                {providerKeys.length === 0 ? (
+                    <p className="usage-empty">
+                        {t('usageEmpty', 'No usage recorded in this period.')}
+                    </p>
+                ) : (
+                    <table className="usage-table">
+                        <thead>
+                            <tr>
+                                <th>{t('usageColumnProvider', 'Provider')}</th>
+                                <th>{t('usageColumnRequests', 'Requests')}</th>
+                                <th>
+                                    {t('usageColumnCharacters', 'Characters')}
+                                </th>
+                                <th>
+                                    {t(
+                                        'usageColumnTokens',
+                                        'Tokens (in / out)'
+                                    )}
+                                </th>
+                                <th>{t('usageColumnCost', 'Est. Cost')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {providerKeys.map((key) => (
+                                <tr key={key}>
+                                    <td>{getUsageName(key)}</td>
+                                    <td>
+                                        {formatNumber(providers[key].requests)}
+                                    </td>
+                                    <td>
+                                        {formatNumber(
+                                            providers[key].characters
+                                        )}
+                                    </td>
+                                    <td>
+                                        {providers[key].inputTokens ||
+                                        providers[key].outputTokens
+                                            ? `${formatNumber(providers[key].inputTokens)} / ${formatNumber(providers[key].outputTokens)}`
+                                            : '–'}
+                                    </td>
+                                    <td>{formatCost(providers[key].cost)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                        <tfoot>
+                            <tr>
+                                <td>{t('usageTotal', 'Total')}</td>
+                                <td>{formatNumber(total.requests)}</td>
+                                <td>{formatNumber(total.characters)}</td>
+                                <td>
+                                    {total.inputTokens || total.outputTokens
+                                        ? `${formatNumber(total.inputTokens)} / ${formatNumber(total.outputTokens)}`
+                                        : '–'}
+                                </td>
+                                <td>{formatCost(total.cost)}</td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                )}
+
+                <div className="setting">
+                    <label htmlFor="usageChartMetric">
+                        {t('usageChartLabel', 'Daily Chart:')}
+                    </label>
+                    <select
+                        id="usageChartMetric"
+                        value={chartMetric}
+                        onChange={(e) => setChartMetric(e.target.value)}
+                    >
+                        {Object.entries(CHART_METRICS).map(
+                            ([metric, { key, fallback }]) => (
+                                <option key={metric} value={metric}>
+                                    {t(key, fallback)}
+                                </option>
+                            )
+                        )}
+                    </select>
+                </div>
+                <div className="usage-chart" role="img">
+                    {chartDays.map(({ day, value }) => (
+                        <div
+                            key={day}
+                            className="usage-chart-column"
+                            title={`${day}: ${
+                                chartMetric === 'cost'
+                                    ? formatCost(value)
+                                    : formatNumber(value)
+                            }`}
+                        >
+                            <div
+                                className="usage-chart-bar"
+                                style={{
+                                    height: `${chartMax > 0 ? (value / chartMax) * 100 : 0}%`,
+                                }}
+                            />
+                            <span className="usage-chart-label">
+                                {day.slice(5)}
+                            </span>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="setting usage-actions">
+                    <button
+                        type="button"
+                        className="btn"
+                        onClick={refreshUsage}
+                    >
+                        {t('usageRefreshButton', 'Refresh')}
+                    </button>
+                    <button
+                        type="button"
+                        className="btn"
+                        onClick={handleReset}
+                        disabled={resetting}
+                    >
+                        {t('usageResetButton', 'Reset Usage')}
+                    </button>
+                </div>
+            </SettingCard>
+
+            <SettingCard
+                title={t('cardDeepLQuotaTitle', 'DeepL Quota')}
+                description={t(
+                    'cardDeepLQuotaDesc',
+                    'Characters used in the current DeepL billing period, as reported by the DeepL API.'
+                )}
+            >
+                {deeplQuota ? (
+                    <div className="usage-quota">
+                        <div className="usage-quota-bar">
+                            <div
+                                className="usage-quota-fill"
+                                style={{ width: `${deeplQuotaPercent}%` }}
+                            />
+                        </div>
+                        <span>
+                            {t(
+                                'deeplQuotaUsage',
+                                '%s of %s characters used, %s remaining',
+                                formatNumber(deeplQuota.characterCount),
+                                formatNumber(deeplQuota.characterLimit),
+                                formatNumber(
+                                    Math.max(
+                                        0,
+                                        deeplQuota.characterLimit -
+                                            deeplQuota.characterCount
+                                    )
+                                )
+                            )}
+                        </span>
+                    </div>
+                ) : (
+                    <p className="usage-empty">
+                        {t(
+                            'deeplQuotaUnavailable',
+                            'Add a DeepL API key in Providers to see the remaining quota.'
+                        )}
+                    </p>
+                )}
+            </SettingCard>
+
+            <SettingCard
+                title={t('cardUsagePricingTitle', 'Prices')}
+                description={t(
+                    'cardUsagePricingDesc',
+                    'Prices in USD used to estimate costs. Change them to match your plan; free providers are not charged.'
+                )}
+            >
+                {Object.keys(DEFAULT_USAGE_PRICING).map((key) => (
+                    <div key={key} className="setting setting-with-help">
+                        <div className="setting-content">
+                            <label>{getUsageName(key)}</label>
+                        </div>
+                        <div className="usage-price-inputs">
+                            {USAGE_PRICE_FIELDS.filter(
+                                (field) =>
+                                    DEFAULT_USAGE_PRICING[key][field] !==
+                                    undefined
+                            ).map((field) => (
+                                <label
+                                    key={field}
+                                    className="usage-price-input"
+                                >
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="0.01"
+                                        value={pricing[key][field]}
+                                        onChange={(e) =>
+                                            updatePrice(
+                                                key,
+                                                field,
+                                                e.target.value
+                                            )
+                                        }
+                                    />
+                                    {t(
+                                        PRICE_FIELD_LABELS[field].key,
+                                        PRICE_FIELD_LABELS[field].fallback
+                                    )}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                ))}
+                <div className="setting usage-actions">
+                    <button
+                        type="button"
+                        className="btn"
+                        onClick={() => onSettingChange('usagePricing', {})}
+                    >
+                        {t('usagePricingResetButton', 'Restore Default Prices')}
+                    </button>
+                </div>
+            </SettingCard>
+
+            <SettingCard
+                title={t('cardUsageBudgetTitle', 'Budget')}
+                description={t(
+                    'cardUsageBudgetDesc',
+                    'Stop spending once the estimated cost reaches a daily or monthly cap. Leave a cap at 0 for no limit.'
+                )}
+            >
+                <div className="setting setting-with-help">
+                    <div className="setting-content">
+                        <label htmlFor="usageBudgetDaily">
+                            {t('usageBudgetDailyLabel', 'Daily Cap (USD):')}
+                        </label>
+                        <div className="setting-help">
+                            {t(
+                                'usageBudgetSpent',
+                                'Spent: %s',
+                                formatCost(budgetStatus.dailyCost)
+                            )}
+                        </div>
+                    </div>
+                    <input
+                        type="number"
+                        id="usageBudgetDaily"
+                        min="0"
+                        step="0.5"
+                        value={budget.daily || 0}
+                        onChange={(e) =>
+                            updateBudget({
+                                daily: parseBudgetCap(e.target.value),
+                            })
+                        }
+                    />
+                </div>
+
+                <div className="setting setting-with-help">
+                    <div className="setting-content">
+                        <label htmlFor="usageBudgetMonthly">
+                            {t('usageBudgetMonthlyLabel', 'Monthly Cap (USD):')}
+                        </label>
+                        <div className="setting-help">
+                            {t(
+                                'usageBudgetSpent',
+                                'Spent: %s',
+                                formatCost(budgetStatus.monthlyCost)
+                            )}
+                        </div>
+                    </div>
+                    <input
+                        type="number"
+                        id="usageBudgetMonthly"
+                        min="0"
+                        step="1"
+                        value={budget.monthly || 0}
+                        onChange={(e) =>
+                            updateBudget({
+                                monthly: parseBudgetCap(e.target.value),
+                            })
+                        }
+                    />
+                </div>
+
+                <div className="setting">
+                    <label htmlFor="usageBudgetAction">
+                        {t('usageBudgetActionLabel', 'When Reached:')}
+                    </label>
+                    <select
+                        id="usageBudgetAction"
+                        value={budget.action || 'switch'}
+                        onChange={(e) =>
+                            updateBudget({ action: e.target.value })
+                        }
+                    >
+                        {BUDGET_ACTIONS.map((action) => (
+                            <option key={action} value={action}>
+                                {t(
+                                    BUDGET_ACTION_LABELS[action].key,
+                                    BUDGET_ACTION_LABELS[action].fallback
+                                )}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                {(budget.action || 'switch') === 'switch' && (
+                    <div className="setting">
+                        <label htmlFor="usageBudgetSwitchProvider">
+                            {t('usageBudgetSwitchProviderLabel', 'Switch To:')}
+                        </label>
+                        <select
+                            id="usageBudgetSwitchProvider"
+                            value={budget.switchProvider || 'google'}
+                            onChange={(e) =>
+                                updateBudget({
+                                    switchProvider: e.target.value,
+                                })
+                            }
+                        >
+                            {freeProviders.map((key) => (
+                                <option key={key} value={key}>
+                                    {getUsageName(key)}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+
+                {budgetStatus.exceeded && (
+                    <p className="usage-budget-exceeded">
+                        {t(
+                            'usageBudgetExceeded',
+                            'Budget reached: paid providers are paused until it resets.'
+                        )}
+                    </p>
+                )}
+            </SettingCard>
+        </section>
+    );
+}
@@ -0,0 +1,393 @@
+import React, { useState, useRef } from 'react';
+import { SettingCard } from '../SettingCard.jsx';
+import { ToggleSwitch } from '../ToggleSwitch.jsx';
+import { TestResultDisplay } from '../TestResultDisplay.jsx';
+import { useVocabularyNotebook, useDictionaries } from '../../hooks/index.js';
+
+const MAX_CONTEXT_LENGTH = 400;
+
+// SM-2 answer grades offered on the review card
+const REVIEW_GRADES = [
+    { quality: 1, key: 'vocabularyGradeAgain', fallback: 'Again' },
+    { quality: 3, key: 'vocabularyGradeHard', fallback: 'Hard' },
+    { quality: 4, key: 'vocabularyGradeGood', fallback: 'Good' },
+    { quality: 5, key: 'vocabularyGradeEasy', fallback: 'Easy' },
+];
+
+/**
+ * Picks a short plain-text summary out of a saved AI context result
+ */
+function summarizeContext(context) {
+    if (!context) return '';
+    const analysis = context.analysis;
+    let summary = '';
+    if (analysis && typeof analysis === 'object') {
+        summary = analysis.definition || '';
+    } else if (typeof analysis === 'string') {
+        summary = analysis;
+    } else {
+        summary = context.linguistic || context.cultural || context.historical;
+    }
+    summary = typeof summary === 'string' ? summary.trim() : '';
+    return summary.length > MAX_CONTEXT_LENGTH
+        ? `${summary.slice(0, MAX_CONTEXT_LENGTH)}…`
+        : summary;
+}
+
+function formatTimestamp(seconds) {
+    if (!Number.isFinite(seconds)) return '';
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+        : `${minutes}:${secs}`;
+}
+
+export function VocabularySection({ t, settings, onSettingChange }) {
+    const { entries, stats, loading, reviewEntry, deleteEntry, openEntry } =
+        useVocabularyNotebook();
+    const {
+        dictionaries,
+        busy: dictionaryBusy,
+        result: dictionaryResult,
+        importFiles,
+        updateDictionary,
+        deleteDictionary,
+    } = useDictionaries(t);
+    const dictionaryInputRef = useRef(null);
+    const [titleFilter, setTitleFilter] = useState('');
+    const [answerShown, setAnswerShown] = useState(false);
+
+    const titles = [
+        ...new Set(entries.map((entry) => entry.videoTitle).filter(Boolean)),
+    ].sort();
+    const visibleEntries = titleFilter
+        ? entries.filter((entry) => entry.videoTitle === titleFilter)
+        : entries;
+    const now = Date.now();
+    const dueEntries = visibleEntries
+        .filter((entry) => entry.dueAt <= now)
+        .sort((a, b) => a.dueAt - b.dueAt);
+    const currentCard = dueEntries[0];
+    const currentContext = summarizeContext(currentCard?.context);
+
+    const handleGrade = async (quality) => {
+        await reviewEntry(currentCard.id, quality);
+        setAnswerShown(false);
+    };
+
+    const handleDictionaryFiles = async (e) => {
+        const files = Array.from(e.target.files || []);
+        if (files.length > 0) {
+            await importFiles(files);
+        }
+        if (dictionaryInputRef.current) {
+            dictionaryInputRef.current.value = '';
+        }
+    };
+
+    const handleDeleteDictionary = (dictionary) => {
+        if (
+            window.confirm(
+                t(
+                    'dictionaryDeleteConfirm',
+                    'Delete the dictionary "%s"?',
+                    dictionary.title
+                )
+            )
+        ) {
+            deleteDictionary(dictionary.id);
+        }
+    };
+
+    return (
+        <section id="vocabulary">
+            <h2>{t('sectionVocabulary', 'Vocabulary')}</h2>
+
+            <SettingCard
+                title={t('cardVocabularyReviewTitle', 'Review')}
+                description={t(
+                    'cardVocabularyReviewDesc',
+                    'Review saved words with spaced repetition. Rate how well you remembered each one and it comes back just before you would forget it.'
+                )}
+            >
+                <div className="setting">
+                    <label>
+                        {t(
+                            'vocabularyStats',
+                            '%d saved, %d due for review',
+                            stats?.total ?? 0,
+                            stats?.due ?? 0
+                        )}
+                    </label>
+                </div>
+                <div className="setting">
+                    <label htmlFor="vocabularyTitleFilter">
+                        {t('vocabularyTitleFilterLabel', 'Title:')}
+                    </label>
+                    <select
+                        id="vocabularyTitleFilter"
+                        value={titleFilter}
+                        onChange={(e) => {
+                            setTitleFilter(e.target.value);
+                            setAnswerShown(false);
+                        }}
+                    >
+                        <option value="">
+                            {t('vocabularyAllTitles', 'All titles')}
+                        </option>
+                        {titles.map((title) => (
+                            <option key={title} value={title}>
+                                {title}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                {!loading && !currentCard && (
+                    <p className="vocabulary-empty">
+                        {t(
+                            'vocabularyNothingDue',
+                            'Nothing to review right now.'
+                        )}
+                    </p>
+                )}
+
+                {currentCard && (
+                    <div className="vocabulary-review-card">
+                        <div className="vocabulary-review-word">
+                            {currentCard.text}
+                        </div>
+                        {currentCard.subtitleLine && (
+                            <div className="vocabulary-review-line">
+                                {currentCard.subtitleLine}
+                            </div>
+                        )}
+                        {answerShown ? (
+                            <>
+                                {currentCard.translation && (
+                                    <div className="vocabulary-review-translation">
+                                        {currentCard.translation}
+                                    </div>
+                                )}
+                                {currentContext && (
+                                    <div className="vocabulary-review-context">
+                                        {currentContext}
+                                    </div>
+                                )}
+                                <div className="vocabulary-review-grades">
+                                    {REVIEW_GRADES.map((grade) => (
+                                        <button
+                                            key={grade.quality}
+                                            type="button"
+                                            className="btn vocabulary-action"
+                                            onClick={() =>
+                                                handleGrade(grade.quality)
+                                            }
+                                        >
+                                            {t(grade.key, grade.fallback)}
+                                        </button>
+                                    ))}
+                                </div>
+                            </>
+                        ) : (
+                            <button
+                                type="button"
+                                className="btn btn-primary"
+                                onClick={() => setAnswerShown(true)}
+                            >
+                                {t('vocabularyShowAnswer', 'Show Answer')}
+                            </button>
+                        )}
+                    </div>
+                )}
+            </SettingCard>
+
+            <SettingCard
+                title={t('cardVocabularyNotebookTitle', 'Notebook')}
+                description={t(
+                    'cardVocabularyNotebookDesc',
+                    'Words and phrases saved from the AI context window. Jump back to the moment in the video where you found them.'
+                )}
+            >
+                {!loading && visibleEntries.length === 0 && (
+                    <p className="vocabulary-empty">
+                        {t(
+                            'vocabularyEmpty',
+                            'No saved words yet. Use "Save to Notebook" after an AI context analysis.'
+                        )}
+                    </p>
+                )}
+                <ul className="vocabulary-list">
+                    {visibleEntries.map((entry) => (
+                        <li key={entry.id} className="vocabulary-item">
+                            <div className="vocabulary-item-main">
+                                <span className="vocabulary-item-word">
+                                    {entry.text}
+                                </span>
+                                {entry.subtitleLine && (
+                                    <span className="vocabulary-item-line">
+                                        {entry.subtitleLine}
+                                    </span>
+                                )}
+                                <span className="vocabulary-item-meta">
+                                    {[
+                                        entry.videoTitle,
+                                        entry.episode,
+                                        formatTimestamp(entry.timestamp),
+                                    ]
+                                        .filter(Boolean)
+                                        .join(' · ')}
+                                    {' · '}
+                                    {t(
+                                        'vocabularyNextReview',
+                                        'Next review: %s',
+                                        new Date(
+                                            entry.dueAt
+                                        ).toLocaleDateString()
+                                    )}
+                                </span>
+                            </div>
+                            <div className="vocabulary-item-actions">
+                                {entry.url && (
+                                    <button
+                                        type="button"
+                                        className="btn vocabulary-action"
+                                        onClick={() => openEntry(entry.id)}
+                                    >
+                                        {t('vocabularyJump', 'Jump to Moment')}
+                                    </button>
+                                )}
+                                <button
+                                    type="button"
+                                    className="btn vocabulary-action"
+                                    onClick={() => deleteEntry(entry.id)}
+                                >
+                                    {t('vocabularyDelete', 'Delete')}
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            </SettingCard>
+
+            <SettingCard
+                title={t('cardDictionariesTitle', 'Dictionaries')}
+                description={t(
+                    'cardDictionariesDesc',
+                    'Hover a subtitle word to see its entry in an offline dictionary. Import Yomichan / Yomitan dictionaries (select index.json and all bank files of the unzipped dictionary), CC-CEDICT or JSON word lists.'
+                )}
+            >
+                <div className="setting">
+                    <label htmlFor="dictionaryLookupEnabled">
+                        {t(
+                            'dictionaryLookupEnabledLabel',
+                            'Show Dictionary Popover:'
+                        )}
+                    </label>
+                    <ToggleSwitch
+                        id="dictionaryLookupEnabled"
+                        checked={settings.dictionaryLookupEnabled !== false}
+                        onChange={(checked) =>
+                            onSettingChange('dictionaryLookupEnabled', checked)
+                        }
+                    />
+                </div>
+                <div className="setting setting-with-help">
+                    <div className="setting-content">
+                        <label htmlFor="dictionarySegmentationEnabled">
+                            {t(
+                                'dictionarySegmentationLabel',
+                                'Split Japanese Words by Dictionary:'
+                            )}
+                        </label>
+                        <div className="setting-help">
+                            {t(
+                                'dictionarySegmentationHelp',
+                                'Uses the headwords of the imported Japanese dictionaries for clickable subtitle words. Reload the video page after importing a dictionary.'
+                            )}
+                        </div>
+                    </div>
+                    <ToggleSwitch
+                        id="dictionarySegmentationEnabled"
+                        checked={
+                            settings.dictionarySegmentationEnabled === true
+                        }
+                        onChange={(checked) =>
+                            onSettingChange(
+                                'dictionarySegmentationEnabled',
+                                checked
+                            )
+                        }
+                    />
+                </div>
+                <input
+                    ref={dictionaryInputRef}
+                    type="file"
+                    accept=".json,.txt,.u8,application/json,text/plain"
+                    multiple
+                    onChange={handleDictionaryFiles}
+                    style={{ display: 'none' }}
+                    aria-label={t(
+                        'dictionaryImportButton',
+                        'Import Dictionary'
+                    )}
+                />
+                <div className="setting">
+                    <button
+                        type="button"
+                        className="btn"
+                        onClick={() => dictionaryInputRef.current?.click()}
+                        disabled={dictionaryBusy}
+                    >
+                        {t('dictionaryImportButton', 'Import Dictionary')}
+                    </button>
+                </div>
+                <TestResultDisplay result={dictionaryResult} />
+                <ul className="vocabulary-list">
+                    {dictionaries.map((dictionary) => (
+                        <li key={dictionary.id} className="vocabulary-item">
+                            <div className="vocabulary-item-main">
+                                <span className="vocabulary-item-word">
+                                    {dictionary.title}
+                                </span>
+                                <span className="vocabulary-item-meta">
+                                    {t(
+                                        'dictionaryEntryCount',
+                                        '%d entries',
+                                        dictionary.entryCount
+                                    )}
+                                    {dictionary.language &&
+                                        ` · ${dictionary.language}`}
+                                </span>
+                            </div>
+                            <div className="vocabulary-item-actions">
+                                <ToggleSwitch
+                                    id={`dictionary-${dictionary.id}`}
+                                    checked={dictionary.enabled}
+                                    onChange={(enabled) =>
+                                        updateDictionary(dictionary.id, {
+                                            enabled,
+                                        })
+                                    }
+                                />
+                                <button
+                                    type="button"
+                                    className="btn vocabulary-action"
+                                    onClick={() =>
+                                        handleDeleteDictionary(dictionary)
+                                    }
+                                    disabled={dictionaryBusy}
+                                >
+                                    {t('vocabularyDelete', 'Delete')}
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            </SettingCard>
+        </section>
+    );
+}
@@ -2,3 +2,12 @@ export { useDeepLTest } from './useDeepLTest.js';
 export { useOpenAITest } from './useOpenAITest.js';
 export { useBackgroundReady } from './useBackgroundReady.js';
 export { useVertexTest } from './useVertexTest.js';
+export { useTranslationMemory } from './useTranslationMemory.js';
+export { useLocalLlmTest } from './useLocalLlmTest.js';
+export { useVocabularyNotebook } from './useVocabularyNotebook.js';
+export { useDictionaries } from './useDictionaries.js';
+export { useBrowserShortcuts } from './useBrowserShortcuts.js';
+export { useTranslationUsage } from './useTranslationUsage.js';
+export { useSettingsProfiles } from './useSettingsProfiles.js';
+export { useApiKeyVault } from './useApiKeyVault.js';
+export { useContextTemplateTest } from './useContextTemplateTest.js';
@@ -0,0 +1,148 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiKeyVault, VAULT_STORAGE_KEY } from '../../services/apiKeyVault.js';
+
+/**
+ * Hook for the API key vault: the stored keys and tokens, and the
+ * passphrase, lock and sync actions
+ * @param {Function} t - Translation function
+ * @returns {Object} Vault status, secrets, result message and actions
+ */
+export function useApiKeyVault(t) {
+    const [status, setStatus] = useState({
+        mode: 'none',
+        locked: false,
+        synced: false,
+        storedKeys: [],
+    });
+    const [secrets, setSecrets] = useState({});
+    const [result, setResult] = useState({
+        visible: false,
+        message: '',
+        type: 'info',
+    });
+    const [busy, setBusy] = useState(false);
+    const [loading, setLoading] = useState(true);
+
+    const showResult = useCallback((message, type) => {
+        setResult({ visible: true, message, type });
+    }, []);
+
+    const refresh = useCallback(async () => {
+        try {
+            const vaultStatus = await apiKeyVault.getStatus();
+            setStatus(vaultStatus);
+            setSecrets(
+                vaultStatus.locked ? {} : await apiKeyVault.getSecrets()
+            );
+        } catch (error) {
+            console.error('Failed to load the API key vault', error);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        refresh();
+
+        // Unlocking or locking in another options tab. Vault writes only
+        // refresh the status, so typing in a key field is not overwritten.
+        const handleStorageChange = (changes, areaName) => {
+            if (areaName === 'session') {
+                refresh();
+            } else if (VAULT_STORAGE_KEY in changes) {
+                apiKeyVault.getStatus().then(setStatus, () => {});
+            }
+        };
+        chrome.storage.onChanged.addListener(handleStorageChange);
+        return () => {
+            chrome.storage.onChanged.removeListener(handleStorageChange);
+        };
+    }, [refresh]);
+
+    const run = useCallback(
+        async (action, successMessage) => {
+            setBusy(true);
+            try {
+                await action();
+                await refresh();
+                showResult(successMessage, 'success');
+                return true;
+            } catch (error) {
+                console.error('API key vault action failed', error);
+                showResult(
+                    t('vaultActionFailed', 'Failed: %s', error.message),
+                    'error'
+                );
+                return false;
+            } finally {
+                setBusy(false);
+            }
+        },
+        [t, refresh, showResult]
+    );
+
+    const setSecret = useCallback(
+        async (key, value) => {
+            setSecrets((prev) => ({ ...prev, [key]: value }));
+            try {
+                await apiKeyVault.setSecret(key, value);
+            } catch (error) {
+                console.error(`Failed to store ${key}`, error);
+                showResult(
+                    t('vaultActionFailed', 'Failed: %s', error.message),
+                    'error'
+                );
+            }
+        },
+        [t, showResult]
+    );
+
+    const unlock = useCallback(
+        (passphrase) =>
+            run(
+                () => apiKeyVault.unlock(passphrase),
+                t('vaultUnlocked', 'Vault unlocked until the browser closes.')
+            ),
+        [t, run]
+    );
+
+    const lock = useCallback(
+        () => run(() => apiKeyVault.lock(), t('vaultLocked', 'Vault locked.')),
+        [t, run]
+    );
+
+    const setPassphrase = useCallback(
+        (passphrase) =>
+            run(
+                () => apiKeyVault.setPassphrase(passphrase),
+                passphrase
+                    ? t('vaultPassphraseSet', 'Passphrase saved.')
+                    : t('vaultPassphraseRemoved', 'Passphrase removed.')
+            ),
+        [t, run]
+    );
+
+    const setSynced = useCallback(
+        (synced) =>
+            run(
+                () => apiKeyVault.setSynced(synced),
+                synced
+                    ? t('vaultSyncOn', 'API keys now sync with your browser.')
+                    : t('vaultSyncOff', 'API keys are now kept on this device.')
+            ),
+        [t, run]
+    );
+
+    return {
+        status,
+        secrets,
+        result,
+        busy,
+        loading,
+        setSecret,
+        unlock,
+        lock,
+        setPassphrase,
+        setSynced,
+    };
+}
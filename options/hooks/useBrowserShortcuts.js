@@ -0,0 +1,37 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const SHORTCUTS_PAGE_URL = 'chrome://extensions/shortcuts';
+
+/**
+ * Hook for the browser keyboard shortcuts (manifest commands). Chrome only
+ * lets users change them on its own shortcuts page, so they are read-only
+ * here and re-read whenever the options tab gets focus again.
+ * @returns {Object} Commands and an action opening the shortcuts page
+ */
+export function useBrowserShortcuts() {
+    const [commands, setCommands] = useState([]);
+
+    const refreshCommands = useCallback(async () => {
+        try {
+            const allCommands = await chrome.commands.getAll();
+            // _execute_action opens the popup and is not a DualSub command
+            setCommands(
+                allCommands.filter((command) => !command.name.startsWith('_'))
+            );
+        } catch (error) {
+            console.debug('Failed to load browser shortcuts', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        refreshCommands();
+        window.addEventListener('focus', refreshCommands);
+        return () => window.removeEventListener('focus', refreshCommands);
+    }, [refreshCommands]);
+
+    const openShortcutsPage = useCallback(() => {
+        chrome.tabs.create({ url: SHORTCUTS_PAGE_URL });
+    }, []);
+
+    return { commands, refreshCommands, openShortcutsPage };
+}
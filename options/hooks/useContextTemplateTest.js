@@ -0,0 +1,75 @@
+import { useState, useCallback } from 'react';
+
+/**
+ * Hook for running a custom AI context template on sample text
+ * @param {Function} t - Translation function
+ * @returns {Object} Test function and state
+ */
+export function useContextTemplateTest(t) {
+    const [testResult, setTestResult] = useState({
+        visible: false,
+        message: '',
+        type: 'info',
+    });
+    const [analysis, setAnalysis] = useState(null);
+    const [testing, setTesting] = useState(false);
+
+    const clearTestResult = useCallback(() => {
+        setTestResult({ visible: false, message: '', type: 'info' });
+        setAnalysis(null);
+    }, []);
+
+    const testTemplate = useCallback(
+        async (template, text, languages = {}) => {
+            setTesting(true);
+            setAnalysis(null);
+            setTestResult({
+                visible: true,
+                message: t('contextTemplateTesting', 'Running the template...'),
+                type: 'info',
+            });
+            try {
+                const response = await chrome.runtime.sendMessage({
+                    action: 'testContextTemplate',
+                    template,
+                    text,
+                    language: languages.sourceLanguage,
+                    targetLanguage: languages.targetLanguage,
+                });
+                if (!response?.success) {
+                    throw new Error(response?.error || 'No response');
+                }
+                setAnalysis(response.result.analysis);
+                setTestResult({
+                    visible: true,
+                    message: t(
+                        'contextTemplateTestSuccessful',
+                        'The provider returned a valid response.'
+                    ),
+                    type: 'success',
+                });
+            } catch (error) {
+                setTestResult({
+                    visible: true,
+                    message: t(
+                        'contextTemplateTestFailed',
+                        'Template test failed: %s',
+                        error.message
+                    ),
+                    type: 'error',
+                });
+            } finally {
+                setTesting(false);
+            }
+        },
+        [t]
+    );
+
+    return {
+        testResult,
+        analysis,
+        testing,
+        testTemplate,
+        clearTestResult,
+    };
+}
@@ -0,0 +1,169 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Files of an unzipped Yomichan / Yomitan dictionary
+const YOMICHAN_FILE = /^(index|term_bank_\d+|kanji_bank_\d+)\.json$/i;
+
+/**
+ * Hook for the offline dictionaries stored by the background service
+ * @param {Function} t - Translation function
+ * @returns {Object} Dictionaries, result message, busy flag and actions
+ */
+export function useDictionaries(t) {
+    const [dictionaries, setDictionaries] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [busy, setBusy] = useState(false);
+    const [result, setResult] = useState({
+        visible: false,
+        message: '',
+        type: 'info',
+    });
+
+    const sendDictionaryAction = useCallback(async (action, payload) => {
+        const response = await chrome.runtime.sendMessage({
+            action,
+            ...payload,
+        });
+        if (!response?.success) {
+            throw new Error(response?.error || `${action} failed`);
+        }
+        return response;
+    }, []);
+
+    const refreshDictionaries = useCallback(async () => {
+        try {
+            const response = await sendDictionaryAction('getDictionaries');
+            setDictionaries(response.dictionaries);
+        } catch (error) {
+            console.debug('Failed to load dictionaries', error);
+        } finally {
+            setLoading(false);
+        }
+    }, [sendDictionaryAction]);
+
+    /**
+     * Import dictionary files. The files of one Yomichan dictionary
+     * (index.json and its banks) go into a single dictionary.
+     */
+    const importFiles = useCallback(
+        async (files) => {
+            // index.json first, so the dictionary gets its title
+            const sortKey = (file) =>
+                /^index\.json$/i.test(file.name) ? '' : file.name;
+            const yomichanFiles = files
+                .filter((file) => YOMICHAN_FILE.test(file.name))
+                .sort((a, b) =>
+                    sortKey(a).localeCompare(sortKey(b), undefined, {
+                        numeric: true,
+                    })
+                );
+            const groups = [
+                ...files
+                    .filter((file) => !YOMICHAN_FILE.test(file.name))
+                    .map((file) => [file]),
+                ...(yomichanFiles.length > 0 ? [yomichanFiles] : []),
+            ];
+
+            setBusy(true);
+            const messages = [];
+            try {
+                for (const group of groups) {
+                    let dictionary = null;
+                    for (const file of group) {
+                        setResult({
+                            visible: true,
+                            message: t(
+                                'dictionaryImporting',
+                                'Importing %s…',
+                                file.name
+                            ),
+                            type: 'info',
+                        });
+                        ({ dictionary } = await sendDictionaryAction(
+                            'importDictionary',
+                            {
+                                content: await file.text(),
+                                fileName: file.name,
+                                dictionaryId: dictionary?.id,
+                            }
+                        ));
+                    }
+                    messages.push(
+                        t(
+                            'dictionaryImported',
+                            'Imported "%s" (%d entries).',
+                            dictionary.title,
+                            dictionary.entryCount
+                        )
+                    );
+                }
+                setResult({
+                    visible: true,
+                    message: messages.join(' '),
+                    type: 'success',
+                });
+            } catch (error) {
+                console.error('Dictionary import failed', error);
+                setResult({
+                    visible: true,
+                    message: [
+                        ...messages,
+                        t(
+                            'dictionaryImportFailed',
+                            'Import failed: %s',
+                            error.message
+                        ),
+                    ].join(' '),
+                    type: 'error',
+                });
+            } finally {
+                setBusy(false);
+                await refreshDictionaries();
+            }
+        },
+        [t, sendDictionaryAction, refreshDictionaries]
+    );
+
+    const updateDictionary = useCallback(
+        async (id, changes) => {
+            try {
+                await sendDictionaryAction('updateDictionary', {
+                    id,
+                    changes,
+                });
+            } catch (error) {
+                console.error('Failed to update dictionary', error);
+            }
+            await refreshDictionaries();
+        },
+        [sendDictionaryAction, refreshDictionaries]
+    );
+
+    const deleteDictionary = useCallback(
+        async (id) => {
+            setBusy(true);
+            try {
+                await sendDictionaryAction('deleteDictionary', { id });
+            } catch (error) {
+                console.error('Failed to delete dictionary', error);
+            } finally {
+                setBusy(false);
+            }
+            await refreshDictionaries();
+        },
+        [sendDictionaryAction, refreshDictionaries]
+    );
+
+    useEffect(() => {
+        refreshDictionaries();
+    }, [refreshDictionaries]);
+
+    return {
+        dictionaries,
+        loading,
+        busy,
+        result,
+        importFiles,
+        updateDictionary,
+        deleteDictionary,
+    };
+}
@@ -0,0 +1,137 @@
+import { useState, useCallback } from 'react';
+
+/**
+ * Optional host permission pattern of a server, any port
+ * @param {string} baseUrl - Server base URL
+ * @returns {string|null} Origin pattern, or null for an invalid URL
+ */
+function getServerOriginPattern(baseUrl) {
+    try {
+        const url = new URL(baseUrl);
+        return `${url.protocol}//${url.hostname}/*`;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Requests host access for the server, localhost included: the manifest
+ * only grants it as an optional host permission. Must run inside the click
+ * handler that triggered the test; Chrome does not prompt again for hosts
+ * already granted.
+ * @param {string} baseUrl - Server base URL
+ * @returns {Promise<boolean>} Whether the extension may reach the server
+ */
+async function ensureHostAccess(baseUrl) {
+    const origin = getServerOriginPattern(baseUrl);
+    // Let the fetch report an invalid URL
+    if (!origin || !chrome.permissions) {
+        return true;
+    }
+    return chrome.permissions.request({ origins: [origin] });
+}
+
+/**
+ * Whether host access to the server was granted, without prompting
+ * @param {string} baseUrl - Server base URL
+ * @returns {Promise<boolean>}
+ */
+async function hasHostAccess(baseUrl) {
+    const origin = getServerOriginPattern(baseUrl);
+    if (!origin || !chrome.permissions) {
+        return true;
+    }
+    return chrome.permissions.contains({ origins: [origin] });
+}
+
+/**
+ * Hook for testing a local LLM server and discovering its models
+ * @param {Function} t - Translation function
+ * @param {Function} fetchAvailableModels - Function to fetch models
+ * @returns {Object} Test functions and state
+ */
+export function useLocalLlmTest(t, fetchAvailableModels) {
+    const [testResult, setTestResult] = useState({
+        visible: false,
+        message: '',
+        type: 'info',
+    });
+    const [testing, setTesting] = useState(false);
+    const [fetchingModels, setFetchingModels] = useState(false);
+
+    const showTestResult = useCallback((message, type) => {
+        setTestResult({
+            visible: true,
+            message,
+            type,
+        });
+    }, []);
+
+    const testConnection = useCallback(async (baseUrl, apiType, onModelsLoaded) => {
+        setTesting(true);
+        try {
+            if (!(await ensureHostAccess(baseUrl))) {
+                showTestResult(
+                    t('localLlmPermissionDenied', 'Access to this server was not granted.'),
+                    'error'
+                );
+                return;
+            }
+
+            showTestResult(
+                t('localLlmTestingConnection', 'Connecting to local server...'),
+                'info'
+            );
+            const models = await fetchAvailableModels(baseUrl, apiType);
+            if (onModelsLoaded) {
+                onModelsLoaded(models);
+            }
+            showTestResult(
+                t('localLlmConnectionSuccessful', 'Connected. %s models found.', String(models.length)),
+                models.length > 0 ? 'success' : 'warning'
+            );
+        } catch (error) {
+            showTestResult(
+                t('localLlmConnectionFailed', 'Connection failed: %s', error.message),
+                'error'
+            );
+        } finally {
+            setTesting(false);
+        }
+    }, [t, fetchAvailableModels, showTestResult]);
+
+    // Silent discovery on load; permission prompts need a user click
+    const fetchModels = useCallback(async (baseUrl, apiType, onModelsLoaded) => {
+        if (!(await hasHostAccess(baseUrl))) {
+            showTestResult(
+                t('localLlmPermissionNeeded', 'Test the connection to allow access to this server.'),
+                'info'
+            );
+            return;
+        }
+
+        setFetchingModels(true);
+        try {
+            const models = await fetchAvailableModels(baseUrl, apiType);
+            if (onModelsLoaded) {
+                onModelsLoaded(models);
+            }
+        } catch {
+            showTestResult(
+                t('localLlmNotReachable', 'Local server not reachable. Start it and test the connection.'),
+                'warning'
+            );
+        } finally {
+            setFetchingModels(false);
+        }
+    }, [t, fetchAvailableModels, showTestResult]);
+
+    return {
+        testResult,
+        testing,
+        fetchingModels,
+        testConnection,
+        fetchModels,
+        showTestResult,
+    };
+}
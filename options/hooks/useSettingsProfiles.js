@@ -0,0 +1,154 @@
+import { useState, useCallback } from 'react';
+import { configService } from '../../services/configService.js';
+import { apiKeyVault } from '../../services/apiKeyVault.js';
+import { downloadTextFile } from '../../content_scripts/shared/subtitleExport.js';
+
+function getProfileFileName(name) {
+    const slug = String(name || 'settings')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return `dualsub-profile-${slug || 'settings'}.json`;
+}
+
+/**
+ * Hook for settings profiles, profile files and platform/show overrides.
+ * The profiles and overrides themselves are settings; this hook runs the
+ * actions and reports their outcome.
+ * @param {Function} t - Translation function
+ * @returns {Object} Result message, busy flag and actions
+ */
+export function useSettingsProfiles(t) {
+    const [result, setResult] = useState({
+        visible: false,
+        message: '',
+        type: 'info',
+    });
+    const [busy, setBusy] = useState(false);
+
+    const showResult = useCallback((message, type) => {
+        setResult({ visible: true, message, type });
+    }, []);
+
+    const run = useCallback(
+        async (action, getMessage) => {
+            setBusy(true);
+            try {
+                const value = await action();
+                if (getMessage) {
+                    showResult(getMessage(value), 'success');
+                }
+                return value;
+            } catch (error) {
+                console.error('Settings profile action failed', error);
+                showResult(
+                    t('profileActionFailed', 'Failed: %s', error.message),
+                    'error'
+                );
+                return null;
+            } finally {
+                setBusy(false);
+            }
+        },
+        [t, showResult]
+    );
+
+    const saveProfile = useCallback(
+        (name) =>
+            run(
+                () => configService.saveProfile(name),
+                () => t('profileSaved', 'Profile "%s" saved.', name.trim())
+            ),
+        [t, run]
+    );
+
+    const applyProfile = useCallback(
+        (profile) =>
+            run(
+                () => configService.applyProfile(profile.id),
+                () => t('profileApplied', 'Profile "%s" applied.', profile.name)
+            ),
+        [t, run]
+    );
+
+    const deleteProfile = useCallback(
+        (profile) =>
+            run(
+                () => configService.deleteProfile(profile.id),
+                () => t('profileDeleted', 'Profile "%s" deleted.', profile.name)
+            ),
+        [t, run]
+    );
+
+    const exportProfile = useCallback(
+        (profile, includeSecrets) =>
+            run(async () => {
+                const file = await configService.exportProfile(profile?.id, {
+                    name: t('profileCurrentSettingsName', 'Current settings'),
+                    includeSecrets,
+                    secrets: includeSecrets
+                        ? await apiKeyVault.getSecrets()
+                        : {},
+                });
+                downloadTextFile(
+                    JSON.stringify(file, null, 2),
+                    getProfileFileName(file.name),
+                    'application/json'
+                );
+            }),
+        [t, run]
+    );
+
+    const importProfile = useCallback(
+        (file, apply) =>
+            run(
+                async () => {
+                    const imported = await configService.importProfile(
+                        await file.text(),
+                        { apply }
+                    );
+                    // Keys and tokens are not kept in profiles
+                    if (Object.keys(imported.secrets).length > 0) {
+                        await apiKeyVault.setSecrets(imported.secrets);
+                    }
+                    return imported;
+                },
+                ({ name, skipped, secrets }) => {
+                    const message =
+                        skipped.length > 0
+                            ? t(
+                                  'profileImportSkipped',
+                                  'Profile "%s" imported. Skipped invalid settings: %s',
+                                  name,
+                                  skipped.map(({ key }) => key).join(', ')
+                              )
+                            : t(
+                                  'profileImported',
+                                  'Profile "%s" imported.',
+                                  name
+                              );
+                    return Object.keys(secrets).length > 0
+                        ? `${message} ${t('profileImportedKeys', 'Its API keys were saved to the key vault.')}`
+                        : message;
+                }
+            ),
+        [t, run]
+    );
+
+    const setOverride = useCallback(
+        (target, settings) =>
+            run(() => configService.setOverride(target, settings)),
+        [run]
+    );
+
+    return {
+        result,
+        busy,
+        saveProfile,
+        applyProfile,
+        deleteProfile,
+        exportProfile,
+        importProfile,
+        setOverride,
+    };
+}
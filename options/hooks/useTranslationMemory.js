@@ -0,0 +1,52 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Hook for reading and clearing the persistent translation memory
+ * @returns {Object} Translation memory stats and actions
+ */
+export function useTranslationMemory() {
+    const [stats, setStats] = useState(null);
+    const [clearing, setClearing] = useState(false);
+
+    const refreshStats = useCallback(async () => {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'getTranslationMemoryStats',
+            });
+            if (response?.success) {
+                setStats(response.stats);
+            }
+        } catch (error) {
+            console.debug('Failed to load translation memory stats', error);
+        }
+    }, []);
+
+    const clearMemory = useCallback(async () => {
+        setClearing(true);
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'clearTranslationMemory',
+            });
+            if (response?.success) {
+                setStats(response.stats);
+            }
+            return !!response?.success;
+        } catch (error) {
+            console.error('Failed to clear translation memory', error);
+            return false;
+        } finally {
+            setClearing(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        refreshStats();
+    }, [refreshStats]);
+
+    return {
+        stats,
+        clearing,
+        refreshStats,
+        clearMemory,
+    };
+}
@@ -0,0 +1,52 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Hook for reading and resetting the translation usage history
+ * @returns {Object} Usage report and actions
+ */
+export function useTranslationUsage() {
+    const [usage, setUsage] = useState(null);
+    const [resetting, setResetting] = useState(false);
+
+    const refreshUsage = useCallback(async () => {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'getTranslationUsage',
+            });
+            if (response?.success) {
+                setUsage(response.usage);
+            }
+        } catch (error) {
+            console.debug('Failed to load translation usage', error);
+        }
+    }, []);
+
+    const resetUsage = useCallback(async () => {
+        setResetting(true);
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'resetTranslationUsage',
+            });
+            if (response?.success) {
+                setUsage(response.usage);
+            }
+            return !!response?.success;
+        } catch (error) {
+            console.error('Failed to reset translation usage', error);
+            return false;
+        } finally {
+            setResetting(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        refreshUsage();
+    }, [refreshUsage]);
+
+    return {
+        usage,
+        resetting,
+        refreshUsage,
+        resetUsage,
+    };
+}
@@ -0,0 +1,86 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Hook for the vocabulary notebook stored by the background service
+ * @returns {Object} Notebook entries, stats and actions
+ */
+export function useVocabularyNotebook() {
+    const [entries, setEntries] = useState([]);
+    const [stats, setStats] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    const refreshEntries = useCallback(async () => {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'getVocabularyEntries',
+            });
+            if (response?.success) {
+                setEntries(response.entries);
+                setStats(response.stats);
+            }
+        } catch (error) {
+            console.debug('Failed to load vocabulary notebook', error);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    const sendEntryAction = useCallback(
+        async (action, payload) => {
+            try {
+                const response = await chrome.runtime.sendMessage({
+                    action,
+                    ...payload,
+                });
+                if (!response?.success) {
+                    console.error(
+                        `Vocabulary notebook action ${action} failed`,
+                        response?.error
+                    );
+                    return false;
+                }
+                if (action !== 'openVocabularyEntry') {
+                    await refreshEntries();
+                }
+                return true;
+            } catch (error) {
+                console.error(
+                    `Vocabulary notebook action ${action} failed`,
+                    error
+                );
+                return false;
+            }
+        },
+        [refreshEntries]
+    );
+
+    const reviewEntry = useCallback(
+        (id, quality) =>
+            sendEntryAction('reviewVocabularyEntry', { id, quality }),
+        [sendEntryAction]
+    );
+
+    const deleteEntry = useCallback(
+        (id) => sendEntryAction('deleteVocabularyEntry', { id }),
+        [sendEntryAction]
+    );
+
+    const openEntry = useCallback(
+        (id) => sendEntryAction('openVocabularyEntry', { id }),
+        [sendEntryAction]
+    );
+
+    useEffect(() => {
+        refreshEntries();
+    }, [refreshEntries]);
+
+    return {
+        entries,
+        stats,
+        loading,
+        refreshEntries,
+        reviewEntry,
+        deleteEntry,
+        openEntry,
+    };
+}
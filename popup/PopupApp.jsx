@@ -5,14 +5,26 @@ import { SettingToggle } from './components/SettingToggle.jsx';
 import { LanguageSelector } from './components/LanguageSelector.jsx';
 import { AppearanceSettings } from './components/AppearanceSettings.jsx';
 import { StatusMessage } from './components/StatusMessage.jsx';
+import { LocalSubtitleLoader } from './components/LocalSubtitleLoader.jsx';
+import { SubtitleExporter } from './components/SubtitleExporter.jsx';
+import { SubtitleSyncControls } from './components/SubtitleSyncControls.jsx';
+import { StudyModeSettings } from './components/StudyModeSettings.jsx';
+import { GenericSiteToggle } from './components/GenericSiteToggle.jsx';
+import {
+    normalizeSiteHost,
+    isDedicatedPlatformHost,
+    getSiteOriginPattern,
+    normalizeSiteAllowlist,
+} from '../utils/siteAllowlist.js';
 
 export function PopupApp() {
     const { settings, updateSetting, loading, error } = useSettings();
     const { t, loading: translationsLoading } = useTranslation(settings.uiLanguage || 'en');
-    const { sendImmediateConfigUpdate } = useChromeMessage();
+    const { sendImmediateConfigUpdate, sendToActiveTab } = useChromeMessage();
     const logger = useLogger('Popup');
     
     const [statusMessage, setStatusMessage] = useState('');
+    const [activeSiteHost, setActiveSiteHost] = useState(null);
     const statusTimeoutRef = useRef(null);
 
     const showStatus = (message, duration = 3000) => {
@@ -35,6 +47,16 @@ export function PopupApp() {
         };
     }, []);
 
+    // Offer the generic video adapter on sites without a dedicated platform
+    useEffect(() => {
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            const host = normalizeSiteHost(tabs?.[0]?.url);
+            setActiveSiteHost(
+                host && !isDedicatedPlatformHost(host) ? host : null
+            );
+        });
+    }, []);
+
     // Show error if settings failed to load
     useEffect(() => {
         if (error && logger) {
@@ -68,7 +90,6 @@ export function PopupApp() {
 
     const handleToggleNativeSubtitles = async (useOfficial) => {
         try {
-            await updateSetting('useNativeSubtitles', useOfficial);
             await updateSetting('useOfficialTranslations', useOfficial);
             
             const statusKey = useOfficial
@@ -83,7 +104,6 @@ export function PopupApp() {
             showStatus(statusText);
             
             sendImmediateConfigUpdate({
-                useNativeSubtitles: useOfficial,
                 useOfficialTranslations: useOfficial,
             });
         } catch (error) {
@@ -226,6 +246,28 @@ export function PopupApp() {
         }
     };
 
+    const handleSubtitleStyleChange = (key, value) => {
+        // Real-time update without saving
+        sendImmediateConfigUpdate({ [key]: value });
+    };
+
+    const handleSubtitleStyleChangeEnd = async (key, value) => {
+        try {
+            await updateSetting(key, value);
+            showStatus(t('statusSubtitleStyleUpdated', 'Subtitle style updated.'));
+            sendImmediateConfigUpdate({ [key]: value });
+        } catch (error) {
+            if (logger) {
+                logger.error('Error setting subtitle style', error, {
+                    key,
+                    value,
+                    component: 'subtitleStyleSettings',
+                });
+            }
+            showStatus('Failed to update subtitle style. Please try again.');
+        }
+    };
+
     const handleTimeOffsetChange = async (value) => {
         try {
             let offset = parseFloat(value);
@@ -248,6 +290,29 @@ export function PopupApp() {
         }
     };
 
+    const handleStudySettingChange = async (key, value) => {
+        if (key === 'studyLoopCount') {
+            if (isNaN(value)) {
+                return;
+            }
+            value = Math.min(Math.max(value, 1), 10);
+        }
+        try {
+            await updateSetting(key, value);
+            showStatus(t('statusStudyModeUpdated', 'Study mode updated.'));
+            sendImmediateConfigUpdate({ [key]: value });
+        } catch (error) {
+            if (logger) {
+                logger.error('Error setting study mode', error, {
+                    key,
+                    value,
+                    component: 'studyModeSettings',
+                });
+            }
+            showStatus('Failed to update study mode. Please try again.');
+        }
+    };
+
     const handleAccordionToggle = async (e) => {
         try {
             await updateSetting('appearanceAccordionOpen', e.target.open);
@@ -260,6 +325,223 @@ export function PopupApp() {
         }
     };
 
+    const handleLoadLocalSubtitles = async (file, track) => {
+        try {
+            const content = await file.text();
+            const parsed = await chrome.runtime.sendMessage({
+                action: 'parseSubtitleFile',
+                content,
+                fileName: file.name,
+            });
+            if (!parsed?.success) {
+                showStatus(
+                    t(
+                        'statusLocalSubtitleInvalid',
+                        'Could not read subtitle file: %s',
+                        parsed?.error || file.name
+                    ),
+                    5000
+                );
+                return;
+            }
+
+            await sendToActiveTab({
+                action: 'loadLocalSubtitles',
+                track,
+                vttText: parsed.vttText,
+                fileName: file.name,
+            });
+            showStatus(
+                t(
+                    'statusLocalSubtitleLoaded',
+                    'Loaded %s (%d lines).',
+                    file.name,
+                    parsed.cueCount
+                )
+            );
+        } catch (error) {
+            if (logger) {
+                logger.error('Error loading local subtitle file', error, {
+                    fileName: file.name,
+                    track,
+                    component: 'localSubtitleLoader',
+                });
+            }
+            showStatus(
+                t(
+                    'statusLocalSubtitleFailed',
+                    'Failed to load subtitle file. Open a video and try again.'
+                ),
+                5000
+            );
+        }
+    };
+
+    const handleClearLocalSubtitles = async () => {
+        try {
+            await sendToActiveTab({ action: 'clearLocalSubtitles' });
+            showStatus(
+                t('statusLocalSubtitleCleared', 'Using platform subtitles.')
+            );
+        } catch (error) {
+            if (logger) {
+                logger.error('Error clearing local subtitle files', error, {
+                    component: 'localSubtitleLoader',
+                });
+            }
+        }
+    };
+
+    const handleAdjustSubtitleSync = async (mode) => {
+        try {
+            const response = await sendToActiveTab({
+                action: 'adjustSubtitleSync',
+                mode,
+            });
+            if (!response?.success) {
+                showStatus(
+                    mode === 'autoAlign'
+                        ? t(
+                              'statusSyncAutoAlignFailed',
+                              'Auto-align needs an official or loaded translation track that roughly matches the original.'
+                          )
+                        : t(
+                              'statusSyncFailed',
+                              'Failed to adjust sync. Open a video and try again.'
+                          ),
+                    5000
+                );
+                return;
+            }
+            showStatus(
+                mode === 'autoAlign'
+                    ? t(
+                          'statusSyncAutoAligned',
+                          'Translation offset set to %s s.',
+                          response.offsets.translated.toFixed(2)
+                      )
+                    : t('statusSyncReset', 'Sync offsets reset for this video.')
+            );
+        } catch (error) {
+            if (logger) {
+                logger.error('Error adjusting subtitle sync', error, {
+                    mode,
+                    component: 'subtitleSyncControls',
+                });
+            }
+            showStatus(
+                t(
+                    'statusSyncFailed',
+                    'Failed to adjust sync. Open a video and try again.'
+                ),
+                5000
+            );
+        }
+    };
+
+    const handleExportSubtitles = async (format) => {
+        try {
+            const response = await sendToActiveTab({
+                action: 'exportSubtitles',
+                format,
+            });
+            if (!response?.success) {
+                showStatus(
+                    t(
+                        'statusExportNoSubtitles',
+                        'No subtitles to export yet. Start playback first.'
+                    ),
+                    5000
+                );
+                return;
+            }
+            showStatus(
+                t(
+                    'statusExportDone',
+                    'Exported %d lines to %s.',
+                    response.cueCount,
+                    response.fileName
+                ),
+                5000
+            );
+        } catch (error) {
+            if (logger) {
+                logger.error('Error exporting subtitles', error, {
+                    format,
+                    component: 'subtitleExporter',
+                });
+            }
+            showStatus(
+                t(
+                    'statusExportFailed',
+                    'Failed to export subtitles. Open a video and try again.'
+                ),
+                5000
+            );
+        }
+    };
+
+    const handleToggleGenericSite = async (enabled) => {
+        const origins = [getSiteOriginPattern(activeSiteHost)];
+        const allowlist = normalizeSiteAllowlist(settings.genericSiteAllowlist);
+        try {
+            if (enabled) {
+                // Must be requested directly from the user gesture
+                const granted = await chrome.permissions.request({ origins });
+                if (!granted) {
+                    showStatus(
+                        t(
+                            'statusGenericSitePermissionDenied',
+                            'Site access was not granted.'
+                        ),
+                        5000
+                    );
+                    return;
+                }
+                await updateSetting(
+                    'genericSiteAllowlist',
+                    normalizeSiteAllowlist([...allowlist, activeSiteHost])
+                );
+                showStatus(
+                    t(
+                        'statusGenericSiteEnabled',
+                        'Enabled on %s. Reload the page to start.',
+                        activeSiteHost
+                    ),
+                    5000
+                );
+            } else {
+                await updateSetting(
+                    'genericSiteAllowlist',
+                    allowlist.filter((host) => host !== activeSiteHost)
+                );
+                await chrome.permissions.remove({ origins });
+                showStatus(
+                    t(
+                        'statusGenericSiteDisabled',
+                        'Disabled on %s.',
+                        activeSiteHost
+                    )
+                );
+            }
+        } catch (error) {
+            if (logger) {
+                logger.error('Error toggling generic site', error, {
+                    enabled,
+                    host: activeSiteHost,
+                    component: 'genericSiteToggle',
+                });
+            }
+            showStatus(
+                t(
+                    'statusGenericSiteFailed',
+                    'Failed to update site access. Please try again.'
+                ),
+                5000
+            );
+        }
+    };
+
     const handleOpenOptions = () => {
         chrome.runtime.openOptionsPage();
     };
@@ -274,8 +556,7 @@ export function PopupApp() {
 
     const {
         subtitlesEnabled = false,
-        useOfficialTranslations,
-        useNativeSubtitles,
+        useOfficialTranslations = true,
         originalLanguage = 'en',
         targetLanguage = 'es',
         subtitleLayoutOrder = 'original_top',
@@ -285,13 +566,12 @@ export function PopupApp() {
         subtitleVerticalPosition = 2.8,
         subtitleTimeOffset = 0.3,
         appearanceAccordionOpen = false,
+        genericSiteAllowlist = [],
+        studyPlaybackMode = 'off',
+        studyLoopCount = 2,
+        studyBlurTranslation = false,
     } = settings;
 
-    // Use useOfficialTranslations if available, fallback to useNativeSubtitles
-    const useOfficial = useOfficialTranslations !== undefined
-        ? useOfficialTranslations
-        : useNativeSubtitles;
-
     return (
         <>
             <Header
@@ -307,10 +587,21 @@ export function PopupApp() {
                 onChange={handleToggleSubtitles}
             />
 
+            {activeSiteHost && (
+                <GenericSiteToggle
+                    t={t}
+                    host={activeSiteHost}
+                    enabled={normalizeSiteAllowlist(
+                        genericSiteAllowlist
+                    ).includes(activeSiteHost)}
+                    onChange={handleToggleGenericSite}
+                />
+            )}
+
             <SettingToggle
                 id="useNativeSubtitles"
                 label={t('useNativeSubtitlesLabel', 'Use Official Subtitles When Available')}
-                checked={useOfficial}
+                checked={useOfficialTranslations}
                 onChange={handleToggleNativeSubtitles}
             />
 
@@ -322,6 +613,28 @@ export function PopupApp() {
                 onTargetChange={handleTargetLanguageChange}
             />
 
+            <LocalSubtitleLoader
+                t={t}
+                onLoad={handleLoadLocalSubtitles}
+                onClear={handleClearLocalSubtitles}
+            />
+
+            <SubtitleExporter t={t} onExport={handleExportSubtitles} />
+
+            <SubtitleSyncControls
+                t={t}
+                onAutoAlign={() => handleAdjustSubtitleSync('autoAlign')}
+                onReset={() => handleAdjustSubtitleSync('reset')}
+            />
+
+            <StudyModeSettings
+                t={t}
+                mode={studyPlaybackMode}
+                loopCount={studyLoopCount}
+                blurTranslation={studyBlurTranslation}
+                onSettingChange={handleStudySettingChange}
+            />
+
             <AppearanceSettings
                 t={t}
                 isOpen={appearanceAccordionOpen}
@@ -332,6 +645,7 @@ export function PopupApp() {
                 gap={subtitleGap}
                 verticalPosition={subtitleVerticalPosition}
                 timeOffset={subtitleTimeOffset}
+                styleSettings={settings}
                 onLayoutOrderChange={handleLayoutOrderChange}
                 onLayoutOrientationChange={handleLayoutOrientationChange}
                 onFontSizeChange={handleFontSizeChange}
@@ -341,6 +655,8 @@ export function PopupApp() {
                 onVerticalPositionChange={handleVerticalPositionChange}
                 onVerticalPositionChangeEnd={handleVerticalPositionChangeEnd}
                 onTimeOffsetChange={handleTimeOffsetChange}
+                onSubtitleStyleChange={handleSubtitleStyleChange}
+                onSubtitleStyleChangeEnd={handleSubtitleStyleChangeEnd}
             />
 
             <StatusMessage message={statusMessage} />
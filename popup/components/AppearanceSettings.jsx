@@ -1,5 +1,6 @@
 import React from 'react';
 import { SliderSetting } from './SliderSetting.jsx';
+import { SubtitleStyleSettings } from './SubtitleStyleSettings.jsx';
 
 export function AppearanceSettings({
     t,
@@ -11,6 +12,7 @@ export function AppearanceSettings({
     gap,
     verticalPosition,
     timeOffset,
+    styleSettings,
     onLayoutOrderChange,
     onLayoutOrientationChange,
     onFontSizeChange,
@@ -20,6 +22,8 @@ export function AppearanceSettings({
     onVerticalPositionChange,
     onVerticalPositionChangeEnd,
     onTimeOffsetChange,
+    onSubtitleStyleChange,
+    onSubtitleStyleChangeEnd,
 }) {
     const layoutOrderOptions = {
         original_top: 'displayOrderOriginalFirst',
@@ -111,6 +115,15 @@ export function AppearanceSettings({
                     onChange={onVerticalPositionChange}
                     onChangeEnd={onVerticalPositionChangeEnd}
                 />
+                <SubtitleStyleSettings
+                    t={t}
+                    settings={styleSettings}
+                    fontSize={fontSize}
+                    layoutOrder={layoutOrder}
+                    layoutOrientation={layoutOrientation}
+                    onStyleChange={onSubtitleStyleChange}
+                    onStyleChangeEnd={onSubtitleStyleChangeEnd}
+                />
                 <div className="setting-item">
                     <label htmlFor="subtitleTimeOffset">
                         {t('timeOffsetLabel', 'Time Offset (sec)')}
@@ -0,0 +1,28 @@
+import React from 'react';
+
+export function GenericSiteToggle({ t, host, enabled, onChange }) {
+    return (
+        <div className="card">
+            <div className="setting-item">
+                <label
+                    htmlFor="enableGenericSite"
+                    title={t(
+                        'genericSiteToggleHint',
+                        'Shows dual subtitles for HTML5 videos on this site. Needs access to the site.'
+                    )}
+                >
+                    {t('genericSiteToggleLabel', 'Enable on %s', host)}
+                </label>
+                <label className="switch">
+                    <input
+                        type="checkbox"
+                        id="enableGenericSite"
+                        checked={enabled}
+                        onChange={(e) => onChange(e.target.checked)}
+                    />
+                    <span className="slider"></span>
+                </label>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,58 @@
+import React, { useRef, useState } from 'react';
+
+const SUBTITLE_FILE_TYPES = '.srt,.ass,.ssa,.ttml,.dfxp,.xml,.sbv,.vtt';
+
+export function LocalSubtitleLoader({ t, onLoad, onClear }) {
+    const [track, setTrack] = useState('original');
+    const fileInputRef = useRef(null);
+
+    const handleFileChange = (e) => {
+        const file = e.target.files?.[0];
+        // Reset so picking the same file again still triggers a change
+        e.target.value = '';
+        if (file) {
+            onLoad(file, track);
+        }
+    };
+
+    return (
+        <div className="card">
+            <div className="setting-item">
+                <label htmlFor="localSubtitleTrack">
+                    {t('localSubtitleTrackLabel', 'Local Subtitle File')}
+                </label>
+                <select
+                    id="localSubtitleTrack"
+                    value={track}
+                    onChange={(e) => setTrack(e.target.value)}
+                >
+                    <option value="original">
+                        {t('localSubtitleTrackOriginal', 'As original')}
+                    </option>
+                    <option value="target">
+                        {t('localSubtitleTrackTarget', 'As translation')}
+                    </option>
+                </select>
+            </div>
+            <div className="setting-item local-subtitle-actions">
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept={SUBTITLE_FILE_TYPES}
+                    hidden
+                    onChange={handleFileChange}
+                />
+                <button
+                    type="button"
+                    className="text-button"
+                    onClick={() => fileInputRef.current?.click()}
+                >
+                    {t('localSubtitleLoadButton', 'Load File…')}
+                </button>
+                <button type="button" className="text-button" onClick={onClear}>
+                    {t('localSubtitleClearButton', 'Use Platform Subtitles')}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,79 @@
+import React from 'react';
+
+const studyModeOptions = {
+    off: 'studyModeOff',
+    autoPause: 'studyModeAutoPause',
+    loop: 'studyModeLoop',
+    shadowing: 'studyModeShadowing',
+};
+
+export function StudyModeSettings({
+    t,
+    mode,
+    loopCount,
+    blurTranslation,
+    onSettingChange,
+}) {
+    return (
+        <div className="card">
+            <div className="setting-item">
+                <label htmlFor="studyPlaybackMode">
+                    {t('studyModeLabel', 'Study Mode')}
+                </label>
+                <select
+                    id="studyPlaybackMode"
+                    value={mode}
+                    onChange={(e) =>
+                        onSettingChange('studyPlaybackMode', e.target.value)
+                    }
+                >
+                    {Object.entries(studyModeOptions).map(([value, key]) => (
+                        <option key={value} value={value}>
+                            {t(key, value)}
+                        </option>
+                    ))}
+                </select>
+            </div>
+            {mode === 'loop' && (
+                <div className="setting-item">
+                    <label htmlFor="studyLoopCount">
+                        {t('studyLoopCountLabel', 'Replays per Line')}
+                    </label>
+                    <input
+                        type="number"
+                        id="studyLoopCount"
+                        min="1"
+                        max="10"
+                        step="1"
+                        value={loopCount}
+                        onChange={(e) =>
+                            onSettingChange(
+                                'studyLoopCount',
+                                parseInt(e.target.value, 10)
+                            )
+                        }
+                    />
+                </div>
+            )}
+            <div className="setting-item">
+                <label htmlFor="studyBlurTranslation">
+                    {t('studyBlurTranslationLabel', 'Blur Translation')}
+                </label>
+                <label className="switch">
+                    <input
+                        type="checkbox"
+                        id="studyBlurTranslation"
+                        checked={blurTranslation}
+                        onChange={(e) =>
+                            onSettingChange(
+                                'studyBlurTranslation',
+                                e.target.checked
+                            )
+                        }
+                    />
+                    <span className="slider"></span>
+                </label>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+
+const EXPORT_FORMATS = {
+    vtt: 'exportFormatVtt',
+    srt: 'exportFormatSrt',
+    ass: 'exportFormatAss',
+    json: 'exportFormatJson',
+    anki: 'exportFormatAnki',
+};
+
+const FORMAT_FALLBACKS = {
+    vtt: 'WebVTT (both lines)',
+    srt: 'Bilingual SRT',
+    ass: 'ASS (top/bottom)',
+    json: 'JSON',
+    anki: 'Anki deck (TSV)',
+};
+
+export function SubtitleExporter({ t, onExport }) {
+    const [format, setFormat] = useState('vtt');
+
+    return (
+        <div className="card">
+            <div className="setting-item">
+                <label htmlFor="subtitleExportFormat">
+                    {t('exportSubtitlesLabel', 'Export Subtitles')}
+                </label>
+                <select
+                    id="subtitleExportFormat"
+                    value={format}
+                    onChange={(e) => setFormat(e.target.value)}
+                >
+                    {Object.entries(EXPORT_FORMATS).map(([value, key]) => (
+                        <option key={value} value={value}>
+                            {t(key, FORMAT_FALLBACKS[value])}
+                        </option>
+                    ))}
+                </select>
+            </div>
+            <div className="setting-item">
+                <button
+                    type="button"
+                    className="text-button"
+                    onClick={() => onExport(format)}
+                >
+                    {t('exportSubtitlesButton', 'Download')}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import { SliderSetting } from './SliderSetting.jsx';
+import {
+    SUBTITLE_FONT_WEIGHTS,
+    getTrackStyleSettingKey,
+    getTrackStyleSettings,
+    getSubtitleTrackStyle,
+} from '../../utils/subtitleStyle.js';
+
+// Preview font sizes are shown as on a 1200px wide player (1vw = 12px)
+const PREVIEW_PX_PER_VW = 12;
+
+export function SubtitleStyleSettings({
+    t,
+    settings,
+    fontSize,
+    layoutOrder,
+    layoutOrientation,
+    onStyleChange,
+    onStyleChangeEnd,
+}) {
+    const [track, setTrack] = useState('original');
+    // Values being dragged or picked, ahead of the saved settings
+    const [draft, setDraft] = useState({});
+
+    const config = { ...settings, subtitleFontSize: fontSize, ...draft };
+    const style = getTrackStyleSettings(config, track);
+
+    const updateStyle = (property, value, save = true) => {
+        const key = getTrackStyleSettingKey(track, property);
+        setDraft((current) => ({ ...current, [key]: value }));
+        onStyleChange(key, value);
+        if (save) {
+            onStyleChangeEnd(key, value);
+        }
+    };
+
+    const fontFamilyOptions = {
+        default: 'subtitleFontDefault',
+        sans: 'subtitleFontSans',
+        serif: 'subtitleFontSerif',
+        rounded: 'subtitleFontRounded',
+        monospace: 'subtitleFontMonospace',
+        cjk: 'subtitleFontCjk',
+    };
+    const fontWeightLabels = {
+        300: 'subtitleFontWeightLight',
+        400: 'subtitleFontWeightRegular',
+        600: 'subtitleFontWeightSemiBold',
+        700: 'subtitleFontWeightBold',
+    };
+    const textEdgeOptions = {
+        shadow: 'subtitleTextEdgeShadow',
+        outline: 'subtitleTextEdgeOutline',
+        none: 'subtitleTextEdgeNone',
+    };
+
+    const previewTracks =
+        layoutOrder === 'translation_top'
+            ? ['translated', 'original']
+            : ['original', 'translated'];
+    const getPreviewStyle = (previewTrack) => {
+        const trackStyle = getSubtitleTrackStyle(config, previewTrack);
+        return {
+            ...trackStyle,
+            fontSize: `${Math.round(parseFloat(trackStyle.fontSize) * PREVIEW_PX_PER_VW)}px`,
+        };
+    };
+
+    return (
+        <>
+            <div
+                className="subtitle-style-preview"
+                style={{ flexDirection: layoutOrientation }}
+            >
+                {previewTracks.map((previewTrack) => (
+                    <span
+                        key={previewTrack}
+                        style={getPreviewStyle(previewTrack)}
+                    >
+                        {previewTrack === 'original'
+                            ? t(
+                                  'subtitleStylePreviewOriginal',
+                                  'Original subtitle'
+                              )
+                            : t(
+                                  'subtitleStylePreviewTranslated',
+                                  'Translated subtitle'
+                              )}
+                    </span>
+                ))}
+            </div>
+            <div className="setting-item">
+                <label htmlFor="subtitleStyleTrack">
+                    {t('subtitleStyleTrackLabel', 'Style For')}
+                </label>
+                <select
+                    id="subtitleStyleTrack"
+                    value={track}
+                    onChange={(e) => setTrack(e.target.value)}
+                >
+                    <option value="original">
+                        {t('subtitleStyleTrackOriginal', 'Original')}
+                    </option>
+                    <option value="translated">
+                        {t('subtitleStyleTrackTranslated', 'Translation')}
+                    </option>
+                </select>
+            </div>
+            <div className="setting-item">
+                <label htmlFor="subtitleStyleFontFamily">
+                    {t('subtitleFontFamilyLabel', 'Font')}
+                </label>
+                <select
+                    id="subtitleStyleFontFamily"
+                    value={style.fontFamily}
+                    onChange={(e) => updateStyle('fontFamily', e.target.value)}
+                >
+                    {Object.entries(fontFamilyOptions).map(([value, key]) => (
+                        <option key={value} value={value}>
+                            {t(key, value)}
+                        </option>
+                    ))}
+                </select>
+            </div>
+            <div className="setting-item">
+                <label htmlFor="subtitleStyleFontWeight">
+                    {t('subtitleFontWeightLabel', 'Weight')}
+                </label>
+                <select
+                    id="subtitleStyleFontWeight"
+                    value={style.fontWeight}
+                    onChange={(e) =>
+                        updateStyle('fontWeight', Number(e.target.value))
+                    }
+                >
+                    {SUBTITLE_FONT_WEIGHTS.map((weight) => (
+                        <option key={weight} value={weight}>
+                            {t(fontWeightLabels[weight], String(weight))}
+                        </option>
+                    ))}
+                </select>
+            </div>
+            <div className="setting-item">
+                <label htmlFor="subtitleStyleColor">
+                    {t('subtitleColorLabel', 'Text Color')}
+                </label>
+                <input
+                    type="color"
+                    id="subtitleStyleColor"
+                    value={style.color}
+                    onChange={(e) =>
+                        updateStyle('color', e.target.value, false)
+                    }
+                    onBlur={(e) => updateStyle('color', e.target.value)}
+                />
+            </div>
+            <div className="setting-item">
+                <label htmlFor="subtitleStyleTextEdge">
+                    {t('subtitleTextEdgeLabel', 'Outline / Shadow')}
+                </label>
+                <select
+                    id="subtitleStyleTextEdge"
+                    value={style.textEdge}
+                    onChange={(e) => updateStyle('textEdge', e.target.value)}
+                >
+                    {Object.entries(textEdgeOptions).map(([value, key]) => (
+                        <option key={value} value={value}>
+                            {t(key, value)}
+                        </option>
+                    ))}
+                </select>
+            </div>
+            <SliderSetting
+                label={t(
+                    'subtitleBackgroundOpacityLabel',
+                    'Background Opacity'
+                )}
+                id="subtitleStyleBackgroundOpacity"
+                value={style.backgroundOpacity}
+                min="0"
+                max="1"
+                step="0.1"
+                onChange={(value) =>
+                    updateStyle('backgroundOpacity', value, false)
+                }
+                onChangeEnd={(value) => updateStyle('backgroundOpacity', value)}
+            />
+            <SliderSetting
+                label={t('subtitleSizeRatioLabel', 'Size Ratio')}
+                id="subtitleStyleSizeRatio"
+                value={style.sizeRatio}
+                min="0.5"
+                max="2"
+                step="0.1"
+                onChange={(value) => updateStyle('sizeRatio', value, false)}
+                onChangeEnd={(value) => updateStyle('sizeRatio', value)}
+            />
+        </>
+    );
+}
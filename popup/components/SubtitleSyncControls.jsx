@@ -0,0 +1,27 @@
+import React from 'react';
+
+export function SubtitleSyncControls({ t, onAutoAlign, onReset }) {
+    return (
+        <div className="card">
+            <div className="setting-item">
+                <label>{t('subtitleSyncLabel', 'Sync (This Video)')}</label>
+            </div>
+            <div className="setting-item">
+                <button
+                    type="button"
+                    className="text-button"
+                    title={t(
+                        'subtitleSyncShortcutsHint',
+                        'Alt+[ / Alt+] shift the original by 0.1 s, with Shift the translation; Alt+\\ auto-aligns.'
+                    )}
+                    onClick={onAutoAlign}
+                >
+                    {t('subtitleSyncAutoAlignButton', 'Auto-align Translation')}
+                </button>
+                <button type="button" className="text-button" onClick={onReset}>
+                    {t('subtitleSyncResetButton', 'Reset')}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -24,5 +24,24 @@ export function useChromeMessage() {
         });
     }, []);
 
-    return { sendImmediateConfigUpdate };
+    const sendToActiveTab = useCallback(
+        (message) =>
+            new Promise((resolve, reject) => {
+                chrome.tabs.query(
+                    { active: true, currentWindow: true },
+                    (tabs) => {
+                        if (!tabs[0]) {
+                            reject(new Error('No active tab'));
+                            return;
+                        }
+                        chrome.tabs
+                            .sendMessage(tabs[0].id, message)
+                            .then(resolve, reject);
+                    }
+                );
+            }),
+        []
+    );
+
+    return { sendImmediateConfigUpdate, sendToActiveTab };
 }
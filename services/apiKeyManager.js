@@ -1,14 +1,15 @@
 /**
  * API Key Manager
  *
- * Provides secure storage and management for API keys used by the AI Context
- * feature. Implements basic obfuscation and validation for API keys.
+ * Provides storage and management for API keys used by the AI Context
+ * feature. Keys are kept encrypted in the API key vault; this adds
+ * per-provider validation, masking and caching.
  *
  * @author DualSub Extension
  * @version 1.0.0
  */
 
-import { configService } from './configService.js';
+import { apiKeyVault } from './apiKeyVault.js';
 import Logger from '../utils/logger.js';
 
 const logger = Logger.create('APIKeyManager');
@@ -19,53 +20,10 @@ const logger = Logger.create('APIKeyManager');
 const API_KEY_PATTERNS = {
     openai: /^sk-[a-zA-Z0-9]{48,}$/,
     gemini: /^AIza[a-zA-Z0-9_-]{35,}$/,
+    anthropic: /^sk-ant-[a-zA-Z0-9_-]{20,}$/,
     deepl: /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}:fx$/,
 };
 
-/**
- * Simple obfuscation for API keys (not encryption, just basic protection)
- */
-class APIKeyObfuscator {
-    static obfuscate(key) {
-        if (!key || typeof key !== 'string') return '';
-
-        // Simple XOR with a fixed key (not secure, just obfuscation)
-        const obfuscationKey = 'DualSubAIContext2024';
-        let result = '';
-
-        for (let i = 0; i < key.length; i++) {
-            const charCode =
-                key.charCodeAt(i) ^
-                obfuscationKey.charCodeAt(i % obfuscationKey.length);
-            result += String.fromCharCode(charCode);
-        }
-
-        return btoa(result); // Base64 encode
-    }
-
-    static deobfuscate(obfuscatedKey) {
-        if (!obfuscatedKey || typeof obfuscatedKey !== 'string') return '';
-
-        try {
-            const decoded = atob(obfuscatedKey); // Base64 decode
-            const obfuscationKey = 'DualSubAIContext2024';
-            let result = '';
-
-            for (let i = 0; i < decoded.length; i++) {
-                const charCode =
-                    decoded.charCodeAt(i) ^
-                    obfuscationKey.charCodeAt(i % obfuscationKey.length);
-                result += String.fromCharCode(charCode);
-            }
-
-            return result;
-        } catch (error) {
-            logger.error('Failed to deobfuscate API key', error);
-            return '';
-        }
-    }
-}
-
 /**
  * API Key Manager class
  */
@@ -95,9 +53,7 @@ export class APIKeyManager {
                 );
             }
 
-            const obfuscatedKey = APIKeyObfuscator.obfuscate(apiKey);
-            const configKey = `${provider}ApiKey`;
-            await configService.set(configKey, obfuscatedKey);
+            await apiKeyVault.setSecret(`${provider}ApiKey`, apiKey);
 
             this.cache.set(provider, apiKey);
             this.validationCache.set(provider, true);
@@ -129,17 +85,11 @@ export class APIKeyManager {
                 return this.cache.get(provider);
             }
 
-            // Get from configuration
-            const configKey = `${provider}ApiKey`;
-            const obfuscatedKey = await configService.get(configKey);
-
-            if (!obfuscatedKey) {
+            const apiKey = await apiKeyVault.getSecret(`${provider}ApiKey`);
+            if (!apiKey) {
                 return '';
             }
 
-            // Deobfuscate the key
-            const apiKey = APIKeyObfuscator.deobfuscate(obfuscatedKey);
-
             // Validate and cache
             if (apiKey && this.validateAPIKeyFormat(provider, apiKey)) {
                 this.cache.set(provider, apiKey);
@@ -192,8 +142,7 @@ export class APIKeyManager {
      */
     async removeAPIKey(provider) {
         try {
-            const configKey = `${provider}ApiKey`;
-            await configService.set(configKey, '');
+            await apiKeyVault.setSecret(`${provider}ApiKey`, '');
 
             // Clear cache
             this.cache.delete(provider);
@@ -254,7 +203,7 @@ export class APIKeyManager {
      */
     async getAPIKeyStatus() {
         const status = {};
-        const providers = ['openai', 'gemini', 'deepl'];
+        const providers = ['openai', 'gemini', 'anthropic', 'deepl'];
 
         for (const provider of providers) {
             try {
@@ -0,0 +1,505 @@
+/**
+ * API Key Vault
+ *
+ * Keeps the secret settings (API keys and access tokens, `secret: true` in
+ * the config schema) encrypted with AES-GCM through WebCrypto.
+ *
+ * Without a passphrase the vault key is a random key stored next to the
+ * vault on this device. With a passphrase the key is derived with PBKDF2
+ * and never stored: unlocking puts it in `chrome.storage.session`, so it
+ * lasts until the browser closes and survives service worker restarts.
+ * The vault is kept in local storage unless the user turns on sync, which
+ * needs a passphrase.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+import { configService } from './configService.js';
+import { getSecretKeys } from '../config/configSchema.js';
+import Logger from '../utils/logger.js';
+
+const logger = Logger.create('APIKeyVault');
+
+/** Storage key of the vault, in local storage or (when synced) sync storage */
+export const VAULT_STORAGE_KEY = 'apiKeyVault';
+/** Session storage key of the unlocked passphrase key */
+export const VAULT_SESSION_KEY = 'apiKeyVaultSessionKey';
+
+const VAULT_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000;
+// Encrypted with the vault key to tell a wrong passphrase apart
+const CHECK_VALUE = 'dualsub-api-key-vault';
+
+/**
+ * Thrown when a secret is needed while the passphrase vault is locked
+ */
+export class VaultLockedError extends Error {
+    constructor() {
+        super(
+            'The API key vault is locked. Unlock it on the Providers page of the extension options.'
+        );
+        this.name = 'VaultLockedError';
+        this.code = 'VAULT_LOCKED';
+    }
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    for (const byte of new Uint8Array(bytes)) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+}
+
+function fromBase64(value) {
+    return Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+}
+
+function importAesKey(raw) {
+    return crypto.subtle.importKey('raw', fromBase64(raw), 'AES-GCM', true, [
+        'encrypt',
+        'decrypt',
+    ]);
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        true,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function encrypt(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(text)
+    );
+    return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+async function decrypt(key, entry) {
+    const data = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(entry.iv) },
+        key,
+        fromBase64(entry.data)
+    );
+    return new TextDecoder().decode(data);
+}
+
+function assertSecretKey(key) {
+    if (!getSecretKeys().includes(key)) {
+        throw new Error(`"${key}" is not a secret setting`);
+    }
+}
+
+/**
+ * API Key Vault class
+ */
+export class APIKeyVault {
+    constructor() {
+        // Passphrase key when chrome.storage.session is unavailable
+        this.memoryKey = null;
+        this.keyCache = { raw: null, key: null };
+        this.pending = Promise.resolve();
+        this.isInitialized = false;
+    }
+
+    /**
+     * Move plaintext secrets into the vault now and whenever one is
+     * written to settings again (older profiles, other devices on an older
+     * version). Called from the background script.
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+        this.isInitialized = true;
+
+        const secretKeys = getSecretKeys();
+        const migrate = () =>
+            this.migratePlaintextSecrets().catch((error) =>
+                logger.error('Failed to move API keys into the vault', error)
+            );
+        configService.onChanged((changes) => {
+            if (secretKeys.some((key) => changes[key])) {
+                migrate();
+            }
+        });
+        await migrate();
+    }
+
+    /**
+     * Vault state, for the options page
+     * @returns {Promise<{mode: string, locked: boolean, synced: boolean, storedKeys: string[]}>}
+     *   `mode` is 'none' before the first key is stored, then 'device' or 'passphrase'
+     */
+    async getStatus() {
+        const record = await this._loadRecord();
+        if (!record) {
+            return {
+                mode: 'none',
+                locked: false,
+                synced: false,
+                storedKeys: [],
+            };
+        }
+        return {
+            mode: record.mode,
+            locked: !(await this._getKey(record)),
+            synced: !!record.synced,
+            storedKeys: Object.keys(record.secrets),
+        };
+    }
+
+    /**
+     * Read a secret. Keys not moved into the vault yet are read from
+     * settings.
+     * @param {string} key - Secret setting key, e.g. 'deeplApiKey'
+     * @returns {Promise<string>} The secret, or '' when not set
+     * @throws {VaultLockedError} If the vault holds the key but is locked
+     */
+    async getSecret(key) {
+        return (await this.getSecrets([key]))[key];
+    }
+
+    /**
+     * Read several secrets
+     * @param {string[]} [keys] - Secret setting keys (all by default)
+     * @returns {Promise<Object<string, string>>} Secrets by key, '' when not set
+     * @throws {VaultLockedError} If the vault holds one of the keys but is locked
+     */
+    async getSecrets(keys = getSecretKeys()) {
+        keys.forEach(assertSecretKey);
+        const record = await this._loadRecord();
+        const stored = keys.filter((key) => record?.secrets[key]);
+        const secrets =
+            stored.length < keys.length
+                ? await configService.getMultiple(
+                      keys.filter((key) => !stored.includes(key))
+                  )
+                : {};
+
+        if (stored.length > 0) {
+            const key = await this._getKey(record);
+            if (!key) {
+                throw new VaultLockedError();
+            }
+            try {
+                for (const name of stored) {
+                    secrets[name] = await decrypt(key, record.secrets[name]);
+                }
+            } catch (error) {
+                // The passphrase was changed on another device since unlocking
+                if (record.mode === 'passphrase') {
+                    throw new VaultLockedError();
+                }
+                throw error;
+            }
+        }
+
+        return Object.fromEntries(keys.map((key) => [key, secrets[key] || '']));
+    }
+
+    /**
+     * Store a secret. An empty value removes it.
+     * @param {string} key - Secret setting key
+     * @param {string} value - The secret
+     * @returns {Promise<void>}
+     * @throws {VaultLockedError} If the vault is locked
+     */
+    async setSecret(key, value) {
+        return this.setSecrets({ [key]: value });
+    }
+
+    /**
+     * Store several secrets and clear their plaintext settings
+     * @param {Object<string, string>} values - Secrets by key ('' removes one)
+     * @returns {Promise<void>}
+     * @throws {VaultLockedError} If the vault is locked
+     */
+    async setSecrets(values) {
+        const keys = Object.keys(values);
+        keys.forEach(assertSecretKey);
+
+        await this._serialize(async () => {
+            const record =
+                (await this._loadRecord()) || (await this._createRecord());
+            const key = await this._getKey(record);
+            if (!key) {
+                throw new VaultLockedError();
+            }
+
+            for (const name of keys) {
+                if (values[name]) {
+                    record.secrets[name] = await encrypt(key, values[name]);
+                } else {
+                    delete record.secrets[name];
+                }
+            }
+            await this._saveRecord(record);
+
+            const plaintext = await configService.getMultiple(keys);
+            const cleared = Object.fromEntries(
+                keys.filter((name) => plaintext[name]).map((name) => [name, ''])
+            );
+            if (Object.keys(cleared).length > 0) {
+                await configService.setMultiple(cleared);
+            }
+        });
+        logger.debug('Secrets stored in the vault', { keys });
+    }
+
+    /**
+     * Move secrets still stored as plaintext settings into the vault.
+     * Skipped while the passphrase vault is locked; unlocking runs it.
+     * @returns {Promise<string[]>} The keys moved
+     */
+    async migratePlaintextSecrets() {
+        const plaintext = await configService.getMultiple(getSecretKeys());
+        const found = Object.fromEntries(
+            Object.entries(plaintext).filter(([, value]) => value)
+        );
+        const keys = Object.keys(found);
+        if (keys.length === 0) {
+            return [];
+        }
+
+        const record = await this._loadRecord();
+        if (record && !(await this._getKey(record))) {
+            logger.info('Vault is locked, plaintext API keys left in place', {
+                keys,
+            });
+            return [];
+        }
+
+        await this.setSecrets(found);
+        logger.info('Moved plaintext API keys into the vault', { keys });
+        return keys;
+    }
+
+    /**
+     * Unlock the passphrase vault until the browser closes
+     * @param {string} passphrase - Vault passphrase
+     * @returns {Promise<void>}
+     * @throws {Error} If the vault has no passphrase or it is wrong
+     */
+    async unlock(passphrase) {
+        const record = await this._loadRecord();
+        if (record?.mode !== 'passphrase') {
+            throw new Error('The API key vault has no passphrase');
+        }
+
+        const key = await deriveKey(
+            passphrase,
+            record.kdf.salt,
+            record.kdf.iterations
+        );
+        try {
+            await decrypt(key, record.check);
+        } catch {
+            throw new Error('Wrong passphrase');
+        }
+
+        await this._storeSessionKey(key);
+        logger.info('API key vault unlocked');
+        await this.migratePlaintextSecrets();
+    }
+
+    /**
+     * Forget the unlocked passphrase key. Does nothing without a passphrase.
+     * @returns {Promise<void>}
+     */
+    async lock() {
+        this.memoryKey = null;
+        if (chrome.storage.session) {
+            await chrome.storage.session.remove(VAULT_SESSION_KEY);
+        }
+        logger.info('API key vault locked');
+    }
+
+    /**
+     * Set, change or (with '') remove the passphrase. Stored secrets are
+     * encrypted again with the new key, so the vault must be unlocked.
+     * Removing the passphrase also stops syncing the vault.
+     * @param {string} passphrase - New passphrase, or '' for none
+     * @returns {Promise<void>}
+     * @throws {VaultLockedError} If the vault is locked
+     */
+    async setPassphrase(passphrase) {
+        await this._serialize(async () => {
+            const record =
+                (await this._loadRecord()) || (await this._createRecord());
+            const oldKey = await this._getKey(record);
+            if (!oldKey) {
+                throw new VaultLockedError();
+            }
+
+            const secrets = {};
+            for (const [name, entry] of Object.entries(record.secrets)) {
+                secrets[name] = await decrypt(oldKey, entry);
+            }
+
+            let key;
+            if (passphrase) {
+                const salt = toBase64(
+                    crypto.getRandomValues(new Uint8Array(16))
+                );
+                key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+                record.mode = 'passphrase';
+                record.kdf = { salt, iterations: PBKDF2_ITERATIONS };
+                record.check = await encrypt(key, CHECK_VALUE);
+                delete record.deviceKey;
+            } else {
+                record.deviceKey = await this._generateDeviceKey();
+                key = await importAesKey(record.deviceKey);
+                record.mode = 'device';
+                record.synced = false;
+                delete record.kdf;
+                delete record.check;
+            }
+
+            record.secrets = {};
+            for (const [name, value] of Object.entries(secrets)) {
+                record.secrets[name] = await encrypt(key, value);
+            }
+            await this._saveRecord(record);
+
+            if (passphrase) {
+                await this._storeSessionKey(key);
+            } else {
+                await this.lock();
+            }
+        });
+        logger.info('API key vault passphrase updated', {
+            hasPassphrase: !!passphrase,
+        });
+    }
+
+    /**
+     * Keep the vault in sync storage (so other devices can unlock it with
+     * the passphrase) or in local storage
+     * @param {boolean} synced - Whether to sync the vault
+     * @returns {Promise<void>}
+     * @throws {Error} If syncing is turned on without a passphrase
+     */
+    async setSynced(synced) {
+        await this._serialize(async () => {
+            const record =
+                (await this._loadRecord()) || (await this._createRecord());
+            if (synced && record.mode !== 'passphrase') {
+                throw new Error('Set a passphrase before syncing API keys');
+            }
+            record.synced = !!synced;
+            await this._saveRecord(record);
+        });
+    }
+
+    /**
+     * Run vault writes one at a time, so quick successive edits do not
+     * overwrite each other
+     * @private
+     */
+    _serialize(task) {
+        const run = this.pending.then(task);
+        this.pending = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * @private
+     * @returns {Promise<Object|null>} The vault, local copy first
+     */
+    async _loadRecord() {
+        for (const area of ['local', 'sync']) {
+            const items = await configService.getFromStorage(area, [
+                VAULT_STORAGE_KEY,
+            ]);
+            if (items?.[VAULT_STORAGE_KEY]) {
+                return items[VAULT_STORAGE_KEY];
+            }
+        }
+        return null;
+    }
+
+    /** @private */
+    async _saveRecord(record) {
+        const [area, otherArea] = record.synced
+            ? ['sync', 'local']
+            : ['local', 'sync'];
+        await configService.removeFromStorage(otherArea, [VAULT_STORAGE_KEY]);
+        await configService.setToStorage(area, { [VAULT_STORAGE_KEY]: record });
+    }
+
+    /**
+     * @private
+     * @returns {Promise<Object>} An empty vault keyed to this device
+     */
+    async _createRecord() {
+        return {
+            version: VAULT_VERSION,
+            mode: 'device',
+            synced: false,
+            deviceKey: await this._generateDeviceKey(),
+            secrets: {},
+        };
+    }
+
+    /** @private */
+    async _generateDeviceKey() {
+        const key = await crypto.subtle.generateKey(
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['encrypt', 'decrypt']
+        );
+        return toBase64(await crypto.subtle.exportKey('raw', key));
+    }
+
+    /**
+     * @private
+     * @returns {Promise<CryptoKey|null>} The vault key, or null while locked
+     */
+    async _getKey(record) {
+        let raw = record.deviceKey;
+        if (record.mode === 'passphrase') {
+            raw = chrome.storage.session
+                ? (await chrome.storage.session.get(VAULT_SESSION_KEY))[
+                      VAULT_SESSION_KEY
+                  ]
+                : this.memoryKey;
+        }
+        if (!raw) {
+            return null;
+        }
+        if (this.keyCache.raw !== raw) {
+            this.keyCache = { raw, key: await importAesKey(raw) };
+        }
+        return this.keyCache.key;
+    }
+
+    /** @private */
+    async _storeSessionKey(key) {
+        const raw = toBase64(await crypto.subtle.exportKey('raw', key));
+        if (chrome.storage.session) {
+            await chrome.storage.session.set({ [VAULT_SESSION_KEY]: raw });
+        } else {
+            this.memoryKey = raw;
+        }
+    }
+}
+
+// Export singleton instance
+export const apiKeyVault = new APIKeyVault();
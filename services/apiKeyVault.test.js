@@ -0,0 +1,122 @@
+// services/apiKeyVault.test.js
+import { jest } from '@jest/globals';
+import {
+    apiKeyVault,
+    VaultLockedError,
+    VAULT_STORAGE_KEY,
+} from './apiKeyVault.js';
+import { configService } from './configService.js';
+
+const storedVault = async () =>
+    (await chrome.storage.local.get(VAULT_STORAGE_KEY))[VAULT_STORAGE_KEY];
+
+describe('APIKeyVault', () => {
+    beforeEach(async () => {
+        chrome.runtime.lastError = null;
+        await chrome.storage.local.clear();
+        await chrome.storage.session.clear();
+    });
+
+    test('stores secrets encrypted and clears their plaintext settings', async () => {
+        await configService.set('deeplApiKey', 'old-plaintext-key');
+
+        await apiKeyVault.setSecret('deeplApiKey', 'deepl-key:fx');
+
+        expect(await apiKeyVault.getSecret('deeplApiKey')).toBe('deepl-key:fx');
+        expect(await configService.get('deeplApiKey')).toBe('');
+        const vault = await storedVault();
+        expect(vault.mode).toBe('device');
+        expect(JSON.stringify(vault)).not.toContain('deepl-key:fx');
+
+        await apiKeyVault.setSecret('deeplApiKey', '');
+        expect(await apiKeyVault.getSecret('deeplApiKey')).toBe('');
+        expect((await apiKeyVault.getStatus()).storedKeys).toEqual([]);
+        await expect(apiKeyVault.getSecret('targetLanguage')).rejects.toThrow(
+            'not a secret setting'
+        );
+    });
+
+    test('moves plaintext keys into the vault', async () => {
+        await configService.setMultiple({
+            openaiApiKey: 'sk-plaintext',
+            vertexAccessToken: 'ya29.token',
+        });
+        // Keys not moved yet are read from settings
+        expect(await apiKeyVault.getSecret('openaiApiKey')).toBe(
+            'sk-plaintext'
+        );
+
+        expect((await apiKeyVault.migratePlaintextSecrets()).sort()).toEqual([
+            'openaiApiKey',
+            'vertexAccessToken',
+        ]);
+        expect(await configService.get('openaiApiKey')).toBe('');
+        expect(
+            await apiKeyVault.getSecrets(['openaiApiKey', 'vertexAccessToken'])
+        ).toEqual({
+            openaiApiKey: 'sk-plaintext',
+            vertexAccessToken: 'ya29.token',
+        });
+        expect(await apiKeyVault.migratePlaintextSecrets()).toEqual([]);
+    });
+
+    test('locks and unlocks with a passphrase', async () => {
+        await apiKeyVault.setSecret('geminiApiKey', 'AIza-key');
+        await apiKeyVault.setPassphrase('correct horse');
+
+        const vault = await storedVault();
+        expect(vault.mode).toBe('passphrase');
+        expect(vault).not.toHaveProperty('deviceKey');
+        expect(await apiKeyVault.getSecret('geminiApiKey')).toBe('AIza-key');
+
+        await apiKeyVault.lock();
+        expect((await apiKeyVault.getStatus()).locked).toBe(true);
+        await expect(apiKeyVault.getSecret('geminiApiKey')).rejects.toThrow(
+            VaultLockedError
+        );
+        await expect(
+            apiKeyVault.setSecret('deeplApiKey', 'new-key')
+        ).rejects.toThrow(VaultLockedError);
+
+        // Plaintext keys wait for the vault to be unlocked
+        await configService.set('deeplApiKey', 'plaintext-key');
+        expect(await apiKeyVault.migratePlaintextSecrets()).toEqual([]);
+
+        await expect(apiKeyVault.unlock('wrong horse')).rejects.toThrow(
+            'Wrong passphrase'
+        );
+        await apiKeyVault.unlock('correct horse');
+        expect(
+            await apiKeyVault.getSecrets(['geminiApiKey', 'deeplApiKey'])
+        ).toEqual({ geminiApiKey: 'AIza-key', deeplApiKey: 'plaintext-key' });
+        expect(await configService.get('deeplApiKey')).toBe('');
+    });
+
+    test('syncs only with a passphrase and stops when it is removed', async () => {
+        await apiKeyVault.setSecret('deeplApiKey', 'deepl-key:fx');
+        await expect(apiKeyVault.setSynced(true)).rejects.toThrow(
+            'Set a passphrase'
+        );
+
+        await apiKeyVault.setPassphrase('correct horse');
+        const syncSet = jest.spyOn(chrome.storage.sync, 'set');
+        await apiKeyVault.setSynced(true);
+        expect(syncSet).toHaveBeenCalledWith(
+            {
+                [VAULT_STORAGE_KEY]: expect.objectContaining({
+                    synced: true,
+                }),
+            },
+            expect.any(Function)
+        );
+
+        await apiKeyVault.setPassphrase('');
+        expect(await apiKeyVault.getStatus()).toMatchObject({
+            mode: 'device',
+            locked: false,
+            synced: false,
+        });
+        expect(await apiKeyVault.getSecret('deeplApiKey')).toBe('deepl-key:fx');
+        syncSet.mockRestore();
+    });
+});
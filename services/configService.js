@@ -4,9 +4,25 @@ import {
     validateSetting,
     getDefaultValue,
     getStorageScope,
+    getSecretKeys,
 } from '../config/configSchema.js';
+import {
+    CONFIG_VERSION_KEY,
+    MIGRATION_BACKUPS_KEY,
+    getPendingMigrations,
+    getMigrationKeys,
+    applyMigration,
+} from '../config/configMigrations.js';
 import { ConfigServiceErrorHandler } from './configServiceErrorHandler.js';
 import Logger from '../utils/logger.js';
+import {
+    getProfileKeys,
+    normalizeTitle,
+    validateProfileSettings,
+    getOverrideSettings,
+    buildProfileExport,
+    parseProfileImport,
+} from '../utils/settingsProfiles.js';
 
 class ConfigService {
     constructor() {
@@ -51,10 +67,21 @@ class ConfigService {
     /**
      * Sets default values for any missing keys in storage.
      * This ensures backward compatibility when new settings are added.
+     * Pending schema migrations run first, so renamed settings keep their
+     * stored values instead of getting defaults.
      */
     async setDefaultsForMissingKeys() {
         this.logger.debug(`setDefaultsForMissingKeys() called`);
 
+        try {
+            await this.runMigrations();
+        } catch (error) {
+            // The remaining migrations run again on the next update
+            this.logger.error('Config migration failed', error, {
+                method: 'setDefaultsForMissingKeys',
+            });
+        }
+
         const syncKeys = getKeysByScope('sync');
         const localKeys = getKeysByScope('local');
 
@@ -391,6 +418,197 @@ class ConfigService {
         }
     }
 
+    /**
+     * Brings stored settings up to the current schema version by running
+     * the pending migrations in order. The values a migration changes are
+     * backed up in local storage before it is written, and the stored
+     * version is updated after it, so an interrupted run resumes at the
+     * failed migration.
+     * @param {object} [options]
+     * @param {boolean} [options.dryRun=false] - Report the changes without
+     *   writing them
+     * @returns {Promise<object>} `{fromVersion, toVersion, dryRun, migrations}`
+     *   with the changes of each migration
+     */
+    async runMigrations({ dryRun = false } = {}) {
+        const context = { method: 'runMigrations' };
+        const stored = await this.getFromStorage(
+            'sync',
+            [CONFIG_VERSION_KEY],
+            context
+        );
+        const fromVersion = stored[CONFIG_VERSION_KEY] || 0;
+        const pending = getPendingMigrations(fromVersion);
+        const report = {
+            fromVersion,
+            toVersion: fromVersion,
+            dryRun,
+            migrations: [],
+        };
+        if (pending.length === 0) {
+            return report;
+        }
+
+        const keys = getMigrationKeys(pending);
+        let items = {
+            sync:
+                keys.sync.length > 0
+                    ? await this.getFromStorage('sync', keys.sync, context)
+                    : {},
+            local:
+                keys.local.length > 0
+                    ? await this.getFromStorage('local', keys.local, context)
+                    : {},
+        };
+
+        for (const migration of pending) {
+            const result = applyMigration(migration, items);
+            report.migrations.push({
+                version: migration.version,
+                description: migration.description,
+                changes: result.changes,
+            });
+
+            if (!dryRun && result.changes.length > 0) {
+                await this._backupBeforeMigration(
+                    migration,
+                    items,
+                    report.toVersion
+                );
+                await this._writeMigration(items, result.items, context);
+            }
+            if (!dryRun) {
+                await this.setToStorage(
+                    'sync',
+                    { [CONFIG_VERSION_KEY]: migration.version },
+                    context
+                );
+            }
+
+            this.logger.info('Config migration applied', {
+                version: migration.version,
+                description: migration.description,
+                changes: result.changes.length,
+                dryRun,
+            });
+            items = result.items;
+            report.toVersion = migration.version;
+        }
+
+        return report;
+    }
+
+    /**
+     * Stores the values a migration touches before it runs
+     * @private
+     */
+    async _backupBeforeMigration(migration, items, fromVersion) {
+        const keys = getMigrationKeys([migration]);
+        const pick = (area) =>
+            Object.fromEntries(
+                keys[area]
+                    .filter((key) =>
+                        Object.prototype.hasOwnProperty.call(items[area], key)
+                    )
+                    .map((key) => [key, items[area][key]])
+            );
+        const context = { method: 'runMigrations', operation: 'backup' };
+        const stored = await this.getFromStorage(
+            'local',
+            [MIGRATION_BACKUPS_KEY],
+            context
+        );
+
+        await this.setToStorage(
+            'local',
+            {
+                [MIGRATION_BACKUPS_KEY]: {
+                    ...stored[MIGRATION_BACKUPS_KEY],
+                    [migration.version]: {
+                        fromVersion,
+                        createdAt: Date.now(),
+                        keys,
+                        sync: pick('sync'),
+                        local: pick('local'),
+                    },
+                },
+            },
+            context
+        );
+    }
+
+    /**
+     * Writes the difference between stored and migrated values
+     * @private
+     */
+    async _writeMigration(before, after, context) {
+        for (const area of ['sync', 'local']) {
+            const changed = Object.fromEntries(
+                Object.entries(after[area]).filter(
+                    ([key, value]) => before[area][key] !== value
+                )
+            );
+            const removed = Object.keys(before[area]).filter(
+                (key) => !Object.prototype.hasOwnProperty.call(after[area], key)
+            );
+            if (Object.keys(changed).length > 0) {
+                await this.setToStorage(area, changed, context);
+            }
+            if (removed.length > 0) {
+                await this.removeFromStorage(area, removed, context);
+            }
+        }
+    }
+
+    /**
+     * Gets the snapshots taken before each migration
+     * @returns {Promise<object>} Backups by the version they migrated to
+     */
+    async getMigrationBackups() {
+        const stored = await this.getFromStorage(
+            'local',
+            [MIGRATION_BACKUPS_KEY],
+            { method: 'getMigrationBackups' }
+        );
+        return stored[MIGRATION_BACKUPS_KEY] || {};
+    }
+
+    /**
+     * Restores the settings a migration changed and the schema version
+     * before it, so the migration runs again on the next update
+     * @param {number} version - Version of the migration to undo
+     * @returns {Promise<void>}
+     */
+    async restoreMigrationBackup(version) {
+        const backup = (await this.getMigrationBackups())[version];
+        if (!backup) {
+            throw new Error(`No backup for config migration ${version}`);
+        }
+
+        const context = { method: 'restoreMigrationBackup', version };
+        for (const area of ['sync', 'local']) {
+            const missing = backup.keys[area].filter(
+                (key) =>
+                    !Object.prototype.hasOwnProperty.call(backup[area], key)
+            );
+            if (Object.keys(backup[area]).length > 0) {
+                await this.setToStorage(area, backup[area], context);
+            }
+            if (missing.length > 0) {
+                await this.removeFromStorage(area, missing, context);
+            }
+        }
+        await this.setToStorage(
+            'sync',
+            { [CONFIG_VERSION_KEY]: backup.fromVersion },
+            context
+        );
+        this.logger.info('Config migration backup restored', {
+            version,
+            fromVersion: backup.fromVersion,
+        });
+    }
+
     /**
      * Checks if Chrome storage API is available for the specified area
      * @param {string} area - 'sync' or 'local'
@@ -771,9 +989,10 @@ class ConfigService {
     /**
      * Retrieves multiple settings by their keys
      * @param {string[]} keys - Array of setting keys to retrieve
+     * @param {{platform?: string, title?: string}} [context] - Platform and show the settings are used for; their overrides replace the global values
      * @returns {Promise<object>} A promise that resolves with an object containing the requested settings
      */
-    async getMultiple(keys) {
+    async getMultiple(keys, context) {
         this.logger.debug(`getMultiple() called`, {
             keys,
             keyCount: keys.length,
@@ -846,6 +1065,13 @@ class ConfigService {
                 resultCount: Object.keys(result).length,
             });
 
+            if (context) {
+                const overrides = keys.includes('settingsOverrides')
+                    ? result.settingsOverrides
+                    : await this.get('settingsOverrides');
+                this._applyOverrides(result, overrides, context);
+            }
+
             return result;
         } catch (error) {
             this.logger.error(`Error in getMultiple`, error, {
@@ -860,9 +1086,10 @@ class ConfigService {
 
     /**
      * Retrieves all settings, applying defaults for any unset values.
+     * @param {{platform?: string, title?: string}} [context] - Platform and show the settings are used for; their overrides replace the global values
      * @returns {Promise<object>} A promise that resolves with an object of all settings.
      */
-    async getAll() {
+    async getAll(context) {
         this.logger.debug(`getAll() called`);
 
         const syncKeys = getKeysByScope('sync');
@@ -914,6 +1141,14 @@ class ConfigService {
                 localItemsRetrieved: Object.keys(localItems).length,
             });
 
+            if (context) {
+                this._applyOverrides(
+                    fullConfig,
+                    fullConfig.settingsOverrides,
+                    context
+                );
+            }
+
             return fullConfig;
         } catch (error) {
             this.logger.error('Error getting all settings', error, {
@@ -1238,6 +1473,303 @@ class ConfigService {
         }
     }
 
+    /**
+     * Replace settings with the overrides of a platform and show
+     * @private
+     * @param {object} settings - Resolved settings, changed in place
+     * @param {object} overrides - `settingsOverrides` setting
+     * @param {{platform?: string, title?: string}} context - Platform and show
+     * @returns {object} The settings
+     */
+    _applyOverrides(settings, overrides, context) {
+        const overriding = getOverrideSettings(overrides, context);
+        const applied = Object.keys(overriding).filter((key) =>
+            Object.prototype.hasOwnProperty.call(settings, key)
+        );
+        applied.forEach((key) => {
+            settings[key] = overriding[key];
+        });
+
+        if (applied.length > 0) {
+            this.logger.debug(`Applied settings overrides`, {
+                platform: context.platform,
+                hasTitle: !!context.title,
+                overriddenKeys: applied,
+            });
+        }
+        return settings;
+    }
+
+    /**
+     * Gets the settings overriding the global ones on a platform and show
+     * @param {{platform?: string, title?: string}} context - Platform and show
+     * @returns {Promise<object>} Overriding settings, empty when none apply
+     */
+    async getOverrides(context) {
+        return getOverrideSettings(
+            await this.get('settingsOverrides'),
+            context
+        );
+    }
+
+    /**
+     * Saves the override of a platform or a show. Empty settings remove it.
+     * @param {{platform?: string, title?: string}} target - Platform name or show title
+     * @param {object} settings - Settings replacing the global values
+     * @returns {Promise<void>}
+     * @throws {Error} If the target is missing or a setting is invalid
+     */
+    async setOverride(target, settings) {
+        const { settings: validSettings, errors } =
+            validateProfileSettings(settings);
+        if (errors.length > 0) {
+            const error = new Error(
+                `Invalid override settings: ${errors.map((e) => e.key).join(', ')}`
+            );
+            error.validationErrors = errors;
+            this.logger.error(error.message, error, {
+                method: 'setOverride',
+                target,
+                validationErrors: errors,
+            });
+            throw error;
+        }
+
+        const current = await this.get('settingsOverrides');
+        const overrides = {
+            platforms: { ...current?.platforms },
+            titles: { ...current?.titles },
+        };
+        const isEmpty = Object.keys(validSettings).length === 0;
+
+        if (target?.platform) {
+            if (isEmpty) {
+                delete overrides.platforms[target.platform];
+            } else {
+                overrides.platforms[target.platform] = validSettings;
+            }
+        } else if (normalizeTitle(target?.title)) {
+            const titleKey = normalizeTitle(target.title);
+            if (isEmpty) {
+                delete overrides.titles[titleKey];
+            } else {
+                overrides.titles[titleKey] = {
+                    title: target.title.trim(),
+                    settings: validSettings,
+                };
+            }
+        } else {
+            throw new Error('An override needs a platform or a title');
+        }
+
+        await this.set('settingsOverrides', overrides);
+        this.logger.debug(`setOverride() completed`, {
+            target,
+            keys: Object.keys(validSettings),
+            removed: isEmpty,
+        });
+    }
+
+    /**
+     * Removes the override of a platform or a show
+     * @param {{platform?: string, title?: string}} target - Platform name or show title
+     * @returns {Promise<void>}
+     */
+    async removeOverride(target) {
+        await this.setOverride(target, {});
+    }
+
+    /**
+     * Lists the saved settings profiles, sorted by name
+     * @returns {Promise<Array<{id: string, name: string, updatedAt: number, settingCount: number, active: boolean}>>}
+     */
+    async listProfiles() {
+        const { settingsProfiles, activeSettingsProfile } =
+            await this.getMultiple([
+                'settingsProfiles',
+                'activeSettingsProfile',
+            ]);
+        return Object.entries(settingsProfiles || {})
+            .map(([id, profile]) => ({
+                id,
+                name: profile.name,
+                updatedAt: profile.updatedAt,
+                settingCount: Object.keys(profile.settings || {}).length,
+                active: id === activeSettingsProfile,
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Saves the current global settings as a profile. A profile with the
+     * same name is replaced.
+     * @param {string} name - Profile name
+     * @returns {Promise<string>} The profile ID
+     * @throws {Error} If the name is empty
+     */
+    async saveProfile(name) {
+        const settings = await this.getMultiple(getProfileKeys());
+        return this._storeProfile(name, settings);
+    }
+
+    /**
+     * Makes a profile's settings the current global settings
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<void>}
+     * @throws {Error} If the profile does not exist
+     */
+    async applyProfile(profileId) {
+        const profiles = await this.get('settingsProfiles');
+        const profile = profiles?.[profileId];
+        if (!profile) {
+            throw new Error(`Unknown settings profile "${profileId}"`);
+        }
+
+        const { settings, errors } = validateProfileSettings(profile.settings);
+        if (errors.length > 0) {
+            this.logger.warn(`Skipping invalid settings in profile`, {
+                method: 'applyProfile',
+                profileId,
+                skippedKeys: errors.map((e) => e.key),
+            });
+        }
+
+        await this.setMultiple({
+            ...settings,
+            activeSettingsProfile: profileId,
+        });
+        this.logger.info(`Applied settings profile`, {
+            profileId,
+            settingCount: Object.keys(settings).length,
+        });
+    }
+
+    /**
+     * Deletes a profile
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<void>}
+     */
+    async deleteProfile(profileId) {
+        const { settingsProfiles, activeSettingsProfile } =
+            await this.getMultiple([
+                'settingsProfiles',
+                'activeSettingsProfile',
+            ]);
+        const profiles = { ...settingsProfiles };
+        delete profiles[profileId];
+
+        await this.setMultiple({
+            settingsProfiles: profiles,
+            activeSettingsProfile:
+                activeSettingsProfile === profileId
+                    ? ''
+                    : activeSettingsProfile,
+        });
+    }
+
+    /**
+     * Builds a profile file from a saved profile, or from the current
+     * global settings when no profile ID is given. API keys and tokens
+     * live in the API key vault, so the caller passes them in.
+     * @param {string} [profileId] - Profile ID
+     * @param {{name?: string, includeSecrets?: boolean, secrets?: object}} [options] - File name of the current settings, whether to keep API keys and tokens, and the keys and tokens from the vault
+     * @returns {Promise<object>} Profile file contents
+     * @throws {Error} If the profile does not exist
+     */
+    async exportProfile(
+        profileId,
+        { name = '', includeSecrets = false, secrets = {} } = {}
+    ) {
+        if (!profileId) {
+            const settings = await this.getMultiple(getProfileKeys());
+            return buildProfileExport(
+                name,
+                { ...settings, ...secrets },
+                includeSecrets
+            );
+        }
+
+        const profiles = await this.get('settingsProfiles');
+        const profile = profiles?.[profileId];
+        if (!profile) {
+            throw new Error(`Unknown settings profile "${profileId}"`);
+        }
+        return buildProfileExport(
+            profile.name,
+            { ...profile.settings, ...secrets },
+            includeSecrets
+        );
+    }
+
+    /**
+     * Saves a profile file as a profile. Settings failing validateSetting
+     * are skipped and reported. API keys and tokens in the file are not
+     * stored with the profile but returned, for the API key vault.
+     * @param {string|object} data - Profile file contents
+     * @param {{name?: string, apply?: boolean}} [options] - Profile name (defaults to the file's) and whether to apply it right away
+     * @returns {Promise<{id: string, name: string, skipped: Array<{key: string, error: string}>, secrets: object}>}
+     * @throws {Error} If the data is not a profile file or holds no valid setting
+     */
+    async importProfile(data, { name = '', apply = false } = {}) {
+        const parsed = parseProfileImport(data);
+        if (Object.keys(parsed.settings).length === 0) {
+            throw new Error('The profile file contains no valid settings');
+        }
+        if (parsed.errors.length > 0) {
+            this.logger.warn(`Skipping invalid settings in imported profile`, {
+                method: 'importProfile',
+                skippedKeys: parsed.errors.map((e) => e.key),
+            });
+        }
+
+        const profileName = name.trim() || parsed.name || 'Imported profile';
+        const id = await this._storeProfile(profileName, parsed.settings);
+        if (apply) {
+            await this.applyProfile(id);
+        }
+        const secrets = Object.fromEntries(
+            getSecretKeys()
+                .filter((key) => parsed.settings[key])
+                .map((key) => [key, parsed.settings[key]])
+        );
+        return { id, name: profileName, skipped: parsed.errors, secrets };
+    }
+
+    /**
+     * @private
+     * @param {string} name - Profile name
+     * @param {object} allSettings - Valid profile settings; API keys and tokens are left out
+     * @returns {Promise<string>} The profile ID
+     */
+    async _storeProfile(name, allSettings) {
+        const profileName = String(name || '').trim();
+        if (!profileName) {
+            throw new Error('A settings profile needs a name');
+        }
+
+        const secretKeys = getSecretKeys();
+        const settings = Object.fromEntries(
+            Object.entries(allSettings).filter(
+                ([key]) => !secretKeys.includes(key)
+            )
+        );
+
+        const profiles = { ...(await this.get('settingsProfiles')) };
+        const id =
+            Object.keys(profiles).find(
+                (profileId) => profiles[profileId].name === profileName
+            ) ||
+            `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+        profiles[id] = { name: profileName, settings, updatedAt: Date.now() };
+
+        await this.set('settingsProfiles', profiles);
+        this.logger.debug(`Settings profile saved`, {
+            id,
+            settingCount: Object.keys(settings).length,
+        });
+        return id;
+    }
+
     /**
      * Listens for changes to any settings defined in the schema.
      * @param {function(object)} callback - The function to call with an object of the changed keys and their new values.
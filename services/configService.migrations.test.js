@@ -0,0 +1,93 @@
+// services/configService.migrations.test.js
+import { configService } from './configService.js';
+import {
+    CONFIG_VERSION_KEY,
+    CONFIG_SCHEMA_VERSION,
+    MIGRATION_BACKUPS_KEY,
+} from '../config/configMigrations.js';
+
+const stored = (keys) => chrome.storage.sync.get(keys);
+
+describe('ConfigService migrations', () => {
+    beforeEach(async () => {
+        chrome.runtime.lastError = null;
+        await chrome.storage.local.clear();
+    });
+
+    test('reports pending changes in a dry run without writing them', async () => {
+        await chrome.storage.sync.set({ openaieDelay: 300 });
+
+        const report = await configService.runMigrations({ dryRun: true });
+
+        expect(report).toMatchObject({
+            fromVersion: 0,
+            toVersion: CONFIG_SCHEMA_VERSION,
+            dryRun: true,
+        });
+        expect(report.migrations[0].changes).toEqual([
+            {
+                type: 'rename',
+                from: 'openaieDelay',
+                to: 'openaiDelay',
+                value: 300,
+                kept: false,
+            },
+        ]);
+        expect(await stored(['openaieDelay', CONFIG_VERSION_KEY])).toEqual({
+            openaieDelay: 300,
+        });
+    });
+
+    test('migrates before setting defaults and backs up first', async () => {
+        await chrome.storage.sync.set({
+            openaieBatchSize: 16,
+            useNativeSubtitles: false,
+        });
+
+        await configService.setDefaultsForMissingKeys();
+
+        expect(
+            await stored([
+                'openaieBatchSize',
+                'openaiBatchSize',
+                'useNativeSubtitles',
+                'useOfficialTranslations',
+                CONFIG_VERSION_KEY,
+            ])
+        ).toEqual({
+            openaiBatchSize: 16,
+            // Without a newer value the legacy one carries over
+            useOfficialTranslations: false,
+            [CONFIG_VERSION_KEY]: CONFIG_SCHEMA_VERSION,
+        });
+        const backups = await configService.getMigrationBackups();
+        expect(backups[1]).toMatchObject({
+            fromVersion: 0,
+            sync: { openaieBatchSize: 16, useNativeSubtitles: false },
+        });
+
+        // Nothing is left to run
+        expect((await configService.runMigrations()).migrations).toHaveLength(
+            0
+        );
+    });
+
+    test('restores the settings from before a migration', async () => {
+        await chrome.storage.sync.set({ openaieDelay: 300 });
+        await configService.runMigrations();
+
+        await configService.restoreMigrationBackup(1);
+
+        expect(
+            await stored(['openaieDelay', 'openaiDelay', CONFIG_VERSION_KEY])
+        ).toEqual({ openaieDelay: 300, [CONFIG_VERSION_KEY]: 0 });
+        await expect(configService.restoreMigrationBackup(7)).rejects.toThrow(
+            'No backup for config migration 7'
+        );
+        expect(
+            (await chrome.storage.local.get(MIGRATION_BACKUPS_KEY))[
+                MIGRATION_BACKUPS_KEY
+            ]
+        ).toHaveProperty('1');
+    });
+});
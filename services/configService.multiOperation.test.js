@@ -2,6 +2,10 @@
 import { jest } from '@jest/globals';
 import { configService } from './configService.js';
 import { configSchema } from '../config/configSchema.js';
+import {
+    CONFIG_VERSION_KEY,
+    CONFIG_SCHEMA_VERSION,
+} from '../config/configMigrations.js';
 
 // Mock Chrome storage API
 const mockChromeStorage = {
@@ -482,10 +486,19 @@ describe('ConfigService Multi-Operation Error Handling', () => {
                 callback({ localKey1: 'existingValue2' });
             });
 
+            mockChromeStorage.sync.set.mockImplementation((items, callback) => {
+                callback();
+            });
+
             await configService.setDefaultsForMissingKeys();
 
             expect(configService.isInitialized).toBe(true);
-            expect(mockChromeStorage.sync.set).not.toHaveBeenCalled();
+            // Only the schema version of the stored settings is written
+            expect(mockChromeStorage.sync.set).toHaveBeenCalledTimes(1);
+            expect(mockChromeStorage.sync.set).toHaveBeenCalledWith(
+                { [CONFIG_VERSION_KEY]: CONFIG_SCHEMA_VERSION },
+                expect.any(Function)
+            );
             expect(mockChromeStorage.local.set).not.toHaveBeenCalled();
 
             // Restore original schema
@@ -0,0 +1,221 @@
+// services/configService.profiles.test.js
+import { configService } from './configService.js';
+import {
+    getProfileKeys,
+    getOverrideSettings,
+    buildProfileExport,
+    parseProfileImport,
+} from '../utils/settingsProfiles.js';
+
+describe('settings profile helpers', () => {
+    const overrides = {
+        platforms: {
+            netflix: { subtitleFontSize: 2, selectedProvider: 'deepl' },
+        },
+        titles: {
+            'the crown': {
+                title: 'The Crown',
+                settings: { targetLanguage: 'ja', subtitleFontSize: 'big' },
+            },
+        },
+    };
+
+    test('layers title overrides over platform overrides', () => {
+        expect(
+            getOverrideSettings(overrides, {
+                platform: 'netflix',
+                title: '  The   CROWN ',
+            })
+        ).toEqual({
+            // The invalid title font size does not hide the platform's
+            subtitleFontSize: 2,
+            selectedProvider: 'deepl',
+            targetLanguage: 'ja',
+        });
+        expect(
+            getOverrideSettings(overrides, { platform: 'youtube', title: '' })
+        ).toEqual({});
+        expect(getOverrideSettings(overrides, null)).toEqual({});
+    });
+
+    test('leaves secrets out of exports unless asked', () => {
+        const settings = {
+            deeplApiKey: 'secret',
+            targetLanguage: 'es',
+            subtitleSyncOffsets: { v1: {} },
+        };
+
+        const exported = buildProfileExport('Evening', settings);
+        expect(exported).toMatchObject({
+            format: 'dualsub-profile',
+            version: 1,
+            name: 'Evening',
+            settings: { targetLanguage: 'es' },
+        });
+        expect(exported.settings).not.toHaveProperty('deeplApiKey');
+        expect(exported.settings).not.toHaveProperty('subtitleSyncOffsets');
+        expect(
+            buildProfileExport('Evening', settings, true).settings
+        ).toHaveProperty('deeplApiKey', 'secret');
+        expect(getProfileKeys()).not.toContain('settingsProfiles');
+    });
+
+    test('validates imported settings', () => {
+        const parsed = parseProfileImport(
+            JSON.stringify({
+                format: 'dualsub-profile',
+                version: 1,
+                name: ' Shared ',
+                settings: {
+                    targetLanguage: 'ko',
+                    subtitleFontSize: '24',
+                    loggingLevel: 9,
+                    notASetting: true,
+                },
+            })
+        );
+
+        expect(parsed.name).toBe('Shared');
+        expect(parsed.settings).toEqual({ targetLanguage: 'ko' });
+        expect(parsed.errors.map((e) => e.key)).toEqual([
+            'subtitleFontSize',
+            'loggingLevel',
+            'notASetting',
+        ]);
+        expect(() => parseProfileImport('{"settings": {}}')).toThrow(
+            'Not a DualSub profile file'
+        );
+        expect(() => parseProfileImport('not json')).toThrow();
+    });
+});
+
+describe('ConfigService profiles and overrides', () => {
+    beforeEach(async () => {
+        chrome.runtime.lastError = null;
+        await chrome.storage.local.clear();
+    });
+
+    test('resolves platform and title overrides at read time', async () => {
+        await configService.setMultiple({
+            subtitleFontSize: 1.2,
+            targetLanguage: 'es',
+        });
+        await configService.setOverride(
+            { platform: 'netflix' },
+            { subtitleFontSize: 2.4 }
+        );
+        await configService.setOverride(
+            { title: 'Dark' },
+            { targetLanguage: 'de' }
+        );
+
+        const keys = ['subtitleFontSize', 'targetLanguage'];
+        expect(await configService.getMultiple(keys)).toEqual({
+            subtitleFontSize: 1.2,
+            targetLanguage: 'es',
+        });
+        expect(
+            await configService.getMultiple(keys, { platform: 'netflix' })
+        ).toEqual({ subtitleFontSize: 2.4, targetLanguage: 'es' });
+
+        const all = await configService.getAll({
+            platform: 'netflix',
+            title: 'dark',
+        });
+        expect(all.subtitleFontSize).toBe(2.4);
+        expect(all.targetLanguage).toBe('de');
+
+        await configService.removeOverride({ platform: 'netflix' });
+        expect(
+            await configService.getOverrides({
+                platform: 'netflix',
+                title: 'Dark',
+            })
+        ).toEqual({ targetLanguage: 'de' });
+    });
+
+    test('rejects invalid override settings', async () => {
+        await expect(
+            configService.setOverride(
+                { platform: 'netflix' },
+                { subtitleFontSize: 'large' }
+            )
+        ).rejects.toThrow('Invalid override settings: subtitleFontSize');
+        await expect(
+            configService.setOverride({}, { subtitleFontSize: 2 })
+        ).rejects.toThrow('An override needs a platform or a title');
+    });
+
+    test('saves, applies and deletes profiles', async () => {
+        await configService.set('subtitleFontSize', 1.8);
+        const id = await configService.saveProfile('Big text');
+        await configService.set('subtitleFontSize', 2.2);
+        // Saving under the same name replaces the profile
+        expect(await configService.saveProfile('Big text')).toBe(id);
+
+        await configService.set('subtitleFontSize', 1.2);
+        const other = await configService.saveProfile('Small text');
+
+        await configService.applyProfile(id);
+        expect(await configService.get('subtitleFontSize')).toBe(2.2);
+        await configService.applyProfile(other);
+        expect(await configService.get('subtitleFontSize')).toBe(1.2);
+
+        const profiles = await configService.listProfiles();
+        expect(profiles.map((p) => [p.name, p.active])).toEqual([
+            ['Big text', false],
+            ['Small text', true],
+        ]);
+
+        await configService.deleteProfile(other);
+        expect(await configService.get('activeSettingsProfile')).toBe('');
+        await expect(configService.applyProfile(other)).rejects.toThrow(
+            'Unknown settings profile'
+        );
+    });
+
+    test('round-trips a profile through export and import', async () => {
+        await configService.setMultiple({
+            targetLanguage: 'fr',
+            deeplApiKey: 'my-key',
+        });
+        const file = await configService.exportProfile(null, {
+            name: 'Laptop',
+        });
+        expect(file.settings.targetLanguage).toBe('fr');
+        expect(file.settings).not.toHaveProperty('deeplApiKey');
+
+        await configService.set('targetLanguage', 'it');
+        file.settings.subtitleFontSize = 'huge';
+        const result = await configService.importProfile(JSON.stringify(file), {
+            apply: true,
+        });
+
+        expect(result.name).toBe('Laptop');
+        expect(result.skipped).toEqual([
+            { key: 'subtitleFontSize', error: 'invalid_value' },
+        ]);
+        expect(await configService.get('targetLanguage')).toBe('fr');
+        // Settings left out of the file keep their value
+        expect(await configService.get('deeplApiKey')).toBe('my-key');
+        expect(await configService.get('activeSettingsProfile')).toBe(
+            result.id
+        );
+    });
+
+    test('keeps API keys out of saved profiles', async () => {
+        await configService.set('targetLanguage', 'fr');
+        const file = await configService.exportProfile(null, {
+            name: 'With keys',
+            includeSecrets: true,
+            secrets: { deeplApiKey: 'vault-key' },
+        });
+        expect(file.settings.deeplApiKey).toBe('vault-key');
+
+        const result = await configService.importProfile(file);
+        expect(result.secrets).toEqual({ deeplApiKey: 'vault-key' });
+        const profiles = await configService.get('settingsProfiles');
+        expect(profiles[result.id].settings).not.toHaveProperty('deeplApiKey');
+        expect(profiles[result.id].settings.targetLanguage).toBe('fr');
+    });
+});
@@ -21,6 +21,7 @@ import { TestHelpers } from '../test-utils/test-helpers.js';
 // We'll mock configService functions in the tests directly
 
 import { apiKeyManager } from './apiKeyManager.js';
+import { apiKeyVault } from './apiKeyVault.js';
 import {
     contextPreferencesManager,
     CONTEXT_TYPES,
@@ -100,15 +101,18 @@ describe('Configuration & Settings Integration', () => {
             const apiKey =
                 'sk-1234567890abcdef1234567890abcdef1234567890abcdef';
 
-            configService.set.mockResolvedValue(true);
-            configService.get.mockResolvedValue('obfuscated-key-data');
+            jest.spyOn(apiKeyVault, 'setSecret').mockResolvedValue();
+            jest.spyOn(apiKeyVault, 'getSecret').mockResolvedValue(apiKey);
 
             const stored = await apiKeyManager.storeAPIKey('openai', apiKey);
             expect(stored).toBe(true);
-            expect(configService.set).toHaveBeenCalledWith(
+            expect(apiKeyVault.setSecret).toHaveBeenCalledWith(
                 'openaiApiKey',
-                expect.any(String)
+                apiKey
             );
+
+            apiKeyManager.clearCache();
+            expect(await apiKeyManager.getAPIKey('openai')).toBe(apiKey);
         });
 
         test('should handle invalid API key storage', async () => {
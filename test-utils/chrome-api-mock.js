@@ -10,6 +10,7 @@ import { jest } from '@jest/globals';
 class ChromeStorageMock {
     constructor() {
         this.data = new Map();
+        this.sessionData = new Map();
         this.listeners = [];
     }
 
@@ -111,6 +112,42 @@ class ChromeStorageMock {
         }),
     };
 
+    // Session storage is its own area, kept in memory by the browser
+    session = {
+        get: jest.fn((keys, callback) => {
+            const result = {};
+            (typeof keys === 'string' ? [keys] : keys).forEach((key) => {
+                if (this.sessionData.has(key)) {
+                    result[key] = this.sessionData.get(key);
+                }
+            });
+            if (callback) callback(result);
+            return Promise.resolve(result);
+        }),
+
+        set: jest.fn((items, callback) => {
+            Object.keys(items).forEach((key) => {
+                this.sessionData.set(key, items[key]);
+            });
+            if (callback) callback();
+            return Promise.resolve();
+        }),
+
+        remove: jest.fn((keys, callback) => {
+            (typeof keys === 'string' ? [keys] : keys).forEach((key) => {
+                this.sessionData.delete(key);
+            });
+            if (callback) callback();
+            return Promise.resolve();
+        }),
+
+        clear: jest.fn((callback) => {
+            this.sessionData.clear();
+            if (callback) callback();
+            return Promise.resolve();
+        }),
+    };
+
     onChanged = {
         addListener: jest.fn((listener) => {
             this.listeners.push(listener);
@@ -128,6 +165,7 @@ class ChromeStorageMock {
      */
     reset() {
         this.data.clear();
+        this.sessionData.clear();
         this.listeners = [];
         jest.clearAllMocks();
     }
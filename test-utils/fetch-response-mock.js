@@ -0,0 +1,43 @@
+/**
+ * Fetch Response Mocks
+ *
+ * Minimal fetch responses for provider tests that mock `global.fetch`.
+ */
+
+/**
+ * Builds a fetch response with a JSON body.
+ * @param {*} data - Response body
+ * @param {number} [status=200] - HTTP status
+ * @returns {Object} Fetch response
+ */
+export function mockJsonResponse(data, status = 200) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => data,
+        text: async () => JSON.stringify(data),
+    };
+}
+
+/**
+ * Builds a fetch response whose body streams the given chunks, split at
+ * arbitrary points like a real network stream.
+ * @param {string[]} chunks - Body chunks, in order
+ * @returns {Object} Fetch response
+ */
+export function mockStreamingResponse(chunks) {
+    const encoder = new TextEncoder();
+    const queue = chunks.map((chunk) => encoder.encode(chunk));
+    return {
+        ok: true,
+        status: 200,
+        body: {
+            getReader: () => ({
+                read: async () =>
+                    queue.length > 0
+                        ? { done: false, value: queue.shift() }
+                        : { done: true, value: undefined },
+            }),
+        },
+    };
+}
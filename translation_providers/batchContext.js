@@ -0,0 +1,51 @@
+// disneyplus-dualsub-chrome-extension/translation_providers/batchContext.js
+
+/**
+ * Formats the batch context built by `UniversalBatchProcessor.getBatchContext`
+ * as a prompt section for LLM providers.
+ *
+ * @param {Object|null|undefined} context Batch context
+ * @param {string|null} [context.title] Show or video title
+ * @param {string|null} [context.episode] Episode name
+ * @param {Array<{original: string, translated: string}>} [context.previousCues] Cues right before the batch, already translated
+ * @param {Array<{term: string, translation: string}>} [context.glossary] Fixed translations for names and terms
+ * @returns {string} Prompt section, or an empty string when there is no context
+ */
+export function formatBatchContext(context) {
+    if (!context) {
+        return '';
+    }
+
+    const sections = [];
+    if (context.title) {
+        sections.push(
+            `Show: ${context.title}${context.episode ? ` - ${context.episode}` : ''}`
+        );
+    }
+    if (context.glossary?.length > 0) {
+        sections.push(
+            [
+                'Glossary (always use these translations):',
+                ...context.glossary.map(
+                    ({ term, translation }) => `- ${term} = ${translation}`
+                ),
+            ].join('\n')
+        );
+    }
+    if (context.previousCues?.length > 0) {
+        sections.push(
+            [
+                'Preceding subtitles and their translations (keep names, pronouns and terms consistent with them):',
+                ...context.previousCues.map(
+                    ({ original, translated }) =>
+                        `- ${JSON.stringify(original)} -> ${JSON.stringify(translated)}`
+                ),
+            ].join('\n')
+        );
+    }
+
+    if (sections.length === 0) {
+        return '';
+    }
+    return `\n\nContext for consistent translation. Do not translate or repeat it:\n${sections.join('\n\n')}`;
+}
@@ -1,9 +1,12 @@
 // DeepL Translation Provider - Self-contained version for service worker compatibility
 
 import Logger from '../utils/logger.js';
+import { apiKeyVault } from '../services/apiKeyVault.js';
 
 const DEEPL_API_URL_PRO = 'https://api.deepl.com/v2/translate';
 const DEEPL_API_URL_FREE = 'https://api-free.deepl.com/v2/translate';
+const DEEPL_USAGE_URL_PRO = 'https://api.deepl.com/v2/usage';
+const DEEPL_USAGE_URL_FREE = 'https://api-free.deepl.com/v2/usage';
 
 // Initialize logger for DeepL translation provider
 const logger = Logger.create('DeepLTranslate');
@@ -159,8 +162,8 @@ export async function translate(text, sourceLang, targetLang) {
 
     try {
         // Get API credentials from storage with enhanced error handling
-        const { deeplApiKey: apiKey, deeplApiPlan: apiPlan } =
-            await new Promise((resolve, reject) => {
+        const { deeplApiPlan: apiPlan } = await new Promise(
+            (resolve, reject) => {
                 try {
                     if (typeof chrome === 'undefined' || !chrome.storage) {
                         reject(
@@ -169,20 +172,17 @@ export async function translate(text, sourceLang, targetLang) {
                         return;
                     }
 
-                    chrome.storage.sync.get(
-                        ['deeplApiKey', 'deeplApiPlan'],
-                        (result) => {
-                            if (chrome.runtime.lastError) {
-                                reject(
-                                    new Error(
-                                        `Storage error: ${chrome.runtime.lastError.message}`
-                                    )
-                                );
-                            } else {
-                                resolve(result);
-                            }
+                    chrome.storage.sync.get(['deeplApiPlan'], (result) => {
+                        if (chrome.runtime.lastError) {
+                            reject(
+                                new Error(
+                                    `Storage error: ${chrome.runtime.lastError.message}`
+                                )
+                            );
+                        } else {
+                            resolve(result);
                         }
-                    );
+                    });
                 } catch (storageError) {
                     reject(
                         new Error(
@@ -190,7 +190,9 @@ export async function translate(text, sourceLang, targetLang) {
                         )
                     );
                 }
-            });
+            }
+        );
+        const apiKey = await apiKeyVault.getSecret('deeplApiKey');
 
         if (!apiKey) {
             throw new Error(
@@ -303,3 +305,42 @@ export async function translate(text, sourceLang, targetLang) {
         handleDeepLError(error, envInfo);
     }
 }
+
+/**
+ * Fetches the character usage of the current billing period from the DeepL API.
+ *
+ * @returns {Promise<{characterCount: number, characterLimit: number}|null>} Usage, or null when no API key is set.
+ * @throws {Error} If the usage request fails.
+ */
+export async function getUsage() {
+    const apiKey = await apiKeyVault.getSecret('deeplApiKey');
+    const { deeplApiPlan: apiPlan } = await chrome.storage.sync.get([
+        'deeplApiPlan',
+    ]);
+    if (!apiKey) {
+        return null;
+    }
+
+    const response = await fetch(
+        apiPlan === 'pro' ? DEEPL_USAGE_URL_PRO : DEEPL_USAGE_URL_FREE,
+        {
+            headers: {
+                Authorization: `DeepL-Auth-Key ${apiKey}`,
+                'User-Agent': 'Dualsub/1.0.0',
+            },
+        }
+    );
+    if (!response.ok) {
+        throw new Error(`DeepL usage request failed: HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    logger.debug('DeepL usage fetched', {
+        characterCount: data.character_count,
+        characterLimit: data.character_limit,
+    });
+    return {
+        characterCount: data.character_count || 0,
+        characterLimit: data.character_limit || 0,
+    };
+}
@@ -1,6 +1,10 @@
 import Logger from '../utils/logger.js';
 import { configService } from '../services/configService.js';
+import { apiKeyVault } from '../services/apiKeyVault.js';
 import { autoRefreshIfNeeded } from '../utils/vertexAuth.js';
+import { formatBatchContext } from './batchContext.js';
+import { reportTokenUsage } from '../utils/usage.js';
+import { getReadingTargetName } from '../utils/pronunciation.js';
 
 // Initialize logger for the Vertex AI Gemini translation provider
 const logger = Logger.create('VertexGeminiTranslate');
@@ -14,24 +18,24 @@ const logger = Logger.create('VertexGeminiTranslate');
 async function getConfig() {
     logger.debug('Retrieving Vertex AI config via configService');
     const config = await configService.getMultiple([
-        'vertexAccessToken',
         'vertexProjectId',
         'vertexLocation',
         'vertexModel',
     ]);
     // test gpg sign
+    const accessToken = await apiKeyVault.getSecret('vertexAccessToken');
 
     const model = config.vertexModel || 'gemini-2.5-flash';
 
     logger.debug('Vertex AI configuration retrieved', {
-        hasAccessToken: !!config.vertexAccessToken,
+        hasAccessToken: !!accessToken,
         hasProjectId: !!config.vertexProjectId,
         location: config.vertexLocation,
         model,
     });
 
     return {
-        accessToken: config.vertexAccessToken,
+        accessToken,
         projectId: config.vertexProjectId,
         location: config.vertexLocation || 'us-central1',
         model,
@@ -164,6 +168,7 @@ export async function translate(text, sourceLang, targetLang) {
         }
 
         const data = await response.json();
+        reportTokenUsage('vertex_gemini', data);
         const responseText = data?.candidates?.[0]?.content?.parts?.[0]?.text || '';
         if (!responseText) {
             throw new Error('Empty response from Vertex AI');
@@ -189,13 +194,15 @@ export async function translate(text, sourceLang, targetLang) {
  * @param {string} sourceLang
  * @param {string} targetLang
  * @param {string} delimiter
+ * @param {Object|null} [context] Show, preceding cues and glossary (see `formatBatchContext`)
  * @returns {Promise<Array<string>>}
  */
 export async function translateBatch(
     texts,
     sourceLang,
     targetLang,
-    delimiter = '|SUBTITLE_BREAK|'
+    delimiter = '|SUBTITLE_BREAK|',
+    context = null
 ) {
     if (!Array.isArray(texts) || texts.length === 0) {
         throw new Error('Invalid texts array for batch translation');
@@ -231,7 +238,7 @@ Important:
 1. Preserve the number of segments and their order.
 2. Only return the translated segments, separated by the same delimiter "${delimiter}".
 3. Do not add the delimiter at the start or end.
-4. Keep style concise and natural for subtitles.`;
+4. Keep style concise and natural for subtitles.${formatBatchContext(context)}`;
 
         const requestBody = {
             contents: [
@@ -274,6 +281,7 @@ Important:
         }
 
         const data = await response.json();
+        reportTokenUsage('vertex_gemini', data);
         const responseText = data?.candidates?.[0]?.content?.parts?.[0]?.text || '';
         if (!responseText) {
             throw new Error('Empty response from Vertex AI');
@@ -352,5 +360,5 @@ function getLanguageName(langCode) {
         lt: 'Lithuanian',
         tr: 'Turkish',
     };
-    return map[langCode] || langCode;
+    return getReadingTargetName(langCode) || map[langCode] || langCode;
 }
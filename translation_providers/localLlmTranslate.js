@@ -0,0 +1,507 @@
+// disneyplus-dualsub-chrome-extension/translation_providers/localLlmTranslate.js
+
+import Logger from '../utils/logger.js';
+import { configService } from '../services/configService.js';
+import { formatBatchContext } from './batchContext.js';
+import { getReadingTargetName } from '../utils/pronunciation.js';
+
+// Initialize logger for the local LLM translation provider
+const logger = Logger.create('LocalLlmTranslate');
+
+/**
+ * API flavours spoken by local model servers.
+ * - `ollama`: Ollama's native API (`/api/tags`, `/api/chat`, NDJSON streaming)
+ * - `openai`: OpenAI-style local servers such as LM Studio, llama.cpp or vLLM
+ *   (`/v1/models`, `/v1/chat/completions`, SSE streaming)
+ */
+export const LocalLlmApiTypes = {
+    OLLAMA: 'ollama',
+    OPENAI: 'openai',
+};
+
+export const DEFAULT_BASE_URLS = {
+    [LocalLlmApiTypes.OLLAMA]: 'http://localhost:11434',
+    [LocalLlmApiTypes.OPENAI]: 'http://localhost:1234/v1',
+};
+
+const DEFAULT_DELIMITER = '|SUBTITLE_BREAK|';
+
+// Model picked by auto-discovery when none is configured, per endpoint
+const discoveredModels = new Map();
+
+/**
+ * Resolves the model list and chat endpoints for a server.
+ * @param {string} baseUrl - Server URL, e.g. 'http://localhost:11434'
+ * @param {string} apiType - One of `LocalLlmApiTypes`
+ * @returns {{baseUrl: string, modelsUrl: string, chatUrl: string}}
+ */
+export function getLocalLlmEndpoints(baseUrl, apiType) {
+    const type =
+        apiType === LocalLlmApiTypes.OPENAI
+            ? LocalLlmApiTypes.OPENAI
+            : LocalLlmApiTypes.OLLAMA;
+    const normalized = (
+        typeof baseUrl === 'string' && baseUrl.trim()
+            ? baseUrl.trim()
+            : DEFAULT_BASE_URLS[type]
+    ).replace(/[/\\]+$/, '');
+
+    if (type === LocalLlmApiTypes.OPENAI) {
+        const apiRoot = /\/v1$/.test(normalized)
+            ? normalized
+            : `${normalized}/v1`;
+        return {
+            baseUrl: normalized,
+            modelsUrl: `${apiRoot}/models`,
+            chatUrl: `${apiRoot}/chat/completions`,
+        };
+    }
+
+    return {
+        baseUrl: normalized,
+        modelsUrl: `${normalized}/api/tags`,
+        chatUrl: `${normalized}/api/chat`,
+    };
+}
+
+/**
+ * Turns a failed response into an error message that points at the usual
+ * local setup problems.
+ * @param {Response} response - Failed response
+ * @param {string} url - Requested URL
+ * @returns {Promise<Error>}
+ */
+async function createHttpError(response, url) {
+    let detail = '';
+    try {
+        const body = await response.text();
+        try {
+            const parsed = JSON.parse(body);
+            detail = parsed?.error?.message || parsed?.error || body;
+        } catch (_) {
+            detail = body;
+        }
+    } catch (_) {
+        // Body is optional for the error message
+    }
+    detail = String(detail || '').substring(0, 200);
+
+    logger.error('Local LLM server HTTP error', null, {
+        status: response.status,
+        url,
+        detail,
+    });
+
+    if (response.status === 403) {
+        return new Error(
+            'Local model server rejected the request (403). For Ollama, allow the extension origin, e.g. OLLAMA_ORIGINS=chrome-extension://*'
+        );
+    }
+    if (response.status === 404) {
+        return new Error(
+            `Local model server endpoint or model not found (404)${detail ? `: ${detail}` : ''}. Check the server type, base URL and model.`
+        );
+    }
+    return new Error(
+        `Local model server error ${response.status}${detail ? `: ${detail}` : ''}`
+    );
+}
+
+/**
+ * Wraps network failures, which almost always mean the server is not running.
+ * @param {Error} error - Error thrown by fetch
+ * @param {string} baseUrl - Server URL
+ * @returns {Error}
+ */
+function toConnectionError(error, baseUrl) {
+    if (error?.name === 'TypeError') {
+        return new Error(
+            `Local model server is not reachable at ${baseUrl}. Make sure Ollama or LM Studio is running.`
+        );
+    }
+    return error;
+}
+
+/**
+ * Lists the models installed on a local server.
+ * @param {string} baseUrl - Server URL
+ * @param {string} [apiType='ollama'] - One of `LocalLlmApiTypes`
+ * @returns {Promise<string[]>} Model names
+ */
+export async function fetchAvailableModels(
+    baseUrl,
+    apiType = LocalLlmApiTypes.OLLAMA
+) {
+    const endpoints = getLocalLlmEndpoints(baseUrl, apiType);
+
+    let response;
+    try {
+        response = await fetch(endpoints.modelsUrl, { method: 'GET' });
+    } catch (error) {
+        throw toConnectionError(error, endpoints.baseUrl);
+    }
+    if (!response.ok) {
+        throw await createHttpError(response, endpoints.modelsUrl);
+    }
+
+    const data = await response.json();
+    let models;
+    if (Array.isArray(data?.models)) {
+        // Ollama: { models: [{ name, model, ... }] }
+        models = data.models.map((model) => model.name || model.model);
+    } else if (Array.isArray(data?.data)) {
+        // OpenAI style: { data: [{ id, ... }] }
+        models = data.data.map((model) => model.id);
+    } else {
+        throw new Error('Unsupported models format');
+    }
+    models = models.filter(Boolean);
+
+    logger.info('Successfully fetched local models', {
+        apiType,
+        modelCount: models.length,
+        url: endpoints.modelsUrl,
+    });
+    return models;
+}
+
+/**
+ * Retrieves the configuration from storage using the config service.
+ * @returns {Promise<Object>} Configuration object with apiType, baseUrl and model.
+ */
+async function getConfig() {
+    const config = await configService.getMultiple([
+        'localLlmApiType',
+        'localLlmBaseUrl',
+        'localLlmModel',
+    ]);
+
+    return {
+        apiType: config.localLlmApiType || LocalLlmApiTypes.OLLAMA,
+        baseUrl: config.localLlmBaseUrl,
+        model: config.localLlmModel,
+    };
+}
+
+/**
+ * Uses the configured model, or the first installed one when none is set.
+ * @param {Object} config - Provider configuration
+ * @returns {Promise<string>}
+ */
+async function resolveModel(config) {
+    if (config.model) {
+        return config.model;
+    }
+
+    const { modelsUrl } = getLocalLlmEndpoints(config.baseUrl, config.apiType);
+    if (!discoveredModels.has(modelsUrl)) {
+        const models = await fetchAvailableModels(
+            config.baseUrl,
+            config.apiType
+        );
+        if (models.length === 0) {
+            throw new Error(
+                'No models are installed on the local model server. Pull or load a model first.'
+            );
+        }
+        discoveredModels.set(modelsUrl, models[0]);
+        logger.info('No model configured, using first installed model', {
+            model: models[0],
+        });
+    }
+    return discoveredModels.get(modelsUrl);
+}
+
+/**
+ * Extracts the generated text from one line of a streamed response. Handles
+ * Ollama NDJSON lines, OpenAI SSE `data:` lines and complete JSON bodies of
+ * servers that ignore `stream: true`.
+ * @param {string} line - One line of the response body
+ * @returns {string} Generated text in the line
+ */
+export function parseStreamLine(line) {
+    let payload = line.trim();
+    if (payload.startsWith('data:')) {
+        payload = payload.slice(5).trim();
+    }
+    if (!payload || payload === '[DONE]' || !payload.startsWith('{')) {
+        return '';
+    }
+
+    const data = JSON.parse(payload);
+    if (data.error) {
+        throw new Error(
+            `Local model error: ${data.error.message || data.error}`
+        );
+    }
+    return (
+        data.message?.content ??
+        data.choices?.[0]?.delta?.content ??
+        data.choices?.[0]?.message?.content ??
+        ''
+    );
+}
+
+/**
+ * Reads a streamed chat response and joins the generated text.
+ * @param {Response} response - Chat response
+ * @returns {Promise<string>}
+ */
+async function readStreamedContent(response) {
+    let content = '';
+    let buffer = '';
+    const consumeLines = (final) => {
+        const lines = buffer.split('\n');
+        buffer = final ? '' : lines.pop();
+        for (const line of lines) {
+            try {
+                content += parseStreamLine(line);
+            } catch (error) {
+                if (error instanceof SyntaxError) {
+                    logger.debug('Skipping unparsable stream line', {
+                        line: line.substring(0, 100),
+                    });
+                    continue;
+                }
+                throw error;
+            }
+        }
+    };
+
+    const reader = response.body?.getReader?.();
+    if (!reader) {
+        buffer = await response.text();
+        consumeLines(true);
+        return content;
+    }
+
+    const decoder = new TextDecoder();
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        consumeLines(false);
+    }
+    buffer += decoder.decode();
+    consumeLines(true);
+    return content;
+}
+
+/**
+ * Sends a chat request to the local server with streaming enabled.
+ * @param {Array<Object>} messages - Chat messages
+ * @param {Object} config - Provider configuration
+ * @returns {Promise<string>} Generated text
+ */
+async function streamChat(messages, config) {
+    const endpoints = getLocalLlmEndpoints(config.baseUrl, config.apiType);
+    const model = await resolveModel(config);
+    const requestBody =
+        config.apiType === LocalLlmApiTypes.OPENAI
+            ? { model, messages, temperature: 0.1, stream: true }
+            : { model, messages, stream: true, options: { temperature: 0.1 } };
+
+    logger.debug('Sending local model request', {
+        apiType: config.apiType,
+        model,
+        endpointUrl: endpoints.chatUrl,
+        messageCount: messages.length,
+    });
+
+    let response;
+    try {
+        response = await fetch(endpoints.chatUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(requestBody),
+        });
+    } catch (error) {
+        throw toConnectionError(error, endpoints.baseUrl);
+    }
+    if (!response.ok) {
+        throw await createHttpError(response, endpoints.chatUrl);
+    }
+
+    const content = (await readStreamedContent(response)).trim();
+    if (!content) {
+        throw new Error(
+            'Translation Error: Empty response from local model server.'
+        );
+    }
+    return content;
+}
+
+/**
+ * Translates text with a model running on a local server. No API key is
+ * needed and the text never leaves the machine or network.
+ *
+ * @param {string} text The text to translate.
+ * @param {string} sourceLang The source language code (e.g., 'auto', 'en').
+ * @param {string} targetLang The target language code (e.g., 'es', 'zh-CN').
+ * @returns {Promise<string>} A Promise that resolves with the translated text.
+ * @throws {Error} If the server cannot be reached or returns no translation.
+ */
+export async function translate(text, sourceLang, targetLang) {
+    logger.info('Translation request initiated', {
+        sourceLang,
+        targetLang,
+        textLength: text?.length || 0,
+    });
+
+    const config = await getConfig();
+    const systemPrompt = `You are a professional translator. Translate the given text accurately from ${getLanguageName(sourceLang)} to ${getLanguageName(targetLang)}. Only return the translated text without any additional comments, explanations, or formatting.`;
+
+    const translatedText = await streamChat(
+        [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: text },
+        ],
+        config
+    );
+
+    logger.info('Translation completed successfully', {
+        originalLength: text.length,
+        translatedLength: translatedText.length,
+        apiType: config.apiType,
+    });
+    return translatedText;
+}
+
+/**
+ * Translates multiple texts in a single request to the local model
+ * @param {Array<string>} texts Array of texts to translate
+ * @param {string} sourceLang The source language code (e.g., 'auto', 'en')
+ * @param {string} targetLang The target language code (e.g., 'es', 'zh-CN')
+ * @param {string} delimiter Delimiter to separate texts (default: '|SUBTITLE_BREAK|')
+ * @param {Object|null} [context] Show, preceding cues and glossary (see `formatBatchContext`)
+ * @returns {Promise<Array<string>>} A Promise that resolves with array of translated texts
+ */
+export async function translateBatch(
+    texts,
+    sourceLang,
+    targetLang,
+    delimiter = DEFAULT_DELIMITER,
+    context = null
+) {
+    if (!Array.isArray(texts) || texts.length === 0) {
+        throw new Error('Invalid texts array for batch translation');
+    }
+
+    if (texts.length === 1) {
+        return [await translate(texts[0], sourceLang, targetLang)];
+    }
+
+    try {
+        const config = await getConfig();
+        const systemPrompt = `You are a professional translator. Translate the following subtitle texts from ${getLanguageName(sourceLang)} to ${getLanguageName(targetLang)}. The texts are separated by "${delimiter}". Translate each segment individually and return the translations in the same order, separated by the same delimiter "${delimiter}".
+
+Important instructions:
+1. Return exactly as many segments as the input has.
+2. Keep the translations natural and appropriate for subtitles.
+3. Only return the translated texts separated by the delimiter, with no other text and no delimiter at the start or end.${formatBatchContext(context)}`;
+
+        const content = await streamChat(
+            [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: texts.join(delimiter) },
+            ],
+            config
+        );
+        const translations = parseBatchTranslationResponse(
+            content,
+            delimiter,
+            texts.length
+        );
+
+        logger.info('Batch translation completed successfully', {
+            originalCount: texts.length,
+            translatedCount: translations.length,
+        });
+        return translations;
+    } catch (error) {
+        logger.error(
+            'Batch translation failed, falling back to individual translations',
+            error,
+            { textCount: texts.length }
+        );
+
+        // A local server has no rate limit, so no delay between requests
+        const results = [];
+        let failures = 0;
+        for (const text of texts) {
+            try {
+                results.push(await translate(text, sourceLang, targetLang));
+            } catch (individualError) {
+                logger.error(
+                    'Individual translation failed in fallback',
+                    individualError,
+                    { text: text.substring(0, 50) }
+                );
+                failures++;
+                results.push(text);
+            }
+        }
+        // Nothing worked (e.g. the server is down): let the caller fail over
+        if (failures === texts.length) {
+            throw error;
+        }
+        return results;
+    }
+}
+
+/**
+ * Parse batch translation response
+ * @param {string} response Generated text
+ * @param {string} delimiter Delimiter used
+ * @param {number} expectedCount Expected number of translations
+ * @returns {Array<string>} Array of translated texts
+ */
+function parseBatchTranslationResponse(response, delimiter, expectedCount) {
+    const translations = response
+        .split(delimiter)
+        .map((text) => text.trim())
+        .filter((text) => text.length > 0);
+
+    if (translations.length !== expectedCount) {
+        logger.warn('Batch translation count mismatch', {
+            expected: expectedCount,
+            actual: translations.length,
+        });
+        while (translations.length < expectedCount) {
+            translations.push('');
+        }
+        translations.splice(expectedCount);
+    }
+    return translations;
+}
+
+// Minimal language code to name mapping for better prompts (kept local to avoid extra deps)
+function getLanguageName(langCode) {
+    const map = {
+        auto: 'auto-detected language',
+        en: 'English',
+        es: 'Spanish',
+        fr: 'French',
+        de: 'German',
+        it: 'Italian',
+        pt: 'Portuguese',
+        ru: 'Russian',
+        ja: 'Japanese',
+        ko: 'Korean',
+        zh: 'Chinese',
+        'zh-CN': 'Chinese (Simplified)',
+        'zh-TW': 'Chinese (Traditional)',
+        ar: 'Arabic',
+        hi: 'Hindi',
+        th: 'Thai',
+        vi: 'Vietnamese',
+        nl: 'Dutch',
+        sv: 'Swedish',
+        pl: 'Polish',
+        tr: 'Turkish',
+        he: 'Hebrew',
+        id: 'Indonesian',
+        uk: 'Ukrainian',
+    };
+    return getReadingTargetName(langCode) || map[langCode] || langCode;
+}
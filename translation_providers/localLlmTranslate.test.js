@@ -0,0 +1,220 @@
+/**
+ * @jest-environment node
+ */
+
+import {
+    describe,
+    it,
+    expect,
+    beforeEach,
+    afterEach,
+    jest,
+} from '@jest/globals';
+import { configService } from '../services/configService.js';
+import {
+    getLocalLlmEndpoints,
+    fetchAvailableModels,
+    parseStreamLine,
+    translate,
+    translateBatch,
+} from './localLlmTranslate.js';
+import {
+    mockJsonResponse,
+    mockStreamingResponse,
+} from '../test-utils/fetch-response-mock.js';
+
+describe('localLlmTranslate', () => {
+    let settings;
+
+    beforeEach(() => {
+        settings = {
+            localLlmApiType: 'ollama',
+            localLlmBaseUrl: 'http://localhost:11434',
+            localLlmModel: 'llama3.2',
+        };
+        jest.spyOn(configService, 'getMultiple').mockImplementation(
+            async () => settings
+        );
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        jest.spyOn(console, 'info').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        global.fetch = jest.fn();
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+        jest.restoreAllMocks();
+    });
+
+    describe('getLocalLlmEndpoints', () => {
+        it('builds Ollama endpoints and falls back to the default URL', () => {
+            expect(getLocalLlmEndpoints('http://box:11434/', 'ollama')).toEqual(
+                {
+                    baseUrl: 'http://box:11434',
+                    modelsUrl: 'http://box:11434/api/tags',
+                    chatUrl: 'http://box:11434/api/chat',
+                }
+            );
+            expect(getLocalLlmEndpoints('', 'ollama').chatUrl).toBe(
+                'http://localhost:11434/api/chat'
+            );
+        });
+
+        it('adds /v1 for OpenAI-style servers only when missing', () => {
+            expect(
+                getLocalLlmEndpoints('http://localhost:1234', 'openai')
+            ).toMatchObject({
+                modelsUrl: 'http://localhost:1234/v1/models',
+                chatUrl: 'http://localhost:1234/v1/chat/completions',
+            });
+            expect(
+                getLocalLlmEndpoints('http://localhost:1234/v1', 'openai')
+                    .chatUrl
+            ).toBe('http://localhost:1234/v1/chat/completions');
+        });
+    });
+
+    describe('fetchAvailableModels', () => {
+        it('reads Ollama tags and OpenAI-style model lists', async () => {
+            global.fetch.mockResolvedValueOnce(
+                mockJsonResponse({
+                    models: [{ name: 'llama3.2:latest' }, { name: 'qwen2.5' }],
+                })
+            );
+            await expect(
+                fetchAvailableModels('http://localhost:11434', 'ollama')
+            ).resolves.toEqual(['llama3.2:latest', 'qwen2.5']);
+
+            global.fetch.mockResolvedValueOnce(
+                mockJsonResponse({ data: [{ id: 'gemma-2-9b' }] })
+            );
+            await expect(
+                fetchAvailableModels('http://localhost:1234', 'openai')
+            ).resolves.toEqual(['gemma-2-9b']);
+            expect(global.fetch).toHaveBeenLastCalledWith(
+                'http://localhost:1234/v1/models',
+                { method: 'GET' }
+            );
+        });
+
+        it('explains 403 responses caused by Ollama origin checks', async () => {
+            global.fetch.mockResolvedValueOnce(mockJsonResponse({}, 403));
+            await expect(
+                fetchAvailableModels('http://localhost:11434')
+            ).rejects.toThrow('OLLAMA_ORIGINS');
+        });
+
+        it('reports an unreachable server', async () => {
+            global.fetch.mockRejectedValueOnce(
+                new TypeError('Failed to fetch')
+            );
+            await expect(
+                fetchAvailableModels('http://localhost:11434')
+            ).rejects.toThrow('not reachable');
+        });
+    });
+
+    describe('parseStreamLine', () => {
+        it('reads Ollama NDJSON and OpenAI SSE lines', () => {
+            expect(
+                parseStreamLine('{"message":{"content":"Hola"},"done":false}')
+            ).toBe('Hola');
+            expect(
+                parseStreamLine(
+                    'data: {"choices":[{"delta":{"content":"Hi"}}]}'
+                )
+            ).toBe('Hi');
+            expect(parseStreamLine('data: [DONE]')).toBe('');
+            expect(parseStreamLine(': keep-alive')).toBe('');
+        });
+
+        it('throws errors reported in the stream', () => {
+            expect(() =>
+                parseStreamLine('{"error":"model not loaded"}')
+            ).toThrow('model not loaded');
+        });
+    });
+
+    describe('translate', () => {
+        it('joins a streamed Ollama response', async () => {
+            global.fetch.mockResolvedValueOnce(
+                mockStreamingResponse([
+                    '{"message":{"content":"Hola"}}\n{"mess',
+                    'age":{"content":" mundo"}}\n',
+                    '{"message":{"content":""},"done":true}\n',
+                ])
+            );
+
+            await expect(translate('Hello world', 'en', 'es')).resolves.toBe(
+                'Hola mundo'
+            );
+
+            const [url, init] = global.fetch.mock.calls[0];
+            expect(url).toBe('http://localhost:11434/api/chat');
+            expect(init.headers).not.toHaveProperty('Authorization');
+            expect(JSON.parse(init.body)).toMatchObject({
+                model: 'llama3.2',
+                stream: true,
+            });
+        });
+
+        it('discovers the model when none is configured', async () => {
+            settings = {
+                localLlmApiType: 'openai',
+                localLlmBaseUrl: 'http://127.0.0.1:1234/v1',
+                localLlmModel: '',
+            };
+            global.fetch
+                .mockResolvedValueOnce(
+                    mockJsonResponse({
+                        data: [{ id: 'first-model' }, { id: 'x' }],
+                    })
+                )
+                .mockResolvedValueOnce(
+                    mockStreamingResponse([
+                        'data: {"choices":[{"delta":{"content":"Bonjour"}}]}\n\n',
+                        'data: [DONE]\n\n',
+                    ])
+                )
+                .mockResolvedValueOnce(
+                    mockStreamingResponse([
+                        'data: {"choices":[{"delta":{"content":"Salut"}}]}\n\n',
+                    ])
+                );
+
+            await expect(translate('Hello', 'en', 'fr')).resolves.toBe(
+                'Bonjour'
+            );
+            await expect(translate('Hi', 'en', 'fr')).resolves.toBe('Salut');
+
+            // The discovered model is remembered for the server
+            expect(global.fetch).toHaveBeenCalledTimes(3);
+            const body = JSON.parse(global.fetch.mock.calls[2][1].body);
+            expect(body.model).toBe('first-model');
+        });
+    });
+
+    describe('translateBatch', () => {
+        it('splits a delimited response', async () => {
+            global.fetch.mockResolvedValueOnce(
+                mockStreamingResponse([
+                    '{"message":{"content":"Uno|SUBTITLE_BREAK|"}}\n',
+                    '{"message":{"content":"Dos"}}\n',
+                ])
+            );
+
+            await expect(
+                translateBatch(['One', 'Two'], 'en', 'es')
+            ).resolves.toEqual(['Uno', 'Dos']);
+        });
+
+        it('rethrows when the server is down instead of returning originals', async () => {
+            global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+            await expect(
+                translateBatch(['One', 'Two'], 'en', 'es')
+            ).rejects.toThrow('not reachable');
+        });
+    });
+});
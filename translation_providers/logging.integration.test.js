@@ -40,6 +40,11 @@ describe('Translation Provider Logging Integration', () => {
         jest.clearAllMocks();
         global.chrome.runtime.lastError = null;
 
+        // No API key vault in local storage: keys are read from settings
+        global.chrome.storage.local.get.mockImplementation((keys, callback) =>
+            callback({})
+        );
+
         // Reset configService mocks
         mockConfigService.getMultiple.mockReset();
         mockConfigService.set.mockReset();
@@ -2,6 +2,10 @@
 
 import Logger from '../utils/logger.js';
 import { configService } from '../services/configService.js';
+import { apiKeyVault } from '../services/apiKeyVault.js';
+import { formatBatchContext } from './batchContext.js';
+import { reportTokenUsage } from '../utils/usage.js';
+import { getReadingTargetName } from '../utils/pronunciation.js';
 
 // Initialize logger for OpenAI-compatible translation provider
 const logger = Logger.create('OpenAICompatibleTranslate');
@@ -146,13 +150,12 @@ async function getConfig() {
     logger.debug('Retrieving configuration via configService');
 
     const config = await configService.getMultiple([
-        'openaiCompatibleApiKey',
         'openaiCompatibleBaseUrl',
         'openaiCompatibleModel',
     ]);
 
     const result = {
-        apiKey: config.openaiCompatibleApiKey,
+        apiKey: await apiKeyVault.getSecret('openaiCompatibleApiKey'),
         baseUrl: config.openaiCompatibleBaseUrl,
         model: config.openaiCompatibleModel,
     };
@@ -385,6 +388,7 @@ export async function translate(text, sourceLang, targetLang) {
         }
 
         const data = await response.json();
+        reportTokenUsage('openai_compatible', data);
 
         logger.debug('API response parsed', {
             hasChoices: !!data?.choices,
@@ -526,6 +530,7 @@ export async function translate(text, sourceLang, targetLang) {
  * @param {string} sourceLang The source language code (e.g., 'auto', 'en')
  * @param {string} targetLang The target language code (e.g., 'es', 'zh-CN')
  * @param {string} delimiter Delimiter to separate texts (default: '|SUBTITLE_BREAK|')
+ * @param {Object|null} [context] Show, preceding cues and glossary (see `formatBatchContext`)
  * @returns {Promise<Array<string>>} A Promise that resolves with array of translated texts
  * @throws {Error} If the batch translation API request or processing fails
  */
@@ -533,7 +538,8 @@ export async function translateBatch(
     texts,
     sourceLang,
     targetLang,
-    delimiter = '|SUBTITLE_BREAK|'
+    delimiter = '|SUBTITLE_BREAK|',
+    context = null
 ) {
     logger.info('Batch translation request initiated', {
         sourceLang,
@@ -589,7 +595,7 @@ Important instructions:
 2. Preserve the meaning and context of each subtitle.
 3. Keep the translations natural and appropriate for subtitles.
 4. Only return the translated texts, separated by the delimiter. Do not add any additional text, explanations, or the delimiter at the start or end of your response.
-5. If a segment is empty or just whitespace, return an empty segment.`;
+5. If a segment is empty or just whitespace, return an empty segment.${formatBatchContext(context)}`;
 
         const requestBody = {
             model: model,
@@ -644,6 +650,7 @@ Important instructions:
         }
 
         const data = await response.json();
+        reportTokenUsage('openai_compatible', data);
 
         if (
             !data.choices ||
@@ -782,7 +789,7 @@ function getLanguageName(langCode) {
         nr: 'Ndebele',
     };
 
-    return languageMap[langCode] || langCode;
+    return getReadingTargetName(langCode) || languageMap[langCode] || langCode;
 }
 
 /**
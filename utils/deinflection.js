@@ -0,0 +1,507 @@
+// utils/deinflection.js
+// Dictionary forms of inflected words for the offline dictionary lookup
+// (background/services/dictionaryService.js), so hovering "went",
+// "hablamos" or 食べました finds the entry of go, hablar or 食べる. Only
+// suffix rules: every candidate is checked against the imported
+// dictionaries, so a wrong guess simply finds nothing.
+
+/**
+ * @typedef {Object} LemmaCandidate
+ * @property {string} term - Possible dictionary form
+ * @property {string[]} reasons - Inflections undone, outermost first
+ * @property {string|null} type - Word class the dictionary form must have (one of WORD_CLASSES), null for any
+ */
+
+/** Word classes of Japanese dictionary forms, as in Yomichan `rules` */
+export const WORD_CLASSES = ['v1', 'v5', 'vk', 'vs', 'adj-i'];
+
+/** Maximum number of Japanese rules chained on one word */
+const MAX_JAPANESE_DEPTH = 6;
+
+/**
+ * Builds [suffix, replacement, reason] rules turning each ending of a
+ * comma separated list into the same replacement
+ * @param {string} endings - Comma separated endings
+ * @param {string} replacement - Dictionary form ending
+ * @param {string} reason - Inflection name
+ * @returns {Array<[string, string, string]>}
+ */
+function endingRules(endings, replacement, reason) {
+    return endings.split(',').map((ending) => [ending, replacement, reason]);
+}
+
+const ENGLISH_RULES = [
+    ['ies', 'y', 'plural'],
+    ['ves', 'f', 'plural'],
+    ['ves', 'fe', 'plural'],
+    ['es', '', 'plural'],
+    ['s', '', 'plural'],
+    ["'s", '', 'possessive'],
+    ['ied', 'y', 'past'],
+    ['ed', '', 'past'],
+    ['ed', 'e', 'past'],
+    ['ying', 'ie', 'progressive'],
+    ['ing', '', 'progressive'],
+    ['ing', 'e', 'progressive'],
+    ['ier', 'y', 'comparative'],
+    ['er', '', 'comparative'],
+    ['er', 'e', 'comparative'],
+    ['iest', 'y', 'superlative'],
+    ['est', '', 'superlative'],
+    ['est', 'e', 'superlative'],
+    ['ily', 'y', 'adverb'],
+    ['ly', '', 'adverb'],
+];
+
+/** Irregular English forms: "form:lemma" pairs */
+const ENGLISH_IRREGULAR = new Map(
+    (
+        'am:be,is:be,are:be,was:be,were:be,been:be,has:have,had:have,' +
+        'does:do,did:do,done:do,went:go,gone:go,said:say,made:make,' +
+        'took:take,taken:take,saw:see,seen:see,came:come,knew:know,' +
+        'known:know,got:get,gotten:get,gave:give,given:give,' +
+        'thought:think,told:tell,found:find,left:leave,felt:feel,' +
+        'brought:bring,began:begin,begun:begin,kept:keep,held:hold,' +
+        'wrote:write,written:write,stood:stand,heard:hear,meant:mean,' +
+        'met:meet,ran:run,paid:pay,sat:sit,spoke:speak,spoken:speak,' +
+        'led:lead,grew:grow,grown:grow,lost:lose,fell:fall,fallen:fall,' +
+        'sent:send,built:build,understood:understand,ate:eat,eaten:eat,' +
+        'bought:buy,caught:catch,taught:teach,fought:fight,slept:sleep,' +
+        'won:win,sold:sell,drove:drive,driven:drive,flew:fly,flown:fly,' +
+        'broke:break,broken:break,chose:choose,chosen:choose,' +
+        'forgot:forget,forgotten:forget,wore:wear,worn:wear,sang:sing,' +
+        'sung:sing,drank:drink,drunk:drink,rode:ride,ridden:ride,' +
+        'hid:hide,hidden:hide,children:child,men:man,women:woman,' +
+        'people:person,mice:mouse,feet:foot,teeth:tooth,geese:goose,' +
+        'better:good,best:good,worse:bad,worst:bad'
+    )
+        .split(',')
+        .map((pair) => pair.split(':'))
+);
+
+const SPANISH_RULES = [
+    ['es', '', 'plural'],
+    ['s', '', 'plural'],
+    ['a', 'o', 'feminine'],
+    ['as', 'o', 'feminine'],
+    ...endingRules(
+        'o,as,a,amos,áis,an,é,aste,ó,asteis,aron,aba,abas,ábamos,abais,' +
+            'aban,ando,ado,ada,ados,adas,e,es,emos,éis,en',
+        'ar',
+        'verb form'
+    ),
+    ...endingRules(
+        'o,es,e,emos,éis,en,í,iste,ió,isteis,ieron,ía,ías,íamos,íais,ían,' +
+            'iendo,ido,ida,idos,idas,a,as,amos,áis,an',
+        'er',
+        'verb form'
+    ),
+    ...endingRules(
+        'o,es,e,imos,ís,en,í,iste,ió,isteis,ieron,ía,ías,íamos,íais,ían,' +
+            'iendo,ido,ida,idos,idas,a,as,amos,áis,an',
+        'ir',
+        'verb form'
+    ),
+    // Future and conditional: infinitive + ending
+    ...endingRules('é,ás,á,emos,éis,án,ía,ías,íamos,íais,ían', '', 'future'),
+];
+
+const FRENCH_RULES = [
+    ['s', '', 'plural'],
+    ['x', '', 'plural'],
+    ['aux', 'al', 'plural'],
+    ['e', '', 'feminine'],
+    ['es', '', 'feminine'],
+    ['euse', 'eux', 'feminine'],
+    ['euses', 'eux', 'feminine'],
+    ['ive', 'if', 'feminine'],
+    ['ives', 'if', 'feminine'],
+    ['elle', 'el', 'feminine'],
+    ['enne', 'en', 'feminine'],
+    ...endingRules(
+        'e,es,ent,ons,ez,é,ée,és,ées,ais,ait,aient,ions,iez,ai,as,a,âmes,' +
+            'âtes,èrent,erai,eras,era,erons,erez,eront,erais,erait,erions,' +
+            'eriez,eraient,ant',
+        'er',
+        'verb form'
+    ),
+    ...endingRules(
+        'is,it,issons,issez,issent,i,ie,ies,issais,issait,issaient,irai,' +
+            'iras,ira,irons,irez,iront,irais,irait,issant',
+        'ir',
+        'verb form'
+    ),
+    ...endingRules(
+        's,t,ons,ez,ent,u,ue,us,ues,ais,ait,aient,rai,ras,ra,rons,rez,' +
+            'ront,ant',
+        're',
+        'verb form'
+    ),
+];
+
+const GERMAN_RULES = [
+    ['en', '', 'plural'],
+    ['e', '', 'plural'],
+    ['er', '', 'plural'],
+    ['n', '', 'plural'],
+    ['s', '', 'plural'],
+    ['es', '', 'genitive'],
+    ['em', '', 'declension'],
+    ...endingRules('e,st,t,et,te,test,ten,tet,end', 'en', 'verb form'),
+];
+
+const ITALIAN_RULES = [
+    ['i', 'o', 'plural'],
+    ['i', 'e', 'plural'],
+    ['e', 'a', 'plural'],
+    ['a', 'o', 'feminine'],
+    ...endingRules(
+        'o,i,a,iamo,ate,ano,ato,ata,ati,ando,avo,avi,ava,avamo,avate,' +
+            'avano,ai,ò,arono,erò,erai,erà,eremo,erete,eranno,erei',
+        'are',
+        'verb form'
+    ),
+    ...endingRules(
+        'o,i,e,iamo,ete,ono,uto,uta,uti,ute,endo,evo,evi,eva,evamo,evate,' +
+            'evano,erò,erai,erà,eremo,erete,eranno',
+        'ere',
+        'verb form'
+    ),
+    ...endingRules(
+        'o,i,e,iamo,ite,ono,ito,ita,iti,endo,ivo,ivi,iva,ivamo,ivate,' +
+            'ivano,irò,irai,irà,iremo,irete,iranno,isco,isci,isce,iscono',
+        'ire',
+        'verb form'
+    ),
+];
+
+const PORTUGUESE_RULES = [
+    ['s', '', 'plural'],
+    ['es', '', 'plural'],
+    ['ões', 'ão', 'plural'],
+    ['ães', 'ão', 'plural'],
+    ['ais', 'al', 'plural'],
+    ['éis', 'el', 'plural'],
+    ['a', 'o', 'feminine'],
+    ['as', 'o', 'feminine'],
+    ...endingRules(
+        'o,as,a,amos,ais,am,ei,aste,ou,aram,ava,avas,ávamos,avam,ando,' +
+            'ado,ada,ados,adas,arei,ará,aremos,arão,aria',
+        'ar',
+        'verb form'
+    ),
+    ...endingRules(
+        'o,es,e,emos,eis,em,i,este,eu,eram,ia,ias,íamos,iam,endo,ido,ida,' +
+            'idos,idas,erei,erá,eremos,erão,eria',
+        'er',
+        'verb form'
+    ),
+    ...endingRules(
+        'o,es,e,imos,is,em,i,iste,iu,iram,ia,ias,íamos,iam,indo,ido,ida,' +
+            'idos,idas,irei,irá,iremos,irão,iria',
+        'ir',
+        'verb form'
+    ),
+];
+
+const SUFFIX_RULES = {
+    en: ENGLISH_RULES,
+    es: SPANISH_RULES,
+    fr: FRENCH_RULES,
+    de: GERMAN_RULES,
+    it: ITALIAN_RULES,
+    pt: PORTUGUESE_RULES,
+};
+
+// --- Japanese ---
+
+/**
+ * Godan verb endings by column: dictionary (u), stem (i), negative (a),
+ * potential (e), volitional (o), te form and past
+ */
+const GODAN_ENDINGS = [
+    'う,い,わ,え,お,って,った',
+    'く,き,か,け,こ,いて,いた',
+    'ぐ,ぎ,が,げ,ご,いで,いだ',
+    'す,し,さ,せ,そ,して,した',
+    'つ,ち,た,て,と,って,った',
+    'ぬ,に,な,ね,の,んで,んだ',
+    'ぶ,び,ば,べ,ぼ,んで,んだ',
+    'む,み,ま,め,も,んで,んだ',
+    'る,り,ら,れ,ろ,って,った',
+].map((row) => row.split(','));
+
+/**
+ * Japanese rule: the inflected ending, its dictionary form ending, the
+ * word class of the inflected form (what may be deinflected into it, ''
+ * for a final form) and of the dictionary form
+ * @typedef {{from: string, to: string, fromType: string, toType: string, reason: string}} JapaneseRule
+ */
+
+/**
+ * @param {string} from - Inflected ending
+ * @param {string} to - Dictionary form ending
+ * @param {string} fromType - Class of the inflected form ('' when final)
+ * @param {string} toType - Class of the dictionary form
+ * @param {string} reason - Inflection name
+ * @returns {JapaneseRule}
+ */
+function japaneseRule(from, to, fromType, toType, reason) {
+    return { from, to, fromType, toType, reason };
+}
+
+/**
+ * Rules shared by ichidan, suru and kuru verbs, keyed by the stem used
+ * before each suffix: [suffix, fromType, reason]
+ */
+const VERB_SUFFIXES = [
+    ['ます', 'masu', 'polite'],
+    ['たい', 'adj-i', 'desiderative'],
+    ['ない', 'adj-i', 'negative'],
+    ['ず', '', 'negative'],
+    ['させる', 'v1', 'causative'],
+    ['よう', '', 'volitional'],
+    ['て', 'te', 'te form'],
+    ['た', '', 'past'],
+    ['たら', '', 'conditional'],
+];
+
+/** Stems of the irregular verbs before each of VERB_SUFFIXES */
+const SURU_STEMS = 'し,し,し,せ,さ,し,し,し,し'.split(',');
+const KURU_STEMS = 'き,き,こ,こ,こ,こ,き,き,き'.split(',');
+
+const JAPANESE_RULES = [
+    // Godan verbs
+    ...GODAN_ENDINGS.flatMap(([u, i, a, e, o, te, ta]) => [
+        japaneseRule(`${i}ます`, u, 'masu', 'v5', 'polite'),
+        japaneseRule(`${i}たい`, u, 'adj-i', 'v5', 'desiderative'),
+        japaneseRule(`${a}ない`, u, 'adj-i', 'v5', 'negative'),
+        japaneseRule(`${a}ず`, u, '', 'v5', 'negative'),
+        japaneseRule(`${a}れる`, u, 'v1', 'v5', 'passive'),
+        japaneseRule(`${a}せる`, u, 'v1', 'v5', 'causative'),
+        japaneseRule(`${e}る`, u, 'v1', 'v5', 'potential'),
+        japaneseRule(`${e}ば`, u, '', 'v5', 'conditional'),
+        japaneseRule(e, u, '', 'v5', 'imperative'),
+        japaneseRule(`${o}う`, u, '', 'v5', 'volitional'),
+        japaneseRule(te, u, 'te', 'v5', 'te form'),
+        japaneseRule(ta, u, '', 'v5', 'past'),
+        japaneseRule(`${ta}ら`, u, '', 'v5', 'conditional'),
+    ]),
+    // 行く is the one godan verb with a っ te form
+    japaneseRule('行って', '行く', 'te', 'v5', 'te form'),
+    japaneseRule('行った', '行く', '', 'v5', 'past'),
+    japaneseRule('いって', 'いく', 'te', 'v5', 'te form'),
+    japaneseRule('いった', 'いく', '', 'v5', 'past'),
+    // Ichidan verbs
+    ...VERB_SUFFIXES.map(([suffix, fromType, reason]) =>
+        japaneseRule(suffix, 'る', fromType, 'v1', reason)
+    ),
+    japaneseRule('られる', 'る', 'v1', 'v1', 'passive'),
+    japaneseRule('れば', 'る', '', 'v1', 'conditional'),
+    japaneseRule('ろ', 'る', '', 'v1', 'imperative'),
+    // する and 来る
+    ...VERB_SUFFIXES.flatMap(([suffix, fromType, reason], index) => [
+        japaneseRule(
+            `${SURU_STEMS[index]}${suffix}`,
+            'する',
+            fromType,
+            'vs',
+            reason
+        ),
+        japaneseRule(
+            `${KURU_STEMS[index]}${suffix}`,
+            'くる',
+            fromType,
+            'vk',
+            reason
+        ),
+        japaneseRule(`来${suffix}`, '来る', fromType, 'vk', reason),
+    ]),
+    japaneseRule('される', 'する', 'v1', 'vs', 'passive'),
+    japaneseRule('すれば', 'する', '', 'vs', 'conditional'),
+    japaneseRule('しろ', 'する', '', 'vs', 'imperative'),
+    japaneseRule('こられる', 'くる', 'v1', 'vk', 'passive'),
+    japaneseRule('来られる', '来る', 'v1', 'vk', 'passive'),
+    japaneseRule('くれば', 'くる', '', 'vk', 'conditional'),
+    japaneseRule('来れば', '来る', '', 'vk', 'conditional'),
+    // Polite forms
+    japaneseRule('ました', 'ます', '', 'masu', 'past'),
+    japaneseRule('ません', 'ます', '', 'masu', 'negative'),
+    japaneseRule('ませんでした', 'ます', '', 'masu', 'negative past'),
+    japaneseRule('ましょう', 'ます', '', 'masu', 'volitional'),
+    japaneseRule('まして', 'ます', 'te', 'masu', 'te form'),
+    // Auxiliaries after the te form
+    japaneseRule('ている', 'て', 'v1', 'te', 'progressive'),
+    japaneseRule('でいる', 'で', 'v1', 'te', 'progressive'),
+    japaneseRule('てる', 'て', 'v1', 'te', 'progressive'),
+    japaneseRule('でる', 'で', 'v1', 'te', 'progressive'),
+    japaneseRule('てしまう', 'て', 'v5', 'te', 'completion'),
+    japaneseRule('でしまう', 'で', 'v5', 'te', 'completion'),
+    japaneseRule('ちゃう', 'て', 'v5', 'te', 'completion'),
+    japaneseRule('じゃう', 'で', 'v5', 'te', 'completion'),
+    // い adjectives
+    japaneseRule('く', 'い', '', 'adj-i', 'adverb'),
+    japaneseRule('くて', 'い', 'te', 'adj-i', 'te form'),
+    japaneseRule('かった', 'い', '', 'adj-i', 'past'),
+    japaneseRule('かったら', 'い', '', 'adj-i', 'conditional'),
+    japaneseRule('くない', 'い', 'adj-i', 'adj-i', 'negative'),
+    japaneseRule('ければ', 'い', '', 'adj-i', 'conditional'),
+    japaneseRule('さ', 'い', '', 'adj-i', 'noun'),
+    japaneseRule('そう', 'い', '', 'adj-i', 'seemingly'),
+];
+
+/**
+ * Undoes chains of Japanese inflections (食べさせられました → 食べる)
+ * @param {string} word - Inflected word
+ * @returns {LemmaCandidate[]}
+ */
+function deinflectJapanese(word) {
+    const candidates = [{ term: word, reasons: [], type: null }];
+    const seen = new Set([`${word}:`]);
+
+    for (let i = 0; i < candidates.length; i++) {
+        const candidate = candidates[i];
+        if (candidate.reasons.length >= MAX_JAPANESE_DEPTH) {
+            continue;
+        }
+        for (const rule of JAPANESE_RULES) {
+            if (
+                !candidate.term.endsWith(rule.from) ||
+                (candidate.type !== null && candidate.type !== rule.fromType)
+            ) {
+                continue;
+            }
+            const stem = candidate.term.slice(0, -rule.from.length);
+            const term = stem + rule.to;
+            const key = `${term}:${rule.toType}`;
+            // Only whole-word rules (する, 来る, 行く) may use up the word
+            if ((!stem && rule.to.length < 2) || seen.has(key)) {
+                continue;
+            }
+            seen.add(key);
+            candidates.push({
+                term,
+                reasons: [rule.reason, ...candidate.reasons],
+                type: rule.toType,
+            });
+        }
+    }
+
+    return candidates;
+}
+
+/**
+ * Applies one suffix rule at a time, plus the undoubled stem of English
+ * words like "stopped" and "running"
+ * @param {string} word - Lowercased word
+ * @param {Array<[string, string, string]>} rules - Suffix rules
+ * @param {boolean} undouble - Whether to also try undoubled stems
+ * @returns {LemmaCandidate[]}
+ */
+function deinflectSuffixes(word, rules, undouble) {
+    const candidates = [];
+    for (const [suffix, replacement, reason] of rules) {
+        if (!word.endsWith(suffix) || word.length - suffix.length < 2) {
+            continue;
+        }
+        const stem = word.slice(0, -suffix.length);
+        candidates.push({
+            term: stem + replacement,
+            reasons: [reason],
+            type: null,
+        });
+        if (undouble && !replacement && /([bdgklmnprtvz])\1$/.test(stem)) {
+            candidates.push({
+                term: stem.slice(0, -1),
+                reasons: [reason],
+                type: null,
+            });
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Possible dictionary forms of a word, the word itself first
+ * @param {string} word - Word as it appears in the subtitle
+ * @param {string} [language] - Subtitle language code
+ * @returns {LemmaCandidate[]}
+ */
+export function getLemmaCandidates(word, language) {
+    const text = String(word || '')
+        .normalize('NFC')
+        .trim();
+    if (!text) {
+        return [];
+    }
+
+    let base = String(language || '')
+        .toLowerCase()
+        .split(/[-_]/)[0];
+    if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(text)) {
+        base = 'ja';
+    }
+    if (base === 'ja') {
+        return deinflectJapanese(text);
+    }
+
+    const lower = text.toLowerCase();
+    const candidates = [{ term: lower, reasons: [], type: null }];
+    // Lines of unknown language get the English rules
+    const rules =
+        base && base !== 'unknown' && base !== 'auto'
+            ? SUFFIX_RULES[base]
+            : ENGLISH_RULES;
+    if (!rules || !/\p{Script=Latin}/u.test(lower)) {
+        return candidates;
+    }
+
+    if (rules === ENGLISH_RULES && ENGLISH_IRREGULAR.has(lower)) {
+        candidates.push({
+            term: ENGLISH_IRREGULAR.get(lower),
+            reasons: ['irregular'],
+            type: null,
+        });
+    }
+    // German participles: gemacht → machen
+    const participle = base === 'de' && /^ge(\p{L}{2,}?)e?t$/u.exec(lower);
+    if (participle) {
+        candidates.push({
+            term: `${participle[1]}en`,
+            reasons: ['participle'],
+            type: null,
+        });
+    }
+    const seen = new Set(candidates.map((candidate) => candidate.term));
+    for (const candidate of deinflectSuffixes(
+        lower.replace(/’/g, "'"),
+        rules,
+        rules === ENGLISH_RULES
+    )) {
+        if (!seen.has(candidate.term)) {
+            seen.add(candidate.term);
+            candidates.push(candidate);
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Whether a dictionary entry can be the dictionary form a candidate needs
+ * @param {LemmaCandidate} candidate - Lemma candidate
+ * @param {string[]} [entryClasses] - Word classes (`rules`) of the entry
+ * @returns {boolean}
+ */
+export function matchesWordClass(candidate, entryClasses = []) {
+    if (candidate.type === null) {
+        return true;
+    }
+    if (!WORD_CLASSES.includes(candidate.type)) {
+        // Intermediate forms (polite, te form) are never headwords
+        return false;
+    }
+    return (
+        entryClasses.length === 0 ||
+        entryClasses.some((entryClass) => entryClass.startsWith(candidate.type))
+    );
+}
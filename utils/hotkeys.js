@@ -0,0 +1,192 @@
+// utils/hotkeys.js
+// In-player hotkeys, shared by the content scripts (key handling in
+// BaseContentScript) and the options page (rebinding UI)
+
+/**
+ * Hotkey actions in the order the options page lists them. The same IDs
+ * name the manifest `commands`, so browser-level shortcuts and in-player
+ * hotkeys run the same action.
+ */
+export const HOTKEY_ACTIONS = [
+    'toggleSubtitles',
+    'swapLayoutOrder',
+    'toggleTranslation',
+    'replayCue',
+    'previousCue',
+    'nextCue',
+    'openAIContext',
+    'nudgeOriginalEarlier',
+    'nudgeOriginalLater',
+    'nudgeTranslatedEarlier',
+    'nudgeTranslatedLater',
+    'autoAlignSync',
+    'cycleStudyMode',
+    'revealTranslation',
+];
+
+/**
+ * Default in-player hotkeys. Bindings use KeyboardEvent.code so they keep
+ * working when Alt or the keyboard layout changes the typed character.
+ */
+export const DEFAULT_HOTKEYS = {
+    toggleSubtitles: 'Alt+KeyS',
+    swapLayoutOrder: 'Alt+KeyL',
+    toggleTranslation: 'Alt+KeyT',
+    replayCue: 'Alt+KeyR',
+    previousCue: 'Alt+Comma',
+    nextCue: 'Alt+Period',
+    openAIContext: 'Alt+KeyA',
+    nudgeOriginalEarlier: 'Alt+BracketLeft',
+    nudgeOriginalLater: 'Alt+BracketRight',
+    nudgeTranslatedEarlier: 'Alt+Shift+BracketLeft',
+    nudgeTranslatedLater: 'Alt+Shift+BracketRight',
+    autoAlignSync: 'Alt+Backslash',
+    cycleStudyMode: 'Alt+KeyM',
+    revealTranslation: 'Alt+KeyV',
+};
+
+const MODIFIERS = [
+    ['Ctrl', 'ctrlKey'],
+    ['Alt', 'altKey'],
+    ['Shift', 'shiftKey'],
+    ['Meta', 'metaKey'],
+];
+
+const MODIFIER_CODES = new Set([
+    'ControlLeft',
+    'ControlRight',
+    'AltLeft',
+    'AltRight',
+    'ShiftLeft',
+    'ShiftRight',
+    'MetaLeft',
+    'MetaRight',
+    'OSLeft',
+    'OSRight',
+]);
+
+const HOTKEY_PATTERN = /^(Ctrl\+)?(Alt\+)?(Shift\+)?(Meta\+)?[A-Za-z0-9]+$/;
+
+const KEY_LABELS = {
+    BracketLeft: '[',
+    BracketRight: ']',
+    Backslash: '\\',
+    Comma: ',',
+    Period: '.',
+    Slash: '/',
+    Semicolon: ';',
+    Quote: "'",
+    Backquote: '`',
+    Minus: '-',
+    Equal: '=',
+    Space: 'Space',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+};
+
+/**
+ * Hotkey string of a key press, e.g. 'Alt+Shift+BracketLeft'
+ * @param {KeyboardEvent} event - Key press
+ * @returns {string|null} Hotkey, or null while only modifiers are held
+ */
+export function getHotkeyFromEvent(event) {
+    if (!event?.code || MODIFIER_CODES.has(event.code)) {
+        return null;
+    }
+    const modifiers = MODIFIERS.filter(([, flag]) => event[flag]).map(
+        ([name]) => name
+    );
+    return [...modifiers, event.code].join('+');
+}
+
+/**
+ * Whether a value can be stored as a binding ('' disables the action)
+ * @param {*} hotkey - Candidate binding
+ * @returns {boolean}
+ */
+export function isValidHotkey(hotkey) {
+    return (
+        hotkey === '' ||
+        (typeof hotkey === 'string' &&
+            HOTKEY_PATTERN.test(hotkey) &&
+            !MODIFIER_CODES.has(hotkey.split('+').pop()))
+    );
+}
+
+/**
+ * Full binding map from the `keyboardShortcuts` setting, which only keeps
+ * the bindings the user changed. Unknown actions and invalid bindings fall
+ * back to the defaults.
+ * @param {Object} overrides - Stored `keyboardShortcuts` value
+ * @returns {Object<string, string>} Hotkey of every action
+ */
+export function getHotkeyBindings(overrides) {
+    return Object.fromEntries(
+        HOTKEY_ACTIONS.map((action) => {
+            const hotkey =
+                overrides && Object.hasOwn(overrides, action)
+                    ? overrides[action]
+                    : undefined;
+            return [
+                action,
+                isValidHotkey(hotkey) ? hotkey : DEFAULT_HOTKEYS[action],
+            ];
+        })
+    );
+}
+
+/**
+ * Action bound to a key press
+ * @param {Object<string, string>} bindings - Result of getHotkeyBindings
+ * @param {KeyboardEvent} event - Key press
+ * @returns {string|null} Action ID
+ */
+export function getHotkeyAction(bindings, event) {
+    const hotkey = getHotkeyFromEvent(event);
+    if (!hotkey) {
+        return null;
+    }
+    return HOTKEY_ACTIONS.find((action) => bindings[action] === hotkey) || null;
+}
+
+/**
+ * Hotkeys bound to more than one action
+ * @param {Object<string, string>} bindings - Result of getHotkeyBindings
+ * @returns {Object<string, string[]>} Actions of each conflicting hotkey
+ */
+export function getHotkeyConflicts(bindings) {
+    const actionsByHotkey = {};
+    HOTKEY_ACTIONS.forEach((action) => {
+        const hotkey = bindings[action];
+        if (hotkey) {
+            (actionsByHotkey[hotkey] ||= []).push(action);
+        }
+    });
+    return Object.fromEntries(
+        Object.entries(actionsByHotkey).filter(
+            ([, actions]) => actions.length > 1
+        )
+    );
+}
+
+/**
+ * Readable label of a hotkey, e.g. 'Alt + Shift + ['
+ * @param {string} hotkey - Hotkey string
+ * @returns {string} Label, or '' for a disabled action
+ */
+export function formatHotkey(hotkey) {
+    if (!hotkey) {
+        return '';
+    }
+    return hotkey
+        .split('+')
+        .map((part) => {
+            if (KEY_LABELS[part]) return KEY_LABELS[part];
+            if (/^Key[A-Z]$/.test(part)) return part.slice(3);
+            if (/^Digit\d$/.test(part)) return part.slice(5);
+            return part;
+        })
+        .join(' + ');
+}
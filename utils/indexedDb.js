@@ -0,0 +1,80 @@
+/**
+ * IndexedDB Helpers
+ *
+ * Thin promise wrappers around the IndexedDB request/transaction API. Used by
+ * the persistent stores that outgrow chrome.storage (translation memory and
+ * friends), so each store only has to describe its schema and queries.
+ *
+ * @author DualSub Extension
+ * @version 1.0.0
+ */
+
+/**
+ * Check whether IndexedDB is available in the current context
+ * @returns {boolean} True if indexedDB can be used
+ */
+export function isIndexedDBAvailable() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wrap
+ * @returns {Promise<any>} Resolves with request.result
+ */
+export function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to complete
+ * @param {IDBTransaction} transaction - Transaction to wait for
+ * @returns {Promise<void>} Resolves on complete, rejects on error/abort
+ */
+export function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () =>
+            reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Open (and upgrade if needed) a database
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {function(IDBDatabase, number, IDBTransaction): void} upgrade - Called on version change with the old version
+ * @returns {Promise<IDBDatabase>} Opened database
+ */
+export function openDatabase(name, version, upgrade) {
+    if (!isIndexedDBAvailable()) {
+        return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = (event) => {
+            upgrade(request.result, event.oldVersion, request.transaction);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () =>
+            reject(new Error(`Opening database "${name}" was blocked`));
+    });
+}
+
+/**
+ * Delete a database entirely
+ * @param {string} name - Database name
+ * @returns {Promise<void>}
+ */
+export function deleteDatabase(name) {
+    if (!isIndexedDBAvailable()) {
+        return Promise.resolve();
+    }
+    return promisifyRequest(indexedDB.deleteDatabase(name)).then(() => {});
+}
@@ -0,0 +1,677 @@
+// utils/pronunciation.js
+// Pronunciation aids for Japanese, Chinese and Korean subtitles: offline
+// kana and hangul romanization, readings of kanji and hanzi generated by
+// LLM translation providers, and the ruby / reading row markup rendered by
+// formatSubtitleTextForDisplay
+
+/** Values of the `pronunciationMode` setting */
+export const PRONUNCIATION_MODES = ['off', 'ruby', 'row'];
+
+/** Values of the `pronunciationJapaneseStyle` setting */
+export const JAPANESE_READING_STYLES = ['furigana', 'romaji'];
+
+/**
+ * Pseudo target languages requested through the batch translation path to
+ * get readings of kanji and hanzi. LLM providers put `name` in their prompt
+ * in place of a language name; the answer is the original text with the
+ * readings in square brackets, parsed by `parseAnnotatedReading`.
+ */
+export const READING_TARGETS = {
+    'ja-Hira': {
+        language: 'ja',
+        name: 'Japanese with furigana (copy each text unchanged and add the hiragana reading in square brackets right after every word containing kanji, for example 東京[とうきょう]に行[い]きます)',
+    },
+    'zh-Latn-pinyin': {
+        language: 'zh',
+        name: 'Chinese with pinyin (copy each text unchanged and add the Hanyu Pinyin with tone marks in square brackets right after every Chinese character, for example 你[nǐ]好[hǎo])',
+    },
+};
+
+const HAN = /[\p{Script=Han}々〆ヶ]/u;
+const KANA = /[\p{Script=Hiragana}\p{Script=Katakana}ー]/u;
+const HANGUL_SYLLABLES = /[\uAC00-\uD7A3]+/g;
+const HTML_ENTITY_OR_CHAR = /&(?:[a-z]+|#\d+|#x[\da-f]+);|[\s\S]/gi;
+
+/**
+ * @param {string} code - Target language code
+ * @returns {boolean} Whether the code asks for readings instead of a translation
+ */
+export function isReadingTarget(code) {
+    return Object.hasOwn(READING_TARGETS, code);
+}
+
+/**
+ * @param {string} code - Target language code
+ * @returns {string|null} Prompt name of a reading target
+ */
+export function getReadingTargetName(code) {
+    return isReadingTarget(code) ? READING_TARGETS[code].name : null;
+}
+
+/**
+ * Language whose pronunciation aids apply to a subtitle line. Uses the
+ * subtitle language when it is Japanese, Chinese or Korean, and the script
+ * of the text when the language is unknown.
+ * @param {string} text - Subtitle text
+ * @param {string} [language] - Subtitle language code ('unknown'/'auto' allowed)
+ * @returns {'ja'|'zh'|'ko'|null}
+ */
+export function getPronunciationLanguage(text, language) {
+    const base = String(language || '')
+        .toLowerCase()
+        .split(/[-_]/)[0];
+    if (['ja', 'zh', 'ko'].includes(base)) {
+        return base;
+    }
+    if (base && base !== 'unknown' && base !== 'auto') {
+        return null;
+    }
+    if (/[\uAC00-\uD7A3]/.test(text)) {
+        return 'ko';
+    }
+    if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(text)) {
+        return 'ja';
+    }
+    return HAN.test(text) ? 'zh' : null;
+}
+
+/**
+ * Reading target to request for a line, or null when the offline
+ * converters cover it (kana, hangul) or there is nothing to read
+ * @param {string} text - Subtitle text
+ * @param {string} [language] - Subtitle language code
+ * @returns {string|null} Key of READING_TARGETS
+ */
+export function getReadingTarget(text, language) {
+    if (!text || !HAN.test(text)) {
+        return null;
+    }
+    const pronunciationLanguage = getPronunciationLanguage(text, language);
+    return (
+        Object.keys(READING_TARGETS).find(
+            (code) => READING_TARGETS[code].language === pronunciationLanguage
+        ) || null
+    );
+}
+
+// --- Korean: Revised Romanization ---
+
+const HANGUL_INITIALS = 'g,kk,n,d,tt,r,m,b,pp,s,ss,,j,jj,ch,k,t,p,h'.split(',');
+const HANGUL_MEDIALS =
+    'a,ae,ya,yae,eo,e,yeo,ye,o,wa,wae,oe,yo,u,wo,we,wi,yu,eu,ui,i'.split(',');
+/** Sound of each final consonant before another consonant or a pause */
+const HANGUL_FINALS =
+    ',k,k,k,n,n,n,t,l,k,m,l,l,l,p,l,m,p,p,t,t,ng,t,t,k,t,p,t'.split(',');
+/** Final consonants carried over to a following vowel: [kept, moved] */
+const HANGUL_LIAISON = (
+    ':,:g,:kk,k:s,:n,n:j,:n,:d,:r,l:g,l:m,l:b,l:s,l:t,' +
+    'l:p,:r,:m,:b,p:s,:s,:ss,ng:,:j,:ch,:k,:t,:p,:'
+)
+    .split(',')
+    .map((pair) => pair.split(':'));
+
+const INITIAL_IEUNG = 11;
+const INITIAL_HIEUH = 18;
+const MEDIAL_I = 20;
+
+/**
+ * Romanizes the meeting of a final consonant and the next initial,
+ * applying liaison, nasalization, lateralization, aspiration and
+ * palatalization
+ * @param {number} final - Final consonant index of the first syllable
+ * @param {number} initial - Initial consonant index of the next syllable
+ * @param {number} medial - Vowel index of the next syllable
+ * @returns {[string, string]} Romanized final and initial
+ */
+function romanizeHangulJoint(final, initial, medial) {
+    const sound = HANGUL_FINALS[final];
+    const next = HANGUL_INITIALS[initial];
+
+    if (initial === INITIAL_IEUNG) {
+        // 같이 gachi, 굳이 guji
+        if (medial === MEDIAL_I && (final === 7 || final === 25)) {
+            return ['', final === 7 ? 'j' : 'ch'];
+        }
+        return HANGUL_LIAISON[final];
+    }
+    // ㅎ final makes the next ㄱ, ㄷ, ㅈ aspirated (좋고 joko)
+    if ([6, 15, 27].includes(final) && ['g', 'd', 'j'].includes(next)) {
+        const kept = final === 6 ? 'n' : final === 15 ? 'l' : '';
+        return [kept, { g: 'k', d: 't', j: 'ch' }[next]];
+    }
+    if (initial === INITIAL_HIEUH && ['k', 't', 'p'].includes(sound)) {
+        return ['', sound];
+    }
+    if (next === 'n' || next === 'm') {
+        if (sound === 'l' && next === 'n') {
+            return ['l', 'l'];
+        }
+        return [{ k: 'ng', t: 'n', p: 'm' }[sound] ?? sound, next];
+    }
+    if (next === 'r') {
+        if (sound === 'n' || sound === 'l') {
+            return ['l', 'l'];
+        }
+        if (sound) {
+            return [{ k: 'ng', t: 'n', p: 'm' }[sound] ?? sound, 'n'];
+        }
+    }
+    return [sound, next];
+}
+
+/**
+ * @param {string} word - Run of hangul syllables
+ * @returns {string} Revised Romanization of the run
+ */
+function romanizeHangulWord(word) {
+    const syllables = Array.from(word, (char) => {
+        const index = char.charCodeAt(0) - 0xac00;
+        return {
+            initial: Math.floor(index / 588),
+            medial: Math.floor((index % 588) / 28),
+            final: index % 28,
+        };
+    });
+    const initials = syllables.map(({ initial }) => HANGUL_INITIALS[initial]);
+    const finals = syllables.map(({ final }) => HANGUL_FINALS[final]);
+
+    for (let i = 0; i < syllables.length - 1; i++) {
+        [finals[i], initials[i + 1]] = romanizeHangulJoint(
+            syllables[i].final,
+            syllables[i + 1].initial,
+            syllables[i + 1].medial
+        );
+    }
+
+    return syllables
+        .map(
+            ({ medial }, i) => initials[i] + HANGUL_MEDIALS[medial] + finals[i]
+        )
+        .join('');
+}
+
+/**
+ * Romanizes the hangul in a text (Revised Romanization of Korean with the
+ * common sound changes inside words). Other characters are kept.
+ * @param {string} text - Text
+ * @returns {string} Romanized text
+ */
+export function romanizeHangul(text) {
+    return String(text || '').replace(HANGUL_SYLLABLES, romanizeHangulWord);
+}
+
+// --- Japanese: kana ---
+
+const KANA_ROMAJI_SYLLABLES = (
+    'a i u e o ka ki ku ke ko ga gi gu ge go sa shi su se so za ji zu ze zo ' +
+    'ta chi tsu te to da ji zu de do na ni nu ne no ha hi fu he ho ' +
+    'ba bi bu be bo pa pi pu pe po ma mi mu me mo ya yu yo ra ri ru re ro ' +
+    'wa i e o n vu a i u e o wa'
+).split(' ');
+
+const KANA_ROMAJI = Object.fromEntries(
+    Array.from(
+        'あいうえおかきくけこがぎぐげごさしすせそざじずぜぞたちつてとだぢづでど' +
+            'なにぬねのはひふへほばびぶべぼぱぴぷぺぽまみむめもやゆよらりるれろ' +
+            'わゐゑをんゔぁぃぅぇぉゎ',
+        (kana, i) => [kana, KANA_ROMAJI_SYLLABLES[i]]
+    )
+);
+const SMALL_Y = { ゃ: 'a', ゅ: 'u', ょ: 'o' };
+const SMALL_VOWELS = { ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o' };
+const ROMAJI_PUNCTUATION = {
+    '。': '. ',
+    '、': ', ',
+    '，': ', ',
+    '！': '! ',
+    '？': '? ',
+    '：': ': ',
+    '；': '; ',
+    '「': '"',
+    '」': '"',
+    '『': '"',
+    '』': '"',
+    '（': '(',
+    '）': ')',
+    '…': '...',
+    '\u3000': ' ',
+};
+
+/**
+ * @param {string} text - Text
+ * @returns {string} Text with katakana turned into hiragana
+ */
+export function katakanaToHiragana(text) {
+    return String(text || '').replace(/[\u30a1-\u30f6]/g, (char) =>
+        String.fromCharCode(char.charCodeAt(0) - 0x60)
+    );
+}
+
+/**
+ * Romanizes the kana in a text (Hepburn, long vowels spelled out as
+ * typed, e.g. とうきょう toukyou). Kanji and other characters are kept.
+ * @param {string} text - Text
+ * @returns {string} Romanized text
+ */
+export function kanaToRomaji(text) {
+    const chars = Array.from(katakanaToHiragana(text));
+    let result = '';
+    let doubleNext = false;
+
+    for (let i = 0; i < chars.length; i++) {
+        const char = chars[i];
+        const next = chars[i + 1];
+
+        if (char === 'っ') {
+            doubleNext = true;
+            continue;
+        }
+        if (char === 'ー') {
+            result += result.match(/[aeiou](?=[^aeiou]*$)/)?.[0] || '';
+            continue;
+        }
+
+        let romaji = KANA_ROMAJI[char];
+        if (romaji === undefined) {
+            result += char;
+            doubleNext = false;
+            continue;
+        }
+
+        if (SMALL_Y[next] && romaji.endsWith('i') && romaji.length > 1) {
+            const stem = romaji.slice(0, -1);
+            romaji = ['sh', 'ch', 'j'].includes(stem)
+                ? stem + SMALL_Y[next]
+                : `${stem}y${SMALL_Y[next]}`;
+            i++;
+        } else if (SMALL_VOWELS[next] && !SMALL_VOWELS[char]) {
+            const stem = char === 'う' ? 'w' : romaji.replace(/[aeiou]$/, '');
+            romaji = stem + SMALL_VOWELS[next];
+            i++;
+        } else if (char === 'ん' && /^[aeiouy]/.test(KANA_ROMAJI[next] || '')) {
+            romaji = "n'";
+        }
+
+        if (doubleNext) {
+            result += romaji.startsWith('ch') ? 't' : romaji[0];
+            doubleNext = false;
+        }
+        result += romaji;
+    }
+
+    return result;
+}
+
+// --- Chinese: pinyin ---
+
+const TONE_MARKS = {
+    a: 'āáǎà',
+    e: 'ēéěè',
+    i: 'īíǐì',
+    o: 'ōóǒò',
+    u: 'ūúǔù',
+    ü: 'ǖǘǚǜ',
+};
+
+/**
+ * Turns numbered pinyin syllables into tone marks (ni3 hao3 → nǐ hǎo).
+ * Syllables already written with tone marks are kept.
+ * @param {string} pinyin - Pinyin
+ * @returns {string} Pinyin with tone marks
+ */
+export function toneNumbersToMarks(pinyin) {
+    return String(pinyin || '').replace(
+        /([a-zü:]+)([0-5])/gi,
+        (match, syllable, tone) => {
+            const letters = syllable.toLowerCase().replace(/v|u:/g, 'ü');
+            const toneIndex = Number(tone) - 1;
+            if (toneIndex < 0 || toneIndex > 3) {
+                return letters;
+            }
+            let vowel = letters.search(/[ae]/);
+            if (vowel === -1) {
+                vowel = letters.indexOf('ou');
+            }
+            if (vowel === -1) {
+                vowel = letters.search(/[iouü](?=[^iouü]*$)/);
+            }
+            if (vowel === -1) {
+                return letters;
+            }
+            return (
+                letters.slice(0, vowel) +
+                TONE_MARKS[letters[vowel]][toneIndex] +
+                letters.slice(vowel + 1)
+            );
+        }
+    );
+}
+
+// --- Readings from LLM providers ---
+
+/**
+ * Removes the kana that a base word and its reading share at either end
+ * (okurigana such as 行く[いく] → 行 い), and kana in front of the word
+ * that belong to the preceding text
+ * @param {string} base - Annotated characters
+ * @param {string} reading - Hiragana reading
+ * @returns {{base: string, reading: string}} Trimmed pair
+ */
+function trimKanaAroundReading(base, reading) {
+    let offset = 0;
+    let end = base.length;
+    let readingStart = 0;
+    let readingEnd = reading.length;
+
+    while (offset < end && KANA.test(base[offset])) {
+        if (
+            readingStart < readingEnd &&
+            katakanaToHiragana(base[offset]) === reading[readingStart]
+        ) {
+            readingStart++;
+        }
+        offset++;
+    }
+    while (
+        end > offset &&
+        KANA.test(base[end - 1]) &&
+        readingEnd > readingStart &&
+        katakanaToHiragana(base[end - 1]) === reading[readingEnd - 1]
+    ) {
+        end--;
+        readingEnd--;
+    }
+
+    return {
+        base: base.slice(offset, end),
+        reading: reading.slice(readingStart, readingEnd),
+    };
+}
+
+/**
+ * Finds the readings an LLM provider added to a line in square brackets
+ * (東京[とうきょう]に行[い]く, 你[nǐ]好[hǎo]) and locates them in the line.
+ * Annotations whose base cannot be found in the line are dropped.
+ * @param {string} text - Original subtitle text
+ * @param {string} annotated - Provider answer for a READING_TARGETS code
+ * @param {'ja'|'zh'} language - Language of the line
+ * @returns {Array<{start: number, end: number, reading: string}>} Readings by character range of the text, in order
+ */
+export function parseAnnotatedReading(text, annotated, language) {
+    if (!text || !annotated) {
+        return [];
+    }
+
+    // Japanese bases may carry okurigana, trimmed below
+    const baseChar =
+        language === 'ja'
+            ? new RegExp(`${HAN.source}|${KANA.source}`, 'u')
+            : HAN;
+    const pairs = [];
+    let chunkStart = 0;
+    for (const match of annotated.matchAll(/\[([^[\]]+)\]/g)) {
+        const chunk = annotated.slice(chunkStart, match.index);
+        chunkStart = match.index + match[0].length;
+
+        let baseStart = chunk.length;
+        while (baseStart > 0 && baseChar.test(chunk[baseStart - 1])) {
+            baseStart--;
+        }
+        let base = chunk.slice(baseStart);
+        let reading = match[1].trim();
+
+        if (language === 'ja') {
+            ({ base, reading } = trimKanaAroundReading(
+                base,
+                katakanaToHiragana(reading).replace(/\s+/g, '')
+            ));
+            if (base && reading && HAN.test(base)) {
+                pairs.push({ base, reading });
+            }
+            continue;
+        }
+
+        // Pinyin: one annotation per character when the syllables line up
+        const syllables = toneNumbersToMarks(reading)
+            .split(/[\s'’]+/)
+            .filter(Boolean);
+        const chars = Array.from(base);
+        if (chars.length > 1 && syllables.length === chars.length) {
+            chars.forEach((char, i) =>
+                pairs.push({ base: char, reading: syllables[i] })
+            );
+        } else if (base && syllables.length > 0) {
+            pairs.push({ base, reading: syllables.join(' ') });
+        }
+    }
+
+    const annotations = [];
+    let cursor = 0;
+    for (const { base, reading } of pairs) {
+        const start = text.indexOf(base, cursor);
+        if (start === -1) {
+            continue;
+        }
+        cursor = start + base.length;
+        annotations.push({ start, end: cursor, reading });
+    }
+    return annotations;
+}
+
+// --- Pronunciation of a line ---
+
+/**
+ * Splits a text into word and non-word parts
+ * @param {string} text - Text
+ * @param {string} language - Language code
+ * @returns {Array<{start: number, end: number, isWordLike: boolean}>}
+ */
+function segmentText(text, language) {
+    if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') {
+        return [{ start: 0, end: text.length, isWordLike: true }];
+    }
+    const segmenter = new Intl.Segmenter(language, { granularity: 'word' });
+    return Array.from(segmenter.segment(text), (part) => ({
+        start: part.index,
+        end: part.index + part.segment.length,
+        isWordLike: Boolean(part.isWordLike),
+    }));
+}
+
+/**
+ * Replaces the annotated ranges of a text slice with their readings
+ * @param {string} text - Full text
+ * @param {number} start - Slice start
+ * @param {number} end - Slice end
+ * @param {Array<{start: number, end: number, reading: string}>} annotations - Readings
+ * @param {string} [separator] - Put between a reading and its neighbours
+ * @returns {string}
+ */
+function readSlice(text, start, end, annotations, separator = '') {
+    let result = '';
+    let position = start;
+    for (const annotation of annotations) {
+        if (annotation.end <= start || annotation.start >= end) {
+            continue;
+        }
+        if (annotation.start >= position) {
+            result += text.slice(position, annotation.start);
+            result += result && separator ? separator : '';
+            result += annotation.reading + separator;
+        }
+        position = Math.max(position, annotation.end);
+    }
+    return result + text.slice(position, end);
+}
+
+/**
+ * Tidies a romanized line: ASCII punctuation and single spaces
+ * @param {string} line - Romanized line
+ * @returns {string}
+ */
+function tidyRomanizedLine(line) {
+    return line
+        .replace(
+            /[。、，！？：；「」『』（）…\u3000]/g,
+            (char) => ROMAJI_PUNCTUATION[char]
+        )
+        .replace(/\s+([.,!?:;)])/g, '$1')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Builds the pronunciation aids of a subtitle line
+ * @param {string} text - Subtitle text
+ * @param {string} [language] - Subtitle language code
+ * @param {Object} [options] - Options
+ * @param {string} [options.style] - Japanese reading style, one of JAPANESE_READING_STYLES
+ * @param {string|null} [options.reading] - Provider answer for the line's reading target
+ * @returns {{language: string, annotations: Array<{start: number, end: number, reading: string}>, line: string}|null} Ruby annotations by character range and the reading row ('' when it would repeat the text)
+ */
+export function getPronunciation(text, language, options = {}) {
+    const { style = 'furigana', reading = null } = options;
+    const pronunciationLanguage = getPronunciationLanguage(text, language);
+    if (!text || !pronunciationLanguage) {
+        return null;
+    }
+
+    let annotations = [];
+    let line = '';
+
+    if (pronunciationLanguage === 'ko') {
+        for (const match of text.matchAll(HANGUL_SYLLABLES)) {
+            annotations.push({
+                start: match.index,
+                end: match.index + match[0].length,
+                reading: romanizeHangul(match[0]),
+            });
+        }
+        line = tidyRomanizedLine(romanizeHangul(text));
+    } else if (pronunciationLanguage === 'zh') {
+        annotations = parseAnnotatedReading(text, reading, 'zh');
+        line = tidyRomanizedLine(
+            readSlice(text, 0, text.length, annotations, ' ')
+        );
+    } else {
+        const kanjiReadings = parseAnnotatedReading(text, reading, 'ja');
+        if (style === 'romaji') {
+            const words = [];
+            for (const segment of segmentText(text, 'ja')) {
+                const word = kanaToRomaji(
+                    readSlice(text, segment.start, segment.end, kanjiReadings)
+                );
+                if (!segment.isWordLike) {
+                    words.push(word);
+                    continue;
+                }
+                words.push(` ${word} `);
+                // Words with kanji nobody read stay without ruby
+                if (
+                    !HAN.test(word) &&
+                    word !== text.slice(segment.start, segment.end)
+                ) {
+                    annotations.push({
+                        start: segment.start,
+                        end: segment.end,
+                        reading: word,
+                    });
+                }
+            }
+            line = tidyRomanizedLine(words.join(''));
+        } else {
+            annotations = kanjiReadings;
+            line = readSlice(text, 0, text.length, kanjiReadings);
+        }
+    }
+
+    return {
+        language: pronunciationLanguage,
+        annotations,
+        line: line === text ? '' : line,
+    };
+}
+
+// --- Markup ---
+
+/**
+ * @param {string} value - Attribute value
+ * @returns {string} Escaped for a double-quoted attribute
+ */
+function escapeAttribute(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Ruby markup of an annotated base. The reading is drawn by content.css
+ * from `data-reading`, so it never shows up in the text content of the
+ * subtitle that word selection and the AI context modal read.
+ * @param {string} baseHtml - Escaped base text
+ * @param {string} reading - Reading
+ * @returns {string}
+ */
+function renderRuby(baseHtml, reading) {
+    return `<ruby class="dualsub-ruby">${baseHtml}<rt class="dualsub-reading" data-reading="${escapeAttribute(reading)}"></rt></ruby>`;
+}
+
+/**
+ * Reading row shown above the original line in 'row' mode, drawn from
+ * `data-reading` like ruby readings
+ * @param {string} line - Reading of the line
+ * @returns {string}
+ */
+export function renderReadingRow(line) {
+    return `<span class="dualsub-reading-row" data-reading="${escapeAttribute(line)}"></span>`;
+}
+
+/**
+ * Creates a function that adds ruby to consecutive pieces of an escaped
+ * subtitle line. The pieces must be passed in order and together make up
+ * the whole line (the interactive formatter passes every word and
+ * non-word segment; without it the line is one piece). HTML entities count
+ * as the single character they stand for. An annotation split over two
+ * pieces gets its reading on the first part.
+ * @param {Array<{start: number, end: number, reading: string}>} annotations - Readings by character range of the unescaped line
+ * @returns {function(string): string} Piece → HTML with ruby
+ */
+export function createRubyAnnotator(annotations = []) {
+    let offset = 0;
+    let next = 0;
+
+    return (piece) => {
+        const positions = Array.from(
+            piece.matchAll(HTML_ENTITY_OR_CHAR),
+            (match) => match.index
+        );
+        positions.push(piece.length);
+        const start = offset;
+        const end = offset + positions.length - 1;
+        offset = end;
+
+        let html = '';
+        let position = 0;
+        while (next < annotations.length && annotations[next].start < end) {
+            const annotation = annotations[next];
+            const from = Math.max(annotation.start, start) - start;
+            const to = Math.min(annotation.end, end) - start;
+            if (to > from) {
+                html += piece.slice(position, positions[from]);
+                const baseHtml = piece.slice(positions[from], positions[to]);
+                html +=
+                    annotation.start >= start
+                        ? renderRuby(baseHtml, annotation.reading)
+                        : baseHtml;
+                position = positions[to];
+            }
+            if (annotation.end > end) {
+                break;
+            }
+            next++;
+        }
+        return html + piece.slice(position);
+    };
+}
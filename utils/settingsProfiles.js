@@ -0,0 +1,158 @@
+// utils/settingsProfiles.js
+// Named settings profiles, profile files and per-platform/per-title
+// overrides, shared by ConfigService, the content scripts (override
+// resolution) and the options page (Profiles section)
+
+import {
+    configSchema,
+    validateSetting,
+    getSecretKeys,
+} from '../config/configSchema.js';
+
+/** `format` field of exported profile files */
+export const PROFILE_FILE_FORMAT = 'dualsub-profile';
+export const PROFILE_FILE_VERSION = 1;
+
+/**
+ * Keys that are never part of a profile or an override: the profile
+ * storage itself, per-video state and UI state
+ */
+export const NON_PROFILE_KEYS = [
+    'settingsProfiles',
+    'activeSettingsProfile',
+    'settingsOverrides',
+    'subtitleSyncOffsets',
+    'appearanceAccordionOpen',
+];
+
+/** Platforms overrides can target, as returned by getPlatformName() */
+export const OVERRIDE_PLATFORMS = [
+    'netflix',
+    'disneyplus',
+    'youtube',
+    'generic',
+];
+
+/**
+ * Settings a profile or an override can hold
+ * @returns {string[]}
+ */
+export function getProfileKeys() {
+    return Object.keys(configSchema).filter(
+        (key) => !NON_PROFILE_KEYS.includes(key)
+    );
+}
+
+/**
+ * Normalize a show title for matching: trimmed, single spaces, lowercase
+ * @param {string} title - Show title
+ * @returns {string}
+ */
+export function normalizeTitle(title) {
+    return String(title || '')
+        .trim()
+        .replace(/\s+/g, ' ')
+        .toLowerCase();
+}
+
+/**
+ * Keep the settings that may be stored in a profile or an override and
+ * pass validateSetting
+ * @param {Object} settings - Settings to check
+ * @returns {{settings: Object, errors: Array<{key: string, error: string}>}} Valid settings and the rejected keys
+ */
+export function validateProfileSettings(settings) {
+    const valid = {};
+    const errors = [];
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return { settings: valid, errors };
+    }
+    for (const [key, value] of Object.entries(settings)) {
+        if (!configSchema[key] || NON_PROFILE_KEYS.includes(key)) {
+            errors.push({ key, error: 'unknown_key' });
+        } else if (!validateSetting(key, value)) {
+            errors.push({ key, error: 'invalid_value' });
+        } else {
+            valid[key] = value;
+        }
+    }
+    return { settings: valid, errors };
+}
+
+/**
+ * Settings overriding the global ones in a context: the platform's
+ * override, then the title's override on top
+ * @param {Object} overrides - `settingsOverrides` setting
+ * @param {{platform?: string, title?: string}} [context] - Where the settings are used
+ * @returns {Object} Overriding settings (empty when none apply)
+ */
+export function getOverrideSettings(overrides, context) {
+    if (!overrides || !context) {
+        return {};
+    }
+    const platformSettings = context.platform
+        ? overrides.platforms?.[context.platform]
+        : null;
+    const title = normalizeTitle(context.title);
+    const titleSettings = title ? overrides.titles?.[title]?.settings : null;
+    return {
+        ...validateProfileSettings(platformSettings).settings,
+        ...validateProfileSettings(titleSettings).settings,
+    };
+}
+
+/**
+ * Build a profile file
+ * @param {string} name - Profile name
+ * @param {Object} settings - Profile settings
+ * @param {boolean} [includeSecrets=false] - Keep API keys and access tokens
+ * @returns {{format: string, version: number, name: string, exportedAt: string, settings: Object}}
+ */
+export function buildProfileExport(name, settings, includeSecrets = false) {
+    const secretKeys = getSecretKeys();
+    const exported = {};
+    for (const [key, value] of Object.entries(settings || {})) {
+        if (NON_PROFILE_KEYS.includes(key)) {
+            continue;
+        }
+        if (!includeSecrets && secretKeys.includes(key)) {
+            continue;
+        }
+        exported[key] = value;
+    }
+    return {
+        format: PROFILE_FILE_FORMAT,
+        version: PROFILE_FILE_VERSION,
+        name,
+        exportedAt: new Date().toISOString(),
+        settings: exported,
+    };
+}
+
+/**
+ * Read a profile file. Unknown keys and values of the wrong type are
+ * dropped and reported rather than failing the import.
+ * @param {string|Object} data - File contents or parsed JSON
+ * @returns {{name: string, settings: Object, errors: Array<{key: string, error: string}>}}
+ * @throws {Error} If the data is not a DualSub profile file
+ */
+export function parseProfileImport(data) {
+    const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    if (
+        !parsed ||
+        parsed.format !== PROFILE_FILE_FORMAT ||
+        typeof parsed.settings !== 'object' ||
+        parsed.settings === null
+    ) {
+        throw new Error('Not a DualSub profile file');
+    }
+    if (parsed.version > PROFILE_FILE_VERSION) {
+        throw new Error(`Unsupported profile file version ${parsed.version}`);
+    }
+    const { settings, errors } = validateProfileSettings(parsed.settings);
+    return {
+        name: typeof parsed.name === 'string' ? parsed.name.trim() : '',
+        settings,
+        errors,
+    };
+}
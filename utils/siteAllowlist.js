@@ -0,0 +1,70 @@
+// utils/siteAllowlist.js
+// Helpers for the generic HTML5 video allowlist (genericSiteAllowlist setting)
+
+/** Hosts with a dedicated platform adapter; never handled as generic sites */
+const DEDICATED_PLATFORM_HOSTS = [
+    'netflix.com',
+    'disneyplus.com',
+    'youtube.com',
+];
+
+/**
+ * Normalizes a URL or host name entered by the user to a bare host name
+ * @param {string} input - URL or host name (e.g. 'https://Example.com/watch')
+ * @returns {string|null} - Lowercase host name, or null if not an http(s) site
+ */
+export function normalizeSiteHost(input) {
+    if (!input || typeof input !== 'string') {
+        return null;
+    }
+
+    const trimmed = input.trim();
+    try {
+        const url = new URL(
+            /^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed)
+                ? trimmed
+                : `https://${trimmed}`
+        );
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return null;
+        }
+        return url.hostname.toLowerCase() || null;
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Whether a host already has a dedicated platform adapter
+ * @param {string} host - Host name
+ * @returns {boolean}
+ */
+export function isDedicatedPlatformHost(host) {
+    return DEDICATED_PLATFORM_HOSTS.some(
+        (domain) => host === domain || host.endsWith(`.${domain}`)
+    );
+}
+
+/**
+ * Host permission pattern that covers a site
+ * @param {string} host - Host name
+ * @returns {string} - Match pattern (e.g. '*://example.com/*')
+ */
+export function getSiteOriginPattern(host) {
+    return `*://${host}/*`;
+}
+
+/**
+ * Cleans an allowlist: normalized, unique hosts without dedicated platforms
+ * @param {string[]} allowlist - Hosts or URLs from the genericSiteAllowlist setting
+ * @returns {string[]} - Normalized host names
+ */
+export function normalizeSiteAllowlist(allowlist) {
+    if (!Array.isArray(allowlist)) {
+        return [];
+    }
+    const hosts = allowlist
+        .map(normalizeSiteHost)
+        .filter((host) => host && !isDedicatedPlatformHost(host));
+    return [...new Set(hosts)];
+}
@@ -0,0 +1,135 @@
+// utils/subtitleStyle.js
+// Per-track subtitle typography, shared by the content scripts
+// (applySubtitleStyling) and the popup's live preview
+
+/**
+ * Font choices stored in the `<track>SubtitleFontFamily` settings. Only
+ * these tokens are turned into CSS, so synced settings cannot inject
+ * arbitrary styles. 'default' keeps the page font.
+ */
+export const SUBTITLE_FONT_FAMILIES = {
+    default: '',
+    sans: 'Arial, "Helvetica Neue", Helvetica, sans-serif',
+    serif: 'Georgia, "Times New Roman", serif',
+    rounded: '"Trebuchet MS", "Segoe UI", Verdana, sans-serif',
+    monospace: '"Courier New", Courier, monospace',
+    cjk: '"Noto Sans CJK SC", "Noto Sans JP", "PingFang SC", "Hiragino Sans", "Microsoft YaHei", sans-serif',
+};
+
+export const SUBTITLE_FONT_WEIGHTS = [300, 400, 600, 700];
+
+/** Text edge effects stored in the `<track>SubtitleTextEdge` settings */
+export const SUBTITLE_TEXT_EDGES = {
+    shadow: '1px 1px 2px black, 0 0 3px black',
+    outline:
+        '-1px -1px 0 black, 1px -1px 0 black, -1px 1px 0 black, 1px 1px 0 black, 0 0 2px black',
+    none: 'none',
+};
+
+/** Default style of each track, matching the configSchema defaults */
+export const DEFAULT_SUBTITLE_TRACK_STYLES = {
+    original: {
+        fontFamily: 'default',
+        fontWeight: 400,
+        color: '#FFFFFF',
+        textEdge: 'shadow',
+        backgroundOpacity: 0.6,
+        sizeRatio: 1,
+    },
+    translated: {
+        fontFamily: 'default',
+        fontWeight: 400,
+        color: '#00FFFF',
+        textEdge: 'shadow',
+        backgroundOpacity: 0.6,
+        sizeRatio: 1,
+    },
+};
+
+const SETTING_SUFFIXES = {
+    fontFamily: 'FontFamily',
+    fontWeight: 'FontWeight',
+    color: 'Color',
+    textEdge: 'TextEdge',
+    backgroundOpacity: 'BackgroundOpacity',
+    sizeRatio: 'SizeRatio',
+};
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Name of the setting that holds one style property of a track
+ * @param {'original'|'translated'} track - Subtitle track
+ * @param {string} property - Key of DEFAULT_SUBTITLE_TRACK_STYLES entries
+ * @returns {string} Setting key, e.g. 'translatedSubtitleColor'
+ */
+export function getTrackStyleSettingKey(track, property) {
+    return `${track}Subtitle${SETTING_SUFFIXES[property]}`;
+}
+
+function clampNumber(value, min, max, fallback) {
+    const number = value === null || value === '' ? NaN : Number(value);
+    if (!Number.isFinite(number)) {
+        return fallback;
+    }
+    return Math.min(max, Math.max(min, number));
+}
+
+/**
+ * Reads a track's style settings from a config object, falling back to the
+ * defaults for missing or invalid values
+ * @param {Object} config - Settings
+ * @param {'original'|'translated'} track - Subtitle track
+ * @returns {Object} Style settings in DEFAULT_SUBTITLE_TRACK_STYLES form
+ */
+export function getTrackStyleSettings(config, track) {
+    const defaults = DEFAULT_SUBTITLE_TRACK_STYLES[track];
+    const read = (property) =>
+        config?.[getTrackStyleSettingKey(track, property)];
+
+    const fontFamily = read('fontFamily');
+    const textEdge = read('textEdge');
+    const color = read('color');
+    const fontWeight = Number(read('fontWeight'));
+
+    return {
+        fontFamily: Object.hasOwn(SUBTITLE_FONT_FAMILIES, fontFamily ?? '')
+            ? fontFamily
+            : defaults.fontFamily,
+        fontWeight: SUBTITLE_FONT_WEIGHTS.includes(fontWeight)
+            ? fontWeight
+            : defaults.fontWeight,
+        color: HEX_COLOR_PATTERN.test(color || '') ? color : defaults.color,
+        textEdge: Object.hasOwn(SUBTITLE_TEXT_EDGES, textEdge ?? '')
+            ? textEdge
+            : defaults.textEdge,
+        backgroundOpacity: clampNumber(
+            read('backgroundOpacity'),
+            0,
+            1,
+            defaults.backgroundOpacity
+        ),
+        sizeRatio: clampNumber(read('sizeRatio'), 0.5, 2, defaults.sizeRatio),
+    };
+}
+
+/**
+ * Builds the inline CSS of one subtitle track
+ * @param {Object} config - Settings, including subtitleFontSize (vw)
+ * @param {'original'|'translated'} track - Subtitle track
+ * @returns {{fontFamily: string, fontWeight: string, fontSize: string, color: string, textShadow: string, backgroundColor: string}}
+ */
+export function getSubtitleTrackStyle(config, track) {
+    const style = getTrackStyleSettings(config, track);
+    const baseFontSize = clampNumber(config?.subtitleFontSize, 0.1, 10, 1.1);
+    const fontSize = Math.round(baseFontSize * style.sizeRatio * 100) / 100;
+
+    return {
+        fontFamily: SUBTITLE_FONT_FAMILIES[style.fontFamily],
+        fontWeight: String(style.fontWeight),
+        fontSize: `${fontSize}vw`,
+        color: style.color,
+        textShadow: SUBTITLE_TEXT_EDGES[style.textEdge],
+        backgroundColor: `rgba(0, 0, 0, ${style.backgroundOpacity})`,
+    };
+}
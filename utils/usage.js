@@ -0,0 +1,230 @@
+// utils/usage.js
+// Translation and AI context usage accounting, shared by the background
+// usage tracker (recording, budget caps) and the options page (Usage section)
+
+/**
+ * AI context providers are counted next to the translation providers under
+ * `context:<providerId>`
+ */
+export const AI_CONTEXT_USAGE_PREFIX = 'context:';
+
+/**
+ * Default prices in USD per million characters, input tokens or output
+ * tokens, from the providers' public price lists at the time of writing.
+ * The `usagePricing` setting overrides them; free and local providers have
+ * no price.
+ */
+export const DEFAULT_USAGE_PRICING = {
+    deepl: { characters: 25 },
+    openai_compatible: { inputTokens: 0.4, outputTokens: 1.6 },
+    vertex_gemini: { inputTokens: 0.3, outputTokens: 2.5 },
+    'context:openai': { inputTokens: 0.4, outputTokens: 1.6 },
+    'context:gemini': { inputTokens: 0.3, outputTokens: 2.5 },
+    'context:anthropic': { inputTokens: 1, outputTokens: 5 },
+    'context:openai_compatible': { inputTokens: 0.4, outputTokens: 1.6 },
+};
+
+export const USAGE_PRICE_FIELDS = ['characters', 'inputTokens', 'outputTokens'];
+
+/**
+ * What happens to paid providers once a budget cap is reached: 'block'
+ * stops them, 'switch' hands translations to `switchProvider`
+ */
+export const BUDGET_ACTIONS = ['switch', 'block'];
+
+/** Counters kept per provider per day; cost is derived from them */
+export const USAGE_COUNTER_FIELDS = [
+    'characters',
+    'requests',
+    'inputTokens',
+    'outputTokens',
+];
+
+/**
+ * Local calendar day of a timestamp, used as the key of daily usage
+ * @param {number|Date} [time=Date.now()] - Timestamp
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function getUsageDayKey(time = Date.now()) {
+    const date = new Date(time);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Merge stored price overrides over the defaults
+ * @param {Object} [overrides] - `usagePricing` setting
+ * @returns {Object<string, {characters?: number, inputTokens?: number, outputTokens?: number}>}
+ */
+export function getUsagePricing(overrides) {
+    const pricing = {};
+    const keys = new Set([
+        ...Object.keys(DEFAULT_USAGE_PRICING),
+        ...Object.keys(overrides || {}),
+    ]);
+    for (const key of keys) {
+        const price = { ...DEFAULT_USAGE_PRICING[key] };
+        for (const field of USAGE_PRICE_FIELDS) {
+            const value = overrides?.[key]?.[field];
+            if (Number.isFinite(value) && value >= 0) {
+                price[field] = value;
+            }
+        }
+        pricing[key] = price;
+    }
+    return pricing;
+}
+
+/**
+ * Whether a usage key costs money at the given prices
+ * @param {Object} pricing - Result of getUsagePricing
+ * @param {string} key - Provider ID or AI context usage key
+ * @returns {boolean}
+ */
+export function isPaidUsage(pricing, key) {
+    const price = pricing[key];
+    return USAGE_PRICE_FIELDS.some((field) => price?.[field] > 0);
+}
+
+/**
+ * Estimated cost in USD of some usage
+ * @param {Object} pricing - Result of getUsagePricing
+ * @param {string} key - Provider ID or AI context usage key
+ * @param {{characters?: number, inputTokens?: number, outputTokens?: number}} usage
+ * @returns {number}
+ */
+export function estimateUsageCost(pricing, key, usage) {
+    const price = pricing[key];
+    if (!price) {
+        return 0;
+    }
+    return USAGE_PRICE_FIELDS.reduce(
+        (sum, field) => sum + ((usage[field] || 0) * (price[field] || 0)) / 1e6,
+        0
+    );
+}
+
+const emptySummary = () => ({
+    ...Object.fromEntries(USAGE_COUNTER_FIELDS.map((field) => [field, 0])),
+    cost: 0,
+});
+
+/**
+ * Add up daily usage per provider over a range of days. Costs use the
+ * current prices, so editing a price re-estimates past usage as well.
+ * @param {Object<string, Object>} days - { [dayKey]: { [usageKey]: counters } }
+ * @param {Object} pricing - Result of getUsagePricing
+ * @param {string} [fromDay] - First day included ('YYYY-MM-DD')
+ * @param {string} [toDay] - Last day included ('YYYY-MM-DD')
+ * @returns {{providers: Object<string, Object>, total: Object}} Counters and cost per usage key and overall
+ */
+export function summarizeUsage(
+    days,
+    pricing,
+    fromDay = '',
+    toDay = '9999-12-31'
+) {
+    const providers = {};
+    const total = emptySummary();
+    for (const [day, usage] of Object.entries(days || {})) {
+        if (day < fromDay || day > toDay) {
+            continue;
+        }
+        for (const [key, counters] of Object.entries(usage)) {
+            const summary = (providers[key] ??= emptySummary());
+            for (const field of USAGE_COUNTER_FIELDS) {
+                summary[field] += counters[field] || 0;
+                total[field] += counters[field] || 0;
+            }
+            const cost = estimateUsageCost(pricing, key, counters);
+            summary.cost += cost;
+            total.cost += cost;
+        }
+    }
+    return { providers, total };
+}
+
+/**
+ * Spending against the budget caps. A cap of 0 is no cap.
+ * @param {Object<string, Object>} days - Daily usage
+ * @param {Object} pricing - Result of getUsagePricing
+ * @param {{daily?: number, monthly?: number}} budget - `usageBudget` setting
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {{dailyCost: number, monthlyCost: number, dailyExceeded: boolean, monthlyExceeded: boolean, exceeded: boolean}}
+ */
+export function getBudgetStatus(days, pricing, budget, now = Date.now()) {
+    const today = getUsageDayKey(now);
+    const dailyCost = summarizeUsage(days, pricing, today, today).total.cost;
+    const monthlyCost = summarizeUsage(
+        days,
+        pricing,
+        `${today.slice(0, 8)}01`,
+        today
+    ).total.cost;
+    const dailyExceeded = budget?.daily > 0 && dailyCost >= budget.daily;
+    const monthlyExceeded =
+        budget?.monthly > 0 && monthlyCost >= budget.monthly;
+    return {
+        dailyCost,
+        monthlyCost,
+        dailyExceeded,
+        monthlyExceeded,
+        exceeded: dailyExceeded || monthlyExceeded,
+    };
+}
+
+/**
+ * Token counts of an LLM response: OpenAI chat completions and responses,
+ * and Gemini `usageMetadata`
+ * @param {Object} data - Parsed response body
+ * @returns {{inputTokens: number, outputTokens: number}|null} null when the response has none
+ */
+export function readTokenUsage(data) {
+    const usage = data?.usage;
+    if (usage) {
+        return {
+            inputTokens: usage.prompt_tokens ?? usage.input_tokens ?? 0,
+            outputTokens: usage.completion_tokens ?? usage.output_tokens ?? 0,
+        };
+    }
+    const metadata = data?.usageMetadata;
+    if (metadata) {
+        return {
+            inputTokens: metadata.promptTokenCount || 0,
+            // Thinking tokens are billed as output
+            outputTokens:
+                (metadata.candidatesTokenCount || 0) +
+                (metadata.thoughtsTokenCount || 0),
+        };
+    }
+    return null;
+}
+
+let tokenUsageListener = null;
+
+/**
+ * Receive the token counts providers report (the background usage tracker)
+ * @param {function(string, {inputTokens: number, outputTokens: number}): void|null} listener
+ */
+export function setTokenUsageListener(listener) {
+    tokenUsageListener = listener;
+}
+
+/**
+ * Report the token counts of an LLM response. Called by the providers right
+ * after parsing a response; a no-op outside the background service worker.
+ * @param {string} key - Provider ID or AI context usage key
+ * @param {Object} data - Parsed response body
+ */
+export function reportTokenUsage(key, data) {
+    const tokens = readTokenUsage(data);
+    if (!tokens || !tokenUsageListener) {
+        return;
+    }
+    try {
+        tokenUsageListener(key, tokens);
+    } catch (_) {
+        // Accounting must never break a translation
+    }
+}
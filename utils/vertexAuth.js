@@ -183,8 +183,8 @@ export async function refreshAccessToken(updateConfig = true) {
     // Update config if requested
     if (updateConfig && typeof chrome.storage.sync !== 'undefined') {
         try {
-            const { configService } = await import('../services/configService.js');
-            await configService.set('vertexAccessToken', accessToken);
+            const { apiKeyVault } = await import('../services/apiKeyVault.js');
+            await apiKeyVault.setSecret('vertexAccessToken', accessToken);
         } catch (error) {
             console.error('[VertexAuth] Failed to update config:', error);
         }
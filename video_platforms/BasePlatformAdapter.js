@@ -84,13 +84,20 @@ export class BasePlatformAdapter extends VideoPlatform {
         });
     }
 
-    async requestVttViaMessaging(vttUrl, targetLanguage, originalLanguage) {
+    async requestVttViaMessaging(
+        vttUrl,
+        targetLanguage,
+        originalLanguage,
+        source
+    ) {
         const message = {
             action: MessageActions.FETCH_VTT,
             url: vttUrl,
             videoId: this.currentVideoId,
             targetLanguage,
             originalLanguage,
+            // Platform whose subtitle blacklist applies (background defaults to Disney+)
+            ...(source && { source }),
         };
         return await this._sendMessageResilient(message, {
             retries: 3,
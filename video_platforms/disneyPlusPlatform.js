@@ -246,6 +246,14 @@ export class DisneyPlusPlatform extends BasePlatformAdapter {
         return this.currentVideoId;
     }
 
+    getVideoTitle() {
+        const title = document.title
+            .replace(/\s*[-|]\s*Disney\+\s*$/i, '')
+            .replace(/^Watch\s+/i, '')
+            .trim();
+        return title || null;
+    }
+
     getPlayerContainerElement() {
         const videoElement = this.getVideoElement();
         return videoElement ? videoElement.parentElement : null;
@@ -0,0 +1,539 @@
+import { configService } from '../services/configService.js';
+import { Injection } from '../content_scripts/shared/constants/injection.js';
+import { normalizeLanguageCode } from '../utils/languageNormalization.js';
+import { cuesToVtt } from '../content_scripts/shared/vttCues.js';
+import { BasePlatformAdapter } from './BasePlatformAdapter.js';
+
+const INJECT_EVENT_ID = Injection.generic.EVENT_ID; // Must match genericInject.js
+
+// How often the page is checked for a new video or newly loaded text tracks
+const VIDEO_CHECK_INTERVAL = 1000;
+// Scans to wait for a translated text track to load before using the original alone
+const MAX_TARGET_TRACK_WAITS = 5;
+const SUBTITLE_TRACK_KINDS = ['subtitles', 'captions'];
+
+/**
+ * Adapter for plain HTML5 players on sites the user has allowlisted.
+ *
+ * Subtitles come from, in order of preference:
+ * - `video.textTracks` (including `<track>` elements), whose languages are known
+ * - `.vtt` files and HLS subtitle playlists intercepted by genericInject.js
+ */
+export class GenericHtml5Platform extends BasePlatformAdapter {
+    constructor() {
+        super('GenericHtml5Platform');
+        this.videoCheckIntervalId = null;
+        this.observedVideo = null;
+        this.textTrackListener = null;
+        this.subtitleSource = null;
+        this.emittedTrackKey = null;
+        this.targetTrackWaits = 0;
+        this.hiddenNativeTracks = new Set();
+        this.initializeLogger();
+    }
+
+    /**
+     * Gets the platform name.
+     * @returns {string} The platform name, 'generic'.
+     */
+    getPlatformName() {
+        return 'generic';
+    }
+
+    isPlatformActive() {
+        // The content script is only registered on allowlisted sites
+        return (
+            window.location.protocol === 'http:' ||
+            window.location.protocol === 'https:'
+        );
+    }
+
+    isPlayerPageActive() {
+        // Videos may be added at any time, so every allowlisted page counts
+        return true;
+    }
+
+    async initialize(onSubtitleUrlFound, onVideoIdChange) {
+        if (!this.isPlatformActive()) return;
+
+        this.setCallbacks(onSubtitleUrlFound, onVideoIdChange);
+
+        this.eventListener = this._handleInjectorEvents.bind(this);
+        document.addEventListener(INJECT_EVENT_ID, this.eventListener);
+
+        this.setupNativeSubtitleSettingsListener([]);
+
+        this.checkForVideo();
+        this.videoCheckIntervalId = setInterval(
+            () => this.checkForVideo(),
+            VIDEO_CHECK_INTERVAL
+        );
+
+        this.logger.info('Initialized and event listener added', {
+            host: window.location.hostname,
+        });
+    }
+
+    /**
+     * Picks the video being watched: the playing one, otherwise the largest.
+     * @returns {HTMLVideoElement|null}
+     */
+    getVideoElement() {
+        const videos = Array.from(document.querySelectorAll('video'));
+        if (videos.length <= 1) {
+            return videos[0] || null;
+        }
+
+        const playing = videos.find(
+            (video) => !video.paused && !video.ended && video.readyState > 2
+        );
+        if (playing) {
+            return playing;
+        }
+
+        const area = (video) => {
+            const rect = video.getBoundingClientRect();
+            return rect.width * rect.height;
+        };
+        return videos.reduce((largest, video) =>
+            area(video) > area(largest) ? video : largest
+        );
+    }
+
+    getCurrentVideoId() {
+        return this.currentVideoId;
+    }
+
+    getVideoTitle() {
+        return document.title.trim() || null;
+    }
+
+    getPlayerContainerElement() {
+        const videoElement = this.getVideoElement();
+        return videoElement ? videoElement.parentElement : null;
+    }
+
+    getProgressBarElement() {
+        return null;
+    }
+
+    supportsProgressBarTracking() {
+        // Custom players vary too much; video.currentTime is the reliable source
+        return false;
+    }
+
+    /**
+     * Builds a stable ID from the page URL and, for file sources, the media
+     * path. Blob sources (MSE players) change on every load, so they are ignored.
+     * @param {HTMLVideoElement|null} video - Current video element
+     * @returns {string}
+     */
+    buildVideoId(video) {
+        let videoId = `${window.location.hostname}${window.location.pathname}${window.location.search}`;
+        const source = video?.currentSrc || video?.src || '';
+        if (/^https?:/i.test(source)) {
+            try {
+                const sourceUrl = new URL(source);
+                videoId += `#${sourceUrl.hostname}${sourceUrl.pathname}`;
+            } catch (_) {}
+        }
+        return videoId;
+    }
+
+    /**
+     * Tracks video changes and loads subtitles from the video's text tracks.
+     */
+    checkForVideo() {
+        const video = this.getVideoElement();
+        if (!video) {
+            return;
+        }
+
+        const videoId = this.buildVideoId(video);
+        if (videoId !== this.currentVideoId) {
+            this.subtitleSource = null;
+            this.emittedTrackKey = null;
+            this.targetTrackWaits = 0;
+            this.setVideoIdAndNotify(videoId);
+        }
+
+        if (video !== this.observedVideo) {
+            this._observeTextTracks(video);
+        }
+
+        this.scanTextTracks(video).catch((error) => {
+            this.logger.error('Failed to read text tracks', error, {
+                videoId: this.currentVideoId,
+            });
+        });
+    }
+
+    _observeTextTracks(video) {
+        this._stopObservingTextTracks();
+        this.observedVideo = video;
+        if (!video.textTracks?.addEventListener) {
+            return;
+        }
+        this.textTrackListener = () => this.checkForVideo();
+        video.textTracks.addEventListener('addtrack', this.textTrackListener);
+    }
+
+    _stopObservingTextTracks() {
+        if (this.observedVideo && this.textTrackListener) {
+            this.observedVideo.textTracks?.removeEventListener?.(
+                'addtrack',
+                this.textTrackListener
+            );
+        }
+        this.observedVideo = null;
+        this.textTrackListener = null;
+    }
+
+    /**
+     * Emits subtitles from the video's text tracks once their cues are loaded.
+     * The track in the original language is preferred; a track in the target
+     * language is used as the official translation when enabled.
+     * @param {HTMLVideoElement} video - Video element
+     */
+    async scanTextTracks(video) {
+        const tracks = Array.from(video.textTracks || []).filter((track) =>
+            SUBTITLE_TRACK_KINDS.includes(track.kind)
+        );
+        if (tracks.length === 0) {
+            return;
+        }
+
+        const settings = await configService.getMultiple([
+            'targetLanguage',
+            'originalLanguage',
+            'useOfficialTranslations',
+        ]);
+        const targetLanguage = settings.targetLanguage || 'zh-CN';
+        const originalLanguage = settings.originalLanguage || 'en';
+
+        const originalTrack =
+            this.findTrackForLanguage(tracks, originalLanguage) ||
+            tracks.find((track) => track.mode === 'showing') ||
+            tracks[0];
+        const matchingTargetTrack = settings.useOfficialTranslations
+            ? this.findTrackForLanguage(tracks, targetLanguage)
+            : null;
+        const targetTrack =
+            matchingTargetTrack !== originalTrack ? matchingTargetTrack : null;
+
+        // Cues are only loaded for tracks that are not disabled
+        for (const track of [originalTrack, targetTrack]) {
+            if (track && track.mode === 'disabled') {
+                track.mode = 'hidden';
+            }
+        }
+
+        if (!originalTrack.cues || originalTrack.cues.length === 0) {
+            return;
+        }
+        let useNativeTarget = !!targetTrack?.cues?.length;
+        if (targetTrack && !useNativeTarget) {
+            this.targetTrackWaits += 1;
+            if (this.targetTrackWaits < MAX_TARGET_TRACK_WAITS) {
+                return;
+            }
+        }
+
+        const trackKey = [
+            this.currentVideoId,
+            this._describeTrack(originalTrack),
+            originalTrack.cues.length,
+            useNativeTarget ? this._describeTrack(targetTrack) : '',
+            useNativeTarget ? targetTrack.cues.length : 0,
+        ].join('|');
+        if (trackKey === this.emittedTrackKey) {
+            return;
+        }
+        this.emittedTrackKey = trackKey;
+        this.subtitleSource = 'textTracks';
+
+        const vttText = this.textTrackToVtt(originalTrack);
+        this.logger.info('Subtitles loaded from text tracks', {
+            videoId: this.currentVideoId,
+            original: this._describeTrack(originalTrack),
+            target: useNativeTarget ? this._describeTrack(targetTrack) : null,
+        });
+
+        this._emitSubtitles({
+            vttText,
+            targetVttText: useNativeTarget
+                ? this.textTrackToVtt(targetTrack)
+                : vttText,
+            url: null,
+            sourceLanguage: originalTrack.language || originalLanguage,
+            targetLanguage,
+            useNativeTarget,
+            availableLanguages: tracks.map((track) =>
+                this._toLanguageInfo(track.language, track.label)
+            ),
+        });
+    }
+
+    /**
+     * Finds a track for a language, preferring an exact match over a match
+     * of the base language (e.g. 'en-GB' for 'en').
+     * @param {TextTrack[]} tracks - Subtitle tracks
+     * @param {string} languageCode - Wanted language code
+     * @returns {TextTrack|null}
+     */
+    findTrackForLanguage(tracks, languageCode) {
+        const wanted = languageCode.toLowerCase();
+        const withLanguage = tracks.filter((track) => track.language);
+        return (
+            withLanguage.find(
+                (track) =>
+                    normalizeLanguageCode(track.language).toLowerCase() ===
+                    wanted
+            ) ||
+            withLanguage.find(
+                (track) =>
+                    track.language.toLowerCase().split('-')[0] ===
+                    wanted.split('-')[0]
+            ) ||
+            null
+        );
+    }
+
+    /**
+     * Serializes the loaded cues of a text track as VTT.
+     * @param {TextTrack} track - Text track with loaded cues
+     * @returns {string}
+     */
+    textTrackToVtt(track) {
+        const cues = Array.from(track.cues || []).map((cue) => ({
+            start: cue.startTime,
+            end: cue.endTime,
+            text: cue.text,
+        }));
+        return cuesToVtt(cues);
+    }
+
+    _describeTrack(track) {
+        return track.label || track.language || track.id || 'unnamed';
+    }
+
+    _toLanguageInfo(languageCode, displayName) {
+        const normalizedCode = languageCode
+            ? normalizeLanguageCode(languageCode)
+            : 'unknown';
+        return {
+            rawCode: languageCode || '',
+            normalizedCode,
+            displayName: displayName || normalizedCode,
+        };
+    }
+
+    _emitSubtitles({
+        vttText,
+        targetVttText,
+        url,
+        sourceLanguage,
+        targetLanguage,
+        useNativeTarget,
+        availableLanguages,
+    }) {
+        this.onSubtitleUrlFoundCallback?.({
+            vttText,
+            targetVttText,
+            videoId: this.currentVideoId,
+            url,
+            sourceLanguage: normalizeLanguageCode(sourceLanguage),
+            targetLanguage: normalizeLanguageCode(targetLanguage),
+            useNativeTarget,
+            availableLanguages,
+            selectedLanguage: this._toLanguageInfo(sourceLanguage),
+            targetLanguageInfo: { code: targetLanguage },
+        });
+    }
+
+    _handleInjectorEvents(e) {
+        const data = e.detail;
+        if (!data || !data.type) return;
+
+        if (data.type === 'INJECT_SCRIPT_READY') {
+            this.logger.info('Inject script is ready');
+            return;
+        }
+        if (
+            data.type !== 'SUBTITLE_DATA_FOUND' &&
+            data.type !== 'SUBTITLE_URL_FOUND'
+        ) {
+            return;
+        }
+
+        if (!this.currentVideoId) {
+            this.setVideoIdAndNotify(this.buildVideoId(this.getVideoElement()));
+        }
+        if (this.subtitleSource === 'textTracks') {
+            this.logger.debug(
+                'Ignoring intercepted subtitles, text tracks are in use',
+                { url: data.url }
+            );
+            return;
+        }
+        if (this.isDuplicateVttUrl(data.url)) {
+            this.logger.debug('VTT URL already processed or known', {
+                url: data.url,
+                videoId: this.currentVideoId,
+            });
+            return;
+        }
+        this.markVttUrlProcessed(data.url);
+
+        if (data.type === 'SUBTITLE_DATA_FOUND') {
+            this._handleInterceptedVtt(data);
+        } else {
+            this._handleInterceptedPlaylist(data);
+        }
+    }
+
+    handleInjectorEvents(e) {
+        this._handleInjectorEvents(e);
+    }
+
+    async _handleInterceptedVtt({ url, vttText }) {
+        const settings = await configService.getMultiple([
+            'targetLanguage',
+            'originalLanguage',
+        ]);
+        this.subtitleSource = 'intercepted';
+        this.logger.info('Subtitles intercepted from VTT request', {
+            url,
+            videoId: this.currentVideoId,
+        });
+
+        // The language of an intercepted file is unknown; assume the original
+        this._emitSubtitles({
+            vttText,
+            targetVttText: vttText,
+            url,
+            sourceLanguage: settings.originalLanguage || 'en',
+            targetLanguage: settings.targetLanguage || 'zh-CN',
+            useNativeTarget: false,
+            availableLanguages: [],
+        });
+    }
+
+    async _handleInterceptedPlaylist({ url }) {
+        const requestedVideoId = this.currentVideoId;
+        try {
+            const settings = await configService.getMultiple([
+                'targetLanguage',
+                'originalLanguage',
+            ]);
+            this.logger.info('Requesting HLS subtitles from background', {
+                url,
+                videoId: requestedVideoId,
+            });
+            const response = await this.requestVttViaMessaging(
+                url,
+                settings.targetLanguage || 'zh-CN',
+                settings.originalLanguage || 'en',
+                'generic'
+            );
+
+            if (!response || !response.success) {
+                this.logger.error('Background failed to fetch VTT', null, {
+                    error: response?.error || 'Unknown',
+                    url,
+                    videoId: requestedVideoId,
+                });
+                return;
+            }
+            if (
+                response.videoId !== this.currentVideoId ||
+                this.subtitleSource === 'textTracks'
+            ) {
+                this.logger.warn(
+                    'Received VTT for different video context - discarding',
+                    {
+                        receivedVideoId: response.videoId,
+                        currentVideoId: this.currentVideoId,
+                    }
+                );
+                return;
+            }
+
+            this.subtitleSource = 'intercepted';
+            this.onSubtitleUrlFoundCallback?.({
+                vttText: response.vttText,
+                targetVttText: response.targetVttText,
+                videoId: response.videoId,
+                url: response.url,
+                sourceLanguage: response.sourceLanguage,
+                targetLanguage: response.targetLanguage,
+                useNativeTarget: response.useNativeTarget,
+                availableLanguages: response.availableLanguages,
+                selectedLanguage: response.selectedLanguage,
+                targetLanguageInfo: response.targetLanguageInfo,
+            });
+        } catch (error) {
+            this.logger.error('Error for VTT fetch', error, {
+                url,
+                videoId: requestedVideoId,
+            });
+        }
+    }
+
+    handleNativeSubtitles() {
+        this.handleNativeSubtitlesWithSetting([]);
+    }
+
+    /**
+     * Hides natively rendered text tracks in addition to subtitle containers.
+     * Hidden tracks keep loading cues, so DualSub can still read them.
+     * @param {string[]} selectors - CSS selectors for subtitle containers
+     */
+    hideOfficialSubtitleContainers(selectors) {
+        super.hideOfficialSubtitleContainers(selectors);
+        for (const track of Array.from(
+            this.getVideoElement()?.textTracks || []
+        )) {
+            if (track.mode === 'showing') {
+                track.mode = 'hidden';
+                this.hiddenNativeTracks.add(track);
+            }
+        }
+    }
+
+    showOfficialSubtitleContainers() {
+        super.showOfficialSubtitleContainers();
+        for (const track of this.hiddenNativeTracks) {
+            if (track.mode === 'hidden') {
+                track.mode = 'showing';
+            }
+        }
+        this.hiddenNativeTracks.clear();
+    }
+
+    cleanup() {
+        if (this.eventListener) {
+            document.removeEventListener(INJECT_EVENT_ID, this.eventListener);
+            this.eventListener = null;
+            this.logger.debug('Event listener removed');
+        }
+
+        if (this.videoCheckIntervalId) {
+            clearInterval(this.videoCheckIntervalId);
+            this.videoCheckIntervalId = null;
+        }
+
+        this._stopObservingTextTracks();
+        this.cleanupNativeSubtitleSettingsListener();
+        this.showOfficialSubtitleContainers();
+
+        this.currentVideoId = null;
+        this.onSubtitleUrlFoundCallback = null;
+        this.onVideoIdChangeCallback = null;
+        this.lastKnownVttUrlForVideoId = Object.create(null);
+        this.subtitleSource = null;
+        this.emittedTrackKey = null;
+        this.targetTrackWaits = 0;
+        this.logger.info('Platform cleaned up successfully');
+    }
+}
@@ -0,0 +1,222 @@
+import {
+    describe,
+    it,
+    expect,
+    beforeEach,
+    afterEach,
+    jest,
+} from '@jest/globals';
+import { GenericHtml5Platform } from './genericHtml5Platform.js';
+import { ChromeApiMock } from '../test-utils/chrome-api-mock.js';
+import { createLoggerMock } from '../test-utils/logger-mock.js';
+import Logger from '../utils/logger.js';
+import { configService } from '../services/configService.js';
+import flushPromises from '../test-utils/flush-promises.js';
+
+const INJECT_EVENT_ID = 'generic-dualsub-injector-event';
+
+function createTrack(language, label, cues = [], mode = 'disabled') {
+    return {
+        kind: 'subtitles',
+        language,
+        label,
+        mode,
+        cues: cues.map(([startTime, endTime, text]) => ({
+            startTime,
+            endTime,
+            text,
+        })),
+    };
+}
+
+function addVideo(tracks, src = 'https://cdn.example.com/media/clip.mp4') {
+    const video = document.createElement('video');
+    video.src = src;
+    const textTracks = [...tracks];
+    textTracks.addEventListener = jest.fn();
+    textTracks.removeEventListener = jest.fn();
+    Object.defineProperty(video, 'textTracks', { value: textTracks });
+    document.body.appendChild(video);
+    return video;
+}
+
+describe('GenericHtml5Platform', () => {
+    let platform;
+    let mockLogger;
+    let onSubtitleFound;
+    let onVideoIdChange;
+    let settings;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        settings = {
+            targetLanguage: 'es',
+            originalLanguage: 'en',
+            useOfficialTranslations: true,
+        };
+        jest.spyOn(configService, 'getMultiple').mockImplementation(
+            async () => settings
+        );
+        jest.spyOn(configService, 'get').mockResolvedValue(false);
+        jest.spyOn(configService, 'onChanged').mockReturnValue(() => {});
+
+        global.chrome = ChromeApiMock.create();
+        mockLogger = createLoggerMock();
+        jest.spyOn(Logger, 'create').mockReturnValue(mockLogger);
+
+        platform = new GenericHtml5Platform();
+        onSubtitleFound = jest.fn();
+        onVideoIdChange = jest.fn();
+    });
+
+    afterEach(() => {
+        platform.cleanup();
+        document.body.innerHTML = '';
+        jest.restoreAllMocks();
+    });
+
+    it('treats every allowlisted page as a player page', () => {
+        expect(platform.getPlatformName()).toBe('generic');
+        expect(platform.isPlayerPageActive()).toBe(true);
+        expect(platform.supportsProgressBarTracking()).toBe(false);
+    });
+
+    it('builds the video ID from the page and the media file', () => {
+        const video = addVideo([]);
+
+        expect(platform.buildVideoId(video)).toBe(
+            `${window.location.hostname}${window.location.pathname}#cdn.example.com/media/clip.mp4`
+        );
+
+        video.src = 'blob:https://example.com/1234';
+        expect(platform.buildVideoId(video)).toBe(
+            `${window.location.hostname}${window.location.pathname}`
+        );
+    });
+
+    it('loads the original text track and the official translation', async () => {
+        const english = createTrack('en-US', 'English', [
+            [1, 2, 'Hello'],
+            [3, 4, 'World'],
+        ]);
+        const spanish = createTrack('es', 'Español', [[1, 2, 'Hola']]);
+        const french = createTrack('fr', 'Français', [[1, 2, 'Bonjour']]);
+        addVideo([french, english, spanish]);
+
+        await platform.initialize(onSubtitleFound, onVideoIdChange);
+        await flushPromises();
+
+        expect(onVideoIdChange).toHaveBeenCalledWith(platform.currentVideoId);
+        expect(english.mode).toBe('hidden');
+        expect(spanish.mode).toBe('hidden');
+        expect(french.mode).toBe('disabled');
+        expect(onSubtitleFound).toHaveBeenCalledTimes(1);
+
+        const data = onSubtitleFound.mock.calls[0][0];
+        expect(data).toMatchObject({
+            videoId: platform.currentVideoId,
+            sourceLanguage: 'en',
+            targetLanguage: 'es',
+            useNativeTarget: true,
+            selectedLanguage: expect.objectContaining({ normalizedCode: 'en' }),
+        });
+        expect(data.vttText).toBe(
+            'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHello\n\n00:00:03.000 --> 00:00:04.000\nWorld\n'
+        );
+        expect(data.targetVttText).toContain('Hola');
+        expect(data.availableLanguages).toHaveLength(3);
+
+        // Unchanged tracks are not emitted again
+        platform.checkForVideo();
+        await flushPromises();
+        expect(onSubtitleFound).toHaveBeenCalledTimes(1);
+    });
+
+    it('uses API translation when official translations are off', async () => {
+        settings.useOfficialTranslations = false;
+        addVideo([
+            createTrack('en', 'English', [[1, 2, 'Hello']]),
+            createTrack('es', 'Español', [[1, 2, 'Hola']]),
+        ]);
+
+        await platform.initialize(onSubtitleFound, onVideoIdChange);
+        await flushPromises();
+
+        const data = onSubtitleFound.mock.calls[0][0];
+        expect(data.useNativeTarget).toBe(false);
+        expect(data.targetVttText).toBe(data.vttText);
+    });
+
+    it('emits intercepted VTT files when the video has no text tracks', async () => {
+        addVideo([]);
+        await platform.initialize(onSubtitleFound, onVideoIdChange);
+
+        const vttText = 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHi\n';
+        const event = new CustomEvent(INJECT_EVENT_ID, {
+            detail: {
+                type: 'SUBTITLE_DATA_FOUND',
+                url: 'https://example.com/subs/en.vtt',
+                vttText,
+            },
+        });
+        document.dispatchEvent(event);
+        document.dispatchEvent(event);
+        await flushPromises();
+
+        expect(onSubtitleFound).toHaveBeenCalledTimes(1);
+        expect(onSubtitleFound).toHaveBeenCalledWith(
+            expect.objectContaining({
+                vttText,
+                url: 'https://example.com/subs/en.vtt',
+                useNativeTarget: false,
+                videoId: platform.currentVideoId,
+            })
+        );
+    });
+
+    it('requests HLS subtitle playlists from the background with the generic blacklist', async () => {
+        addVideo([]);
+        await platform.initialize(onSubtitleFound, onVideoIdChange);
+        const requestSpy = jest
+            .spyOn(platform, 'requestVttViaMessaging')
+            .mockImplementation(async (url) => ({
+                success: true,
+                vttText: 'WEBVTT\n',
+                targetVttText: 'WEBVTT\n',
+                videoId: platform.currentVideoId,
+                url,
+                useNativeTarget: false,
+            }));
+
+        document.dispatchEvent(
+            new CustomEvent(INJECT_EVENT_ID, {
+                detail: {
+                    type: 'SUBTITLE_URL_FOUND',
+                    url: 'https://example.com/master.m3u8',
+                },
+            })
+        );
+        await flushPromises();
+
+        expect(requestSpy).toHaveBeenCalledWith(
+            'https://example.com/master.m3u8',
+            'es',
+            'en',
+            'generic'
+        );
+        expect(onSubtitleFound).toHaveBeenCalledWith(
+            expect.objectContaining({ url: 'https://example.com/master.m3u8' })
+        );
+    });
+
+    it('hides natively shown tracks and restores them', () => {
+        const english = createTrack('en', 'English', [], 'showing');
+        addVideo([english]);
+
+        platform.hideOfficialSubtitleContainers([]);
+        expect(english.mode).toBe('hidden');
+
+        platform.showOfficialSubtitleContainers();
+        expect(english.mode).toBe('showing');
+    });
+});
@@ -10,6 +10,7 @@ import { Injection } from '../content_scripts/shared/constants/injection.js';
 const INJECT_SCRIPT_FILENAME = Injection.netflix.SCRIPT_FILENAME;
 const INJECT_SCRIPT_TAG_ID = Injection.netflix.SCRIPT_TAG_ID;
 const INJECT_EVENT_ID = Injection.netflix.EVENT_ID; // Must match netflixInject.js
+const COMMAND_EVENT_ID = Injection.netflix.COMMAND_EVENT_ID; // Must match netflixInject.js
 
 import { BasePlatformAdapter } from './BasePlatformAdapter.js';
 
@@ -310,29 +311,19 @@ export class NetflixPlatform extends BasePlatformAdapter {
                 .getMultiple([
                     'targetLanguage',
                     'originalLanguage',
-                    'useNativeSubtitles',
                     'useOfficialTranslations',
                 ])
                 .then((settings) => {
                     const {
                         targetLanguage = 'zh-CN',
                         originalLanguage = 'en',
-                        useNativeSubtitles = true,
-                        useOfficialTranslations,
+                        useOfficialTranslations: useOfficialSubtitles = true,
                     } = settings; // Defaults from subtitleUtilities.js
 
-                    // Use useOfficialTranslations if available, fallback to useNativeSubtitles for backward compatibility
-                    const useOfficialSubtitles =
-                        useOfficialTranslations !== undefined
-                            ? useOfficialTranslations
-                            : useNativeSubtitles;
-
                     // Enhanced logging for debugging official translation functionality
                     this.logger.info(
                         'Netflix subtitle processing mode determined',
                         {
-                            useOfficialTranslations,
-                            useNativeSubtitles,
                             useOfficialSubtitles,
                             targetLanguage,
                             originalLanguage,
@@ -653,6 +644,52 @@ export class NetflixPlatform extends BasePlatformAdapter {
         return this.currentVideoId;
     }
 
+    seekTo(seconds) {
+        if (!Number.isFinite(seconds)) {
+            return false;
+        }
+        // Netflix ignores seeks on the <video> element, so the injected
+        // script seeks through the player API. The detail is a string
+        // because objects do not cross from the content script world.
+        document.dispatchEvent(
+            new CustomEvent(COMMAND_EVENT_ID, {
+                detail: JSON.stringify({
+                    type: 'SEEK',
+                    time: Math.max(0, seconds),
+                }),
+            })
+        );
+        return true;
+    }
+
+    getVideoTitle() {
+        // The player overlay shows "Show title  S1:E2 Episode title"
+        const titleElement = document.querySelector('[data-uia="video-title"]');
+        const title = Array.from(titleElement?.children || [])
+            .map((element) => element.textContent.trim())
+            .filter(Boolean)
+            .join(' - ');
+        return (
+            title ||
+            document.title.replace(/\s*[-|]?\s*Netflix\s*$/i, '').trim() ||
+            null
+        );
+    }
+
+    getShowInfo() {
+        // Series overlay children: show title, "S1:E2", episode title
+        const titleElement = document.querySelector('[data-uia="video-title"]');
+        const [title, ...episodeParts] = Array.from(
+            titleElement?.children || []
+        )
+            .map((element) => element.textContent.trim())
+            .filter(Boolean);
+        if (!title) {
+            return { title: this.getVideoTitle(), episode: null };
+        }
+        return { title, episode: episodeParts.join(' ') || null };
+    }
+
     extractMovieIdFromUrl() {
         try {
             // Netflix URLs are typically in the format: https://www.netflix.com/watch/MOVIEID or similar
@@ -105,6 +105,40 @@ export class VideoPlatform {
         return null;
     }
 
+    /**
+     * Optional: Gets a human-readable title for the current video (used in
+     * exported subtitle files). Defaults to the document title.
+     * @returns {string | null} The video title or null if unknown.
+     */
+    getVideoTitle() {
+        return document.title?.trim() || null;
+    }
+
+    /**
+     * Optional: Gets the show and episode being watched (sent to LLM
+     * translation providers as context and used to pick a glossary).
+     * Defaults to the video title without an episode name.
+     * @returns {{title: string | null, episode: string | null}}
+     */
+    getShowInfo() {
+        return { title: this.getVideoTitle(), episode: null };
+    }
+
+    /**
+     * Optional: Seeks the player, e.g. for the cue navigation hotkeys.
+     * Defaults to setting currentTime on the video element.
+     * @param {number} seconds - Position in seconds.
+     * @returns {boolean} Whether the seek was requested.
+     */
+    seekTo(seconds) {
+        const video = this.getVideoElement();
+        if (!video || video.readyState < 1 || !Number.isFinite(seconds)) {
+            return false;
+        }
+        video.currentTime = Math.max(0, seconds);
+        return true;
+    }
+
     /**
      * Optional: Defines how the platform's native subtitles should be handled.
      * For example, they might need to be hidden or observed.
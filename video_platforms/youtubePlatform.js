@@ -0,0 +1,350 @@
+import { configService } from '../services/configService.js';
+import { Injection } from '../content_scripts/shared/constants/injection.js';
+import { SubtitleProcessingManager } from '../content_scripts/shared/subtitleProcessingUtils.js';
+import { normalizeLanguageCode } from '../utils/languageNormalization.js';
+import { cuesToVtt } from '../content_scripts/shared/vttCues.js';
+import { BasePlatformAdapter } from './BasePlatformAdapter.js';
+
+const INJECT_EVENT_ID = Injection.youtube.EVENT_ID; // Must match youtubeInject.js
+
+const YOUTUBE_SUBTITLE_SELECTORS = [
+    '.ytp-caption-window-container',
+    '.caption-window',
+];
+
+// YouTube names Chinese translation tracks by script, not by region
+const YOUTUBE_TRANSLATION_LANGUAGE_MAP = {
+    'zh-CN': 'zh-Hans',
+    'zh-TW': 'zh-Hant',
+};
+
+/**
+ * Adapter for YouTube watch and embed pages.
+ *
+ * Captions are captured by youtubeInject.js when the player loads a
+ * timedtext track, so captions have to be turned on in the player. The
+ * auto-translated version of the same track is used as the official
+ * translation.
+ */
+export class YouTubePlatform extends BasePlatformAdapter {
+    constructor() {
+        super('YouTubePlatform');
+        this.subtitleProcessor = new SubtitleProcessingManager('youtube');
+        this.preloadedSubtitleBuffer = Object.create(null);
+        this.initializeLogger();
+    }
+
+    /**
+     * Gets the platform name.
+     * @returns {string} The platform name, 'youtube'.
+     */
+    getPlatformName() {
+        return 'youtube';
+    }
+
+    isPlatformActive() {
+        return window.location.hostname.includes('youtube.com');
+    }
+
+    isPlayerPageActive() {
+        const path = window.location.pathname;
+        return path.startsWith('/watch') || path.startsWith('/embed/');
+    }
+
+    async initialize(onSubtitleUrlFound, onVideoIdChange) {
+        if (!this.isPlatformActive()) return;
+
+        this.setCallbacks(onSubtitleUrlFound, onVideoIdChange);
+
+        this.eventListener = this.handleInjectorEvents.bind(this);
+        document.addEventListener(INJECT_EVENT_ID, this.eventListener);
+
+        this.setupNativeSubtitleSettingsListener(YOUTUBE_SUBTITLE_SELECTORS);
+        this.checkForVideoChange();
+
+        this.logger.info('Initialized and event listener added', {
+            selectors: YOUTUBE_SUBTITLE_SELECTORS,
+        });
+    }
+
+    /**
+     * Reads the video ID from a watch (`?v=ID`) or embed (`/embed/ID`) URL.
+     * @returns {string|null}
+     */
+    extractVideoIdFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('v')) {
+            return params.get('v');
+        }
+        const match = window.location.pathname.match(/^\/embed\/([\w-]+)/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Picks up SPA navigation between videos, which does not reload the page,
+     * and processes captions that were captured before the URL changed.
+     */
+    checkForVideoChange() {
+        const videoId = this.extractVideoIdFromUrl();
+        if (!videoId || videoId === this.currentVideoId) {
+            return;
+        }
+
+        this.setVideoIdAndNotify(videoId);
+
+        const buffered = this.preloadedSubtitleBuffer[videoId];
+        if (buffered) {
+            delete this.preloadedSubtitleBuffer[videoId];
+            this.logger.info('Processing buffered captions for video', {
+                videoId,
+            });
+            this.handleCaptionPayload(buffered);
+        }
+    }
+
+    handleInjectorEvents(e) {
+        const data = e.detail;
+        if (!data || !data.type) return;
+
+        if (data.type === 'INJECT_SCRIPT_READY') {
+            this.logger.info('Inject script is ready');
+            return;
+        }
+        if (data.type !== 'SUBTITLE_DATA_FOUND') {
+            return;
+        }
+
+        const payload = data.payload;
+        if (!payload?.videoId || !payload.text) {
+            this.logger.error(
+                'SUBTITLE_DATA_FOUND event missing videoId or text',
+                null,
+                { url: payload?.url }
+            );
+            return;
+        }
+
+        // Translated tracks requested by the player itself are not the source
+        if (payload.translationLanguage) {
+            this.logger.debug('Ignoring auto-translated caption response', {
+                videoId: payload.videoId,
+                translationLanguage: payload.translationLanguage,
+            });
+            return;
+        }
+
+        const urlVideoId = this.extractVideoIdFromUrl();
+        if (urlVideoId && payload.videoId !== urlVideoId) {
+            // The player may load captions before the URL is updated
+            this.logger.info('Buffering captions for upcoming video', {
+                receivedVideoId: payload.videoId,
+                urlVideoId,
+            });
+            this.preloadedSubtitleBuffer[payload.videoId] = payload;
+            return;
+        }
+
+        if (this.currentVideoId !== payload.videoId) {
+            this.setVideoIdAndNotify(payload.videoId);
+        }
+        this.handleCaptionPayload(payload);
+    }
+
+    /**
+     * Converts a captured caption track to VTT and emits it, together with
+     * the auto-translated track when official translations are enabled.
+     * @param {Object} payload - Caption data from youtubeInject.js
+     */
+    async handleCaptionPayload(payload) {
+        const trackKey = `${payload.videoId}|${payload.languageCode}|${payload.kind || ''}`;
+        if (this.isDuplicateVttUrl(trackKey)) {
+            this.logger.debug('Caption track already processed', {
+                trackKey,
+            });
+            return;
+        }
+        this.markVttUrlProcessed(trackKey);
+
+        try {
+            const settings = await configService.getMultiple([
+                'targetLanguage',
+                'originalLanguage',
+                'useOfficialTranslations',
+            ]);
+            const targetLanguage = settings.targetLanguage || 'zh-CN';
+            const sourceLanguage =
+                payload.languageCode || settings.originalLanguage || 'en';
+
+            const cues = await this.subtitleProcessor.parseOfficialTranslations(
+                payload.text
+            );
+            if (cues.length === 0) {
+                this.logger.warn('Captured caption track has no cues', {
+                    videoId: payload.videoId,
+                    format: payload.format,
+                });
+                delete this.lastKnownVttUrlForVideoId[this.currentVideoId];
+                return;
+            }
+            const vttText = cuesToVtt(cues);
+
+            let targetVttText = null;
+            if (
+                settings.useOfficialTranslations &&
+                !this._isSameLanguage(sourceLanguage, targetLanguage)
+            ) {
+                targetVttText = await this.fetchTranslatedCaptions(
+                    payload.url,
+                    targetLanguage
+                );
+            }
+
+            if (payload.videoId !== this.currentVideoId) {
+                this.logger.warn(
+                    'Captions loaded for a different video - discarding',
+                    {
+                        receivedVideoId: payload.videoId,
+                        currentVideoId: this.currentVideoId,
+                    }
+                );
+                return;
+            }
+
+            this.logger.info('Captions loaded from timedtext response', {
+                videoId: payload.videoId,
+                languageCode: payload.languageCode,
+                kind: payload.kind,
+                cueCount: cues.length,
+                officialTranslation: !!targetVttText,
+            });
+
+            const selectedLanguage = this._toLanguageInfo(
+                sourceLanguage,
+                payload.kind === 'asr'
+            );
+            this.onSubtitleUrlFoundCallback?.({
+                vttText,
+                targetVttText: targetVttText || vttText,
+                videoId: payload.videoId,
+                url: payload.url,
+                sourceLanguage: selectedLanguage.normalizedCode,
+                targetLanguage: normalizeLanguageCode(targetLanguage),
+                useNativeTarget: !!targetVttText,
+                availableLanguages: [selectedLanguage],
+                selectedLanguage,
+                targetLanguageInfo: { code: targetLanguage },
+            });
+        } catch (error) {
+            this.logger.error('Error processing captured captions', error, {
+                videoId: payload.videoId,
+                url: payload.url,
+            });
+        }
+    }
+
+    /**
+     * Fetches YouTube's auto-translation of a caption track.
+     * @param {string} captionUrl - timedtext URL requested by the player
+     * @param {string} targetLanguage - Target language code
+     * @returns {Promise<string|null>} VTT text, or null if unavailable
+     */
+    async fetchTranslatedCaptions(captionUrl, targetLanguage) {
+        try {
+            const url = new URL(captionUrl, window.location.href);
+            url.searchParams.set(
+                'tlang',
+                YOUTUBE_TRANSLATION_LANGUAGE_MAP[targetLanguage] ||
+                    targetLanguage
+            );
+            url.searchParams.set('fmt', 'json3');
+
+            const response = await fetch(url.href, { credentials: 'include' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const cues = await this.subtitleProcessor.parseOfficialTranslations(
+                await response.text()
+            );
+            return cues.length > 0 ? cuesToVtt(cues) : null;
+        } catch (error) {
+            this.logger.warn(
+                'Auto-translated captions unavailable, using API translation',
+                {
+                    targetLanguage,
+                    error: error.message,
+                }
+            );
+            return null;
+        }
+    }
+
+    _isSameLanguage(a, b) {
+        const base = (code) => normalizeLanguageCode(code).split('-')[0];
+        return base(a) === base(b);
+    }
+
+    _toLanguageInfo(languageCode, autoGenerated = false) {
+        const normalizedCode = normalizeLanguageCode(languageCode);
+        return {
+            rawCode: languageCode,
+            normalizedCode,
+            displayName: autoGenerated
+                ? `${normalizedCode} (auto-generated)`
+                : normalizedCode,
+        };
+    }
+
+    getVideoElement() {
+        return (
+            document.querySelector('video.html5-main-video') ||
+            document.querySelector('video')
+        );
+    }
+
+    getCurrentVideoId() {
+        return this.currentVideoId;
+    }
+
+    getVideoTitle() {
+        const title = document.title.replace(/\s*-\s*YouTube$/, '').trim();
+        return title || null;
+    }
+
+    getPlayerContainerElement() {
+        return (
+            document.querySelector('#movie_player') ||
+            this.getVideoElement()?.parentElement ||
+            null
+        );
+    }
+
+    getProgressBarElement() {
+        return null;
+    }
+
+    supportsProgressBarTracking() {
+        // HTML5 video currentTime is reliable on YouTube
+        return false;
+    }
+
+    handleNativeSubtitles() {
+        this.handleNativeSubtitlesWithSetting(YOUTUBE_SUBTITLE_SELECTORS);
+    }
+
+    cleanup() {
+        if (this.eventListener) {
+            document.removeEventListener(INJECT_EVENT_ID, this.eventListener);
+            this.eventListener = null;
+            this.logger.debug('Event listener removed');
+        }
+
+        this.cleanupNativeSubtitleSettingsListener();
+
+        this.currentVideoId = null;
+        this.onSubtitleUrlFoundCallback = null;
+        this.onVideoIdChangeCallback = null;
+        this.lastKnownVttUrlForVideoId = Object.create(null);
+        this.preloadedSubtitleBuffer = Object.create(null);
+        this.logger.info('Platform cleaned up successfully');
+    }
+}
@@ -0,0 +1,235 @@
+import {
+    describe,
+    it,
+    expect,
+    beforeEach,
+    afterEach,
+    jest,
+} from '@jest/globals';
+import { YouTubePlatform } from './youtubePlatform.js';
+import { SubtitleProcessingManager } from '../content_scripts/shared/subtitleProcessingUtils.js';
+import { ChromeApiMock } from '../test-utils/chrome-api-mock.js';
+import { createLoggerMock } from '../test-utils/logger-mock.js';
+import Logger from '../utils/logger.js';
+import { configService } from '../services/configService.js';
+import flushPromises from '../test-utils/flush-promises.js';
+
+const INJECT_EVENT_ID = 'youtube-dualsub-injector-event';
+
+function json3(lines) {
+    return JSON.stringify({
+        events: lines.map(([tStartMs, dDurationMs, text]) => ({
+            tStartMs,
+            dDurationMs,
+            segs: [{ utf8: text }],
+        })),
+    });
+}
+
+function dispatchCaptions(payload) {
+    document.dispatchEvent(
+        new CustomEvent(INJECT_EVENT_ID, {
+            detail: {
+                type: 'SUBTITLE_DATA_FOUND',
+                payload: {
+                    videoId: 'abc123',
+                    url: 'https://www.youtube.com/api/timedtext?v=abc123&lang=en&fmt=json3',
+                    languageCode: 'en',
+                    kind: null,
+                    translationLanguage: null,
+                    format: 'json3',
+                    text: json3([[1000, 1500, 'Hello']]),
+                    ...payload,
+                },
+            },
+        })
+    );
+}
+
+describe('SubtitleProcessingManager YouTube parsing', () => {
+    const manager = new SubtitleProcessingManager('youtube');
+
+    it('parses json3 events and skips events without text', async () => {
+        const cues = await manager.parseOfficialTranslations({
+            events: [
+                { tStartMs: 0, dDurationMs: 5000 },
+                {
+                    tStartMs: 1200,
+                    dDurationMs: 800,
+                    segs: [{ utf8: 'Hello ' }, { utf8: 'world' }],
+                },
+                { tStartMs: 2500, dDurationMs: 100, segs: [{ utf8: '\n' }] },
+            ],
+        });
+
+        expect(cues).toEqual([{ start: 1.2, end: 2, text: 'Hello world' }]);
+    });
+
+    it('clips rolling auto-generated lines at the next line', async () => {
+        const cues = await manager.parseOfficialTranslations(
+            JSON.stringify({
+                events: [
+                    { tStartMs: 0, dDurationMs: 4000, segs: [{ utf8: 'one' }] },
+                    {
+                        tStartMs: 2000,
+                        dDurationMs: 4000,
+                        segs: [{ utf8: 'two' }],
+                    },
+                    { tStartMs: 2000, dDurationMs: 10, aAppend: 1 },
+                ],
+            })
+        );
+
+        expect(cues.map((cue) => [cue.start, cue.end])).toEqual([
+            [0, 2],
+            [2, 6],
+        ]);
+    });
+
+    it('parses srv3 and srv1 XML captions', async () => {
+        const srv3 = await manager.parseOfficialTranslations(
+            '<timedtext format="3"><body><p t="1500" d="1000">Hi <s>there</s></p></body></timedtext>'
+        );
+        expect(srv3).toEqual([{ start: 1.5, end: 2.5, text: 'Hi there' }]);
+
+        const srv1 = await manager.parseOfficialTranslations(
+            '<transcript><text start="3.2" dur="1.3">Tom &amp;amp; Jerry</text></transcript>'
+        );
+        expect(srv1).toEqual([{ start: 3.2, end: 4.5, text: 'Tom & Jerry' }]);
+    });
+});
+
+describe('YouTubePlatform', () => {
+    let platform;
+    let onSubtitleFound;
+    let onVideoIdChange;
+    let settings;
+
+    beforeEach(() => {
+        settings = {
+            targetLanguage: 'zh-CN',
+            originalLanguage: 'en',
+            useOfficialTranslations: true,
+        };
+        jest.spyOn(configService, 'getMultiple').mockImplementation(
+            async () => settings
+        );
+        jest.spyOn(configService, 'get').mockResolvedValue(false);
+        jest.spyOn(configService, 'onChanged').mockReturnValue(() => {});
+
+        global.chrome = ChromeApiMock.create();
+        jest.spyOn(Logger, 'create').mockReturnValue(createLoggerMock());
+        global.fetch = jest.fn(async () => ({
+            ok: true,
+            status: 200,
+            text: async () => json3([[1000, 1500, '你好']]),
+        }));
+
+        window.history.pushState({}, '', '/watch?v=abc123');
+        platform = new YouTubePlatform();
+        // jsdom runs on localhost
+        jest.spyOn(platform, 'isPlatformActive').mockReturnValue(true);
+        onSubtitleFound = jest.fn();
+        onVideoIdChange = jest.fn();
+    });
+
+    afterEach(() => {
+        platform.cleanup();
+        delete global.fetch;
+        window.history.pushState({}, '', '/');
+        jest.restoreAllMocks();
+    });
+
+    it('reads the video ID from watch and embed URLs', () => {
+        expect(platform.getPlatformName()).toBe('youtube');
+        expect(platform.isPlayerPageActive()).toBe(true);
+        expect(platform.extractVideoIdFromUrl()).toBe('abc123');
+
+        window.history.pushState({}, '', '/embed/xyz-789');
+        expect(platform.isPlayerPageActive()).toBe(true);
+        expect(platform.extractVideoIdFromUrl()).toBe('xyz-789');
+
+        window.history.pushState({}, '', '/results?search_query=test');
+        expect(platform.isPlayerPageActive()).toBe(false);
+    });
+
+    it('uses the auto-translated track as the official translation', async () => {
+        await platform.initialize(onSubtitleFound, onVideoIdChange);
+        expect(onVideoIdChange).toHaveBeenCalledWith('abc123');
+
+        dispatchCaptions();
+        dispatchCaptions();
+        await flushPromises();
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        const translatedUrl = new URL(global.fetch.mock.calls[0][0]);
+        expect(translatedUrl.searchParams.get('tlang')).toBe('zh-Hans');
+        expect(translatedUrl.searchParams.get('fmt')).toBe('json3');
+
+        expect(onSubtitleFound).toHaveBeenCalledTimes(1);
+        const data = onSubtitleFound.mock.calls[0][0];
+        expect(data).toMatchObject({
+            videoId: 'abc123',
+            sourceLanguage: 'en',
+            targetLanguage: 'zh-CN',
+            useNativeTarget: true,
+            selectedLanguage: expect.objectContaining({ normalizedCode: 'en' }),
+        });
+        expect(data.vttText).toBe(
+            'WEBVTT\n\n00:00:01.000 --> 00:00:02.500\nHello\n'
+        );
+        expect(data.targetVttText).toContain('你好');
+    });
+
+    it('falls back to API translation when no auto-translation is available', async () => {
+        global.fetch.mockResolvedValue({ ok: false, status: 404 });
+        await platform.initialize(onSubtitleFound, onVideoIdChange);
+
+        dispatchCaptions();
+        await flushPromises();
+
+        const data = onSubtitleFound.mock.calls[0][0];
+        expect(data.useNativeTarget).toBe(false);
+        expect(data.targetVttText).toBe(data.vttText);
+    });
+
+    it('does not fetch translations when official translations are off', async () => {
+        settings.useOfficialTranslations = false;
+        await platform.initialize(onSubtitleFound, onVideoIdChange);
+
+        dispatchCaptions();
+        await flushPromises();
+
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect(onSubtitleFound.mock.calls[0][0].useNativeTarget).toBe(false);
+    });
+
+    it('ignores translated responses requested by the player', async () => {
+        await platform.initialize(onSubtitleFound, onVideoIdChange);
+
+        dispatchCaptions({ translationLanguage: 'fr' });
+        await flushPromises();
+
+        expect(onSubtitleFound).not.toHaveBeenCalled();
+    });
+
+    it('buffers captions for the next video until the URL changes', async () => {
+        await platform.initialize(onSubtitleFound, onVideoIdChange);
+
+        dispatchCaptions({
+            videoId: 'next456',
+            url: 'https://www.youtube.com/api/timedtext?v=next456&lang=en',
+        });
+        await flushPromises();
+        expect(onSubtitleFound).not.toHaveBeenCalled();
+
+        window.history.pushState({}, '', '/watch?v=next456');
+        platform.checkForVideoChange();
+        await flushPromises();
+
+        expect(onVideoIdChange).toHaveBeenLastCalledWith('next456');
+        expect(onSubtitleFound).toHaveBeenCalledWith(
+            expect.objectContaining({ videoId: 'next456' })
+        );
+    });
+});